@@ -0,0 +1,16 @@
+// config/index.js
+// Application configuration shared by index.js, the MongoDB connection and
+// the cron jobs. Values come from, in increasing priority:
+//   1. the defaults in SCHEMA (config/loadConfig.js)
+//   2. an optional JSON file (CONFIG_FILE, or config/config.json if present)
+//   3. environment variables (including .env)
+// Everything is validated once when this module is first required; an
+// invalid configuration throws a ConfigError listing every problem, so a
+// misconfigured instance stops at boot instead of at 12:00 on the 20th.
+//
+//   const config = require("../config");
+//   cron.schedule(config.cron.monthLock, ..., { timezone: config.timezone });
+
+const { loadConfig } = require("./loadConfig");
+
+module.exports = loadConfig();
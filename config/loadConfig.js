@@ -0,0 +1,328 @@
+// config/loadConfig.js
+// Schema, parsing and validation behind config/index.js.
+
+const fs = require("fs");
+const path = require("path");
+const cron = require("node-cron");
+
+const { SUPPORTED_LOCALES } = require("./locales");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env"), quiet: true });
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, "config.json");
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/* ===============================
+   SCHEMA
+   key:      dotted path in the config object (and the JSON file)
+   env:      environment variable(s) that override it, first one set wins
+   type:     string | integer | boolean | list | cron | timezone | locale
+             | storageDriver
+   secret:   masked in describeConfig()
+================================ */
+const SCHEMA = [
+  { key: "env", env: ["NODE_ENV"], type: "string", default: "development" },
+  { key: "port", env: ["PORT"], type: "integer", default: 3043 },
+  { key: "timezone", env: ["APP_TIMEZONE"], type: "timezone", default: "Europe/Helsinki" },
+  // Address clients reach this API at, for links in emails (e.g. unsubscribe)
+  { key: "publicUrl", env: ["PUBLIC_API_URL"], type: "string", default: "http://localhost:3043" },
+
+  { key: "mongodb.uri", env: ["MONGODB_URI", "MONGO_URI"], type: "string", required: true, secret: true },
+
+  {
+    key: "cors.origins",
+    env: ["CORS_ORIGINS"],
+    type: "list",
+    default: [
+      "https://credence-two.vercel.app",
+      "http://localhost:5173",
+      "https://credence.techorses.com",
+      "https://jladgroup.fi"
+    ]
+  },
+
+  // Read month data from the legacy Client.documents Map as well as
+  // ClientMonthlyData. Switch off once scripts/migrateLegacyDocuments.js
+  // reports full parity.
+  { key: "legacyDocuments.readEnabled", env: ["LEGACY_DOCUMENTS_READ"], type: "boolean", default: true },
+
+  // Payment reminders (utils/outstandingPayments.js) bill months explicitly
+  // marked unpaid. On, months of the billing period with no month data at
+  // all are billed too; leave off unless every month is created up front.
+  { key: "payments.billMissingMonths", env: ["PAYMENTS_BILL_MISSING_MONTHS"], type: "boolean", default: false },
+
+  // In-app notifications are deleted this many days after they were created,
+  // read or not (TTL index on Notification.createdAt)
+  { key: "notifications.retentionDays", env: ["NOTIFICATION_RETENTION_DAYS"], type: "integer", default: 180 },
+
+  // Server-Sent Events (utils/realtime.js). With change streams every
+  // instance sees every new notification; they need a replica set (as on
+  // Atlas). Off, events only reach users connected to the instance that
+  // created them and other instances catch up when the browser reconnects.
+  { key: "realtime.changeStreams", env: ["REALTIME_CHANGE_STREAMS"], type: "boolean", default: true },
+  // Comment lines that keep idle connections open through proxies
+  { key: "realtime.heartbeatSeconds", env: ["REALTIME_HEARTBEAT_SECONDS"], type: "integer", default: 25 },
+
+  // Files attached to notes (utils/noteAttachments.js), stored in S3 next to
+  // the month's documents
+  { key: "notes.maxAttachments", env: ["NOTE_MAX_ATTACHMENTS"], type: "integer", default: 3 },
+  { key: "notes.attachmentMaxMb", env: ["NOTE_ATTACHMENT_MAX_MB"], type: "integer", default: 5 },
+
+  // Deleted client files stay restorable for this many days; the
+  // trash-purge job (utils/fileTrash.js) then deletes them from storage
+  { key: "trash.retentionDays", env: ["TRASH_RETENTION_DAYS"], type: "integer", default: 30 },
+
+  // Where uploaded files are stored (utils/storage.js):
+  //   s3             AWS S3; needs bucket and region
+  //   s3-compatible  MinIO or another S3 API; needs bucket and endpoint
+  //   local          files under localDir on this machine, for development
+  //                  and tests without network access
+  // Without accessKeyId/secretAccessKey the S3 drivers use the SDK's
+  // default credentials (e.g. an instance role).
+  { key: "storage.driver", env: ["STORAGE_DRIVER"], type: "storageDriver", default: "s3" },
+  { key: "storage.bucket", env: ["AWS_BUCKET", "S3_BUCKET"], type: "string" },
+  { key: "storage.region", env: ["AWS_REGION", "S3_REGION"], type: "string" },
+  { key: "storage.endpoint", env: ["S3_ENDPOINT"], type: "string" },
+  { key: "storage.accessKeyId", env: ["AWS_ACCESS_KEY_ID", "S3_ACCESS_KEY_ID"], type: "string", secret: true },
+  { key: "storage.secretAccessKey", env: ["AWS_SECRET_ACCESS_KEY", "S3_SECRET_ACCESS_KEY"], type: "string", secret: true },
+  // Relative to the project directory
+  { key: "storage.localDir", env: ["STORAGE_LOCAL_DIR"], type: "string", default: "uploads" },
+  // Stored files are private; responses carry signed links to them
+  // (utils/signedUrls.js) that expire after this many seconds
+  { key: "storage.signedUrlSeconds", env: ["SIGNED_URL_SECONDS"], type: "integer", default: 900 },
+
+  // Outgoing mail. Every email is queued in the EmailOutbox collection and
+  // sent by the outbox worker (utils/emailOutbox.js). For local testing point
+  // the SMTP settings at a stand-in such as MailHog (localhost:1025, no user).
+  { key: "email.smtp.host", env: ["SMTP_HOST"], type: "string", default: "smtp.gmail.com" },
+  { key: "email.smtp.port", env: ["SMTP_PORT"], type: "integer", default: 587 },
+  { key: "email.smtp.secure", env: ["SMTP_SECURE"], type: "boolean", default: false },
+  { key: "email.smtp.user", env: ["SMTP_USER", "EMAIL_USER"], type: "string" },
+  { key: "email.smtp.pass", env: ["SMTP_PASS", "EMAIL_PASS"], type: "string", secret: true },
+  { key: "email.from", env: ["EMAIL_FROM"], type: "string" },
+  { key: "email.workerEnabled", env: ["EMAIL_WORKER_ENABLED"], type: "boolean", default: true },
+  { key: "email.ratePerMinute", env: ["EMAIL_RATE_PER_MINUTE"], type: "integer", default: 30 },
+  { key: "email.maxAttempts", env: ["EMAIL_MAX_ATTEMPTS"], type: "integer", default: 6 },
+  // Language of emails to recipients without a preferredLanguage, and of staff emails
+  { key: "email.defaultLocale", env: ["EMAIL_DEFAULT_LOCALE"], type: "locale", default: "en" },
+
+  // Turn off on staging/local copies so they never email real clients
+  { key: "cron.enabled", env: ["CRON_ENABLED"], type: "boolean", default: true },
+  { key: "cron.paymentReminderFirst", env: ["CRON_PAYMENT_REMINDER_FIRST"], type: "cron", default: "0 12 20 * *" },
+  { key: "cron.paymentReminderFinal", env: ["CRON_PAYMENT_REMINDER_FINAL"], type: "cron", default: "0 12 25 * *" },
+  { key: "cron.documentReminderEarly", env: ["CRON_DOCUMENT_REMINDER_EARLY"], type: "cron", default: "0 12 1 * *" },
+  { key: "cron.documentReminder", env: ["CRON_DOCUMENT_REMINDER"], type: "cron", default: "0 12 15 * *" },
+  // Last client reminder before the month lock, also escalated to the assigned employees
+  { key: "cron.documentReminderEscalation", env: ["CRON_DOCUMENT_REMINDER_ESCALATION"], type: "cron", default: "0 12 22 * *" },
+  { key: "cron.monthLock", env: ["CRON_MONTH_LOCK"], type: "cron", default: "0 0 26 * *" },
+  { key: "cron.annualBackup", env: ["CRON_ANNUAL_BACKUP"], type: "cron", default: "0 0 1 1 *" },
+  { key: "cron.planChange", env: ["CRON_PLAN_CHANGE"], type: "cron", default: "0 2 * * *" },
+  // Jobs run once per month, so files are purged up to a month after retention ends
+  { key: "cron.trashPurge", env: ["CRON_TRASH_PURGE"], type: "cron", default: "0 3 1 * *" }
+];
+
+/* ===============================
+   PARSERS
+   Each returns { value } or { error }. Environment values are always
+   strings; JSON values may already have the right type.
+================================ */
+const PARSERS = {
+  string: (raw) => {
+    const value = String(raw).trim();
+    return value ? { value } : { error: "must not be empty" };
+  },
+
+  integer: (raw) => {
+    const value = Number(raw);
+    return Number.isInteger(value) && value > 0 ? { value } : { error: `must be a positive integer, got "${raw}"` };
+  },
+
+  boolean: (raw) => {
+    if (typeof raw === "boolean") return { value: raw };
+    const normalized = String(raw).trim().toLowerCase();
+    if (["true", "1", "yes", "on"].includes(normalized)) return { value: true };
+    if (["false", "0", "no", "off"].includes(normalized)) return { value: false };
+    return { error: `must be true or false, got "${raw}"` };
+  },
+
+  list: (raw) => {
+    const value = (Array.isArray(raw) ? raw : String(raw).split(","))
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    return value.length ? { value } : { error: "must contain at least one entry" };
+  },
+
+  cron: (raw) => {
+    const value = String(raw).trim();
+    return cron.validate(value) ? { value } : { error: `is not a valid cron expression: "${raw}"` };
+  },
+
+  timezone: (raw) => {
+    const value = String(raw).trim();
+    try {
+      new Intl.DateTimeFormat("en-GB", { timeZone: value });
+      return { value };
+    } catch {
+      return { error: `is not a known IANA time zone: "${raw}"` };
+    }
+  },
+
+  locale: (raw) => {
+    const value = String(raw).trim().toLowerCase();
+    return SUPPORTED_LOCALES.includes(value)
+      ? { value }
+      : { error: `must be one of ${SUPPORTED_LOCALES.join(", ")}, got "${raw}"` };
+  },
+
+  storageDriver: (raw) => {
+    const value = String(raw).trim().toLowerCase();
+    return Object.keys(STORAGE_DRIVER_SETTINGS).includes(value)
+      ? { value }
+      : { error: `must be one of ${Object.keys(STORAGE_DRIVER_SETTINGS).join(", ")}, got "${raw}"` };
+  }
+};
+
+// Settings each storage driver cannot work without
+const STORAGE_DRIVER_SETTINGS = {
+  "s3": ["storage.bucket", "storage.region"],
+  "s3-compatible": ["storage.bucket", "storage.endpoint"],
+  "local": ["storage.localDir"]
+};
+
+const getPath = (object, key) => {
+  return key.split(".").reduce((current, part) => (current == null ? undefined : current[part]), object);
+};
+
+const setPath = (object, key, value) => {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const target = parts.reduce((current, part) => (current[part] = current[part] || {}), object);
+  target[last] = value;
+};
+
+const readConfigFile = (problems) => {
+  const filePath = process.env.CONFIG_FILE
+    ? path.resolve(process.env.CONFIG_FILE)
+    : DEFAULT_CONFIG_FILE;
+
+  if (!fs.existsSync(filePath)) {
+    if (process.env.CONFIG_FILE) problems.push(`CONFIG_FILE ${filePath} does not exist`);
+    return { file: null, values: {} };
+  }
+
+  try {
+    return { file: filePath, values: JSON.parse(fs.readFileSync(filePath, "utf8")) };
+  } catch (error) {
+    problems.push(`${filePath} is not valid JSON: ${error.message}`);
+    return { file: filePath, values: {} };
+  }
+};
+
+/**
+ * Builds and validates the configuration from defaults, the optional JSON
+ * file and the given environment. Application code should require
+ * config/index.js, which calls this once.
+ *
+ * @throws {ConfigError}
+ */
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  const { file, values: fileValues } = readConfigFile(problems);
+  const config = {};
+  const sources = {};
+
+  const knownKeys = new Set(SCHEMA.map(entry => entry.key));
+  const collectUnknown = (object, prefix = "") => {
+    Object.entries(object || {}).forEach(([name, value]) => {
+      const key = prefix ? `${prefix}.${name}` : name;
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        collectUnknown(value, key);
+      } else if (!knownKeys.has(key)) {
+        problems.push(`${file}: unknown setting "${key}"`);
+      }
+    });
+  };
+  collectUnknown(fileValues);
+
+  for (const entry of SCHEMA) {
+    const envName = entry.env.find(name => env[name] !== undefined && env[name] !== "");
+    const fileValue = getPath(fileValues, entry.key);
+
+    let raw;
+    let source;
+    if (envName) {
+      raw = env[envName];
+      source = envName;
+    } else if (fileValue !== undefined) {
+      raw = fileValue;
+      source = file;
+    } else if (entry.default !== undefined) {
+      raw = entry.default;
+      source = "default";
+    } else {
+      if (entry.required) {
+        problems.push(`${entry.key} is required (set ${entry.env.join(" or ")} or "${entry.key}" in the config file)`);
+      }
+      continue;
+    }
+
+    const { value, error } = PARSERS[entry.type](raw);
+    if (error) {
+      problems.push(`${entry.key} (from ${source}) ${error}`);
+      continue;
+    }
+
+    setPath(config, entry.key, value);
+    sources[entry.key] = source;
+  }
+
+  (STORAGE_DRIVER_SETTINGS[getPath(config, "storage.driver")] || []).forEach(key => {
+    if (getPath(config, key) === undefined) {
+      const entry = SCHEMA.find(e => e.key === key);
+      problems.push(`${key} is required for storage.driver "${config.storage.driver}" (set ${entry.env.join(" or ")} or "${key}" in the config file)`);
+    }
+  });
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  Object.defineProperty(config, "sources", { value: sources, enumerable: false });
+  Object.defineProperty(config, "file", { value: file, enumerable: false });
+
+  return deepFreeze(config);
+};
+
+const deepFreeze = (object) => {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === "object") deepFreeze(value);
+  });
+  return Object.freeze(object);
+};
+
+/**
+ * One line per setting with its source, secrets masked. Printed at boot.
+ */
+const describeConfig = (config) => {
+  return SCHEMA
+    .filter(entry => getPath(config, entry.key) !== undefined)
+    .map(entry => {
+      const value = getPath(config, entry.key);
+      const shown = entry.secret ? "********" : Array.isArray(value) ? value.join(", ") : value;
+      return `${entry.key} = ${shown} (${config.sources[entry.key]})`;
+    });
+};
+
+module.exports = {
+  SCHEMA,
+  ConfigError,
+  loadConfig,
+  describeConfig
+};
@@ -0,0 +1,18 @@
+// config/locales.js
+// Languages the portal emails are written in. Stored as preferredLanguage
+// on Client, Employee and ClientEnrollment; each has a strings file in
+// emails/locales/.
+
+const SUPPORTED_LOCALES = ["fi", "sv", "en"];
+
+// Intl locale used for dates, months and amounts in each language
+const INTL_LOCALES = {
+  fi: "fi-FI",
+  sv: "sv-FI",
+  en: "en-GB"
+};
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  INTL_LOCALES
+};
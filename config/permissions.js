@@ -0,0 +1,90 @@
+// config/permissions.js
+// Central catalogue of admin permissions and the built-in admin roles.
+// Routes declare what they need with requirePermission("<permission>")
+// from middleware/permissionMiddleware.js instead of checking roles inline.
+
+const PERMISSIONS = {
+  CLIENTS_READ: "clients:read",
+  CLIENTS_UPDATE: "clients:update",
+  CLIENTS_LOCK_MONTH: "clients:lock-month",
+  PAYMENTS_READ: "payments:read",
+  PAYMENTS_UPDATE: "payments:update",
+  PLANS_MANAGE: "plans:manage",
+  EMPLOYEES_READ: "employees:read",
+  EMPLOYEES_MANAGE: "employees:manage",
+  ASSIGNMENTS_MANAGE: "assignments:manage",
+  ENROLLMENTS_READ: "enrollments:read",
+  ENROLLMENTS_APPROVE: "enrollments:approve",
+  STATEMENTS_READ: "statements:read",
+  STATEMENTS_MANAGE: "statements:manage",
+  DASHBOARD_READ: "dashboard:read",
+  NOTES_READ: "notes:read",
+  NOTES_UPDATE: "notes:update",
+  AGREEMENTS_MANAGE: "agreements:manage",
+  ACTIVITY_LOGS_READ: "activity-logs:read",
+  LEADS_READ: "leads:read",
+  REMINDERS_SEND: "reminders:send",
+  ADMINS_MANAGE: "admins:manage",
+  SECURITY_MANAGE: "security:manage",
+  JOBS_MANAGE: "jobs:manage",
+  EMAILS_READ: "emails:read",
+  EMAILS_MANAGE: "emails:manage"
+};
+
+// "*" grants every permission
+const WILDCARD = "*";
+
+// Built-in admin roles. Any other role name stored on an Admin is treated
+// as a custom role and only gets the permissions listed on that Admin.
+const ROLE_PERMISSIONS = {
+  SUPER_ADMIN: [WILDCARD],
+  BILLING: [
+    PERMISSIONS.CLIENTS_READ,
+    PERMISSIONS.PAYMENTS_READ,
+    PERMISSIONS.PAYMENTS_UPDATE,
+    PERMISSIONS.PLANS_MANAGE,
+    PERMISSIONS.STATEMENTS_READ,
+    PERMISSIONS.DASHBOARD_READ
+  ],
+  SUPPORT: [
+    PERMISSIONS.CLIENTS_READ,
+    PERMISSIONS.PAYMENTS_READ,
+    PERMISSIONS.EMPLOYEES_READ,
+    PERMISSIONS.ENROLLMENTS_READ,
+    PERMISSIONS.STATEMENTS_READ,
+    PERMISSIONS.DASHBOARD_READ,
+    PERMISSIONS.NOTES_READ,
+    PERMISSIONS.LEADS_READ,
+    PERMISSIONS.EMAILS_READ
+  ]
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/**
+ * Effective permissions of an Admin document: its role's built-in set
+ * plus any extra permissions stored on the admin itself.
+ */
+const resolveAdminPermissions = (admin) => {
+  const fromRole = ROLE_PERMISSIONS[admin?.role] || [];
+  const extra = Array.isArray(admin?.permissions) ? admin.permissions : [];
+  return [...new Set([...fromRole, ...extra])];
+};
+
+const hasPermission = (granted, permission) => {
+  return granted.includes(WILDCARD) || granted.includes(permission);
+};
+
+const isValidPermission = (permission) => {
+  return permission === WILDCARD || ALL_PERMISSIONS.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  WILDCARD,
+  ROLE_PERMISSIONS,
+  ALL_PERMISSIONS,
+  resolveAdminPermissions,
+  hasPermission,
+  isValidPermission
+};
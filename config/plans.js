@@ -0,0 +1,28 @@
+// config/plans.js
+// Monthly fees of the service plans in euros, VAT excluded, as quoted to
+// clients at enrollment and on plan changes. Used to show the amounts due
+// in payment reminders.
+
+const PLAN_FEES = {
+  // Toiminimi plans
+  "Lite": 40,
+  "Taxi": 45,
+  "Premium": 50,
+  "Pro": 60,
+  "Restaurant": 80,
+  // Osakeyhtiö plans
+  "Lite Oy": 120,
+  "Premium Oy": 160,
+  "Pro Oy": 200
+};
+
+// null for plans without a fixed fee (custom or unknown plan names)
+const monthlyFeeOf = (plan) => {
+  const fee = PLAN_FEES[String(plan || "").trim()];
+  return fee === undefined ? null : fee;
+};
+
+module.exports = {
+  PLAN_FEES,
+  monthlyFeeOf
+};
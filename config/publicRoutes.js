@@ -0,0 +1,55 @@
+// config/publicRoutes.js
+// Routes that are intentionally reachable without a session. Every other
+// route must have an auth guard (see middleware/permissionMiddleware.js);
+// utils/routeAuthCheck.js refuses to start the server otherwise.
+// Format: "<METHOD> <full path as mounted in index.js>"
+
+module.exports = [
+  "GET /",
+
+  // Login / logout / password recovery
+  "POST /admin/login",
+  "POST /admin/logout",
+  "POST /client/login",
+  "POST /client/logout",
+  "POST /client/forgot-password",
+  "POST /client/verify-otp",
+  "POST /client/reset-password",
+  "POST /employee/login",
+  "POST /employee/logout",
+
+  // Session refresh authenticates with the refresh cookie itself
+  "POST /admin/refresh",
+  "POST /employee/refresh",
+  "POST /client/refresh",
+
+  // Second login step and 2FA recovery authenticate with the login challenge token
+  "POST /admin/login/2fa",
+  "POST /admin/2fa/recovery/request",
+  "POST /admin/2fa/recovery/verify",
+  "POST /employee/login/2fa",
+  "POST /employee/2fa/recovery/request",
+  "POST /employee/2fa/recovery/verify",
+
+  // Public website forms
+  "POST /client-enrollment/enroll",
+  "POST /schedule-call/submit",
+  "POST /schedule-call/connect-us/submit",
+
+  // One-click unsubscribe links in emails; the signed token authenticates
+  "GET /notification-preferences/unsubscribe",
+  "POST /notification-preferences/unsubscribe",
+
+  // Files of the local storage driver; the signed link authenticates
+  "GET /files/*key",
+
+  // Agreement PDF shown to prospective clients before enrollment
+  "GET /admin/pdf/public/current",
+  "GET /admin/pdf/public/download-current",
+
+  // Static data / health checks that expose nothing about users
+  "GET /activity-logs/time-presets",
+  "GET /admin/pdf/test",
+  "GET /clientupload/test-simple",
+  "GET /employee/test"
+];
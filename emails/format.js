@@ -0,0 +1,52 @@
+// emails/format.js
+// Dates, months and amounts written the way each email language expects,
+// always in the portal time zone (config.timezone).
+
+const config = require("../config");
+const { INTL_LOCALES } = require("../config/locales");
+
+const intlLocale = (locale) => INTL_LOCALES[locale] || INTL_LOCALES.en;
+
+/**
+ * Formatters bound to one locale, passed to templates as `fmt`.
+ */
+const formattersFor = (locale) => {
+  const intl = intlLocale(locale);
+
+  return {
+    // 5 March 2026 / 5. maaliskuuta 2026 / 5 mars 2026
+    date: (value) => new Date(value).toLocaleDateString(intl, {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+      timeZone: config.timezone
+    }),
+
+    dateTime: (value) => new Date(value).toLocaleString(intl, {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+      timeZone: config.timezone,
+      timeZoneName: "short"
+    }),
+
+    // { year, month } with month 1-12
+    month: ({ year, month }) => new Date(Date.UTC(year, month - 1, 15)).toLocaleDateString(intl, {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC"
+    }),
+
+    amount: (value) => new Intl.NumberFormat(intl, {
+      style: "currency",
+      currency: "EUR",
+      maximumFractionDigits: 2
+    }).format(value)
+  };
+};
+
+module.exports = {
+  formattersFor
+};
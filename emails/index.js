@@ -0,0 +1,195 @@
+// emails/index.js
+// Registry of every email the portal sends. Each template lives in
+// emails/templates/ and its wording in emails/locales/<locale>.js, keyed by
+// template name; `common` holds strings shared by the layout and all
+// templates. A string missing from a locale falls back to English.
+//
+// Templates with a `preference` (a category of utils/notificationPreferences.js)
+// are non-transactional: they carry a one-click unsubscribe link, and the
+// routes sending them check the client's preferences first.
+//
+//   renderEmail("password-changed", data, { locale })  -> { subject, html, text, locale }
+//   sendTemplateEmail(to, "password-changed", data, { locale, attachments, idempotencyKey })
+//   sendTemplateEmail(to, "payment-reminder", data, { locale, clientId })
+
+const config = require("../config");
+const { SUPPORTED_LOCALES } = require("../config/locales");
+const sendEmail = require("../utils/sendEmail");
+const { unsubscribeUrl } = require("../utils/notificationPreferences");
+const { renderLayout } = require("./layout");
+const { formattersFor } = require("./format");
+
+const LOCALE_STRINGS = {
+  fi: require("./locales/fi"),
+  sv: require("./locales/sv"),
+  en: require("./locales/en")
+};
+
+const TEMPLATES = [
+  require("./templates/passwordResetOtp"),
+  require("./templates/passwordResetDone"),
+  require("./templates/passwordChanged"),
+  require("./templates/profileUpdated"),
+  require("./templates/planChanged"),
+  require("./templates/planChangedAdmin"),
+  require("./templates/enrollmentReceivedAdmin"),
+  require("./templates/enrollmentSubmitted"),
+  require("./templates/enrollmentRejected"),
+  require("./templates/enrollmentApproved"),
+  require("./templates/paymentReminder"),
+  require("./templates/documentReminder"),
+  require("./templates/documentReminderEscalation"),
+  require("./templates/noteAdded"),
+  require("./templates/monthLockReport"),
+  require("./templates/documentsLockChanged"),
+  require("./templates/accountStatusChanged"),
+  require("./templates/profileUpdatedByAdmin"),
+  require("./templates/planChangeApplied"),
+  require("./templates/statementRequested"),
+  require("./templates/statementRequestedAdmin"),
+  require("./templates/statementReady"),
+  require("./templates/agreementAccepted"),
+  require("./templates/twoFactorRecovery")
+];
+
+const registry = new Map(TEMPLATES.map(template => [template.name, template]));
+
+class EmailTemplateError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "EmailTemplateError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const getTemplate = (name) => {
+  const template = registry.get(name);
+  if (!template) {
+    throw new EmailTemplateError("UNKNOWN_TEMPLATE", `Unknown email template "${name}"`, 404);
+  }
+  return template;
+};
+
+const listTemplates = () => TEMPLATES.map(({ name, description, audience, category, preference }) => ({
+  name,
+  description,
+  audience,
+  category,
+  preference: preference || null
+}));
+
+/**
+ * First supported locale among the candidates (e.g. a client's
+ * preferredLanguage), otherwise config.email.defaultLocale.
+ */
+const resolveLocale = (...candidates) => {
+  const found = candidates
+    .map(candidate => String(candidate || "").trim().toLowerCase())
+    .find(candidate => SUPPORTED_LOCALES.includes(candidate));
+  return found || config.email.defaultLocale;
+};
+
+const lookup = (strings, templateName, key) => {
+  const own = strings[templateName]?.[key];
+  return own !== undefined ? own : strings.common?.[key];
+};
+
+const translatorFor = (locale, templateName) => (key, ...args) => {
+  let value = lookup(LOCALE_STRINGS[locale], templateName, key);
+  if (value === undefined) value = lookup(LOCALE_STRINGS.en, templateName, key);
+  if (value === undefined) {
+    throw new EmailTemplateError("MISSING_STRING", `Email template ${templateName} has no "${key}" string`, 500);
+  }
+  return typeof value === "function" ? value(...args) : value;
+};
+
+/**
+ * Translator for the shared strings of a locale, for pages outside an
+ * email (e.g. the unsubscribe confirmation).
+ */
+const commonTranslator = (locale) => translatorFor(resolveLocale(locale), "common");
+
+/**
+ * Renders a template in a locale. Staff templates (audience admin,
+ * employee or staff) use the given locale too; callers pass the recipient's.
+ * unsubscribeUrl is only shown for templates with a preference.
+ *
+ * @returns {{ subject: string, html: string, text: string, locale: string }}
+ */
+const renderEmail = (name, data, { locale, unsubscribeUrl: url } = {}) => {
+  const template = getTemplate(name);
+  const resolved = resolveLocale(locale);
+  const t = translatorFor(resolved, template.name);
+
+  const content = template.render(data, { t, fmt: formattersFor(resolved), locale: resolved });
+  const { html, text } = renderLayout({
+    title: content.subject,
+    staff: template.audience !== "client",
+    contact: template.audience === "client",
+    unsubscribe: template.preference && url ? { url, category: template.preference } : undefined,
+    ...content
+  }, t, resolved);
+
+  return { subject: content.subject, html, text, locale: resolved };
+};
+
+/**
+ * Renders a template and queues it through utils/sendEmail.js (the email
+ * outbox). The outbox category defaults to the template's. Templates with
+ * a preference need the recipient's clientId for the unsubscribe link.
+ */
+const sendTemplateEmail = async (to, name, data, { locale, attachments = [], category, idempotencyKey, clientId } = {}) => {
+  const template = getTemplate(name);
+  if (template.preference && !clientId) {
+    throw new EmailTemplateError("CLIENT_REQUIRED", `Email template ${name} needs a clientId for its unsubscribe link`, 500);
+  }
+
+  const url = template.preference ? unsubscribeUrl(clientId, template.preference) : undefined;
+  const { subject, html, text } = renderEmail(name, data, { locale, unsubscribeUrl: url });
+  return sendEmail(to, subject, html, attachments, {
+    text,
+    category: category || template.category,
+    unsubscribeUrl: url,
+    idempotencyKey
+  });
+};
+
+/**
+ * Renders a template with its sample data, for the admin preview.
+ */
+const previewEmail = (name, locale) => {
+  const template = getTemplate(name);
+  if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+    throw new EmailTemplateError("UNKNOWN_LOCALE", `Unknown locale "${locale}"; use one of ${SUPPORTED_LOCALES.join(", ")}`);
+  }
+  const sample = template.sample();
+  const url = template.preference ? unsubscribeUrl(sample.client?.clientId, template.preference) : undefined;
+  return renderEmail(template.name, sample, { locale, unsubscribeUrl: url });
+};
+
+/**
+ * Strings the English file has for a template (or in common) that a
+ * locale does not translate yet; those fall back to English.
+ */
+const missingStrings = (locale) => {
+  const strings = LOCALE_STRINGS[locale] || {};
+  const missing = [];
+  Object.entries(LOCALE_STRINGS.en).forEach(([section, keys]) => {
+    Object.keys(keys).forEach(key => {
+      if (strings[section]?.[key] === undefined) missing.push(`${section}.${key}`);
+    });
+  });
+  return missing;
+};
+
+module.exports = {
+  EmailTemplateError,
+  listTemplates,
+  resolveLocale,
+  commonTranslator,
+  renderEmail,
+  sendTemplateEmail,
+  previewEmail,
+  missingStrings
+};
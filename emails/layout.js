@@ -0,0 +1,249 @@
+// emails/layout.js
+// Shared layout and partials of every portal email. Templates describe
+// their content as a list of blocks built with the helpers below; the
+// layout renders the same blocks once as HTML and once as plain text, so
+// both parts of an email always say the same thing.
+//
+// Every string is HTML-escaped here; templates and locale files contain
+// plain text only.
+
+const SUPPORT_EMAIL = "support@jladgroup.fi";
+const SUPPORT_PHONE = "+358413250081";
+const DEVELOPER = "Developed by Vapautus Media Private Limited";
+
+const TONES = {
+  success: { background: "#e8f5e9", border: "#4caf50" },
+  info: { background: "#e3f2fd", border: "#2196f3" },
+  warning: { background: "#fff8e1", border: "#ffc107" },
+  danger: { background: "#fff5f5", border: "#ff6b6b" },
+  neutral: { background: "#f8f9fa", border: "#7cd64b" }
+};
+
+const escapeHtml = (value) => String(value ?? "").replace(/[&<>"']/g, char => ({
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  "\"": "&quot;",
+  "'": "&#39;"
+}[char]));
+
+/* ===============================
+   BLOCKS
+   Table cells and list items are strings, or strong(text) for emphasis.
+================================ */
+const strong = (text) => ({ text, strong: true });
+
+const heading = (text) => ({ type: "heading", text });
+const paragraph = (text, { muted = false } = {}) => ({ type: "paragraph", text, muted });
+const box = (tone, title, children = []) => ({ type: "box", tone, title, children: children.filter(Boolean) });
+// rows: [label, value] pairs, or rows of cells when head is given
+const table = (rows, { head } = {}) => ({ type: "table", rows, head });
+const list = (items, { ordered = false } = {}) => ({ type: "list", items, ordered });
+const button = (label, url) => ({ type: "button", label, url });
+const code = (text) => ({ type: "code", text });
+
+/* ===============================
+   HTML
+================================ */
+const cellHtml = (cell) => {
+  if (cell && typeof cell === "object") {
+    return cell.strong ? `<strong>${escapeHtml(cell.text)}</strong>` : escapeHtml(cell.text);
+  }
+  return escapeHtml(cell);
+};
+
+const blockHtml = (block) => {
+  switch (block.type) {
+    case "heading":
+      return `<h3 class="section-title">${escapeHtml(block.text)}</h3>`;
+
+    case "paragraph":
+      return block.muted
+        ? `<p style="font-size: 14px; color: #666;">${escapeHtml(block.text)}</p>`
+        : `<p>${escapeHtml(block.text)}</p>`;
+
+    case "box": {
+      const tone = TONES[block.tone] || TONES.neutral;
+      return `
+          <div style="background: ${tone.background}; border-left: 4px solid ${tone.border}; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0;">
+            ${block.title ? `<h3 style="margin-top: 0;">${escapeHtml(block.title)}</h3>` : ""}
+            ${block.children.map(blockHtml).join("\n")}
+          </div>`;
+    }
+
+    case "table": {
+      const head = block.head
+        ? `<tr>${block.head.map(cell => `<th>${cellHtml(cell)}</th>`).join("")}</tr>`
+        : "";
+      const rows = block.rows.map(row => block.head
+        ? `<tr>${row.map(cell => `<td>${cellHtml(cell)}</td>`).join("")}</tr>`
+        : `<tr><th>${cellHtml(row[0])}</th><td>${cellHtml(row[1])}</td></tr>`).join("\n");
+      return `<table>${head}\n${rows}</table>`;
+    }
+
+    case "list": {
+      const tag = block.ordered ? "ol" : "ul";
+      return `<${tag}>${block.items.map(item => `<li>${cellHtml(item)}</li>`).join("")}</${tag}>`;
+    }
+
+    case "button":
+      return `
+          <div style="text-align: center; margin: 20px 0;">
+            <a href="${escapeHtml(block.url)}" style="display: inline-block; padding: 14px 32px; background: #7cd64b; color: #000000; text-decoration: none; border-radius: 4px; font-weight: 700;">${escapeHtml(block.label)}</a>
+          </div>`;
+
+    case "code":
+      return `
+          <div style="background: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
+            <h1 style="color: #7cd64b; font-size: 32px; letter-spacing: 5px; margin: 0;">${escapeHtml(block.text)}</h1>
+          </div>`;
+
+    default:
+      return "";
+  }
+};
+
+/* ===============================
+   PLAIN TEXT
+================================ */
+const cellText = (cell) => (cell && typeof cell === "object" ? cell.text : String(cell ?? ""));
+
+const blockText = (block) => {
+  switch (block.type) {
+    case "heading":
+      return `${block.text}\n${"-".repeat(Math.min(block.text.length, 60))}`;
+
+    case "paragraph":
+      return block.text;
+
+    case "box":
+      return [block.title && block.title.toUpperCase(), ...block.children.map(blockText)]
+        .filter(Boolean)
+        .join("\n\n");
+
+    case "table":
+      if (block.head) {
+        return [block.head, ...block.rows].map(row => row.map(cellText).join(" | ")).join("\n");
+      }
+      return block.rows.map(([label, value]) => `${cellText(label)}: ${cellText(value)}`).join("\n");
+
+    case "list":
+      return block.items.map((item, i) => `${block.ordered ? `${i + 1}.` : "-"} ${cellText(item)}`).join("\n");
+
+    case "button":
+      return `${block.label}: ${block.url}`;
+
+    case "code":
+      return `    ${block.text}`;
+
+    default:
+      return "";
+  }
+};
+
+/* ===============================
+   LAYOUT
+================================ */
+/**
+ * Wraps rendered template content in the portal header, contact details
+ * and footer. With `unsubscribe` ({ url, category }) the footer carries
+ * the one-click unsubscribe link of a non-transactional email.
+ *
+ * @param {object} content  { title, greeting, blocks, recipient, contact, unsubscribe }
+ * @param {Function} t      translator of the email's locale
+ * @param {string} locale
+ * @returns {{ html: string, text: string }}
+ */
+const renderLayout = ({ title, greeting, blocks, recipient, contact = true, staff = false, unsubscribe }, t, locale) => {
+  const contactBlocks = contact
+    ? [
+      heading(t("contactTitle")),
+      table([
+        [t("contactEmail"), SUPPORT_EMAIL],
+        [t("contactPhone"), SUPPORT_PHONE],
+        [t("contactHours"), t("contactHoursValue")]
+      ])
+    ]
+    : [];
+
+  const footerLines = [
+    t("automated"),
+    staff ? null : t("noReply", SUPPORT_EMAIL),
+    recipient ? t("sentTo", recipient) : null
+  ].filter(Boolean);
+
+  const unsubscribeNote = unsubscribe ? t("unsubscribeNote", t("preferenceCategories")[unsubscribe.category]) : null;
+
+  const html = `
+      <!DOCTYPE html>
+      <html lang="${locale}">
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(title)}</title>
+        <style>
+          body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
+          .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
+          .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
+          .content { padding: 30px; background: #ffffff; }
+          .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
+          .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
+          .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
+          table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+          th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
+          th { background: #f8f9fa; font-weight: 600; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>${escapeHtml(t("brand"))}</h1>
+          <p style="margin-top: 5px; opacity: 0.9;">${escapeHtml(staff ? t("staffTagline") : t("tagline"))}</p>
+        </div>
+
+        <div class="content">
+          ${greeting ? `<h2 style="color: #2c3e50; margin-top: 0;">${escapeHtml(greeting)}</h2>` : ""}
+          ${[...blocks, ...contactBlocks].filter(Boolean).map(blockHtml).join("\n")}
+        </div>
+
+        <div class="footer">
+          <p><strong>${escapeHtml(t("brand"))}</strong></p>
+          <p>${escapeHtml(t("services"))}</p>
+          <div class="dev-info">${DEVELOPER}</div>
+          <p style="font-size: 12px; margin-top: 10px;">
+            ${footerLines.map(escapeHtml).join("<br>\n            ")}
+          </p>
+          ${unsubscribe ? `<p style="font-size: 12px; margin-top: 10px;">
+            ${escapeHtml(unsubscribeNote)}<br>
+            <a href="${escapeHtml(unsubscribe.url)}" style="color: #7cd64b;">${escapeHtml(t("unsubscribe"))}</a>
+          </p>` : ""}
+        </div>
+      </body>
+      </html>
+    `;
+
+  const text = [
+    t("brand"),
+    greeting,
+    ...[...blocks, ...contactBlocks].filter(Boolean).map(blockText),
+    "--",
+    ...footerLines,
+    unsubscribe ? `${unsubscribeNote}\n${t("unsubscribe")}: ${unsubscribe.url}` : null
+  ].filter(Boolean).join("\n\n") + "\n";
+
+  return { html, text };
+};
+
+module.exports = {
+  SUPPORT_EMAIL,
+  SUPPORT_PHONE,
+  escapeHtml,
+  strong,
+  heading,
+  paragraph,
+  box,
+  table,
+  list,
+  button,
+  code,
+  renderLayout
+};
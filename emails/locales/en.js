@@ -0,0 +1,419 @@
+// emails/locales/en.js
+// English email strings. This file is the reference: every key used by a
+// template must exist here, other locales fall back to it.
+
+module.exports = {
+  common: {
+    brand: "Credence Enterprise Accounting Services",
+    tagline: "Professional Accounting & VAT Compliance",
+    staffTagline: "Staff Notification",
+    services: "Professional Accounting | VAT Compliance | Business Advisory",
+    greeting: (name) => `Dear ${name},`,
+
+    contactTitle: "📞 Our Contact Information",
+    contactEmail: "Email",
+    contactPhone: "Phone Support",
+    contactHours: "Business Hours",
+    contactHoursValue: "Monday to Friday 9am to 3pm (EET/EEST)",
+
+    automated: "This is an automated email.",
+    noReply: (supportEmail) => `Please do not reply to this email. For queries, contact ${supportEmail}.`,
+    sentTo: (email) => `Email sent to: ${email}`,
+
+    notSpecified: "Not specified",
+    notProvided: "Not provided",
+    yes: "Yes",
+    no: "No",
+    yourBusiness: "Your Business",
+    administrator: "Administrator",
+    vatMonthly: "Monthly",
+    vatQuarterly: "Quarterly",
+    perMonth: (amount) => `${amount} + VAT / month`,
+    plusVat: (amount) => `${amount} + VAT`,
+
+    client: "Client",
+    clientId: "Client ID",
+    name: "Name",
+    email: "Email",
+    phone: "Phone",
+    businessName: "Business Name",
+    vatPeriod: "VAT Period",
+    plan: "Plan",
+    previousPlan: "Previous Plan",
+    newPlan: "New Plan",
+    effectiveFrom: "Effective From",
+    enrollId: "Enrollment ID",
+    status: "Status",
+    pendingReview: "Pending review",
+    requestId: "Request ID",
+    period: "Period",
+    periodRange: (from, to) => `${from} - ${to}`,
+    agreementTitle: "📄 Agreement Document",
+    categoryLabels: {
+      sales: "Sales",
+      purchase: "Purchase",
+      bank: "Bank"
+    },
+    unsubscribe: "Unsubscribe from these emails",
+    unsubscribeNote: (what) => `You receive this email because ${what} are switched on in your notification preferences.`,
+    preferenceCategories: {
+      reminders: "reminders",
+      noteAlerts: "note alerts",
+      marketing: "news and offers"
+    },
+    unsubscribeConfirm: (what) => `Do you want to stop receiving ${what} by email?`,
+    unsubscribeConfirmButton: "Unsubscribe",
+    unsubscribedTitle: "You have been unsubscribed",
+    unsubscribed: (what) => `You will no longer receive ${what} by email. You can switch them back on in your notification preferences in the client portal.`,
+    unsubscribeInvalid: "This unsubscribe link is invalid or incomplete. Please use the link from the latest email, or change your notification preferences in the client portal."
+  },
+
+  "password-reset-otp": {
+    subject: "Password Reset OTP - Credence",
+    intro: "You requested to reset your password. Use the one-time code below:",
+    validity: (minutes) => `This code is valid for ${minutes} minutes.`,
+    ignore: "If you did not request this, please ignore this email."
+  },
+
+  "password-reset-done": {
+    subject: "Password Updated Successfully - Credence",
+    body: "Your password has been successfully updated and all devices signed in to your account have been signed out.",
+    notYou: "If you did not make this change, please contact Credence support immediately.",
+    login: "Log in to the client portal"
+  },
+
+  "password-changed": {
+    subject: "Password Changed - Credence",
+    body: "Your password has been successfully changed from your profile settings.",
+    notYou: "If you did not make this change, please contact Credence support immediately.",
+    thanks: "Thank you for keeping your account secure."
+  },
+
+  "profile-updated": {
+    subject: (name) => `✅ Profile Updated Successfully - ${name}`,
+    heading: "✅ Your profile has been updated",
+    body: "Your profile information has been successfully updated from your account.",
+    updatedOn: (when) => `Updated on: ${when}`,
+    changesTitle: "📋 Changes Summary",
+    field: "Field",
+    previousValue: "Previous Value",
+    newValue: "New Value",
+    notSet: "Not set",
+    currentTitle: "👤 Your Current Profile Information",
+    notYou: "These changes were made from your account. If you did not make them, please contact our support team immediately.",
+    fieldLabels: {
+      firstName: "First Name",
+      lastName: "Last Name",
+      email: "Email Address",
+      phone: "Phone Number",
+      address: "Address",
+      visaType: "Visa Type",
+      hasStrongId: "Strong ID Status",
+      businessAddress: "Business Address",
+      bankAccount: "Bank Account",
+      bicCode: "BIC Code",
+      businessName: "Business Name",
+      vatPeriod: "VAT Period",
+      businessNature: "Business Nature",
+      registerTrade: "Registered Trade",
+      preferredLanguage: "Email Language"
+    }
+  },
+
+  "plan-changed": {
+    subject: (name) => `✅ Plan Changed Successfully - ${name}`,
+    heading: "✅ Plan changed successfully",
+    body: "Your accounting plan has been updated immediately as requested.",
+    changedOn: (when) => `Changed on: ${when}`,
+    detailsTitle: "📋 Plan Change Details",
+    accountTitle: "👤 Your Account Information",
+    note: (plan) => `Your billing follows the ${plan} plan from today, and all future services are provided according to it.`
+  },
+
+  "plan-changed-admin": {
+    subject: (name, clientId) => `📋 Plan Change Completed - ${name} (${clientId})`,
+    heading: "✅ Immediate plan change",
+    body: (name, clientId, when) => `${name} (${clientId}) changed their plan on ${when}. The change is already applied; no action is required.`,
+    detailsTitle: "📋 Client & Plan Details"
+  },
+
+  "enrollment-received-admin": {
+    subject: (name) => `🚨 New Client Enrollment - ${name}`,
+    heading: "📋 New client enrollment received",
+    body: "A new client has submitted an enrollment form and is awaiting your review.",
+    submittedAt: (when) => `Submitted: ${when}`,
+    summaryTitle: "📊 Enrollment Summary",
+    ipAddress: "IP Address",
+    detailsTitle: "📝 Additional Details",
+    visaType: "Visa Type",
+    strongId: "Strong ID Available",
+    businessNature: "Nature of Business",
+    tradeRegister: "Trade Register",
+    registered: "Registered",
+    notRegistered: "Not registered",
+    address: "Address",
+    nextStepsTitle: "📋 Next Steps",
+    nextSteps: [
+      "Review the client's information in the admin panel",
+      "Verify business details and plan selection",
+      "Approve to create the client account, or reject with a reason",
+      "The system emails the approval or rejection to the client automatically"
+    ]
+  },
+
+  "enrollment-submitted": {
+    subject: "Enrollment Submitted Successfully - Credence Enterprise Accounting Services",
+    heading: "✅ Enrollment submitted successfully!",
+    body: "Thank you for choosing Credence Enterprise Accounting Services. Your enrollment has been received and is currently under review.",
+    submittedOn: "Submission Date",
+    nextTitle: "What happens next?",
+    nextSteps: [
+      "Our team will review your application within 24-48 hours",
+      "You will receive an approval or rejection email with details",
+      "If approved, you will get login credentials for your client portal",
+      "You can then upload documents and start using our services"
+    ],
+    agreementBody: "Please find Agreement.pdf attached to this email. Kindly read the Terms & Conditions carefully before your application is processed.",
+    questions: "If you have any questions, please contact our support team."
+  },
+
+  "enrollment-rejected": {
+    subject: (business) => `Application Status Update - ${business} | Credence Enterprise Accounting Services`,
+    intro: (date) => `Thank you for your interest in Credence Enterprise Accounting Services. We have reviewed your application submitted on ${date}.`,
+    statusTitle: "Application Status: Rejected",
+    applicationId: "Application ID",
+    reviewedOn: "Reviewed On",
+    reviewedBy: "Reviewed By",
+    reasonTitle: "Reason for Rejection",
+    noReason: "No specific reason provided.",
+    detailsTitle: "Application Details",
+    contactUs: "If you believe there has been an error, or if you wish to provide additional information, please contact our support team."
+  },
+
+  "enrollment-approved": {
+    subject: "Welcome to Credence Enterprise Accounting Services - Account Approved & Activated",
+    welcome: (name) => `Welcome ${name}!`,
+    body: "We are pleased to inform you that your application has been approved and your client account has been activated.",
+    credentialsTitle: "🔐 Your Portal Access Credentials",
+    portal: "Client Portal",
+    temporaryPassword: "Temporary Password",
+    login: "Log in to the client portal",
+    changePassword: "Please change your password after your first login.",
+    accountTitle: "📋 Your Account Details",
+    approvedOn: "Approved On",
+    approvedBy: "Approved By",
+    acceptanceTitle: "✅ Acceptance Confirmation",
+    acceptance: "By accessing the client portal and using our services, you acknowledge that you have read, understood and agree to our Terms & Conditions and Privacy Policy.",
+    serviceStart: (date) => `Service start date: ${date}`,
+    agreementBody: "Please find Agreement.pdf attached to this email. Please keep this email and the agreement for your records."
+  },
+
+  "payment-reminder": {
+    subjectFirst: (business) => `💰 Monthly Payment Reminder - ${business}`,
+    subjectFinal: (business) => `⚠️ Final Payment Reminder - ${business}`,
+    headingFirst: "💰 Monthly payment reminder",
+    headingFinal: "⚠️ Final payment reminder",
+    bodyFirst: "This is a friendly reminder regarding your monthly accounting service payment.",
+    bodyFinal: "Our records show that the payments below are still outstanding. Please settle them as soon as possible.",
+    timely: "Please ensure timely payment for uninterrupted services.",
+    sentAt: (when) => `Reminder sent: ${when}`,
+    accountTitle: "📋 Your Account Information",
+    outstandingTitle: "🧾 Outstanding Payments",
+    month: "Month",
+    amount: "Amount",
+    asInvoiced: "As invoiced",
+    totalDue: "Total Due",
+    plusInvoiced: "plus amounts as invoiced",
+    alreadyPaidOne: "✅ Already paid? If you have already paid for this month, please ignore this reminder. Thank you!",
+    alreadyPaidMany: "✅ Already paid? If you have already made the payments listed above, please ignore this reminder. Thank you!",
+    questions: "If you have any questions regarding your invoice or need help with payment, please contact our billing team."
+  },
+
+  "document-reminder": {
+    subjectFirst: (month, business) => `📄 Document Upload Reminder - ${month} - ${business}`,
+    subjectFinal: (month, business) => `⚠️ Final Document Upload Reminder - ${month} - ${business}`,
+    headingFirst: "📄 Document upload reminder",
+    headingFinal: "⚠️ Final document upload reminder",
+    body: (month) => `This is a gentle reminder to upload your documents for ${month}.`,
+    sentAt: (when) => `Reminder sent: ${when}`,
+    deadlineTitle: "⚠️ Important deadline",
+    deadline: (date, month) => `${date} is the final deadline for uploading all required documents for ${month}.`,
+    nilReturn: "If the documents are not received by then, we will assume there is no data for the month and file a nil return.",
+    missingTitle: (month) => `📂 Still missing for ${month}`,
+    empty: "No documents uploaded yet",
+    unlocked: "Uploaded but not locked - please review and lock the category",
+    accountTitle: "📋 Your Account Information",
+    documentMonth: "Document Month",
+    deadlineDate: "Deadline",
+    alreadyUploaded: (month) => `✅ Already uploaded? If you have already uploaded your documents for ${month}, please ignore this reminder. Thank you!`,
+    questions: "If you have any questions about document uploads or need assistance, please contact our support team."
+  },
+
+  "document-reminder-escalation": {
+    subject: (month, count) => `⚠️ Documents Still Missing - ${month} - ${count} client(s)`,
+    body: (month) => `The following clients assigned to you have not completed their documents for ${month}. The month is locked automatically on the 26th; please follow up with them before then.`,
+    missing: "Missing",
+    notLocked: "not locked"
+  },
+
+  "note-added": {
+    subject: (fileName) => `📝 New note on ${fileName}`,
+    heading: "📝 Your accountant added a note",
+    body: (name) => `${name} added a note to one of your documents. Please review it in the client portal.`,
+    noteTitle: "💬 Note",
+    detailsTitle: "📋 Document",
+    documentMonth: "Document Month",
+    category: "Category",
+    file: "File",
+    addedAt: "Added",
+    openPortal: "Open the client portal"
+  },
+
+  "month-lock-report": {
+    subject: (month, locked) => `🔒 Auto-Lock CRON Report: ${month} - ${locked} clients locked`,
+    summaryTitle: "📊 Operation Summary",
+    monthProcessed: "Month Processed",
+    executedAt: "Executed At",
+    duration: "Duration",
+    seconds: (value) => `${value} seconds`,
+    statsTitle: "📈 Statistics",
+    totalClients: "Total Clients",
+    newlyLocked: "Newly Locked",
+    alreadyLocked: "Already Locked",
+    inactiveMonths: "Inactive Months",
+    failed: "Failed",
+    lockedTitle: (count) => `✅ Newly Locked Clients (${count})`,
+    alreadyLockedTitle: (count) => `⏭️ Already Locked Clients (${count})`,
+    source: "Source",
+    errorsTitle: (count) => `⚠️ Errors (${count})`,
+    moreErrors: (count) => `... and ${count} more errors`,
+    schedule: "CRON job: auto-lock previous month (month-lock, see GET /admin/jobs)"
+  },
+
+  "documents-lock-changed": {
+    subjectLocked: (what, name) => `🔒 Locked: ${what} - ${name}`,
+    subjectUnlocked: (what, name) => `🔓 Unlocked: ${what} - ${name}`,
+    headingLocked: "🔒 Documents locked",
+    headingUnlocked: "🔓 Documents unlocked",
+    locked: "Locked",
+    unlocked: "Unlocked",
+    documentMonth: "Document Month",
+    category: "Category",
+    changedAt: "Date",
+    bodyLocked: "Your documents have been locked and are now being processed by our accounting team.",
+    bodyUnlocked: "Your documents have been unlocked. You can now upload new files or make changes."
+  },
+
+  "account-status-changed": {
+    subjectReactivated: (name) => `✅ Account Reactivated - ${name}`,
+    subjectDeactivated: (name) => `⚠️ Account Deactivated - ${name}`,
+    headingReactivated: "✅ Account reactivated",
+    headingDeactivated: "⚠️ Account deactivated",
+    bodyReactivated: "Your account has been reactivated by our admin team.",
+    bodyDeactivated: "Your account has been deactivated by our admin team.",
+    changedAt: "Date & Time",
+    changedBy: "Admin",
+    reason: "Reason",
+    accountTitle: "📋 Account Information",
+    active: "Active",
+    inactive: "Inactive",
+    reactivatedNote: "You can now access all features of your accounting portal. All services have been restored.",
+    deactivatedTitle: "⚠️ What this means",
+    deactivatedNotes: [
+      "You will not be able to access your accounting portal",
+      "Task assignments and new requests are paused",
+      "Your data remains safe and secure with us"
+    ],
+    contactUs: "If you believe this was done in error or have questions, please contact our support team immediately."
+  },
+
+  "profile-updated-by-admin": {
+    subject: (name) => `✅ Client Profile Updated - ${name}`,
+    heading: "✅ Your profile has been updated",
+    body: "Your client profile has been updated by our admin team. The changes are listed below.",
+    updatedOn: "Updated On",
+    updatedBy: "Updated By",
+    changesTitle: "📋 Profile Changes Summary",
+    field: "Field",
+    previousValue: "Previous Value",
+    newValue: "New Value",
+    notSet: "Not set",
+    currentTitle: "👤 Your Current Profile Information",
+    note: "This update was made by our admin team to keep your profile information accurate and up to date.",
+    notYou: "If you did not request these changes or notice any discrepancies, please contact our support team immediately.",
+    fieldLabels: {
+      visaType: "Visa Type",
+      hasStrongId: "Strong ID Status",
+      vatPeriod: "VAT Period",
+      businessNature: "Business Nature",
+      registerTrade: "Registered Trade",
+      planSelected: "Selected Plan"
+    }
+  },
+
+  "plan-change-applied": {
+    subject: (name) => `✅ Plan Change Applied - ${name}`,
+    heading: "✅ Scheduled plan change applied",
+    body: "Your scheduled plan change has been applied automatically at the start of the month.",
+    appliedOn: (date) => `Applied on: ${date}`,
+    detailsTitle: "📋 Plan Change Details",
+    billingMonth: "Billing Month",
+    note: (plan) => `Your account now uses the ${plan} plan, and all future billing is based on it.`,
+    questions: "If you have any questions about your plan change, please contact our support team."
+  },
+
+  "statement-requested": {
+    subject: "Financial Statement Request Received",
+    heading: "✅ Request received",
+    submittedAt: "Submitted",
+    nextTitle: "What happens next?",
+    nextSteps: [
+      "Our admin team has been notified of your request",
+      "We will review and prepare your financial statements",
+      "You will receive another email when the statements are ready",
+      "The statements will be available in your dashboard"
+    ]
+  },
+
+  "statement-requested-admin": {
+    subject: (name) => `New Financial Statement Request - ${name}`,
+    heading: "📄 New financial statement request",
+    requestedAt: "Requested At",
+    notes: "Additional Notes",
+    body: "Please review this request and prepare the financial statements."
+  },
+
+  "statement-ready": {
+    subject: (period) => `✅ Your Financial Statements for ${period} are Ready`,
+    heading: "✅ Your financial statements are ready",
+    approved: "Approved & sent",
+    sentAt: "Sent",
+    notes: "Notes from our team",
+    download: "Download the statements",
+    tipsTitle: "💡 Important",
+    tips: [
+      "Review the statements carefully",
+      "Keep a copy for your records",
+      "Contact us if you have any questions"
+    ],
+    thanks: "Thank you for using our accounting services!"
+  },
+
+  "agreement-accepted": {
+    subject: "Agreement Accepted - Credence Enterprise Accounting Services",
+    heading: "✅ Agreement accepted",
+    body: "This email confirms that you have read and accepted the updated Terms & Conditions of Credence Enterprise Accounting Services.",
+    detailsTitle: "📋 Acceptance Details",
+    acceptedAt: "Accepted On",
+    accepted: "Accepted",
+    agreementBody: "Please find the accepted Agreement.pdf attached to this email for your records.",
+    notYou: "This record has been saved for compliance purposes. If you did not perform this action, please contact our support team immediately."
+  },
+
+  "two-factor-recovery": {
+    subject: "Two-Factor Recovery Code - Credence",
+    intro: "You asked to sign in without your authenticator app. Use the code below:",
+    validity: (minutes) => `This code is valid for ${minutes} minutes. Using it turns off two-factor authentication on your account until you set it up again.`,
+    ignore: "If you did not request this, change your password and contact your administrator."
+  }
+};
@@ -0,0 +1,418 @@
+// emails/locales/fi.js
+// Finnish email strings. Same keys as en.js; a missing key falls back to English.
+
+module.exports = {
+  common: {
+    brand: "Credence Enterprise Accounting Services",
+    tagline: "Ammattimaista kirjanpitoa ja arvonlisäverotusta",
+    staffTagline: "Ilmoitus henkilökunnalle",
+    services: "Kirjanpito | Arvonlisäverotus | Liiketoimintaneuvonta",
+    greeting: (name) => `Hyvä ${name},`,
+
+    contactTitle: "📞 Yhteystietomme",
+    contactEmail: "Sähköposti",
+    contactPhone: "Puhelintuki",
+    contactHours: "Aukioloajat",
+    contactHoursValue: "maanantaista perjantaihin klo 9–15 (Suomen aikaa)",
+
+    automated: "Tämä on automaattinen viesti.",
+    noReply: (supportEmail) => `Älä vastaa tähän viestiin. Kysymykset voit lähettää osoitteeseen ${supportEmail}.`,
+    sentTo: (email) => `Viesti lähetetty osoitteeseen: ${email}`,
+
+    notSpecified: "Ei määritetty",
+    notProvided: "Ei annettu",
+    yes: "Kyllä",
+    no: "Ei",
+    yourBusiness: "Yrityksesi",
+    administrator: "Ylläpitäjä",
+    vatMonthly: "Kuukausittain",
+    vatQuarterly: "Neljännesvuosittain",
+    perMonth: (amount) => `${amount} + ALV / kk`,
+    plusVat: (amount) => `${amount} + ALV`,
+
+    client: "Asiakas",
+    clientId: "Asiakastunnus",
+    name: "Nimi",
+    email: "Sähköposti",
+    phone: "Puhelin",
+    businessName: "Yrityksen nimi",
+    vatPeriod: "ALV-kausi",
+    plan: "Palvelupaketti",
+    previousPlan: "Aiempi paketti",
+    newPlan: "Uusi paketti",
+    effectiveFrom: "Voimassa alkaen",
+    enrollId: "Hakemustunnus",
+    status: "Tila",
+    pendingReview: "Odottaa käsittelyä",
+    requestId: "Pyynnön tunnus",
+    period: "Ajanjakso",
+    periodRange: (from, to) => `${from} – ${to}`,
+    agreementTitle: "📄 Sopimusasiakirja",
+    categoryLabels: {
+      sales: "Myynnit",
+      purchase: "Ostot",
+      bank: "Pankki"
+    },
+    unsubscribe: "Peru näiden sähköpostien tilaus",
+    unsubscribeNote: (what) => `Saat tämän viestin, koska ${what} ovat päällä ilmoitusasetuksissasi.`,
+    preferenceCategories: {
+      reminders: "muistutukset",
+      noteAlerts: "huomautusilmoitukset",
+      marketing: "uutiset ja tarjoukset"
+    },
+    unsubscribeConfirm: (what) => `Haluatko lopettaa sähköposti-ilmoitukset: ${what}?`,
+    unsubscribeConfirmButton: "Peru tilaus",
+    unsubscribedTitle: "Tilaus on peruttu",
+    unsubscribed: (what) => `Sähköposti-ilmoitukset on poistettu käytöstä: ${what}. Voit ottaa ne uudelleen käyttöön asiakasportaalin ilmoitusasetuksista.`,
+    unsubscribeInvalid: "Tämä peruutuslinkki on virheellinen tai puutteellinen. Käytä uusimman viestin linkkiä tai muuta ilmoitusasetuksiasi asiakasportaalissa."
+  },
+
+  "password-reset-otp": {
+    subject: "Salasanan palautuskoodi - Credence",
+    intro: "Pyysit salasanasi palauttamista. Käytä alla olevaa kertakäyttöistä koodia:",
+    validity: (minutes) => `Koodi on voimassa ${minutes} minuuttia.`,
+    ignore: "Jos et pyytänyt salasanan palautusta, voit jättää tämän viestin huomiotta."
+  },
+
+  "password-reset-done": {
+    subject: "Salasana päivitetty - Credence",
+    body: "Salasanasi on päivitetty, ja kaikki tilillesi kirjautuneet laitteet on kirjattu ulos.",
+    notYou: "Jos et tehnyt tätä muutosta itse, ota heti yhteyttä Credencen asiakastukeen.",
+    login: "Kirjaudu asiakasportaaliin"
+  },
+
+  "password-changed": {
+    subject: "Salasana vaihdettu - Credence",
+    body: "Salasanasi on vaihdettu profiiliasetuksistasi.",
+    notYou: "Jos et tehnyt tätä muutosta itse, ota heti yhteyttä Credencen asiakastukeen.",
+    thanks: "Kiitos, että pidät tilisi turvassa."
+  },
+
+  "profile-updated": {
+    subject: (name) => `✅ Profiilitiedot päivitetty - ${name}`,
+    heading: "✅ Profiilisi on päivitetty",
+    body: "Profiilitietosi on päivitetty tililtäsi.",
+    updatedOn: (when) => `Päivitetty: ${when}`,
+    changesTitle: "📋 Muutokset",
+    field: "Kenttä",
+    previousValue: "Aiempi arvo",
+    newValue: "Uusi arvo",
+    notSet: "Ei asetettu",
+    currentTitle: "👤 Nykyiset profiilitietosi",
+    notYou: "Muutokset tehtiin tililtäsi. Jos et tehnyt niitä itse, ota heti yhteyttä asiakastukeemme.",
+    fieldLabels: {
+      firstName: "Etunimi",
+      lastName: "Sukunimi",
+      email: "Sähköpostiosoite",
+      phone: "Puhelinnumero",
+      address: "Osoite",
+      visaType: "Oleskelulupa",
+      hasStrongId: "Vahva tunnistautuminen",
+      businessAddress: "Yrityksen osoite",
+      bankAccount: "Pankkitili",
+      bicCode: "BIC-koodi",
+      businessName: "Yrityksen nimi",
+      vatPeriod: "ALV-kausi",
+      businessNature: "Toimiala",
+      registerTrade: "Kaupparekisteri",
+      preferredLanguage: "Sähköpostien kieli"
+    }
+  },
+
+  "plan-changed": {
+    subject: (name) => `✅ Palvelupaketti vaihdettu - ${name}`,
+    heading: "✅ Palvelupaketti vaihdettu",
+    body: "Kirjanpidon palvelupakettisi on vaihdettu pyyntösi mukaisesti heti.",
+    changedOn: (when) => `Vaihdettu: ${when}`,
+    detailsTitle: "📋 Paketin muutos",
+    accountTitle: "👤 Tilisi tiedot",
+    note: (plan) => `Laskutuksesi noudattaa tästä päivästä alkaen ${plan}-pakettia, ja kaikki tulevat palvelut tuotetaan sen mukaisesti.`
+  },
+
+  "plan-changed-admin": {
+    subject: (name, clientId) => `📋 Palvelupaketti vaihdettu - ${name} (${clientId})`,
+    heading: "✅ Välitön paketin vaihto",
+    body: (name, clientId, when) => `${name} (${clientId}) vaihtoi palvelupakettiaan ${when}. Muutos on jo voimassa, eikä se vaadi toimenpiteitä.`,
+    detailsTitle: "📋 Asiakkaan ja paketin tiedot"
+  },
+
+  "enrollment-received-admin": {
+    subject: (name) => `🚨 Uusi asiakashakemus - ${name}`,
+    heading: "📋 Uusi asiakashakemus vastaanotettu",
+    body: "Uusi asiakas on lähettänyt hakemuksen, joka odottaa käsittelyäsi.",
+    submittedAt: (when) => `Lähetetty: ${when}`,
+    summaryTitle: "📊 Hakemuksen yhteenveto",
+    ipAddress: "IP-osoite",
+    detailsTitle: "📝 Lisätiedot",
+    visaType: "Oleskelulupa",
+    strongId: "Vahva tunnistautuminen käytössä",
+    businessNature: "Toimiala",
+    tradeRegister: "Kaupparekisteri",
+    registered: "Rekisteröity",
+    notRegistered: "Ei rekisteröity",
+    address: "Osoite",
+    nextStepsTitle: "📋 Seuraavat vaiheet",
+    nextSteps: [
+      "Tarkista asiakkaan tiedot hallintapaneelissa",
+      "Varmista yrityksen tiedot ja valittu palvelupaketti",
+      "Hyväksy hakemus asiakastilin luomiseksi tai hylkää se perusteluineen",
+      "Järjestelmä lähettää hyväksynnän tai hylkäyksen asiakkaalle automaattisesti"
+    ]
+  },
+
+  "enrollment-submitted": {
+    subject: "Hakemus vastaanotettu - Credence Enterprise Accounting Services",
+    heading: "✅ Hakemuksesi on vastaanotettu!",
+    body: "Kiitos, että valitsit Credence Enterprise Accounting Servicesin. Hakemuksesi on vastaanotettu ja se on käsittelyssä.",
+    submittedOn: "Lähetyspäivä",
+    nextTitle: "Mitä seuraavaksi tapahtuu?",
+    nextSteps: [
+      "Käsittelemme hakemuksesi 24–48 tunnin kuluessa",
+      "Saat sähköpostitse tiedon hakemuksen hyväksymisestä tai hylkäämisestä",
+      "Hyväksynnän jälkeen saat asiakasportaalin tunnukset",
+      "Sen jälkeen voit ladata tositteita ja aloittaa palveluidemme käytön"
+    ],
+    agreementBody: "Sopimus (Agreement.pdf) on tämän viestin liitteenä. Luethan sopimusehdot huolellisesti ennen hakemuksesi käsittelyä.",
+    questions: "Jos sinulla on kysyttävää, ota yhteyttä asiakastukeemme."
+  },
+
+  "enrollment-rejected": {
+    subject: (business) => `Hakemuksen tila - ${business} | Credence Enterprise Accounting Services`,
+    intro: (date) => `Kiitos kiinnostuksestasi Credence Enterprise Accounting Servicesia kohtaan. Olemme käsitelleet ${date} lähettämäsi hakemuksen.`,
+    statusTitle: "Hakemuksen tila: Hylätty",
+    applicationId: "Hakemustunnus",
+    reviewedOn: "Käsitelty",
+    reviewedBy: "Käsittelijä",
+    reasonTitle: "Hylkäyksen syy",
+    noReason: "Syytä ei ole ilmoitettu.",
+    detailsTitle: "Hakemuksen tiedot",
+    contactUs: "Jos uskot päätöksen johtuvan virheestä tai haluat toimittaa lisätietoja, ota yhteyttä asiakastukeemme."
+  },
+
+  "enrollment-approved": {
+    subject: "Tervetuloa Credence Enterprise Accounting Servicesin asiakkaaksi - tili hyväksytty ja aktivoitu",
+    welcome: (name) => `Tervetuloa, ${name}!`,
+    body: "Hakemuksesi on hyväksytty ja asiakastilisi on aktivoitu.",
+    credentialsTitle: "🔐 Asiakasportaalin tunnukset",
+    portal: "Asiakasportaali",
+    temporaryPassword: "Väliaikainen salasana",
+    login: "Kirjaudu asiakasportaaliin",
+    changePassword: "Vaihda salasanasi ensimmäisen kirjautumisen jälkeen.",
+    accountTitle: "📋 Tilisi tiedot",
+    approvedOn: "Hyväksytty",
+    approvedBy: "Hyväksyjä",
+    acceptanceTitle: "✅ Ehtojen hyväksyminen",
+    acceptance: "Käyttämällä asiakasportaalia ja palveluitamme vahvistat lukeneesi ja ymmärtäneesi sopimusehdot ja tietosuojaselosteen sekä hyväksyväsi ne.",
+    serviceStart: (date) => `Palvelu alkaa: ${date}`,
+    agreementBody: "Sopimus (Agreement.pdf) on tämän viestin liitteenä. Säilytä tämä viesti ja sopimus."
+  },
+
+  "payment-reminder": {
+    subjectFirst: (business) => `💰 Kuukausimaksun muistutus - ${business}`,
+    subjectFinal: (business) => `⚠️ Viimeinen maksumuistutus - ${business}`,
+    headingFirst: "💰 Kuukausimaksun muistutus",
+    headingFinal: "⚠️ Viimeinen maksumuistutus",
+    bodyFirst: "Ystävällinen muistutus kirjanpitopalvelun kuukausimaksusta.",
+    bodyFinal: "Tietojemme mukaan alla luetellut maksut ovat yhä avoinna. Pyydämme suorittamaan ne mahdollisimman pian.",
+    timely: "Maksamalla ajallaan varmistat palveluiden keskeytymättömän jatkumisen.",
+    sentAt: (when) => `Muistutus lähetetty: ${when}`,
+    accountTitle: "📋 Tilisi tiedot",
+    outstandingTitle: "🧾 Avoimet maksut",
+    month: "Kuukausi",
+    amount: "Summa",
+    asInvoiced: "Laskun mukaan",
+    totalDue: "Yhteensä",
+    plusInvoiced: "sekä laskutetut summat",
+    alreadyPaidOne: "✅ Jo maksettu? Jos olet jo maksanut tämän kuukauden, voit jättää muistutuksen huomiotta. Kiitos!",
+    alreadyPaidMany: "✅ Jo maksettu? Jos olet jo maksanut yllä luetellut maksut, voit jättää muistutuksen huomiotta. Kiitos!",
+    questions: "Jos sinulla on kysyttävää laskusta tai tarvitset apua maksamisessa, ota yhteyttä laskutukseemme."
+  },
+
+  "document-reminder": {
+    subjectFirst: (month, business) => `📄 Muistutus tositteiden lataamisesta - ${month} - ${business}`,
+    subjectFinal: (month, business) => `⚠️ Viimeinen muistutus tositteiden lataamisesta - ${month} - ${business}`,
+    headingFirst: "📄 Muistutus tositteiden lataamisesta",
+    headingFinal: "⚠️ Viimeinen muistutus tositteiden lataamisesta",
+    body: (month) => `Muistutamme ystävällisesti lataamaan tositteesi kuukaudelta ${month}.`,
+    sentAt: (when) => `Muistutus lähetetty: ${when}`,
+    deadlineTitle: "⚠️ Tärkeä määräaika",
+    deadline: (date, month) => `Kaikkien kuukauden ${month} tositteiden viimeinen latauspäivä on ${date}.`,
+    nilReturn: "Jos tositteita ei ole toimitettu siihen mennessä, oletamme, ettei kuukaudelta ole kirjattavaa, ja annamme nollailmoituksen.",
+    missingTitle: (month) => `📂 Vielä puuttuu (${month})`,
+    empty: "Tositteita ei ole vielä ladattu",
+    unlocked: "Ladattu mutta ei lukittu - tarkista ja lukitse kategoria",
+    accountTitle: "📋 Tilisi tiedot",
+    documentMonth: "Tositekuukausi",
+    deadlineDate: "Määräaika",
+    alreadyUploaded: (month) => `✅ Jo ladattu? Jos olet jo ladannut kuukauden ${month} tositteet, voit jättää muistutuksen huomiotta. Kiitos!`,
+    questions: "Jos sinulla on kysyttävää tositteiden lataamisesta tai tarvitset apua, ota yhteyttä asiakastukeemme."
+  },
+
+  "document-reminder-escalation": {
+    subject: (month, count) => `⚠️ Tositteita puuttuu yhä - ${month} - ${count} asiakasta`,
+    body: (month) => `Seuraavilta sinulle osoitetuilta asiakkailta puuttuu yhä kuukauden ${month} tositteita. Kuukausi lukitaan automaattisesti kuun 26. päivänä; ole heihin yhteydessä sitä ennen.`,
+    missing: "Puuttuu",
+    notLocked: "ei lukittu"
+  },
+
+  "note-added": {
+    subject: (fileName) => `📝 Uusi huomautus tiedostoon ${fileName}`,
+    heading: "📝 Kirjanpitäjäsi lisäsi huomautuksen",
+    body: (name) => `${name} lisäsi huomautuksen yhteen tositteistasi. Tarkista se asiakasportaalissa.`,
+    noteTitle: "💬 Huomautus",
+    detailsTitle: "📋 Tosite",
+    documentMonth: "Tositekuukausi",
+    category: "Kategoria",
+    file: "Tiedosto",
+    addedAt: "Lisätty",
+    openPortal: "Avaa asiakasportaali"
+  },
+
+  "month-lock-report": {
+    subject: (month, locked) => `🔒 Automaattisen lukituksen raportti: ${month} - ${locked} asiakasta lukittu`,
+    summaryTitle: "📊 Yhteenveto",
+    monthProcessed: "Käsitelty kuukausi",
+    executedAt: "Suoritettu",
+    duration: "Kesto",
+    seconds: (value) => `${value} sekuntia`,
+    statsTitle: "📈 Tilastot",
+    totalClients: "Asiakkaita yhteensä",
+    newlyLocked: "Lukittu nyt",
+    alreadyLocked: "Jo lukittu",
+    inactiveMonths: "Ei-aktiiviset kuukaudet",
+    failed: "Epäonnistui",
+    lockedTitle: (count) => `✅ Nyt lukitut asiakkaat (${count})`,
+    alreadyLockedTitle: (count) => `⏭️ Jo lukitut asiakkaat (${count})`,
+    source: "Lähde",
+    errorsTitle: (count) => `⚠️ Virheet (${count})`,
+    moreErrors: (count) => `... ja ${count} muuta virhettä`,
+    schedule: "Ajastettu työ: edellisen kuukauden automaattinen lukitus (month-lock, ks. GET /admin/jobs)"
+  },
+
+  "documents-lock-changed": {
+    subjectLocked: (what, name) => `🔒 Lukittu: ${what} - ${name}`,
+    subjectUnlocked: (what, name) => `🔓 Lukitus avattu: ${what} - ${name}`,
+    headingLocked: "🔒 Tositteet lukittu",
+    headingUnlocked: "🔓 Tositteiden lukitus avattu",
+    locked: "Lukittu",
+    unlocked: "Avattu",
+    documentMonth: "Tositekuukausi",
+    category: "Kategoria",
+    changedAt: "Ajankohta",
+    bodyLocked: "Tositteesi on lukittu, ja kirjanpitotiimimme käsittelee ne nyt.",
+    bodyUnlocked: "Tositteidesi lukitus on avattu. Voit nyt ladata uusia tiedostoja tai tehdä muutoksia."
+  },
+
+  "account-status-changed": {
+    subjectReactivated: (name) => `✅ Tili aktivoitu uudelleen - ${name}`,
+    subjectDeactivated: (name) => `⚠️ Tili poistettu käytöstä - ${name}`,
+    headingReactivated: "✅ Tili aktivoitu uudelleen",
+    headingDeactivated: "⚠️ Tili poistettu käytöstä",
+    bodyReactivated: "Ylläpitotiimimme on aktivoinut tilisi uudelleen.",
+    bodyDeactivated: "Ylläpitotiimimme on poistanut tilisi käytöstä.",
+    changedAt: "Ajankohta",
+    changedBy: "Ylläpitäjä",
+    reason: "Syy",
+    accountTitle: "📋 Tilin tiedot",
+    active: "Aktiivinen",
+    inactive: "Ei käytössä",
+    reactivatedNote: "Voit taas käyttää asiakasportaalin kaikkia toimintoja. Kaikki palvelut on palautettu.",
+    deactivatedTitle: "⚠️ Mitä tämä tarkoittaa",
+    deactivatedNotes: [
+      "Et voi kirjautua asiakasportaaliin",
+      "Tehtävät ja uudet pyynnöt on keskeytetty",
+      "Tietosi säilyvät turvassa meillä"
+    ],
+    contactUs: "Jos uskot tämän tapahtuneen virheellisesti tai sinulla on kysyttävää, ota heti yhteyttä asiakastukeemme."
+  },
+
+  "profile-updated-by-admin": {
+    subject: (name) => `✅ Asiakastiedot päivitetty - ${name}`,
+    heading: "✅ Profiilisi on päivitetty",
+    body: "Ylläpitotiimimme on päivittänyt asiakastietojasi. Muutokset on lueteltu alla.",
+    updatedOn: "Päivitetty",
+    updatedBy: "Päivittäjä",
+    changesTitle: "📋 Muutokset",
+    field: "Kenttä",
+    previousValue: "Aiempi arvo",
+    newValue: "Uusi arvo",
+    notSet: "Ei asetettu",
+    currentTitle: "👤 Nykyiset profiilitietosi",
+    note: "Ylläpitotiimimme teki päivityksen pitääkseen profiilitietosi oikeina ja ajan tasalla.",
+    notYou: "Jos et pyytänyt näitä muutoksia tai huomaat niissä virheitä, ota heti yhteyttä asiakastukeemme.",
+    fieldLabels: {
+      visaType: "Oleskelulupa",
+      hasStrongId: "Vahva tunnistautuminen",
+      vatPeriod: "ALV-kausi",
+      businessNature: "Toimiala",
+      registerTrade: "Kaupparekisteri",
+      planSelected: "Valittu palvelupaketti"
+    }
+  },
+
+  "plan-change-applied": {
+    subject: (name) => `✅ Palvelupaketin vaihto voimassa - ${name}`,
+    heading: "✅ Ajastettu palvelupaketin vaihto on voimassa",
+    body: "Ajastamasi palvelupaketin vaihto on otettu automaattisesti käyttöön kuukauden alusta.",
+    appliedOn: (date) => `Voimassa: ${date}`,
+    detailsTitle: "📋 Paketin muutos",
+    billingMonth: "Laskutuskuukausi",
+    note: (plan) => `Tililläsi on nyt ${plan}-paketti, ja kaikki tuleva laskutus perustuu siihen.`,
+    questions: "Jos sinulla on kysyttävää palvelupaketin vaihdosta, ota yhteyttä asiakastukeemme."
+  },
+
+  "statement-requested": {
+    subject: "Tilinpäätöspyyntö vastaanotettu",
+    heading: "✅ Pyyntö vastaanotettu",
+    submittedAt: "Lähetetty",
+    nextTitle: "Mitä seuraavaksi tapahtuu?",
+    nextSteps: [
+      "Ylläpitotiimimme on saanut ilmoituksen pyynnöstäsi",
+      "Tarkistamme pyynnön ja laadimme tilinpäätösraporttisi",
+      "Saat uuden sähköpostin, kun raportit ovat valmiita",
+      "Raportit ovat saatavilla asiakasportaalissa"
+    ]
+  },
+
+  "statement-requested-admin": {
+    subject: (name) => `Uusi tilinpäätöspyyntö - ${name}`,
+    heading: "📄 Uusi tilinpäätöspyyntö",
+    requestedAt: "Pyydetty",
+    notes: "Lisätiedot",
+    body: "Tarkista pyyntö ja laadi tilinpäätösraportit."
+  },
+
+  "statement-ready": {
+    subject: (period) => `✅ Tilinpäätösraporttisi ajalle ${period} ovat valmiit`,
+    heading: "✅ Tilinpäätösraporttisi ovat valmiit",
+    approved: "Hyväksytty ja lähetetty",
+    sentAt: "Lähetetty",
+    notes: "Tiimimme huomiot",
+    download: "Lataa raportit",
+    tipsTitle: "💡 Tärkeää",
+    tips: [
+      "Tarkista raportit huolellisesti",
+      "Säilytä kopio omaa kirjanpitoasi varten",
+      "Ota yhteyttä, jos sinulla on kysyttävää"
+    ],
+    thanks: "Kiitos, että käytät palveluitamme!"
+  },
+
+  "agreement-accepted": {
+    subject: "Sopimus hyväksytty - Credence Enterprise Accounting Services",
+    heading: "✅ Sopimus hyväksytty",
+    body: "Tämä viesti vahvistaa, että olet lukenut ja hyväksynyt Credence Enterprise Accounting Servicesin päivitetyt sopimusehdot.",
+    detailsTitle: "📋 Hyväksynnän tiedot",
+    acceptedAt: "Hyväksytty",
+    accepted: "Hyväksytty",
+    agreementBody: "Hyväksymäsi Agreement.pdf on tämän viestin liitteenä. Säilytä se itselläsi.",
+    notYou: "Hyväksyntä on tallennettu vaatimustenmukaisuuden vuoksi. Jos et tehnyt tätä itse, ota heti yhteyttä asiakastukeemme."
+  },
+
+  "two-factor-recovery": {
+    subject: "Kaksivaiheisen tunnistautumisen palautuskoodi - Credence",
+    intro: "Pyysit kirjautumista ilman todennussovellusta. Käytä alla olevaa koodia:",
+    validity: (minutes) => `Koodi on voimassa ${minutes} minuuttia. Sen käyttäminen poistaa kaksivaiheisen tunnistautumisen käytöstä tililtäsi, kunnes otat sen uudelleen käyttöön.`,
+    ignore: "Jos et pyytänyt koodia, vaihda salasanasi ja ota yhteyttä ylläpitäjään."
+  }
+};
@@ -0,0 +1,418 @@
+// emails/locales/sv.js
+// Swedish email strings. Same keys as en.js; a missing key falls back to English.
+
+module.exports = {
+  common: {
+    brand: "Credence Enterprise Accounting Services",
+    tagline: "Professionell bokföring och momshantering",
+    staffTagline: "Meddelande till personalen",
+    services: "Bokföring | Momshantering | Affärsrådgivning",
+    greeting: (name) => `Hej ${name},`,
+
+    contactTitle: "📞 Våra kontaktuppgifter",
+    contactEmail: "E-post",
+    contactPhone: "Telefonsupport",
+    contactHours: "Öppettider",
+    contactHoursValue: "måndag till fredag kl. 9–15 (finsk tid)",
+
+    automated: "Detta är ett automatiskt meddelande.",
+    noReply: (supportEmail) => `Svara inte på detta meddelande. Skicka frågor till ${supportEmail}.`,
+    sentTo: (email) => `Meddelandet skickades till: ${email}`,
+
+    notSpecified: "Inte angivet",
+    notProvided: "Inte uppgivet",
+    yes: "Ja",
+    no: "Nej",
+    yourBusiness: "Ditt företag",
+    administrator: "Administratör",
+    vatMonthly: "Månadsvis",
+    vatQuarterly: "Kvartalsvis",
+    perMonth: (amount) => `${amount} + moms / mån`,
+    plusVat: (amount) => `${amount} + moms`,
+
+    client: "Kund",
+    clientId: "Kundnummer",
+    name: "Namn",
+    email: "E-post",
+    phone: "Telefon",
+    businessName: "Företagsnamn",
+    vatPeriod: "Momsperiod",
+    plan: "Tjänstepaket",
+    previousPlan: "Tidigare paket",
+    newPlan: "Nytt paket",
+    effectiveFrom: "Gäller från",
+    enrollId: "Ansökningsnummer",
+    status: "Status",
+    pendingReview: "Väntar på behandling",
+    requestId: "Begärans nummer",
+    period: "Period",
+    periodRange: (from, to) => `${from} – ${to}`,
+    agreementTitle: "📄 Avtalsdokument",
+    categoryLabels: {
+      sales: "Försäljning",
+      purchase: "Inköp",
+      bank: "Bank"
+    },
+    unsubscribe: "Avsluta prenumerationen på dessa e-postmeddelanden",
+    unsubscribeNote: (what) => `Du får detta meddelande eftersom ${what} är påslagna i dina aviseringsinställningar.`,
+    preferenceCategories: {
+      reminders: "påminnelser",
+      noteAlerts: "aviseringar om anteckningar",
+      marketing: "nyheter och erbjudanden"
+    },
+    unsubscribeConfirm: (what) => `Vill du sluta få ${what} via e-post?`,
+    unsubscribeConfirmButton: "Avsluta prenumerationen",
+    unsubscribedTitle: "Din prenumeration har avslutats",
+    unsubscribed: (what) => `Du får inte längre ${what} via e-post. Du kan slå på dem igen i aviseringsinställningarna i kundportalen.`,
+    unsubscribeInvalid: "Den här avregistreringslänken är ogiltig eller ofullständig. Använd länken i det senaste meddelandet eller ändra dina aviseringsinställningar i kundportalen."
+  },
+
+  "password-reset-otp": {
+    subject: "Kod för återställning av lösenord - Credence",
+    intro: "Du har begärt att återställa ditt lösenord. Använd engångskoden nedan:",
+    validity: (minutes) => `Koden är giltig i ${minutes} minuter.`,
+    ignore: "Om du inte har begärt detta kan du bortse från meddelandet."
+  },
+
+  "password-reset-done": {
+    subject: "Lösenordet har uppdaterats - Credence",
+    body: "Ditt lösenord har uppdaterats och alla enheter som var inloggade på ditt konto har loggats ut.",
+    notYou: "Om du inte själv gjorde ändringen, kontakta Credences kundsupport omedelbart.",
+    login: "Logga in i kundportalen"
+  },
+
+  "password-changed": {
+    subject: "Lösenordet har ändrats - Credence",
+    body: "Ditt lösenord har ändrats i dina profilinställningar.",
+    notYou: "Om du inte själv gjorde ändringen, kontakta Credences kundsupport omedelbart.",
+    thanks: "Tack för att du håller ditt konto säkert."
+  },
+
+  "profile-updated": {
+    subject: (name) => `✅ Profiluppgifterna har uppdaterats - ${name}`,
+    heading: "✅ Din profil har uppdaterats",
+    body: "Dina profiluppgifter har uppdaterats från ditt konto.",
+    updatedOn: (when) => `Uppdaterad: ${when}`,
+    changesTitle: "📋 Ändringar",
+    field: "Fält",
+    previousValue: "Tidigare värde",
+    newValue: "Nytt värde",
+    notSet: "Inte angivet",
+    currentTitle: "👤 Dina nuvarande profiluppgifter",
+    notYou: "Ändringarna gjordes från ditt konto. Om du inte själv gjorde dem, kontakta vår kundsupport omedelbart.",
+    fieldLabels: {
+      firstName: "Förnamn",
+      lastName: "Efternamn",
+      email: "E-postadress",
+      phone: "Telefonnummer",
+      address: "Adress",
+      visaType: "Uppehållstillstånd",
+      hasStrongId: "Stark autentisering",
+      businessAddress: "Företagets adress",
+      bankAccount: "Bankkonto",
+      bicCode: "BIC-kod",
+      businessName: "Företagsnamn",
+      vatPeriod: "Momsperiod",
+      businessNature: "Bransch",
+      registerTrade: "Handelsregister",
+      preferredLanguage: "E-postspråk"
+    }
+  },
+
+  "plan-changed": {
+    subject: (name) => `✅ Tjänstepaketet har bytts - ${name}`,
+    heading: "✅ Tjänstepaketet har bytts",
+    body: "Ditt bokföringspaket har bytts omedelbart enligt din begäran.",
+    changedOn: (when) => `Bytt: ${when}`,
+    detailsTitle: "📋 Paketbyte",
+    accountTitle: "👤 Dina kontouppgifter",
+    note: (plan) => `Från och med i dag faktureras du enligt paketet ${plan}, och alla framtida tjänster tillhandahålls enligt det.`
+  },
+
+  "plan-changed-admin": {
+    subject: (name, clientId) => `📋 Tjänstepaket bytt - ${name} (${clientId})`,
+    heading: "✅ Omedelbart paketbyte",
+    body: (name, clientId, when) => `${name} (${clientId}) bytte tjänstepaket ${when}. Ändringen gäller redan; inga åtgärder behövs.`,
+    detailsTitle: "📋 Kund- och paketuppgifter"
+  },
+
+  "enrollment-received-admin": {
+    subject: (name) => `🚨 Ny kundansökan - ${name}`,
+    heading: "📋 Ny kundansökan mottagen",
+    body: "En ny kund har skickat in en ansökan som väntar på din granskning.",
+    submittedAt: (when) => `Inskickad: ${when}`,
+    summaryTitle: "📊 Sammanfattning av ansökan",
+    ipAddress: "IP-adress",
+    detailsTitle: "📝 Ytterligare uppgifter",
+    visaType: "Uppehållstillstånd",
+    strongId: "Stark autentisering finns",
+    businessNature: "Bransch",
+    tradeRegister: "Handelsregister",
+    registered: "Registrerad",
+    notRegistered: "Inte registrerad",
+    address: "Adress",
+    nextStepsTitle: "📋 Nästa steg",
+    nextSteps: [
+      "Granska kundens uppgifter i administrationspanelen",
+      "Kontrollera företagsuppgifterna och det valda paketet",
+      "Godkänn för att skapa kundkontot, eller avslå med motivering",
+      "Systemet skickar godkännandet eller avslaget till kunden automatiskt"
+    ]
+  },
+
+  "enrollment-submitted": {
+    subject: "Ansökan mottagen - Credence Enterprise Accounting Services",
+    heading: "✅ Din ansökan har tagits emot!",
+    body: "Tack för att du valde Credence Enterprise Accounting Services. Din ansökan har tagits emot och behandlas just nu.",
+    submittedOn: "Inskickad",
+    nextTitle: "Vad händer härnäst?",
+    nextSteps: [
+      "Vi behandlar din ansökan inom 24–48 timmar",
+      "Du får ett e-postmeddelande om att ansökan har godkänts eller avslagits",
+      "Om ansökan godkänns får du inloggningsuppgifter till kundportalen",
+      "Därefter kan du ladda upp verifikat och börja använda våra tjänster"
+    ],
+    agreementBody: "Avtalet (Agreement.pdf) finns bifogat i detta meddelande. Läs avtalsvillkoren noggrant innan din ansökan behandlas.",
+    questions: "Om du har frågor, kontakta vår kundsupport."
+  },
+
+  "enrollment-rejected": {
+    subject: (business) => `Status för din ansökan - ${business} | Credence Enterprise Accounting Services`,
+    intro: (date) => `Tack för ditt intresse för Credence Enterprise Accounting Services. Vi har behandlat ansökan som du skickade in ${date}.`,
+    statusTitle: "Ansökans status: Avslagen",
+    applicationId: "Ansökningsnummer",
+    reviewedOn: "Behandlad",
+    reviewedBy: "Handläggare",
+    reasonTitle: "Orsak till avslag",
+    noReason: "Ingen orsak har angetts.",
+    detailsTitle: "Uppgifter i ansökan",
+    contactUs: "Om du anser att beslutet beror på ett misstag eller vill lämna ytterligare uppgifter, kontakta vår kundsupport."
+  },
+
+  "enrollment-approved": {
+    subject: "Välkommen till Credence Enterprise Accounting Services - kontot har godkänts och aktiverats",
+    welcome: (name) => `Välkommen, ${name}!`,
+    body: "Din ansökan har godkänts och ditt kundkonto har aktiverats.",
+    credentialsTitle: "🔐 Inloggningsuppgifter till kundportalen",
+    portal: "Kundportal",
+    temporaryPassword: "Tillfälligt lösenord",
+    login: "Logga in i kundportalen",
+    changePassword: "Byt lösenord efter din första inloggning.",
+    accountTitle: "📋 Dina kontouppgifter",
+    approvedOn: "Godkänd",
+    approvedBy: "Godkänd av",
+    acceptanceTitle: "✅ Godkännande av villkoren",
+    acceptance: "Genom att använda kundportalen och våra tjänster bekräftar du att du har läst, förstått och godkänt våra avtalsvillkor och vår integritetspolicy.",
+    serviceStart: (date) => `Tjänsten börjar: ${date}`,
+    agreementBody: "Avtalet (Agreement.pdf) finns bifogat i detta meddelande. Spara meddelandet och avtalet."
+  },
+
+  "payment-reminder": {
+    subjectFirst: (business) => `💰 Påminnelse om månadsavgift - ${business}`,
+    subjectFinal: (business) => `⚠️ Sista betalningspåminnelse - ${business}`,
+    headingFirst: "💰 Påminnelse om månadsavgift",
+    headingFinal: "⚠️ Sista betalningspåminnelse",
+    bodyFirst: "En vänlig påminnelse om månadsavgiften för bokföringstjänsten.",
+    bodyFinal: "Enligt våra uppgifter är betalningarna nedan fortfarande obetalda. Vi ber dig betala dem så snart som möjligt.",
+    timely: "Betala i tid så att tjänsterna fortsätter utan avbrott.",
+    sentAt: (when) => `Påminnelsen skickades: ${when}`,
+    accountTitle: "📋 Dina kontouppgifter",
+    outstandingTitle: "🧾 Obetalda avgifter",
+    month: "Månad",
+    amount: "Belopp",
+    asInvoiced: "Enligt faktura",
+    totalDue: "Totalt",
+    plusInvoiced: "samt fakturerade belopp",
+    alreadyPaidOne: "✅ Redan betalt? Om du redan har betalat för denna månad kan du bortse från påminnelsen. Tack!",
+    alreadyPaidMany: "✅ Redan betalt? Om du redan har betalat avgifterna ovan kan du bortse från påminnelsen. Tack!",
+    questions: "Om du har frågor om fakturan eller behöver hjälp med betalningen, kontakta vår fakturering."
+  },
+
+  "document-reminder": {
+    subjectFirst: (month, business) => `📄 Påminnelse om uppladdning av verifikat - ${month} - ${business}`,
+    subjectFinal: (month, business) => `⚠️ Sista påminnelsen om uppladdning av verifikat - ${month} - ${business}`,
+    headingFirst: "📄 Påminnelse om uppladdning av verifikat",
+    headingFinal: "⚠️ Sista påminnelsen om uppladdning av verifikat",
+    body: (month) => `En vänlig påminnelse om att ladda upp dina verifikat för ${month}.`,
+    sentAt: (when) => `Påminnelsen skickades: ${when}`,
+    deadlineTitle: "⚠️ Viktig tidsfrist",
+    deadline: (date, month) => `Sista dagen för att ladda upp alla verifikat för ${month} är ${date}.`,
+    nilReturn: "Om verifikaten inte har kommit in till dess utgår vi från att det inte finns något att bokföra för månaden och lämnar en nolldeklaration.",
+    missingTitle: (month) => `📂 Saknas fortfarande för ${month}`,
+    empty: "Inga verifikat uppladdade ännu",
+    unlocked: "Uppladdade men inte låsta - granska och lås kategorin",
+    accountTitle: "📋 Dina kontouppgifter",
+    documentMonth: "Verifikatmånad",
+    deadlineDate: "Tidsfrist",
+    alreadyUploaded: (month) => `✅ Redan uppladdat? Om du redan har laddat upp dina verifikat för ${month} kan du bortse från påminnelsen. Tack!`,
+    questions: "Om du har frågor om uppladdningen eller behöver hjälp, kontakta vår kundsupport."
+  },
+
+  "document-reminder-escalation": {
+    subject: (month, count) => `⚠️ Verifikat saknas fortfarande - ${month} - ${count} kund(er)`,
+    body: (month) => `Följande kunder som tilldelats dig har ännu inte lämnat in alla verifikat för ${month}. Månaden låses automatiskt den 26:e; kontakta dem innan dess.`,
+    missing: "Saknas",
+    notLocked: "inte låst"
+  },
+
+  "note-added": {
+    subject: (fileName) => `📝 Ny anteckning om ${fileName}`,
+    heading: "📝 Din bokförare har lagt till en anteckning",
+    body: (name) => `${name} har lagt till en anteckning till ett av dina verifikat. Granska den i kundportalen.`,
+    noteTitle: "💬 Anteckning",
+    detailsTitle: "📋 Verifikat",
+    documentMonth: "Verifikatmånad",
+    category: "Kategori",
+    file: "Fil",
+    addedAt: "Tillagd",
+    openPortal: "Öppna kundportalen"
+  },
+
+  "month-lock-report": {
+    subject: (month, locked) => `🔒 Rapport om automatisk låsning: ${month} - ${locked} kunder låsta`,
+    summaryTitle: "📊 Sammanfattning",
+    monthProcessed: "Behandlad månad",
+    executedAt: "Körd",
+    duration: "Tid",
+    seconds: (value) => `${value} sekunder`,
+    statsTitle: "📈 Statistik",
+    totalClients: "Kunder totalt",
+    newlyLocked: "Låsta nu",
+    alreadyLocked: "Redan låsta",
+    inactiveMonths: "Inaktiva månader",
+    failed: "Misslyckades",
+    lockedTitle: (count) => `✅ Kunder som låstes nu (${count})`,
+    alreadyLockedTitle: (count) => `⏭️ Redan låsta kunder (${count})`,
+    source: "Källa",
+    errorsTitle: (count) => `⚠️ Fel (${count})`,
+    moreErrors: (count) => `... och ${count} fel till`,
+    schedule: "Schemalagt jobb: automatisk låsning av föregående månad (month-lock, se GET /admin/jobs)"
+  },
+
+  "documents-lock-changed": {
+    subjectLocked: (what, name) => `🔒 Låst: ${what} - ${name}`,
+    subjectUnlocked: (what, name) => `🔓 Upplåst: ${what} - ${name}`,
+    headingLocked: "🔒 Dokumenten har låsts",
+    headingUnlocked: "🔓 Dokumenten har låsts upp",
+    locked: "Låst",
+    unlocked: "Upplåst",
+    documentMonth: "Dokumentmånad",
+    category: "Kategori",
+    changedAt: "Tidpunkt",
+    bodyLocked: "Dina dokument har låsts och behandlas nu av vårt bokföringsteam.",
+    bodyUnlocked: "Dina dokument har låsts upp. Du kan nu ladda upp nya filer eller göra ändringar."
+  },
+
+  "account-status-changed": {
+    subjectReactivated: (name) => `✅ Kontot har återaktiverats - ${name}`,
+    subjectDeactivated: (name) => `⚠️ Kontot har inaktiverats - ${name}`,
+    headingReactivated: "✅ Kontot har återaktiverats",
+    headingDeactivated: "⚠️ Kontot har inaktiverats",
+    bodyReactivated: "Ditt konto har återaktiverats av vårt administratörsteam.",
+    bodyDeactivated: "Ditt konto har inaktiverats av vårt administratörsteam.",
+    changedAt: "Tidpunkt",
+    changedBy: "Administratör",
+    reason: "Orsak",
+    accountTitle: "📋 Kontouppgifter",
+    active: "Aktivt",
+    inactive: "Inaktivt",
+    reactivatedNote: "Du kan nu använda alla funktioner i kundportalen igen. Alla tjänster har återställts.",
+    deactivatedTitle: "⚠️ Vad detta innebär",
+    deactivatedNotes: [
+      "Du kan inte logga in i kundportalen",
+      "Uppdrag och nya begäranden är pausade",
+      "Dina uppgifter förblir säkra hos oss"
+    ],
+    contactUs: "Om du anser att detta är ett misstag eller har frågor, kontakta vår kundsupport omedelbart."
+  },
+
+  "profile-updated-by-admin": {
+    subject: (name) => `✅ Kunduppgifterna har uppdaterats - ${name}`,
+    heading: "✅ Din profil har uppdaterats",
+    body: "Vårt administratörsteam har uppdaterat dina kunduppgifter. Ändringarna anges nedan.",
+    updatedOn: "Uppdaterad",
+    updatedBy: "Uppdaterad av",
+    changesTitle: "📋 Ändringar",
+    field: "Fält",
+    previousValue: "Tidigare värde",
+    newValue: "Nytt värde",
+    notSet: "Inte angivet",
+    currentTitle: "👤 Dina nuvarande profiluppgifter",
+    note: "Uppdateringen gjordes av vårt administratörsteam för att hålla dina profiluppgifter korrekta och aktuella.",
+    notYou: "Om du inte har begärt dessa ändringar eller ser något som inte stämmer, kontakta vår kundsupport omedelbart.",
+    fieldLabels: {
+      visaType: "Uppehållstillstånd",
+      hasStrongId: "Stark autentisering",
+      vatPeriod: "Momsperiod",
+      businessNature: "Bransch",
+      registerTrade: "Handelsregister",
+      planSelected: "Valt tjänstepaket"
+    }
+  },
+
+  "plan-change-applied": {
+    subject: (name) => `✅ Paketbytet har trätt i kraft - ${name}`,
+    heading: "✅ Det schemalagda paketbytet har trätt i kraft",
+    body: "Ditt schemalagda byte av tjänstepaket har genomförts automatiskt från början av månaden.",
+    appliedOn: (date) => `Gäller från: ${date}`,
+    detailsTitle: "📋 Paketbyte",
+    billingMonth: "Faktureringsmånad",
+    note: (plan) => `Ditt konto använder nu paketet ${plan}, och all framtida fakturering baseras på det.`,
+    questions: "Om du har frågor om paketbytet, kontakta vår kundsupport."
+  },
+
+  "statement-requested": {
+    subject: "Begäran om bokslutsrapporter har tagits emot",
+    heading: "✅ Begäran mottagen",
+    submittedAt: "Skickad",
+    nextTitle: "Vad händer härnäst?",
+    nextSteps: [
+      "Vårt administratörsteam har fått ett meddelande om din begäran",
+      "Vi granskar begäran och tar fram dina bokslutsrapporter",
+      "Du får ett nytt e-postmeddelande när rapporterna är klara",
+      "Rapporterna finns sedan tillgängliga i kundportalen"
+    ]
+  },
+
+  "statement-requested-admin": {
+    subject: (name) => `Ny begäran om bokslutsrapporter - ${name}`,
+    heading: "📄 Ny begäran om bokslutsrapporter",
+    requestedAt: "Begärd",
+    notes: "Tilläggsuppgifter",
+    body: "Granska begäran och ta fram bokslutsrapporterna."
+  },
+
+  "statement-ready": {
+    subject: (period) => `✅ Dina bokslutsrapporter för ${period} är klara`,
+    heading: "✅ Dina bokslutsrapporter är klara",
+    approved: "Godkänd och skickad",
+    sentAt: "Skickad",
+    notes: "Kommentarer från vårt team",
+    download: "Ladda ner rapporterna",
+    tipsTitle: "💡 Viktigt",
+    tips: [
+      "Granska rapporterna noggrant",
+      "Spara en kopia för din egen bokföring",
+      "Kontakta oss om du har frågor"
+    ],
+    thanks: "Tack för att du använder våra tjänster!"
+  },
+
+  "agreement-accepted": {
+    subject: "Avtalet har godkänts - Credence Enterprise Accounting Services",
+    heading: "✅ Avtalet har godkänts",
+    body: "Detta meddelande bekräftar att du har läst och godkänt de uppdaterade avtalsvillkoren för Credence Enterprise Accounting Services.",
+    detailsTitle: "📋 Uppgifter om godkännandet",
+    acceptedAt: "Godkänt",
+    accepted: "Godkänt",
+    agreementBody: "Det godkända avtalet Agreement.pdf finns bifogat i detta meddelande. Spara det för din egen dokumentation.",
+    notYou: "Godkännandet har sparats av efterlevnadsskäl. Om du inte själv gjorde detta, kontakta vår kundsupport omedelbart."
+  },
+
+  "two-factor-recovery": {
+    subject: "Återställningskod för tvåstegsverifiering - Credence",
+    intro: "Du har begärt att logga in utan din autentiseringsapp. Använd koden nedan:",
+    validity: (minutes) => `Koden är giltig i ${minutes} minuter. När du använder den stängs tvåstegsverifieringen av på ditt konto tills du ställer in den igen.`,
+    ignore: "Om du inte har begärt koden, byt lösenord och kontakta din administratör."
+  }
+};
@@ -0,0 +1,47 @@
+const { box, heading, list, paragraph, strong, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent when an admin deactivates or reactivates a client account
+// (routes/clientManagement.js)
+module.exports = {
+  name: "account-status-changed",
+  description: "Tells a client that an admin deactivated or reactivated their account",
+  audience: "client",
+  category: "ACCOUNT_STATUS_CHANGED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    active: false,
+    changedBy: "Anna Admin",
+    reason: "Unpaid invoices for three months",
+    changedAt: new Date()
+  }),
+
+  render: ({ client, active, changedBy, reason, changedAt = new Date() }, { t, fmt }) => ({
+    subject: t(active ? "subjectReactivated" : "subjectDeactivated", client.businessName || fullName(client)),
+    greeting: t("greeting", fullName(client)),
+    blocks: [
+      box(active ? "success" : "danger", t(active ? "headingReactivated" : "headingDeactivated"), [
+        paragraph(t(active ? "bodyReactivated" : "bodyDeactivated")),
+        table([
+          [t("changedAt"), fmt.dateTime(changedAt)],
+          [t("changedBy"), changedBy || t("administrator")],
+          reason ? [t("reason"), reason] : null
+        ].filter(Boolean))
+      ]),
+      heading(t("accountTitle")),
+      table([
+        [t("name"), fullName(client)],
+        [t("businessName"), client.businessName || t("notSpecified")],
+        [t("email"), client.email],
+        [t("phone"), client.phone || t("notProvided")],
+        [t("status"), strong(t(active ? "active" : "inactive"))]
+      ]),
+      active
+        ? box("success", null, [paragraph(t("reactivatedNote"))])
+        : box("warning", t("deactivatedTitle"), [list(t("deactivatedNotes")), paragraph(t("contactUs"))])
+    ],
+    recipient: client.email
+  })
+};
@@ -0,0 +1,35 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Confirms that a client accepted the updated agreement; the accepted
+// Agreement.pdf is attached when available (routes/Clientconsent.js)
+module.exports = {
+  name: "agreement-accepted",
+  description: "Confirms a client's acceptance of the updated agreement",
+  audience: "client",
+  category: "AGREEMENT_ACCEPTED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    acceptedAt: new Date(),
+    agreementAttached: true
+  }),
+
+  render: ({ client, acceptedAt, agreementAttached }, { t, fmt }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", client.name),
+    blocks: [
+      box("success", t("heading"), [paragraph(t("body"))]),
+      heading(t("detailsTitle")),
+      table([
+        [t("acceptedAt"), fmt.dateTime(acceptedAt)],
+        [t("name"), client.name],
+        [t("email"), client.email],
+        [t("status"), strong(t("accepted"))]
+      ]),
+      agreementAttached ? box("neutral", t("agreementTitle"), [paragraph(t("agreementBody"))]) : null,
+      box("info", null, [paragraph(t("notYou"))])
+    ],
+    recipient: client.email
+  })
+};
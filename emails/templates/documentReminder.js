@@ -0,0 +1,65 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_CLIENT, previousMonth } = require("./samples");
+
+// Document upload reminders for one document month (routes/documentUploadReminders.js).
+// missing: categories still to do [{ category, label, status: "EMPTY"|"UNLOCKED" }];
+// final marks the last reminder before the month is locked.
+module.exports = {
+  name: "document-reminder",
+  description: "Reminds a client which document categories of a month are still missing",
+  audience: "client",
+  category: "DOCUMENT_REMINDER",
+  preference: "reminders",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    documentMonth: previousMonth(),
+    missing: [
+      { category: "purchase", label: "Purchase", status: "EMPTY" },
+      { category: "bank", label: "Bank", status: "UNLOCKED" }
+    ],
+    final: false,
+    sentAt: new Date()
+  }),
+
+  render: ({ client, documentMonth, missing = [], final = false, sentAt = new Date() }, { t, fmt }) => {
+    const month = fmt.month(documentMonth);
+    // Uploads are due on the 25th of the following month
+    const deadline = fmt.date(new Date(documentMonth.year, documentMonth.month, 25, 12));
+    const categoryLabels = t("categoryLabels");
+    const business = client.businessName || t("yourBusiness");
+
+    return {
+      subject: final ? t("subjectFinal", month, business) : t("subjectFirst", month, business),
+      greeting: t("greeting", fullName(client)),
+      blocks: [
+        box("info", final ? t("headingFinal") : t("headingFirst"), [
+          paragraph(t("body", month)),
+          paragraph(t("sentAt", fmt.dateTime(sentAt)))
+        ]),
+        box("danger", t("deadlineTitle"), [
+          paragraph(t("deadline", deadline, month)),
+          paragraph(t("nilReturn"))
+        ]),
+        missing.length > 0 ? box("warning", t("missingTitle", month), [
+          table(missing.map(m => [
+            categoryLabels[m.category] || m.label,
+            m.status === "EMPTY" ? t("empty") : t("unlocked")
+          ]))
+        ]) : null,
+        heading(t("accountTitle")),
+        table([
+          [t("businessName"), client.businessName || t("notSpecified")],
+          [t("plan"), client.planSelected || t("notSpecified")],
+          [t("vatPeriod"), vatPeriodLabel(t, client.vatPeriod)],
+          [t("documentMonth"), strong(month)],
+          [t("deadlineDate"), strong(deadline)]
+        ]),
+        box("success", null, [paragraph(t("alreadyUploaded", month))]),
+        paragraph(t("questions"))
+      ],
+      recipient: client.email
+    };
+  }
+};
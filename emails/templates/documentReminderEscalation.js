@@ -0,0 +1,57 @@
+const { paragraph, table } = require("../layout");
+const { SAMPLE_EMPLOYEE, previousMonth } = require("./samples");
+
+// Sent to an employee with their assigned clients whose document month is
+// still incomplete before the auto-lock (routes/documentUploadReminders.js).
+module.exports = {
+  name: "document-reminder-escalation",
+  description: "Lists an employee's clients whose documents are still missing before the month lock",
+  audience: "employee",
+  category: "DOCUMENT_REMINDER_ESCALATION",
+
+  sample: () => ({
+    employee: SAMPLE_EMPLOYEE,
+    documentMonth: previousMonth(),
+    clients: [
+      {
+        clientId: "CL-1001",
+        name: "Maija Virtanen",
+        email: "maija.virtanen@example.com",
+        missing: [{ category: "bank", label: "Bank", status: "UNLOCKED" }]
+      },
+      {
+        clientId: "CL-1002",
+        name: "Erik Lindqvist",
+        email: "erik.lindqvist@example.com",
+        missing: [
+          { category: "sales", label: "Sales", status: "EMPTY" },
+          { category: "purchase", label: "Purchase", status: "EMPTY" }
+        ]
+      }
+    ]
+  }),
+
+  render: ({ employee, documentMonth, clients = [] }, { t, fmt }) => {
+    const month = fmt.month(documentMonth);
+    const categoryLabels = t("categoryLabels");
+
+    return {
+      subject: t("subject", month, clients.length),
+      greeting: t("greeting", employee.name),
+      blocks: [
+        paragraph(t("body", month)),
+        table(
+          clients.map(c => [
+            `${c.name} (${c.clientId})`,
+            c.email || "-",
+            c.missing
+              .map(m => `${categoryLabels[m.category] || m.label}${m.status === "UNLOCKED" ? ` (${t("notLocked")})` : ""}`)
+              .join(", ")
+          ]),
+          { head: [t("client"), t("email"), t("missing")] }
+        )
+      ],
+      recipient: employee.email
+    };
+  }
+};
@@ -0,0 +1,44 @@
+const { box, paragraph, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_CLIENT, previousMonth } = require("./samples");
+
+// Tells a client that an admin locked or unlocked a month or one of its
+// categories (routes/admin.js)
+module.exports = {
+  name: "documents-lock-changed",
+  description: "Tells a client that an admin locked or unlocked their documents",
+  audience: "client",
+  category: "DOCUMENTS_LOCK_CHANGED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    locked: true,
+    documentMonth: previousMonth(),
+    categoryType: "purchase",
+    categoryName: null,
+    changedAt: new Date()
+  }),
+
+  render: ({ client, locked, documentMonth, categoryType, categoryName, changedAt = new Date() }, { t, fmt }) => {
+    const monthLabel = fmt.month(documentMonth);
+    const category = categoryType ? categoryName || t("categoryLabels")[categoryType] || categoryType : null;
+    const name = client.name || fullName(client);
+
+    return {
+      subject: t(locked ? "subjectLocked" : "subjectUnlocked", category ? `${category} (${monthLabel})` : monthLabel, name),
+      greeting: t("greeting", name),
+      blocks: [
+        box(locked ? "success" : "info", t(locked ? "headingLocked" : "headingUnlocked"), [
+          table([
+            [t("status"), t(locked ? "locked" : "unlocked")],
+            [t("documentMonth"), monthLabel],
+            category ? [t("category"), category] : null,
+            [t("changedAt"), fmt.dateTime(changedAt)]
+          ].filter(Boolean))
+        ]),
+        paragraph(t(locked ? "bodyLocked" : "bodyUnlocked"))
+      ],
+      recipient: client.email
+    };
+  }
+};
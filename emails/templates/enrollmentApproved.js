@@ -0,0 +1,54 @@
+const { box, button, heading, paragraph, strong, table } = require("../layout");
+const { fullName, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_ENROLLMENT } = require("./samples");
+
+// Welcome email with portal credentials after approval (routes/clientEnrollment.js)
+module.exports = {
+  name: "enrollment-approved",
+  description: "Welcome email with portal credentials for an approved enrollment",
+  audience: "client",
+  category: "ENROLLMENT",
+
+  sample: () => ({
+    enrollment: SAMPLE_ENROLLMENT,
+    clientId: "CL-1001",
+    temporaryPassword: "Temp#2026xyz",
+    portalUrl: "https://jladgroup.fi/login",
+    approvedAt: new Date(),
+    approvedBy: "Anna Admin",
+    agreementAttached: true
+  }),
+
+  render: ({ enrollment, clientId, temporaryPassword, portalUrl, approvedAt, approvedBy, agreementAttached }, { t, fmt }) => ({
+    subject: t("subject"),
+    greeting: t("welcome", fullName(enrollment)),
+    blocks: [
+      paragraph(t("body")),
+      box("neutral", t("credentialsTitle"), [
+        table([
+          [t("portal"), portalUrl],
+          [t("email"), enrollment.email],
+          [t("temporaryPassword"), strong(temporaryPassword)],
+          [t("clientId"), clientId]
+        ]),
+        button(t("login"), portalUrl),
+        paragraph(t("changePassword"), { muted: true })
+      ]),
+      heading(t("accountTitle")),
+      table([
+        [t("approvedOn"), fmt.dateTime(approvedAt)],
+        [t("approvedBy"), approvedBy || t("administrator")],
+        [t("businessName"), enrollment.businessName || t("notSpecified")],
+        [t("plan"), strong(enrollment.planSelected)],
+        [t("vatPeriod"), vatPeriodLabel(t, enrollment.vatPeriod)],
+        [t("enrollId"), enrollment.enrollId]
+      ]),
+      box("warning", t("acceptanceTitle"), [
+        paragraph(t("acceptance")),
+        paragraph(t("serviceStart", fmt.date(approvedAt)))
+      ]),
+      agreementAttached ? box("neutral", t("agreementTitle"), [paragraph(t("agreementBody"))]) : null
+    ],
+    recipient: enrollment.email
+  })
+};
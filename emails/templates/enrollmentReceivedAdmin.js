@@ -0,0 +1,50 @@
+const { box, heading, list, paragraph, strong, table } = require("../layout");
+const { fullName, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_ENROLLMENT } = require("./samples");
+
+// Tells the admin mailbox about a new enrollment form (routes/clientEnrollment.js)
+module.exports = {
+  name: "enrollment-received-admin",
+  description: "Admin notice of a new client enrollment awaiting review",
+  audience: "admin",
+  category: "ENROLLMENT",
+
+  sample: () => ({
+    enrollment: SAMPLE_ENROLLMENT,
+    ipAddress: "192.0.2.10",
+    submittedAt: new Date(),
+    adminEmail: "support@jladgroup.fi"
+  }),
+
+  render: ({ enrollment, ipAddress, submittedAt, adminEmail }, { t, fmt }) => ({
+    subject: t("subject", enrollment.businessName || fullName(enrollment)),
+    blocks: [
+      box("info", t("heading"), [
+        paragraph(t("body")),
+        paragraph(t("submittedAt", fmt.dateTime(submittedAt)))
+      ]),
+      heading(t("summaryTitle")),
+      table([
+        [t("enrollId"), strong(enrollment.enrollId)],
+        [t("name"), fullName(enrollment)],
+        [t("email"), enrollment.email],
+        [t("phone"), enrollment.mobile || t("notProvided")],
+        [t("businessName"), enrollment.businessName || t("notProvided")],
+        [t("plan"), strong(enrollment.planSelected)],
+        [t("ipAddress"), ipAddress || t("notProvided")],
+        [t("status"), t("pendingReview")]
+      ]),
+      heading(t("detailsTitle")),
+      table([
+        [t("visaType"), enrollment.visaType || t("notProvided")],
+        [t("strongId"), enrollment.hasStrongId === "yes" ? t("yes") : t("no")],
+        [t("vatPeriod"), vatPeriodLabel(t, enrollment.vatPeriod)],
+        [t("businessNature"), enrollment.businessNature || t("notSpecified")],
+        [t("tradeRegister"), enrollment.registerTrade === "yes" ? t("registered") : t("notRegistered")],
+        [t("address"), enrollment.address || t("notProvided")]
+      ]),
+      box("warning", t("nextStepsTitle"), [list(t("nextSteps"), { ordered: true })])
+    ],
+    recipient: adminEmail
+  })
+};
@@ -0,0 +1,47 @@
+const { box, paragraph, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_ENROLLMENT } = require("./samples");
+
+// Sent when an admin rejects an enrollment (routes/clientEnrollment.js)
+module.exports = {
+  name: "enrollment-rejected",
+  description: "Tells the applicant their enrollment was rejected, with the reason",
+  audience: "client",
+  category: "ENROLLMENT",
+
+  sample: () => ({
+    enrollment: {
+      ...SAMPLE_ENROLLMENT,
+      createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000),
+      rejectionReason: "The business ID could not be verified from the trade register."
+    },
+    reviewedAt: new Date(),
+    reviewedBy: "Anna Admin"
+  }),
+
+  render: ({ enrollment, reviewedAt, reviewedBy }, { t, fmt }) => ({
+    subject: t("subject", enrollment.businessName || t("yourBusiness")),
+    greeting: t("greeting", fullName(enrollment)),
+    blocks: [
+      paragraph(t("intro", fmt.date(enrollment.createdAt))),
+      box("danger", t("statusTitle"), [
+        table([
+          [t("applicationId"), enrollment.enrollId],
+          [t("reviewedOn"), fmt.dateTime(reviewedAt)],
+          [t("reviewedBy"), reviewedBy || t("administrator")]
+        ])
+      ]),
+      box("neutral", t("reasonTitle"), [paragraph(enrollment.rejectionReason || t("noReason"))]),
+      box("neutral", t("detailsTitle"), [
+        table([
+          [t("businessName"), enrollment.businessName || t("notProvided")],
+          [t("plan"), enrollment.planSelected || t("notSpecified")],
+          [t("email"), enrollment.email],
+          [t("phone"), enrollment.mobile || t("notProvided")]
+        ])
+      ]),
+      paragraph(t("contactUs"))
+    ],
+    recipient: enrollment.email
+  })
+};
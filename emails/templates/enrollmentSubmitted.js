@@ -0,0 +1,35 @@
+const { box, list, paragraph, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_ENROLLMENT } = require("./samples");
+
+// Confirmation to the applicant after the enrollment form (routes/clientEnrollment.js)
+module.exports = {
+  name: "enrollment-submitted",
+  description: "Confirms a submitted enrollment to the applicant, with the agreement attached",
+  audience: "client",
+  category: "ENROLLMENT",
+
+  sample: () => ({
+    enrollment: SAMPLE_ENROLLMENT,
+    submittedAt: new Date(),
+    agreementAttached: true
+  }),
+
+  render: ({ enrollment, submittedAt, agreementAttached }, { t, fmt }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", fullName(enrollment)),
+    blocks: [
+      box("success", t("heading"), [paragraph(t("body"))]),
+      table([
+        [t("enrollId"), enrollment.enrollId],
+        [t("plan"), enrollment.planSelected],
+        [t("status"), t("pendingReview")],
+        [t("submittedOn"), fmt.date(submittedAt)]
+      ]),
+      box("neutral", t("nextTitle"), [list(t("nextSteps"), { ordered: true })]),
+      agreementAttached ? box("neutral", t("agreementTitle"), [paragraph(t("agreementBody"))]) : null,
+      paragraph(t("questions"))
+    ],
+    recipient: enrollment.email
+  })
+};
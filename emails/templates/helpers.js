@@ -0,0 +1,27 @@
+// emails/templates/helpers.js
+// Small formatting helpers shared by the client-facing templates.
+
+const { monthlyFeeOf } = require("../../config/plans");
+
+const fullName = (person) => {
+  const name = [person?.firstName, person?.lastName].filter(Boolean).join(" ");
+  return name || person?.name || "";
+};
+
+const vatPeriodLabel = (t, vatPeriod) => {
+  if (!vatPeriod) return t("notSpecified");
+  return vatPeriod === "monthly" ? t("vatMonthly") : t("vatQuarterly");
+};
+
+// "Premium (50,00 € + VAT / month)"; plans without a fixed fee show the name only
+const planWithFee = (t, fmt, plan) => {
+  if (!plan) return t("notSpecified");
+  const fee = monthlyFeeOf(plan);
+  return fee === null ? plan : `${plan} (${t("perMonth", fmt.amount(fee))})`;
+};
+
+module.exports = {
+  fullName,
+  vatPeriodLabel,
+  planWithFee
+};
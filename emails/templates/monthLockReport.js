@@ -0,0 +1,57 @@
+const { box, heading, paragraph, table } = require("../layout");
+const { previousMonth } = require("./samples");
+
+// Report of the monthly auto-lock job to the admin mailbox (utils/lockPreviousMonth.js)
+module.exports = {
+  name: "month-lock-report",
+  description: "Admin report of the monthly auto-lock job",
+  audience: "admin",
+  category: "MONTH_LOCK_REPORT",
+
+  sample: () => ({
+    month: previousMonth(),
+    stats: { total: 42, locked: 30, alreadyLocked: 8, inactiveMonths: 3, failed: 1 },
+    durationSeconds: "4.21",
+    executedAt: new Date(),
+    lockedClients: [{ clientId: "CL-1001", name: "Maija Virtanen", source: "ClientMonthlyData" }],
+    alreadyLockedClients: [{ clientId: "CL-1002", name: "Erik Lindqvist", source: "ClientMonthlyData" }],
+    errors: [{ clientId: "CL-1003", clientName: "Oy Esimerkki Ab", error: "Month data not found" }],
+    adminEmail: "support@jladgroup.fi"
+  }),
+
+  render: ({ month, stats, durationSeconds, executedAt, lockedClients = [], alreadyLockedClients = [], errors = [], adminEmail }, { t, fmt }) => {
+    const monthLabel = fmt.month(month);
+    const clientRows = (clients) => clients.map(c => [c.name, c.clientId, c.source]);
+
+    return {
+      subject: t("subject", monthLabel, stats.locked),
+      blocks: [
+        box("info", t("summaryTitle"), [
+          table([
+            [t("monthProcessed"), monthLabel],
+            [t("executedAt"), fmt.dateTime(executedAt)],
+            [t("duration"), t("seconds", durationSeconds)]
+          ])
+        ]),
+        heading(t("statsTitle")),
+        table([
+          [t("totalClients"), String(stats.total)],
+          [t("newlyLocked"), String(stats.locked)],
+          [t("alreadyLocked"), String(stats.alreadyLocked)],
+          [t("inactiveMonths"), String(stats.inactiveMonths)],
+          [t("failed"), String(stats.failed)]
+        ]),
+        lockedClients.length > 0 ? heading(t("lockedTitle", lockedClients.length)) : null,
+        lockedClients.length > 0 ? table(clientRows(lockedClients), { head: [t("client"), t("clientId"), t("source")] }) : null,
+        alreadyLockedClients.length > 0 ? heading(t("alreadyLockedTitle", alreadyLockedClients.length)) : null,
+        alreadyLockedClients.length > 0 ? table(clientRows(alreadyLockedClients), { head: [t("client"), t("clientId"), t("source")] }) : null,
+        errors.length > 0 ? box("danger", t("errorsTitle", errors.length), [
+          table(errors.slice(0, 10).map(err => [`${err.clientName} (${err.clientId})`, err.error])),
+          errors.length > 10 ? paragraph(t("moreErrors", errors.length - 10)) : null
+        ]) : null,
+        paragraph(t("schedule"), { muted: true })
+      ],
+      recipient: adminEmail
+    };
+  }
+};
@@ -0,0 +1,44 @@
+const { box, button, heading, paragraph, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_CLIENT, SAMPLE_EMPLOYEE, previousMonth } = require("./samples");
+
+// Note alert: an employee added a note to one of the client's files
+// (routes/employee.js). Sent only when the client keeps note alerts on.
+module.exports = {
+  name: "note-added",
+  description: "Tells a client that their accountant added a note to one of their files",
+  audience: "client",
+  category: "NOTE_ALERT",
+  preference: "noteAlerts",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    addedBy: SAMPLE_EMPLOYEE.name,
+    documentMonth: previousMonth(),
+    categoryType: "purchase",
+    categoryName: null,
+    fileName: "receipt-0412.pdf",
+    note: "The VAT amount on this receipt is not readable. Could you upload a clearer copy?",
+    addedAt: new Date(),
+    portalUrl: "https://jladgroup.fi/login"
+  }),
+
+  render: ({ client, addedBy, documentMonth, categoryType, categoryName, fileName, note, addedAt = new Date(), portalUrl }, { t, fmt }) => ({
+    subject: t("subject", fileName),
+    greeting: t("greeting", fullName(client)),
+    blocks: [
+      heading(t("heading")),
+      paragraph(t("body", addedBy)),
+      box("info", t("noteTitle"), [paragraph(note)]),
+      heading(t("detailsTitle")),
+      table([
+        [t("documentMonth"), fmt.month(documentMonth)],
+        [t("category"), categoryName || t("categoryLabels")[categoryType] || categoryType],
+        [t("file"), fileName],
+        [t("addedAt"), fmt.dateTime(addedAt)]
+      ]),
+      portalUrl ? button(t("openPortal"), portalUrl) : null
+    ],
+    recipient: client.email
+  })
+};
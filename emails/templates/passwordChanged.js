@@ -0,0 +1,26 @@
+const { box, paragraph } = require("../layout");
+
+// Confirmation after a client changed their password in profile settings (routes/clientAuth.js)
+module.exports = {
+  name: "password-changed",
+  description: "Confirms a client password change from profile settings",
+  audience: "client",
+  category: "PASSWORD_CHANGED",
+
+  sample: () => ({
+    name: "Maija Virtanen",
+    email: "maija.virtanen@example.com"
+  }),
+
+  render: ({ name, email }, { t }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", name),
+    blocks: [
+      paragraph(t("body")),
+      box("neutral", null, [paragraph(t("notYou"))]),
+      paragraph(t("thanks"))
+    ],
+    recipient: email,
+    contact: false
+  })
+};
@@ -0,0 +1,27 @@
+const { box, button, paragraph } = require("../layout");
+
+// Confirmation after a client reset their password with the OTP (routes/clientAuth.js)
+module.exports = {
+  name: "password-reset-done",
+  description: "Confirms a completed client password reset",
+  audience: "client",
+  category: "PASSWORD_RESET",
+
+  sample: () => ({
+    name: "Maija Virtanen",
+    email: "maija.virtanen@example.com",
+    loginUrl: "https://jladgroup.fi/client/login"
+  }),
+
+  render: ({ name, email, loginUrl }, { t }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", name),
+    blocks: [
+      paragraph(t("body")),
+      box("neutral", null, [paragraph(t("notYou"))]),
+      loginUrl ? button(t("login"), loginUrl) : null
+    ],
+    recipient: email,
+    contact: false
+  })
+};
@@ -0,0 +1,29 @@
+const { code, paragraph } = require("../layout");
+
+// One-time code for the client forgot-password flow (routes/clientAuth.js)
+module.exports = {
+  name: "password-reset-otp",
+  description: "One-time code for resetting a client password",
+  audience: "client",
+  category: "PASSWORD_RESET",
+
+  sample: () => ({
+    name: "Maija Virtanen",
+    email: "maija.virtanen@example.com",
+    otp: "482913",
+    validMinutes: 10
+  }),
+
+  render: ({ name, email, otp, validMinutes }, { t }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", name),
+    blocks: [
+      paragraph(t("intro")),
+      code(otp),
+      paragraph(t("validity", validMinutes)),
+      paragraph(t("ignore"), { muted: true })
+    ],
+    recipient: email,
+    contact: false
+  })
+};
@@ -0,0 +1,74 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_CLIENT, previousMonth } = require("./samples");
+
+// FIRST and FINAL monthly payment reminders (routes/paymentReminders.js).
+// months: unpaid months [{ year, month, plan, amount }], amount null for
+// plans without a fixed fee.
+module.exports = {
+  name: "payment-reminder",
+  description: "Monthly payment reminder listing the client's unpaid months",
+  audience: "client",
+  category: "PAYMENT_REMINDER",
+  preference: "reminders",
+
+  sample: () => {
+    const last = previousMonth();
+    return {
+      client: SAMPLE_CLIENT,
+      reminder: "FIRST",
+      months: [
+        { ...last, plan: "Premium", amount: 50 },
+        { year: last.month === 12 ? last.year + 1 : last.year, month: (last.month % 12) + 1, plan: "Premium", amount: 50 }
+      ],
+      totalAmount: 100,
+      sentAt: new Date()
+    };
+  },
+
+  render: ({ client, reminder = "FIRST", months = [], totalAmount = 0, sentAt = new Date() }, { t, fmt }) => {
+    const isFinal = reminder === "FINAL";
+    const business = client.businessName || t("yourBusiness");
+    const hasOpenAmounts = months.some(m => m.amount === null || m.amount === undefined);
+
+    return {
+      subject: isFinal ? t("subjectFinal", business) : t("subjectFirst", business),
+      greeting: t("greeting", fullName(client)),
+      blocks: [
+        box("warning", isFinal ? t("headingFinal") : t("headingFirst"), [
+          paragraph(isFinal ? t("bodyFinal") : t("bodyFirst")),
+          paragraph(t("timely")),
+          paragraph(t("sentAt", fmt.dateTime(sentAt)))
+        ]),
+        heading(t("accountTitle")),
+        table([
+          [t("clientId"), client.clientId],
+          [t("businessName"), client.businessName || t("notSpecified")],
+          [t("plan"), client.planSelected || t("notSpecified")],
+          [t("email"), client.email],
+          [t("phone"), client.phone || t("notProvided")],
+          [t("vatPeriod"), vatPeriodLabel(t, client.vatPeriod)]
+        ]),
+        months.length > 0 ? heading(t("outstandingTitle")) : null,
+        months.length > 0 ? table(
+          [
+            ...months.map(m => [
+              fmt.month(m),
+              m.plan || t("notSpecified"),
+              m.amount === null || m.amount === undefined ? t("asInvoiced") : t("plusVat", fmt.amount(m.amount))
+            ]),
+            [
+              strong(t("totalDue")),
+              "",
+              strong(t("plusVat", fmt.amount(totalAmount)) + (hasOpenAmounts ? ` ${t("plusInvoiced")}` : ""))
+            ]
+          ],
+          { head: [t("month"), t("plan"), t("amount")] }
+        ) : null,
+        box("success", null, [paragraph(months.length > 1 ? t("alreadyPaidMany") : t("alreadyPaidOne"))]),
+        paragraph(t("questions"))
+      ],
+      recipient: client.email
+    };
+  }
+};
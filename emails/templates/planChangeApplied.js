@@ -0,0 +1,42 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName, planWithFee } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent when the plan-change job applies a plan change the client scheduled
+// for the next month (utils/planChangeCron.js)
+module.exports = {
+  name: "plan-change-applied",
+  description: "Confirms that a scheduled plan change took effect at the start of the month",
+  audience: "client",
+  category: "PLAN_CHANGED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    fromPlan: "Lite",
+    toPlan: "Premium",
+    appliedAt: new Date(),
+    billingMonth: { year: new Date().getFullYear(), month: new Date().getMonth() + 1 }
+  }),
+
+  // billingMonth: { year, month } that the new plan is billed from
+  render: ({ client, fromPlan, toPlan, appliedAt = new Date(), billingMonth }, { t, fmt }) => ({
+    subject: t("subject", client.businessName || fullName(client)),
+    greeting: t("greeting", fullName(client)),
+    blocks: [
+      box("success", t("heading"), [
+        paragraph(t("body")),
+        paragraph(t("appliedOn", fmt.date(appliedAt)))
+      ]),
+      heading(t("detailsTitle")),
+      table([
+        [t("previousPlan"), planWithFee(t, fmt, fromPlan)],
+        [t("newPlan"), strong(planWithFee(t, fmt, toPlan))],
+        [t("effectiveFrom"), strong(fmt.date(appliedAt))],
+        [t("billingMonth"), fmt.month(billingMonth)]
+      ]),
+      paragraph(t("note", toPlan)),
+      paragraph(t("questions"), { muted: true })
+    ],
+    recipient: client.email
+  })
+};
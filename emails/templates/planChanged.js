@@ -0,0 +1,45 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName, planWithFee, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent to the client after they switch plans (routes/clientAuth.js)
+module.exports = {
+  name: "plan-changed",
+  description: "Confirms a plan change made by the client",
+  audience: "client",
+  category: "PLAN_CHANGED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    fromPlan: "Lite",
+    toPlan: "Premium",
+    changedAt: new Date()
+  }),
+
+  render: ({ client, fromPlan, toPlan, changedAt }, { t, fmt }) => ({
+    subject: t("subject", client.businessName || fullName(client)),
+    greeting: t("greeting", fullName(client)),
+    blocks: [
+      box("success", t("heading"), [
+        paragraph(t("body")),
+        paragraph(t("changedOn", fmt.dateTime(changedAt)))
+      ]),
+      heading(t("detailsTitle")),
+      table([
+        [t("previousPlan"), planWithFee(t, fmt, fromPlan)],
+        [t("newPlan"), strong(planWithFee(t, fmt, toPlan))],
+        [t("effectiveFrom"), strong(fmt.date(changedAt))]
+      ]),
+      heading(t("accountTitle")),
+      table([
+        [t("clientId"), client.clientId],
+        [t("businessName"), client.businessName || t("notSpecified")],
+        [t("email"), client.email],
+        [t("phone"), client.phone || t("notProvided")],
+        [t("vatPeriod"), vatPeriodLabel(t, client.vatPeriod)]
+      ]),
+      box("info", null, [paragraph(t("note", toPlan))])
+    ],
+    recipient: client.email
+  })
+};
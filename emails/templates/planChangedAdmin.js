@@ -0,0 +1,40 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Tells the admin mailbox that a client changed their plan (routes/clientAuth.js)
+module.exports = {
+  name: "plan-changed-admin",
+  description: "Admin notice of a plan change made by a client",
+  audience: "admin",
+  category: "PLAN_CHANGED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    fromPlan: "Lite",
+    toPlan: "Premium",
+    changedAt: new Date(),
+    adminEmail: "support@jladgroup.fi"
+  }),
+
+  render: ({ client, fromPlan, toPlan, changedAt, adminEmail }, { t, fmt }) => ({
+    subject: t("subject", client.name || fullName(client), client.clientId),
+    blocks: [
+      box("success", t("heading"), [
+        paragraph(t("body", client.name || fullName(client), client.clientId, fmt.dateTime(changedAt)))
+      ]),
+      heading(t("detailsTitle")),
+      table([
+        [t("name"), fullName(client)],
+        [t("clientId"), client.clientId],
+        [t("businessName"), client.businessName || t("notSpecified")],
+        [t("email"), client.email],
+        [t("phone"), client.phone || t("notProvided")],
+        [t("previousPlan"), strong(fromPlan || t("notSpecified"))],
+        [t("newPlan"), strong(toPlan)],
+        [t("effectiveFrom"), strong(fmt.date(changedAt))]
+      ])
+    ],
+    recipient: adminEmail
+  })
+};
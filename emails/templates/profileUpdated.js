@@ -0,0 +1,56 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName, vatPeriodLabel } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent after a client edits their own profile (routes/clientAuth.js)
+module.exports = {
+  name: "profile-updated",
+  description: "Lists the profile fields a client changed themselves",
+  audience: "client",
+  category: "PROFILE_UPDATED",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    changes: [
+      { field: "phone", oldValue: "+358409876543", newValue: "+358401234567" },
+      { field: "businessAddress", oldValue: "", newValue: "Mannerheimintie 1, Helsinki" }
+    ],
+    updatedAt: new Date()
+  }),
+
+  render: ({ client, changes = [], updatedAt }, { t, fmt }) => {
+    const labels = t("fieldLabels");
+
+    return {
+      subject: t("subject", client.businessName || fullName(client)),
+      greeting: t("greeting", fullName(client)),
+      blocks: [
+        box("success", t("heading"), [
+          paragraph(t("body")),
+          paragraph(t("updatedOn", fmt.dateTime(updatedAt)))
+        ]),
+        changes.length > 0 ? heading(t("changesTitle")) : null,
+        changes.length > 0 ? table(
+          changes.map(change => [
+            labels[change.field] || change.field,
+            change.oldValue || t("notSet"),
+            strong(change.newValue || t("notSet"))
+          ]),
+          { head: [t("field"), t("previousValue"), t("newValue")] }
+        ) : null,
+        heading(t("currentTitle")),
+        table([
+          [t("clientId"), client.clientId],
+          [t("name"), fullName(client)],
+          [t("email"), client.email],
+          [t("phone"), client.phone || t("notProvided")],
+          [t("businessName"), client.businessName || t("notSpecified")],
+          [t("vatPeriod"), vatPeriodLabel(t, client.vatPeriod)],
+          [t("plan"), client.planSelected || t("notSpecified")]
+        ]),
+        box("info", null, [paragraph(t("notYou"))])
+      ],
+      recipient: client.email
+    };
+  }
+};
@@ -0,0 +1,60 @@
+const { box, heading, paragraph, strong, table } = require("../layout");
+const { fullName } = require("./helpers");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent after an admin edits a client's details (routes/clientManagement.js);
+// changes the client makes themselves use profile-updated
+module.exports = {
+  name: "profile-updated-by-admin",
+  description: "Lists the client details an admin changed",
+  audience: "client",
+  category: "PROFILE_UPDATED",
+
+  sample: () => ({
+    client: { ...SAMPLE_CLIENT, visaType: "EU citizen" },
+    changes: [
+      { field: "vatPeriod", oldValue: "quarterly", newValue: "monthly" },
+      { field: "planSelected", oldValue: "Lite", newValue: "Premium" }
+    ],
+    updatedBy: "Anna Admin",
+    updatedAt: new Date()
+  }),
+
+  render: ({ client, changes = [], updatedBy, updatedAt = new Date() }, { t, fmt }) => {
+    const labels = t("fieldLabels");
+
+    return {
+      subject: t("subject", client.businessName || fullName(client)),
+      greeting: t("greeting", fullName(client)),
+      blocks: [
+        box("success", t("heading"), [
+          paragraph(t("body")),
+          table([
+            [t("updatedOn"), fmt.dateTime(updatedAt)],
+            [t("updatedBy"), updatedBy || t("administrator")]
+          ])
+        ]),
+        heading(t("changesTitle")),
+        table(
+          changes.map(change => [
+            labels[change.field] || change.field,
+            change.oldValue || t("notSet"),
+            strong(change.newValue || t("notSet"))
+          ]),
+          { head: [t("field"), t("previousValue"), t("newValue")] }
+        ),
+        heading(t("currentTitle")),
+        table([
+          [t("name"), fullName(client)],
+          [t("businessName"), client.businessName || t("notSpecified")],
+          [t("email"), client.email],
+          [t("phone"), client.phone || t("notProvided")],
+          [labels.visaType, client.visaType || t("notSpecified")],
+          [t("plan"), client.planSelected || t("notSpecified")]
+        ]),
+        box("info", null, [paragraph(t("note")), paragraph(t("notYou"))])
+      ],
+      recipient: client.email
+    };
+  }
+};
@@ -0,0 +1,51 @@
+// emails/templates/samples.js
+// Made-up people used by the template samples (admin preview).
+
+const SAMPLE_CLIENT = {
+  clientId: "CL-1001",
+  name: "Maija Virtanen",
+  firstName: "Maija",
+  lastName: "Virtanen",
+  email: "maija.virtanen@example.com",
+  phone: "+358401234567",
+  businessName: "Virtanen Consulting",
+  vatPeriod: "monthly",
+  planSelected: "Premium"
+};
+
+const SAMPLE_ENROLLMENT = {
+  enrollId: "3f6c1a52-7d7e-4f0e-9a51-2b8a4c0e9d11",
+  firstName: "Maija",
+  lastName: "Virtanen",
+  email: "maija.virtanen@example.com",
+  mobile: "+358401234567",
+  businessName: "Virtanen Consulting",
+  planSelected: "Premium",
+  visaType: "EU citizen",
+  hasStrongId: "yes",
+  vatPeriod: "monthly",
+  businessNature: "IT consulting",
+  registerTrade: "yes",
+  address: "Mannerheimintie 1, 00100 Helsinki",
+  createdAt: new Date()
+};
+
+const SAMPLE_EMPLOYEE = {
+  employeeId: "EMP-12",
+  name: "Jussi Korhonen",
+  email: "jussi.korhonen@example.com"
+};
+
+// The month before the current one, as { year, month }
+const previousMonth = () => {
+  const now = new Date();
+  const date = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+  return { year: date.getFullYear(), month: date.getMonth() + 1 };
+};
+
+module.exports = {
+  SAMPLE_CLIENT,
+  SAMPLE_ENROLLMENT,
+  SAMPLE_EMPLOYEE,
+  previousMonth
+};
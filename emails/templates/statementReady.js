@@ -0,0 +1,47 @@
+const { box, button, list, paragraph, table } = require("../layout");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Sent when an admin approves a financial statement request
+// (routes/clientManagement.js)
+module.exports = {
+  name: "statement-ready",
+  description: "Tells a client that their requested financial statements are ready",
+  audience: "client",
+  category: "FINANCIAL_STATEMENT",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    request: {
+      requestId: "FSR1760000000000123",
+      fromDate: new Date(Date.UTC(2026, 0, 1)),
+      toDate: new Date(Date.UTC(2026, 5, 30)),
+      sentDate: new Date(),
+      downloadUrl: "https://jladgroup.fi/statements/FSR1760000000000123.pdf",
+      adminNotes: "Includes the balance sheet and the profit and loss statement."
+    }
+  }),
+
+  render: ({ client, request }, { t, fmt }) => {
+    const period = t("periodRange", fmt.date(request.fromDate), fmt.date(request.toDate));
+
+    return {
+      subject: t("subject", period),
+      greeting: t("greeting", client.name),
+      blocks: [
+        box("success", t("heading"), [
+          table([
+            [t("requestId"), request.requestId],
+            [t("period"), period],
+            [t("status"), t("approved")],
+            [t("sentAt"), fmt.dateTime(request.sentDate || new Date())],
+            request.adminNotes ? [t("notes"), request.adminNotes] : null
+          ].filter(Boolean))
+        ]),
+        request.downloadUrl ? button(t("download"), request.downloadUrl) : null,
+        box("info", t("tipsTitle"), [list(t("tips"))]),
+        paragraph(t("thanks"))
+      ],
+      recipient: client.email
+    };
+  }
+};
@@ -0,0 +1,39 @@
+const { box, list, paragraph, table } = require("../layout");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Confirms a financial statement request to the client
+// (routes/financialStatementRoutes.js)
+module.exports = {
+  name: "statement-requested",
+  description: "Confirms that a client's financial statement request was received",
+  audience: "client",
+  category: "FINANCIAL_STATEMENT",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    request: {
+      requestId: "FSR1760000000000123",
+      fromDate: new Date(Date.UTC(2026, 0, 1)),
+      toDate: new Date(Date.UTC(2026, 5, 30)),
+      requestedAt: new Date()
+    }
+  }),
+
+  render: ({ client, request }, { t, fmt }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", client.name),
+    blocks: [
+      box("success", t("heading"), [
+        table([
+          [t("requestId"), request.requestId],
+          [t("period"), t("periodRange", fmt.date(request.fromDate), fmt.date(request.toDate))],
+          [t("status"), t("pendingReview")],
+          [t("submittedAt"), fmt.dateTime(request.requestedAt)]
+        ])
+      ]),
+      paragraph(t("nextTitle")),
+      list(t("nextSteps"), { ordered: true })
+    ],
+    recipient: client.email
+  })
+};
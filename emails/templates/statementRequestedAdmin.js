@@ -0,0 +1,42 @@
+const { box, paragraph, table } = require("../layout");
+const { SAMPLE_CLIENT } = require("./samples");
+
+// Tells the admin mailbox about a new financial statement request
+// (routes/financialStatementRoutes.js)
+module.exports = {
+  name: "statement-requested-admin",
+  description: "Admin notice of a new financial statement request",
+  audience: "admin",
+  category: "FINANCIAL_STATEMENT",
+
+  sample: () => ({
+    client: SAMPLE_CLIENT,
+    request: {
+      requestId: "FSR1760000000000123",
+      fromDate: new Date(Date.UTC(2026, 0, 1)),
+      toDate: new Date(Date.UTC(2026, 5, 30)),
+      requestedAt: new Date(),
+      adminNotes: "Needed for a bank loan application"
+    },
+    adminEmail: "support@jladgroup.fi"
+  }),
+
+  render: ({ client, request, adminEmail }, { t, fmt }) => ({
+    subject: t("subject", client.name),
+    blocks: [
+      box("info", t("heading"), [
+        table([
+          [t("client"), client.name],
+          [t("email"), client.email],
+          [t("clientId"), client.clientId],
+          [t("period"), t("periodRange", fmt.date(request.fromDate), fmt.date(request.toDate))],
+          [t("requestId"), request.requestId],
+          [t("requestedAt"), fmt.dateTime(request.requestedAt)],
+          request.adminNotes ? [t("notes"), request.adminNotes] : null
+        ].filter(Boolean))
+      ]),
+      paragraph(t("body"))
+    ],
+    recipient: adminEmail
+  })
+};
@@ -0,0 +1,29 @@
+const { code, paragraph } = require("../layout");
+
+// One-time code for signing in without the authenticator app; sent to
+// admins and employees (routes/twoFactorRoutes.js)
+module.exports = {
+  name: "two-factor-recovery",
+  description: "One-time code for recovering a staff account's two-factor sign-in",
+  audience: "staff",
+  category: "TWO_FACTOR_RECOVERY",
+
+  sample: () => ({
+    name: "Jussi Korhonen",
+    email: "jussi.korhonen@example.com",
+    otp: "482913",
+    validMinutes: 10
+  }),
+
+  render: ({ name, email, otp, validMinutes }, { t }) => ({
+    subject: t("subject"),
+    greeting: t("greeting", name),
+    blocks: [
+      paragraph(t("intro")),
+      code(otp),
+      paragraph(t("validity", validMinutes)),
+      paragraph(t("ignore"), { muted: true })
+    ],
+    recipient: email
+  })
+};
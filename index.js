@@ -1,11 +1,24 @@
-process.env.TZ = 'Europe/Helsinki';
+// ===============================
+// Configuration (validated before anything else starts)
+// ===============================
+let config;
+try {
+    config = require("./config");
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
+const { describeConfig } = require("./config/loadConfig");
+
+process.env.TZ = config.timezone;
 console.log(new Date());
+console.log(`⚙️  Configuration loaded${config.file ? ` from ${config.file} and environment` : " from environment"}:`);
+describeConfig(config).forEach(line => console.log(`   ${line}`));
 
 const express = require("express");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-require("dotenv").config();
-const logger = require("./utils/logger");
+const { logger } = require("./utils/logger");
 
 const app = express();
 
@@ -24,12 +37,7 @@ app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
 app.use(cors({
-    origin: [
-        "https://credence-two.vercel.app",
-        "http://localhost:5173",
-        "https://credence.techorses.com",
-        "https://jladgroup.fi"
-    ],
+    origin: config.cors.origins,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"]
@@ -54,26 +62,15 @@ app.use((req, res, next) => {
 // CRON JOBS
 // ===============================
 
-// Import existing cron jobs
-const { schedulePlanChangeCron } = require('./utils/planChangeCron');
-
-// Import the new month lock cron job
-const { scheduleLockJob } = require('./utils/lockPreviousMonth');
-
-// Import the annual backup cron job
-const { scheduleBackupJob } = require('./utils/backupCron');
-
-// Schedule all cron jobs
-console.log("⏰ Initializing all CRON jobs...");
-
-// Schedule plan change cron
-schedulePlanChangeCron();
-
-// Schedule month lock cron (runs on 26th of each month)
-scheduleLockJob();
-
-// Schedule annual backup cron (runs on Jan 1st at 12:00 AM Finland time)
-scheduleBackupJob();
+// Scheduled jobs register themselves with utils/jobScheduler.js when their
+// module loads; the payment and document reminder jobs come with their
+// routes below. The scheduler is started once all of them are loaded.
+require('./utils/planChangeCron');
+require('./utils/lockPreviousMonth');
+require('./utils/backupCron');
+require('./utils/fileTrash');
+const { startJobScheduler } = require('./utils/jobScheduler');
+const { startEmailWorker } = require('./utils/emailOutbox');
 
 // ===============================
 // ROUTES
@@ -101,44 +98,80 @@ const financialStatementRoutes = require('./routes/financialStatementRoutes');
 const googleDriveRoutes = require("./routes/googledrive");
 const adminPdfRoutes = require("./routes/adminPdfRoutes");
 const clientConsentRoutes = require("./routes/Clientconsent");
+const createSessionRoutes = require("./routes/sessionRoutes");
+const createTwoFactorRoutes = require("./routes/twoFactorRoutes");
+const jobRoutes = require("./routes/jobRoutes");
+const emailOutboxRoutes = require("./routes/emailOutboxRoutes");
+const emailTemplateRoutes = require("./routes/emailTemplateRoutes");
+const notificationPreferenceRoutes = require("./routes/notificationPreferenceRoutes");
+const createNotificationRoutes = require("./routes/notificationRoutes");
+const createRealtimeRoutes = require("./routes/realtimeRoutes");
+const storageFileRoutes = require("./routes/storageFiles");
+const { startRealtime } = require("./utils/realtime");
+
+
+// Kept as a table so the route auth self-check below can walk every router
+const routeMounts = [
+    ["/client-enrollment", ClientEnrollment],
+    ["/client", ClientAuth],
+    ["/clientupload", clientUpload],
+    ["/admin", adminRoutes],
+    ["/admin-employee", AdminEmployee],
+    ["/employee", EmployeeRoutes],
+    ["/employee-task", EmployeeTasks],
+    ["/admin", Employee_task_info],
+    ["/schedule-call", scheduleCallRoutes],
+    ["/payment-reminders", paymentReminderRoutes],
+    ["/document-upload-reminders", documentUploadReminderRoutes],
+    ["/client-management", clientManagementRoutes],
+    ["/admin", adminDashboardRoutes],
+    ["/client", clientDashboardRoutes],
+    ["/employee", employeeDashboard],
+    ["/activity-logs", activityLogsRoutes],
+    ["/employee", employeeNotesRoutes],
+    ["/admin/notes", adminNotesRoutes],
+    ["/employee/notes", employeeNotesRoutes],
+    ["/client/financial-statement", financialStatementRoutes],
+    ["/api", googleDriveRoutes],
+    ["/admin/pdf", adminPdfRoutes],
+    ["/client-consent", clientConsentRoutes],
+    ["/admin", createSessionRoutes("ADMIN")],
+    ["/employee", createSessionRoutes("EMPLOYEE")],
+    ["/client", createSessionRoutes("CLIENT")],
+    ["/admin", createTwoFactorRoutes("ADMIN")],
+    ["/employee", createTwoFactorRoutes("EMPLOYEE")],
+    ["/admin/jobs", jobRoutes],
+    ["/admin/emails", emailOutboxRoutes],
+    ["/admin/email-templates", emailTemplateRoutes],
+    ["/notification-preferences", notificationPreferenceRoutes],
+    ["/admin", createNotificationRoutes("ADMIN")],
+    ["/employee", createNotificationRoutes("EMPLOYEE")],
+    ["/client", createNotificationRoutes("CLIENT")],
+    ["/admin", createRealtimeRoutes("ADMIN")],
+    ["/employee", createRealtimeRoutes("EMPLOYEE")],
+    ["/client", createRealtimeRoutes("CLIENT")],
+    ["/files", storageFileRoutes]
+];
+
+routeMounts.forEach(([mountPath, router]) => app.use(mountPath, router));
+
+// Schedule all jobs (times come from config.cron)
+if (config.cron.enabled) {
+    console.log("⏰ Initializing all CRON jobs...");
+    startJobScheduler();
+} else {
+    console.log("⏸️  CRON jobs disabled (cron.enabled = false)");
+}
 
-
-app.use("/client-enrollment", ClientEnrollment);
-app.use("/client", ClientAuth);
-app.use("/clientupload", clientUpload);
-app.use("/admin", adminRoutes);
-app.use("/admin-employee", AdminEmployee);
-app.use("/employee", EmployeeRoutes);
-app.use("/employee-task", EmployeeTasks);
-app.use("/admin", Employee_task_info);
-app.use("/schedule-call", scheduleCallRoutes);
-app.use("/payment-reminders", paymentReminderRoutes);
-app.use("/document-upload-reminders", documentUploadReminderRoutes);
-app.use("/client-management", clientManagementRoutes);
-app.use('/admin', adminDashboardRoutes);
-app.use('/client', clientDashboardRoutes);
-app.use('/employee', employeeDashboard);
-app.use("/activity-logs", activityLogsRoutes);
-app.use("/employee", employeeNotesRoutes);
-app.use("/admin/notes", adminNotesRoutes);
-app.use('/employee/notes', employeeNotesRoutes);
-app.use('/client/financial-statement', financialStatementRoutes);
-app.use("/api", googleDriveRoutes);
-app.use("/admin/pdf", adminPdfRoutes);
-app.use("/client-consent", clientConsentRoutes);
-
-
-
-
-
-
-const fs = require("fs");
-const path = require("path");
-const UPLOAD_DIR = path.join(__dirname, "uploads");
-if (!fs.existsSync(UPLOAD_DIR)) {
-    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+// Every email is queued in EmailOutbox; this worker sends them
+if (config.email.workerEnabled) {
+    startEmailWorker();
+} else {
+    console.log("⏸️  Email worker disabled (email.workerEnabled = false), emails stay queued");
 }
-app.use("/uploads", express.static(UPLOAD_DIR));
+
+// Live notification push (SSE); change streams fan out across instances
+startRealtime();
 
 // ===============================
 // BASIC ROUTE
@@ -147,15 +180,28 @@ app.get("/", (req, res) => {
     res.send("NEW UPDATED WITH INDIAN SERVER ");
 });
 
+// ===============================
+// ROUTE AUTH SELF-CHECK
+// ===============================
+const { assertRoutesGuarded } = require("./utils/routeAuthCheck");
+try {
+    assertRoutesGuarded(app, routeMounts);
+    console.log("🔐 Route auth self-check passed");
+} catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+}
+
 // ===============================
 // REMINDER SYSTEM LOGS
 // ===============================
 console.log("⏰ Payment Reminder System: Checking schedule...");
-console.log("📅 First Reminder: 20th of each month at 12:00 PM Finland time (EET/EEST)");
-console.log("📅 Final Reminder: 25th of each month at 12:00 PM Finland time (EET/EEST)");
+console.log(`📅 First Reminder: "${config.cron.paymentReminderFirst}" (${config.timezone})`);
+console.log(`📅 Final Reminder: "${config.cron.paymentReminderFinal}" (${config.timezone})`);
 
 console.log("⏰ Document Upload Reminder System: Checking schedule...");
-console.log("📅 Document Upload Reminder: 15th of each month at 12:00 PM Finland time (EET/EEST)");
+console.log(`📅 Document Upload Reminders: "${config.cron.documentReminderEarly}" and "${config.cron.documentReminder}" (${config.timezone})`);
+console.log(`📅 Document Upload Escalation: "${config.cron.documentReminderEscalation}" (${config.timezone})`);
 
 // Display current and next month info
 const currentDate = new Date();
@@ -177,20 +223,22 @@ console.log(`   - Will remind for: ${previousMonthYear}`);
 console.log(`   - Due on: 15th ${nextMonthYear}`);
 console.log(`   - Deadline: 25th ${nextMonthYear}`);
 
-console.log(`⏰ Current Server Time (Finland): ${new Date().toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
+console.log(`⏰ Current Server Time (${config.timezone}): ${new Date().toLocaleString("en-IN", { timeZone: config.timezone })}`);
 
 // ===============================
 // SERVER
 // ===============================
-const PORT = process.env.PORT || 3043; 
-// const PORT = process.env.PORT || 3077;
+const PORT = config.port;
 
 app.listen(PORT, () => {
     console.log(`🚀 Server running at http://localhost:${PORT}`);
-    console.log(`💰 Payment Reminder System: ACTIVE`);
-    console.log(`📄 Document Upload Reminder System: ACTIVE`);
-    console.log(`🔒 Month Auto-Lock System: ACTIVE (Runs on 26th of each month at 12:00 AM Finland time)`);
-    console.log(`📦 Annual Backup System: ACTIVE (Runs on Jan 1st at 12:00 AM Finland time)`);
+    const cronState = config.cron.enabled ? "ACTIVE" : "DISABLED";
+    console.log(`💰 Payment Reminder System: ${cronState}`);
+    console.log(`📄 Document Upload Reminder System: ${cronState}`);
+    console.log(`🔒 Month Auto-Lock System: ${cronState} ("${config.cron.monthLock}" ${config.timezone})`);
+    console.log(`📦 Annual Backup System: ${cronState} ("${config.cron.annualBackup}" ${config.timezone})`);
+    console.log(`✉️  Email Outbox Worker: ${config.email.workerEnabled ? "ACTIVE" : "DISABLED"} (${config.email.smtp.host}:${config.email.smtp.port}, ${config.email.ratePerMinute}/min)`);
+    console.log(`📡 Realtime Notifications: ACTIVE (${config.realtime.changeStreams ? "change streams, in-process until connected" : "in-process"}, heartbeat ${config.realtime.heartbeatSeconds}s)`);
 });
 
 
@@ -0,0 +1,28 @@
+const ActivityLog = require("../models/ActivityLog");
+const { logToConsole } = require("../utils/logger");
+
+/**
+ * Records an ActivityLog entry for every access to a sensitive admin
+ * endpoint. Must run after requireAdmin / requirePermission so that
+ * req.user is populated. Logging failures never block the request.
+ *
+ *   router.get("/get-logs", requirePermission("activity-logs:read"), auditAccess("ACTIVITY_LOGS_VIEWED"), ...)
+ */
+const auditAccess = (action) => async (req, res, next) => {
+  try {
+    await ActivityLog.create({
+      userName: req.user?.name,
+      role: req.user?.role || "ADMIN",
+      adminId: req.user?.adminId,
+      action,
+      details: `${req.method} ${req.originalUrl} accessed from ${req.ip}`,
+      dateTime: new Date()
+    });
+  } catch (logError) {
+    logToConsole("ERROR", "ACCESS_AUDIT_LOG_FAILED", { action, error: logError.message });
+  }
+
+  next();
+};
+
+module.exports = auditAccess;
@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
+const { markAuthGuard } = require("./permissionMiddleware");
+const { isSessionActive } = require("../utils/sessionService");
 
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   const token = req.cookies?.accessToken || req.cookies?.clientToken ||  req.cookies?.employeeToken ;
 
   if (!token) {
@@ -9,6 +11,9 @@ const authMiddleware = (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ message: "Session expired" });
+    }
     req.user = decoded;
     next();
   } catch (err) {
@@ -16,4 +21,4 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
+module.exports = markAuthGuard(authMiddleware);
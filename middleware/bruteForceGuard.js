@@ -0,0 +1,71 @@
+const { reserveAttempt, settleAttempt } = require("../utils/loginThrottle");
+const { logToConsole } = require("../utils/logger");
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Attempt limiting for public credential endpoints (login, OTP checks).
+ * Every request reserves an attempt against the account and the IP before
+ * the route runs, so a burst of parallel guesses cannot get past the limit.
+ * Rejects with 429 while the account or IP is locked or its budget is
+ * taken by requests still in flight, holds the request back progressively
+ * after repeated failures, and once the route has answered, settles the
+ * reservation from the response status. Counter errors are logged and
+ * never block a login.
+ *
+ *   router.post("/login", bruteForceGuard({ action: "CLIENT_LOGIN", account: req => req.body?.email }), ...)
+ *
+ * @param {object} options
+ * @param {string} options.action - counter namespace, e.g. "ADMIN_LOGIN"
+ * @param {(req) => string|undefined} options.account - the account being tried
+ * @param {number[]} [options.failOn] - statuses that count as a failed attempt
+ * @param {boolean} [options.countAll] - count every answered request (for
+ *   endpoints that send an OTP); a success then does not reset the counter
+ */
+const bruteForceGuard = ({ action, account, failOn = [401, 404], countAll = false }) => async (req, res, next) => {
+  let identifiers;
+  let reservation;
+
+  try {
+    identifiers = { account: account(req), ip: req.ip };
+    reservation = await reserveAttempt(action, identifiers);
+
+    if (!reservation.allowed) {
+      const retryAfterSeconds = Math.ceil(reservation.retryAfterMs / 1000);
+      logToConsole("WARN", "BRUTE_FORCE_BLOCKED", {
+        action,
+        scope: reservation.scope,
+        identifier: reservation.scope === "IP" ? req.ip : identifiers.account,
+        retryAfterSeconds
+      });
+
+      res.set("Retry-After", String(retryAfterSeconds));
+      return res.status(429).json({
+        message: "Too many failed attempts. Please try again later.",
+        errorCode: "TOO_MANY_ATTEMPTS",
+        retryAfterSeconds
+      });
+    }
+
+    if (reservation.delayMs) {
+      await sleep(reservation.delayMs);
+    }
+  } catch (error) {
+    logToConsole("ERROR", "BRUTE_FORCE_CHECK_FAILED", { action, error: error.message });
+    return next();
+  }
+
+  res.on("finish", () => {
+    const failed = countAll ? res.statusCode < 500 : failOn.includes(res.statusCode);
+    const succeeded = !countAll && res.statusCode < 400;
+    const outcome = failed ? "FAILURE" : succeeded ? "SUCCESS" : "NONE";
+
+    settleAttempt(reservation.reserved, outcome, req).catch(error => {
+      logToConsole("ERROR", "BRUTE_FORCE_COUNTER_UPDATE_FAILED", { action, error: error.message });
+    });
+  });
+
+  next();
+};
+
+module.exports = bruteForceGuard;
@@ -0,0 +1,134 @@
+const jwt = require("jsonwebtoken");
+const Admin = require("../models/Admin");
+const { resolveAdminPermissions, hasPermission } = require("../config/permissions");
+const { isSessionActive, adminFilterOf } = require("../utils/sessionService");
+
+// Each user type only ever authenticates with its own cookie, so an
+// employee or client cookie can never satisfy an admin guard.
+const USER_TYPES = {
+  ADMIN: { cookie: "accessToken", role: "ADMIN" },
+  EMPLOYEE: { cookie: "employeeToken", role: "EMPLOYEE" },
+  CLIENT: { cookie: "clientToken", role: "CLIENT" }
+};
+
+const verifyUserType = async (userType, req, res) => {
+  const { cookie, role } = USER_TYPES[userType];
+  const token = req.cookies?.[cookie];
+
+  if (!token) {
+    res.status(401).json({ message: "Unauthorized" });
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    res.status(401).json({ message: "Invalid token" });
+    return null;
+  }
+
+  if (decoded.role !== role) {
+    res.status(403).json({ message: "Access denied" });
+    return null;
+  }
+
+  // Access tokens die with their session (logout, remote revoke)
+  if (!(await isSessionActive(decoded))) {
+    res.status(401).json({ message: "Session expired", code: "SESSION_INACTIVE" });
+    return null;
+  }
+
+  return decoded;
+};
+
+/**
+ * Tags a middleware as an authentication guard. utils/routeAuthCheck.js
+ * uses the tag at startup to find routes that are mounted without one.
+ */
+const markAuthGuard = (fn) => {
+  fn.isAuthGuard = true;
+  return fn;
+};
+
+const requireAdmin = async (req, res, next) => {
+  try {
+    const decoded = await verifyUserType("ADMIN", req, res);
+    if (!decoded) return;
+
+    // Role and permissions are read from the database on every request so
+    // that changing or deactivating an admin takes effect immediately.
+    const admin = await Admin.findOne(adminFilterOf(decoded.adminId)).select("role permissions isActive");
+
+    if (!admin || admin.isActive === false) {
+      return res.status(403).json({ message: "Admin account is not active" });
+    }
+
+    req.user = {
+      ...decoded,
+      adminRole: admin.role,
+      permissions: resolveAdminPermissions(admin)
+    };
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: "Error checking permissions" });
+  }
+};
+
+const requireEmployee = async (req, res, next) => {
+  try {
+    const decoded = await verifyUserType("EMPLOYEE", req, res);
+    if (!decoded) return;
+
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: "Error checking session" });
+  }
+};
+
+const requireClient = async (req, res, next) => {
+  try {
+    const decoded = await verifyUserType("CLIENT", req, res);
+    if (!decoded) return;
+
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(500).json({ message: "Error checking session" });
+  }
+};
+
+/**
+ * Admin guard for a route: authenticates the admin cookie and then checks
+ * that the admin holds every listed permission.
+ *
+ *   router.post("/clients/:clientId/month-lock", requirePermission("clients:lock-month"), ...)
+ */
+const requirePermission = (...permissions) => [
+  requireAdmin,
+  (req, res, next) => {
+    const missing = permissions.filter(p => !hasPermission(req.user.permissions, p));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        message: "You do not have permission to perform this action",
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  }
+];
+
+markAuthGuard(requireAdmin);
+markAuthGuard(requireEmployee);
+markAuthGuard(requireClient);
+
+module.exports = {
+  markAuthGuard,
+  requireAdmin,
+  requireEmployee,
+  requireClient,
+  requirePermission
+};
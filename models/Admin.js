@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const { v4: uuidv4 } = require("uuid");
+const twoFactorFields = require("./twoFactorFields");
 
 const adminSchema = new mongoose.Schema(
   {
@@ -12,11 +13,18 @@ const adminSchema = new mongoose.Schema(
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true },
     password: { type: String, required: true },
+    // Built-in roles live in config/permissions.js (SUPER_ADMIN, BILLING,
+    // SUPPORT); any other name is a custom role defined by `permissions`
     role: {
       type: String,
       default: "SUPER_ADMIN"
     },
-    isActive: { type: Boolean, default: true }
+    permissions: {
+      type: [String],
+      default: []
+    },
+    isActive: { type: Boolean, default: true },
+    twoFactor: twoFactorFields
   },
   { timestamps: true }
 );
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * Canonical task assignment: one document per (client, employee, month, task).
+ *
+ * This collection is the source of truth. Client.employeeAssignments,
+ * EmployeeAssignment.assignedClients and the legacy Employee.assignedClients
+ * are derived copies kept for the existing read paths; they are only ever
+ * written through utils/assignmentService.js, in the same transaction as
+ * the document here. scripts/checkAssignments.js reports (and with --fix
+ * repairs) any drift between them.
+ *
+ * Removed assignments stay as history (isRemoved: true), so the same task
+ * can be assigned again later.
+ */
+const assignmentSchema = new mongoose.Schema(
+    {
+        assignmentId: {
+            type: String,
+            unique: true,
+            default: () => uuidv4()
+        },
+        clientId: { type: String, required: true },
+        clientName: { type: String },
+        employeeId: { type: String, required: true },
+        employeeName: { type: String },
+        year: { type: Number, required: true },
+        month: { type: Number, required: true },
+        task: {
+            type: String,
+            enum: [
+                'Bookkeeping',
+                'VAT Filing Computation',
+                'VAT Filing',
+                'Financial Statement Generation',
+                'Audit'
+            ]
+        },
+
+        assignedAt: { type: Date, default: Date.now },
+        assignedBy: { type: String },
+        adminName: { type: String },
+
+        accountingDone: { type: Boolean, default: false },
+        accountingDoneAt: { type: Date },
+        accountingDoneBy: { type: String },
+
+        isRemoved: { type: Boolean, default: false },
+        removedAt: Date,
+        removedBy: String,
+        removalReason: String
+    },
+    { timestamps: true }
+);
+
+// A task can only be held by one employee per client and month
+assignmentSchema.index(
+    { clientId: 1, year: 1, month: 1, task: 1 },
+    { unique: true, partialFilterExpression: { isRemoved: false } }
+);
+assignmentSchema.index({ employeeId: 1, year: 1, month: 1 });
+
+module.exports = mongoose.model("Assignment", assignmentSchema);
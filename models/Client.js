@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SUPPORTED_LOCALES } = require("../config/locales");
 
 /* ===============================
    NOTE VIEW TRACKING SCHEMA
@@ -12,8 +13,52 @@ const noteViewSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/* ===============================
+   NOTE REVISION (previous text of an edited note)
+================================ */
+const noteRevisionSchema = new mongoose.Schema(
+  {
+    note: { type: String, required: true },
+    editedAt: { type: Date, default: Date.now },
+    editedBy: { type: String }
+  },
+  { _id: false }
+);
+
+/* ===============================
+   NOTE ATTACHMENT (small file on a note, see utils/noteAttachments.js)
+================================ */
+const noteAttachmentSchema = new mongoose.Schema(
+  {
+    attachmentId: { type: String, required: true },
+    fileName: String,
+    fileSize: Number,
+    fileType: String,
+    url: String,
+    key: String,
+    uploadedAt: { type: Date, default: Date.now },
+    uploadedBy: String
+  },
+  { _id: false }
+);
+
+/* ===============================
+   NOTE MENTION (@name of an employee or admin, see utils/noteMentions.js)
+================================ */
+const noteMentionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    userType: { type: String, required: true, enum: ['employee', 'admin'] },
+    name: String
+  },
+  { _id: false }
+);
+
 /* ===============================
    NOTE SCHEMA (REUSABLE) - UPDATED WITH VIEW TRACKING
+   Notes have an _id (the noteId used by the note endpoints, see
+   utils/noteThreads.js). A reply sits in the same array as the note it
+   answers and points to it with parentNoteId.
 ================================ */
 const noteSchema = new mongoose.Schema(
   {
@@ -21,19 +66,68 @@ const noteSchema = new mongoose.Schema(
     addedBy: { type: String },
     addedAt: { type: Date, default: Date.now },
     employeeId: { type: String },
+    authorType: { type: String, enum: ['client', 'employee', 'admin'] },
+    authorId: { type: String },
+    parentNoteId: { type: mongoose.Schema.Types.ObjectId, default: null },
     viewedBy: {
       type: [noteViewSchema],
       default: []
     },
     isViewedByClient: { type: Boolean, default: false },
     isViewedByEmployee: { type: Boolean, default: false },
-    isViewedByAdmin: { type: Boolean, default: false }
+    isViewedByAdmin: { type: Boolean, default: false },
+    editedAt: Date,
+    editedBy: String,
+    attachments: { type: [noteAttachmentSchema], default: [] },
+    mentions: { type: [noteMentionSchema], default: [] },
+    revisions: { type: [noteRevisionSchema], default: [] },
+    isDeleted: { type: Boolean, default: false },
+    deletedAt: Date,
+    deletedBy: String
+  }
+);
+
+/* ===============================
+   FILE VERSION (an earlier upload of a file, see utils/fileVersions.js)
+   Keeps the notes written on that version.
+================================ */
+const fileVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    url: String,
+    uploadedAt: Date,
+    uploadedBy: String,
+    fileName: String,
+    fileSize: Number,
+    fileType: String,
+    fileHash: String,
+    restoredFromVersion: Number,
+    notes: [noteSchema],
+    replacedAt: Date,
+    replacedBy: String,
+    replaceNote: String
+  },
+  { _id: false }
+);
+
+/* ===============================
+   DUPLICATE OF (an earlier upload with the same content, see utils/fileHashes.js)
+================================ */
+const fileDuplicateSchema = new mongoose.Schema(
+  {
+    year: Number,
+    month: Number,
+    categoryType: String,
+    categoryName: String,
+    fileName: String,
+    url: String
   },
   { _id: false }
 );
 
 /* ===============================
    SINGLE DOCUMENT (FILE LEVEL)
+   The current version of a file; earlier ones are in previousVersions.
 ================================ */
 const singleDocumentSchema = new mongoose.Schema(
   {
@@ -43,7 +137,13 @@ const singleDocumentSchema = new mongoose.Schema(
     fileName: String,
     fileSize: Number,
     fileType: String,
-    notes: [noteSchema]
+    // SHA-256 of the content; duplicateOf is set when it matched an earlier upload
+    fileHash: String,
+    duplicateOf: fileDuplicateSchema,
+    notes: [noteSchema],
+    version: { type: Number, default: 1 },
+    restoredFromVersion: Number,
+    previousVersions: { type: [fileVersionSchema], default: [] }
   },
   { _id: false }
 );
@@ -187,6 +287,9 @@ const clientSchema = new mongoose.Schema(
     businessNature: String,
     registerTrade: String,
 
+    // Language of portal emails; unset means config.email.defaultLocale
+    preferredLanguage: { type: String, enum: SUPPORTED_LOCALES },
+
     // PLAN FIELDS
     planSelected: { type: String, default: '' },
     currentPlan: { type: String, default: '' },
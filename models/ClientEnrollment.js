@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SUPPORTED_LOCALES } = require("../config/locales");
 
 const clientEnrollmentSchema = new mongoose.Schema(
   {
@@ -32,6 +33,9 @@ const clientEnrollmentSchema = new mongoose.Schema(
     registerTrade: { type: String },
     planSelected: { type: String },
 
+    // Language chosen on the enrollment form, copied to the Client on approval
+    preferredLanguage: { type: String, enum: SUPPORTED_LOCALES },
+
     // IP Address — captured from request on backend, never from frontend
     ipAddress: { type: String, default: "Unknown" },
 
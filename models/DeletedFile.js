@@ -24,13 +24,27 @@ const deletedFileSchema = new mongoose.Schema({
         default: Date.now
     },
     deleteNote: String, // Reason for deletion
+    // Replacements before file versions (utils/fileVersions.js); replaced files are now kept as versions
     wasReplaced: {
         type: Boolean,
         default: false
     },
-    replacedByFile: String // New file that replaced this one
+    replacedByFile: String, // New file that replaced this one
+    // The file as it was listed (notes, versions); put back on restore
+    fileData: mongoose.Schema.Types.Mixed,
+    // Trash (utils/fileTrash.js): restorable until purged
+    restoredAt: Date,
+    restoredBy: String, // clientId or adminId
+    restoredByType: {
+        type: String,
+        enum: ["client", "admin"]
+    },
+    purgedAt: Date // S3 objects deleted after config.trash.retentionDays
 }, {
     timestamps: true
 });
 
+deletedFileSchema.index({ clientId: 1, deletedAt: -1 });
+deletedFileSchema.index({ deletedAt: 1, restoredAt: 1, purgedAt: 1 });
+
 module.exports = mongoose.model("DeletedFile", deletedFileSchema);
\ No newline at end of file
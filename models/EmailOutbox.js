@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * One outgoing email. utils/sendEmail.js only queues it here; the outbox
+ * worker in utils/emailOutbox.js sends it, retrying with exponential
+ * backoff until maxAttempts, and records every attempt in `log`.
+ *
+ * QUEUED   waiting for its first or next attempt (nextAttemptAt)
+ * SENDING  claimed by a worker until lockedUntil
+ * SENT     accepted by the SMTP server
+ * FAILED   gave up after maxAttempts
+ */
+const attachmentSchema = new mongoose.Schema(
+    {
+        filename: String,
+        content: Buffer,
+        contentType: String
+    },
+    { _id: false }
+);
+
+const deliveryLogSchema = new mongoose.Schema(
+    {
+        at: { type: Date, default: Date.now },
+        event: {
+            type: String,
+            enum: ["QUEUED", "SENT", "RETRY", "FAILED", "RESENT"]
+        },
+        attempt: Number,
+        instanceId: String,
+        message: String       // SMTP response or error
+    },
+    { _id: false }
+);
+
+const emailOutboxSchema = new mongoose.Schema({
+    outboxId: {
+        type: String,
+        unique: true,
+        default: () => uuidv4()
+    },
+    to: { type: String, required: true },
+    from: String,
+    subject: { type: String, required: true },
+    html: String,
+    text: String,
+    attachments: [attachmentSchema],
+
+    category: String,           // e.g. PAYMENT_REMINDER, used for filtering
+    unsubscribeUrl: String,     // sent as List-Unsubscribe (one-click) header
+    idempotencyKey: String,     // same key = same email, queued only once
+
+    status: {
+        type: String,
+        enum: ["QUEUED", "SENDING", "SENT", "FAILED"],
+        default: "QUEUED"
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, required: true },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lockedBy: String,
+    lockedUntil: Date,
+
+    messageId: String,
+    sentAt: Date,
+    lastError: String,
+    log: [deliveryLogSchema],
+
+    resendOf: String,           // outboxId of the email this one re-sends
+    requestedBy: String         // adminId for resends
+}, {
+    timestamps: true
+});
+
+emailOutboxSchema.index({ idempotencyKey: 1 }, { unique: true, sparse: true });
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ sentAt: -1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model("EmailOutbox", emailOutboxSchema);
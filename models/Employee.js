@@ -1,5 +1,7 @@
 // models/Employee.js
 const mongoose = require("mongoose");
+const twoFactorFields = require("./twoFactorFields");
+const { SUPPORTED_LOCALES } = require("../config/locales");
 
 /**
  * Client assignment structure (month-wise) - UPDATED WITH TASK
@@ -177,6 +179,12 @@ const employeeSchema = new mongoose.Schema(
     isActive: { type: Boolean, default: true },
     createdBy: { type: String },
 
+    // Language of portal emails; unset means config.email.defaultLocale
+    preferredLanguage: { type: String, enum: SUPPORTED_LOCALES },
+
+    // TOTP two-factor authentication settings
+    twoFactor: twoFactorFields,
+
     /**
      * Month-wise client assignments with task
      * Employee can have multiple clients
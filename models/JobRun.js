@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+/**
+ * One execution of a scheduled job (see utils/jobScheduler.js) for one
+ * period, e.g. the month lock for 2026-09.
+ *
+ * claimKey ("<jobName>|<periodKey>") is what keeps two server instances
+ * from running the same job period: it is set while a run is RUNNING or
+ * COMPLETED and the unique index lets only one run hold it. Failed runs
+ * give it up so the period can be retried.
+ */
+const jobRunSchema = new mongoose.Schema({
+    runId: {
+        type: String,
+        unique: true,
+        default: () => uuidv4()
+    },
+    jobName: {
+        type: String,       // e.g. month-lock
+        required: true
+    },
+    periodKey: {
+        type: String,       // "2026-09" for monthly jobs, "2024" for yearly ones
+        required: true
+    },
+    year: { type: Number, required: true },
+    month: Number,
+
+    claimKey: String,
+    status: {
+        type: String,
+        enum: ["RUNNING", "COMPLETED", "FAILED"],
+        default: "RUNNING"
+    },
+    trigger: {
+        type: String,
+        enum: ["SCHEDULE", "CATCH_UP", "MANUAL"],
+        required: true
+    },
+    triggeredBy: String,    // adminId for MANUAL runs
+    triggeredByName: String,
+    scheduledFor: Date,     // cron occurrence the run belongs to (not set for MANUAL)
+
+    instanceId: String,     // host:pid of the server that ran it
+    lockExpiresAt: Date,    // extended while the run is alive
+
+    result: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    error: String,
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date,
+    durationMs: Number
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+jobRunSchema.index({ claimKey: 1 }, { unique: true, sparse: true });
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ jobName: 1, periodKey: 1 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
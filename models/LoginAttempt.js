@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// Failed-attempt counter for one account or one IP on one sensitive action
+// (login, OTP verification, ...). Maintained by middleware/bruteForceGuard.js.
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    scope: {
+        type: String,
+        enum: ["ACCOUNT", "IP"],
+        required: true
+    },
+    action: {
+        type: String,       // CLIENT_LOGIN, EMPLOYEE_LOGIN, ADMIN_LOGIN, CLIENT_VERIFY_OTP, ...
+        required: true
+    },
+    identifier: {
+        type: String,       // email / userId for ACCOUNT, IP address for IP
+        required: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    firstFailureAt: Date,
+    lastFailureAt: Date,
+    lockedUntil: Date,
+    lockCount: {            // how many times this key has been locked; lock length doubles
+        type: Number,
+        default: 0
+    },
+    unlockedBy: String,
+    unlockedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Checkpoint for long-running data migrations in scripts/. A run that
+// stops part-way (crash, Ctrl+C) is picked up again from lastClientId.
+const migrationRunSchema = new mongoose.Schema({
+    runId: {
+        type: String,
+        unique: true,
+        default: () => uuidv4()
+    },
+    name: {
+        type: String,       // e.g. LEGACY_DOCUMENTS_TO_MONTHLY_DATA
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ["RUNNING", "COMPLETED", "FAILED"],
+        default: "RUNNING"
+    },
+    lastClientId: String,   // last client fully processed, clients are walked in clientId order
+    reportFile: String,
+    stats: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    error: String,
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+migrationRunSchema.index({ name: 1, createdAt: -1 });
+
+module.exports = mongoose.model("MigrationRun", migrationRunSchema);
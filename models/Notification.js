@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+const config = require("../config");
+
+/**
+ * One in-app notification for one user. Written by utils/notifications.js
+ * when something happens that the user should see (a note, an upload, a
+ * month lock, ...) and read through routes/notificationRoutes.js.
+ *
+ * Admin notifications are fanned out, one document per active admin, so
+ * every recipient has its own read state. Notifications are removed by a
+ * TTL index config.notifications.retentionDays after they were created,
+ * read or not.
+ */
+
+const NOTIFICATION_TYPES = [
+    "NOTE_ADDED",           // a note on a month or a file
+    "NOTE_MENTION",         // someone @mentioned the recipient in a note
+    "FILE_UPLOADED",        // client uploaded documents
+    "MONTH_LOCKED",
+    "MONTH_UNLOCKED",
+    "CATEGORY_LOCKED",      // one category (sales, purchase, ...) of a month
+    "CATEGORY_UNLOCKED",
+    "ASSIGNMENT_CREATED",   // employee was assigned a client-month task
+    "ASSIGNMENT_REMOVED",
+    "PAYMENT_UPDATED",      // payment status of a month changed
+    "STATEMENT_READY"       // financial statement request approved
+];
+
+const notificationSchema = new mongoose.Schema({
+    notificationId: {
+        type: String,
+        unique: true,
+        default: () => uuidv4()
+    },
+
+    recipientType: {
+        type: String,
+        enum: ["ADMIN", "EMPLOYEE", "CLIENT"],
+        required: true
+    },
+    recipientId: { type: String, required: true },   // adminId, employeeId or clientId
+
+    type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+    title: { type: String, required: true },
+    message: String,
+
+    clientId: String,                   // client the notification is about
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },   // year, month, categoryType, fileName, ...
+
+    actor: {                            // who caused it
+        type: { type: String, enum: ["ADMIN", "EMPLOYEE", "CLIENT", "SYSTEM"] },
+        id: String,
+        name: String
+    },
+
+    readAt: { type: Date, default: null },
+
+    dedupeKey: String                   // same key + recipient = created only once
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ recipientType: 1, recipientId: 1, readAt: 1, createdAt: -1 });
+notificationSchema.index({ recipientType: 1, recipientId: 1, type: 1, clientId: 1, readAt: 1 });
+notificationSchema.index(
+    { recipientType: 1, recipientId: 1, dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+);
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: config.notifications.retentionDays * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+/**
+ * Which non-essential notifications a client wants, per channel and
+ * category. Clients without a document get the defaults below; see
+ * utils/notificationPreferences.js. Transactional emails (password reset,
+ * enrollment, plan change confirmations) are always sent.
+ *
+ * reminders    payment and document upload reminders
+ * noteAlerts   an accountant added a note to one of the client's files
+ * marketing    news and offers (opt-in)
+ */
+const categorySwitchesSchema = new mongoose.Schema(
+    {
+        reminders: { type: Boolean, default: true },
+        noteAlerts: { type: Boolean, default: true },
+        marketing: { type: Boolean, default: false }
+    },
+    { _id: false }
+);
+
+const preferenceChangeSchema = new mongoose.Schema(
+    {
+        at: { type: Date, default: Date.now },
+        channel: String,
+        category: String,
+        enabled: Boolean,
+        source: {                  // who changed it
+            type: String,
+            enum: ["CLIENT", "UNSUBSCRIBE_LINK", "ADMIN"]
+        },
+        changedBy: String          // clientId or adminId
+    },
+    { _id: false }
+);
+
+const notificationPreferenceSchema = new mongoose.Schema({
+    clientId: { type: String, required: true, unique: true },
+
+    channels: {
+        email: { type: categorySwitchesSchema, default: () => ({}) }
+    },
+
+    history: [preferenceChangeSchema]
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model("NotificationPreference", notificationPreferenceSchema);
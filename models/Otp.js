@@ -7,14 +7,30 @@ const otpSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // SHA-256 hash of the code (see utils/otpService.js), never the code itself
   otp: {
     type: String,
     required: true
   },
-  clientId: {
+  // Wrong guesses against this OTP; it is discarded at MAX_OTP_ATTEMPTS
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // What the OTP unlocks; lookups always filter by it so a password reset
+  // OTP can never be used for 2FA recovery and vice versa
+  purpose: {
     type: String,
-    required: true
+    enum: ["PASSWORD_RESET", "2FA_RECOVERY"],
+    default: "PASSWORD_RESET"
+  },
+  userType: {
+    type: String,
+    enum: ["CLIENT", "EMPLOYEE", "ADMIN"],
+    default: "CLIENT"
   },
+  userId: String,
+  clientId: String,
   expiresAt: {
     type: Date,
     required: true,
@@ -26,4 +42,4 @@ const otpSchema = new mongoose.Schema({
   }
 });
 
-module.exports = mongoose.model("Otp", otpSchema);
\ No newline at end of file
+module.exports = mongoose.model("Otp", otpSchema);
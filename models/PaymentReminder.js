@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+/**
+ * Payment reminder sent (or attempted) to one client for one billing month.
+ * FIRST and FINAL are the two monthly reminders (config.cron
+ * paymentReminderFirst / paymentReminderFinal); each goes out at most once
+ * per client and month, so re-running the job does not email twice.
+ */
+const outstandingMonthSchema = new mongoose.Schema(
+    {
+        year: Number,
+        month: Number,
+        plan: String,
+        amount: Number     // monthly fee in EUR excl. VAT, null when the plan has no fixed fee
+    },
+    { _id: false }
+);
+
+const paymentReminderSchema = new mongoose.Schema({
+    clientId: { type: String, required: true },
+    clientName: String,
+    email: String,
+
+    reminder: {
+        type: String,
+        enum: ["FIRST", "FINAL"],
+        required: true
+    },
+    periodKey: { type: String, required: true },   // billing month, e.g. "2026-10"
+    year: { type: Number, required: true },
+    month: { type: Number, required: true },
+
+    outstandingMonths: [outstandingMonthSchema],
+    totalAmount: Number,
+
+    status: {                                      // SENT = queued in the email outbox
+        type: String,
+        enum: ["SENT", "FAILED"],
+        required: true
+    },
+    error: String,
+    sentAt: Date,
+    outboxId: String,      // queued EmailOutbox entry
+    attempts: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+paymentReminderSchema.index({ clientId: 1, reminder: 1, periodKey: 1 }, { unique: true });
+paymentReminderSchema.index({ periodKey: 1, reminder: 1, status: 1 });
+
+module.exports = mongoose.model("PaymentReminder", paymentReminderSchema);
@@ -20,7 +20,8 @@ const removedAssignmentSchema = new mongoose.Schema(
         'Bookkeeping',
         'VAT Filing Computation', 
         'VAT Filing',
-        'Financial Statement Generation'
+        'Financial Statement Generation',
+        'Audit'
       ],
       required: true
     },
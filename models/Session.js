@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// One document per login (device). Access tokens carry the sessionId and
+// are only accepted while the session is active; the refresh token secret
+// is stored hashed and rotated on every refresh.
+const sessionSchema = new mongoose.Schema({
+    sessionId: {
+        type: String,
+        unique: true,
+        default: () => uuidv4()
+    },
+    userType: {
+        type: String,
+        enum: ["ADMIN", "EMPLOYEE", "CLIENT"],
+        required: true
+    },
+    userId: {
+        type: String,
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // The secret the last refresh replaced, still honoured briefly after
+    // rotatedAt (utils/sessionService.js refreshSession)
+    previousRefreshTokenHash: String,
+    rotatedAt: Date,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedBy: String,      // userId of whoever revoked it (self, admin or SYSTEM)
+    revokedReason: String   // LOGOUT, REVOKED_BY_USER, REVOKED_BY_ADMIN, ACCOUNT_DEACTIVATED, TOKEN_REUSE
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userType: 1, userId: 1, revokedAt: 1 });
+
+// Expired sessions are removed a week after expiry to keep history short
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Session", sessionSchema);
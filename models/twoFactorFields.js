@@ -0,0 +1,15 @@
+// Two-factor (TOTP) settings shared by the Admin and Employee schemas.
+// Secrets and backup codes are never selected by default; load them with
+// .select("+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes").
+const twoFactorFields = {
+  enabled: { type: Boolean, default: false },
+  // Set by an admin: the user must enroll before they can sign in
+  required: { type: Boolean, default: false },
+  secret: { type: String, select: false },          // AES-GCM encrypted base32 secret
+  pendingSecret: { type: String, select: false },   // awaiting first valid code
+  backupCodes: { type: [String], select: false },   // SHA-256 hashes, single use
+  lastUsedStep: Number,                             // TOTP time step of the last accepted code; codes are single use
+  enabledAt: Date
+};
+
+module.exports = twoFactorFields;
@@ -4,7 +4,9 @@ const Client = require("../models/Client");
 const ClientConsent = require("../models/Clientconsent");
 const AgreementPdf = require("../models/AgreementPdf");
 const ActivityLog = require("../models/ActivityLog");
-const sendEmail = require("../utils/sendEmail");
+const { sendTemplateEmail } = require("../emails");
+const storage = require("../utils/storage");
+const { requireClient } = require("../middleware/permissionMiddleware");
 
 const router = express.Router();
 
@@ -17,7 +19,7 @@ const logToConsole = (type, operation, data) => {
    CHECK IF CLIENT NEEDS CONSENT UPDATE
    GET /client-consent/check
 ================================ */
-router.get("/check", async (req, res) => {
+router.get("/check", requireClient, async (req, res) => {
     try {
         const token = req.cookies?.clientToken;
         if (!token) {
@@ -50,7 +52,7 @@ router.get("/check", async (req, res) => {
    ACCEPT AGREEMENT — SAVE CONSENT + SEND EMAIL WITH PDF
    POST /client-consent/accept
 ================================ */
-router.post("/accept", async (req, res) => {
+router.post("/accept", requireClient, async (req, res) => {
     try {
         const token = req.cookies?.clientToken;
         if (!token) {
@@ -102,9 +104,7 @@ router.post("/accept", async (req, res) => {
                 activePdfUrl = activePdf.fileUrl;
 
                 // Fetch as buffer for email attachment
-                const fileResponse = await fetch(activePdf.fileUrl);
-                const arrayBuffer = await fileResponse.arrayBuffer();
-                const buffer = Buffer.from(arrayBuffer);
+                const buffer = await storage.readUrl(activePdf.fileUrl);
 
                 pdfAttachment = {
                     filename: "Agreement.pdf",
@@ -184,102 +184,11 @@ router.post("/accept", async (req, res) => {
             const clientName = client.name || `${client.firstName} ${client.lastName}`;
             const attachments = pdfAttachment ? [pdfAttachment] : [];
 
-            await sendEmail(
-                client.email,
-                "Agreement Accepted - Credence Enterprise Accounting Services",
-                `
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <meta charset="UTF-8">
-                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                    <title>Agreement Acceptance Confirmation</title>
-                    <style>
-                        body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-                        .header { background: #111111; color: #ffffff; padding: 25px 20px; text-align: center; }
-                        .header h1 { margin: 0; font-size: 22px; color: #7cd64b; }
-                        .content { padding: 25px; background: #ffffff; }
-                        .confirmation-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 20px 0; border-radius: 0 8px 8px 0; }
-                        .info-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 15px; margin: 15px 0; border-radius: 8px; }
-                        .pdf-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 15px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #7cd64b; }
-                        .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; font-size: 14px; }
-                        .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-                        table { width: 100%; border-collapse: collapse; margin: 10px 0; }
-                        th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-                        th { background: #f8f9fa; font-weight: 600; width: 40%; }
-                    </style>
-                </head>
-                <body>
-                    <div class="header">
-                        <h1>Credence Enterprise Accounting Services</h1>
-                        <p style="margin-top: 5px; opacity: 0.9;">Agreement Acceptance Confirmation</p>
-                    </div>
-
-                    <div class="content">
-                        <div class="confirmation-box">
-                            <h2 style="margin-top: 0; color: #4caf50;">✅ Agreement Accepted Successfully</h2>
-                            <p>Dear ${clientName},</p>
-                            <p>This email confirms that you have read and accepted the updated Terms &amp; Conditions of Credence Enterprise Accounting Services.</p>
-                        </div>
-
-                        <div class="info-box">
-                            <h3 style="margin-top: 0; color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px;">📋 Acceptance Details</h3>
-                            <table>
-                                <tr>
-                                    <th>Date</th>
-                                    <td>${consentDate}</td>
-                                </tr>
-                                <tr>
-                                    <th>Time</th>
-                                    <td>${consentTime} EET/EEST</td>
-                                </tr>
-                                <tr>
-                                    <th>Client Name</th>
-                                    <td>${clientName}</td>
-                                </tr>
-                                <tr>
-                                    <th>Email</th>
-                                    <td>${client.email}</td>
-                                </tr>
-                                <tr>
-                                    <th>Status</th>
-                                    <td style="color: #4caf50; font-weight: 600;">✅ Accepted</td>
-                                </tr>
-                            </table>
-                        </div>
-
-                        ${pdfAttachment ? `
-                        <div class="pdf-box">
-                            <h3 style="margin-top: 0; color: #2c3e50;">📄 Agreement Document</h3>
-                            <p>Please find the accepted <strong>Agreement.pdf</strong> attached to this email for your records.</p>
-                        </div>
-                        ` : ''}
-
-                        <p style="background: #e7f4ff; padding: 15px; border-radius: 8px; border-left: 4px solid #007bff; font-size: 14px;">
-                            <strong>Note:</strong> This record has been saved for compliance purposes.
-                            If you did not perform this action, please contact our support team immediately.
-                        </p>
-
-                        <p style="margin-top: 20px; font-size: 14px;">If you have any questions, please contact our support team.</p>
-                        <p style="font-size: 14px;"><strong>Email:</strong> support@jladgroup.fi</p>
-                        <p style="font-size: 14px;"><strong>Phone:</strong> +358413250081</p>
-                        <p style="font-size: 14px;"><strong>Business Hours:</strong> Monday to Friday, 9am to 3pm (EET/EEST)</p>
-                    </div>
-
-                    <div class="footer">
-                        <p><strong>Credence Enterprise Accounting Services</strong></p>
-                        <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-                        <div class="dev-info">Developed by Vapautus Media Private Limited</div>
-                        <p style="font-size: 12px; margin-top: 10px;">
-                            This is an automated confirmation email.<br>
-                            Please do not reply to this email.
-                        </p>
-                    </div>
-                </body>
-                </html>
-                `,
-                attachments
-            );
+            await sendTemplateEmail(client.email, "agreement-accepted", {
+                client: { name: clientName, email: client.email },
+                acceptedAt: now,
+                agreementAttached: !!pdfAttachment
+            }, { locale: client.preferredLanguage, attachments });
 
             logToConsole("INFO", "CONSENT_CONFIRMATION_EMAIL_SENT", {
                 clientId,
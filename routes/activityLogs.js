@@ -5,11 +5,13 @@ const ActivityLog = require("../models/ActivityLog");
 const Client = require("../models/Client");
 const Employee = require("../models/Employee");
 const Admin = require("../models/Admin");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const auditAccess = require("../middleware/auditAccess");
 
 // ================================
 // 1. GET ALL USERS FOR DROPDOWNS
 // ================================
-router.get("/get-users", async (req, res) => {
+router.get("/get-users", requirePermission("activity-logs:read"), async (req, res) => {
   try {
     // Get all clients
     const clients = await Client.find({ isActive: true })
@@ -59,7 +61,7 @@ router.get("/get-users", async (req, res) => {
 // ================================
 // 2. GET FILTERED ACTIVITY LOGS
 // ================================
-router.get("/get-logs", async (req, res) => {
+router.get("/get-logs", requirePermission("activity-logs:read"), auditAccess("ACTIVITY_LOGS_VIEWED"), async (req, res) => {
   try {
     const {
       role,
@@ -169,7 +171,7 @@ router.get("/get-logs", async (req, res) => {
 // ================================
 // 3. EXPORT LOGS TO EXCEL
 // ================================
-router.get("/export-logs", async (req, res) => {
+router.get("/export-logs", requirePermission("activity-logs:read"), auditAccess("ACTIVITY_LOGS_EXPORTED"), async (req, res) => {
   try {
     const { role, userId, timeRange } = req.query;
 
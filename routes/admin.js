@@ -1,15 +1,24 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 
 const Admin = require("../models/Admin");
 const ActivityLog = require("../models/ActivityLog");
-const auth = require("../middleware/authMiddleware");
-const adminOnly = require("../middleware/adminMiddleware");
+const { requireAdmin, requirePermission, markAuthGuard } = require("../middleware/permissionMiddleware");
+const { WILDCARD, ROLE_PERMISSIONS, ALL_PERMISSIONS, resolveAdminPermissions, isValidPermission, hasPermission } = require("../config/permissions");
+const { startSession, endSession, clearSessionCookies, revokeAllSessions, adminFilterOf } = require("../utils/sessionService");
+const { beginTwoFactorLogin } = require("./twoFactorRoutes");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const bruteForceGuard = require("../middleware/bruteForceGuard");
+const { listLockouts, unlock } = require("../utils/loginThrottle");
+const { notifyClient } = require("../utils/notifications");
+const { TrashError, listTrash, restoreDeletedFile } = require("../utils/fileTrash");
 const EmployeeTaskLog = require("../models/EmployeeTaskLog");
 const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { signFileUrls, adminAccess } = require("../utils/signedUrls");
+const { sendTemplateEmail } = require("../emails");
 
 const router = express.Router();
+router.use(signFileUrls(adminAccess));
 
 const Client = require("../models/Client");
 
@@ -117,8 +126,6 @@ const saveMonthDataToBoth = async (clientId, year, month, monthData, existingSou
 ================================ */
 const sendEmailToClient = async (client, actionType, additionalInfo = {}) => {
   try {
-    const sendEmail = require("../utils/sendEmail");
-
     if (!client.email) {
       logToConsole("WARN", "NO_CLIENT_EMAIL_FOUND", {
         clientName: client.name,
@@ -128,71 +135,15 @@ const sendEmailToClient = async (client, actionType, additionalInfo = {}) => {
     }
 
     const isLock = actionType === "MONTH_LOCKED" || actionType === "CATEGORY_LOCKED";
-    const isMonth = actionType === "MONTH_LOCKED" || actionType === "MONTH_UNLOCKED";
 
-    let subject = "";
-    let categoryName = additionalInfo.categoryName || additionalInfo.categoryType || "";
-
-    if (isMonth) {
-      subject = `${isLock ? "🔒 Locked" : "🔓 Unlocked"}: Month ${additionalInfo.month}/${additionalInfo.year} - ${client.name}`;
-    } else {
-      subject = `${isLock ? "🔒 Locked" : "🔓 Unlocked"}: ${categoryName} - ${client.name}`;
-    }
-
-    const emailHtml = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-          .header { 
-            background-color: ${isLock ? '#4CAF50' : '#2196F3'}; 
-            color: white; 
-            padding: 20px; 
-            text-align: center; 
-            border-radius: 5px 5px 0 0; 
-          }
-          .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; border-top: none; border-radius: 0 0 5px 5px; }
-          .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-          .action-box { 
-            background-color: ${isLock ? '#e8f5e9' : '#e3f2fd'}; 
-            padding: 15px; 
-            margin: 15px 0; 
-            border-left: 4px solid ${isLock ? '#4CAF50' : '#2196F3'};
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="header">
-            <h2>${isLock ? '🔒 Document Locked' : '🔓 Document Unlocked'}</h2>
-          </div>
-          <div class="content">
-            <p>Dear ${client.name},</p>
-            <div class="action-box">
-              <p><strong>Status:</strong> ${isLock ? 'Locked' : 'Unlocked'}</p>
-              ${additionalInfo.month ? `<p><strong>Period:</strong> ${additionalInfo.month}/${additionalInfo.year}</p>` : ''}
-              ${categoryName ? `<p><strong>Category:</strong> ${categoryName}</p>` : ''}
-              <p><strong>Date:</strong> ${new Date().toLocaleString("en-IN")}</p>
-            </div>
-            <p>
-              ${isLock
-        ? 'Your documents have been locked and are now being processed by our accounting team.'
-        : 'Your documents have been unlocked. You can now upload new files or make changes.'
-      }
-            </p>
-            <p>Thank you for using our Credence Enterprise Accounting Services.</p>
-            <div class="footer">
-              <p>This is an automated notification from Credence Enterprise Accounting Services.</p>
-            </div>
-          </div>
-        </div>
-      </body>
-      </html>
-    `;
-
-    await sendEmail(client.email, subject, emailHtml);
+    await sendTemplateEmail(client.email, "documents-lock-changed", {
+      client,
+      locked: isLock,
+      documentMonth: { year: parseInt(additionalInfo.year), month: parseInt(additionalInfo.month) },
+      categoryType: additionalInfo.categoryType,
+      categoryName: additionalInfo.categoryName,
+      changedAt: new Date()
+    }, { locale: client.preferredLanguage });
 
     logToConsole("SUCCESS", "CLIENT_EMAIL_SENT", {
       clientName: client.name,
@@ -240,10 +191,30 @@ const log = async (name, adminId, action, details) => {
   }
 };
 
+/* ===============================
+   REGISTER GUARD
+   The very first admin can register without a session (bootstrap);
+   after that only admins with "admins:manage" can create new admins.
+================================ */
+const [requireAdminSession, checkAdminsManage] = requirePermission("admins:manage");
+
+const registerGuard = markAuthGuard(async (req, res, next) => {
+  try {
+    const adminCount = await Admin.countDocuments();
+    if (adminCount === 0) {
+      return next();
+    }
+  } catch (error) {
+    return res.status(500).json({ message: "Error checking permissions" });
+  }
+
+  requireAdminSession(req, res, () => checkAdminsManage(req, res, next));
+});
+
 /* ===============================
    ADMIN REGISTER
 ================================ */
-router.post("/register", async (req, res) => {
+router.post("/register", registerGuard, async (req, res) => {
   try {
     const { name, email, password } = req.body;
 
@@ -317,7 +288,10 @@ router.post("/register", async (req, res) => {
 /* ===============================
    ADMIN LOGIN
 ================================ */
-router.post("/login", async (req, res) => {
+router.post("/login", bruteForceGuard({
+  action: "ADMIN_LOGIN",
+  account: (req) => req.body?.email
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -378,6 +352,16 @@ router.post("/login", async (req, res) => {
       name: admin.name
     });
 
+    // Second login step when 2FA is enabled or required for this admin
+    const twoFactorStep = beginTwoFactorLogin("ADMIN", admin);
+    if (twoFactorStep) {
+      logToConsole("INFO", "ADMIN_2FA_CHALLENGE_ISSUED", {
+        adminId: admin.adminId,
+        setupRequired: !!twoFactorStep.twoFactorSetupRequired
+      });
+      return res.json(twoFactorStep);
+    }
+
     const tokenAdminId = admin.adminId || admin._id.toString();
 
     console.log("JWT PAYLOAD WILL CONTAIN:", {
@@ -387,37 +371,16 @@ router.post("/login", async (req, res) => {
       isObjectId: /^[0-9a-f]{24}$/i.test(tokenAdminId)
     });
 
-    const token = jwt.sign(
-      {
-        adminId: tokenAdminId,
-        name: admin.name,
-        role: "ADMIN",
-        email: admin.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-
-    const decodedToken = jwt.decode(token);
-    console.log("ACTUAL JWT DECODED:", decodedToken);
-
-    logToConsole("DEBUG", "ADMIN_JWT_TOKEN_CREATED", {
-      adminIdInToken: decodedToken.adminId,
-      adminIdFromDB: admin.adminId,
-      _idFromDB: admin._id,
-      expiresIn: "1d"
-    });
-
-    res.cookie("accessToken", token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      path: "/",
-      maxAge: 24 * 60 * 60 * 1000
+    const session = await startSession(req, res, "ADMIN", tokenAdminId, {
+      adminId: tokenAdminId,
+      name: admin.name,
+      role: "ADMIN",
+      email: admin.email
     });
 
-    logToConsole("INFO", "ADMIN_COOKIE_SET", {
+    logToConsole("INFO", "ADMIN_SESSION_STARTED", {
       adminId: admin._id,
+      sessionId: session.sessionId,
       cookieName: "accessToken"
     });
 
@@ -462,7 +425,7 @@ router.post("/login", async (req, res) => {
 /* ===============================
    CHECK ADMIN LOGIN
 ================================ */
-router.get("/me", auth, async (req, res) => {
+router.get("/me", requireAdmin, async (req, res) => {
   try {
     console.log("🔍 /me ENDPOINT DEBUG:");
     console.log("Full req.user:", req.user);
@@ -476,7 +439,7 @@ router.get("/me", auth, async (req, res) => {
       ip: req.ip
     });
 
-    const admin = await Admin.findOne({ adminId: req.user.adminId }).select("-password");
+    const admin = await Admin.findOne(adminFilterOf(req.user.adminId)).select("-password");
 
     if (!admin) {
       logToConsole("ERROR", "ADMIN_NOT_FOUND_IN_DB", {
@@ -502,7 +465,10 @@ router.get("/me", auth, async (req, res) => {
 
     await log(admin.name, admin.adminId || admin._id.toString(), "ADMIN_AUTH_CHECK", "Admin authentication checked successfully");
 
-    res.json(admin);
+    res.json({
+      ...admin.toObject(),
+      permissions: req.user.permissions
+    });
 
   } catch (error) {
     logToConsole("ERROR", "ADMIN_ME_ENDPOINT_ERROR", {
@@ -530,16 +496,7 @@ router.post("/logout", async (req, res) => {
   console.log("🔥 LOGOUT API HIT");
 
   try {
-    console.log("➡️ Cookies BEFORE clear:", req.headers.cookie);
-
-    res.clearCookie("accessToken", {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      path: "/"
-    });
-
-    console.log("✅ clearCookie() CALLED");
+    await endSession(req, res, "ADMIN");
 
     res.setHeader("Cache-Control", "no-store");
 
@@ -550,12 +507,7 @@ router.post("/logout", async (req, res) => {
   } catch (error) {
     console.log("❌ LOGOUT ERROR:", error);
 
-    res.clearCookie("accessToken", {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      path: "/"
-    });
+    clearSessionCookies(res, "ADMIN");
 
     return res.status(200).json({
       success: true,
@@ -567,7 +519,7 @@ router.post("/logout", async (req, res) => {
 /* ===============================
    GET ALL CLIENTS
 ================================ */
-router.get("/clients", auth, async (req, res) => {
+router.get("/clients", requirePermission("clients:read"), async (req, res) => {
   try {
     logToConsole("INFO", "ADMIN_CLIENTS_REQUEST", {
       adminId: req.user.adminId,
@@ -627,7 +579,7 @@ router.get("/clients", auth, async (req, res) => {
    GET SINGLE CLIENT (MONTH DATA) - UPDATED FOR BOTH COLLECTIONS
    NOW MERGES OLD client.documents AND NEW ClientMonthlyData
 ================================ */
-router.get("/clients/:clientId", auth, async (req, res) => {
+router.get("/clients/:clientId", requirePermission("clients:read"), async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -656,8 +608,8 @@ router.get("/clients/:clientId", auth, async (req, res) => {
     // ===== MERGE OLD AND NEW DOCUMENTS =====
     let mergedDocuments = {};
 
-    // Step 1: Convert OLD Map to object
-    if (clientData.documents) {
+    // Step 1: Convert OLD Map to object (skipped once legacy reads are off)
+    if (legacyReadsEnabled() && clientData.documents) {
       if (clientData.documents instanceof Map) {
         for (const [yearKey, yearMap] of clientData.documents.entries()) {
           if (yearMap instanceof Map) {
@@ -1031,7 +983,7 @@ router.get("/clients/:clientId", auth, async (req, res) => {
 /* ===============================
    LOCK / UNLOCK ENTIRE MONTH - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.post("/clients/:clientId/month-lock", auth, async (req, res) => {
+router.post("/clients/:clientId/month-lock", requirePermission("clients:lock-month"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month, lock } = req.body;
@@ -1151,7 +1103,7 @@ router.post("/clients/:clientId/month-lock", auth, async (req, res) => {
       // Check OLD collection
       const yearKey = String(year);
       const monthKey = String(month);
-      if (client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
+      if (legacyReadsEnabled() && client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         source = 'old';
         logToConsole("DEBUG", "MONTH_FOUND_IN_OLD_COLLECTION", { clientId, year, month });
@@ -1214,6 +1166,16 @@ router.post("/clients/:clientId/month-lock", auth, async (req, res) => {
       });
     }
 
+    await notifyClient(clientId, {
+      type: lock ? "MONTH_LOCKED" : "MONTH_UNLOCKED",
+      title: lock ? `Month ${month}/${year} has been locked` : `Month ${month}/${year} has been unlocked`,
+      message: lock ?
+        "Your accountant has locked this month. Files can no longer be changed." :
+        "Your accountant has unlocked this month. You can upload and change files again.",
+      data: { year: parseInt(year), month: parseInt(month) },
+      actor: { type: "ADMIN", id: req.user.adminId, name: req.user.name }
+    });
+
     logToConsole("SUCCESS", "MONTH_LOCK_SUCCESSFUL_WITH_CASCADE", {
       clientId,
       clientName: client.name,
@@ -1271,7 +1233,7 @@ router.post("/clients/:clientId/month-lock", auth, async (req, res) => {
 /* ===============================
    LOCK / UNLOCK FILE - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.post("/clients/file-lock/:clientId", auth, async (req, res) => {
+router.post("/clients/file-lock/:clientId", requirePermission("clients:lock-month"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month, type, categoryName, lock } = req.body;
@@ -1356,7 +1318,7 @@ router.post("/clients/file-lock/:clientId", auth, async (req, res) => {
     } else {
       const yearKey = String(year);
       const monthKey = String(month);
-      if (client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
+      if (legacyReadsEnabled() && client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         source = 'old';
         logToConsole("DEBUG", "MONTH_FOUND_IN_OLD_COLLECTION", { clientId, year, month });
@@ -1422,8 +1384,7 @@ router.post("/clients/file-lock/:clientId", auth, async (req, res) => {
     // Send email to client
     try {
       const actionType = lock ? "CATEGORY_LOCKED" : "CATEGORY_UNLOCKED";
-      const categoryDisplayName = type === "other" ? categoryName : type;
-      const additionalInfo = { year, month, categoryType: categoryDisplayName };
+      const additionalInfo = { year, month, categoryType: type, categoryName: type === "other" ? categoryName : undefined };
       await sendEmailToClient(client, actionType, additionalInfo);
     } catch (emailError) {
       logToConsole("ERROR", "CLIENT_EMAIL_FAILED_FILE_LOCK", {
@@ -1432,6 +1393,13 @@ router.post("/clients/file-lock/:clientId", auth, async (req, res) => {
       });
     }
 
+    await notifyClient(clientId, {
+      type: lock ? "CATEGORY_LOCKED" : "CATEGORY_UNLOCKED",
+      title: `${type === "other" ? categoryName : type} for ${month}/${year} has been ${lock ? "locked" : "unlocked"}`,
+      data: { year: parseInt(year), month: parseInt(month), categoryType: type, categoryName },
+      actor: { type: "ADMIN", id: req.user.adminId, name: req.user.name }
+    });
+
     const actionTypeLog = lock ? "LOCKED_FILE" : "UNLOCKED_FILE";
     const categoryDisplay = type === "other" ? categoryName : type;
     const actionDetails = lock ?
@@ -1467,10 +1435,50 @@ router.post("/clients/file-lock/:clientId", auth, async (req, res) => {
   }
 });
 
+/* ===============================
+   TRASH: DELETED FILES OF A CLIENT (see utils/fileTrash.js)
+   Admins can restore whether or not the month is locked.
+================================ */
+router.get("/clients/:clientId/deleted-files", requirePermission("clients:read"), async (req, res) => {
+  try {
+    const { year, month } = req.query;
+    const deletedFiles = await listTrash(req.params.clientId, { year, month });
+
+    res.json({ success: true, deletedFiles });
+  } catch (error) {
+    console.error("Get deleted files error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching deleted files",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post("/clients/:clientId/deleted-files/:deletedFileId/restore", requirePermission("clients:update"), async (req, res) => {
+  try {
+    const { clientId, deletedFileId } = req.params;
+    const actor = { type: "admin", id: req.user.adminId, name: req.user.name };
+    const { deletedFile } = await restoreDeletedFile(deletedFileId, actor, clientId);
+
+    res.json({ success: true, message: `${deletedFile.fileName} restored`, deletedFile });
+  } catch (error) {
+    if (error instanceof TrashError) {
+      return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+    console.error("Restore deleted file error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error restoring file",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 /* ===============================
    GET PAYMENT STATUS FOR A MONTH - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.get("/clients/:clientId/payment-status", auth, async (req, res) => {
+router.get("/clients/:clientId/payment-status", requirePermission("payments:read"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month } = req.query;
@@ -1508,7 +1516,7 @@ router.get("/clients/:clientId/payment-status", auth, async (req, res) => {
     } else {
       const yearKey = String(year);
       const monthKey = String(month);
-      if (client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
+      if (legacyReadsEnabled() && client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         logToConsole("DEBUG", "PAYMENT_STATUS_FROM_OLD_COLLECTION", { clientId, year, month });
       }
@@ -1557,7 +1565,7 @@ router.get("/clients/:clientId/payment-status", auth, async (req, res) => {
 /* ===============================
    UPDATE PAYMENT STATUS FOR A MONTH - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.post("/clients/:clientId/payment-status", auth, async (req, res) => {
+router.post("/clients/:clientId/payment-status", requirePermission("payments:update"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month, status, notes } = req.body;
@@ -1600,20 +1608,20 @@ router.post("/clients/:clientId/payment-status", auth, async (req, res) => {
       context.newDoc = newMonthResult.doc;
       logToConsole("DEBUG", "PAYMENT_UPDATE_IN_NEW_COLLECTION", { clientId, year, month });
     } else {
-      const yearKey = String(year);
-      const monthKey = String(month);
-      if (!client.documents.has(yearKey)) {
-        client.documents.set(yearKey, new Map());
-      }
-      if (!client.documents.get(yearKey).has(monthKey)) {
-        client.documents.get(yearKey).set(monthKey, {
-          paymentStatus: false,
-          paymentHistory: []
-        });
-      }
-      monthData = client.documents.get(yearKey).get(monthKey);
-      source = 'old';
-      logToConsole("DEBUG", "PAYMENT_UPDATE_IN_OLD_COLLECTION", { clientId, year, month });
+      // Payment changes are only written to ClientMonthlyData. A month that
+      // so far exists only in the legacy Client.documents is copied across
+      // first, as scripts/migrateLegacyDocuments.js would copy it.
+      const legacyMonth = legacyReadsEnabled() ? client.documents.get(String(year))?.get(String(month)) : null;
+      const copied = legacyMonth?.toObject ? legacyMonth.toObject() : legacyMonth;
+      monthData = {
+        paymentStatus: false,
+        paymentHistory: [],
+        ...(copied || {}),
+        year: parseInt(year),
+        month: parseInt(month)
+      };
+      source = null;
+      logToConsole("DEBUG", legacyMonth ? "PAYMENT_UPDATE_COPIED_FROM_OLD_COLLECTION" : "PAYMENT_UPDATE_NEW_MONTH", { clientId, year, month });
     }
 
     const previousStatus = monthData.paymentStatus || false;
@@ -1661,6 +1669,16 @@ router.post("/clients/:clientId/payment-status", auth, async (req, res) => {
 
     await log(req.user.name, req.user.adminId, "PAYMENT_STATUS_UPDATED", actionDetails);
 
+    await notifyClient(clientId, {
+      type: "PAYMENT_UPDATED",
+      title: status ?
+        `Payment for ${month}/${year} received` :
+        `Payment for ${month}/${year} marked as pending`,
+      message: notes || undefined,
+      data: { year: parseInt(year), month: parseInt(month), paymentStatus: status },
+      actor: { type: "ADMIN", id: req.user.adminId, name: req.user.name }
+    });
+
     logToConsole("SUCCESS", "PAYMENT_STATUS_UPDATED_SUCCESSFULLY", {
       clientId,
       clientName: client.name,
@@ -1706,7 +1724,7 @@ router.post("/clients/:clientId/payment-status", auth, async (req, res) => {
 /* ===============================
    GET PAYMENT HISTORY FOR A MONTH - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.get("/clients/:clientId/payment-history", auth, async (req, res) => {
+router.get("/clients/:clientId/payment-history", requirePermission("payments:read"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month } = req.query;
@@ -1737,7 +1755,7 @@ router.get("/clients/:clientId/payment-history", auth, async (req, res) => {
     } else {
       const yearKey = String(year);
       const monthKey = String(month);
-      if (client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
+      if (legacyReadsEnabled() && client.documents.has(yearKey) && client.documents.get(yearKey).has(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         logToConsole("DEBUG", "PAYMENT_HISTORY_FROM_OLD_COLLECTION", { clientId, year, month });
       }
@@ -1775,7 +1793,7 @@ router.get("/clients/:clientId/payment-history", auth, async (req, res) => {
 /* ===============================
    ADMIN MANUAL TRIGGER PLAN CHANGE
 ================================ */
-router.post("/trigger-plan-change", auth, async (req, res) => {
+router.post("/trigger-plan-change", requirePermission("plans:manage"), async (req, res) => {
   try {
     const { processScheduledPlanChanges } = require('../utils/planChangeCron');
 
@@ -1807,4 +1825,339 @@ router.post("/trigger-plan-change", auth, async (req, res) => {
   }
 });
 
+/* ===============================
+   ADMIN ROLES & PERMISSIONS CATALOGUE
+================================ */
+router.get("/roles", requirePermission("admins:manage"), async (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLE_PERMISSIONS,
+    permissions: ALL_PERMISSIONS
+  });
+});
+
+/* ===============================
+   LIST ADMINS WITH THEIR ROLES
+================================ */
+router.get("/admins", requirePermission("admins:manage"), async (req, res) => {
+  try {
+    const admins = await Admin.find()
+      .select("adminId name email role permissions isActive createdAt")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: admins.length,
+      admins: admins.map(a => ({
+        ...a.toObject(),
+        effectivePermissions: resolveAdminPermissions(a)
+      }))
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "LIST_ADMINS_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching admins",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   UPDATE ADMIN ROLE / PERMISSIONS
+   role: built-in role name or a custom role name
+   permissions: extra permission strings (required for custom roles)
+================================ */
+router.put("/admins/:adminId/role", requirePermission("admins:manage"), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { role, permissions = [] } = req.body;
+
+    if (!role || typeof role !== "string") {
+      return res.status(400).json({ success: false, message: "Role is required" });
+    }
+
+    if (!Array.isArray(permissions)) {
+      return res.status(400).json({ success: false, message: "Permissions must be an array" });
+    }
+
+    const invalid = permissions.filter(p => !isValidPermission(p));
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Unknown permissions",
+        invalidPermissions: invalid
+      });
+    }
+
+    const normalizedRole = role.trim().toUpperCase();
+
+    if (!ROLE_PERMISSIONS[normalizedRole] && permissions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Custom roles must list at least one permission"
+      });
+    }
+
+    // Only a super admin can hand out full access
+    const grantsFullAccess = normalizedRole === "SUPER_ADMIN" || permissions.includes(WILDCARD);
+    if (grantsFullAccess && req.user.adminRole !== "SUPER_ADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Only a super admin can grant super admin access"
+      });
+    }
+
+    const admin = await Admin.findOne(adminFilterOf(adminId));
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+
+    if (admin.adminId === req.user.adminId) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot change your own role"
+      });
+    }
+
+    if (admin.role === "SUPER_ADMIN" && req.user.adminRole !== "SUPER_ADMIN") {
+      return res.status(403).json({
+        success: false,
+        message: "Only a super admin can change a super admin's role"
+      });
+    }
+
+    const previousRole = admin.role;
+    admin.role = normalizedRole;
+    admin.permissions = [...new Set(permissions)];
+    await admin.save();
+
+    logToConsole("SUCCESS", "ADMIN_ROLE_UPDATED", {
+      adminId: admin.adminId,
+      previousRole,
+      newRole: admin.role,
+      permissions: admin.permissions,
+      updatedBy: req.user.adminId
+    });
+
+    await log(req.user.name, req.user.adminId, "ADMIN_ROLE_UPDATED", `Changed role of ${admin.email} from ${previousRole} to ${admin.role}${admin.permissions.length ? ` (permissions: ${admin.permissions.join(", ")})` : ""}`);
+
+    res.json({
+      success: true,
+      message: "Admin role updated",
+      admin: {
+        adminId: admin.adminId,
+        name: admin.name,
+        email: admin.email,
+        role: admin.role,
+        permissions: admin.permissions,
+        effectivePermissions: resolveAdminPermissions(admin)
+      }
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "UPDATE_ADMIN_ROLE_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating admin role",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   REVOKE ALL SESSIONS OF A USER
+   body: { userType: "EMPLOYEE" | "CLIENT" | "ADMIN", userId, reason }
+================================ */
+const REVOKE_PERMISSIONS = {
+  EMPLOYEE: "employees:manage",
+  CLIENT: "clients:update",
+  ADMIN: "admins:manage"
+};
+
+router.post("/sessions/revoke-user", requireAdmin, async (req, res) => {
+  try {
+    const { userType, userId, reason } = req.body;
+    const requiredPermission = REVOKE_PERMISSIONS[userType];
+
+    if (!requiredPermission || !userId) {
+      return res.status(400).json({
+        success: false,
+        message: "userType (EMPLOYEE, CLIENT or ADMIN) and userId are required"
+      });
+    }
+
+    if (!hasPermission(req.user.permissions, requiredPermission)) {
+      return res.status(403).json({
+        message: "You do not have permission to perform this action",
+        missingPermissions: [requiredPermission]
+      });
+    }
+
+    const revokedCount = await revokeAllSessions(userType, userId, "REVOKED_BY_ADMIN", req.user.adminId);
+
+    logToConsole("SUCCESS", "USER_SESSIONS_REVOKED", {
+      userType,
+      userId,
+      revokedCount,
+      revokedBy: req.user.adminId
+    });
+
+    await log(req.user.name, req.user.adminId, "USER_SESSIONS_REVOKED", `Revoked ${revokedCount} session(s) of ${userType} ${userId}${reason ? `. Reason: ${reason}` : ""}`);
+
+    res.json({
+      success: true,
+      message: `Revoked ${revokedCount} session(s)`,
+      revokedCount
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "REVOKE_USER_SESSIONS_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error revoking sessions",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   REQUIRE / RELAX 2FA FOR AN ADMIN
+   body: { required: boolean }
+================================ */
+router.put("/admins/:adminId/2fa-requirement", requirePermission("admins:manage"), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    const { required } = req.body;
+
+    if (typeof required !== "boolean") {
+      return res.status(400).json({ success: false, message: "required must be a boolean value" });
+    }
+
+    const admin = await Admin.findOneAndUpdate(
+      { adminId },
+      { $set: { "twoFactor.required": required } },
+      { new: true }
+    ).select("adminId name email twoFactor");
+
+    if (!admin) {
+      return res.status(404).json({ success: false, message: "Admin not found" });
+    }
+
+    await log(req.user.name, req.user.adminId, "ADMIN_2FA_REQUIREMENT_UPDATED", `Two-factor authentication ${required ? "required" : "no longer required"} for admin ${admin.email}`);
+
+    res.json({
+      success: true,
+      adminId: admin.adminId,
+      twoFactor: {
+        required: admin.twoFactor.required,
+        enabled: admin.twoFactor.enabled
+      }
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "ADMIN_2FA_REQUIREMENT_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error updating two-factor requirement",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   LOGIN LOCKOUTS
+   GET  /lockouts?all=true   active locks (all=true adds unlocked counters)
+   POST /lockouts/unlock     body: { key } or { identifier } (email, userId or IP)
+================================ */
+router.get("/lockouts", requirePermission("security:manage"), async (req, res) => {
+  try {
+    const lockouts = await listLockouts({ includeCounters: req.query.all === "true" });
+
+    res.json({
+      success: true,
+      count: lockouts.length,
+      lockouts
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "LIST_LOCKOUTS_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error fetching lockouts",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+router.post("/lockouts/unlock", requirePermission("security:manage"), async (req, res) => {
+  try {
+    const { key, identifier } = req.body;
+
+    if (!key && !identifier) {
+      return res.status(400).json({
+        success: false,
+        message: "key or identifier is required"
+      });
+    }
+
+    const unlockedCount = await unlock({ key, identifier }, req.user.adminId);
+
+    if (unlockedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No lockout or attempt counter found"
+      });
+    }
+
+    logToConsole("SUCCESS", "LOCKOUT_CLEARED", {
+      key,
+      identifier,
+      unlockedCount,
+      unlockedBy: req.user.adminId
+    });
+
+    await log(req.user.name, req.user.adminId, "LOCKOUT_CLEARED", `Cleared ${unlockedCount} login lockout counter(s) for ${key || identifier}`);
+
+    res.json({
+      success: true,
+      message: `Cleared ${unlockedCount} counter(s)`,
+      unlockedCount
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "UNLOCK_ERROR", {
+      error: error.message,
+      adminId: req.user?.adminId
+    });
+
+    res.status(500).json({
+      success: false,
+      message: "Error clearing lockout",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
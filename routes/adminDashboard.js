@@ -1,15 +1,19 @@
 const express = require("express");
 const mongoose = require("mongoose");
-const auth = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled, legacyDocumentsOf } = require("../utils/legacyDocuments");
+const { markReadForAllAdmins } = require("../utils/notifications");
 
 const Client = require("../models/Client");
 const Employee = require("../models/Employee");
 const ActivityLog = require("../models/ActivityLog");
 const FinancialStatementRequest = require("../models/FinancialStatementRequest");
 const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { signFileUrls, adminAccess } = require("../utils/signedUrls");
 
 
 const router = express.Router();
+router.use(signFileUrls(adminAccess));
 
 // Console logging
 const logToConsole = (type, operation, data) => {
@@ -145,7 +149,7 @@ const ALL_TASKS = [
 /* ===============================
    1. GET DASHBOARD OVERVIEW - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.get("/dashboard/overview", auth, async (req, res) => {
+router.get("/dashboard/overview", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
 
@@ -312,7 +316,7 @@ router.get("/dashboard/overview", auth, async (req, res) => {
 
         for (const client of allClientsWithDocs) {
             // Check OLD collection
-            if (client.documents) {
+            if (legacyReadsEnabled() && client.documents) {
                 for (const monthRange of dateRange.months) {
                     const yearKey = String(monthRange.year);
                     const monthKey = String(monthRange.month);
@@ -470,7 +474,7 @@ router.get("/dashboard/overview", auth, async (req, res) => {
 /* ===============================
    2. GET ACTIVE CLIENTS (FOR TABLE MODAL) - NO CHANGE
 ================================ */
-router.get("/dashboard/active-clients", auth, async (req, res) => {
+router.get("/dashboard/active-clients", requirePermission("dashboard:read"), async (req, res) => {
     try {
         logToConsole("INFO", "ACTIVE_CLIENTS_REQUEST", {
             adminId: req.user.adminId
@@ -553,7 +557,7 @@ router.get("/dashboard/active-clients", auth, async (req, res) => {
 /* ===============================
    3. GET ACTIVE EMPLOYEES (FOR TABLE MODAL) - NO CHANGE
 ================================ */
-router.get("/dashboard/active-employees", auth, async (req, res) => {
+router.get("/dashboard/active-employees", requirePermission("dashboard:read"), async (req, res) => {
     try {
         logToConsole("INFO", "ACTIVE_EMPLOYEES_REQUEST", {
             adminId: req.user.adminId
@@ -634,7 +638,7 @@ router.get("/dashboard/active-employees", auth, async (req, res) => {
 /* ===============================
    4. GET UNASSIGNED CLIENTS WITH MISSING TASKS - FIXED FOR MULTI-MONTH
 ================================ */
-router.get("/dashboard/unassigned-clients", auth, async (req, res) => {
+router.get("/dashboard/unassigned-clients", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -769,7 +773,7 @@ router.get("/dashboard/unassigned-clients", auth, async (req, res) => {
 /* ===============================
    5. GET IDLE EMPLOYEES (NO ASSIGNMENTS) - FIXED FOR MULTI-MONTH
 ================================ */
-router.get("/dashboard/idle-employees", auth, async (req, res) => {
+router.get("/dashboard/idle-employees", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -895,7 +899,7 @@ router.get("/dashboard/idle-employees", auth, async (req, res) => {
 /* ===============================
    6. GET CLIENTS WITH INCOMPLETE TASKS - FIXED FOR MULTI-MONTH
 ================================ */
-router.get("/dashboard/incomplete-tasks", auth, async (req, res) => {
+router.get("/dashboard/incomplete-tasks", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -1036,7 +1040,7 @@ router.get("/dashboard/incomplete-tasks", auth, async (req, res) => {
 /* ===============================
    7. GET RECENT NOTES GROUPED BY CLIENT - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.get("/dashboard/recent-notes", auth, async (req, res) => {
+router.get("/dashboard/recent-notes", requirePermission("notes:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd, limit = 10 } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -1075,6 +1079,8 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
                             ...note,
                             category,
                             note: note.note,
+                            attachments: note.attachments || [],
+                            mentions: note.mentions || [],
                             addedBy: note.addedBy || "Client",
                             type: "Client Note",
                             source: "old",
@@ -1096,6 +1102,8 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
                                     category,
                                     fileName: file.fileName || "Unnamed file",
                                     note: note.note,
+                                    attachments: note.attachments || [],
+                                    mentions: note.mentions || [],
                                     addedBy: note.addedBy || "Employee",
                                     type: "Employee Note",
                                     source: "old",
@@ -1122,6 +1130,8 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
                                     ...note,
                                     category: otherCategory.categoryName,
                                     note: note.note,
+                                    attachments: note.attachments || [],
+                                    mentions: note.mentions || [],
                                     addedBy: note.addedBy || "Client",
                                     type: "Client Note",
                                     source: "old",
@@ -1143,6 +1153,8 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
                                             category: otherCategory.categoryName,
                                             fileName: file.fileName || "Unnamed file",
                                             note: note.note,
+                                            attachments: note.attachments || [],
+                                            mentions: note.mentions || [],
                                             addedBy: note.addedBy || "Employee",
                                             type: "Employee Note",
                                             source: "old",
@@ -1176,7 +1188,7 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
             };
 
             // 1. Process OLD collection
-            if (client.documents) {
+            if (legacyReadsEnabled() && client.documents) {
                 for (const monthRange of dateRange.months) {
                     const yearKey = String(monthRange.year);
                     const monthKey = String(monthRange.month);
@@ -1296,7 +1308,7 @@ router.get("/dashboard/recent-notes", auth, async (req, res) => {
 /* ===============================
    8. GET CLIENT NOTES DETAILS - UPDATED FOR BOTH COLLECTIONS
 ================================ */
-router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
+router.get("/dashboard/client-notes/:clientId", requirePermission("notes:read"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
@@ -1351,6 +1363,8 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
                             category,
                             fileName: null,
                             note: note.note,
+                            attachments: note.attachments || [],
+                            mentions: note.mentions || [],
                             addedBy: note.addedBy || "Client",
                             addedAt: note.addedAt,
                             level: "Category",
@@ -1370,6 +1384,8 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
                                     category,
                                     fileName: file.fileName || "Unnamed file",
                                     note: note.note,
+                                    attachments: note.attachments || [],
+                                    mentions: note.mentions || [],
                                     addedBy: note.addedBy || "Employee",
                                     addedAt: note.addedAt,
                                     level: "File",
@@ -1395,6 +1411,8 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
                                     category: otherCategory.categoryName,
                                     fileName: null,
                                     note: note.note,
+                                    attachments: note.attachments || [],
+                                    mentions: note.mentions || [],
                                     addedBy: note.addedBy || "Client",
                                     addedAt: note.addedAt,
                                     level: "Category",
@@ -1414,6 +1432,8 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
                                             category: otherCategory.categoryName,
                                             fileName: file.fileName || "Unnamed file",
                                             note: note.note,
+                                            attachments: note.attachments || [],
+                                            mentions: note.mentions || [],
                                             addedBy: note.addedBy || "Employee",
                                             addedAt: note.addedAt,
                                             level: "File",
@@ -1433,7 +1453,7 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
         };
 
         // 1. Process OLD collection
-        if (client.documents) {
+        if (legacyReadsEnabled() && client.documents) {
             for (const monthRange of dateRange.months) {
                 const yearKey = String(monthRange.year);
                 const monthKey = String(monthRange.month);
@@ -1735,7 +1755,7 @@ router.get("/dashboard/client-notes/:clientId", auth, async (req, res) => {
 
 
 
-router.get("/dashboard/uploaded-but-locked", auth, async (req, res) => {
+router.get("/dashboard/uploaded-but-locked", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -1820,7 +1840,7 @@ router.get("/dashboard/uploaded-but-locked", auth, async (req, res) => {
                 }
 
                 // Check OLD collection (already in memory - NO DATABASE CALL!)
-                if (!foundMonthData && client.documents) {
+                if (!foundMonthData && legacyReadsEnabled() && client.documents) {
                     const yearKey = String(monthInfo.year);
                     const monthKey = String(monthInfo.month);
                     foundMonthData = client.documents?.[yearKey]?.[monthKey];
@@ -1935,7 +1955,7 @@ router.get("/dashboard/uploaded-but-locked", auth, async (req, res) => {
 /* ===============================
    15. GET COMPLETED TASKS (GROUPED BY MONTH) - NEW
 ================================ */
-router.get("/dashboard/completed-tasks", auth, async (req, res) => {
+router.get("/dashboard/completed-tasks", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -2140,7 +2160,7 @@ router.get("/dashboard/completed-tasks", auth, async (req, res) => {
 /* ===============================
    10. GET UNVIEWED NOTES SUMMARY (FOR ALERT MODAL - CLIENT LIST) - FIXED
 ================================ */
-router.get("/dashboard/unviewed-notes-summary", auth, async (req, res) => {
+router.get("/dashboard/unviewed-notes-summary", requirePermission("notes:read"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -2160,7 +2180,7 @@ router.get("/dashboard/unviewed-notes-summary", auth, async (req, res) => {
 
         // Check each client for unviewed notes within date range
         clients.forEach(client => {
-            if (!client.documents) return;
+            if (!legacyReadsEnabled() || !client.documents) return;
 
             let totalUnviewed = 0;
             const unviewedByMonth = {};
@@ -2180,7 +2200,7 @@ router.get("/dashboard/unviewed-notes-summary", auth, async (req, res) => {
                 const countUnviewedNotes = (notesArray) => {
                     if (!notesArray || !Array.isArray(notesArray)) return 0;
                     return notesArray.filter(note =>
-                        note && typeof note === 'object' && note.note && !note.isViewedByAdmin
+                        note && typeof note === 'object' && note.note && !note.isDeleted && !note.isViewedByAdmin
                     ).length;
                 };
 
@@ -2302,7 +2322,7 @@ router.get("/dashboard/unviewed-notes-summary", auth, async (req, res) => {
 /* ===============================
    11. GET CLIENT'S UNVIEWED NOTES DETAILS (INDIVIDUAL CLIENT VIEW) - FIXED
 ================================ */
-router.get("/dashboard/client-unviewed-notes/:clientId", auth, async (req, res) => {
+router.get("/dashboard/client-unviewed-notes/:clientId", requirePermission("notes:read"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { timeFilter = 'this_month', customStart, customEnd } = req.query;
@@ -2329,7 +2349,7 @@ router.get("/dashboard/client-unviewed-notes/:clientId", auth, async (req, res)
         dateRange.months.forEach(monthRange => {
             const yearKey = String(monthRange.year);
             const monthKey = String(monthRange.month); // Keep as string number
-            const monthData = client.documents?.[yearKey]?.[monthKey];
+            const monthData = legacyDocumentsOf(client)[yearKey]?.[monthKey];
             if (!monthData) return;
 
             const monthName = new Date(monthRange.year, monthRange.month - 1, 1)
@@ -2343,7 +2363,7 @@ router.get("/dashboard/client-unviewed-notes/:clientId", auth, async (req, res)
                 if (!notesArray || !Array.isArray(notesArray)) return [];
 
                 return notesArray
-                    .filter(note => note && typeof note === 'object' && note.note && !note.isViewedByAdmin)
+                    .filter(note => note && typeof note === 'object' && note.note && !note.isDeleted && !note.isViewedByAdmin)
                     .map((note, index) => {
                         monthUnviewed++;
                         // Create a trackable ID that can be used to find this note later
@@ -2355,6 +2375,8 @@ router.get("/dashboard/client-unviewed-notes/:clientId", auth, async (req, res)
                         return {
                             noteId: notePath, // Use path as ID for tracking
                             note: note.note,
+                            attachments: note.attachments || [],
+                            mentions: note.mentions || [],
                             addedBy: note.addedBy || (source === 'client' ? 'Client' : 'Employee'),
                             addedAt: note.addedAt,
                             source: source,
@@ -2512,7 +2534,7 @@ router.get("/dashboard/client-unviewed-notes/:clientId", auth, async (req, res)
 /* ===============================
    12. MARK SPECIFIC NOTE AS READ (BY ADMIN) - SIMPLIFIED FIXED VERSION
 ================================ */
-router.post("/dashboard/notes/mark-note-read", auth, async (req, res) => {
+router.post("/dashboard/notes/mark-note-read", requirePermission("notes:update"), async (req, res) => {
     try {
         const { clientId, notePath } = req.body;
 
@@ -2542,7 +2564,7 @@ router.post("/dashboard/notes/mark-note-read", auth, async (req, res) => {
         }
 
         // Get documents
-        const documents = client.documents || {};
+        const documents = legacyReadsEnabled() ? (client.documents || {}) : {};
         const monthData = documents[yearKey]?.[monthKey];
 
         if (!monthData) {
@@ -2640,10 +2662,22 @@ router.post("/dashboard/notes/mark-note-read", auth, async (req, res) => {
     }
 });
 
+/* ===============================
+   HELPER: MARK NOTE NOTIFICATIONS READ FOR THE MONTHS IN A DATE RANGE
+   (all admins, like the shared isViewedByAdmin flag)
+================================ */
+const markNoteNotificationsReadForMonths = async (months, clientId) => {
+    let marked = 0;
+    for (const { year, month } of months) {
+        marked += await markReadForAllAdmins({ type: "NOTE_ADDED", clientId, year, month });
+    }
+    return marked;
+};
+
 /* ===============================
    13. MARK ALL CLIENT'S NOTES AS READ (FOR CURRENT TIME FILTER) - FIXED
 ================================ */
-router.post("/dashboard/notes/mark-client-read/:clientId", auth, async (req, res) => {
+router.post("/dashboard/notes/mark-client-read/:clientId", requirePermission("notes:update"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { timeFilter = 'this_month', customStart, customEnd } = req.body;
@@ -2660,7 +2694,7 @@ router.post("/dashboard/notes/mark-client-read/:clientId", auth, async (req, res
         let notesMarked = 0;
         const now = new Date();
         const adminId = req.user.adminId;
-        const documents = client.toObject().documents || {};
+        const documents = legacyReadsEnabled() ? (client.toObject().documents || {}) : {};
 
         // Check each month in the date range
         dateRange.months.forEach(monthRange => {
@@ -2776,7 +2810,9 @@ router.post("/dashboard/notes/mark-client-read/:clientId", auth, async (req, res
             logToConsole("ERROR", "CLIENT_NOTES_MARKED_READ_ACTIVITY_LOG_FAILED", { error: logError.message });
         }
 
-        logToConsole("SUCCESS", "CLIENT_NOTES_MARKED_AS_READ", { clientId, notesMarked });
+        const notificationsMarked = await markNoteNotificationsReadForMonths(dateRange.months, clientId);
+
+        logToConsole("SUCCESS", "CLIENT_NOTES_MARKED_AS_READ", { clientId, notesMarked, notificationsMarked });
 
         res.json({
             success: true,
@@ -2794,7 +2830,7 @@ router.post("/dashboard/notes/mark-client-read/:clientId", auth, async (req, res
 /* ===============================
    14. MARK ALL NOTES AS READ (ALL CLIENTS - FOR CURRENT TIME FILTER) - FIXED
 ================================ */
-router.post("/dashboard/notes/mark-all-read", auth, async (req, res) => {
+router.post("/dashboard/notes/mark-all-read", requirePermission("notes:update"), async (req, res) => {
     try {
         const { timeFilter = 'this_month', customStart, customEnd } = req.body;
         const dateRange = getDateRange(timeFilter, customStart, customEnd);
@@ -2809,7 +2845,7 @@ router.post("/dashboard/notes/mark-all-read", auth, async (req, res) => {
 
         for (const client of clients) {
             let clientNotesMarked = 0;
-            const documents = client.toObject().documents || {};
+            const documents = legacyReadsEnabled() ? (client.toObject().documents || {}) : {};
 
             // Check each month in the date range
             dateRange.months.forEach(monthRange => {
@@ -2925,7 +2961,9 @@ router.post("/dashboard/notes/mark-all-read", auth, async (req, res) => {
             logToConsole("ERROR", "ALL_NOTES_MARKED_READ_ACTIVITY_LOG_FAILED", { error: logError.message });
         }
 
-        logToConsole("SUCCESS", "ALL_NOTES_MARKED_AS_READ", { totalNotesMarked });
+        const notificationsMarked = await markNoteNotificationsReadForMonths(dateRange.months);
+
+        logToConsole("SUCCESS", "ALL_NOTES_MARKED_AS_READ", { totalNotesMarked, notificationsMarked });
 
         res.json({
             success: true,
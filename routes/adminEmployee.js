@@ -4,15 +4,24 @@ const { v4: uuidv4 } = require("uuid");
 
 const Employee = require("../models/Employee");
 const ActivityLog = require("../models/ActivityLog");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
 const sendEmail = require("../utils/sendEmail");
+const { SUPPORTED_LOCALES } = require("../config/locales");
 
-const auth = require("../middleware/authMiddleware");
-const adminOnly = require("../middleware/adminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { revokeAllSessions } = require("../utils/sessionService");
+const { notifyEmployee } = require("../utils/notifications");
 
 const Client = require("../models/Client");
-const RemovedAssignment = require("../models/RemovedAssignment");
+const Assignment = require("../models/Assignment");
 // Add this with other requires at the top of employeeRoutes.js
 const EmployeeAssignment = require("../models/EmployeeAssignment");
+const {
+    AssignmentError,
+    assignTasks,
+    removeAssignment,
+    removeEmployeeAssignments
+} = require("../utils/assignmentService");
 
 const router = express.Router();
 
@@ -34,7 +43,7 @@ const logToConsole = (type, operation, data) => {
 /* ===============================
    CREATE EMPLOYEE (ADMIN ONLY)
 ================================ */
-router.post("/create", auth, async (req, res) => {
+router.post("/create", requirePermission("employees:manage"), async (req, res) => {
     try {
         const { name, email, phone, password } = req.body;
         const employeeId = uuidv4();
@@ -142,7 +151,7 @@ router.post("/create", auth, async (req, res) => {
     }
 });
 
-router.get("/all", auth, async (req, res) => {
+router.get("/all", requirePermission("employees:read"), async (req, res) => {
     try {
         // Get employees from old schema
         const employees = await Employee.find().select("-password");
@@ -178,9 +187,9 @@ router.get("/all", auth, async (req, res) => {
 /* ===============================
    UPDATE EMPLOYEE (ADMIN ONLY)
 ================================ */
-router.put("/update/:employeeId", auth, async (req, res) => {
+router.put("/update/:employeeId", requirePermission("employees:manage"), async (req, res) => {
     try {
-        const { name, email, phone, password } = req.body;
+        const { name, email, phone, password, preferredLanguage } = req.body;
         const { employeeId } = req.params;
 
         // Console log: Request received
@@ -188,9 +197,15 @@ router.put("/update/:employeeId", auth, async (req, res) => {
             adminId: req.user.adminId,
             adminName: req.user.name,
             employeeId,
-            updates: { name, email, phone, passwordChanged: !!password }
+            updates: { name, email, phone, preferredLanguage, passwordChanged: !!password }
         });
 
+        if (preferredLanguage !== undefined && !SUPPORTED_LOCALES.includes(preferredLanguage)) {
+            return res.status(400).json({
+                message: `preferredLanguage must be one of: ${SUPPORTED_LOCALES.join(", ")}`
+            });
+        }
+
         const employee = await Employee.findOne({ employeeId });
         if (!employee) {
             // Console log: Employee not found
@@ -216,6 +231,9 @@ router.put("/update/:employeeId", auth, async (req, res) => {
         employee.name = name;
         employee.email = email;
         employee.phone = phone;
+        if (preferredLanguage !== undefined) {
+            employee.preferredLanguage = preferredLanguage;
+        }
 
         if (password && password.trim() !== "") {
             employee.password = await bcrypt.hash(password, 10);
@@ -308,7 +326,7 @@ router.put("/update/:employeeId", auth, async (req, res) => {
     }
 });
 
-router.get("/all-clients", auth, async (req, res) => {
+router.get("/all-clients", requirePermission("clients:read"), async (req, res) => {
     try {
         // Console log: Request received
         logToConsole("INFO", "LIST_CLIENTS_REQUEST", {
@@ -372,7 +390,7 @@ router.get("/all-clients", auth, async (req, res) => {
    ASSIGN CLIENT TO EMPLOYEE (UPDATED FOR MULTIPLE TASKS)
    DOCUMENT CHECK REMOVED - ASSIGNMENT ALLOWED WITHOUT DOCUMENTS
 ================================ */
-router.post("/assign-client", auth, async (req, res) => {
+router.post("/assign-client", requirePermission("assignments:manage"), async (req, res) => {
     const { clientId, employeeId, year, month, tasks } = req.body;
 
     // ===== BASIC VALIDATION =====
@@ -465,37 +483,34 @@ router.post("/assign-client", auth, async (req, res) => {
 
         // ===== DOCUMENT CHECK REMOVED - NO LONGER VALIDATING DOCUMENTS =====
 
-        // ===== CHECK FOR DUPLICATE AND ALREADY ASSIGNED TASKS =====
-        const alreadyAssignedTasks = [];
-        const assignableTasks = [];
-
-        for (const task of tasks) {
-            // Check in CLIENT first
-            const taskAlreadyAssigned = client.employeeAssignments.some(
-                (a) => a.year === numericYear &&
-                    a.month === numericMonth &&
-                    a.task === task &&
-                    !a.isRemoved
-            );
-
-            // Check in NEW COLLECTION (EmployeeAssignment)
-            const EmployeeAssignment = require("../models/EmployeeAssignment");
-            const newDoc = await EmployeeAssignment.findOne({ employeeId: employee.employeeId });
-            const employeeAlreadyHasTask = newDoc?.assignedClients?.some(
-                (ac) => ac.clientId === clientId &&
-                    ac.year === numericYear &&
-                    ac.month === numericMonth &&
-                    ac.task === task &&
-                    !ac.isRemoved
-            ) || false;
-
-            if (taskAlreadyAssigned || employeeAlreadyHasTask) {
-                alreadyAssignedTasks.push(task);
-            } else {
-                assignableTasks.push(task);
+        // ===== SAVE ASSIGNMENTS (single transaction, tasks already held are skipped) =====
+        let assignedResult;
+        try {
+            assignedResult = await assignTasks({
+                client,
+                employee,
+                year: numericYear,
+                month: numericMonth,
+                tasks,
+                admin: req.user
+            });
+        } catch (assignError) {
+            if (assignError instanceof AssignmentError) {
+                logToConsole("WARN", "ASSIGN_TASKS_REJECTED", {
+                    code: assignError.code,
+                    clientId,
+                    employeeId,
+                    adminId: req.user.adminId
+                });
+                return res.status(assignError.status).json({ message: assignError.message });
             }
+            throw assignError;
         }
 
+        const assignableTasks = assignedResult.assigned.map(a => a.task);
+        const alreadyAssignedTasks = assignedResult.skipped;
+        const assignmentDate = assignedResult.assigned[0]?.assignedAt;
+
         if (assignableTasks.length === 0) {
             logToConsole("WARN", "ALL_TASKS_ALREADY_ASSIGNED", {
                 clientId,
@@ -509,97 +524,18 @@ router.post("/assign-client", auth, async (req, res) => {
             });
         }
 
-        const existingAssignments = client.employeeAssignments.filter(
-            a => a.year === numericYear && a.month === numericMonth && !a.isRemoved
-        );
-
-        // ===== PREPARE ASSIGNMENT OBJECTS FOR EACH TASK =====
-        const assignmentDate = new Date();
-        const clientAssignments = [];
-        const employeeAssignments = [];
-
-        for (const task of assignableTasks) {
-            const clientAssignment = {
-                year: numericYear,
-                month: numericMonth,
-                employeeId,
-                employeeName: employee.name,
-                assignedAt: assignmentDate,
-                assignedBy: req.user.adminId,
-                adminName: req.user.name,
-                task: task,
-                accountingDone: false,
-                isRemoved: false
-            };
-            const employeeAssignment = {
-                clientId,
-                clientName: client.name,
-                year: numericYear,
-                month: numericMonth,
-                assignedAt: assignmentDate,
-                assignedBy: req.user.adminId,
-                adminName: req.user.name,
-                task: task,
-                accountingDone: false,
-                isRemoved: false
-            };
-            clientAssignments.push(clientAssignment);
-            employeeAssignments.push(employeeAssignment);
-        }
-
-        // ===== SAVE TO CLIENT FIRST =====
-        client.employeeAssignments.push(...clientAssignments);
-        await client.save();
-
-        // ===== [ONLY] SAVE TO NEW COLLECTION (NOT to Employee.assignedClients) =====
-        try {
-            const EmployeeAssignment = require("../models/EmployeeAssignment");
-            let newDoc = await EmployeeAssignment.findOne({ employeeId: employee.employeeId });
-
-            if (!newDoc) {
-                newDoc = new EmployeeAssignment({
-                    employeeId: employee.employeeId,
-                    employeeName: employee.name,
-                    employeeEmail: employee.email,
-                    assignedClients: []
-                });
-            }
-
-            // Update name/email
-            newDoc.employeeName = employee.name;
-            newDoc.employeeEmail = employee.email;
-
-            // Add new assignments
-            for (const empAssign of employeeAssignments) {
-                const existingIndex = newDoc.assignedClients.findIndex(
-                    a => a.clientId === empAssign.clientId &&
-                        a.year === empAssign.year &&
-                        a.month === empAssign.month &&
-                        a.task === empAssign.task
-                );
-                if (existingIndex !== -1) {
-                    newDoc.assignedClients[existingIndex] = { ...newDoc.assignedClients[existingIndex], ...empAssign };
-                } else {
-                    newDoc.assignedClients.push(empAssign);
-                }
-            }
+        const totalTasksForMonth = await Assignment.countDocuments({
+            clientId,
+            year: numericYear,
+            month: numericMonth,
+            isRemoved: false
+        });
 
-            await newDoc.save();
-            logToConsole("INFO", "SAVED_TO_NEW_COLLECTION_ONLY", {
-                employeeId: employee.employeeId,
-                tasks: assignableTasks,
-                message: "NOT saved to Employee.assignedClients (old array)"
-            });
-        } catch (newCollectionError) {
-            logToConsole("ERROR", "NEW_COLLECTION_SAVE_FAILED", {
-                error: newCollectionError.message,
-                employeeId: employee.employeeId
-            });
-            return res.status(500).json({
-                message: "Assignment failed. Could not save to new collection.",
-                error: process.env.NODE_ENV === "development" ? newCollectionError.message : undefined
-            });
-        }
+        logToConsole("INFO", "ASSIGNMENTS_SAVED", {
+            employeeId: employee.employeeId,
+            tasks: assignableTasks,
+            assignmentIds: assignedResult.assigned.map(a => a.assignmentId)
+        });
 
         // ===== ACTIVITY LOG =====
         try {
@@ -618,10 +554,10 @@ router.post("/assign-client", auth, async (req, res) => {
                     tasks: assignableTasks,
                     year: numericYear,
                     month: numericMonth,
-                    totalTasksAssigned: existingAssignments.length + assignableTasks.length,
+                    totalTasksAssigned: totalTasksForMonth,
                     documentsVerified: false,  // CHANGED: No longer verifying documents
                     alreadyAssignedTasks: alreadyAssignedTasks.length > 0 ? alreadyAssignedTasks : undefined,
-                    storageLocation: "EmployeeAssignment collection (new)"
+                    assignmentIds: assignedResult.assigned.map(a => a.assignmentId)
                 }
             });
         } catch (logError) {
@@ -650,6 +586,20 @@ router.post("/assign-client", auth, async (req, res) => {
             logToConsole("WARN", "EMAIL_FAILED", { error: emailError.message });
         }
 
+        await notifyEmployee(employee.employeeId, {
+            type: "ASSIGNMENT_CREATED",
+            title: `${assignableTasks.length} new task${assignableTasks.length > 1 ? 's' : ''} for ${client.name} (${numericMonth}/${numericYear})`,
+            message: assignableTasks.join(', '),
+            clientId,
+            data: {
+                year: numericYear,
+                month: numericMonth,
+                tasks: assignableTasks,
+                assignmentIds: assignedResult.assigned.map(a => a.assignmentId)
+            },
+            actor: { type: "ADMIN", id: req.user.adminId, name: req.user.name }
+        });
+
         let responseMessage = `${assignableTasks.length} task${assignableTasks.length > 1 ? 's' : ''} assigned successfully`;
         if (alreadyAssignedTasks.length > 0) {
             responseMessage += `. ${alreadyAssignedTasks.length} task${alreadyAssignedTasks.length > 1 ? 's were' : ' was'} already assigned and skipped.`;
@@ -667,9 +617,9 @@ router.post("/assign-client", auth, async (req, res) => {
                 tasksAssigned: assignableTasks,
                 tasksSkipped: alreadyAssignedTasks,
                 assignedAt: assignmentDate,
-                totalTasksForMonth: existingAssignments.length + assignableTasks.length,
+                totalTasksForMonth,
                 documentsVerified: false,  // CHANGED: No longer verifying documents
-                storageLocation: "EmployeeAssignment collection (new)"
+                assignmentIds: assignedResult.assigned.map(a => a.assignmentId)
             }
         });
     } catch (error) {
@@ -700,7 +650,7 @@ function getMonthName(month) {
    CHECK IF CLIENT HAS DOCUMENTS FOR MONTH
    NOW CHECKS BOTH OLD AND NEW COLLECTIONS
 ================================ */
-router.get("/check-client-documents/:clientId", auth, async (req, res) => {
+router.get("/check-client-documents/:clientId", requirePermission("clients:read"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { year, month } = req.query;
@@ -743,7 +693,7 @@ router.get("/check-client-documents/:clientId", auth, async (req, res) => {
         const monthKey = numericMonth.toString();
 
         // ===== 1. CHECK OLD client.documents (Map structure) =====
-        if (client.documents && client.documents instanceof Map) {
+        if (legacyReadsEnabled() && client.documents && client.documents instanceof Map) {
             const yearMap = client.documents.get(yearKey);
             if (yearMap && yearMap instanceof Map) {
                 const monthData = yearMap.get(monthKey);
@@ -932,120 +882,10 @@ router.get("/check-client-documents/:clientId", auth, async (req, res) => {
 });
 
 
-router.delete("/remove-assignment", auth, async (req, res) => {
-    const { clientId, employeeId, year, month, task } = req.body;
-
-    if (!clientId || !employeeId || !year || !month || !task) {
-        return res.status(400).json({
-            message: "Missing required fields: clientId, employeeId, year, month, task"
-        });
-    }
-
-    try {
-        const numericYear = parseInt(year);
-        const numericMonth = parseInt(month);
-
-        // Fetch client
-        const client = await Client.findOne({ clientId });
-        if (!client) {
-            return res.status(404).json({ message: "Client not found" });
-        }
-
-        // Fetch employee (old schema)
-        const employee = await Employee.findOne({ employeeId });
-
-        // Fetch new schema
-        const newDoc = await EmployeeAssignment.findOne({ employeeId });
-
-        let removed = false;
-
-        // === CHECK AND REMOVE FROM OLD SCHEMA (Employee.assignedClients) ===
-        if (employee) {
-            const oldIndex = employee.assignedClients.findIndex(
-                a => a.clientId === clientId &&
-                    a.year === numericYear &&
-                    a.month === numericMonth &&
-                    a.task === task &&
-                    !a.isRemoved
-            );
-
-            if (oldIndex !== -1) {
-                if (employee.assignedClients[oldIndex].accountingDone) {
-                    return res.status(400).json({
-                        message: `Cannot remove "${task}" assignment because it's already marked as DONE`
-                    });
-                }
-                employee.assignedClients[oldIndex].isRemoved = true;
-                employee.assignedClients[oldIndex].removedAt = new Date();
-                employee.assignedClients[oldIndex].removedBy = req.user.adminId;
-                await employee.save();
-                removed = true;
-            }
-        }
-
-        // === CHECK AND REMOVE FROM NEW SCHEMA (EmployeeAssignment) ===
-        if (newDoc) {
-            const newIndex = newDoc.assignedClients.findIndex(
-                a => a.clientId === clientId &&
-                    a.year === numericYear &&
-                    a.month === numericMonth &&
-                    a.task === task &&
-                    !a.isRemoved
-            );
-
-            if (newIndex !== -1) {
-                if (newDoc.assignedClients[newIndex].accountingDone) {
-                    return res.status(400).json({
-                        message: `Cannot remove "${task}" assignment because it's already marked as DONE`
-                    });
-                }
-                newDoc.assignedClients[newIndex].isRemoved = true;
-                newDoc.assignedClients[newIndex].removedAt = new Date();
-                newDoc.assignedClients[newIndex].removedBy = req.user.adminId;
-                await newDoc.save();
-                removed = true;
-            }
-        }
-
-        // === REMOVE FROM CLIENT (always required) ===
-        const clientIndex = client.employeeAssignments.findIndex(
-            a => a.year === numericYear &&
-                a.month === numericMonth &&
-                a.employeeId === employeeId &&
-                a.task === task &&
-                !a.isRemoved
-        );
-
-        if (clientIndex !== -1) {
-            client.employeeAssignments[clientIndex].isRemoved = true;
-            client.employeeAssignments[clientIndex].removedAt = new Date();
-            client.employeeAssignments[clientIndex].removedBy = req.user.adminId;
-            await client.save();
-            removed = true;
-        }
-
-        if (!removed) {
-            return res.status(404).json({
-                message: `Task "${task}" assignment not found`
-            });
-        }
-
-        res.json({
-            message: `Task "${task}" assignment removed successfully`
-        });
-
-    } catch (error) {
-        console.error("Error removing assignment:", error);
-        res.status(500).json({
-            message: "Error removing task assignment"
-        });
-    }
-});
-
 /* ===============================
    GET CLIENT TASK STATUS PER MONTH (UPDATED & FIXED)
 ================================ */
-router.get("/client-tasks-status/:clientId", auth, async (req, res) => {
+router.get("/client-tasks-status/:clientId", requirePermission("clients:read"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { year, month } = req.query;
@@ -1284,7 +1124,7 @@ router.get("/client-tasks-status/:clientId", auth, async (req, res) => {
 /* ===============================
    DEACTIVATE EMPLOYEE (UPDATED - REMOVE ONLY THEIR TASKS)
 ================================ */
-router.post("/deactivate/:employeeId", auth, async (req, res) => {
+router.post("/deactivate/:employeeId", requirePermission("employees:manage"), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const currentYear = new Date().getFullYear();
@@ -1306,83 +1146,47 @@ router.post("/deactivate/:employeeId", auth, async (req, res) => {
             return res.status(404).json({ message: "Employee not found" });
         }
 
-        // ===== 2. FIND CURRENT MONTH TASK ASSIGNMENTS =====
-        const currentTaskAssignments = employee.assignedClients?.filter(
-            assignment => assignment.year === currentYear &&
-                assignment.month === currentMonth &&
-                !assignment.isRemoved
-        ) || [];
+        // ===== 2-3. REMOVE CURRENT MONTH TASK ASSIGNMENTS (one transaction) =====
+        const currentTaskAssignments = await removeEmployeeAssignments(
+            employeeId,
+            { year: currentYear, month: currentMonth },
+            {
+                removedBy: req.user.adminId,
+                removerName: req.user.name,
+                reason: "Employee deactivated",
+                notes: `Employee "${employee.name}" deactivated by admin ${req.user.name}`
+            }
+        );
+
+        const removedTasks = currentTaskAssignments.map(a => a.task);
+        const clientIds = [...new Set(currentTaskAssignments.map(a => a.clientId))];
+        const removedFromClients = clientIds.length;
 
-        logToConsole("INFO", "CURRENT_TASK_ASSIGNMENTS_FOUND", {
+        logToConsole("INFO", "CURRENT_TASK_ASSIGNMENTS_REMOVED", {
             employeeId,
             currentTasksCount: currentTaskAssignments.length,
-            tasks: currentTaskAssignments.map(a => a.task),
+            tasks: removedTasks,
+            clientIds,
             currentYear,
             currentMonth,
             adminId: req.user.adminId
         });
 
-        // ===== 3. REMOVE TASK ASSIGNMENTS FROM CLIENTS =====
-        let removedFromClients = 0;
-        const removedTasks = [];
-
-        if (currentTaskAssignments.length > 0) {
-            for (const assignment of currentTaskAssignments) {
-                try {
-                    const client = await Client.findOne({ clientId: assignment.clientId });
-                    if (client) {
-                        // Find and mark THIS SPECIFIC TASK as removed
-                        const taskAssignment = client.employeeAssignments.find(
-                            empAssignment =>
-                                empAssignment.year === currentYear &&
-                                empAssignment.month === currentMonth &&
-                                empAssignment.employeeId === employeeId &&
-                                empAssignment.task === assignment.task &&
-                                !empAssignment.isRemoved
-                        );
-
-                        if (taskAssignment) {
-                            taskAssignment.isRemoved = true;
-                            taskAssignment.removedAt = new Date();
-                            taskAssignment.removedBy = req.user.adminId;
-                            taskAssignment.removalReason = "Employee deactivated";
-
-                            await client.save();
-                            removedFromClients++;
-                            removedTasks.push(assignment.task);
-
-                            logToConsole("INFO", "CLIENT_TASK_REMOVED", {
-                                clientId: assignment.clientId,
-                                clientName: client.name,
-                                task: assignment.task,
-                                employeeId,
-                                adminId: req.user.adminId
-                            });
-                        }
-                    }
-                } catch (clientError) {
-                    logToConsole("ERROR", "CLIENT_TASK_UPDATE_FAILED", {
-                        clientId: assignment.clientId,
-                        task: assignment.task,
-                        error: clientError.message,
-                        employeeId,
-                        adminId: req.user.adminId
-                    });
-                }
-            }
-        }
-
         // ===== 4. UPDATE EMPLOYEE STATUS =====
         employee.isActive = false;
         employee.updatedAt = new Date();
         await employee.save();
 
+        // Deactivated employees are signed out of every device
+        const revokedSessions = await revokeAllSessions("EMPLOYEE", employeeId, "ACCOUNT_DEACTIVATED", req.user.adminId);
+
         logToConsole("SUCCESS", "EMPLOYEE_DEACTIVATED", {
             employeeId,
             employeeName: employee.name,
             currentTasksRemoved: currentTaskAssignments.length,
             removedTasks,
             removedFromClients,
+            revokedSessions,
             adminId: req.user.adminId
         });
 
@@ -1438,7 +1242,7 @@ router.post("/deactivate/:employeeId", auth, async (req, res) => {
 /* ===============================
    GET EMPLOYEE TASK ASSIGNMENTS (NEW ENDPOINT)
 ================================ */
-router.get("/employee-tasks/:employeeId", auth, async (req, res) => {
+router.get("/employee-tasks/:employeeId", requirePermission("employees:read"), async (req, res) => {
     try {
         const { employeeId } = req.params;
         const { year, month, status } = req.query;
@@ -1566,9 +1370,9 @@ router.get("/employee-tasks/:employeeId", auth, async (req, res) => {
 
 /* ===============================
    REMOVE ASSIGNMENT (UPDATED FOR TASK-SPECIFIC REMOVAL)
-   NOW CHECKS BOTH COLLECTIONS
+   CANONICAL ASSIGNMENT + DERIVED COPIES IN ONE TRANSACTION
 ================================ */
-router.delete("/remove-assignment", auth, async (req, res) => {
+router.delete("/remove-assignment", requirePermission("assignments:manage"), async (req, res) => {
     const { clientId, employeeId, year, month, task } = req.body;
 
     if (!clientId || !employeeId || !year || !month || !task) {
@@ -1609,123 +1413,30 @@ router.delete("/remove-assignment", auth, async (req, res) => {
             return res.status(404).json({ message: "Employee not found" });
         }
 
-        const EmployeeAssignment = require("../models/EmployeeAssignment");
-        let newDoc = await EmployeeAssignment.findOne({ employeeId: employee.employeeId });
-
-        let assignmentFound = false;
-        let removedFromNew = false;
-        let removedFromOld = false;
-
-        // ===== FIRST: Try to remove from NEW COLLECTION =====
-        if (newDoc) {
-            const newAssignmentIndex = newDoc.assignedClients.findIndex(
-                a => a.clientId === clientId &&
-                    a.year === numericYear &&
-                    a.month === numericMonth &&
-                    a.task === task &&
-                    !a.isRemoved
-            );
-
-            if (newAssignmentIndex !== -1) {
-                // Check if accounting is done
-                if (newDoc.assignedClients[newAssignmentIndex].accountingDone) {
-                    logToConsole("WARN", "CANNOT_REMOVE_DONE_TASK_FROM_NEW", {
-                        clientId, employeeId, task,
-                        accountingDone: true
-                    });
-                    return res.status(400).json({
-                        message: `Cannot remove "${task}" assignment because it's already marked as DONE`
-                    });
+        // ===== REMOVE (canonical + derived copies + history, one transaction) =====
+        let assignment;
+        try {
+            assignment = await removeAssignment(
+                { clientId, employeeId, year: numericYear, month: numericMonth, task },
+                {
+                    removedBy: req.user.adminId,
+                    removerName: req.user.name,
+                    reason: `Admin removed "${task}" assignment`,
+                    notes: `Task "${task}" removed by admin ${req.user.name}`
                 }
-
-                newDoc.assignedClients[newAssignmentIndex].isRemoved = true;
-                newDoc.assignedClients[newAssignmentIndex].removedAt = new Date();
-                newDoc.assignedClients[newAssignmentIndex].removedBy = req.user.adminId;
-                newDoc.assignedClients[newAssignmentIndex].removalReason = `Admin removed "${task}" assignment`;
-                await newDoc.save();
-                assignmentFound = true;
-                removedFromNew = true;
-                logToConsole("INFO", "REMOVED_FROM_NEW_COLLECTION", { employeeId, task });
-            }
-        }
-
-        // ===== SECOND: Try to remove from OLD COLLECTION =====
-        const oldAssignmentIndex = employee.assignedClients.findIndex(
-            a => a.clientId === clientId &&
-                a.year === numericYear &&
-                a.month === numericMonth &&
-                a.task === task &&
-                !a.isRemoved
-        );
-
-        if (oldAssignmentIndex !== -1) {
-            if (employee.assignedClients[oldAssignmentIndex].accountingDone) {
-                logToConsole("WARN", "CANNOT_REMOVE_DONE_TASK_FROM_OLD", {
-                    clientId, employeeId, task,
-                    accountingDone: true
+            );
+        } catch (removeError) {
+            if (removeError instanceof AssignmentError) {
+                logToConsole("WARN", "REMOVE_TASK_ASSIGNMENT_REJECTED", {
+                    code: removeError.code,
+                    clientId, employeeId, year: numericYear, month: numericMonth, task
                 });
-                if (!removedFromNew) {
-                    return res.status(400).json({
-                        message: `Cannot remove "${task}" assignment because it's already marked as DONE`
-                    });
-                }
-            } else {
-                employee.assignedClients[oldAssignmentIndex].isRemoved = true;
-                employee.assignedClients[oldAssignmentIndex].removedAt = new Date();
-                employee.assignedClients[oldAssignmentIndex].removedBy = req.user.adminId;
-                employee.assignedClients[oldAssignmentIndex].removalReason = `Admin removed "${task}" assignment`;
-                await employee.save();
-                assignmentFound = true;
-                removedFromOld = true;
-                logToConsole("INFO", "REMOVED_FROM_OLD_COLLECTION", { employeeId, task });
+                return res.status(removeError.status).json({ message: removeError.message });
             }
+            throw removeError;
         }
 
-        if (!assignmentFound) {
-            logToConsole("WARN", "TASK_ASSIGNMENT_NOT_FOUND_IN_EITHER", {
-                clientId, employeeId, year: numericYear, month: numericMonth, task
-            });
-            return res.status(404).json({
-                message: `Task "${task}" assignment not found for specified employee`
-            });
-        }
-
-        // ===== ALSO REMOVE FROM CLIENT =====
-        const clientAssignmentIndex = client.employeeAssignments.findIndex(
-            a => a.year === numericYear &&
-                a.month === numericMonth &&
-                a.employeeId === employeeId &&
-                a.task === task &&
-                !a.isRemoved
-        );
-
-        if (clientAssignmentIndex !== -1) {
-            client.employeeAssignments[clientAssignmentIndex].isRemoved = true;
-            client.employeeAssignments[clientAssignmentIndex].removedAt = new Date();
-            client.employeeAssignments[clientAssignmentIndex].removedBy = req.user.adminId;
-            client.employeeAssignments[clientAssignmentIndex].removalReason = `Admin removed "${task}" assignment`;
-            await client.save();
-            logToConsole("INFO", "REMOVED_FROM_CLIENT", { clientId, task });
-        }
-
-        // ===== SAVE TO REMOVED ASSIGNMENTS HISTORY =====
-        try {
-            await RemovedAssignment.create({
-                clientId, clientName: client.name, employeeId, employeeName: employee.name,
-                year: numericYear, month: numericMonth, task: task,
-                originallyAssignedAt: new Date(),
-                originallyAssignedBy: req.user.adminId,
-                adminName: req.user.name,
-                removedAt: new Date(),
-                removedBy: req.user.adminId,
-                removerName: req.user.name,
-                removalReason: `Admin removed "${task}" assignment`,
-                wasAccountingDone: false,
-                notes: `Task "${task}" removed by admin ${req.user.name}`
-            });
-        } catch (historyError) {
-            logToConsole("ERROR", "REMOVED_TASK_ASSIGNMENT_HISTORY_FAILED", { error: historyError.message });
-        }
+        logToConsole("INFO", "TASK_ASSIGNMENT_REMOVED", { assignmentId: assignment.assignmentId, employeeId, task });
 
         // ===== ACTIVITY LOG =====
         await ActivityLog.create({
@@ -1734,7 +1445,15 @@ router.delete("/remove-assignment", auth, async (req, res) => {
             action: "TASK_ASSIGNMENT_REMOVED",
             details: `Task "${task}" assignment removed: Employee "${employee.name}" from client "${client.name}" (${numericYear}-${numericMonth.toString().padStart(2, '0')})`,
             dateTime: new Date(),
-            metadata: { task, year: numericYear, month: numericMonth, removedFromNew, removedFromOld }
+            metadata: { task, year: numericYear, month: numericMonth, assignmentId: assignment.assignmentId }
+        });
+
+        await notifyEmployee(employeeId, {
+            type: "ASSIGNMENT_REMOVED",
+            title: `"${task}" for ${client.name} (${numericMonth}/${numericYear}) was unassigned`,
+            clientId,
+            data: { year: numericYear, month: numericMonth, tasks: [task], assignmentIds: [assignment.assignmentId] },
+            actor: { type: "ADMIN", id: req.user.adminId, name: req.user.name }
         });
 
         // ===== SEND EMAIL =====
@@ -1756,8 +1475,8 @@ router.delete("/remove-assignment", auth, async (req, res) => {
             data: {
                 clientId, clientName: client.name, employeeId, employeeName: employee.name,
                 year: numericYear, month: numericMonth, task,
-                removedAt: new Date(), removedBy: req.user.name,
-                removedFrom: removedFromNew ? "new_collection" : (removedFromOld ? "old_collection" : "none")
+                removedAt: assignment.removedAt, removedBy: req.user.name,
+                assignmentId: assignment.assignmentId
             }
         });
     } catch (error) {
@@ -1774,7 +1493,7 @@ router.delete("/remove-assignment", auth, async (req, res) => {
 /* ===============================
    ACTIVATE EMPLOYEE
 ================================ */
-router.post("/activate/:employeeId", auth, async (req, res) => {
+router.post("/activate/:employeeId", requirePermission("employees:manage"), async (req, res) => {
     try {
         const { employeeId } = req.params;
 
@@ -1862,4 +1581,66 @@ router.post("/activate/:employeeId", auth, async (req, res) => {
     }
 });
 
+/* ===============================
+   REQUIRE / RELAX 2FA FOR AN EMPLOYEE
+   body: { required: boolean }
+================================ */
+router.put("/2fa-requirement/:employeeId", requirePermission("employees:manage"), async (req, res) => {
+    try {
+        const { employeeId } = req.params;
+        const { required } = req.body;
+
+        if (typeof required !== "boolean") {
+            return res.status(400).json({ message: "required must be a boolean value" });
+        }
+
+        const employee = await Employee.findOneAndUpdate(
+            { employeeId },
+            { $set: { "twoFactor.required": required } },
+            { new: true }
+        ).select("employeeId name email twoFactor");
+
+        if (!employee) {
+            return res.status(404).json({ message: "Employee not found" });
+        }
+
+        await ActivityLog.create({
+            userName: req.user.name,
+            role: "ADMIN",
+            adminId: req.user.adminId,
+            employeeId,
+            action: "EMPLOYEE_2FA_REQUIREMENT_UPDATED",
+            details: `Two-factor authentication ${required ? "required" : "no longer required"} for employee "${employee.name}"`,
+            dateTime: new Date()
+        });
+
+        logToConsole("SUCCESS", "EMPLOYEE_2FA_REQUIREMENT_UPDATED", {
+            employeeId,
+            required,
+            adminId: req.user.adminId
+        });
+
+        res.json({
+            message: "Two-factor requirement updated",
+            employeeId,
+            twoFactor: {
+                required: employee.twoFactor.required,
+                enabled: employee.twoFactor.enabled
+            }
+        });
+
+    } catch (error) {
+        logToConsole("ERROR", "EMPLOYEE_2FA_REQUIREMENT_FAILED", {
+            error: error.message,
+            adminId: req.user?.adminId,
+            employeeId: req.params.employeeId
+        });
+
+        res.status(500).json({
+            message: "Error updating two-factor requirement",
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
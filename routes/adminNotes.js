@@ -3,6 +3,14 @@ const mongoose = require("mongoose");
 const router = express.Router();
 const Client = require("../models/Client");
 const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const { unreadCountByClient, markReadForAllAdmins } = require("../utils/notifications");
+const { NoteError, addNote, replyToNote, editNote, deleteNote, getThread } = require("../utils/noteThreads");
+const { receiveNoteAttachments } = require("../utils/noteAttachments");
+const { signFileUrls, adminAccess } = require("../utils/signedUrls");
+
+router.use(signFileUrls(adminAccess));
 
 // Console logging utility
 const logToConsole = (type, operation, data) => {
@@ -25,6 +33,10 @@ const generateNoteId = () => {
     return new mongoose.Types.ObjectId().toString();
 };
 
+// Notes loaded without a stored _id get a new one on every read
+// (until scripts/backfillNoteIds.js has run), so it cannot identify them
+const hasStoredId = (note) => !!note._id && !(typeof note.$isDefault === 'function' && note.$isDefault('_id'));
+
 // Helper to process month data (works for both OLD and NEW structure)
 const processMonthData = (monthData, year, month, clientId, clientName, notes, addNoteFn) => {
     if (!monthData || typeof monthData !== 'object') return;
@@ -133,14 +145,18 @@ const extractNotesFromClient = async (client) => {
 
     // Helper to add note with context
     const addNote = (noteObj, context, clientId, clientName, notesArray) => {
-        if (!noteObj || !noteObj.note) return;
+        if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
         const noteId = noteObj._id || generateNoteId();
         const isViewedByAdmin = noteObj.isViewedByAdmin || false;
 
         notesArray.push({
             noteId,
+            parentNoteId: noteObj.parentNoteId || null,
+            editedAt: noteObj.editedAt || null,
             note: noteObj.note,
+            attachments: noteObj.attachments || [],
+            mentions: noteObj.mentions || [],
             addedBy: noteObj.addedBy || 'Unknown',
             addedAt: noteObj.addedAt || new Date(),
             employeeId: noteObj.employeeId,
@@ -182,7 +198,7 @@ const extractNotesFromClient = async (client) => {
     }
 
     // ===== 2. SECOND: Check OLD client.documents =====
-    if (!client.documents) {
+    if (!legacyReadsEnabled() || !client.documents) {
         console.log(`📄 No old documents for client ${clientId}`);
         return notes;
     }
@@ -246,16 +262,21 @@ const markNotesInBothCollections = async (clientId, adminId, notesToMarkArray) =
         let count = 0;
 
         const markNote = (note, noteIndex, noteArray, context) => {
+            // Notes saved with an _id are matched by it, older ones by text and time
             const matchingNote = notesToMarkArray.find(unreadNote =>
-                unreadNote.note === note.note &&
-                unreadNote.addedBy === note.addedBy &&
-                new Date(unreadNote.addedAt).getTime() === new Date(note.addedAt).getTime() &&
-                year === unreadNote.year &&
-                month === unreadNote.month &&
-                unreadNote.noteLevel === context.noteLevel &&
-                (context.categoryType ? unreadNote.categoryType === context.categoryType : true) &&
-                (context.categoryName ? unreadNote.categoryName === context.categoryName : true) &&
-                (context.fileName ? unreadNote.fileName === context.fileName : true)
+                hasStoredId(note)
+                    ? String(unreadNote.noteId) === String(note._id)
+                    : (
+                        unreadNote.note === note.note &&
+                        unreadNote.addedBy === note.addedBy &&
+                        new Date(unreadNote.addedAt).getTime() === new Date(note.addedAt).getTime() &&
+                        year === unreadNote.year &&
+                        month === unreadNote.month &&
+                        unreadNote.noteLevel === context.noteLevel &&
+                        (context.categoryType ? unreadNote.categoryType === context.categoryType : true) &&
+                        (context.categoryName ? unreadNote.categoryName === context.categoryName : true) &&
+                        (context.fileName ? unreadNote.fileName === context.fileName : true)
+                    )
             );
 
             if (matchingNote && !note.isViewedByAdmin) {
@@ -360,7 +381,7 @@ const markNotesInBothCollections = async (clientId, adminId, notesToMarkArray) =
     // ===== 2. Mark in OLD collection =====
     try {
         const client = await Client.findOne({ clientId });
-        if (client && client.documents) {
+        if (legacyReadsEnabled() && client && client.documents) {
             let clientModified = false;
             let documentsObj = {};
 
@@ -412,140 +433,42 @@ const markNotesInBothCollections = async (clientId, adminId, notesToMarkArray) =
 };
 
 /* ===============================
-   GET UNREAD NOTES COUNT FOR ADMIN - OPTIMIZED (BATCH QUERIES)
+   GET UNREAD NOTES COUNT FOR ADMIN
+   Counted from the admin's unread NOTE_ADDED notifications instead of
+   scanning the notes of every client.
 ================================ */
-router.get("/unread-count", async (req, res) => {
+router.get("/unread-count", requirePermission("notes:read"), async (req, res) => {
     try {
-        logToConsole("INFO", "GET_UNREAD_NOTES_COUNT_REQUEST_OPTIMIZED", {
-            ip: req.ip,
-            userAgent: req.get('User-Agent')
+        logToConsole("INFO", "GET_UNREAD_NOTES_COUNT_REQUEST", {
+            adminId: req.user.adminId,
+            ip: req.ip
         });
 
-        // ===== STEP 1: Get all active clients in ONE query =====
-        const allClients = await Client.find({ isActive: true }).select("clientId name email phone firstName lastName createdAt").lean();
+        const [unreadByClient, totalClients] = await Promise.all([
+            unreadCountByClient({ type: "ADMIN", id: req.user.adminId }, "NOTE_ADDED"),
+            Client.countDocuments({ isActive: true })
+        ]);
 
-        if (allClients.length === 0) {
-            return res.json({
-                success: true,
-                totalUnread: 0,
-                clientsWithUnread: [],
-                totalClients: 0,
-                timestamp: new Date().toISOString()
-            });
-        }
-
-        const clientIds = allClients.map(c => c.clientId);
+        const clients = await Client.find({
+            clientId: { $in: [...unreadByClient.keys()] },
+            isActive: true
+        }).select("clientId name email firstName lastName").lean();
 
-        // ===== STEP 2: Batch load ALL month data from NEW collection =====
-        const ClientMonthlyData = require("../models/ClientMonthlyData");
-        const allMonthlyData = await ClientMonthlyData.find({
-            clientId: { $in: clientIds }
-        }).lean();
-
-        // Build month data map for O(1) lookup
-        const monthDataMap = new Map(); // key: "clientId-year-month"
-        for (const record of allMonthlyData) {
-            if (record.months && Array.isArray(record.months)) {
-                for (const month of record.months) {
-                    const key = `${record.clientId}-${month.year}-${month.month}`;
-                    monthDataMap.set(key, month);
-                }
-            }
-        }
-
-        // ===== STEP 3: Build OLD documents map =====
-        const oldDocMap = new Map();
-        const clientsWithDocs = await Client.find(
-            { clientId: { $in: clientIds } },
-            { clientId: 1, documents: 1 }
-        ).lean();
-
-        for (const client of clientsWithDocs) {
-            if (client.documents && typeof client.documents === 'object') {
-                for (const [yearKey, yearData] of Object.entries(client.documents)) {
-                    if (yearData && typeof yearData === 'object') {
-                        for (const [monthKey, monthData] of Object.entries(yearData)) {
-                            const key = `${client.clientId}-${yearKey}-${monthKey}`;
-                            if (!monthDataMap.has(key)) {
-                                oldDocMap.set(key, monthData);
-                            }
-                        }
-                    }
-                }
-            }
-        }
-
-        // Merge old into main map
-        for (const [key, value] of oldDocMap) {
-            if (!monthDataMap.has(key)) {
-                monthDataMap.set(key, value);
-            }
-        }
-
-        // ===== STEP 4: Helper to count unread notes from month data =====
-        const countUnreadNotesInMonthData = (monthData) => {
-            let count = 0;
-            if (!monthData || typeof monthData !== 'object') return count;
-
-            // Month notes
-            if (monthData.monthNotes && Array.isArray(monthData.monthNotes)) {
-                monthData.monthNotes.forEach(note => {
-                    if (note && !note.isViewedByAdmin) count++;
-                });
-            }
-
-            // Category notes in main categories
-            ['sales', 'purchase', 'bank'].forEach(cat => {
-                const catData = monthData[cat];
-                if (catData && catData.categoryNotes && Array.isArray(catData.categoryNotes)) {
-                    catData.categoryNotes.forEach(note => {
-                        if (note && !note.isViewedByAdmin) count++;
-                    });
-                }
-            });
-
-            // Other categories
-            if (monthData.other && Array.isArray(monthData.other)) {
-                monthData.other.forEach(otherCat => {
-                    if (otherCat && otherCat.document && otherCat.document.categoryNotes) {
-                        otherCat.document.categoryNotes.forEach(note => {
-                            if (note && !note.isViewedByAdmin) count++;
-                        });
-                    }
-                });
-            }
-
-            return count;
-        };
-
-        // ===== STEP 5: Process all clients in memory =====
         let totalUnread = 0;
-        let clientsWithUnread = [];
-
-        for (const client of allClients) {
-            let clientUnread = 0;
-
-            // Find all month data for this client in the map
-            for (const [key, monthData] of monthDataMap.entries()) {
-                if (key.startsWith(`${client.clientId}-`)) {
-                    clientUnread += countUnreadNotesInMonthData(monthData);
-                }
-            }
-
-            if (clientUnread > 0) {
-                totalUnread += clientUnread;
-                clientsWithUnread.push({
-                    clientId: client.clientId,
-                    clientName: client.name || `${client.firstName} ${client.lastName}`,
-                    unreadCount: clientUnread,
-                    email: client.email,
-                    totalNotes: 0 // We don't calculate total notes in this optimized version
-                });
-            }
-        }
+        const clientsWithUnread = clients.map(client => {
+            const unreadCount = unreadByClient.get(client.clientId);
+            totalUnread += unreadCount;
+            return {
+                clientId: client.clientId,
+                clientName: client.name || `${client.firstName} ${client.lastName}`,
+                unreadCount,
+                email: client.email,
+                totalNotes: 0 // Not counted here, see /clients-summary
+            };
+        });
 
-        logToConsole("SUCCESS", "UNREAD_NOTES_COUNT_CALCULATED_OPTIMIZED", {
-            totalClients: allClients.length,
+        logToConsole("SUCCESS", "UNREAD_NOTES_COUNT_CALCULATED", {
+            totalClients,
             clientsWithUnread: clientsWithUnread.length,
             totalUnreadNotes: totalUnread
         });
@@ -554,7 +477,7 @@ router.get("/unread-count", async (req, res) => {
             success: true,
             totalUnread,
             clientsWithUnread,
-            totalClients: allClients.length,
+            totalClients,
             timestamp: new Date().toISOString()
         });
 
@@ -575,7 +498,7 @@ router.get("/unread-count", async (req, res) => {
 /* ===============================
    GET ALL CLIENTS WITH NOTES SUMMARY - OPTIMIZED (BATCH QUERIES)
 ================================ */
-router.get("/clients-summary", async (req, res) => {
+router.get("/clients-summary", requirePermission("notes:read"), async (req, res) => {
     try {
         logToConsole("INFO", "GET_CLIENTS_NOTES_SUMMARY_REQUEST_OPTIMIZED", {
             ip: req.ip,
@@ -619,7 +542,7 @@ router.get("/clients-summary", async (req, res) => {
         ).lean();
 
         for (const client of clientsWithDocs) {
-            if (client.documents && typeof client.documents === 'object') {
+            if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
                 for (const [yearKey, yearData] of Object.entries(client.documents)) {
                     if (yearData && typeof yearData === 'object') {
                         for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -638,11 +561,15 @@ router.get("/clients-summary", async (req, res) => {
             const notes = [];
 
             const addNote = (noteObj, context) => {
-                if (!noteObj || !noteObj.note) return;
+                if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
                 notes.push({
                     noteId: noteObj._id,
+                    parentNoteId: noteObj.parentNoteId || null,
+                    editedAt: noteObj.editedAt || null,
                     note: noteObj.note,
+                    attachments: noteObj.attachments || [],
+                    mentions: noteObj.mentions || [],
                     addedBy: noteObj.addedBy || 'Unknown',
                     addedAt: noteObj.addedAt || new Date(),
                     isViewedByAdmin: noteObj.isViewedByAdmin || false,
@@ -800,7 +727,7 @@ router.get("/clients-summary", async (req, res) => {
 /* ===============================
    GET ALL NOTES FOR SPECIFIC CLIENT WITH FILTERS - OPTIMIZED
 ================================ */
-router.get("/client/:clientId/notes", async (req, res) => {
+router.get("/client/:clientId/notes", requirePermission("notes:read"), async (req, res) => {
     try {
         const { clientId } = req.params;
         const { year, month, startDate, endDate } = req.query;
@@ -829,11 +756,15 @@ router.get("/client/:clientId/notes", async (req, res) => {
         const allNotes = [];
 
         const addNote = (noteObj, context, year, month) => {
-            if (!noteObj || !noteObj.note) return;
+            if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
             allNotes.push({
                 noteId: noteObj._id,
+                parentNoteId: noteObj.parentNoteId || null,
+                editedAt: noteObj.editedAt || null,
                 note: noteObj.note,
+                attachments: noteObj.attachments || [],
+                mentions: noteObj.mentions || [],
                 addedBy: noteObj.addedBy || 'Unknown',
                 addedAt: noteObj.addedAt || new Date(),
                 employeeId: noteObj.employeeId,
@@ -916,7 +847,7 @@ router.get("/client/:clientId/notes", async (req, res) => {
         }
 
         // Process OLD documents
-        if (client.documents && typeof client.documents === 'object') {
+        if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
             for (const [yearKey, yearData] of Object.entries(client.documents)) {
                 if (yearData && typeof yearData === 'object') {
                     for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1028,12 +959,32 @@ router.get("/client/:clientId/notes", async (req, res) => {
     }
 });
 
+/* ===============================
+   HELPER: MARK NOTE NOTIFICATIONS READ
+   isViewedByAdmin is shared by all admins, so the notifications of every
+   admin are marked. Notifications of notes added through the note
+   endpoints carry the noteId; older ones only know the month and
+   category of a note: when single notes (or a date range or note level)
+   are marked, they follow once none of the client's notes are unread.
+================================ */
+const markNoteNotificationsRead = async (clientId, filter, noteIds, remainingUnread) => {
+    const { year, month, categoryType, startDate, noteLevel } = filter || {};
+    if ((noteIds && noteIds.length > 0) || startDate || noteLevel) {
+        const byNoteId = noteIds && noteIds.length > 0
+            ? await markReadForAllAdmins({ type: "NOTE_ADDED", clientId, noteIds })
+            : 0;
+        return byNoteId + (remainingUnread === 0 ? await markReadForAllAdmins({ type: "NOTE_ADDED", clientId }) : 0);
+    }
+    return markReadForAllAdmins({ type: "NOTE_ADDED", clientId, year, month, categoryType });
+};
+
 /* ===============================
    MARK NOTES AS VIEWED BY ADMIN (UPDATED - WORKS FOR BOTH)
 ================================ */
-router.post("/mark-as-viewed", async (req, res) => {
+router.post("/mark-as-viewed", requirePermission("notes:update"), async (req, res) => {
     try {
-        const { clientId, noteIds, filter, adminId = "admin-system" } = req.body;
+        const { clientId, noteIds, filter } = req.body;
+        const adminId = req.user.adminId;
 
         logToConsole("INFO", "MARK_NOTES_AS_VIEWED_REQUEST", {
             clientId,
@@ -1103,6 +1054,7 @@ router.post("/mark-as-viewed", async (req, res) => {
         const unreadNotesToMark = notesToMark.filter(note => !note.isViewedByAdmin);
 
         if (unreadNotesToMark.length === 0) {
+            await markNoteNotificationsRead(clientId, filter, noteIds, notesBeforeUpdate.filter(n => !n.isViewedByAdmin).length);
             return res.json({
                 success: true,
                 message: "No unread notes to mark as viewed",
@@ -1115,6 +1067,7 @@ router.post("/mark-as-viewed", async (req, res) => {
         const notesAfterUpdate = await extractNotesFromClient(client);
         const updatedUnread = notesAfterUpdate.filter(n => !n.isViewedByAdmin).length;
         const unreadBefore = notesBeforeUpdate.filter(n => !n.isViewedByAdmin).length;
+        const notificationsMarked = await markNoteNotificationsRead(clientId, filter, noteIds, updatedUnread);
 
         logToConsole("SUCCESS", "NOTES_MARKED_AS_VIEWED", {
             clientId,
@@ -1122,6 +1075,7 @@ router.post("/mark-as-viewed", async (req, res) => {
             unreadBefore,
             unreadAfter: updatedUnread,
             markedCount,
+            notificationsMarked,
             adminId
         });
 
@@ -1161,7 +1115,7 @@ router.post("/mark-as-viewed", async (req, res) => {
 /* ===============================
    GET MONTHLY UNREAD NOTES STATISTICS - OPTIMIZED (BATCH QUERIES)
 ================================ */
-router.get("/monthly-stats", async (req, res) => {
+router.get("/monthly-stats", requirePermission("notes:read"), async (req, res) => {
     try {
         logToConsole("INFO", "GET_MONTHLY_NOTES_STATS_REQUEST_OPTIMIZED", {
             ip: req.ip
@@ -1204,7 +1158,7 @@ router.get("/monthly-stats", async (req, res) => {
         ).lean();
 
         for (const client of clientsWithDocs) {
-            if (client.documents && typeof client.documents === 'object') {
+            if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
                 for (const [yearKey, yearData] of Object.entries(client.documents)) {
                     if (yearData && typeof yearData === 'object') {
                         for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1354,7 +1308,7 @@ router.get("/monthly-stats", async (req, res) => {
 /* ===============================
    GET NOTES STATISTICS FOR DASHBOARD - OPTIMIZED (BATCH QUERIES)
 ================================ */
-router.get("/dashboard-stats", async (req, res) => {
+router.get("/dashboard-stats", requirePermission("notes:read"), async (req, res) => {
     try {
         logToConsole("INFO", "GET_DASHBOARD_NOTES_STATS_REQUEST_OPTIMIZED", {
             ip: req.ip
@@ -1405,7 +1359,7 @@ router.get("/dashboard-stats", async (req, res) => {
         ).lean();
 
         for (const client of clientsWithDocs) {
-            if (client.documents && typeof client.documents === 'object') {
+            if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
                 for (const [yearKey, yearData] of Object.entries(client.documents)) {
                     if (yearData && typeof yearData === 'object') {
                         for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1424,10 +1378,12 @@ router.get("/dashboard-stats", async (req, res) => {
             const notes = [];
 
             const addNote = (noteObj, context) => {
-                if (!noteObj || !noteObj.note) return;
+                if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
                 notes.push({
                     note: noteObj.note,
+                    attachments: noteObj.attachments || [],
+                    mentions: noteObj.mentions || [],
                     addedBy: noteObj.addedBy || 'Unknown',
                     addedAt: noteObj.addedAt || new Date(),
                     isViewedByAdmin: noteObj.isViewedByAdmin || false,
@@ -1580,4 +1536,70 @@ router.get("/dashboard-stats", async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/* ===============================
+   NOTE THREADS (BY NOTE ID)
+   Add, reply to, edit and delete single notes; admins may delete any
+   note. See utils/noteThreads.js for the rules.
+================================ */
+const adminActor = (req) => ({ type: "admin", id: req.user.adminId, name: req.user.name });
+
+const sendNoteError = (res, error, operation, req) => {
+    if (error instanceof NoteError) {
+        return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+    }
+
+    logToConsole("ERROR", operation, { adminId: req.user?.adminId, clientId: req.params.clientId, noteId: req.params.noteId, error: error.message });
+    res.status(500).json({
+        success: false,
+        message: "Error handling note",
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+};
+
+router.post("/client/:clientId/notes", requirePermission("notes:update"), receiveNoteAttachments, async (req, res) => {
+    try {
+        const { year, month, level, categoryType, categoryName, fileUrl, fileVersion, note } = req.body;
+        const created = await addNote(req.params.clientId, { year, month, level, categoryType, categoryName, fileUrl, fileVersion }, note, adminActor(req), req.files);
+        res.status(201).json({ success: true, note: created });
+    } catch (error) {
+        sendNoteError(res, error, "ADMIN_ADD_NOTE_ERROR", req);
+    }
+});
+
+router.get("/client/:clientId/notes/:noteId/thread", requirePermission("notes:read"), async (req, res) => {
+    try {
+        const thread = await getThread(req.params.clientId, req.params.noteId, adminActor(req));
+        res.json({ success: true, ...thread });
+    } catch (error) {
+        sendNoteError(res, error, "ADMIN_GET_NOTE_THREAD_ERROR", req);
+    }
+});
+
+router.post("/client/:clientId/notes/:noteId/replies", requirePermission("notes:update"), receiveNoteAttachments, async (req, res) => {
+    try {
+        const reply = await replyToNote(req.params.clientId, req.params.noteId, req.body.note, adminActor(req), req.files);
+        res.status(201).json({ success: true, note: reply });
+    } catch (error) {
+        sendNoteError(res, error, "ADMIN_REPLY_NOTE_ERROR", req);
+    }
+});
+
+router.patch("/client/:clientId/notes/:noteId", requirePermission("notes:update"), async (req, res) => {
+    try {
+        const note = await editNote(req.params.clientId, req.params.noteId, req.body.note, adminActor(req));
+        res.json({ success: true, note });
+    } catch (error) {
+        sendNoteError(res, error, "ADMIN_EDIT_NOTE_ERROR", req);
+    }
+});
+
+router.delete("/client/:clientId/notes/:noteId", requirePermission("notes:update"), async (req, res) => {
+    try {
+        const note = await deleteNote(req.params.clientId, req.params.noteId, adminActor(req));
+        res.json({ success: true, note });
+    } catch (error) {
+        sendNoteError(res, error, "ADMIN_DELETE_NOTE_ERROR", req);
+    }
+});
+
+module.exports = router;
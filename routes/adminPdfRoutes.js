@@ -1,25 +1,17 @@
 const express = require("express");
 const multer = require("multer");
-const { S3Client, PutObjectCommand } = require("@aws-sdk/client-s3");
 const { v4: uuidv4 } = require("uuid");
-const auth = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
 const Admin = require("../models/Admin");
 const AgreementPdf = require("../models/AgreementPdf");
 const ActivityLog = require("../models/ActivityLog");
 const Client = require("../models/Client");
+const { signUrl, signFileUrls, adminAccess } = require("../utils/signedUrls");
+const { adminFilterOf } = require("../utils/sessionService");
+const storage = require("../utils/storage");
 
 const router = express.Router();
-
-/* ===============================
-   AWS S3 CONFIG
-================================ */
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+router.use(signFileUrls(adminAccess));
 
 /* ===============================
    MULTER CONFIG - PDF ONLY
@@ -49,12 +41,8 @@ const logToConsole = (type, operation, data) => {
 /* ===============================
    UPLOAD NEW PDF - EACH GETS NEW UNIQUE ID!
 ================================ */
-router.post("/upload", auth, upload.single("pdf"), async (req, res) => {
+router.post("/upload", requirePermission("agreements:manage"), upload.single("pdf"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Only admins can upload" });
-        }
-
         if (!req.file) {
             return res.status(400).json({ message: "❌ No PDF file selected" });
         }
@@ -63,7 +51,7 @@ router.post("/upload", auth, upload.single("pdf"), async (req, res) => {
         const file = req.file;
 
         // Get admin details
-        const admin = await Admin.findOne({ adminId: req.user.adminId });
+        const admin = await Admin.findOne(adminFilterOf(req.user.adminId));
         if (!admin) {
             return res.status(404).json({ message: "❌ Admin not found" });
         }
@@ -84,21 +72,12 @@ router.post("/upload", auth, upload.single("pdf"), async (req, res) => {
         // ALWAYS CREATE NEW UNIQUE ID for each upload
         const pdfId = uuidv4();
 
-        // Create S3 key
+        // Create storage key
         const sanitizedFileName = file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
         const s3Key = `admin/pdfs/agreements/${pdfId}-v${newVersion}-${sanitizedFileName}`;
 
-        // Upload to S3
-        await s3.send(
-            new PutObjectCommand({
-                Bucket: process.env.AWS_BUCKET,
-                Key: s3Key,
-                Body: file.buffer,
-                ContentType: file.mimetype
-            })
-        );
-
-        const fileUrl = `https://${process.env.AWS_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${s3Key}`;
+        // Store the file
+        const fileUrl = await storage.putObject(s3Key, file.buffer, file.mimetype);
 
         // Create NEW document with BRAND NEW ID
         const newPdf = new AgreementPdf({
@@ -198,12 +177,8 @@ router.post("/upload", auth, upload.single("pdf"), async (req, res) => {
 /* ===============================
    GET CURRENT ACTIVE PDF
 ================================ */
-router.get("/current", auth, async (req, res) => {
+router.get("/current", requirePermission("agreements:manage"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Access denied" });
-        }
-
         const currentPdf = await AgreementPdf.findOne({ isActive: true });
 
         res.json({
@@ -229,12 +204,8 @@ router.get("/current", auth, async (req, res) => {
 /* ===============================
    GET ALL VERSIONS HISTORY
 ================================ */
-router.get("/history", auth, async (req, res) => {
+router.get("/history", requirePermission("agreements:manage"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Access denied" });
-        }
-
         // Get all PDFs sorted by uploadedAt (newest first)
         const allPdfs = await AgreementPdf.find()
             .sort({ uploadedAt: -1 })
@@ -300,12 +271,8 @@ router.get("/history", auth, async (req, res) => {
 // });
 
 
-router.get("/download/:pdfId", auth, async (req, res) => {
+router.get("/download/:pdfId", requirePermission("agreements:manage"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Access denied" });
-        }
-
         const { pdfId } = req.params;
 
         const pdf = await AgreementPdf.findOne({ pdfId });
@@ -314,14 +281,8 @@ router.get("/download/:pdfId", auth, async (req, res) => {
             return res.status(404).json({ message: "❌ PDF not found" });
         }
 
-        // 🔥 FETCH FILE FROM S3 (SERVER SIDE)
-        const fileResponse = await fetch(pdf.fileUrl);
-
-        if (!fileResponse.ok) {
-            throw new Error("Failed to fetch file from S3");
-        }
-
-        const buffer = await fileResponse.arrayBuffer();
+        // 🔥 READ FILE FROM STORAGE (SERVER SIDE)
+        const buffer = await storage.readUrl(pdf.fileUrl);
 
         // 🔥 FORCE DOWNLOAD
         res.set({
@@ -329,7 +290,7 @@ router.get("/download/:pdfId", auth, async (req, res) => {
             "Content-Disposition": `attachment; filename="${pdf.fileName || "Agreement.pdf"}"`
         });
 
-        res.send(Buffer.from(buffer));
+        res.send(buffer);
 
     } catch (err) {
         logToConsole("ERROR", "DOWNLOAD_FAILED", { error: err.message });
@@ -373,84 +334,25 @@ router.get("/public/download-current", async (req, res) => {
             s3Key: pdf.s3Key
         });
 
-        // Attempt to fetch from S3 with timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-        let fileResponse;
+        // Read the file from storage
+        let buffer;
         try {
-            fileResponse = await fetch(pdf.fileUrl, {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-        } catch (fetchError) {
-            clearTimeout(timeoutId);
-            
-            if (fetchError.name === 'AbortError') {
-                logToConsole("ERROR", "PUBLIC_DOWNLOAD_TIMEOUT", {
-                    error: "S3 fetch timeout after 30 seconds",
-                    pdfId: pdf.pdfId,
-                    fileUrl: pdf.fileUrl
-                });
-                
-                return res.status(504).json({
-                    success: false,
-                    error: "DOWNLOAD_TIMEOUT",
-                    message: "Download timed out. Please try again later."
-                });
+            buffer = await storage.readUrl(pdf.fileUrl);
+        } catch (readError) {
+            if (readError.code === 'ECONNREFUSED' || readError.code === 'ENOTFOUND') {
+                throw readError;
             }
-            
-            logToConsole("ERROR", "PUBLIC_DOWNLOAD_FETCH_FAILED", {
-                error: fetchError.message,
-                pdfId: pdf.pdfId,
-                fileUrl: pdf.fileUrl
-            });
-            
-            throw fetchError;
-        }
 
-        // Check if response is OK
-        if (!fileResponse.ok) {
-            logToConsole("ERROR", "PUBLIC_DOWNLOAD_S3_ERROR", {
-                status: fileResponse.status,
-                statusText: fileResponse.statusText,
+            logToConsole("ERROR", "PUBLIC_DOWNLOAD_STORAGE_ERROR", {
+                error: readError.message,
                 pdfId: pdf.pdfId,
                 s3Key: pdf.s3Key
             });
-            
-            return res.status(500).json({
-                success: false,
-                error: "S3_FETCH_FAILED",
-                message: `Failed to fetch file from storage (Status: ${fileResponse.status})`
-            });
-        }
 
-        // Check content type
-        const contentType = fileResponse.headers.get('content-type');
-        if (!contentType || !contentType.includes('pdf')) {
-            logToConsole("WARNING", "PUBLIC_DOWNLOAD_INVALID_CONTENT_TYPE", {
-                contentType: contentType,
-                pdfId: pdf.pdfId,
-                expected: "application/pdf"
-            });
-            
-            // Still try to send it, but log the warning
-        }
-
-        // Get file buffer
-        let buffer;
-        try {
-            buffer = await fileResponse.arrayBuffer();
-        } catch (bufferError) {
-            logToConsole("ERROR", "PUBLIC_DOWNLOAD_BUFFER_ERROR", {
-                error: bufferError.message,
-                pdfId: pdf.pdfId
-            });
-            
             return res.status(500).json({
                 success: false,
-                error: "BUFFER_CREATION_FAILED",
-                message: "Failed to process the file. Please try again."
+                error: "S3_FETCH_FAILED",
+                message: "Failed to fetch file from storage"
             });
         }
 
@@ -473,7 +375,7 @@ router.get("/public/download-current", async (req, res) => {
             "Expires": "0"
         });
 
-        res.send(Buffer.from(buffer));
+        res.send(buffer);
 
     } catch (err) {
         // Comprehensive error logging
@@ -505,12 +407,8 @@ router.get("/public/download-current", async (req, res) => {
 /* ===============================
    GET PDF BY VERSION (if needed)
 ================================ */
-router.get("/version/:version", auth, async (req, res) => {
+router.get("/version/:version", requirePermission("agreements:manage"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Access denied" });
-        }
-
         const { version } = req.params;
 
         const pdf = await AgreementPdf.findOne({ version: parseInt(version) });
@@ -543,12 +441,8 @@ router.get("/version/:version", auth, async (req, res) => {
 /* ===============================
    GET ALL PDFS (simple list)
 ================================ */
-router.get("/all", auth, async (req, res) => {
+router.get("/all", requirePermission("agreements:manage"), async (req, res) => {
     try {
-        if (req.user.role !== "ADMIN") {
-            return res.status(403).json({ message: "❌ Access denied" });
-        }
-
         const allPdfs = await AgreementPdf.find()
             .sort({ uploadedAt: -1 })
             .lean();
@@ -590,11 +484,14 @@ router.get("/public/current", async (req, res) => {
             });
         }
 
+        // The agreement template is public; its link is signed here
+        // because there is no signed-in user to check
+        res.locals.fileUrlsSigned = true;
         res.json({
             success: true,
             pdf: {
                 fileName: pdf.fileName,
-                fileUrl: pdf.fileUrl,
+                fileUrl: await signUrl(pdf.fileUrl),
                 fileSize: pdf.fileSize,
                 version: pdf.version,
                 uploadedAt: pdf.uploadedAt
@@ -7,8 +7,12 @@ const ClientEnrollment = require("../models/ClientEnrollment");
 const ActivityLog = require("../models/ActivityLog");
 
 const router = express.Router();
-const Otp = require("../models/Otp");
-const sendEmail = require("../utils/sendEmail");
+const { issueOtp, verifyOtp } = require("../utils/otpService");
+const { sendTemplateEmail } = require("../emails");
+const { SUPPORTED_LOCALES } = require("../config/locales");
+const { requireClient } = require("../middleware/permissionMiddleware");
+const { startSession, endSession, revokeAllSessions } = require("../utils/sessionService");
+const bruteForceGuard = require("../middleware/bruteForceGuard");
 
 // Console logging utility
 const logToConsole = (type, operation, data) => {
@@ -27,7 +31,10 @@ const logToConsole = (type, operation, data) => {
 
 
 
-router.post("/login", async (req, res) => {
+router.post("/login", bruteForceGuard({
+  action: "CLIENT_LOGIN",
+  account: (req) => req.body?.email
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
     const normalizedEmail = email?.toLowerCase();
@@ -83,18 +90,6 @@ router.post("/login", async (req, res) => {
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      {
-        clientId: client.clientId,
-        role: "CLIENT",
-        name: client.name,
-        email: client.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-
     // Clear any stale tokens
     res.clearCookie("accessToken", {
       httpOnly: true,
@@ -110,12 +105,12 @@ router.post("/login", async (req, res) => {
       path: "/"
     });
 
-    // Set new client token - FIXED for development!
-    res.cookie("clientToken", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production", // false in development (localhost)
-      sameSite: process.env.NODE_ENV === "production" ? "none" : "lax", // 'lax' for dev, 'none' for prod
-      maxAge: 24 * 60 * 60 * 1000 // 1 day
+    // Start a session: short-lived clientToken + rotating refresh cookie
+    await startSession(req, res, "CLIENT", client.clientId, {
+      clientId: client.clientId,
+      role: "CLIENT",
+      name: client.name,
+      email: client.email
     });
 
     // Log activity
@@ -194,13 +189,8 @@ router.post("/logout", async (req, res) => {
       }
     }
 
-    // Clear clientToken
-    res.clearCookie("clientToken", {
-      httpOnly: true,
-      secure: true,
-      sameSite: "lax",   // ✅ CHANGED from "none" to "lax"
-      path: "/"
-    });
+    // Revoke the session and clear clientToken + refresh cookie
+    await endSession(req, res, "CLIENT");
 
     // Clear accessToken
     res.clearCookie("accessToken", {
@@ -241,7 +231,7 @@ router.post("/logout", async (req, res) => {
 /* =========================
    CLIENT CHECK LOGIN
 ========================= */
-router.get("/me", async (req, res) => {
+router.get("/me", requireClient, async (req, res) => {
   try {
     const token = req.cookies?.clientToken;
     if (!token) {
@@ -302,7 +292,12 @@ router.get("/me", async (req, res) => {
 /* =========================
    FORGOT PASSWORD - STEP 1: Request OTP
 ========================= */
-router.post("/forgot-password", async (req, res) => {
+// Every OTP request counts, so the endpoint cannot be used to flood a mailbox
+router.post("/forgot-password", bruteForceGuard({
+  action: "CLIENT_FORGOT_PASSWORD",
+  account: (req) => req.body?.email,
+  countAll: true
+}), async (req, res) => {
   try {
     const { email } = req.body;
 
@@ -324,16 +319,12 @@ router.post("/forgot-password", async (req, res) => {
       });
     }
 
-    // Generate 4-digit OTP
-    const otp = Math.floor(1000 + Math.random() * 9000).toString();
-
-    // Store OTP (expires in 10 minutes)
-    await Otp.findOneAndDelete({ email });
-    await Otp.create({
+    // Generate and store OTP (expires in 10 minutes)
+    const otp = await issueOtp({
       email,
-      otp,
-      clientId: client.clientId,
-      expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+      purpose: "PASSWORD_RESET",
+      userType: "CLIENT",
+      userId: client.clientId
     });
 
     logToConsole("INFO", "OTP_GENERATED", {
@@ -343,24 +334,12 @@ router.post("/forgot-password", async (req, res) => {
     });
 
     // Send OTP email
-    await sendEmail(
+    await sendTemplateEmail(email, "password-reset-otp", {
+      name: client.name,
       email,
-      "Password Reset OTP - Credence",
-      `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #7cd64b;">Credence Password Reset</h2>
-        <p>Hello ${client.name},</p>
-        <p>You requested to reset your password. Use the OTP below:</p>
-        <div style="background: #f5f5f5; padding: 20px; text-align: center; margin: 20px 0;">
-          <h1 style="color: #7cd64b; font-size: 32px; letter-spacing: 5px; margin: 0;">${otp}</h1>
-        </div>
-        <p>This OTP is valid for <strong>10 minutes</strong>.</p>
-        <p>If you did not request this, please ignore this email.</p>
-        <hr style="border:none;border-top:1px solid #eee;margin:20px 0;">
-        <p style="color:#666;font-size:12px;">This is an automated message from Credence Enterprise Accounting Services.</p>
-      </div>
-      `
-    );
+      otp,
+      validMinutes: 10
+    }, { locale: client.preferredLanguage });
 
     logToConsole("INFO", "OTP_EMAIL_SENT", {
       clientId: client.clientId,
@@ -405,7 +384,11 @@ router.post("/forgot-password", async (req, res) => {
 /* =========================
    FORGOT PASSWORD - STEP 2: Verify OTP
 ========================= */
-router.post("/verify-otp", async (req, res) => {
+router.post("/verify-otp", bruteForceGuard({
+  action: "CLIENT_VERIFY_OTP",
+  account: (req) => req.body?.email,
+  failOn: [400]
+}), async (req, res) => {
   try {
     const { email, otp } = req.body;
 
@@ -415,9 +398,9 @@ router.post("/verify-otp", async (req, res) => {
       ip: req.ip
     });
 
-    const otpRecord = await Otp.findOne({ email, otp });
+    const { status, record: otpRecord } = await verifyOtp({ email, otp, purpose: "PASSWORD_RESET" });
 
-    if (!otpRecord) {
+    if (status === "INVALID") {
       logToConsole("WARN", "INVALID_OTP", {
         email,
         ip: req.ip
@@ -428,8 +411,19 @@ router.post("/verify-otp", async (req, res) => {
       });
     }
 
-    if (new Date() > otpRecord.expiresAt) {
-      await Otp.findByIdAndDelete(otpRecord._id);
+    if (status === "TOO_MANY_ATTEMPTS") {
+      logToConsole("WARN", "OTP_ATTEMPTS_EXCEEDED", {
+        email,
+        clientId: otpRecord.clientId,
+        ip: req.ip
+      });
+      return res.status(400).json({
+        message: "Too many incorrect attempts. Please request a new OTP.",
+        success: false
+      });
+    }
+
+    if (status === "EXPIRED") {
       logToConsole("WARN", "EXPIRED_OTP", {
         email,
         clientId: otpRecord.clientId
@@ -451,8 +445,6 @@ router.post("/verify-otp", async (req, res) => {
       { expiresIn: "15m" }
     );
 
-    await Otp.findByIdAndDelete(otpRecord._id);
-
     logToConsole("SUCCESS", "OTP_VERIFIED", {
       clientId: otpRecord.clientId,
       email
@@ -547,34 +539,20 @@ router.post("/reset-password", async (req, res) => {
     client.password = hashedPassword;
     await client.save();
 
+    // A reset password signs out every existing session
+    await revokeAllSessions("CLIENT", client.clientId, "PASSWORD_RESET", client.clientId);
+
     logToConsole("SUCCESS", "PASSWORD_RESET", {
       clientId: client.clientId,
       email: client.email
     });
 
     // Confirmation email
-    await sendEmail(
-      client.email,
-      "Password Updated Successfully - Credence",
-      `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #7cd64b;">Password Updated - Credence</h2>
-        <p>Hello ${client.name},</p>
-        <p>Your password has been successfully updated.</p>
-        <div style="background: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 0;">If you did not make this change, please contact Credence support immediately.</p>
-        </div>
-        <p>
-          Login here:
-          <a href="${process.env.FRONTEND_URL}/client/login">
-            ${process.env.FRONTEND_URL}/client/login
-          </a>
-        </p>
-        <hr style="border:none;border-top:1px solid #eee;margin:20px 0;">
-        <p style="color:#666;font-size:12px;">This is an automated message from Credence Enterprise Accounting Services.</p>
-      </div>
-      `
-    );
+    await sendTemplateEmail(client.email, "password-reset-done", {
+      name: client.name,
+      email: client.email,
+      loginUrl: `${process.env.FRONTEND_URL}/client/login`
+    }, { locale: client.preferredLanguage });
 
     logToConsole("INFO", "PASSWORD_RESET_EMAIL_SENT", {
       clientId: client.clientId,
@@ -617,7 +595,7 @@ router.post("/reset-password", async (req, res) => {
 /* =========================
    CHANGE PASSWORD (WITH OLD PASSWORD VERIFICATION)
 ========================= */
-router.post("/change-password", async (req, res) => {
+router.post("/change-password", requireClient, async (req, res) => {
   try {
     const { oldPassword, newPassword } = req.body;
 
@@ -698,23 +676,10 @@ router.post("/change-password", async (req, res) => {
     });
 
     // Send confirmation email
-    await sendEmail(
-      client.email,
-      "Password Changed - Credence",
-      `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #7cd64b;">Password Changed Successfully</h2>
-        <p>Hello ${client.name},</p>
-        <p>Your password has been successfully changed from your profile settings.</p>
-        <div style="background: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0;">
-          <p style="margin: 0;">If you did not make this change, please contact Credence support immediately.</p>
-        </div>
-        <p>Thank you for keeping your account secure.</p>
-        <hr style="border:none;border-top:1px solid #eee;margin:20px 0;">
-        <p style="color:#666;font-size:12px;">This is an automated message from Credence Enterprise Accounting Services.</p>
-      </div>
-      `
-    );
+    await sendTemplateEmail(client.email, "password-changed", {
+      name: client.name,
+      email: client.email
+    }, { locale: client.preferredLanguage });
 
     logToConsole("INFO", "PASSWORD_CHANGE_EMAIL_SENT", {
       clientId: client.clientId,
@@ -774,7 +739,7 @@ router.post("/change-password", async (req, res) => {
    CLIENT UPDATE OWN PROFILE
    (Client can update their own info)
 ================================ */
-router.patch("/update-profile", async (req, res) => {
+router.patch("/update-profile", requireClient, async (req, res) => {
   try {
     // Get client from token (client logged in)
     const token = req.cookies?.clientToken;
@@ -822,9 +787,17 @@ router.patch("/update-profile", async (req, res) => {
       'businessName',
       'vatPeriod',
       'businessNature',
-      'registerTrade'
+      'registerTrade',
+      'preferredLanguage'
     ];
 
+    if (updateData.preferredLanguage !== undefined && !SUPPORTED_LOCALES.includes(updateData.preferredLanguage)) {
+      return res.status(400).json({
+        success: false,
+        message: `preferredLanguage must be one of: ${SUPPORTED_LOCALES.join(", ")}`
+      });
+    }
+
     // Filter update data to only allowed fields
     const filteredUpdate = {};
     allowedFields.forEach(field => {
@@ -843,7 +816,7 @@ router.patch("/update-profile", async (req, res) => {
 
     // Get client details before update for logging
     const clientBefore = await Client.findOne({ clientId })
-      .select("clientId name email phone firstName lastName address visaType hasStrongId businessAddress bankAccount bicCode businessName vatPeriod businessNature registerTrade");
+      .select("clientId name email phone firstName lastName address visaType hasStrongId businessAddress bankAccount bicCode businessName vatPeriod businessNature registerTrade preferredLanguage");
 
     // Update the client
     const updatedClient = await Client.findOneAndUpdate(
@@ -904,175 +877,11 @@ router.patch("/update-profile", async (req, res) => {
     // NEW: Send confirmation email to client about their update
     try {
       if (changes.length > 0 && updatedClient.email) {
-        // Format field names for display
-        const fieldDisplayNames = {
-          firstName: "First Name",
-          lastName: "Last Name",
-          email: "Email Address",
-          phone: "Phone Number",
-          address: "Address",
-          visaType: "Visa Type",
-          hasStrongId: "Strong ID Status",
-          businessAddress: "Business Address",
-          bankAccount: "Bank Account",
-          bicCode: "BIC Code",
-          businessName: "Business Name",
-          vatPeriod: "VAT Period",
-          businessNature: "Business Nature",
-          registerTrade: "Registered Trade"
-        };
-
-        const currentDate = new Date().toLocaleDateString('en-IN');
-        const currentTime = new Date().toLocaleTimeString('en-IN', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        });
-
-        // Create email subject and HTML
-        const emailSubject = `✅ Profile Updated Successfully - ${updatedClient.businessName || updatedClient.name}`;
-
-        // Build changes table HTML
-        let changesTable = '';
-        changes.forEach(change => {
-          changesTable += `
-            <tr>
-              <th>${fieldDisplayNames[change.field] || change.field}</th>
-              <td><span style="color: #e74c3c; text-decoration: line-through;">${change.oldValue || 'Not set'}</span></td>
-              <td><span style="color: #27ae60; font-weight: bold;">→ ${change.newValue || 'Not set'}</span></td>
-            </tr>
-          `;
-        });
-
-        const emailHtml = `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Profile Updated</title>
-            <style>
-              body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-              .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-              .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-              .content { padding: 30px; background: #ffffff; }
-              .update-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-              .client-info { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-              .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-              .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-              .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-              .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              .dev-link { color: #7cd64b !important; text-decoration: none; }
-              table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-              th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-              th { background: #f8f9fa; font-weight: 600; width: 35%; }
-              .note-box { background: #e3f2fd; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #2196f3; }
-              .important-note { color: #ff9800; font-weight: 600; }
-              .change-table th { width: 25%; }
-              .old-value { color: #e74c3c; text-decoration: line-through; }
-              .new-value { color: #27ae60; font-weight: bold; }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>Credence Accounting Services</h1>
-              <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-            </div>
-            
-            <div class="content">
-              <h2 style="color: #2c3e50; margin-top: 0;">Dear ${updatedClient.firstName} ${updatedClient.lastName},</h2>
-              
-              <div class="update-box">
-                <h3 style="margin-top: 0; color: #4caf50;">✅ YOUR PROFILE HAS BEEN UPDATED</h3>
-                <p>Your profile information has been successfully updated from your account.</p>
-                <p><strong>Updated On:</strong> ${currentDate} at ${currentTime} IST</p>
-              </div>
-              
-              ${changes.length > 0 ? `
-              <div class="client-info">
-                <h3 class="section-title">📋 Changes Summary</h3>
-                <table class="change-table">
-                  <tr>
-                    <th>Field</th>
-                    <th>Previous Value</th>
-                    <th>New Value</th>
-                  </tr>
-                  ${changesTable}
-                </table>
-              </div>
-              ` : ''}
-              
-              <div class="client-info">
-                <h3 class="section-title">👤 Your Current Profile Information</h3>
-                <table>
-                  <tr>
-                    <th>Client ID</th>
-                    <td>${updatedClient.clientId}</td>
-                  </tr>
-                  <tr>
-                    <th>Full Name</th>
-                    <td>${updatedClient.firstName} ${updatedClient.lastName}</td>
-                  </tr>
-                  <tr>
-                    <th>Email</th>
-                    <td>${updatedClient.email}</td>
-                  </tr>
-                  <tr>
-                    <th>Phone</th>
-                    <td>${updatedClient.phone || "Not provided"}</td>
-                  </tr>
-                  <tr>
-                    <th>Business Name</th>
-                    <td>${updatedClient.businessName || "Not specified"}</td>
-                  </tr>
-                  <tr>
-                    <th>VAT Period</th>
-                    <td>${updatedClient.vatPeriod === "monthly" ? "Monthly" : "Quarterly" || "Not specified"}</td>
-                  </tr>
-                  <tr>
-                    <th>Plan Selected</th>
-                    <td>${updatedClient.planSelected || "Not specified"}</td>
-                  </tr>
-                </table>
-              </div>
-              
-              <div class="note-box">
-                <p><strong>📝 Note:</strong> These changes were made from your account. Your information is now updated in our records.</p>
-                <p>If you did not make these changes, please contact our support team immediately.</p>
-              </div>
-              
-              <div class="contact-info">
-                <h3 class="section-title">📞 Need Assistance?</h3>
-                <p><strong>Support Email:</strong> support@jladgroup.fi</p>
-                <p><strong>Admin Email:</strong> support@jladgroup.fi</p>
-                <p><strong>Phone Support:</strong> +91 12345 67890</p>
-                <p><strong>Business Hours:</strong> Monday - Friday, 9:00 AM - 6:00 PM (IST)</p>
-              </div>
-              
-              <p style="margin-top: 25px; font-size: 14px; color: #666;">
-                <strong>Important:</strong> Keeping your profile information updated ensures we provide you with the best accounting services and VAT compliance support.
-              </p>
-            </div>
-            
-            <div class="footer">
-              <p><strong>Credence Accounting Services</strong></p>
-              <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-              <div class="dev-info">
-                Designed & Developed by <a href="https://techorses.com" target="_blank" class="dev-link">Techorses</a>
-              </div>
-              <p style="font-size: 12px; margin-top: 10px;">
-                This is an automated confirmation email.<br>
-                Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-                Email sent to: ${updatedClient.email}
-              </p>
-            </div>
-          </body>
-          </html>
-        `;
-
-        // Send email using your sendEmail utility
-        const sendEmail = require("../utils/sendEmail");
-        await sendEmail(updatedClient.email, emailSubject, emailHtml);
+        await sendTemplateEmail(updatedClient.email, "profile-updated", {
+          client: updatedClient,
+          changes,
+          updatedAt: new Date()
+        }, { locale: updatedClient.preferredLanguage });
 
         logToConsole("INFO", "CLIENT_SELF_UPDATE_EMAIL_SENT", {
           clientId: clientId,
@@ -1687,7 +1496,7 @@ router.patch("/update-profile", async (req, res) => {
 // });
 
 
-router.patch("/change-plan", async (req, res) => {
+router.patch("/change-plan", requireClient, async (req, res) => {
   try {
     // Get client from token (client logged in)
     const token = req.cookies?.clientToken;
@@ -1782,20 +1591,6 @@ router.patch("/change-plan", async (req, res) => {
     // Save client
     await client.save();
 
-    // ✅ Plan prices for email (including new plans)
-    const planPrices = {
-      // Toiminimi plans
-      'Lite': '40 Euros + VAT',
-      'Taxi': '45 Euros + VAT',
-      'Premium': '50 Euros + VAT',
-      'Pro': '60 Euros + VAT',
-      'Restaurant': '80 Euros + VAT',
-      // Osakeyhtiö plans
-      'Lite Oy': '120 Euros + VAT',
-      'Premium Oy': '160 Euros + VAT',
-      'Pro Oy': '200 Euros + VAT'
-    };
-
     // Format date for display with Finland timezone
     const formatDate = (date) => {
       return date.toLocaleDateString("en-GB", {
@@ -1806,143 +1601,14 @@ router.patch("/change-plan", async (req, res) => {
       });
     };
 
-    // Send email to client - UPDATED WITH NEW THEME
+    // Send email to client
     try {
-      const currentDateStr = today.toLocaleDateString("en-GB", {
-        day: "numeric",
-        month: "long",
-        year: "numeric",
-        timeZone: "Europe/Helsinki"
-      });
-
-      const currentTimeStr = today.toLocaleTimeString("en-IN", {
-        hour: "2-digit",
-        minute: "2-digit",
-        timeZone: "Europe/Helsinki"
-      });
-
-      const emailSubject = `✅ Plan Changed Successfully - ${client.businessName || client.name}`;
-
-      const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Plan Changed</title>
-          <style>
-            body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-            .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-            .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-            .content { padding: 30px; background: #ffffff; }
-            .success-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-            .client-info { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-            .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-            .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-            .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-            .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-            .dev-link { color: #7cd64b !important; text-decoration: none; }
-            table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-            th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-            th { background: #f8f9fa; font-weight: 600; width: 40%; }
-            .note-box { background: #e3f2fd; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #2196f3; }
-            .important-note { color: #ff9800; font-weight: 600; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Credence Enterprise Accounting Services</h1>
-            <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-          </div>
-          
-          <div class="content">
-            <h2 style="color: #2c3e50; margin-top: 0;">Dear ${client.firstName} ${client.lastName},</h2>
-            
-            <div class="success-box">
-              <h3 style="margin-top: 0; color: #4caf50;">✅ PLAN CHANGED SUCCESSFULLY</h3>
-              <p>Your accounting plan has been updated immediately as requested.</p>
-              <p><strong>Changed On:</strong> ${currentDateStr} at ${currentTimeStr} EET/EEST</p>
-            </div>
-            
-            <div class="client-info">
-              <h3 class="section-title">📋 Plan Change Details</h3>
-              <table>
-                <tr>
-                  <th>Previous Plan</th>
-                  <td>${currentActivePlan} (${planPrices[currentActivePlan] || 'N/A'})</td>
-                </tr>
-                <tr>
-                  <th>New Plan</th>
-                  <td><strong>${newPlan}</strong> (${planPrices[newPlan]})</td>
-                </tr>
-                <tr>
-                  <th>Effective From</th>
-                  <td><strong>${formatDate(today)}</strong> (Immediate)</td>
-                </tr>
-                <tr>
-                  <th>Billing Amount</th>
-                  <td><strong>${planPrices[newPlan]}</strong> starting immediately</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div class="client-info">
-              <h3 class="section-title">👤 Your Account Information</h3>
-              <table>
-                <tr>
-                  <th>Client ID</th>
-                  <td>${client.clientId}</td>
-                </tr>
-                <tr>
-                  <th>Business Name</th>
-                  <td>${client.businessName || "Not specified"}</td>
-                </tr>
-                <tr>
-                  <th>Contact Email</th>
-                  <td>${client.email}</td>
-                </tr>
-                <tr>
-                  <th>Contact Phone</th>
-                  <td>${client.phone || "Not provided"}</td>
-                </tr>
-                <tr>
-                  <th>VAT Period</th>
-                  <td>${client.vatPeriod === "monthly" ? "Monthly" : "Quarterly"}</td>
-                </tr>
-              </table>
-            </div>
-            
-            <div class="note-box">
-              <p><strong>📝 Important:</strong> Your plan change has been processed immediately. Your billing will be updated to reflect the new ${newPlan} plan from today.</p>
-              <p>All future services will be provided according to your new plan selection.</p>
-            </div>
-            
-            <div class="contact-info">
-              <h3 class="section-title">📞 Need Assistance?</h3>
-              <p><strong>Email:</strong> support@jladgroup.fi</p>
-              <p><strong>Phone Support:</strong> +358413250081</p>
-              <p><strong>Business Hours:</strong> Monday to Fri 9am to 3pm (EET/EEST)</p>
-            </div>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Credence Enterprise Accounting Services</strong></p>
-            <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-            <div class="dev-info">
-              Developed by Vapautus Media Private Limited
-            </div>
-            <p style="font-size: 12px; margin-top: 10px;">
-              This is an automated notification email.<br>
-              Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-              Email sent to: ${client.email}
-            </p>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Send email to client
-      await sendEmail(client.email, emailSubject, emailHtml);
+      await sendTemplateEmail(client.email, "plan-changed", {
+        client,
+        fromPlan: currentActivePlan,
+        toPlan: newPlan,
+        changedAt: today
+      }, { locale: client.preferredLanguage });
       logToConsole("INFO", "PLAN_CHANGE_EMAIL_SENT_TO_CLIENT", {
         clientId,
         clientEmail: client.email,
@@ -1959,129 +1625,17 @@ router.patch("/change-plan", async (req, res) => {
       });
     }
 
-    // Send email to admin - UPDATED WITH NEW THEME
+    // Send email to admin
     try {
       const adminEmail = process.env.EMAIL_USER;
-      const adminSubject = `📋 Plan Change Completed - ${client.name} (${clientId})`;
-
-      const currentDateStr = today.toLocaleDateString("en-GB", {
-        day: "numeric",
-        month: "long",
-        year: "numeric",
-        timeZone: "Europe/Helsinki"
-      });
 
-      const currentTimeStr = today.toLocaleTimeString("en-IN", {
-        hour: "2-digit",
-        minute: "2-digit",
-        timeZone: "Europe/Helsinki"
+      await sendTemplateEmail(adminEmail, "plan-changed-admin", {
+        client,
+        fromPlan: currentActivePlan,
+        toPlan: newPlan,
+        changedAt: today,
+        adminEmail
       });
-
-      const adminEmailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Plan Change Alert</title>
-          <style>
-            body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-            .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-            .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-            .content { padding: 30px; background: #ffffff; }
-            .alert-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-            .client-details { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-            .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-            .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-            .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-            .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-            .dev-link { color: #7cd64b !important; text-decoration: none; }
-            table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-            th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-            th { background: #f8f9fa; font-weight: 600; width: 40%; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Credence Enterprise Accounting Services</h1>
-            <p style="margin-top: 5px; opacity: 0.9;">Admin Notification - Plan Change</p>
-          </div>
-          
-          <div class="content">
-            <div class="alert-box">
-              <h3 style="margin-top: 0; color: #4caf50;">✅ IMMEDIATE PLAN CHANGE</h3>
-              <p><strong>Client:</strong> ${client.name} (${clientId})</p>
-              <p><strong>Date:</strong> ${currentDateStr} at ${currentTimeStr} EET/EEST</p>
-              <p><strong>Status:</strong> Changed immediately by client</p>
-            </div>
-            
-            <div class="client-details">
-              <h3 class="section-title">📋 Client & Plan Details</h3>
-              <table>
-                <tr>
-                  <th>Client Name</th>
-                  <td>${client.firstName} ${client.lastName}</td>
-                </tr>
-                <tr>
-                  <th>Client ID</th>
-                  <td>${clientId}</td>
-                </tr>
-                <tr>
-                  <th>Business Name</th>
-                  <td>${client.businessName || "Not specified"}</td>
-                </tr>
-                <tr>
-                  <th>Email</th>
-                  <td>${client.email}</td>
-                </tr>
-                <tr>
-                  <th>Phone</th>
-                  <td>${client.phone || "Not provided"}</td>
-                </tr>
-                <tr>
-                  <th>Previous Plan</th>
-                  <td><strong>${currentActivePlan}</strong></td>
-                </tr>
-                <tr>
-                  <th>New Plan</th>
-                  <td><strong>${newPlan}</strong></td>
-                </tr>
-                <tr>
-                  <th>Effective Date</th>
-                  <td><strong>${formatDate(today)}</strong> (Immediate)</td>
-                </tr>
-                <tr>
-                  <th>Current Plan (planSelected)</th>
-                  <td><strong>${client.planSelected}</strong></td>
-                </tr>
-            
-              </table>
-            </div>
-            
-            <div class="contact-info">
-              <h3 class="section-title">📞 Admin Actions</h3>
-              <p><strong>Note:</strong> All plan fields updated immediately in database. No scheduling involved.</p>
-              <p><strong>Action Required:</strong> No action required - change already applied immediately.</p>
-            </div>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Credence Enterprise Accounting Services - Admin Portal</strong></p>
-            <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-            <div class="dev-info">
-              Developed by Vapautus Media Private Limited
-            </div>
-            <p style="font-size: 12px; margin-top: 10px;">
-              This is an automated notification email.<br>
-              No action required - change already applied immediately.<br>
-              Email sent to: ${adminEmail}
-            </p>
-          </div>
-        </body>
-        </html>
-      `;
-
-      await sendEmail(adminEmail, adminSubject, adminEmailHtml);
       logToConsole("INFO", "PLAN_CHANGE_EMAIL_SENT_TO_ADMIN", {
         adminEmail,
         clientId,
@@ -2169,7 +1723,7 @@ router.patch("/change-plan", async (req, res) => {
   }
 });
 
-router.patch("/change-plan", async (req, res) => {
+router.patch("/change-plan", requireClient, async (req, res) => {
   try {
     // Get client from token (client logged in)
     const token = req.cookies?.clientToken;
@@ -2264,20 +1818,6 @@ router.patch("/change-plan", async (req, res) => {
     // Save client
     await client.save();
 
-    // ✅ Plan prices for email (including new plans)
-    const planPrices = {
-      // Toiminimi plans
-      'Lite': '40 Euros + VAT',
-      'Taxi': '45 Euros + VAT',
-      'Premium': '50 Euros + VAT',
-      'Pro': '60 Euros + VAT',
-      'Restaurant': '80 Euros + VAT',
-      // Osakeyhtiö plans
-      'Lite Oy': '120 Euros + VAT',
-      'Premium Oy': '160 Euros + VAT',
-      'Pro Oy': '200 Euros + VAT'
-    };
-
     // Format date for display
     const formatDate = (date) => {
       return date.toLocaleDateString('en-IN', {
@@ -2289,99 +1829,12 @@ router.patch("/change-plan", async (req, res) => {
 
     // Send email to client
     try {
-      const currentDateStr = today.toLocaleDateString('en-IN');
-      const currentTimeStr = today.toLocaleTimeString('en-IN', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true
-      });
-
-      const emailSubject = `✅ Plan Changed Successfully - ${client.businessName || client.name}`;
-
-      const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Plan Changed</title>
-          <style>
-            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-            .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-            .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-            .content { padding: 30px; background: #ffffff; }
-            .success-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-            .plan-details { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-            .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-            .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-            table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-            th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-            th { background: #f8f9fa; font-weight: 600; width: 40%; }
-            .note-box { background: #e3f2fd; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #2196f3; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Credence Accounting Services</h1>
-            <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-          </div>
-          
-          <div class="content">
-            <h2 style="color: #2c3e50; margin-top: 0;">Dear ${client.firstName} ${client.lastName},</h2>
-            
-            <div class="success-box">
-              <h3 style="margin-top: 0; color: #4caf50;">✅ PLAN CHANGED SUCCESSFULLY</h3>
-              <p>Your accounting plan has been updated immediately as requested.</p>
-              <p><strong>Changed On:</strong> ${currentDateStr} at ${currentTimeStr} IST</p>
-            </div>
-            
-            <div class="plan-details">
-              <h3 class="section-title">📋 Plan Change Details</h3>
-              <table>
-                <tr>
-                  <th>Previous Plan</th>
-                  <td>${currentActivePlan} (${planPrices[currentActivePlan] || 'N/A'})</td>
-                </tr>
-                <tr>
-                  <th>New Plan</th>
-                  <td><strong>${newPlan}</strong> (${planPrices[newPlan]})</td>
-                </tr>
-                <tr>
-                  <th>Effective From</th>
-                  <td><strong>${formatDate(today)}</strong> (Immediate)</td>
-                </tr>
-                <tr>
-                  <th>Billing Amount</th>
-                  <td><strong>${planPrices[newPlan]}</strong> starting immediately</td>
-                </tr>
-                <tr>
-                  <th>Admin Panel Display</th>
-                  <td>Now showing as <strong>${newPlan}</strong></td>
-                </tr>
-              </table>
-            </div>
-            
-            <div class="note-box">
-              <p><strong>📝 Important:</strong> Your plan change has been processed immediately. Your billing will be updated to reflect the new ${newPlan} plan from today.</p>
-              <p>All future services will be provided according to your new plan selection.</p>
-            </div>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Credence Accounting Services</strong></p>
-            <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-            <p style="font-size: 12px; margin-top: 10px;">
-              This is an automated notification email.<br>
-              Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-              Email sent to: ${client.email}
-            </p>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Send email to client
-      await sendEmail(client.email, emailSubject, emailHtml);
+      await sendTemplateEmail(client.email, "plan-changed", {
+        client,
+        fromPlan: currentActivePlan,
+        toPlan: newPlan,
+        changedAt: today
+      }, { locale: client.preferredLanguage });
       logToConsole("INFO", "PLAN_CHANGE_EMAIL_SENT_TO_CLIENT", {
         clientId,
         clientEmail: client.email,
@@ -2401,96 +1854,14 @@ router.patch("/change-plan", async (req, res) => {
     // Send email to admin
     try {
       const adminEmail = process.env.EMAIL_USER;
-      const adminSubject = `📋 Plan Change Completed - ${client.name} (${clientId})`;
-
-      const adminEmailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Plan Change Alert</title>
-          <style>
-            body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-            .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-            .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-            .content { padding: 30px; background: #ffffff; }
-            .alert-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-            .client-details { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-            .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-            .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-            table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-            th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-            th { background: #f8f9fa; font-weight: 600; width: 40%; }
-          </style>
-        </head>
-        <body>
-          <div class="header">
-            <h1>Credence Accounting Services</h1>
-            <p style="margin-top: 5px; opacity: 0.9;">Admin Notification - Plan Change</p>
-          </div>
-          
-          <div class="content">
-            <div class="alert-box">
-              <h3 style="margin-top: 0; color: #4caf50;">✅ IMMEDIATE PLAN CHANGE</h3>
-              <p><strong>Client:</strong> ${client.name} (${clientId})</p>
-              <p><strong>Date:</strong> ${today.toLocaleDateString('en-IN')} at ${today.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })} IST</p>
-              <p><strong>Status:</strong> Changed immediately by client</p>
-            </div>
-            
-            <div class="client-details">
-              <h3 class="section-title">📋 Plan Details</h3>
-              <table>
-                <tr>
-                  <th>Client Name</th>
-                  <td>${client.firstName} ${client.lastName}</td>
-                </tr>
-                <tr>
-                  <th>Client ID</th>
-                  <td>${clientId}</td>
-                </tr>
-                <tr>
-                  <th>Previous Plan</th>
-                  <td><strong>${currentActivePlan}</strong></td>
-                </tr>
-                <tr>
-                  <th>New Plan</th>
-                  <td><strong>${newPlan}</strong></td>
-                </tr>
-                <tr>
-                  <th>Effective Date</th>
-                  <td><strong>${formatDate(today)}</strong> (Immediate)</td>
-                </tr>
-                <tr>
-                  <th>Current Plan (planSelected)</th>
-                  <td><strong>${client.planSelected}</strong></td>
-                </tr>
-                
-                <tr>
-                  <th>Admin Panel Shows</th>
-                  <td><strong>${client.planSelected}</strong> immediately</td>
-                </tr>
-              </table>
-            </div>
-            
-            <p style="margin-top: 25px; font-size: 14px; color: #666;">
-              <strong>Note:</strong> All plan fields updated immediately in database. No scheduling involved.
-            </p>
-          </div>
-          
-          <div class="footer">
-            <p><strong>Credence Accounting Services - Admin Portal</strong></p>
-            <p style="font-size: 12px; margin-top: 10px;">
-              This is an automated notification email.<br>
-              No action required - change already applied immediately.<br>
-              Email sent to: ${adminEmail}
-            </p>
-          </div>
-        </body>
-        </html>
-      `;
-
-      await sendEmail(adminEmail, adminSubject, adminEmailHtml);
+
+      await sendTemplateEmail(adminEmail, "plan-changed-admin", {
+        client,
+        fromPlan: currentActivePlan,
+        toPlan: newPlan,
+        changedAt: today,
+        adminEmail
+      });
       logToConsole("INFO", "PLAN_CHANGE_EMAIL_SENT_TO_ADMIN", {
         adminEmail,
         clientId,
@@ -1,14 +1,20 @@
 // routes/clientDashboard.js
 const express = require("express");
 const mongoose = require("mongoose");
-const auth = require("../middleware/authMiddleware");
+const { requireClient } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const { unreadCount, markAllRead } = require("../utils/notifications");
+const { NoteError, addNote, replyToNote, editNote, deleteNote, getThread } = require("../utils/noteThreads");
+const { receiveNoteAttachments } = require("../utils/noteAttachments");
 
 const Client = require("../models/Client");
 const ClientMonthlyData = require("../models/ClientMonthlyData");
 const Employee = require("../models/Employee");
 const ActivityLog = require("../models/ActivityLog");
+const { signFileUrls, clientAccess } = require("../utils/signedUrls");
 
 const router = express.Router();
+router.use(signFileUrls(clientAccess));
 
 // Console logging
 const logToConsole = (type, operation, data) => {
@@ -102,7 +108,7 @@ const getMonthDataFromBoth = async (clientId, year, month) => {
 
   // SECOND: Check OLD client.documents
   const client = await Client.findOne({ clientId }).lean();
-  if (client && client.documents) {
+  if (legacyReadsEnabled() && client && client.documents) {
     const yearKey = String(year);
     const monthKey = String(month);
     if (client.documents[yearKey] && client.documents[yearKey][monthKey]) {
@@ -260,6 +266,8 @@ const getNotesForMonth = (monthData, clientId = null) => {
         type: 'month_note',
         category: 'General',
         note: note.note,
+        attachments: note.attachments || [],
+        mentions: note.mentions || [],
         addedBy: note.addedBy || 'Client',
         addedAt: note.addedAt,
         addedById: note.employeeId,
@@ -280,6 +288,8 @@ const getNotesForMonth = (monthData, clientId = null) => {
           type: 'delete_reason',
           category: category.charAt(0).toUpperCase() + category.slice(1),
           note: note.note,
+          attachments: note.attachments || [],
+          mentions: note.mentions || [],
           addedBy: note.addedBy || 'Client',
           addedAt: note.addedAt,
           addedById: note.employeeId,
@@ -304,6 +314,8 @@ const getNotesForMonth = (monthData, clientId = null) => {
               category: category.charAt(0).toUpperCase() + category.slice(1),
               fileName: file.fileName,
               note: note.note,
+              attachments: note.attachments || [],
+              mentions: note.mentions || [],
               addedBy: note.addedBy || 'Employee',
               addedAt: note.addedAt,
               addedById: note.employeeId,
@@ -328,6 +340,8 @@ const getNotesForMonth = (monthData, clientId = null) => {
               type: 'delete_reason',
               category: otherCat.categoryName,
               note: note.note,
+              attachments: note.attachments || [],
+              mentions: note.mentions || [],
               addedBy: note.addedBy || 'Client',
               addedAt: note.addedAt,
               addedById: note.employeeId,
@@ -349,6 +363,8 @@ const getNotesForMonth = (monthData, clientId = null) => {
                   category: otherCat.categoryName,
                   fileName: file.fileName,
                   note: note.note,
+                  attachments: note.attachments || [],
+                  mentions: note.mentions || [],
                   addedBy: note.addedBy || 'Employee',
                   addedAt: note.addedAt,
                   addedById: note.employeeId,
@@ -445,7 +461,7 @@ const countAllNotesInClient = async (clientId) => {
 
   // 2. Check OLD client.documents
   const client = await Client.findOne({ clientId }).lean();
-  if (client && client.documents) {
+  if (legacyReadsEnabled() && client && client.documents) {
     const documents = client.documents;
     let years = [];
     if (documents instanceof Map) {
@@ -488,115 +504,11 @@ const countAllNotesInClient = async (clientId) => {
 };
 
 /* ===============================
-   HELPER: COUNT UNVIEWED NOTES FOR CLIENT (UPDATED - CHECKS BOTH)
+   HELPER: COUNT UNVIEWED NOTES FOR CLIENT
+   Unread NOTE_ADDED notifications, written when an accountant adds a note
 ================================ */
-const countUnviewedNotesInClient = async (clientId) => {
-  let unviewedCount = 0;
-
-  const countUnviewedInArray = (notesArray) => {
-    if (!notesArray || !Array.isArray(notesArray)) return 0;
-    return notesArray.filter(note => note && typeof note === 'object' && (note.note || note.noteText) && !note.isViewedByClient).length;
-  };
-
-  const processMonthData = (monthData) => {
-    if (!monthData || typeof monthData !== 'object') return 0;
-    let count = 0;
-
-    if (monthData.monthNotes && Array.isArray(monthData.monthNotes)) {
-      count += countUnviewedInArray(monthData.monthNotes);
-    }
-
-    ['sales', 'purchase', 'bank'].forEach(category => {
-      const categoryData = monthData[category];
-      if (categoryData && typeof categoryData === 'object') {
-        if (categoryData.categoryNotes && Array.isArray(categoryData.categoryNotes)) {
-          count += countUnviewedInArray(categoryData.categoryNotes);
-        }
-        if (categoryData.files && Array.isArray(categoryData.files)) {
-          categoryData.files.forEach(file => {
-            if (file && typeof file === 'object') {
-              count += countUnviewedInArray(file.notes);
-            }
-          });
-        }
-      }
-    });
-
-    if (monthData.other && Array.isArray(monthData.other)) {
-      monthData.other.forEach(otherCat => {
-        if (otherCat && otherCat.document && typeof otherCat.document === 'object') {
-          if (otherCat.document.categoryNotes && Array.isArray(otherCat.document.categoryNotes)) {
-            count += countUnviewedInArray(otherCat.document.categoryNotes);
-          }
-          if (otherCat.document.files && Array.isArray(otherCat.document.files)) {
-            otherCat.document.files.forEach(file => {
-              if (file && typeof file === 'object') {
-                count += countUnviewedInArray(file.notes);
-              }
-            });
-          }
-        }
-      });
-    }
-
-    return count;
-  };
-
-  // 1. Check NEW collection
-  try {
-    const newDoc = await ClientMonthlyData.findOne({ clientId });
-    if (newDoc && newDoc.months) {
-      for (const monthData of newDoc.months) {
-        unviewedCount += processMonthData(monthData);
-      }
-    }
-  } catch (err) {
-    logToConsole("WARN", "COUNT_UNVIEWED_NEW_FAILED", { error: err.message });
-  }
-
-  // 2. Check OLD client.documents
-  const client = await Client.findOne({ clientId }).lean();
-  if (client && client.documents) {
-    const documents = client.documents;
-    let years = [];
-    if (documents instanceof Map) {
-      years = Array.from(documents.keys());
-    } else {
-      years = Object.keys(documents).filter(key => !key.startsWith('$') && !key.startsWith('_') && !isNaN(Number(key)));
-    }
-
-    for (const year of years) {
-      let yearData;
-      if (documents instanceof Map) {
-        yearData = documents.get(year);
-      } else {
-        yearData = documents[year];
-      }
-      if (!yearData || typeof yearData !== 'object') continue;
-
-      let months = [];
-      if (yearData instanceof Map) {
-        months = Array.from(yearData.keys());
-      } else {
-        months = Object.keys(yearData).filter(key => !key.startsWith('$') && !key.startsWith('_') && !isNaN(Number(key)));
-      }
-
-      for (const month of months) {
-        let monthData;
-        if (yearData instanceof Map) {
-          monthData = yearData.get(month);
-        } else {
-          monthData = yearData[month];
-        }
-        if (monthData && typeof monthData === 'object') {
-          unviewedCount += processMonthData(monthData);
-        }
-      }
-    }
-  }
-
-  return unviewedCount;
-};
+const countUnviewedNotesInClient = (clientId) =>
+  unreadCount({ type: "CLIENT", id: clientId }, { type: "NOTE_ADDED" });
 
 /* ===============================
    HELPER: MARK ALL NOTES AS VIEWED FOR CLIENT (UPDATED - HANDLES BOTH)
@@ -699,7 +611,7 @@ const markAllNotesAsViewedForClient = async (clientId) => {
   // 2. Update OLD client.documents
   try {
     const client = await Client.findOne({ clientId });
-    if (client && client.documents) {
+    if (legacyReadsEnabled() && client && client.documents) {
       let clientModified = false;
       const documents = client.documents;
       let years = [];
@@ -762,7 +674,7 @@ const getAllNotesForAlert = async (clientId, limit = 5) => {
   const allNotes = [];
 
   const addNoteWithMetadata = (note, metadata) => {
-    if (!note || typeof note !== 'object') return;
+    if (!note || typeof note !== 'object' || note.isDeleted) return;
     const isUnviewedByClient = !note.isViewedByClient;
     allNotes.push({
       ...note,
@@ -883,7 +795,7 @@ const getAllNotesForAlert = async (clientId, limit = 5) => {
 
   // 2. Get from OLD client.documents
   const client = await Client.findOne({ clientId }).lean();
-  if (client && client.documents) {
+  if (legacyReadsEnabled() && client && client.documents) {
     const documents = client.documents;
     let years = [];
     if (documents instanceof Map) {
@@ -941,7 +853,7 @@ const getAllNotesForAlert = async (clientId, limit = 5) => {
 /* ===============================
    1. GET UNVIEWED NOTES COUNT (FOR ALERT CARD) - UPDATED
 ================================ */
-router.get("/notes/unviewed-count", auth, async (req, res) => {
+router.get("/notes/unviewed-count", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     logToConsole("INFO", "UNVIEWED_NOTES_COUNT_REQUEST", { clientId });
@@ -966,7 +878,7 @@ router.get("/notes/unviewed-count", auth, async (req, res) => {
 /* ===============================
    2. MARK ALL NOTES AS VIEWED - UPDATED
 ================================ */
-router.post("/notes/mark-all-viewed", auth, async (req, res) => {
+router.post("/notes/mark-all-viewed", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     logToConsole("INFO", "MARK_ALL_NOTES_VIEWED_REQUEST", { clientId, timestamp: new Date().toISOString() });
@@ -977,6 +889,8 @@ router.post("/notes/mark-all-viewed", auth, async (req, res) => {
       return res.status(500).json({ success: false, message: "Failed to mark notes as viewed", error: result.error });
     }
 
+    await markAllRead({ type: "CLIENT", id: clientId }, { type: "NOTE_ADDED" });
+
     await ActivityLog.create({
       userName: req.user.name || "Client",
       role: "CLIENT",
@@ -1004,7 +918,7 @@ router.post("/notes/mark-all-viewed", auth, async (req, res) => {
 /* ===============================
    3. GET ALL NOTES FOR ALERT CARD - UPDATED
 ================================ */
-router.get("/notes/alert-preview", auth, async (req, res) => {
+router.get("/notes/alert-preview", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const limit = parseInt(req.query.limit) || 5;
@@ -1049,7 +963,7 @@ router.get("/notes/alert-preview", auth, async (req, res) => {
 /* ===============================
    4. GET CLIENT DASHBOARD OVERVIEW - UPDATED
 ================================ */
-router.get("/dashboard/overview", auth, async (req, res) => {
+router.get("/dashboard/overview", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const { timeFilter = 'this_month', customStart, customEnd } = req.query;
@@ -1187,7 +1101,7 @@ router.get("/dashboard/overview", auth, async (req, res) => {
 /* ===============================
    5. GET SPECIFIC MONTH DETAILS - UPDATED
 ================================ */
-router.get("/dashboard/month-details", auth, async (req, res) => {
+router.get("/dashboard/month-details", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const { year, month } = req.query;
@@ -1293,7 +1207,7 @@ router.get("/dashboard/month-details", auth, async (req, res) => {
 /* ===============================
    6. GET EMPLOYEE CONTACT FOR SPECIFIC TASK (NO CHANGE)
 ================================ */
-router.get("/dashboard/employee-contact", auth, async (req, res) => {
+router.get("/dashboard/employee-contact", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const { employeeId } = req.query;
@@ -1343,7 +1257,7 @@ router.get("/dashboard/employee-contact", auth, async (req, res) => {
 /* ===============================
    7. GET DOCUMENT UPLOAD HISTORY - UPDATED
 ================================ */
-router.get("/dashboard/upload-history", auth, async (req, res) => {
+router.get("/dashboard/upload-history", requireClient, async (req, res) => {
   try {
     const clientId = req.user.clientId;
     const { limit = 10 } = req.query;
@@ -1415,7 +1329,7 @@ router.get("/dashboard/upload-history", auth, async (req, res) => {
 
     // 2. Get from OLD client.documents
     const oldClient = await Client.findOne({ clientId }).lean();
-    if (oldClient && oldClient.documents) {
+    if (legacyReadsEnabled() && oldClient && oldClient.documents) {
       const documents = oldClient.documents;
       let years = [];
       if (documents instanceof Map) {
@@ -1482,4 +1396,70 @@ router.get("/dashboard/upload-history", auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/* ===============================
+   NOTE THREADS (BY NOTE ID)
+   The client's own notes: add, reply, edit and delete their own notes.
+   See utils/noteThreads.js for the rules.
+================================ */
+const clientActor = (req) => ({ type: "client", id: req.user.clientId, name: req.user.name });
+
+const sendNoteError = (res, error, operation, req) => {
+  if (error instanceof NoteError) {
+    return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+  }
+
+  logToConsole("ERROR", operation, { clientId: req.user?.clientId, noteId: req.params.noteId, error: error.message });
+  res.status(500).json({
+    success: false,
+    message: "Error handling note",
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+router.post("/notes", requireClient, receiveNoteAttachments, async (req, res) => {
+  try {
+    const { year, month, level, categoryType, categoryName, fileUrl, fileVersion, note } = req.body;
+    const created = await addNote(req.user.clientId, { year, month, level, categoryType, categoryName, fileUrl, fileVersion }, note, clientActor(req), req.files);
+    res.status(201).json({ success: true, note: created });
+  } catch (error) {
+    sendNoteError(res, error, "CLIENT_ADD_NOTE_ERROR", req);
+  }
+});
+
+router.get("/notes/:noteId/thread", requireClient, async (req, res) => {
+  try {
+    const thread = await getThread(req.user.clientId, req.params.noteId, clientActor(req));
+    res.json({ success: true, ...thread });
+  } catch (error) {
+    sendNoteError(res, error, "CLIENT_GET_NOTE_THREAD_ERROR", req);
+  }
+});
+
+router.post("/notes/:noteId/replies", requireClient, receiveNoteAttachments, async (req, res) => {
+  try {
+    const reply = await replyToNote(req.user.clientId, req.params.noteId, req.body.note, clientActor(req), req.files);
+    res.status(201).json({ success: true, note: reply });
+  } catch (error) {
+    sendNoteError(res, error, "CLIENT_REPLY_NOTE_ERROR", req);
+  }
+});
+
+router.patch("/notes/:noteId", requireClient, async (req, res) => {
+  try {
+    const note = await editNote(req.user.clientId, req.params.noteId, req.body.note, clientActor(req));
+    res.json({ success: true, note });
+  } catch (error) {
+    sendNoteError(res, error, "CLIENT_EDIT_NOTE_ERROR", req);
+  }
+});
+
+router.delete("/notes/:noteId", requireClient, async (req, res) => {
+  try {
+    const note = await deleteNote(req.user.clientId, req.params.noteId, clientActor(req));
+    res.json({ success: true, note });
+  } catch (error) {
+    sendNoteError(res, error, "CLIENT_DELETE_NOTE_ERROR", req);
+  }
+});
+
+module.exports = router;
@@ -6,8 +6,10 @@ const ClientEnrollment = require("../models/ClientEnrollment");
 const Client = require("../models/Client");
 const ActivityLog = require("../models/ActivityLog");
 
-const sendEmail = require("../utils/sendEmail");
-const auth = require("../middleware/authMiddleware");
+const { sendTemplateEmail } = require("../emails");
+const { SUPPORTED_LOCALES } = require("../config/locales");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const storage = require("../utils/storage");
 const AgreementPdf = require("../models/AgreementPdf");
 const ClientConsent = require("../models/Clientconsent")
 const router = express.Router();
@@ -823,6 +825,7 @@ router.post("/enroll", async (req, res) => {
       businessNature: req.body.businessNature || '',
       registerTrade: req.body.registerTrade || '',
       planSelected: req.body.planSelected || '',
+      preferredLanguage: SUPPORTED_LOCALES.includes(req.body.preferredLanguage) ? req.body.preferredLanguage : undefined,
       ipAddress: userIp
     };
 
@@ -900,107 +903,13 @@ router.post("/enroll", async (req, res) => {
     // ===========================================
     try {
       const adminEmail = "support@jladgroup.fi";
-      const currentDateTime = new Date().toLocaleString("en-IN", {
-        day: "numeric",
-        month: "long",
-        year: "numeric",
-        hour: "2-digit",
-        minute: "2-digit",
-        second: "2-digit",
-        timeZone: "Asia/Kolkata"
-      });
 
-      const adminNotificationSubject = `🚨 New Client Enrollment - ${enrollment.businessName || enrollment.firstName + " " + enrollment.lastName}`;
-
-      await sendEmail(
-        adminEmail,
-        adminNotificationSubject,
-        `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>New Enrollment Notification</title>
-            <style>
-              body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 700px; margin: 0 auto; }
-              .header { background: #111111; color: #ffffff; padding: 25px 20px; text-align: center; }
-              .header h1 { margin: 0; font-size: 22px; color: #7cd64b; }
-              .content { padding: 30px; background: #ffffff; }
-              .alert-box { background: #e3f2fd; border-left: 4px solid #2196f3; padding: 20px; margin: 20px 0; border-radius: 0 8px 8px 0; }
-              .info-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 20px 0; border-radius: 8px; }
-              .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; font-size: 14px; }
-              .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 15px; font-size: 18px; }
-              .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-              th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-              th { background: #f8f9fa; font-weight: 600; width: 35%; }
-              .status-badge { display: inline-block; padding: 4px 10px; background: #ff9800; color: #000; border-radius: 12px; font-size: 12px; font-weight: 600; }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>Credence Enterprise Accounting Services</h1>
-              <p style="margin-top: 5px; opacity: 0.9; font-size: 14px;">Admin Notification - New Enrollment</p>
-            </div>
-            
-            <div class="content">
-              <div class="alert-box">
-                <h2 style="margin-top: 0; color: #2196f3;">📋 New Client Enrollment Received!</h2>
-                <p>A new client has submitted an enrollment form and is awaiting your review.</p>
-                <p><strong>Submission Time:</strong> ${currentDateTime} EET/EEST</p>
-              </div>
-              
-              <div class="info-box">
-                <h3 class="section-title">📊 Enrollment Summary</h3>
-                <table>
-                  <tr><th>Enrollment ID</th><td><strong>${enrollment.enrollId}</strong></td></tr>
-                  <tr><th>Client Name</th><td>${enrollment.firstName} ${enrollment.lastName}</td></tr>
-                  <tr><th>Email</th><td>${enrollment.email}</td></tr>
-                  <tr><th>Phone</th><td>${enrollment.mobile || "Not provided"}</td></tr>
-                  <tr><th>Business Name</th><td>${enrollment.businessName || "Not provided"}</td></tr>
-                  <tr><th>Selected Plan</th><td><strong>${enrollment.planSelected}</strong></td></tr>
-                  <tr><th>IP Address</th><td>${userIp}</td></tr>
-                  <tr><th>Current Status</th><td><span class="status-badge">PENDING REVIEW</span></td></tr>
-                </table>
-              </div>
-              
-              <div class="info-box">
-                <h3 class="section-title">📝 Additional Details</h3>
-                <table>
-                  <tr><th>Visa Type</th><td>${enrollment.visaType || "Not provided"}</td></tr>
-                  <tr><th>Strong ID Available</th><td>${enrollment.hasStrongId === "yes" ? "✅ Yes" : "❌ No"}</td></tr>
-                  <tr><th>VAT Period</th><td>${enrollment.vatPeriod === "monthly" ? "Monthly" : "Quarterly"}</td></tr>
-                  <tr><th>Nature of Business</th><td>${enrollment.businessNature || "Not specified"}</td></tr>
-                  <tr><th>Trade Register</th><td>${enrollment.registerTrade === "yes" ? "✅ Registered" : "❌ Not Registered"}</td></tr>
-                  <tr><th>Address</th><td>${enrollment.address || "Not provided"}</td></tr>
-                </table>
-              </div>
-
-              <div style="margin-top: 25px; padding: 15px; background: #fff8e1; border-radius: 8px; border-left: 4px solid #ffc107;">
-                <h4 style="margin-top: 0; color: #ff9800;">📋 Next Steps Required:</h4>
-                <ol style="margin-bottom: 0;">
-                  <li>Review the client's information in the admin panel</li>
-                  <li>Verify business details and plan selection</li>
-                  <li>Approve to create client account OR Reject with reason</li>
-                  <li>System will automatically send approval/rejection email to client</li>
-                </ol>
-              </div>
-            </div>
-            
-            <div class="footer">
-              <p style="font-size: 16px; margin-bottom: 10px;"><strong>Credence Enterprise Accounting Services - Admin Panel</strong></p>
-              <p style="margin-bottom: 10px; opacity: 0.9; font-size: 14px;">Professional Client Management System</p>
-              <div class="dev-info">System Notification | Developed by Vapautus Media Private Limited</div>
-              <p style="font-size: 12px; margin-top: 15px; opacity: 0.7;">
-                © ${new Date().getFullYear()} Credence Enterprise Accounting Services. All rights reserved.<br>
-                This is an automated notification email from the enrollment system.
-              </p>
-            </div>
-          </body>
-          </html>
-        `
-      );
+      await sendTemplateEmail(adminEmail, "enrollment-received-admin", {
+        enrollment,
+        ipAddress: userIp,
+        submittedAt: enrollment.createdAt,
+        adminEmail
+      });
 
       console.log("📧 ADMIN NOTIFICATION EMAIL SENT to:", adminEmail);
       logToConsole("INFO", "ADMIN_NOTIFICATION_SENT", {
@@ -1025,9 +934,7 @@ router.post("/enroll", async (req, res) => {
     try {
       const activePdf = await AgreementPdf.findOne({ isActive: true }).lean();
       if (activePdf) {
-        const fileResponse = await fetch(activePdf.fileUrl);
-        const arrayBuffer = await fileResponse.arrayBuffer();
-        const buffer = Buffer.from(arrayBuffer);
+        const buffer = await storage.readUrl(activePdf.fileUrl);
         pdfAttachment = {
           filename: "Agreement.pdf",
           content: buffer,
@@ -1050,86 +957,11 @@ router.post("/enroll", async (req, res) => {
     try {
       const attachments = pdfAttachment ? [pdfAttachment] : [];
 
-      await sendEmail(
-        enrollment.email,
-        "Enrollment Submitted Successfully - Credence Enterprise Accounting Services",
-        `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Enrollment Confirmation</title>
-            <style>
-              body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-              .header { background: #111111; color: #ffffff; padding: 25px 20px; text-align: center; }
-              .header h1 { margin: 0; font-size: 22px; color: #7cd64b; }
-              .content { padding: 25px; background: #ffffff; }
-              .confirmation-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 20px 0; border-radius: 0 8px 8px 0; }
-              .info-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 15px; margin: 15px 0; border-radius: 8px; }
-              .pdf-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 15px 0; border-radius: 8px; border-left: 4px solid #7cd64b; }
-              .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; font-size: 14px; }
-              .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>Credence Enterprise Accounting Services</h1>
-              <p style="margin-top: 5px; opacity: 0.9;">Enrollment Confirmation</p>
-            </div>
-            
-            <div class="content">
-              <div class="confirmation-box">
-                <h2 style="margin-top: 0; color: #4caf50;">✅ Enrollment Submitted Successfully!</h2>
-                <p>Dear ${enrollment.firstName} ${enrollment.lastName},</p>
-                <p>Thank you for choosing Credence Enterprise Accounting Services. Your enrollment has been received and is currently under review.</p>
-              </div>
-              
-              <div class="info-box">
-                <p><strong>Enrollment ID:</strong> ${enrollment.enrollId}</p>
-                <p><strong>Selected Plan:</strong> ${enrollment.planSelected}</p>
-                <p><strong>Status:</strong> <span style="color: #ff9800; font-weight: 600;">Pending Review</span></p>
-                <p><strong>Submission Date:</strong> ${new Date().toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" })}</p>
-              </div>
-              
-              <div class="info-box">
-                <h3 style="margin-top: 0;">What Happens Next?</h3>
-                <ol>
-                  <li>Our team will review your application within 24-48 hours</li>
-                  <li>You will receive an approval or rejection email with details</li>
-                  <li>If approved, you'll get login credentials for your client portal</li>
-                  <li>You can then upload documents and start using our services</li>
-                </ol>
-              </div>
-
-              ${pdfAttachment ? `
-              <div class="pdf-box">
-                <h3 style="margin-top: 0; color: #2c3e50;">📄 Agreement Document</h3>
-                <p>Please find the <strong>Agreement.pdf</strong> attached to this email.</p>
-                <p>Kindly read the Terms &amp; Conditions carefully before your application is processed.</p>
-              </div>
-              ` : ''}
-
-              <p style="margin-top: 20px;">If you have any questions, please contact our support team.</p>
-              <p><strong>Email:</strong> support@jladgroup.fi</p>
-              <p><strong>Phone:</strong> +358413250081</p>
-              <p><strong>Business Hours:</strong> Monday to Friday, 9am to 3pm (EET/EEST)</p>
-            </div>
-            
-            <div class="footer">
-              <p><strong>Credence Enterprise Accounting Services</strong></p>
-              <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-              <div class="dev-info">Developed by Vapautus Media Private Limited</div>
-              <p style="font-size: 12px; margin-top: 10px;">
-                This email confirms your enrollment submission.<br>
-                Please do not reply to this automated email.
-              </p>
-            </div>
-          </body>
-          </html>
-        `,
-        attachments
-      );
+      await sendTemplateEmail(enrollment.email, "enrollment-submitted", {
+        enrollment,
+        submittedAt: enrollment.createdAt,
+        agreementAttached: !!pdfAttachment
+      }, { locale: enrollment.preferredLanguage, attachments });
 
       console.log("📧 CLIENT CONFIRMATION EMAIL SENT to:", enrollment.email);
       logToConsole("INFO", "CLIENT_CONFIRMATION_EMAIL_SENT", {
@@ -1378,7 +1210,7 @@ const createMonthsDataForNewClient = (currentYear, currentMonth) => {
 
 
 
-router.post("/action", auth, async (req, res) => {
+router.post("/action", requirePermission("enrollments:approve"), async (req, res) => {
   try {
     const { enrollId, action, rejectionReason } = req.body;
 
@@ -1408,7 +1240,7 @@ router.post("/action", auth, async (req, res) => {
       status: enrollment.status
     });
 
-    // Get current date and time for email
+    // Get current date and time for the activity log
     const currentDate = new Date().toLocaleDateString("en-GB", {
       day: "numeric",
       month: "long",
@@ -1438,85 +1270,11 @@ router.post("/action", auth, async (req, res) => {
       });
 
       try {
-        await sendEmail(
-          enrollment.email,
-          `Application Status Update - ${enrollment.businessName || "Your Business"} | Credence Enterprise Accounting Services`,
-          `
-            <!DOCTYPE html>
-            <html>
-            <head>
-              <meta charset="UTF-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <title>Application Status Update</title>
-              <style>
-                body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-                .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-                .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-                .content { padding: 30px; background: #ffffff; }
-                .status-box { background: #fff5f5; border-left: 4px solid #ff6b6b; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-                .info-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-                .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; border-top: 1px solid #dee2e6; }
-                .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-                .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-                .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              </style>
-            </head>
-            <body>
-              <div class="header">
-                <h1>Credence Enterprise Accounting Services</h1>
-                <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-              </div>
-
-              <div class="content">
-                <h2 style="color: #2c3e50; margin-top: 0;">Dear ${enrollment.firstName} ${enrollment.lastName},</h2>
-
-                <p>Thank you for your interest in Credence Enterprise Accounting Services. We have reviewed your application submitted on ${new Date(enrollment.createdAt).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric" })}.</p>
-
-                <div class="status-box">
-                  <h3 style="color: #ff6b6b; margin-top: 0;">Application Status: <strong>Rejected</strong></h3>
-                  <p><strong>Application ID:</strong> ${enrollment.enrollId}</p>
-                  <p><strong>Review Date:</strong> ${currentDate}</p>
-                  <p><strong>Review Time:</strong> ${currentTime} EET/EEST</p>
-                  <p><strong>Review By:</strong> ${req.user.name || "Administrator"}</p>
-                </div>
-
-                <div class="info-box">
-                  <h4 class="section-title">Reason for Rejection</h4>
-                  <p>${enrollment.rejectionReason || "No specific reason provided."}</p>
-                </div>
-
-                <div class="info-box">
-                  <h4 class="section-title">Application Details</h4>
-                  <p><strong>Business Name:</strong> ${enrollment.businessName || "Not provided"}</p>
-                  <p><strong>Selected Plan:</strong> ${enrollment.planSelected || "Not selected"}</p>
-                  <p><strong>Contact Email:</strong> ${enrollment.email}</p>
-                  <p><strong>Contact Phone:</strong> ${enrollment.mobile || "Not provided"}</p>
-                </div>
-
-                <p>If you believe there has been an error, or if you wish to provide additional information, please feel free to contact our support team for clarification.</p>
-
-                <div class="contact-info">
-                  <h4 class="section-title">📞 Our Contact Information</h4>
-                  <p><strong>Email:</strong> support@jladgroup.fi</p>
-                  <p><strong>Phone Support:</strong> +358413250081</p>
-                  <p><strong>Business Hours:</strong> Monday to Fri 9am to 3pm (EET/EEST)</p>
-                </div>
-              </div>
-
-              <div class="footer">
-                <p><strong>Credence Enterprise Accounting Services</strong></p>
-                <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-                <p>© ${new Date().getFullYear()} Credence Enterprise Accounting Services. All rights reserved.</p>
-                <div class="dev-info">Developed by Vapautus Media Private Limited</div>
-                <p style="font-size: 12px; margin-top: 10px;">
-                  This email was sent to ${enrollment.email} regarding your application.<br>
-                  Please do not reply to this automated email.
-                </p>
-              </div>
-            </body>
-            </html>
-          `
-        );
+        await sendTemplateEmail(enrollment.email, "enrollment-rejected", {
+          enrollment,
+          reviewedAt: enrollment.reviewedAt,
+          reviewedBy: req.user.name
+        }, { locale: enrollment.preferredLanguage });
         logToConsole("INFO", "REJECTION_EMAIL_SENT", {
           to: enrollment.email,
           enrollId: enrollment.enrollId
@@ -1612,6 +1370,7 @@ router.post("/action", auth, async (req, res) => {
         registerTrade: enrollment.registerTrade,
         planSelected: enrollment.planSelected,
         currentPlan: enrollment.planSelected,
+        preferredLanguage: enrollment.preferredLanguage,
         enrollmentId: enrollment.enrollId,
         enrollmentDate: new Date(),
         documents: new Map(), // 👈 EMPTY Map - no old structure
@@ -1679,9 +1438,7 @@ router.post("/action", auth, async (req, res) => {
         const activePdf = await AgreementPdf.findOne({ isActive: true }).lean();
         if (activePdf) {
           activePdfUrl = activePdf.fileUrl;
-          const fileResponse = await fetch(activePdf.fileUrl);
-          const arrayBuffer = await fileResponse.arrayBuffer();
-          const buffer = Buffer.from(arrayBuffer);
+          const buffer = await storage.readUrl(activePdf.fileUrl);
           pdfAttachment = {
             filename: "Agreement.pdf",
             content: buffer,
@@ -1752,117 +1509,15 @@ router.post("/action", auth, async (req, res) => {
         const portalUrl = "https://jladgroup.fi/login";
         const attachments = pdfAttachment ? [pdfAttachment] : [];
 
-        await sendEmail(
-          enrollment.email,
-          `Welcome to Credence Enterprise Accounting Services - Account Approved & Activated`,
-          `
-            <!DOCTYPE html>
-            <html>
-            <head>
-              <meta charset="UTF-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <title>Account Approval Confirmation</title>
-              <style>
-                body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; }
-                .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-                .header h1 { margin: 0; font-size: 26px; color: #7cd64b; }
-                .content { padding: 35px; background: #ffffff; }
-                .credentials-box { background: #f0f9ff; border: 2px solid #7cd64b; padding: 25px; margin: 25px 0; border-radius: 8px; }
-                .client-info { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-                .important-box { background: #fff8e1; border-left: 4px solid #ffc107; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-                .pdf-box { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; border-left: 4px solid #7cd64b; }
-                .footer { background: #111111; color: #ffffff; padding: 25px; text-align: center; }
-                .login-button { display: inline-block; padding: 14px 32px; background: #7cd64b; color: #000000; text-decoration: none; border-radius: 4px; font-weight: 700; font-size: 16px; margin: 15px 0; }
-                .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 10px; margin-bottom: 20px; font-size: 18px; }
-                .highlight { background: #7cd64b; color: #000000; padding: 3px 6px; border-radius: 3px; font-weight: 600; }
-                table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-                th, td { padding: 12px 15px; text-align: left; border-bottom: 1px solid #dee2e6; }
-                th { background: #f8f9fa; font-weight: 600; }
-                .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              </style>
-            </head>
-            <body>
-              <div class="header">
-                <h1>Credence Enterprise Accounting Services</h1>
-                <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting | VAT Compliance | Business Advisory</p>
-              </div>
-
-              <div class="content">
-                <h2 style="color: #2c3e50; margin-top: 0;">Welcome ${enrollment.firstName} ${enrollment.lastName}!</h2>
-
-                <p>We are pleased to inform you that your application has been <span class="highlight">APPROVED</span> and your client account has been successfully activated.</p>
-
-                <div class="credentials-box">
-                  <h3 class="section-title">🔐 Your Portal Access Credentials</h3>
-                  <p><strong>Client Portal URL:</strong> <a href="${portalUrl}" style="color: #7cd64b; text-decoration: none;">${portalUrl}</a></p>
-                  <table>
-                    <tr><th>Email Address</th><td>${enrollment.email}</td></tr>
-                    <tr><th>Temporary Password</th><td><strong>${plainPassword}</strong></td></tr>
-                    <tr><th>Client ID</th><td>${clientId}</td></tr>
-                  </table>
-                  <div style="text-align: center; margin-top: 20px;">
-                    <a href="${portalUrl}" class="login-button">Login to Client Portal</a>
-                  </div>
-                  <p style="margin-top: 15px; font-size: 14px; color: #6c757d;">
-                    <strong>Important:</strong> Please change your password after first login for security.
-                  </p>
-                </div>
-
-                <div class="client-info">
-                  <h3 class="section-title">📋 Your Account Details</h3>
-                  <table>
-                    <tr><th>Application Approved On</th><td>${currentDate} at ${currentTime} EET/EEST</td></tr>
-                    <tr><th>Approved By</th><td>${req.user.name || "Administrator"}</td></tr>
-                    <tr><th>Business Name</th><td>${enrollment.businessName || "Not specified"}</td></tr>
-                    <tr><th>Selected Plan</th><td><strong>${enrollment.planSelected}</strong></td></tr>
-                    <tr><th>VAT Period</th><td>${enrollment.vatPeriod || "Not specified"}</td></tr>
-                    <tr><th>Enrollment ID</th><td>${enrollment.enrollId}</td></tr>
-                  </table>
-                </div>
-
-                <div class="important-box">
-                  <h3 class="section-title">✅ Acceptance Confirmation</h3>
-                  <p>By using our services and accessing the client portal, you acknowledge and agree to our <strong>Terms &amp; Conditions and Privacy Policy</strong>.</p>
-                  <p style="margin-top: 15px;">
-                    <strong>Approval Time:</strong> ${currentDate} at ${currentTime} EET/EEST<br>
-                    <strong>Service Start Date:</strong> ${currentDate}
-                  </p>
-                </div>
-
-                ${pdfAttachment ? `
-                <div class="pdf-box">
-                  <h3 style="margin-top: 0; color: #2c3e50;">📄 Agreement Document</h3>
-                  <p>Please find the <strong>Agreement.pdf</strong> attached to this email.</p>
-                  <p>Kindly read the Terms &amp; Conditions carefully. By accessing your portal and using our services, you confirm that you have read, understood, and agreed to all terms.</p>
-                </div>
-                ` : ''}
-
-                <p style="background: #e7f4ff; padding: 15px; border-radius: 8px; border-left: 4px solid #007bff;">
-                  <strong>Note:</strong> By accessing your client portal and using our services, you acknowledge that you have read, understood, and agree to all the terms and conditions in the attached agreement.
-                </p>
-
-                <div class="contact-info">
-                  <h3 class="section-title">📞 Our Contact Information</h3>
-                  <p><strong>Email:</strong> support@jladgroup.fi</p>
-                  <p><strong>Phone Support:</strong> +358413250081</p>
-                  <p><strong>Business Hours:</strong> Monday to Fri 9am to 3pm (EET/EEST)</p>
-                </div>
-              </div>
-
-              <div class="footer">
-                <p><strong>Credence Enterprise Accounting Services</strong></p>
-                <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-                <div class="dev-info">Developed by Vapautus Media Private Limited</div>
-                <p style="font-size: 12px; margin-top: 10px;">
-                  © ${new Date().getFullYear()} Credence Enterprise Accounting Services. All rights reserved.<br>
-                  Please retain this email and the attached agreement for your records.
-                </p>
-              </div>
-            </body>
-            </html>
-          `,
-          attachments
-        );
+        await sendTemplateEmail(enrollment.email, "enrollment-approved", {
+          enrollment,
+          clientId,
+          temporaryPassword: plainPassword,
+          portalUrl,
+          approvedAt: enrollment.reviewedAt,
+          approvedBy: req.user.name,
+          agreementAttached: !!pdfAttachment
+        }, { locale: enrollment.preferredLanguage, attachments });
 
         logToConsole("INFO", "WELCOME_EMAIL_SENT", {
           to: enrollment.email,
@@ -1963,7 +1618,7 @@ router.post("/action", auth, async (req, res) => {
 /* ===============================
    ADMIN VIEW ALL ENROLLMENTS
 ================================ */
-router.get("/all", auth, async (req, res) => {
+router.get("/all", requirePermission("enrollments:read"), async (req, res) => {
   try {
     logToConsole("INFO", "GET_ALL_ENROLLMENTS_REQUEST", {
       adminId: req.user.adminId,
@@ -2017,7 +1672,7 @@ router.get("/all", auth, async (req, res) => {
 /* ===============================
    ADMIN VIEW SINGLE ENROLLMENT
 ================================ */
-router.get("/:enrollId", auth, async (req, res) => {
+router.get("/:enrollId", requirePermission("enrollments:read"), async (req, res) => {
   try {
     logToConsole("INFO", "GET_SINGLE_ENROLLMENT_REQUEST", {
       adminId: req.user.adminId,
@@ -2096,7 +1751,7 @@ router.get("/:enrollId", auth, async (req, res) => {
    GET SINGLE ENROLLMENT DETAILS (FOR VIEW MODAL)
 ================================ */
 
-router.get("/enrollment/:enrollId", auth, async (req, res) => {
+router.get("/enrollment/:enrollId", requirePermission("enrollments:read"), async (req, res) => {
   try {
     logToConsole("INFO", "GET_ENROLLMENT_DETAILS_REQUEST", {
       adminId: req.user.adminId,
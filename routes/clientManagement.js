@@ -1,11 +1,14 @@
 const express = require("express");
 const mongoose = require("mongoose");
 const Client = require("../models/Client");
-const auth = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { revokeAllSessions } = require("../utils/sessionService");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
 const ActivityLog = require("../models/ActivityLog"); // ADDED
 const FinancialStatementRequest = require('../models/FinancialStatementRequest');
 
-const sendEmail = require("../utils/sendEmail");
+const { sendTemplateEmail } = require("../emails");
+const { notifyClient } = require("../utils/notifications");
 
 
 const router = express.Router();
@@ -19,7 +22,7 @@ const logToConsole = (type, operation, data) => {
 /* ===============================
    GET ALL CLIENTS (FOR ACTIVE CONTROL & CLIENTS DATA)
 ================================ */
-router.get("/all-clients", auth, async (req, res) => {
+router.get("/all-clients", requirePermission("clients:read"), async (req, res) => {
   try {
     const clients = await Client.find()
       .select("clientId name email phone firstName lastName visaType hasStrongId businessName vatPeriod businessNature registerTrade planSelected isActive enrollmentDate createdAt")
@@ -63,7 +66,7 @@ router.get("/all-clients", auth, async (req, res) => {
 /* ===============================
    TOGGLE CLIENT ACTIVE STATUS - WITH EMAIL NOTIFICATION
 ================================ */
-router.patch("/toggle-status/:clientId", auth, async (req, res) => {
+router.patch("/toggle-status/:clientId", requirePermission("clients:update"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const { isActive, reason } = req.body;
@@ -128,6 +131,11 @@ router.patch("/toggle-status/:clientId", auth, async (req, res) => {
       { new: true }
     ).select("-password -documents -employeeAssignments");
 
+    // Deactivated clients are signed out of every device
+    if (isActive === false) {
+      await revokeAllSessions("CLIENT", clientId, "ACCOUNT_DEACTIVATED", req.user.adminId);
+    }
+
     // Activity Log
     try {
       await ActivityLog.create({
@@ -154,142 +162,13 @@ router.patch("/toggle-status/:clientId", auth, async (req, res) => {
     // ========== NEW: Send email to client about status change ==========
     try {
       if (client.email) {
-        const currentDateTime = new Date().toLocaleString('en-IN', {
-          day: 'numeric',
-          month: 'long',
-          year: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        });
-
-        // Email subject based on action
-        const emailSubject = isActive
-          ? `✅ Account Reactivated - ${client.businessName || client.name}`
-          : `⚠️ Account Deactivated - ${client.businessName || client.name}`;
-
-        // Create email HTML
-        const emailHtml = `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Account Status Update</title>
-            <style>
-              body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-              .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-              .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-              .content { padding: 30px; background: #ffffff; }
-              .status-box { 
-                background: ${isActive ? '#e8f5e9' : '#ffebee'}; 
-                border-left: 4px solid ${isActive ? '#4caf50' : '#f44336'}; 
-                padding: 20px; 
-                margin: 25px 0; 
-                border-radius: 0 8px 8px 0;
-              }
-              .client-info { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-              .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-              .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-              .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-              .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              .warning-box { background: #fff3e0; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #ff9800; }
-              table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-              th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; }
-              th { background: #f8f9fa; font-weight: 600; width: 35%; }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>Credence Enterprise Accounting Services</h1>
-              <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-            </div>
-            
-            <div class="content">
-              <h2 style="color: #2c3e50; margin-top: 0;">Dear ${client.firstName || ''} ${client.lastName || ''},</h2>
-              
-              <div class="status-box">
-                <h3 style="margin-top: 0; color: ${isActive ? '#4caf50' : '#f44336'};">
-                  ${isActive ? '✅ ACCOUNT REACTIVATED' : '⚠️ ACCOUNT DEACTIVATED'}
-                </h3>
-                <p>Your account has been ${isActive ? 'reactivated' : 'deactivated'} by our admin team.</p>
-                <p><strong>Date & Time:</strong> ${currentDateTime}</p>
-                <p><strong>Admin:</strong> ${req.user.name}</p>
-                ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
-              </div>
-              
-              <div class="client-info">
-                <h3 class="section-title">📋 Account Information</h3>
-                <table>
-                  <tr>
-                    <th>Full Name</th>
-                    <td>${client.firstName || ''} ${client.lastName || ''}</td>
-                  </tr>
-                  <tr>
-                    <th>Business Name</th>
-                    <td>${client.businessName || 'Not specified'}</td>
-                  </tr>
-                  <tr>
-                    <th>Email</th>
-                    <td>${client.email}</td>
-                  </tr>
-                  <tr>
-                    <th>Phone</th>
-                    <td>${client.phone || 'Not provided'}</td>
-                  </tr>
-                  <tr>
-                    <th>Current Status</th>
-                    <td>
-                      <span style="color: ${isActive ? '#4caf50' : '#f44336'}; font-weight: bold;">
-                        ${isActive ? 'ACTIVE' : 'INACTIVE'}
-                      </span>
-                    </td>
-                  </tr>
-                </table>
-              </div>
-
-              ${!isActive ? `
-              <div class="warning-box">
-                <p><strong>⚠️ What this means:</strong></p>
-                <ul>
-                  <li>You will not be able to access your accounting portal</li>
-                  <li>Task assignments and new requests are paused</li>
-                  <li>Your data remains safe and secure with us</li>
-                </ul>
-                <p style="margin-top: 15px;">If you believe this was done in error or have questions, please contact our support team immediately.</p>
-              </div>
-              ` : `
-              <div class="warning-box" style="background: #e8f5e9; border-left-color: #4caf50;">
-                <p><strong>✅ Account Reactivated:</strong> You can now access all features of your accounting portal. All services have been restored.</p>
-              </div>
-              `}
-              
-              <div class="contact-info">
-                <h3 class="section-title">📞 Need Assistance?</h3>
-                <p><strong>Email:</strong> support@jladgroup.fi</p>
-                <p><strong>Phone Support:</strong> +358413250081</p>
-                <p><strong>Business Hours:</strong> Monday to Friday 9am to 3pm (EET/EEST)</p>
-              </div>
-            </div>
-            
-            <div class="footer">
-              <p><strong>Credence Enterprise Accounting Services</strong></p>
-              <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-              <div class="dev-info">
-                Developed by Vapautus Media Private Limited
-              </div>
-              <p style="font-size: 12px; margin-top: 10px;">
-                This is an automated notification email about your account status.<br>
-                Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-                Email sent to: ${client.email}
-              </p>
-            </div>
-          </body>
-          </html>
-        `;
-
-        // Send email using your sendEmail utility
-        await sendEmail(client.email, emailSubject, emailHtml);
+        await sendTemplateEmail(client.email, "account-status-changed", {
+          client,
+          active: isActive,
+          changedBy: req.user.name,
+          reason,
+          changedAt: new Date()
+        }, { locale: client.preferredLanguage });
 
         logToConsole("INFO", isActive ? "ACTIVATION_EMAIL_SENT" : "DEACTIVATION_EMAIL_SENT", {
           clientId: clientId,
@@ -338,7 +217,7 @@ router.patch("/toggle-status/:clientId", auth, async (req, res) => {
 /* ===============================
    UPDATE CLIENT DETAILS WITH EMAIL NOTIFICATION
 ================================ */
-router.patch("/update-client/:clientId", auth, async (req, res) => {
+router.patch("/update-client/:clientId", requirePermission("clients:update"), async (req, res) => {
   try {
     const { clientId } = req.params;
     const updateData = req.body;
@@ -426,162 +305,12 @@ router.patch("/update-client/:clientId", auth, async (req, res) => {
     // NEW: Send email to client about the update
     try {
       if (changes.length > 0 && client.email) {
-        // Format field names for display
-        const fieldDisplayNames = {
-          visaType: "Visa Type",
-          hasStrongId: "Strong ID Status",
-          vatPeriod: "VAT Period",
-          businessNature: "Business Nature",
-          registerTrade: "Registered Trade",
-          planSelected: "Selected Plan"
-        };
-
-        const currentDate = new Date().toLocaleDateString('en-IN');
-        const currentTime = new Date().toLocaleTimeString('en-IN', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        });
-
-        // Create email subject and HTML
-        const emailSubject = `✅ Client Profile Updated - ${client.businessName || client.name}`;
-
-        // Build changes table HTML
-        let changesTable = '';
-        changes.forEach(change => {
-          changesTable += `
-            <tr>
-              <th>${fieldDisplayNames[change.field] || change.field}</th>
-              <td><span style="color: #e74c3c; text-decoration: line-through;">${change.oldValue || 'Not set'}</span></td>
-              <td><span style="color: #27ae60; font-weight: bold;">→ ${change.newValue || 'Not set'}</span></td>
-            </tr>
-          `;
-        });
-
-        const emailHtml = `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Profile Updated</title>
-            <style>
-              body { font-family: 'Arial', 'Helvetica Neue', Helvetica, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-              .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-              .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-              .content { padding: 30px; background: #ffffff; }
-              .update-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-              .client-info { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-              .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-              .contact-info { margin-top: 20px; padding-top: 20px; border-top: 1px solid #dee2e6; }
-              .section-title { color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px; margin-bottom: 20px; }
-              .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-              .dev-link { color: #7cd64b !important; text-decoration: none; }
-              table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-              th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-              th { background: #f8f9fa; font-weight: 600; width: 35%; }
-              .note-box { background: #e3f2fd; padding: 15px; border-radius: 6px; margin: 20px 0; border-left: 4px solid #2196f3; }
-              .important-note { color: #ff9800; font-weight: 600; }
-              .change-table th { width: 25%; }
-              .old-value { color: #e74c3c; text-decoration: line-through; }
-              .new-value { color: #27ae60; font-weight: bold; }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>Credence Enterprise Accounting Services</h1>
-              <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-            </div>
-            
-            <div class="content">
-              <h2 style="color: #2c3e50; margin-top: 0;">Dear ${client.firstName} ${client.lastName},</h2>
-              
-              <div class="update-box">
-                <h3 style="margin-top: 0; color: #4caf50;">✅ PROFILE UPDATED SUCCESSFULLY</h3>
-                <p>Your client profile has been updated by our admin team. Below are the details of changes made:</p>
-                <p><strong>Updated On:</strong> ${currentDate} at ${currentTime} EET/EEST</p>
-                <p><strong>Updated By:</strong> ${req.user.name} (Admin)</p>
-              </div>
-              
-              <div class="client-info">
-                <h3 class="section-title">📋 Profile Changes Summary</h3>
-                <table class="change-table">
-                  <tr>
-                    <th>Field</th>
-                    <th>Previous Value</th>
-                    <th>New Value</th>
-                  </tr>
-                  ${changesTable}
-                </table>
-              </div>
-              
-              <div class="client-info">
-                <h3 class="section-title">👤 Your Current Profile Information</h3>
-                <table>
-                 
-                  <tr>
-                    <th>Full Name</th>
-                    <td>${client.firstName} ${client.lastName}</td>
-                  </tr>
-                  <tr>
-                    <th>Business Name</th>
-                    <td>${client.businessName || "Not specified"}</td>
-                  </tr>
-                  <tr>
-                    <th>Email</th>
-                    <td>${client.email}</td>
-                  </tr>
-                  <tr>
-                    <th>Phone</th>
-                    <td>${client.phone || "Not provided"}</td>
-                  </tr>
-                  <tr>
-                    <th>Visa Type</th>
-                    <td>${client.visaType || "Not specified"}</td>
-                  </tr>
-                  <tr>
-                    <th>Selected Plan</th>
-                    <td>${client.planSelected || "Not specified"}</td>
-                  </tr>
-                </table>
-              </div>
-              
-              <div class="note-box">
-                <p><strong>📝 Note:</strong> This update was performed by our admin team to ensure your profile information is accurate and up-to-date.</p>
-                <p>If you did not request these changes or notice any discrepancies, please contact our support team immediately.</p>
-              </div>
-              
-              <div class="contact-info">
-                <h3 class="section-title">📞 Need Assistance?</h3>
-                <p><strong>Email:</strong> support@jladgroup.fi</p>
-               <p><strong>Phone Support:</strong> +358413250081</p>
-                <p><strong>Business Hours:</strong> Monday to Fri 9am to 3pm (EET/EEST)</p>
-              </div>
-              
-              <p style="margin-top: 25px; font-size: 14px; color: #666;">
-                <strong>Important:</strong> Keeping your profile information updated ensures we provide you with the best accounting services and VAT compliance support.
-              </p>
-            </div>
-            
-            <div class="footer">
-              <p><strong>Credence Enterprise Accounting Services</strong></p>
-              <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-              <div class="dev-info">
-                Developed by Vapautus Media Private Limited
-              </div>
-              <p style="font-size: 12px; margin-top: 10px;">
-                This is an automated notification email sent to inform you about profile changes.<br>
-                Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-                Email sent to: ${client.email}
-              </p>
-            </div>
-          </body>
-          </html>
-        `;
-
-        // Send email using your sendEmail utility
-        const sendEmail = require("../utils/sendEmail");
-        await sendEmail(client.email, emailSubject, emailHtml);
+        await sendTemplateEmail(client.email, "profile-updated-by-admin", {
+          client,
+          changes,
+          updatedBy: req.user.name,
+          updatedAt: new Date()
+        }, { locale: client.preferredLanguage });
 
         logToConsole("INFO", "CLIENT_UPDATE_EMAIL_SENT", {
           clientId: clientId,
@@ -621,7 +350,7 @@ router.patch("/update-client/:clientId", auth, async (req, res) => {
 /* ===============================
    GET SINGLE CLIENT DETAILS
 ================================ */
-router.get("/client/:clientId", auth, async (req, res) => {
+router.get("/client/:clientId", requirePermission("clients:read"), async (req, res) => {
   try {
     const { clientId } = req.params;
 
@@ -674,7 +403,7 @@ router.get("/client/:clientId", auth, async (req, res) => {
 
 
 
-router.get('/all-requests', auth, async (req, res) => {
+router.get('/all-requests', requirePermission("statements:read"), async (req, res) => {
   try {
     const { status, page = 1, limit = 20, search } = req.query;
 
@@ -740,7 +469,7 @@ router.get('/all-requests', auth, async (req, res) => {
 });
 
 // 6. ADMIN: Get single request details
-router.get('/request/:requestId', auth, async (req, res) => {
+router.get('/request/:requestId', requirePermission("statements:read"), async (req, res) => {
   try {
     const request = await FinancialStatementRequest.findOne({
       requestId: req.params.requestId
@@ -767,8 +496,19 @@ router.get('/request/:requestId', auth, async (req, res) => {
   }
 });
 
+// In-app notification when a statement request is approved or sent;
+// the dedupe key keeps it to one per request
+const notifyStatementReady = (request, user) => notifyClient(request.clientId, {
+  type: "STATEMENT_READY",
+  title: `Your financial statements for ${request.dateRangeDisplay} are ready`,
+  message: request.adminNotes || undefined,
+  data: { requestId: request.requestId, dateRange: request.dateRangeDisplay, downloadUrl: request.downloadUrl || undefined },
+  actor: { type: "ADMIN", id: user.adminId, name: user.name },
+  dedupeKey: `statement-ready:${request.requestId}`
+});
+
 // 7. ADMIN: Approve and send statements
-router.put('/approve/:requestId', auth, async (req, res) => {
+router.put('/approve/:requestId', requirePermission("statements:manage"), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { adminNotes, downloadUrl } = req.body;
@@ -810,44 +550,18 @@ router.put('/approve/:requestId', auth, async (req, res) => {
     }
 
     await request.save();
+    await notifyStatementReady(request, req.user);
 
     // Send email to client ONLY (no email to admin)
     const clientEmail = request.clientEmail;
-    const clientName = request.clientName;
     const monthYear = `${request.month} ${request.year}`;
-
-    const clientSubject = `✅ Your Financial Statements for ${monthYear} are Ready!`;
-    const clientHtml = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #7cd64b;">Your Financial Statements are Ready!</h2>
-        <div style="background: #f8fff5; padding: 20px; border-radius: 10px; margin: 20px 0; border-left: 4px solid #7cd64b;">
-          <h3>Request Details:</h3>
-          <p><strong>Request ID:</strong> ${request.requestId}</p>
-          <p><strong>Period:</strong> ${monthYear}</p>
-          <p><strong>Status:</strong> <span style="color: #27ae60; font-weight: bold;">✅ Approved & Sent</span></p>
-          <p><strong>Sent Date:</strong> ${new Date().toLocaleString('en-IN')}</p>
-          ${downloadUrl ? `<p><strong>Download Link:</strong> <a href="${downloadUrl}" style="color: #3498db;">Click here to download</a></p>` : ''}
-          ${adminNotes ? `<p><strong>Admin Notes:</strong> ${adminNotes}</p>` : ''}
-        </div>
-        
-       
-        
-        <div style="background: #e3f2fd; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #2196f3;">
-          <p><strong>💡 Important:</strong></p>
-          <p>• Review the statements carefully</p>
-          <p>• Keep a copy for your records</p>
-          <p>• Contact us if you have any questions</p>
-        </div>
-        
-        <p style="margin-top: 30px;">Thank you for using our accounting services!</p>
-        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
-          <small>This is an automated notification from Credence Accounting Portal.</small>
-        </div>
-      </div>
-    `;
+    const client = await Client.findOne({ clientId: request.clientId }).select("preferredLanguage");
 
     // Send email to client
-    sendEmail(clientEmail, clientSubject, clientHtml)
+    sendTemplateEmail(clientEmail, "statement-ready", {
+      client: { name: request.clientName, email: clientEmail },
+      request
+    }, { locale: client?.preferredLanguage })
       .then(() => {
         // Update email sent status
         request.statementSentEmail = true;
@@ -901,7 +615,7 @@ router.put('/approve/:requestId', auth, async (req, res) => {
 });
 
 // 8. ADMIN: Update request status (for in_progress, sent, etc.)
-router.put('/update-status/:requestId', auth, async (req, res) => {
+router.put('/update-status/:requestId', requirePermission("statements:manage"), async (req, res) => {
   try {
     const { requestId } = req.params;
     const { status, adminNotes } = req.body;
@@ -946,6 +660,10 @@ router.put('/update-status/:requestId', auth, async (req, res) => {
 
     await request.save();
 
+    if (status === 'approved' || status === 'sent') {
+      await notifyStatementReady(request, req.user);
+    }
+
     // Create activity log
     try {
       await ActivityLog.create({
@@ -984,7 +702,7 @@ router.put('/update-status/:requestId', auth, async (req, res) => {
 });
 
 // 9. ADMIN: Get statistics/dashboard counts
-router.get('/statistics', auth, async (req, res) => {
+router.get('/statistics', requirePermission("statements:read"), async (req, res) => {
   try {
     const totalRequests = await FinancialStatementRequest.countDocuments();
     const pendingRequests = await FinancialStatementRequest.countDocuments({ status: 'pending' });
@@ -1079,7 +797,7 @@ function getMonthsInRange(startDate, endDate) {
    - Fast loading (< 2 seconds)
    - Correct month filtering
 ================================ */
-router.get("/task-info", auth, async (req, res) => {
+router.get("/task-info", requirePermission("dashboard:read"), async (req, res) => {
   try {
     const { filterType, fromDate, toDate } = req.query;
 
@@ -1165,7 +883,7 @@ router.get("/task-info", auth, async (req, res) => {
       ).lean();
 
       for (const client of clientsWithDocs) {
-        if (client.documents && typeof client.documents === 'object') {
+        if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
           for (const [yearKey, yearData] of Object.entries(client.documents)) {
             if (yearData && typeof yearData === 'object') {
               for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1,6 +1,5 @@
 const express = require("express");
 const multer = require("multer");
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
 const { v4: uuidv4 } = require("uuid");
 
 const Client = require("../models/Client");
@@ -8,19 +7,17 @@ const ClientMonthlyData = require("../models/ClientMonthlyData");
 const DeletedFile = require("../models/DeletedFile");
 const ActivityLog = require("../models/ActivityLog");
 const auth = require("../middleware/authMiddleware");
+const { requireClient } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const { notifyStaffAboutClient } = require("../utils/notifications");
+const { TrashError, snapshotOf, listTrash, restoreDeletedFile } = require("../utils/fileTrash");
+const { hashOf, findDuplicates } = require("../utils/fileHashes");
+const { FileVersionError, categoryOf, findFile, addVersion, listVersions, diffVersions, restoreVersion } = require("../utils/fileVersions");
+const { signFileUrls, userAccess } = require("../utils/signedUrls");
+const storage = require("../utils/storage");
 
 const router = express.Router();
-
-/* ===============================
-   AWS S3 CONFIG
-================================ */
-const s3 = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-    }
-});
+router.use(signFileUrls(userAccess));
 
 /* ===============================
    MULTER CONFIG
@@ -99,7 +96,7 @@ const getMonthData = async (clientId, year, month, clientDoc = null) => {
         }
     }
 
-    // 2. If not found, check OLD client.documents
+    // 2. If not found, check OLD client.documents (until legacy reads are switched off)
     let client = clientDoc;
     if (!client) {
         client = await Client.findOne({ clientId });
@@ -109,7 +106,7 @@ const getMonthData = async (clientId, year, month, clientDoc = null) => {
         const y = String(numericYear);
         const m = String(numericMonth);
 
-        if (client.documents.has(y) && client.documents.get(y).has(m)) {
+        if (legacyReadsEnabled() && client.documents.has(y) && client.documents.get(y).has(m)) {
             const oldData = client.documents.get(y).get(m);
             // Add year/month to old data for consistency
             oldData.year = numericYear;
@@ -275,6 +272,43 @@ const sendNotificationEmails = async ({ client, employeeName, actionType, detail
     }
 };
 
+/* ===============================
+   HELPER: IN-APP NOTIFICATIONS FOR ADMINS AND ASSIGNED EMPLOYEES
+================================ */
+const notifyStaff = (client, type, title, { year, month, categoryType, categoryName, fileName, note }) =>
+    notifyStaffAboutClient({ clientId: client.clientId, year, month }, {
+        type,
+        title,
+        message: note,
+        data: { year: parseInt(year), month: parseInt(month), categoryType, categoryName, fileName },
+        actor: { type: "CLIENT", id: client.clientId, name: client.name }
+    });
+
+/* ===============================
+   HELPER: DUPLICATE UPLOADS (see utils/fileHashes.js)
+   Sets duplicateOf on uploaded files whose content the client already
+   uploaded, in any month or category; returns them for the response.
+   The file being replaced (replacedUrl) does not count.
+================================ */
+const flagDuplicates = async (client, uploadedFiles, { year, month, type, categoryName, monthData, replacedUrl }) => {
+    const matches = await findDuplicates(client.clientId,
+        uploadedFiles.map(f => ({ ...f, categoryType: type, categoryName })), { year, month, monthData, excludeUrl: replacedUrl });
+
+    const duplicates = [];
+    uploadedFiles.forEach((file, index) => {
+        if (!matches[index]) return;
+        file.duplicateOf = matches[index];
+        duplicates.push({ fileName: file.fileName, duplicateOf: matches[index] });
+    });
+    if (duplicates.length > 0) {
+        logToConsole("WARN", "DUPLICATE_UPLOAD", { clientId: client.clientId, year, month, type, files: duplicates.map(d => d.fileName) });
+    }
+    return duplicates;
+};
+
+const duplicateWarning = (duplicates) => duplicates.length === 0 ? undefined :
+    `⚠️ Already uploaded before: ${duplicates.map(d => `${d.fileName} (same as ${d.duplicateOf.fileName}, ${d.duplicateOf.categoryName || d.duplicateOf.categoryType} ${d.duplicateOf.month}/${d.duplicateOf.year})`).join("; ")}`;
+
 /* ===============================
    UPLOAD / UPDATE FILES
 ================================ */
@@ -328,75 +362,49 @@ router.post("/upload", auth, upload.array("files"), async (req, res) => {
             return res.status(400).json({ message: "❌ Note required when updating locked month." });
         }
 
-        // Handle file replacement
-        if (replacedFile) {
-            let oldFile = null;
-            if (type === "other") {
-                const otherIndex = monthData.other?.findIndex(x => x.categoryName === categoryName);
-                if (otherIndex >= 0 && monthData.other[otherIndex].document) {
-                    const fileIndex = monthData.other[otherIndex].document.files.findIndex(f => f.fileName === replacedFile);
-                    if (fileIndex >= 0) {
-                        oldFile = monthData.other[otherIndex].document.files[fileIndex];
-                        monthData.other[otherIndex].document.files.splice(fileIndex, 1);
-                        await DeletedFile.create({
-                            clientId: client.clientId, fileName: oldFile.fileName, fileUrl: oldFile.url,
-                            fileSize: oldFile.fileSize, fileType: oldFile.fileType, year: parseInt(year),
-                            month: parseInt(month), categoryType: type, categoryName: categoryName,
-                            uploadedBy: oldFile.uploadedBy, uploadedAt: oldFile.uploadedAt,
-                            deletedBy: client.clientId, deleteNote: deleteNote || "Replaced",
-                            wasReplaced: true, replacedByFile: req.files[0]?.originalname
-                        });
-                    }
-                }
-            } else {
-                const fileIndex = monthData[type]?.files?.findIndex(f => f.fileName === replacedFile);
-                if (fileIndex >= 0) {
-                    oldFile = monthData[type].files[fileIndex];
-                    monthData[type].files.splice(fileIndex, 1);
-                    await DeletedFile.create({
-                        clientId: client.clientId, fileName: oldFile.fileName, fileUrl: oldFile.url,
-                        fileSize: oldFile.fileSize, fileType: oldFile.fileType, year: parseInt(year),
-                        month: parseInt(month), categoryType: type, uploadedBy: oldFile.uploadedBy,
-                        uploadedAt: oldFile.uploadedAt, deletedBy: client.clientId,
-                        deleteNote: deleteNote || "Replaced", wasReplaced: true,
-                        replacedByFile: req.files[0]?.originalname
-                    });
-                }
-            }
+        // A replaced file is not deleted: the first uploaded file becomes its
+        // new version and the replaced one stays stored as a previous version
+        const replacedTarget = replacedFile ? category?.files?.find(f => f.fileName === replacedFile) : null;
+        if (replacedFile && !replacedTarget) {
+            return res.status(404).json({ message: "❌ File to replace not found." });
         }
 
-        // Upload files to S3
+        // Store the files
         const uploadedFiles = [];
         for (const file of req.files) {
             const fileExt = file.originalname.split(".").pop();
             const key = `clients/${client.clientId}/${year}/${month}/${uuidv4()}.${fileExt}`;
-            await s3.send(new PutObjectCommand({
-                Bucket: process.env.AWS_BUCKET, Key: key, Body: file.buffer, ContentType: file.mimetype
-            }));
             uploadedFiles.push({
-                url: `https://${process.env.AWS_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`,
+                url: await storage.putObject(key, file.buffer, file.mimetype),
                 uploadedAt: new Date(), uploadedBy: client.clientId, fileName: file.originalname,
-                fileSize: file.size, fileType: file.mimetype, notes: []
+                fileSize: file.size, fileType: file.mimetype, fileHash: hashOf(file.buffer), notes: []
             });
         }
+        const duplicates = await flagDuplicates(client, uploadedFiles, { year, month, type, categoryName, monthData, replacedUrl: replacedTarget?.url });
 
         // Add files to category
+        let newFiles = uploadedFiles;
+        if (replacedTarget) {
+            addVersion(replacedTarget, uploadedFiles[0], { replacedBy: client.clientId, replaceNote: deleteNote || "Replaced" });
+            newFiles = uploadedFiles.slice(1);
+        }
+
         if (type === "other") {
             let otherCategory = monthData.other?.find(x => x.categoryName === categoryName);
             if (otherCategory) {
-                otherCategory.document.files.push(...uploadedFiles);
+                otherCategory.document.files.push(...newFiles);
             } else {
                 monthData.other = monthData.other || [];
                 monthData.other.push({
                     categoryName,
-                    document: { files: uploadedFiles, categoryNotes: [], isLocked: false, wasLockedOnce: false }
+                    document: { files: newFiles, categoryNotes: [], isLocked: false, wasLockedOnce: false }
                 });
             }
         } else {
             if (!monthData[type]) {
-                monthData[type] = { files: uploadedFiles, categoryNotes: [], isLocked: false, wasLockedOnce: false };
+                monthData[type] = { files: newFiles, categoryNotes: [], isLocked: false, wasLockedOnce: false };
             } else {
-                monthData[type].files.push(...uploadedFiles);
+                monthData[type].files.push(...newFiles);
             }
         }
 
@@ -419,16 +427,31 @@ router.post("/upload", auth, upload.array("files"), async (req, res) => {
                     categoryType: type, categoryName: categoryName, note
                 });
             } catch (emailError) { console.error("Email error:", emailError); }
+            await notifyStaff(client, "NOTE_ADDED", `${client.name} added a note to ${type} (${month}/${year})`, {
+                year, month, categoryType: type, categoryName,
+                fileName: uploadedFiles.map(f => f.fileName).join(', '), note
+            });
         }
 
+        await notifyStaff(client, "FILE_UPLOADED", `${client.name} uploaded ${uploadedFiles.length} file(s) to ${type} (${month}/${year})`, {
+            year, month, categoryType: type, categoryName, fileName: uploadedFiles.map(f => f.fileName).join(', '),
+            note: duplicateWarning(duplicates)
+        });
+
         await ActivityLog.create({
             userName: client.name, role: "CLIENT", clientId: client.clientId, clientName: client.name,
-            action: replacedFile ? "CLIENT_FILE_UPDATED" : "CLIENT_FILE_UPLOADED",
-            details: `${uploadedFiles.length} file(s) uploaded`, dateTime: new Date(),
-            metadata: { year, month, type, categoryName, filesCount: uploadedFiles.length, totalSize }
+            action: replacedTarget ? "CLIENT_FILE_UPDATED" : "CLIENT_FILE_UPLOADED",
+            details: (replacedTarget
+                ? `${uploadedFiles.length} file(s) uploaded, ${replacedFile} replaced by version ${replacedTarget.version} (${replacedTarget.fileName})`
+                : `${uploadedFiles.length} file(s) uploaded`) + (duplicates.length ? `, ${duplicates.length} already uploaded before` : ""),
+            dateTime: new Date(),
+            metadata: { year, month, type, categoryName, filesCount: uploadedFiles.length, totalSize, duplicates: duplicates.length }
         });
 
-        res.json({ message: `✅ ${req.files.length} file(s) uploaded!`, filesCount: req.files.length, totalSize, monthData });
+        res.json({
+            message: `✅ ${req.files.length} file(s) uploaded!`, warning: duplicateWarning(duplicates), duplicates,
+            filesCount: req.files.length, totalSize, monthData
+        });
     } catch (err) {
         logToConsole("ERROR", "UPLOAD_FAILED", { error: err.message });
         if (err.message?.includes("Invalid file type")) {
@@ -459,6 +482,9 @@ router.get("/month-data", auth, async (req, res) => {
         const employeeMap = new Map();
         const employeeIds = new Set();
 
+        // Notes of the current version and of earlier versions of a file
+        const fileNoteArrays = (file) => [file.notes, ...(file.previousVersions || []).map(previous => previous.notes)];
+
         const collectEmployeeIds = (notesArray) => {
             if (!notesArray || !Array.isArray(notesArray)) return;
             notesArray.forEach(note => { if (note.employeeId) employeeIds.add(note.employeeId); });
@@ -467,14 +493,14 @@ router.get("/month-data", auth, async (req, res) => {
         ['sales', 'purchase', 'bank'].forEach(category => {
             if (monthData[category]) {
                 collectEmployeeIds(monthData[category].categoryNotes);
-                monthData[category].files?.forEach(file => collectEmployeeIds(file.notes));
+                monthData[category].files?.forEach(file => fileNoteArrays(file).forEach(notes => collectEmployeeIds(notes)));
             }
         });
         if (monthData.other) {
             monthData.other.forEach(otherCategory => {
                 if (otherCategory.document) {
                     collectEmployeeIds(otherCategory.document.categoryNotes);
-                    otherCategory.document.files?.forEach(file => collectEmployeeIds(file.notes));
+                    otherCategory.document.files?.forEach(file => fileNoteArrays(file).forEach(notes => collectEmployeeIds(notes)));
                 }
             });
         }
@@ -488,20 +514,26 @@ router.get("/month-data", auth, async (req, res) => {
             if (!notesArray) return;
             notesArray.forEach(note => {
                 note.employeeName = note.employeeId && employeeMap.has(note.employeeId) ? employeeMap.get(note.employeeId) : note.addedBy || 'Unknown';
+                // Deleted notes keep their place in a thread, not their text
+                if (note.isDeleted) {
+                    note.note = "";
+                    note.revisions = [];
+                }
             });
         };
 
+        populateEmployeeNames(monthData.monthNotes);
         ['sales', 'purchase', 'bank'].forEach(category => {
             if (monthData[category]) {
                 populateEmployeeNames(monthData[category].categoryNotes);
-                monthData[category].files?.forEach(file => populateEmployeeNames(file.notes));
+                monthData[category].files?.forEach(file => fileNoteArrays(file).forEach(notes => populateEmployeeNames(notes)));
             }
         });
         if (monthData.other) {
             monthData.other.forEach(otherCategory => {
                 if (otherCategory.document) {
                     populateEmployeeNames(otherCategory.document.categoryNotes);
-                    otherCategory.document.files?.forEach(file => populateEmployeeNames(file.notes));
+                    otherCategory.document.files?.forEach(file => fileNoteArrays(file).forEach(notes => populateEmployeeNames(notes)));
                 }
             });
         }
@@ -566,7 +598,8 @@ router.delete("/delete-file", auth, async (req, res) => {
             fileSize: deletedFileData.fileSize, fileType: deletedFileData.fileType, year: parseInt(year),
             month: parseInt(month), categoryType: type, categoryName: categoryName,
             uploadedBy: deletedFileData.uploadedBy, uploadedAt: deletedFileData.uploadedAt,
-            deletedBy: client.clientId, deleteNote: deleteNote || "No reason provided"
+            deletedBy: client.clientId, deleteNote: deleteNote || "No reason provided",
+            fileData: snapshotOf(deletedFileData)
         });
 
         if (category) {
@@ -588,6 +621,11 @@ router.delete("/delete-file", auth, async (req, res) => {
             });
         } catch (emailError) { console.error("Email error:", emailError); }
 
+        await notifyStaff(client, "NOTE_ADDED", `${client.name} deleted ${fileName} (${month}/${year})`, {
+            year, month, categoryType: type, categoryName, fileName,
+            note: `File deleted: ${fileName}. Reason: ${deleteNote || "No reason provided"}`
+        });
+
         await ActivityLog.create({
             userName: client.name, role: "CLIENT", clientId: client.clientId, clientName: client.name,
             action: "CLIENT_FILE_DELETED", details: `Deleted file: ${fileName}`, dateTime: new Date(),
@@ -702,7 +740,8 @@ router.post("/delete-multiple-files", auth, async (req, res) => {
                 uploadedBy: deletedFileData.uploadedBy,
                 uploadedAt: deletedFileData.uploadedAt,
                 type: type,
-                categoryName: categoryName
+                categoryName: categoryName,
+                fileData: snapshotOf(deletedFileData)
             });
         }
 
@@ -734,7 +773,8 @@ router.post("/delete-multiple-files", auth, async (req, res) => {
                 uploadedAt: deletedFile.uploadedAt,
                 deletedBy: client.clientId,
                 deleteNote: bulkDeleteNote,
-                wasReplaced: false
+                wasReplaced: false,
+                fileData: deletedFile.fileData
             });
         }
 
@@ -803,6 +843,11 @@ router.post("/delete-multiple-files", auth, async (req, res) => {
             console.error("Email error:", emailError);
         }
 
+        // In-app notification, one per bulk delete
+        await notifyStaff(client, "NOTE_ADDED", `${client.name} deleted ${deletedFilesInfo.length} file(s) (${month}/${year})`, {
+            year, month, categoryType: "multiple", fileName: fileNamesList, note: bulkDeleteNote
+        });
+
         // Log activity
         await ActivityLog.create({
             userName: client.name,
@@ -952,15 +997,13 @@ router.post("/upload-and-lock", auth, upload.array("files"), async (req, res) =>
         for (const file of req.files) {
             const fileExt = file.originalname.split(".").pop();
             const key = `clients/${client.clientId}/${year}/${month}/${uuidv4()}.${fileExt}`;
-            await s3.send(new PutObjectCommand({
-                Bucket: process.env.AWS_BUCKET, Key: key, Body: file.buffer, ContentType: file.mimetype
-            }));
             uploadedFiles.push({
-                url: `https://${process.env.AWS_BUCKET}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`,
+                url: await storage.putObject(key, file.buffer, file.mimetype),
                 uploadedAt: new Date(), uploadedBy: client.clientId, fileName: file.originalname,
-                fileSize: file.size, fileType: file.mimetype, notes: []
+                fileSize: file.size, fileType: file.mimetype, fileHash: hashOf(file.buffer), notes: []
             });
         }
+        const duplicates = await flagDuplicates(client, uploadedFiles, { year, month, type, categoryName, monthData });
 
         let targetCategory;
         if (type === "other") {
@@ -1018,15 +1061,30 @@ router.post("/upload-and-lock", auth, upload.array("files"), async (req, res) =>
             });
         } catch (emailError) { console.error("Email error:", emailError); }
 
+        await notifyStaff(client, "FILE_UPLOADED", `${client.name} uploaded ${uploadedFiles.length} file(s) and locked ${type} (${month}/${year})`, {
+            year, month, categoryType: type, categoryName, fileName: uploadedFiles.map(f => f.fileName).join(', '),
+            note: duplicateWarning(duplicates)
+        });
+        if (note) {
+            await notifyStaff(client, "NOTE_ADDED", `${client.name} added a note to ${type} (${month}/${year})`, {
+                year, month, categoryType: type, categoryName,
+                fileName: uploadedFiles.map(f => f.fileName).join(', '), note
+            });
+        }
+
         await ActivityLog.create({
             userName: client.name, role: "CLIENT", clientId: client.clientId, clientName: client.name,
             action: "CLIENT_FILE_UPLOADED_AND_LOCKED",
-            details: `Uploaded ${uploadedFiles.length} file(s) and locked ${type}${categoryName ? ` (${categoryName})` : ''}`,
+            details: `Uploaded ${uploadedFiles.length} file(s) and locked ${type}${categoryName ? ` (${categoryName})` : ''}` +
+                (duplicates.length ? `, ${duplicates.length} already uploaded before` : ""),
             dateTime: new Date(),
             metadata: { year, month, type, categoryName, filesCount: uploadedFiles.length, totalSize, noteProvided: !!note }
         });
 
-        res.json({ message: `✅ ${req.files.length} file(s) uploaded and locked!`, filesCount: req.files.length, totalSize, monthData });
+        res.json({
+            message: `✅ ${req.files.length} file(s) uploaded and locked!`, warning: duplicateWarning(duplicates), duplicates,
+            filesCount: req.files.length, totalSize, monthData
+        });
     } catch (err) {
         logToConsole("ERROR", "UPLOAD_LOCK_FAILED", { error: err.message });
         if (err.message?.includes("Invalid file type")) {
@@ -1158,6 +1216,15 @@ router.post("/lock-category", auth, async (req, res) => {
             // Don't fail the request if email fails
         }
 
+        await notifyStaff(client, "CATEGORY_LOCKED", `${client.name} locked ${categoryDisplayName} (${month}/${year})`, {
+            year, month, categoryType: type, categoryName
+        });
+        if (note && note.trim()) {
+            await notifyStaff(client, "NOTE_ADDED", `${client.name} locked ${categoryDisplayName} with a note (${month}/${year})`, {
+                year, month, categoryType: type, categoryName, note: note.trim()
+            });
+        }
+
         // Log activity using existing model
         await ActivityLog.create({
             userName: client.name,
@@ -1208,16 +1275,123 @@ router.post("/lock-category", auth, async (req, res) => {
 });
 
 /* ===============================
-   GET DELETED FILES
+   FILE VERSIONS (see utils/fileVersions.js)
+   Files are addressed by the name of their current version.
+================================ */
+const sendFileVersionError = (res, err, operation, context) => {
+    if (err instanceof FileVersionError) {
+        return res.status(err.status).json({ message: `❌ ${err.message}`, code: err.code });
+    }
+    logToConsole("ERROR", operation, { ...context, error: err.message });
+    res.status(500).json({
+        message: "❌ Failed to handle file versions.",
+        error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+};
+
+router.get("/file-versions", requireClient, async (req, res) => {
+    try {
+        const { year, month, type, categoryName, fileName } = req.query;
+        if (!year || !month || !type || !fileName) {
+            return res.status(400).json({ message: "❌ year, month, type and fileName are required." });
+        }
+
+        const { data: monthData } = await getMonthData(req.user.clientId, year, month);
+        const file = findFile(monthData, type, categoryName, fileName);
+
+        res.json({ fileName: file.fileName, currentVersion: file.version || 1, versions: listVersions(file) });
+    } catch (err) {
+        sendFileVersionError(res, err, "LIST_FILE_VERSIONS_FAILED", { clientId: req.user?.clientId });
+    }
+});
+
+router.get("/file-versions/diff", requireClient, async (req, res) => {
+    try {
+        const { year, month, type, categoryName, fileName, from, to } = req.query;
+        if (!year || !month || !type || !fileName || !from) {
+            return res.status(400).json({ message: "❌ year, month, type, fileName and from are required." });
+        }
+
+        const { data: monthData } = await getMonthData(req.user.clientId, year, month);
+        const file = findFile(monthData, type, categoryName, fileName);
+
+        // Without "to" the version is compared with the current one
+        res.json(diffVersions(file, from, to || file.version || 1));
+    } catch (err) {
+        sendFileVersionError(res, err, "DIFF_FILE_VERSIONS_FAILED", { clientId: req.user?.clientId });
+    }
+});
+
+router.post("/file-versions/restore", requireClient, async (req, res) => {
+    try {
+        const { year, month, type, categoryName, fileName, version, note } = req.body;
+        if (!year || !month || !type || !fileName || !version) {
+            return res.status(400).json({ message: "❌ year, month, type, fileName and version are required." });
+        }
+
+        const client = await Client.findOne({ clientId: req.user.clientId });
+        if (!client) {
+            return res.status(404).json({ message: "❌ Client not found." });
+        }
+
+        const { data: monthData, source: dataSource, client: existingClient, yearKey, monthKey, newDoc } =
+            await getMonthData(client.clientId, year, month, client);
+
+        if (monthData.monthActiveStatus === 'inactive') {
+            return res.status(403).json({ message: `❌ Cannot restore. Month ${month}/${year} was inactive.` });
+        }
+
+        const category = categoryOf(monthData, type, categoryName);
+        if (monthData.isLocked || category?.isLocked) {
+            return res.status(403).json({ message: "❌ Cannot restore. Month or category is locked." });
+        }
+
+        if (monthData.wasLockedOnce && !note) {
+            return res.status(400).json({ message: "❌ Note required when updating locked month." });
+        }
+
+        const file = findFile(monthData, type, categoryName, fileName);
+        const newVersion = restoreVersion(file, version, { restoredBy: client.clientId, note });
+
+        if (monthData.wasLockedOnce && note) {
+            category.categoryNotes = category.categoryNotes || [];
+            category.categoryNotes.push({ note, addedBy: client.clientId, addedAt: new Date() });
+        }
+
+        await saveMonthData(client.clientId, year, month, monthData, dataSource, { client: existingClient, yearKey, monthKey, newDoc });
+
+        await notifyStaff(client, "FILE_UPLOADED", `${client.name} restored version ${version} of ${fileName} (${month}/${year})`, {
+            year, month, categoryType: type, categoryName, fileName: file.fileName, note
+        });
+
+        await ActivityLog.create({
+            userName: client.name, role: "CLIENT", clientId: client.clientId, clientName: client.name,
+            action: "CLIENT_FILE_VERSION_RESTORED",
+            details: `Restored version ${version} of ${fileName} as version ${newVersion} (${file.fileName})`, dateTime: new Date(),
+            metadata: { year, month, type, categoryName, fileName, version, newVersion }
+        });
+
+        logToConsole("SUCCESS", "FILE_VERSION_RESTORED", { clientId: client.clientId, year, month, type, fileName, version, newVersion });
+
+        res.json({
+            message: `✅ Version ${version} restored as version ${newVersion}.`,
+            fileName: file.fileName,
+            currentVersion: newVersion,
+            versions: listVersions(file),
+            monthData
+        });
+    } catch (err) {
+        sendFileVersionError(res, err, "RESTORE_FILE_VERSION_FAILED", { clientId: req.user?.clientId });
+    }
+});
+
+/* ===============================
+   TRASH: DELETED FILES (see utils/fileTrash.js)
 ================================ */
 router.get("/deleted-files", auth, async (req, res) => {
     try {
         const { year, month } = req.query;
-        const clientId = req.user.clientId;
-        const query = { clientId };
-        if (year) query.year = parseInt(year);
-        if (month) query.month = parseInt(month);
-        const deletedFiles = await DeletedFile.find(query).sort({ deletedAt: -1 }).limit(50);
+        const deletedFiles = await listTrash(req.user.clientId, { year, month });
         res.json(deletedFiles);
     } catch (err) {
         console.error("GET_DELETED_FILES_ERROR:", err.message);
@@ -1225,6 +1399,30 @@ router.get("/deleted-files", auth, async (req, res) => {
     }
 });
 
+// Only while the month and category are unlocked; admins restore through /admin
+router.post("/deleted-files/:deletedFileId/restore", requireClient, async (req, res) => {
+    try {
+        const client = await Client.findOne({ clientId: req.user.clientId });
+        if (!client) {
+            return res.status(404).json({ message: "❌ Client not found." });
+        }
+
+        const actor = { type: "client", id: client.clientId, name: client.name };
+        const { deletedFile, monthData } = await restoreDeletedFile(req.params.deletedFileId, actor);
+
+        res.json({ message: `✅ ${deletedFile.fileName} restored.`, deletedFile, monthData });
+    } catch (err) {
+        if (err instanceof TrashError) {
+            return res.status(err.status).json({ message: `❌ ${err.message}`, code: err.code });
+        }
+        logToConsole("ERROR", "RESTORE_DELETED_FILE_FAILED", { clientId: req.user?.clientId, deletedFileId: req.params.deletedFileId, error: err.message });
+        res.status(500).json({
+            message: "❌ Failed to restore file.",
+            error: process.env.NODE_ENV === 'development' ? err.message : undefined
+        });
+    }
+});
+
 /* ===============================
    GET EMPLOYEE ASSIGNMENT INFO
 ================================ */
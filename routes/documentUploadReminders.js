@@ -1,9 +1,16 @@
 const express = require("express");
-const cron = require("node-cron");
 const Client = require("../models/Client");
 const sendEmail = require("../utils/sendEmail");
-const documentUploadReminderTemplate = require("../utils/documentUploadReminderTemplate");
+const { sendTemplateEmail } = require("../emails");
 const ActivityLog = require("../models/ActivityLog");
+const Assignment = require("../models/Assignment");
+const Employee = require("../models/Employee");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const auditAccess = require("../middleware/auditAccess");
+const config = require("../config");
+const { defineJob, periodKey, previousMonthOf } = require("../utils/jobScheduler");
+const { documentStatusByClient } = require("../utils/documentCompleteness");
+const { preferencesByClient, allows } = require("../utils/notificationPreferences");
 
 const router = express.Router();
 
@@ -101,25 +108,79 @@ const notifyAdminAboutFailedUploadReminders = async (failedClients, errorReason)
     }
 };
 
+/* ===============================
+   ASSIGNED EMPLOYEES FOR ESCALATION
+================================ */
+// employeeId -> Set of clientIds assigned for the month, from the canonical
+// Assignment collection with Client.employeeAssignments as fallback for
+// assignments not backfilled yet
+const assignedEmployeesByClient = async (clients, { year, month }) => {
+    const clientIds = clients.map(c => c.clientId);
+    const assignments = await Assignment.find({
+        clientId: { $in: clientIds },
+        year,
+        month,
+        isRemoved: false
+    }).select("clientId employeeId").lean();
+
+    const byClient = new Map();
+    const add = (clientId, employeeId) => {
+        if (!byClient.has(clientId)) byClient.set(clientId, new Set());
+        byClient.get(clientId).add(employeeId);
+    };
+
+    assignments.forEach(a => add(a.clientId, a.employeeId));
+
+    clients.forEach(client => {
+        if (byClient.has(client.clientId)) return;
+        (client.employeeAssignments || [])
+            .filter(a => a.year === year && a.month === month && a.isRemoved !== true)
+            .forEach(a => add(client.clientId, a.employeeId));
+    });
+
+    return byClient;
+};
+
+const notifyEmployeeAboutIncompleteClients = async (employee, incompleteClients, documentMonth, idempotencyKey) => {
+    await sendTemplateEmail(employee.email, "document-reminder-escalation", {
+        employee,
+        documentMonth,
+        clients: incompleteClients
+    }, { locale: employee.preferredLanguage, idempotencyKey });
+};
+
 /* ===============================
    DOCUMENT UPLOAD REMINDER FUNCTION
+   Only clients whose document month is incomplete get an email, listing
+   the categories that are still empty or not locked. Inactive and
+   complete months are skipped. With escalate, each assigned employee also
+   gets the list of their clients that are still incomplete.
+   Scheduled runs pass `reminder` (EARLY, MAIN, ESCALATION) so each email
+   is queued at most once per month; manual runs always send. Clients who
+   switched reminder emails off get none, but are still escalated.
 ================================ */
-const sendDocumentUploadReminders = async () => {
+// documentMonth { year, month } defaults to the previous month
+const sendDocumentUploadReminders = async (documentMonth, { escalate = false, reminder } = {}) => {
     const startTime = Date.now();
     const operationId = `DOCUMENT_UPLOAD_REMINDER_${new Date().toISOString().split('T')[0]}`;
 
-    // Get previous month for logging
+    // Get document month for logging
     const currentDate = new Date();
-    const previousMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
+    const previousMonth = documentMonth
+        ? new Date(documentMonth.year, documentMonth.month - 1, 1)
+        : new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
     const previousMonthYear = previousMonth.toLocaleDateString("en-GB", {
         month: "long",
         year: "numeric",
         timeZone: "Europe/Helsinki"
     });
+    const period = { year: previousMonth.getFullYear(), month: previousMonth.getMonth() + 1 };
+    const reminderKey = reminder && `document-reminder:${reminder}:${periodKey(period)}`;
 
     logToConsole("INFO", "DOCUMENT_UPLOAD_REMINDER_STARTED", {
         operationId,
         documentMonth: previousMonthYear,
+        escalate,
         startTime: new Date(startTime).toLocaleString("en-IN", {
             timeZone: "Europe/Helsinki"
         })
@@ -149,39 +210,75 @@ const sendDocumentUploadReminders = async () => {
             };
         }
 
-        // 2. SEND EMAILS TO EACH CLIENT
+        // 2. CHECK WHAT EACH CLIENT STILL HAS TO UPLOAD
+        const statuses = await documentStatusByClient(activeClients, period);
+        const preferences = await preferencesByClient(activeClients.map(c => c.clientId));
+
+        // 3. SEND EMAILS TO CLIENTS WITH INCOMPLETE MONTHS
         const results = {
             sent: [],
-            failed: []
+            failed: [],
+            complete: [],
+            inactive: [],
+            escalated: [],
+            escalationFailed: [],
+            unassigned: [],
+            optedOut: []
         };
+        const incompleteClients = [];
 
         for (const client of activeClients) {
-            try {
-                const template = documentUploadReminderTemplate(client);
+            const { inactive, complete, missing } = statuses.get(client.clientId);
 
-                await sendEmail(
-                    client.email,
-                    template.subject,
-                    template.html
-                );
+            if (inactive) {
+                results.inactive.push(client.clientId);
+                continue;
+            }
+            if (complete) {
+                results.complete.push(client.clientId);
+                continue;
+            }
+
+            incompleteClients.push({
+                clientId: client.clientId,
+                name: client.name || `${client.firstName} ${client.lastName}`,
+                email: client.email,
+                missing
+            });
+
+            if (!allows(preferences.get(client.clientId), "reminders")) {
+                results.optedOut.push(client.clientId);
+                continue;
+            }
+
+            try {
+                await sendTemplateEmail(client.email, "document-reminder", {
+                    client,
+                    documentMonth: period,
+                    missing,
+                    final: escalate
+                }, {
+                    locale: client.preferredLanguage,
+                    clientId: client.clientId,
+                    idempotencyKey: reminderKey && `${reminderKey}:${client.clientId}`
+                });
 
                 results.sent.push({
                     clientId: client.clientId,
                     name: `${client.firstName} ${client.lastName}`,
                     email: client.email,
                     businessName: client.businessName,
-                    documentMonth: previousMonthYear
+                    documentMonth: previousMonthYear,
+                    missing: missing.map(m => `${m.label}:${m.status}`)
                 });
 
                 logToConsole("INFO", "DOCUMENT_UPLOAD_REMINDER_SENT", {
                     clientId: client.clientId,
                     email: client.email,
-                    documentMonth: previousMonthYear
+                    documentMonth: previousMonthYear,
+                    missing: missing.map(m => `${m.label}:${m.status}`)
                 });
 
-                // Add small delay to avoid overwhelming email service
-                await new Promise(resolve => setTimeout(resolve, 100));
-
             } catch (error) {
                 results.failed.push({
                     clientId: client.clientId,
@@ -200,15 +297,66 @@ const sendDocumentUploadReminders = async () => {
             }
         }
 
-        // 3. LOG ACTIVITY
+        // 4. ESCALATE TO ASSIGNED EMPLOYEES
+        if (escalate && incompleteClients.length > 0) {
+            const assigned = await assignedEmployeesByClient(activeClients, period);
+            const clientsByEmployee = new Map();
+
+            incompleteClients.forEach(c => {
+                const employeeIds = assigned.get(c.clientId);
+                if (!employeeIds || employeeIds.size === 0) {
+                    results.unassigned.push(c.clientId);
+                    return;
+                }
+                employeeIds.forEach(employeeId => {
+                    if (!clientsByEmployee.has(employeeId)) clientsByEmployee.set(employeeId, []);
+                    clientsByEmployee.get(employeeId).push(c);
+                });
+            });
+
+            const employees = await Employee.find({
+                employeeId: { $in: [...clientsByEmployee.keys()] },
+                isActive: true
+            }).select("employeeId name email preferredLanguage").lean();
+
+            for (const employee of employees) {
+                const employeeClients = clientsByEmployee.get(employee.employeeId);
+                try {
+                    await notifyEmployeeAboutIncompleteClients(
+                        employee,
+                        employeeClients,
+                        period,
+                        reminderKey && `${reminderKey}:employee:${employee.employeeId}`
+                    );
+                    results.escalated.push({ employeeId: employee.employeeId, clients: employeeClients.length });
+
+                    logToConsole("INFO", "DOCUMENT_UPLOAD_ESCALATED", {
+                        employeeId: employee.employeeId,
+                        email: employee.email,
+                        documentMonth: previousMonthYear,
+                        clientIds: employeeClients.map(c => c.clientId)
+                    });
+                } catch (error) {
+                    results.escalationFailed.push({ employeeId: employee.employeeId, error: error.message });
+
+                    logToConsole("ERROR", "DOCUMENT_UPLOAD_ESCALATION_FAILED", {
+                        employeeId: employee.employeeId,
+                        error: error.message
+                    });
+                }
+            }
+        }
+
+        // 5. LOG ACTIVITY
         await ActivityLog.create({
             userName: "SYSTEM",
             role: "SYSTEM",
             action: "DOCUMENT_UPLOAD_REMINDER_SENT",
-            details: `Document upload reminders sent for ${previousMonthYear} to ${results.sent.length} active clients. ${results.failed.length} failed.`
+            details: `Document upload reminders sent for ${previousMonthYear} to ${results.sent.length} clients with missing documents. ${results.failed.length} failed, ${results.complete.length} complete, ${results.inactive.length} inactive, ${results.optedOut.length} opted out.` +
+                (escalate ? ` Escalated to ${results.escalated.length} employees, ${results.unassigned.length} incomplete clients unassigned.` : "")
         });
 
-        // 4. NOTIFY ADMIN IF ANY FAILURES
+        // 6. NOTIFY ADMIN IF ANY FAILURES
         if (results.failed.length > 0) {
             await notifyAdminAboutFailedUploadReminders(results.failed, "Email delivery failed");
         }
@@ -222,6 +370,10 @@ const sendDocumentUploadReminders = async () => {
             duration: `${duration} seconds`,
             sentCount: results.sent.length,
             failedCount: results.failed.length,
+            completeCount: results.complete.length,
+            inactiveCount: results.inactive.length,
+            optedOutCount: results.optedOut.length,
+            escalatedCount: results.escalated.length,
             totalClients: activeClients.length
         });
 
@@ -233,7 +385,16 @@ const sendDocumentUploadReminders = async () => {
                 totalClients: activeClients.length,
                 sent: results.sent.length,
                 failed: results.failed.length,
+                complete: results.complete.length,
+                inactive: results.inactive.length,
+                optedOut: results.optedOut.length,
+                sentClients: results.sent,
                 failedClients: results.failed,
+                escalation: escalate ? {
+                    employees: results.escalated,
+                    failed: results.escalationFailed,
+                    unassignedClients: results.unassigned
+                } : undefined,
                 duration: `${duration} seconds`
             }
         };
@@ -260,31 +421,43 @@ const sendDocumentUploadReminders = async () => {
 
 /* ===============================
    SCHEDULED JOBS - UPDATED TO FINLAND TIME
+   Run through utils/jobScheduler.js, once per document month each
 ================================ */
-// Schedule for 1st of each month at 12:00 PM Finland time (NEW)
-cron.schedule('0 12 1 * *', async () => {
-    console.log("⏰ Running document upload reminder (1st of month)...");
-    await sendDocumentUploadReminders();
-}, {
-    scheduled: true,
-    timezone: "Europe/Helsinki"
+// Early reminder (default: 1st of each month at 12:00 PM Finland time)
+defineJob({
+    name: "document-reminder-early",
+    description: "Early reminder to upload last month's documents",
+    schedule: config.cron.documentReminderEarly,
+    periodFor: previousMonthOf,
+    handler: (documentMonth) => sendDocumentUploadReminders(documentMonth, { reminder: "EARLY" })
 });
 
-// Schedule for 15th of each month at 12:00 PM Finland time (existing)
-cron.schedule('0 12 15 * *', async () => {
-    console.log("⏰ Running document upload reminder (15th of month)...");
-    await sendDocumentUploadReminders();
-}, {
-    scheduled: true,
-    timezone: "Europe/Helsinki"
+// Main reminder (default: 15th of each month at 12:00 PM Finland time)
+defineJob({
+    name: "document-reminder",
+    description: "Reminder to upload last month's documents before the 25th",
+    schedule: config.cron.documentReminder,
+    periodFor: previousMonthOf,
+    handler: (documentMonth) => sendDocumentUploadReminders(documentMonth, { reminder: "MAIN" })
+});
+
+// Last reminder before the month lock (default: 22nd of each month at
+// 12:00 PM Finland time), also sent to the employees assigned to clients
+// that are still incomplete
+defineJob({
+    name: "document-reminder-escalation",
+    description: "Final reminder for missing documents, escalated to assigned employees",
+    schedule: config.cron.documentReminderEscalation,
+    periodFor: previousMonthOf,
+    handler: (documentMonth) => sendDocumentUploadReminders(documentMonth, { escalate: true, reminder: "ESCALATION" })
 });
 
 /* ===============================
    MANUAL TRIGGER FOR TESTING
 ================================ */
-router.post("/send-test-upload-reminder", async (req, res) => {
+router.post("/send-test-upload-reminder", requirePermission("reminders:send"), auditAccess("DOCUMENT_REMINDER_MANUAL_TRIGGER"), async (req, res) => {
     try {
-        const result = await sendDocumentUploadReminders();
+        const result = await sendDocumentUploadReminders(undefined, { escalate: req.body?.escalate === true });
         res.json(result);
 
     } catch (error) {
@@ -300,7 +473,7 @@ router.post("/send-test-upload-reminder", async (req, res) => {
 /* ===============================
    TEST ENDPOINT - Check system status
 ================================ */
-router.get("/test", async (req, res) => {
+router.get("/test", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const activeClients = await Client.find({ isActive: true });
         const adminEmail = process.env.EMAIL_USER;
@@ -322,7 +495,8 @@ router.get("/test", async (req, res) => {
             currentDocumentMonth: previousMonthYear,
             nextReminderDates: [
                 "1st of each month at 12:00 PM EET/EEST",
-                "15th of each month at 12:00 PM EET/EEST"
+                "15th of each month at 12:00 PM EET/EEST",
+                "22nd of each month at 12:00 PM EET/EEST (escalated to assigned employees)"
             ],
             adminEmail: adminEmail || "NOT CONFIGURED",
             emailService: adminEmail ? "Configured" : "Not Configured",
@@ -342,7 +516,7 @@ router.get("/test", async (req, res) => {
 /* ===============================
    STATUS CHECK ENDPOINT
 ================================ */
-router.get("/status", (req, res) => {
+router.get("/status", requirePermission("dashboard:read"), (req, res) => {
     // Get previous month for display
     const currentDate = new Date();
     const previousMonth = new Date(currentDate.getFullYear(), currentDate.getMonth() - 1, 1);
@@ -362,7 +536,11 @@ router.get("/status", (req, res) => {
             },
             {
                 date: "15th of each month at 12:00 PM EET/EEST",
-                description: "Monthly document upload reminder (final)"
+                description: "Monthly document upload reminder"
+            },
+            {
+                date: "22nd of each month at 12:00 PM EET/EEST",
+                description: "Final document upload reminder, escalated to assigned employees"
             }
         ],
         currentDocumentPeriod: previousMonthYear,
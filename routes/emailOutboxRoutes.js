@@ -0,0 +1,141 @@
+const express = require("express");
+
+const ActivityLog = require("../models/ActivityLog");
+const EmailOutbox = require("../models/EmailOutbox");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { resendEmail } = require("../utils/emailOutbox");
+const { logToConsole } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * Outgoing email status, mounted at /admin/emails:
+ *
+ *   GET  /admin/emails                     outbox entries (?status=&category=&to=&limit=)
+ *   GET  /admin/emails/:outboxId           one entry with its delivery log
+ *   POST /admin/emails/:outboxId/resend    queue a copy of an email again
+ */
+
+// Bodies and attachment contents stay out of responses
+const SUMMARY_FIELDS = "-html -text -attachments.content -log -__v";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/* ===============================
+   LIST EMAILS
+================================ */
+router.get("/", requirePermission("emails:read"), async (req, res) => {
+  try {
+    const { status, category, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (status) filter.status = String(status).toUpperCase();
+    if (category) filter.category = String(category).toUpperCase();
+    if (to) filter.to = { $regex: escapeRegex(String(to)), $options: "i" };
+
+    const [emails, counts] = await Promise.all([
+      EmailOutbox.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .select(SUMMARY_FIELDS)
+        .lean(),
+      EmailOutbox.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      count: emails.length,
+      statusCounts: Object.fromEntries(counts.map(c => [c._id, c.count])),
+      emails
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "LIST_EMAILS_ERROR", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error fetching emails",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   EMAIL DETAILS
+================================ */
+router.get("/:outboxId", requirePermission("emails:read"), async (req, res) => {
+  try {
+    const email = await EmailOutbox.findOne({ outboxId: req.params.outboxId })
+      .select("-attachments.content -__v")
+      .lean();
+
+    if (!email) {
+      return res.status(404).json({
+        success: false,
+        message: "Email not found"
+      });
+    }
+
+    res.json({
+      success: true,
+      email
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "GET_EMAIL_ERROR", { outboxId: req.params.outboxId, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error fetching email",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   RESEND
+   Queues a new copy (resendOf points back to the original) regardless
+   of the original's status; the original entry is left as it was.
+================================ */
+router.post("/:outboxId/resend", requirePermission("emails:manage"), async (req, res) => {
+  try {
+    const copy = await resendEmail(req.params.outboxId, req.user.adminId);
+
+    if (!copy) {
+      return res.status(404).json({
+        success: false,
+        message: "Email not found"
+      });
+    }
+
+    await ActivityLog.create({
+      userName: req.user.name,
+      role: "ADMIN",
+      adminId: req.user.adminId,
+      action: "EMAIL_RESENT",
+      details: `Resent email "${copy.subject}" to ${copy.to} (original ${req.params.outboxId}, new ${copy.outboxId})`,
+      dateTime: new Date()
+    });
+
+    logToConsole("INFO", "EMAIL_RESENT", {
+      outboxId: req.params.outboxId,
+      newOutboxId: copy.outboxId,
+      adminId: req.user.adminId
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `Email queued again for ${copy.to}`,
+      outboxId: copy.outboxId
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "RESEND_EMAIL_ERROR", { outboxId: req.params.outboxId, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error resending email",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+const express = require("express");
+
+const { SUPPORTED_LOCALES } = require("../config/locales");
+const config = require("../config");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const {
+  EmailTemplateError,
+  listTemplates,
+  previewEmail,
+  missingStrings
+} = require("../emails");
+const { logToConsole } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * Email templates (emails/), mounted at /admin/email-templates:
+ *
+ *   GET /admin/email-templates                  templates, locales and untranslated strings
+ *   GET /admin/email-templates/:name/preview    render with sample data (?locale=&format=html|text|json)
+ */
+
+/* ===============================
+   LIST TEMPLATES
+================================ */
+router.get("/", requirePermission("emails:read"), (req, res) => {
+  res.json({
+    success: true,
+    defaultLocale: config.email.defaultLocale,
+    locales: SUPPORTED_LOCALES,
+    missingStrings: Object.fromEntries(SUPPORTED_LOCALES.map(locale => [locale, missingStrings(locale)])),
+    templates: listTemplates()
+  });
+});
+
+/* ===============================
+   PREVIEW
+   html (default) and text return the body as the recipient would see
+   it; json returns subject, html and text together.
+================================ */
+router.get("/:name/preview", requirePermission("emails:read"), (req, res) => {
+  try {
+    const locale = req.query.locale ? String(req.query.locale).toLowerCase() : undefined;
+    const format = String(req.query.format || "html").toLowerCase();
+
+    if (!["html", "text", "json"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "format must be one of: html, text, json"
+      });
+    }
+
+    const email = previewEmail(req.params.name, locale);
+
+    if (format === "json") {
+      return res.json({ success: true, template: req.params.name, ...email });
+    }
+
+    res.set("X-Email-Subject", encodeURIComponent(email.subject));
+    res.set("Content-Language", email.locale);
+    res.type(format === "text" ? "text/plain" : "html").send(format === "text" ? email.text : email.html);
+
+  } catch (error) {
+    if (error instanceof EmailTemplateError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logToConsole("ERROR", "EMAIL_PREVIEW_ERROR", { template: req.params.name, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error rendering email preview",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const Employee = require('../models/Employee');
 const Client = require('../models/Client');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const auditAccess = require('../middleware/auditAccess');
 
 // GET: Employee Work Tracking View
 // URL: GET /api/admin/employee-work-tracker
-router.get('/employee-work-tracker', async (req, res) => {
+router.get('/employee-work-tracker', requirePermission('employees:read'), auditAccess('EMPLOYEE_WORK_TRACKER_VIEWED'), async (req, res) => {
   try {
     const currentDate = new Date();
     const currentYear = currentDate.getFullYear();
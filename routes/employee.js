@@ -11,8 +11,22 @@ const EmployeeAssignment = require("../models/EmployeeAssignment");
 // Add these with other requires at the top
 const EmployeeViewedFile = require("../models/EmployeeViewedFile");
 const EmployeeAuditedFile = require("../models/EmployeeAuditedFile");
+const { requireEmployee } = require("../middleware/permissionMiddleware");
+const { startSession, endSession } = require("../utils/sessionService");
+const { beginTwoFactorLogin } = require("./twoFactorRoutes");
+const bruteForceGuard = require("../middleware/bruteForceGuard");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const { AssignmentError, isAssigned, setAccountingDone } = require("../utils/assignmentService");
+const { sendTemplateEmail } = require("../emails");
+const { isAllowed } = require("../utils/notificationPreferences");
+const { notifyClient } = require("../utils/notifications");
+const { findMentions, notifyMentions } = require("../utils/noteMentions");
+const { receiveNoteAttachments, storeNoteAttachments, removeNoteAttachments } = require("../utils/noteAttachments");
+const { findMonthFile, contentChangeOf } = require("../utils/fileHashes");
+const { signFileUrls, employeeAccess } = require("../utils/signedUrls");
 
 const router = express.Router();
+router.use(signFileUrls(employeeAccess));
 
 // Console logging utility
 const logToConsole = (type, operation, data) => {
@@ -82,7 +96,10 @@ const getTotalFilesCount = (monthData) => {
 /* ===============================
    EMPLOYEE LOGIN
 ================================ */
-router.post("/login", async (req, res) => {
+router.post("/login", bruteForceGuard({
+  action: "EMPLOYEE_LOGIN",
+  account: (req) => req.body?.email
+}), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -127,21 +144,15 @@ router.post("/login", async (req, res) => {
       name: employee.name
     });
 
-    const token = jwt.sign(
-      {
+    // Second login step when 2FA is enabled or required for this employee
+    const twoFactorStep = beginTwoFactorLogin("EMPLOYEE", employee);
+    if (twoFactorStep) {
+      logToConsole("INFO", "2FA_CHALLENGE_ISSUED", {
         employeeId: employee.employeeId,
-        role: "EMPLOYEE",
-        name: employee.name
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
-
-    // Console log: JWT token created
-    logToConsole("DEBUG", "JWT_TOKEN_CREATED", {
-      employeeId: employee.employeeId,
-      expiresIn: "1d"
-    });
+        setupRequired: !!twoFactorStep.twoFactorSetupRequired
+      });
+      return res.json(twoFactorStep);
+    }
 
     // Clear any stale tokens from previous sessions before setting new one
     res.clearCookie("clientToken", {
@@ -157,16 +168,16 @@ router.post("/login", async (req, res) => {
       path: "/"
     });
 
-    res.cookie("employeeToken", token, {
-      httpOnly: true,
-      secure: true,        // REQUIRED on HTTPS
-      sameSite: "none",    // REQUIRED for cross-origin
-      maxAge: 24 * 60 * 60 * 1000
+    const session = await startSession(req, res, "EMPLOYEE", employee.employeeId, {
+      employeeId: employee.employeeId,
+      role: "EMPLOYEE",
+      name: employee.name
     });
 
-    // Console log: Cookie set
-    logToConsole("INFO", "COOKIE_SET", {
+    // Console log: Session started
+    logToConsole("INFO", "SESSION_STARTED", {
       employeeId: employee.employeeId,
+      sessionId: session.sessionId,
       cookieName: "employeeToken"
     });
 
@@ -254,13 +265,8 @@ router.post("/logout", async (req, res) => {
       }
     }
 
-    // Clear employeeToken
-    res.clearCookie("employeeToken", {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      path: "/"
-    });
+    // Revoke the session and clear employeeToken + refresh cookie
+    await endSession(req, res, "EMPLOYEE");
 
     // Also clear clientToken and accessToken as safety measure
     res.clearCookie("clientToken", {
@@ -345,7 +351,7 @@ router.post("/logout", async (req, res) => {
 /* ===============================
    EMPLOYEE CHECK LOGIN (GET CURRENT USER)
 ================================ */
-router.get("/me", async (req, res) => {
+router.get("/me", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
 
@@ -452,7 +458,7 @@ router.get("/me", async (req, res) => {
 
 
 
-router.get("/assigned-clients", async (req, res) => {
+router.get("/assigned-clients", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
     logToConsole("INFO", "GET_ASSIGNED_CLIENTS_REQUEST", { ip: req.ip, userAgent: req.get('User-Agent') });
@@ -587,7 +593,7 @@ router.get("/assigned-clients", async (req, res) => {
 
     const oldDocMap = new Map();
     for (const client of clientsWithDocs) {
-      if (client.documents && typeof client.documents === 'object') {
+      if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
         for (const [yearKey, yearData] of Object.entries(client.documents)) {
           if (yearData && typeof yearData === 'object') {
             for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -793,7 +799,7 @@ router.get("/assigned-clients", async (req, res) => {
 
 
 
-router.put("/toggle-accounting-done", async (req, res) => {
+router.put("/toggle-accounting-done", requireEmployee, async (req, res) => {
   try {
     const { clientId, year, month, task, accountingDone } = req.body;
     const token = req.cookies?.employeeToken;
@@ -821,114 +827,55 @@ router.put("/toggle-accounting-done", async (req, res) => {
       return res.status(404).json({ message: "Employee not found" });
     }
 
-    const EmployeeAssignment = require("../models/EmployeeAssignment");
-    let newDoc = await EmployeeAssignment.findOne({ employeeId: employee.employeeId });
-
-    let assignmentFound = false;
-    let updatedInNewCollection = false;
-
-    // ===== FIRST: Try to update in NEW COLLECTION =====
-    if (newDoc) {
-      const newAssignmentIndex = newDoc.assignedClients.findIndex(
-        a => a.clientId === clientId &&
-          a.year === parseInt(year) &&
-          a.month === parseInt(month) &&
-          a.task === task &&
-          !a.isRemoved
-      );
+    const numericYear = parseInt(year);
+    const numericMonth = parseInt(month);
 
-      if (newAssignmentIndex !== -1) {
-        newDoc.assignedClients[newAssignmentIndex].accountingDone = accountingDone;
-        newDoc.assignedClients[newAssignmentIndex].accountingDoneAt = new Date();
-        newDoc.assignedClients[newAssignmentIndex].accountingDoneBy = employee.employeeId;
-        await newDoc.save();
-        assignmentFound = true;
-        updatedInNewCollection = true;
-        logToConsole("INFO", "UPDATED_IN_NEW_COLLECTION", { employeeId: employee.employeeId, task, accountingDone });
+    // ===== Update the assignment and its copies (one transaction) =====
+    let assignment;
+    try {
+      assignment = await setAccountingDone(
+        { clientId, employeeId: employee.employeeId, year: numericYear, month: numericMonth, task },
+        accountingDone,
+        employee.employeeId
+      );
+    } catch (toggleError) {
+      if (toggleError instanceof AssignmentError) {
+        logToConsole("WARN", "ASSIGNMENT_NOT_FOUND", {
+          clientId, year, month, task,
+          employeeId: employee.employeeId
+        });
+        return res.status(toggleError.status).json({ message: toggleError.message });
       }
+      throw toggleError;
     }
 
-    // ===== SECOND: Try to update in OLD COLLECTION (for backward compatibility) =====
-    const assignmentIndex = employee.assignedClients.findIndex(
-      a => a.clientId === clientId &&
-        a.year === parseInt(year) &&
-        a.month === parseInt(month) &&
-        a.task === task &&
-        !a.isRemoved
-    );
-
-    if (assignmentIndex !== -1) {
-      employee.assignedClients[assignmentIndex].accountingDone = accountingDone;
-      employee.assignedClients[assignmentIndex].accountingDoneAt = new Date();
-      employee.assignedClients[assignmentIndex].accountingDoneBy = employee.employeeId;
-      await employee.save();
-      assignmentFound = true;
-      logToConsole("INFO", "UPDATED_IN_OLD_COLLECTION", { employeeId: employee.employeeId, task, accountingDone });
-    }
+    // ===== Legacy month status in Client.documents =====
+    const yearKey = String(year);
+    const monthKey = String(month);
+    const client = legacyReadsEnabled() ? await Client.findOne({ clientId }) : null;
 
-    // ===== If not found in either collection =====
-    if (!assignmentFound) {
-      logToConsole("WARN", "ASSIGNMENT_NOT_FOUND_IN_EITHER_COLLECTION", {
-        clientId, year, month, task,
-        employeeId: employee.employeeId,
-        hasNewDoc: !!newDoc,
-        newDocAssignmentsCount: newDoc?.assignedClients?.length || 0,
-        oldAssignmentsCount: employee.assignedClients?.length || 0
-      });
-      return res.status(404).json({
-        message: `Assignment not found for client ${clientId}, ${month}/${year}, task: ${task}`,
-        debug: {
-          hasNewCollection: !!newDoc,
-          oldAssignmentsCount: employee.assignedClients?.length || 0,
-          newAssignmentsCount: newDoc?.assignedClients?.length || 0
-        }
-      });
-    }
+    if (client && client.documents &&
+      client.documents.get(yearKey) &&
+      client.documents.get(yearKey).get(monthKey)) {
 
-    // ===== Update CLIENT (always do this) =====
-    const client = await Client.findOne({ clientId });
-    if (client) {
-      const clientAssignmentIndex = client.employeeAssignments.findIndex(
-        a => a.year === parseInt(year) &&
-          a.month === parseInt(month) &&
+      const monthData = client.documents.get(yearKey).get(monthKey);
+      const allTasksForMonth = client.employeeAssignments.filter(
+        a => a.year === numericYear &&
+          a.month === numericMonth &&
           a.employeeId === employee.employeeId &&
-          a.task === task &&
           a.isRemoved !== true
       );
 
-      if (clientAssignmentIndex !== -1) {
-        client.employeeAssignments[clientAssignmentIndex].accountingDone = accountingDone;
-        client.employeeAssignments[clientAssignmentIndex].accountingDoneAt = new Date();
-        client.employeeAssignments[clientAssignmentIndex].accountingDoneBy = employee.employeeId;
-
-        const yearKey = String(year);
-        const monthKey = String(month);
-
-        if (client.documents &&
-          client.documents.get(yearKey) &&
-          client.documents.get(yearKey).get(monthKey)) {
-
-          const monthData = client.documents.get(yearKey).get(monthKey);
-          const allTasksForMonth = client.employeeAssignments.filter(
-            a => a.year === parseInt(year) &&
-              a.month === parseInt(month) &&
-              a.employeeId === employee.employeeId &&
-              a.isRemoved !== true
-          );
-
-          const allDone = allTasksForMonth.every(t => t.accountingDone);
-          if (allDone) {
-            monthData.accountingDone = true;
-            monthData.accountingDoneAt = new Date();
-            monthData.accountingDoneBy = employee.employeeId;
-          }
-
-          if (!client.documents.get(yearKey)) client.documents.set(yearKey, new Map());
-          client.documents.get(yearKey).set(monthKey, monthData);
-        }
-        await client.save();
-        logToConsole("INFO", "UPDATED_IN_CLIENT", { clientId, task, accountingDone });
+      const allDone = allTasksForMonth.every(t => t.accountingDone);
+      if (allDone) {
+        monthData.accountingDone = true;
+        monthData.accountingDoneAt = new Date();
+        monthData.accountingDoneBy = employee.employeeId;
       }
+
+      client.documents.get(yearKey).set(monthKey, monthData);
+      await client.save();
+      logToConsole("INFO", "UPDATED_LEGACY_MONTH_STATUS", { clientId, task, accountingDone, allDone });
     }
 
     // ===== Activity log =====
@@ -947,7 +894,7 @@ router.put("/toggle-accounting-done", async (req, res) => {
           task,
           accountingDone,
           changeTime: new Date().toISOString(),
-          updatedInNewCollection
+          assignmentId: assignment.assignmentId
         }
       });
     } catch (logError) {
@@ -958,7 +905,7 @@ router.put("/toggle-accounting-done", async (req, res) => {
       clientId, year, month, task,
       employeeId: employee.employeeId,
       accountingDone,
-      updatedInNewCollection,
+      assignmentId: assignment.assignmentId,
       timestamp: new Date().toISOString()
     });
 
@@ -970,9 +917,9 @@ router.put("/toggle-accounting-done", async (req, res) => {
         month: parseInt(month),
         task,
         accountingDone,
-        accountingDoneAt: new Date(),
+        accountingDoneAt: assignment.accountingDoneAt,
         accountingDoneBy: employee.employeeId,
-        updatedIn: updatedInNewCollection ? "new_collection" : "old_collection"
+        assignmentId: assignment.assignmentId
       }
     });
 
@@ -990,7 +937,9 @@ router.put("/toggle-accounting-done", async (req, res) => {
   }
 });
 
-router.post("/add-file-note", async (req, res) => {
+// JSON, or multipart with up to config.notes.maxAttachments files in "attachments".
+// "@Name" of an employee or admin in the note notifies them.
+router.post("/add-file-note", requireEmployee, receiveNoteAttachments, async (req, res) => {
   try {
     const {
       clientId,
@@ -1012,6 +961,7 @@ router.post("/add-file-note", async (req, res) => {
       fileName,
       fileUrl,      // ✅ ADDED: Log the fileUrl
       noteLength: note?.length || 0,
+      attachments: req.files?.length || 0,
       ip: req.ip
     });
 
@@ -1069,7 +1019,7 @@ router.post("/add-file-note", async (req, res) => {
       const yearKey = String(year);
       const monthKey = String(month);
 
-      if (client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
+      if (legacyReadsEnabled() && client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         dataSource = 'old';
         if (monthData.other && !Array.isArray(monthData.other)) {
@@ -1132,30 +1082,87 @@ router.post("/add-file-note", async (req, res) => {
       file.notes = [];
     }
 
+    const mentions = await findMentions(note.trim(), { clientId: client.clientId, year: numericYear, month: numericMonth });
+    const attachments = await storeNoteAttachments(req.files, {
+      clientId: client.clientId,
+      year: numericYear,
+      month: numericMonth,
+      uploadedBy: employeeName
+    });
+
     const newNote = {
       note: note.trim(),
       addedBy: employeeName,
       employeeId: employeeId,
+      authorType: "employee",
+      authorId: employeeId,
       addedAt: new Date(),
       isViewedByClient: false,
       isViewedByEmployee: false,
       isViewedByAdmin: false,
-      viewedBy: []
+      viewedBy: [],
+      mentions,
+      attachments
     };
 
     file.notes.push(newNote);
+    const noteId = String(file.notes[file.notes.length - 1]._id);
 
     // SAVE to appropriate location
-    if (dataSource === 'new' && newDocRef) {
-      await newDocRef.save();
-      logToConsole("DEBUG", "NOTE_SAVED_TO_NEW_COLLECTION", { clientId, year, month });
-    } else {
-      await client.save();
-      logToConsole("DEBUG", "NOTE_SAVED_TO_OLD_COLLECTION", { clientId, year, month });
+    try {
+      if (dataSource === 'new' && newDocRef) {
+        await newDocRef.save();
+        logToConsole("DEBUG", "NOTE_SAVED_TO_NEW_COLLECTION", { clientId, year, month });
+      } else {
+        await client.save();
+        logToConsole("DEBUG", "NOTE_SAVED_TO_OLD_COLLECTION", { clientId, year, month });
+      }
+    } catch (saveError) {
+      await removeNoteAttachments(attachments);
+      throw saveError;
     }
 
     // ===== SEND EMAIL NOTIFICATIONS =====
-    // (Keep your existing email notification code here unchanged)
+    // Note alert to the client, unless they switched note alerts off
+    let clientNotified = false;
+    try {
+      if (client.email && await isAllowed(client.clientId, "noteAlerts")) {
+        await sendTemplateEmail(client.email, "note-added", {
+          client,
+          addedBy: employeeName,
+          documentMonth: { year: numericYear, month: numericMonth },
+          categoryType,
+          categoryName,
+          fileName: file.fileName || fileName,
+          note: newNote.note,
+          addedAt: newNote.addedAt,
+          portalUrl: "https://jladgroup.fi/login"
+        }, { locale: client.preferredLanguage, clientId: client.clientId });
+        clientNotified = true;
+      }
+    } catch (emailError) {
+      logToConsole("ERROR", "NOTE_ALERT_EMAIL_FAILED", {
+        clientId,
+        error: emailError.message
+      });
+    }
+
+    // In-app notification, regardless of the email preference
+    await notifyClient(client.clientId, {
+      type: "NOTE_ADDED",
+      title: `${employeeName} added a note to ${file.fileName || fileName}`,
+      message: newNote.note,
+      data: { year: numericYear, month: numericMonth, categoryType, categoryName, fileName: file.fileName || fileName, noteId },
+      actor: { type: "EMPLOYEE", id: employeeId, name: employeeName }
+    });
+
+    await notifyMentions(mentions, { type: "employee", id: employeeId }, {
+      title: `${employeeName} mentioned you in a note on ${file.fileName || fileName} (${numericMonth}/${numericYear})`,
+      message: newNote.note,
+      clientId: client.clientId,
+      data: { year: numericYear, month: numericMonth, categoryType, categoryName, fileName: file.fileName || fileName, noteId },
+      actor: { type: "EMPLOYEE", id: employeeId, name: employeeName }
+    });
 
     logToConsole("SUCCESS", "FILE_NOTE_ADDED_SUCCESS", {
       clientId,
@@ -1165,12 +1172,16 @@ router.post("/add-file-note", async (req, res) => {
       fileName,
       fileUrl,
       employeeId: employeeId,
+      clientNotified,
+      mentioned: mentions.length,
+      attachments: attachments.length,
       savedTo: dataSource === 'new' ? 'new_collection' : 'old_collection'
     });
 
     res.json({
       message: "Note added successfully",
-      note: newNote,
+      note: { ...newNote, noteId },
+      clientNotified,
       file: {
         fileName: file.fileName,
         fileUrl: file.url,
@@ -1193,7 +1204,7 @@ router.post("/add-file-note", async (req, res) => {
   }
 });
 
-router.get("/assignment-files", async (req, res) => {
+router.get("/assignment-files", requireEmployee, async (req, res) => {
   try {
     const { clientId, year, month } = req.query;
 
@@ -1215,6 +1226,24 @@ router.get("/assignment-files", async (req, res) => {
       });
     }
 
+    const assigned = await isAssigned({
+      clientId,
+      employeeId: req.user.employeeId,
+      year: parseInt(year),
+      month: parseInt(month)
+    });
+    if (!assigned) {
+      logToConsole("WARN", "ASSIGNMENT_FILES_NOT_ASSIGNED", {
+        employeeId: req.user.employeeId,
+        clientId,
+        year,
+        month
+      });
+      return res.status(403).json({
+        message: "You are not assigned to this client for the requested month"
+      });
+    }
+
     const token = req.cookies?.employeeToken;
     let employeeId = "unknown";
     let employeeName = "Employee";
@@ -1275,7 +1304,7 @@ router.get("/assignment-files", async (req, res) => {
       const yearKey = String(year);
       const monthKey = String(month);
 
-      if (client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
+      if (legacyReadsEnabled() && client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         dataSource = 'old';
         if (monthData.other && !Array.isArray(monthData.other)) {
@@ -1567,7 +1596,7 @@ router.get("/assignment-files", async (req, res) => {
 });
 
 
-router.get("/file-notes", async (req, res) => {
+router.get("/file-notes", requireEmployee, async (req, res) => {
   try {
     const {
       clientId,
@@ -1655,7 +1684,7 @@ router.get("/file-notes", async (req, res) => {
       const yearKey = String(year);
       const monthKey = String(month);
 
-      if (client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
+      if (legacyReadsEnabled() && client.documents && client.documents.get(yearKey) && client.documents.get(yearKey).get(monthKey)) {
         monthData = client.documents.get(yearKey).get(monthKey);
         if (monthData.other && !Array.isArray(monthData.other)) {
           monthData.other = Array.from(monthData.other?.values() || []);
@@ -1798,7 +1827,7 @@ router.get("/file-notes", async (req, res) => {
    CHECK IF FILE IS VIEWED BY EMPLOYEE
    NOW USES fileUrl AS UNIQUE IDENTIFIER
 ================================ */
-router.get("/check-file-viewed", async (req, res) => {
+router.get("/check-file-viewed", requireEmployee, async (req, res) => {
   try {
     const {
       clientId,
@@ -1885,13 +1914,20 @@ router.get("/check-file-viewed", async (req, res) => {
       }
     }
 
-
+    // Was it marked on other content than the file has now: another hash
+    // on this url, or only an earlier version of the file marked?
+    const monthFile = await findMonthFile(clientId, { year, month, categoryType, categoryName, fileUrl });
+    const { contentChanged, markedVersion } = contentChangeOf(
+      [...(viewedDoc?.viewedFiles || []), ...employee.viewedFiles], monthFile, { clientId, fileUrl });
 
     res.json({
       isViewed,
       viewedAt,
       lastCheckedAt,
-      foundIn
+      foundIn,
+      contentChanged,
+      viewedVersion: markedVersion,
+      currentVersion: monthFile ? monthFile.version || 1 : null
     });
 
   } catch (error) {
@@ -1919,7 +1955,7 @@ router.get("/check-file-viewed", async (req, res) => {
    MARK FILE AS VIEWED/UNVIEWED (TOGGLE)
    NOW USES fileUrl AS UNIQUE IDENTIFIER
 ================================ */
-router.post("/toggle-file-viewed", async (req, res) => {
+router.post("/toggle-file-viewed", requireEmployee, async (req, res) => {
   try {
     const {
       clientId,
@@ -2036,6 +2072,9 @@ router.post("/toggle-file-viewed", async (req, res) => {
         });
       }
 
+      // The content hash the mark is made on, to notice later changes
+      const monthFile = await findMonthFile(clientId, { year, month, categoryType, categoryName, fileUrl });
+
       viewedFileObj = {
         clientId,
         year: parseInt(year),
@@ -2043,6 +2082,7 @@ router.post("/toggle-file-viewed", async (req, res) => {
         categoryType,
         fileName,
         fileUrl,  // ← Store fileUrl as unique identifier
+        fileHash: monthFile?.fileHash,
         viewedAt: new Date(),
         lastCheckedAt: new Date()
       };
@@ -2123,7 +2163,7 @@ router.post("/toggle-file-viewed", async (req, res) => {
    CHECK IF FILE IS AUDITED BY EMPLOYEE
    NOW USES fileUrl AS UNIQUE IDENTIFIER
 ================================ */
-router.get("/check-file-audited", async (req, res) => {
+router.get("/check-file-audited", requireEmployee, async (req, res) => {
   try {
     const {
       clientId,
@@ -2210,13 +2250,20 @@ router.get("/check-file-audited", async (req, res) => {
       }
     }
 
-
+    // Was it marked on other content than the file has now: another hash
+    // on this url, or only an earlier version of the file marked?
+    const monthFile = await findMonthFile(clientId, { year, month, categoryType, categoryName, fileUrl });
+    const { contentChanged, markedVersion } = contentChangeOf(
+      [...(auditedDoc?.auditedFiles || []), ...employee.auditedFiles], monthFile, { clientId, fileUrl });
 
     res.json({
       isAudited,
       auditedAt,
       lastCheckedAt,
-      foundIn
+      foundIn,
+      contentChanged,
+      auditedVersion: markedVersion,
+      currentVersion: monthFile ? monthFile.version || 1 : null
     });
 
   } catch (error) {
@@ -2243,7 +2290,7 @@ router.get("/check-file-audited", async (req, res) => {
    MARK FILE AS AUDITED/UN-AUDITED (TOGGLE)
    NOW USES fileUrl AS UNIQUE IDENTIFIER
 ================================ */
-router.post("/toggle-file-audited", async (req, res) => {
+router.post("/toggle-file-audited", requireEmployee, async (req, res) => {
   try {
     const {
       clientId,
@@ -2360,6 +2407,9 @@ router.post("/toggle-file-audited", async (req, res) => {
         });
       }
 
+      // The content hash the mark is made on, to notice later changes
+      const monthFile = await findMonthFile(clientId, { year, month, categoryType, categoryName, fileUrl });
+
       auditedFileObj = {
         clientId,
         year: parseInt(year),
@@ -2367,6 +2417,7 @@ router.post("/toggle-file-audited", async (req, res) => {
         categoryType,
         fileName,
         fileUrl,  // ← Store fileUrl as unique identifier
+        fileHash: monthFile?.fileHash,
         auditedAt: new Date(),
         lastCheckedAt: new Date()
       };
@@ -2446,7 +2497,7 @@ router.post("/toggle-file-audited", async (req, res) => {
    GET ALL AUDITED FILES FOR AN ASSIGNMENT
    NOW READS FROM BOTH OLD AND NEW COLLECTIONS
 ================================ */
-router.get("/assignment-audited-files", async (req, res) => {
+router.get("/assignment-audited-files", requireEmployee, async (req, res) => {
   try {
     const { clientId, year, month } = req.query;
 
@@ -2549,7 +2600,7 @@ router.get("/assignment-audited-files", async (req, res) => {
    GET ALL CLIENTS WITH LAST 6 MONTHS PAYMENT STATUS - OPTIMIZED
    NOW USES BATCH QUERIES (600 queries → 3 queries)
 ================================ */
-router.get("/all-clients-payment-status", async (req, res) => {
+router.get("/all-clients-payment-status", requireEmployee, async (req, res) => {
   try {
     const { search } = req.query;
     const token = req.cookies?.employeeToken;
@@ -2678,7 +2729,7 @@ router.get("/all-clients-payment-status", async (req, res) => {
     const oldPaymentMap = new Map();
 
     for (const client of clients) {
-      if (client.documents && typeof client.documents === 'object') {
+      if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
         for (const [yearKey, yearData] of Object.entries(client.documents)) {
           if (yearData && typeof yearData === 'object') {
             for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1,12 +1,15 @@
 const express = require("express");
 const mongoose = require("mongoose");
-const auth = require("../middleware/authMiddleware");
+const { requireEmployee } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
 
 const Client = require("../models/Client");
 const Employee = require("../models/Employee");
 const ActivityLog = require("../models/ActivityLog");
+const { signFileUrls, employeeAccess } = require("../utils/signedUrls");
 
 const router = express.Router();
+router.use(signFileUrls(employeeAccess));
 
 // Console logging
 const logToConsole = (type, operation, data) => {
@@ -150,6 +153,8 @@ const getEmployeeNotesForMonth = (monthData, employeeId, clientId = null) => {
         type: 'month_note',
         category: 'General',
         note: note.note,
+        attachments: note.attachments || [],
+        mentions: note.mentions || [],
         addedBy: note.addedBy || 'Client',
         addedAt: note.addedAt,
         source: 'client',
@@ -171,6 +176,8 @@ const getEmployeeNotesForMonth = (monthData, employeeId, clientId = null) => {
           type: 'delete_reason',
           category: category.charAt(0).toUpperCase() + category.slice(1),
           note: note.note,
+          attachments: note.attachments || [],
+          mentions: note.mentions || [],
           addedBy: note.addedBy || 'Client',
           addedAt: note.addedAt,
           source: 'client',
@@ -197,6 +204,8 @@ const getEmployeeNotesForMonth = (monthData, employeeId, clientId = null) => {
                 category: category.charAt(0).toUpperCase() + category.slice(1),
                 fileName: file.fileName,
                 note: note.note,
+                attachments: note.attachments || [],
+                mentions: note.mentions || [],
                 addedBy: note.addedBy || 'You',
                 addedAt: note.addedAt,
                 source: 'employee',
@@ -224,6 +233,8 @@ const getEmployeeNotesForMonth = (monthData, employeeId, clientId = null) => {
               type: 'delete_reason',
               category: otherCat.categoryName,
               note: note.note,
+              attachments: note.attachments || [],
+              mentions: note.mentions || [],
               addedBy: note.addedBy || 'Client',
               addedAt: note.addedAt,
               source: 'client',
@@ -246,6 +257,8 @@ const getEmployeeNotesForMonth = (monthData, employeeId, clientId = null) => {
                     category: otherCat.categoryName,
                     fileName: file.fileName,
                     note: note.note,
+                    attachments: note.attachments || [],
+                    mentions: note.mentions || [],
                     addedBy: note.addedBy || 'You',
                     addedAt: note.addedAt,
                     source: 'employee',
@@ -289,7 +302,7 @@ const countUnviewedClientNotesForEmployee = async (employeeId) => {
 
     // Iterate through all clients' documents
     for (const client of clients) {
-      const documents = client.documents || {};
+      const documents = legacyReadsEnabled() ? (client.documents || {}) : {};
 
       // Check each year and month
       for (const year in documents) {
@@ -402,7 +415,7 @@ const markAllClientNotesAsViewedForEmployee = async (employeeId) => {
 
       // Convert to plain object to modify
       const clientObj = client.toObject ? client.toObject() : client;
-      const documents = clientObj.documents || {};
+      const documents = legacyReadsEnabled() ? (clientObj.documents || {}) : {};
 
       // Iterate through documents
       for (const year in documents) {
@@ -513,7 +526,7 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
 
     // Process each client
     for (const client of clients) {
-      const documents = client.documents || {};
+      const documents = legacyReadsEnabled() ? (client.documents || {}) : {};
 
       // Iterate through documents
       for (const year in documents) {
@@ -542,6 +555,8 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
                 type: 'month_note',
                 category: 'General',
                 note: note.note,
+                attachments: note.attachments || [],
+                mentions: note.mentions || [],
                 fullNote: note.note,
                 addedBy: note.addedBy || 'Client',
                 addedAt: note.addedAt,
@@ -571,6 +586,8 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
                   type: 'delete_reason',
                   category: category.charAt(0).toUpperCase() + category.slice(1),
                   note: note.note,
+                  attachments: note.attachments || [],
+                  mentions: note.mentions || [],
                   fullNote: note.note,
                   addedBy: note.addedBy || 'Client',
                   addedAt: note.addedAt,
@@ -604,6 +621,8 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
                         category: category.charAt(0).toUpperCase() + category.slice(1),
                         fileName: file.fileName,
                         note: note.note,
+                        attachments: note.attachments || [],
+                        mentions: note.mentions || [],
                         fullNote: note.note,
                         addedBy: note.addedBy || 'You',
                         addedAt: note.addedAt,
@@ -639,6 +658,8 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
                       type: 'delete_reason',
                       category: otherCat.categoryName,
                       note: note.note,
+                      attachments: note.attachments || [],
+                      mentions: note.mentions || [],
                       fullNote: note.note,
                       addedBy: note.addedBy || 'Client',
                       addedAt: note.addedAt,
@@ -668,6 +689,8 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
                             category: otherCat.categoryName,
                             fileName: file.fileName,
                             note: note.note,
+                            attachments: note.attachments || [],
+                            mentions: note.mentions || [],
                             fullNote: note.note,
                             addedBy: note.addedBy || 'You',
                             addedAt: note.addedAt,
@@ -724,7 +747,7 @@ const getAllNotesForEmployeeAlert = async (employeeId, limit = 5) => {
 /* ===============================
    NEW 1: GET UNVIEWED NOTES COUNT FOR EMPLOYEE
 ================================ */
-router.get("/notes/unviewed-count", auth, async (req, res) => {
+router.get("/notes/unviewed-count", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
 
@@ -763,7 +786,7 @@ router.get("/notes/unviewed-count", auth, async (req, res) => {
 /* ===============================
    NEW 2: MARK ALL CLIENT NOTES AS VIEWED BY EMPLOYEE
 ================================ */
-router.post("/notes/mark-all-viewed", auth, async (req, res) => {
+router.post("/notes/mark-all-viewed", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
 
@@ -844,7 +867,7 @@ router.post("/notes/mark-all-viewed", auth, async (req, res) => {
 /* ===============================
    NEW 3: GET ALL NOTES FOR EMPLOYEE ALERT CARD
 ================================ */
-router.get("/notes/alert-preview", auth, async (req, res) => {
+router.get("/notes/alert-preview", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
     const limit = parseInt(req.query.limit) || 5;
@@ -911,7 +934,7 @@ router.get("/notes/alert-preview", auth, async (req, res) => {
 /* ===============================
    NEW 4: GET ALL NOTES FOR EMPLOYEE MODAL
 ================================ */
-router.get("/notes/all-notes", auth, async (req, res) => {
+router.get("/notes/all-notes", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
     const limit = parseInt(req.query.limit) || 50;
@@ -959,6 +982,8 @@ router.get("/notes/all-notes", auth, async (req, res) => {
       notes: result.notes.map(note => ({
         id: `${note.source}_${note.clientId}_${note.year}_${note.month}_${Date.now()}_${Math.random()}`,
         note: note.note,
+        attachments: note.attachments || [],
+        mentions: note.mentions || [],
         fullNote: note.note,
         addedBy: note.addedBy,
         addedAt: note.addedAt,
@@ -998,7 +1023,7 @@ router.get("/notes/all-notes", auth, async (req, res) => {
 /* ===============================
    1. GET EMPLOYEE DASHBOARD OVERVIEW - OPTIMIZED (BATCH QUERIES)
 ================================ */
-router.get("/dashboard/overview", auth, async (req, res) => {
+router.get("/dashboard/overview", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
     const { timeFilter = 'this_month', customStart, customEnd } = req.query;
@@ -1086,7 +1111,7 @@ router.get("/dashboard/overview", auth, async (req, res) => {
     // Process in memory - no extra DB calls
     const oldDocMap = new Map();
     for (const client of clients) {
-      if (client.documents && typeof client.documents === 'object') {
+      if (legacyReadsEnabled() && client.documents && typeof client.documents === 'object') {
         for (const [yearKey, yearData] of Object.entries(client.documents)) {
           if (yearData && typeof yearData === 'object') {
             for (const [monthKey, monthData] of Object.entries(yearData)) {
@@ -1231,6 +1256,8 @@ router.get("/dashboard/overview", auth, async (req, res) => {
                   type: 'month_note',
                   category: 'General',
                   note: note.note,
+                  attachments: note.attachments || [],
+                  mentions: note.mentions || [],
                   addedBy: note.addedBy || 'Client',
                   addedAt: note.addedAt,
                   source: 'client',
@@ -1252,6 +1279,8 @@ router.get("/dashboard/overview", auth, async (req, res) => {
                     type: 'delete_reason',
                     category: cat.charAt(0).toUpperCase() + cat.slice(1),
                     note: note.note,
+                    attachments: note.attachments || [],
+                    mentions: note.mentions || [],
                     addedBy: note.addedBy || 'Client',
                     addedAt: note.addedAt,
                     source: 'client',
@@ -1453,7 +1482,7 @@ const getEmployeeInfo = (employee) => ({
 /* ===============================
    2. GET SPECIFIC MONTH DETAILS FOR EMPLOYEE - OPTIMIZED
 ================================ */
-router.get("/dashboard/month-details", auth, async (req, res) => {
+router.get("/dashboard/month-details", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
     const { year, month } = req.query;
@@ -1598,6 +1627,8 @@ router.get("/dashboard/month-details", auth, async (req, res) => {
                 type: 'month_note',
                 category: 'General',
                 note: note.note,
+                attachments: note.attachments || [],
+                mentions: note.mentions || [],
                 addedBy: note.addedBy || 'Client',
                 addedAt: note.addedAt,
                 source: 'client',
@@ -1620,6 +1651,8 @@ router.get("/dashboard/month-details", auth, async (req, res) => {
                   type: 'delete_reason',
                   category: cat.charAt(0).toUpperCase() + cat.slice(1),
                   note: note.note,
+                  attachments: note.attachments || [],
+                  mentions: note.mentions || [],
                   addedBy: note.addedBy || 'Client',
                   addedAt: note.addedAt,
                   source: 'client',
@@ -1643,6 +1676,8 @@ router.get("/dashboard/month-details", auth, async (req, res) => {
                     type: 'delete_reason',
                     category: otherCat.categoryName,
                     note: note.note,
+                    attachments: note.attachments || [],
+                    mentions: note.mentions || [],
                     addedBy: note.addedBy || 'Client',
                     addedAt: note.addedAt,
                     source: 'client',
@@ -1760,7 +1795,7 @@ router.get("/dashboard/month-details", auth, async (req, res) => {
 /* ===============================
    3. GET CLIENT CONTACT FOR SPECIFIC TASK
 ================================ */
-router.get("/dashboard/client-contact", auth, async (req, res) => {
+router.get("/dashboard/client-contact", requireEmployee, async (req, res) => {
   try {
     const employeeId = req.user.employeeId;
     const { clientId } = req.query;
@@ -4,6 +4,14 @@ const router = express.Router();
 const Client = require("../models/Client");
 const ClientMonthlyData = require("../models/ClientMonthlyData");
 const Employee = require("../models/Employee");
+const { requireEmployee } = require("../middleware/permissionMiddleware");
+const { legacyReadsEnabled } = require("../utils/legacyDocuments");
+const { unreadCount, markAllRead } = require("../utils/notifications");
+const { NoteError, addNote, replyToNote, editNote, deleteNote, getThread } = require("../utils/noteThreads");
+const { receiveNoteAttachments } = require("../utils/noteAttachments");
+const { signFileUrls, employeeAccess } = require("../utils/signedUrls");
+
+router.use(signFileUrls(employeeAccess));
 
 // Console logging utility (same as admin)
 const logToConsole = (type, operation, data) => {
@@ -28,6 +36,10 @@ const generateNoteId = () => {
   return new mongoose.Types.ObjectId().toString();
 };
 
+// Notes loaded without a stored _id get a new one on every read
+// (until scripts/backfillNoteIds.js has run), so it cannot identify them
+const hasStoredId = (note) => !!note._id && !(typeof note.$isDefault === 'function' && note.$isDefault('_id'));
+
 /* ===============================
    FIXED: EXTRACT NOTES FOR EMPLOYEE - SHOWS ALL NOTES FROM ALL EMPLOYEES
 ================================ */
@@ -38,7 +50,7 @@ const extractNotesForEmployee = async (client, employeeId) => {
 
   // Helper to add note with context
   const addNote = (noteObj, context) => {
-    if (!noteObj || !noteObj.note) return;
+    if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
     // EMPLOYEE RULE: 
     // 1. Client notes (no employeeId) - ALWAYS show
@@ -68,7 +80,11 @@ const extractNotesForEmployee = async (client, employeeId) => {
 
     notes.push({
       noteId,
+      parentNoteId: noteObj.parentNoteId || null,
+      editedAt: noteObj.editedAt || null,
       note: noteObj.note,
+      attachments: noteObj.attachments || [],
+      mentions: noteObj.mentions || [],
       addedBy: noteObj.addedBy || 'Unknown',
       addedAt: noteObj.addedAt || new Date(),
       employeeId: noteObj.employeeId,
@@ -216,7 +232,7 @@ const extractNotesForEmployee = async (client, employeeId) => {
   }
 
   // ===== 2. SECOND: Check OLD client.documents =====
-  if (!client.documents) {
+  if (!legacyReadsEnabled() || !client.documents) {
     console.log(`📄 No old documents for client ${clientId}`);
     return notes;
   }
@@ -284,7 +300,7 @@ const extractNotesForEmployeeOptimized = async (client, employeeId, preloadedMon
   const clientName = client.name || `${client.firstName} ${client.lastName}` || 'Unknown Client';
 
   const addNote = (noteObj, context) => {
-    if (!noteObj || !noteObj.note) return;
+    if (!noteObj || !noteObj.note || noteObj.isDeleted) return;
 
     let isViewedByEmployee = false;
 
@@ -303,7 +319,11 @@ const extractNotesForEmployeeOptimized = async (client, employeeId, preloadedMon
 
     notes.push({
       noteId,
+      parentNoteId: noteObj.parentNoteId || null,
+      editedAt: noteObj.editedAt || null,
       note: noteObj.note,
+      attachments: noteObj.attachments || [],
+      mentions: noteObj.mentions || [],
       addedBy: noteObj.addedBy || 'Unknown',
       addedAt: noteObj.addedAt || new Date(),
       employeeId: noteObj.employeeId,
@@ -409,7 +429,7 @@ const extractNotesForEmployeeOptimized = async (client, employeeId, preloadedMon
   }
 
   // ===== 2. Process OLD client.documents =====
-  if (client.documents) {
+  if (legacyReadsEnabled() && client.documents) {
     try {
       let documentsObj = {};
 
@@ -464,16 +484,21 @@ const markNotesInBothCollections = async (clientId, employeeId, notesToMarkArray
 
     // Helper function to mark a single note
     const markNote = (note, noteIndex, noteArray, context) => {
+      // Notes saved with an _id are matched by it, older ones by text and time
       const matchingNote = notesToMarkArray.find(unreadNote =>
-        unreadNote.note === note.note &&
-        unreadNote.addedBy === note.addedBy &&
-        new Date(unreadNote.addedAt).getTime() === new Date(note.addedAt).getTime() &&
-        year === unreadNote.year &&
-        month === unreadNote.month &&
-        unreadNote.noteLevel === context.noteLevel &&
-        (context.categoryType ? unreadNote.categoryType === context.categoryType : true) &&
-        (context.categoryName ? unreadNote.categoryName === context.categoryName : true) &&
-        (context.fileName ? unreadNote.fileName === context.fileName : true)
+        hasStoredId(note)
+          ? String(unreadNote.noteId) === String(note._id)
+          : (
+            unreadNote.note === note.note &&
+            unreadNote.addedBy === note.addedBy &&
+            new Date(unreadNote.addedAt).getTime() === new Date(note.addedAt).getTime() &&
+            year === unreadNote.year &&
+            month === unreadNote.month &&
+            unreadNote.noteLevel === context.noteLevel &&
+            (context.categoryType ? unreadNote.categoryType === context.categoryType : true) &&
+            (context.categoryName ? unreadNote.categoryName === context.categoryName : true) &&
+            (context.fileName ? unreadNote.fileName === context.fileName : true)
+          )
       );
 
       if (matchingNote && !note.isViewedByEmployee) {
@@ -581,7 +606,7 @@ const markNotesInBothCollections = async (clientId, employeeId, notesToMarkArray
   // ===== 2. Mark in OLD collection =====
   try {
     const client = await Client.findOne({ clientId });
-    if (client && client.documents) {
+    if (legacyReadsEnabled() && client && client.documents) {
       let clientModified = false;
       const documents = client.documents;
       let documentsObj = {};
@@ -657,9 +682,11 @@ const getEmployeeFromToken = async (req) => {
 };
 
 /* ===============================
-   GET UNREAD NOTES COUNT FOR EMPLOYEE - OPTIMIZED (BATCH QUERIES)
+   GET UNREAD NOTES COUNT FOR EMPLOYEE
+   Counted from the employee's unread NOTE_ADDED notifications instead of
+   scanning the notes of every assigned client.
 ================================ */
-router.get("/unread-count", async (req, res) => {
+router.get("/unread-count", requireEmployee, async (req, res) => {
   try {
     logToConsole("INFO", "EMPLOYEE_GET_UNREAD_NOTES_COUNT", { ip: req.ip });
 
@@ -668,84 +695,10 @@ router.get("/unread-count", async (req, res) => {
       return res.status(401).json({ success: false, message: "Employee authentication failed" });
     }
 
-    // ===== READ ASSIGNMENTS FROM BOTH SOURCES =====
-    const oldAssignments = (employee.assignedClients || []).filter(a => !a.isRemoved);
-
-    let newAssignments = [];
-    try {
-      const EmployeeAssignment = require("../models/EmployeeAssignment");
-      const newDoc = await EmployeeAssignment.findOne({ employeeId: employee.employeeId });
-      if (newDoc && newDoc.assignedClients) {
-        newAssignments = newDoc.assignedClients.filter(a => !a.isRemoved);
-      }
-    } catch (err) {
-      logToConsole("WARN", "ERROR_READING_NEW_ASSIGNMENTS_FOR_UNREAD", { error: err.message });
-    }
-
-    const allAssignments = [...oldAssignments, ...newAssignments];
-
-    if (allAssignments.length === 0) {
-      return res.json({ success: true, totalUnread: 0, assignedClients: [] });
-    }
-
-    // Group assignments by client
-    const clientAssignmentsMap = new Map(); // clientId -> Set of monthKeys
-    allAssignments.forEach(assignment => {
-      if (!assignment.isRemoved && assignment.clientId) {
-        if (!clientAssignmentsMap.has(assignment.clientId)) {
-          clientAssignmentsMap.set(assignment.clientId, new Set());
-        }
-        const monthKey = `${assignment.year}-${assignment.month}`;
-        clientAssignmentsMap.get(assignment.clientId).add(monthKey);
-      }
-    });
-
-    const clientIds = Array.from(clientAssignmentsMap.keys());
-
-    // ===== OPTIMIZATION: BATCH LOAD ALL CLIENTS IN ONE QUERY =====
-    const allClients = await Client.find({
-      clientId: { $in: clientIds },
-      isActive: true
-    }).select("clientId name email documents firstName lastName").lean();
-
-    // ===== OPTIMIZATION: BATCH LOAD ALL MONTH DATA IN ONE QUERY =====
-    const ClientMonthlyData = require("../models/ClientMonthlyData");
-    const allMonthlyData = await ClientMonthlyData.find({
-      clientId: { $in: clientIds }
-    }).lean();
-
-    // Build month data map for quick lookup
-    const monthDataMap = new Map(); // key: "clientId-year-month"
-    for (const record of allMonthlyData) {
-      if (record.months && Array.isArray(record.months)) {
-        for (const month of record.months) {
-          const key = `${record.clientId}-${month.year}-${month.month}`;
-          monthDataMap.set(key, month);
-        }
-      }
-    }
-
-    // ===== OPTIMIZATION: Process all clients in memory =====
-    let totalUnread = 0;
+    const totalUnread = await unreadCount({ type: "EMPLOYEE", id: employee.employeeId }, { type: "NOTE_ADDED" });
 
-    for (const client of allClients) {
-      const assignedMonths = clientAssignmentsMap.get(client.clientId);
-      if (!assignedMonths) continue;
-
-      // Get notes for this client using optimized helper
-      const notes = await extractNotesForEmployeeOptimized(client, employee.employeeId, monthDataMap);
-
-      const unreadNotes = notes.filter(note => {
-        const noteKey = `${note.year}-${note.month}`;
-        return !note.isViewedByEmployee && assignedMonths.has(noteKey);
-      });
-
-      totalUnread += unreadNotes.length;
-    }
-
-    logToConsole("SUCCESS", "EMPLOYEE_UNREAD_COUNT_CALCULATED_OPTIMIZED", {
+    logToConsole("SUCCESS", "EMPLOYEE_UNREAD_COUNT_CALCULATED", {
       employeeId: employee.employeeId,
-      totalAssignedClients: clientIds.length,
       totalUnreadNotes: totalUnread
     });
 
@@ -755,7 +708,6 @@ router.get("/unread-count", async (req, res) => {
       employee: { employeeId: employee.employeeId, name: employee.name },
       timestamp: new Date().toISOString()
     });
-
   } catch (error) {
     logToConsole("ERROR", "EMPLOYEE_UNREAD_NOTES_COUNT_ERROR", { error: error.message, stack: error.stack });
     res.status(500).json({
@@ -769,7 +721,7 @@ router.get("/unread-count", async (req, res) => {
 /* ===============================
    GET ASSIGNED CLIENTS - OPTIMIZED (BATCH QUERIES)
 ================================ */
-router.get("/assigned-clients", async (req, res) => {
+router.get("/assigned-clients", requireEmployee, async (req, res) => {
   try {
     logToConsole("INFO", "EMPLOYEE_GET_ASSIGNED_CLIENTS_OPTIMIZED", { ip: req.ip });
 
@@ -930,7 +882,7 @@ router.get("/assigned-clients", async (req, res) => {
 /* ===============================
    GET NOTES FOR SPECIFIC ASSIGNED CLIENT - READS FROM BOTH
 ================================ */
-router.get("/client/:clientId/notes", async (req, res) => {
+router.get("/client/:clientId/notes", requireEmployee, async (req, res) => {
   try {
     const { clientId } = req.params;
     const { year, month } = req.query;
@@ -1084,7 +1036,7 @@ router.get("/client/:clientId/notes", async (req, res) => {
 /* ===============================
    MARK NOTES AS VIEWED BY EMPLOYEE (UPDATED - WORKS FOR BOTH)
 ================================ */
-router.post("/mark-as-viewed", async (req, res) => {
+router.post("/mark-as-viewed", requireEmployee, async (req, res) => {
   try {
     const { clientId, noteIds, filter, markAll = false } = req.body;
 
@@ -1140,6 +1092,16 @@ router.post("/mark-as-viewed", async (req, res) => {
 
     const unreadNotesToMark = notesToMark.filter(note => !note.isViewedByEmployee);
 
+    // Notifications of notes added through the note endpoints carry the
+    // noteId; older ones only know the month, so single notes mark those
+    // once none of the client's notes are unread (below)
+    const recipient = { type: "EMPLOYEE", id: employee.employeeId };
+    if (!noteIds || noteIds.length === 0) {
+      await markAllRead(recipient, { type: "NOTE_ADDED", clientId, year: filter?.year, month: filter?.month });
+    } else {
+      await markAllRead(recipient, { type: "NOTE_ADDED", clientId, noteIds });
+    }
+
     if (unreadNotesToMark.length === 0) {
       return res.json({ success: true, message: "No unread notes to mark as viewed", markedCount: 0 });
     }
@@ -1150,6 +1112,9 @@ router.post("/mark-as-viewed", async (req, res) => {
     const updatedClient = await Client.findOne({ clientId });
     const notesAfterUpdate = await extractNotesForEmployee(updatedClient, employee.employeeId);
     const updatedUnread = notesAfterUpdate.filter(n => !n.isViewedByEmployee && assignedMonthKeys.has(`${n.year}-${n.month}`)).length;
+    if (updatedUnread === 0) {
+      await markAllRead(recipient, { type: "NOTE_ADDED", clientId });
+    }
 
     logToConsole("SUCCESS", "EMPLOYEE_NOTES_MARKED_AS_VIEWED", {
       employeeId: employee.employeeId,
@@ -1178,4 +1143,70 @@ router.post("/mark-as-viewed", async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/* ===============================
+   NOTE THREADS (BY NOTE ID)
+   Add, reply to, edit and delete single notes of an assigned client;
+   see utils/noteThreads.js for the rules.
+================================ */
+const employeeActor = (req) => ({ type: "employee", id: req.user.employeeId, name: req.user.name });
+
+const sendNoteError = (res, error, operation, req) => {
+  if (error instanceof NoteError) {
+    return res.status(error.status).json({ success: false, code: error.code, message: error.message });
+  }
+
+  logToConsole("ERROR", operation, { employeeId: req.user?.employeeId, clientId: req.params.clientId, noteId: req.params.noteId, error: error.message });
+  res.status(500).json({
+    success: false,
+    message: "Error handling note",
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+router.post("/client/:clientId/notes", requireEmployee, receiveNoteAttachments, async (req, res) => {
+  try {
+    const { year, month, level, categoryType, categoryName, fileUrl, fileVersion, note } = req.body;
+    const created = await addNote(req.params.clientId, { year, month, level, categoryType, categoryName, fileUrl, fileVersion }, note, employeeActor(req), req.files);
+    res.status(201).json({ success: true, note: created });
+  } catch (error) {
+    sendNoteError(res, error, "EMPLOYEE_ADD_NOTE_ERROR", req);
+  }
+});
+
+router.get("/client/:clientId/notes/:noteId/thread", requireEmployee, async (req, res) => {
+  try {
+    const thread = await getThread(req.params.clientId, req.params.noteId, employeeActor(req));
+    res.json({ success: true, ...thread });
+  } catch (error) {
+    sendNoteError(res, error, "EMPLOYEE_GET_NOTE_THREAD_ERROR", req);
+  }
+});
+
+router.post("/client/:clientId/notes/:noteId/replies", requireEmployee, receiveNoteAttachments, async (req, res) => {
+  try {
+    const reply = await replyToNote(req.params.clientId, req.params.noteId, req.body.note, employeeActor(req), req.files);
+    res.status(201).json({ success: true, note: reply });
+  } catch (error) {
+    sendNoteError(res, error, "EMPLOYEE_REPLY_NOTE_ERROR", req);
+  }
+});
+
+router.patch("/client/:clientId/notes/:noteId", requireEmployee, async (req, res) => {
+  try {
+    const note = await editNote(req.params.clientId, req.params.noteId, req.body.note, employeeActor(req));
+    res.json({ success: true, note });
+  } catch (error) {
+    sendNoteError(res, error, "EMPLOYEE_EDIT_NOTE_ERROR", req);
+  }
+});
+
+router.delete("/client/:clientId/notes/:noteId", requireEmployee, async (req, res) => {
+  try {
+    const note = await deleteNote(req.params.clientId, req.params.noteId, employeeActor(req));
+    res.json({ success: true, note });
+  } catch (error) {
+    sendNoteError(res, error, "EMPLOYEE_DELETE_NOTE_ERROR", req);
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const jwt = require("jsonwebtoken");
 const Employee = require("../models/Employee");
 const EmployeeTaskLog = require("../models/EmployeeTaskLog");
 const ActivityLog = require("../models/ActivityLog");
+const { requireEmployee } = require("../middleware/permissionMiddleware");
 
 const router = express.Router();
 
@@ -36,7 +37,7 @@ const logToConsole = (type, operation, data) => {
 /* ===============================
    CREATE TASK LOG (START TASK)
 ================================ */
-router.post("/create", async (req, res) => {
+router.post("/create", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
     
@@ -205,7 +206,7 @@ router.post("/create", async (req, res) => {
 /* ===============================
    UPDATE TASK LOG (END TASK)
 ================================ */
-router.put("/complete/:taskId", async (req, res) => {
+router.put("/complete/:taskId", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
     const { taskId } = req.params;
@@ -376,7 +377,7 @@ router.put("/complete/:taskId", async (req, res) => {
 /* ===============================
    LIST OWN TASK LOGS
 ================================ */
-router.get("/my-tasks", async (req, res) => {
+router.get("/my-tasks", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
     
@@ -486,7 +487,7 @@ router.get("/my-tasks", async (req, res) => {
 /* ===============================
    DELETE TASK LOG
 ================================ */
-router.delete("/delete/:taskId", async (req, res) => {
+router.delete("/delete/:taskId", requireEmployee, async (req, res) => {
   try {
     const token = req.cookies?.employeeToken;
     const { taskId } = req.params;
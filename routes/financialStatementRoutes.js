@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const FinancialStatementRequest = require('../models/FinancialStatementRequest');
-const sendEmail = require('../utils/sendEmail');
+const { sendTemplateEmail } = require('../emails');
 const jwt = require('jsonwebtoken');
 const Client = require('../models/Client');
+const { markAuthGuard } = require('../middleware/permissionMiddleware');
+const { isSessionActive } = require('../utils/sessionService');
 
 // Middleware to verify client token
-const verifyClientToken = (req, res, next) => {
+const verifyClientToken = async (req, res, next) => {
   const token = req.cookies.clientToken;
 
   if (!token) {
@@ -25,6 +27,13 @@ const verifyClientToken = (req, res, next) => {
       });
     }
 
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session expired'
+      });
+    }
+
     req.clientId = decoded.clientId;
     req.clientName = decoded.name;
     next();
@@ -35,6 +44,7 @@ const verifyClientToken = (req, res, next) => {
     });
   }
 };
+markAuthGuard(verifyClientToken);
 
 // Helper function to format date range for display
 const formatDateRange = (fromDate, toDate) => {
@@ -190,67 +200,14 @@ router.post('/request', verifyClientToken, async (req, res) => {
     await newRequest.save();
     console.log('✅ Request saved successfully:', newRequest.requestId);
 
-    // Send email to ADMIN
+    // Send email to ADMIN, and a confirmation to the CLIENT
     const adminEmail = process.env.EMAIL_USER;
-    const adminSubject = `New Financial Statement Request - ${clientName}`;
-    const adminHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2 style="color: #333;">New Financial Statement Request</h2>
-                <div style="background: #f5f5f5; padding: 20px; border-radius: 10px; margin: 20px 0;">
-                    <h3>Request Details:</h3>
-                    <p><strong>Client Name:</strong> ${clientName}</p>
-                    <p><strong>Client Email:</strong> ${clientEmail}</p>
-                    <p><strong>Client ID:</strong> ${req.clientId}</p>
-                    <p><strong>Requested Period:</strong> ${dateRangeDisplay}</p>
-                    <p><strong>From Date:</strong> ${from.toLocaleDateString('en-IN')}</p>
-                    <p><strong>To Date:</strong> ${to.toLocaleDateString('en-IN')}</p>
-                    <p><strong>Request ID:</strong> ${newRequest.requestId}</p>
-                    <p><strong>Requested At:</strong> ${new Date().toLocaleString('en-IN', {
-      timeZone: "Europe/Helsinki"
-    })}</p>
-                    ${additionalNotes ? `<p><strong>Additional Notes:</strong> ${additionalNotes}</p>` : ''}
-                </div>
-                <p>Please review this request and prepare the financial statements.</p>
-                <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
-                    <small>This is an automated notification from Accounting Portal.</small>
-                </div>
-            </div>
-        `;
-
-    // Send email to CLIENT (confirmation)
-    const clientSubject = `Financial Statement Request Received`;
-    const clientHtml = `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-                <h2 style="color: #7cd64b;">Request Received Successfully!</h2>
-                <div style="background: #f8fff5; padding: 20px; border-radius: 10px; margin: 20px 0; border-left: 4px solid #7cd64b;">
-                    <h3>Your Request Details:</h3>
-                    <p><strong>Request ID:</strong> ${newRequest.requestId}</p>
-                    <p><strong>Requested Period:</strong> ${dateRangeDisplay}</p>
-                    <p><strong>From Date:</strong> ${from.toLocaleDateString('en-IN')}</p>
-                    <p><strong>To Date:</strong> ${to.toLocaleDateString('en-IN')}</p>
-                    <p><strong>Status:</strong> <span style="color: #ffa500; font-weight: bold;">Pending Review</span></p>
-                    <p><strong>Submitted:</strong> ${new Date().toLocaleString('en-IN', {
-      timeZone: "Europe/Helsinki"
-    })}</p>
-                </div>
-                <p><strong>What happens next?</strong></p>
-                <ol style="margin-left: 20px;">
-                    <li>Our admin team has been notified of your request</li>
-                    <li>We will review and prepare your financial statements</li>
-                    <li>You will receive another email when statements are ready</li>
-                    <li>Statements will be available in your dashboard</li>
-                </ol>
-                <p style="margin-top: 30px;">Thank you for using our accounting services!</p>
-                <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd;">
-                    <small>This is an automated confirmation from Accounting Portal.</small>
-                </div>
-            </div>
-        `;
+    const emailClient = { clientId: req.clientId, name: clientName, email: clientEmail };
 
     // Send emails (don't await - let them run in background)
     Promise.allSettled([
-      sendEmail(adminEmail, adminSubject, adminHtml),
-      sendEmail(clientEmail, clientSubject, clientHtml)
+      sendTemplateEmail(adminEmail, "statement-requested-admin", { client: emailClient, request: newRequest, adminEmail }),
+      sendTemplateEmail(clientEmail, "statement-requested", { client: emailClient, request: newRequest }, { locale: client.preferredLanguage })
     ]).then(results => {
       FinancialStatementRequest.findByIdAndUpdate(newRequest._id, {
         emailSentToAdmin: results[0].status === 'fulfilled',
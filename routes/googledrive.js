@@ -69,17 +69,14 @@
 
 const express = require("express");
 const axios = require("axios");
-const fs = require("fs");
-const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const auth = require("../middleware/authMiddleware");
+const storage = require("../utils/storage");
+const { signUrl } = require("../utils/signedUrls");
 const router = express.Router();
 
-const UPLOAD_DIR = path.join(__dirname, "../uploads");
-if (!fs.existsSync(UPLOAD_DIR)) {
-  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
-}
-
 // ── EXISTING: Download proxy ──────────────────────────────────────────────────
-router.post("/google-drive-proxy", async (req, res) => {
+router.post("/google-drive-proxy", auth, async (req, res) => {
   try {
     const { fileId, accessToken } = req.body;
     if (!fileId || !accessToken) {
@@ -130,8 +127,10 @@ router.post("/google-drive-proxy", async (req, res) => {
   }
 });
 
-// ── NEW: Upload files to server ───────────────────────────────────────────────
-router.post("/google-drive-upload", (req, res) => {
+// ── NEW: Upload files to storage (utils/storage.js) ──────────────────────────
+// Each file gets its own key, so names cannot overwrite each other or
+// point outside the google-drive/ prefix; the uploader gets a signed link.
+router.post("/google-drive-upload", auth, async (req, res) => {
   try {
     const { files } = req.body;
 
@@ -141,12 +140,12 @@ router.post("/google-drive-upload", (req, res) => {
 
     const savedFiles = [];
 
-    files.forEach((file) => {
-      const filePath = path.join(UPLOAD_DIR, file.name);
+    for (const file of files) {
       const buffer = Buffer.from(file.data, "base64");
-      fs.writeFileSync(filePath, buffer);
-      savedFiles.push({ name: file.name, size: buffer.length });
-    });
+      const safeName = String(file.name).replace(/[^a-zA-Z0-9.]/g, "_");
+      const url = await storage.putObject(`google-drive/${uuidv4()}-${safeName}`, buffer, file.mimeType);
+      savedFiles.push({ name: file.name, size: buffer.length, url: await signUrl(url) });
+    }
 
     res.json({
       message: "All files uploaded successfully",
@@ -0,0 +1,169 @@
+const express = require("express");
+
+const ActivityLog = require("../models/ActivityLog");
+const JobRun = require("../models/JobRun");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const {
+  JobError,
+  periodKey,
+  parsePeriod,
+  getJob,
+  listJobs,
+  runJob
+} = require("../utils/jobScheduler");
+const { logToConsole } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * Scheduled job history and manual runs, mounted at /admin/jobs:
+ *
+ *   GET  /admin/jobs              defined jobs with their latest run
+ *   GET  /admin/jobs/runs         run history (?job=&status=&period=&limit=)
+ *   POST /admin/jobs/:name/run    run a job for { year, month } now
+ */
+
+/* ===============================
+   LIST JOBS
+================================ */
+router.get("/", requirePermission("jobs:manage"), async (req, res) => {
+  try {
+    const jobs = await Promise.all(listJobs().map(async (job) => {
+      const lastRun = await JobRun.findOne({ jobName: job.name })
+        .sort({ startedAt: -1 })
+        .select("-result -__v")
+        .lean();
+
+      return {
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        period: job.period,
+        catchUpDays: job.catchUpDays,
+        lastRun
+      };
+    }));
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "LIST_JOBS_ERROR", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error fetching jobs",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   RUN HISTORY
+================================ */
+router.get("/runs", requirePermission("jobs:manage"), async (req, res) => {
+  try {
+    const { job, status, period } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const filter = {};
+    if (job) filter.jobName = String(job);
+    if (status) filter.status = String(status).toUpperCase();
+    if (period) filter.periodKey = String(period);
+
+    const runs = await JobRun.find(filter)
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .select("-__v")
+      .lean();
+
+    res.json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+
+  } catch (error) {
+    logToConsole("ERROR", "LIST_JOB_RUNS_ERROR", { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error fetching job runs",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/* ===============================
+   MANUAL RUN
+   Body: { year, month, force }. A period that already completed is only
+   run again with force: true. Responds as soon as the run has started;
+   follow it through GET /admin/jobs/runs.
+================================ */
+router.post("/:name/run", requirePermission("jobs:manage"), async (req, res) => {
+  try {
+    const job = getJob(req.params.name);
+    const period = parsePeriod(job, req.body);
+    const force = req.body?.force === true;
+
+    const started = await runJob(job.name, period, {
+      trigger: "MANUAL",
+      triggeredBy: req.user.adminId,
+      triggeredByName: req.user.name,
+      force
+    });
+
+    if (!started) {
+      const holder = await JobRun.findOne({ claimKey: `${job.name}|${periodKey(period)}` }).lean();
+      return res.status(409).json({
+        success: false,
+        message: holder?.status === "RUNNING"
+          ? `${job.name} is already running for ${periodKey(period)}`
+          : `${job.name} already completed for ${periodKey(period)}; send force: true to run it again`,
+        run: holder
+      });
+    }
+
+    await ActivityLog.create({
+      userName: req.user.name,
+      role: "ADMIN",
+      adminId: req.user.adminId,
+      action: "JOB_RUN_TRIGGERED",
+      details: `Ran job ${job.name} for ${periodKey(period)}${force ? " (forced)" : ""}, run ${started.run.runId}`,
+      dateTime: new Date()
+    });
+
+    logToConsole("INFO", "JOB_RUN_TRIGGERED", {
+      job: job.name,
+      period: periodKey(period),
+      runId: started.run.runId,
+      adminId: req.user.adminId,
+      force
+    });
+
+    res.status(202).json({
+      success: true,
+      message: `${job.name} started for ${periodKey(period)}`,
+      run: started.run
+    });
+
+  } catch (error) {
+    if (error instanceof JobError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logToConsole("ERROR", "JOB_RUN_TRIGGER_ERROR", { job: req.params.name, error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error starting job",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require("express");
+
+const ActivityLog = require("../models/ActivityLog");
+const Client = require("../models/Client");
+const { requireClient, requirePermission } = require("../middleware/permissionMiddleware");
+const {
+  CHANNELS,
+  CATEGORIES,
+  PreferenceError,
+  getPreferences,
+  updatePreferences,
+  verifyUnsubscribeToken,
+  unsubscribe
+} = require("../utils/notificationPreferences");
+const { commonTranslator } = require("../emails");
+const { escapeHtml } = require("../emails/layout");
+const { logToConsole } = require("../utils/logger");
+
+const router = express.Router();
+
+/**
+ * Client notification preferences, mounted at /notification-preferences:
+ *
+ *   GET  /notification-preferences                     own preferences (client)
+ *   PUT  /notification-preferences                     { email: { reminders: false } } (client)
+ *   GET  /notification-preferences/clients/:clientId   a client's preferences (admin)
+ *   PUT  /notification-preferences/clients/:clientId   change them (admin)
+ *   GET  /notification-preferences/unsubscribe?token=  link from an email: confirmation page (public)
+ *   POST /notification-preferences/unsubscribe?token=  the page's button, or RFC 8058 List-Unsubscribe-Post (public)
+ */
+
+const sendPreferenceError = (res, error, operation, context) => {
+  if (error instanceof PreferenceError) {
+    return res.status(error.status).json({
+      success: false,
+      code: error.code,
+      message: error.message
+    });
+  }
+
+  logToConsole("ERROR", operation, { ...context, error: error.message });
+  res.status(500).json({
+    success: false,
+    message: "Error handling notification preferences",
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const describeChanges = (changes) => Object.entries(changes || {})
+  .flatMap(([channel, switches]) => Object.entries(switches || {}).map(([category, on]) => `${channel}.${category}=${on ? "on" : "off"}`))
+  .join(", ");
+
+/* ===============================
+   CLIENT: OWN PREFERENCES
+================================ */
+router.get("/", requireClient, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.clientId);
+    res.json({ success: true, channels: CHANNELS, categories: CATEGORIES, ...preferences });
+  } catch (error) {
+    sendPreferenceError(res, error, "GET_PREFERENCES_ERROR", { clientId: req.user.clientId });
+  }
+});
+
+router.put("/", requireClient, async (req, res) => {
+  try {
+    const preferences = await updatePreferences(req.user.clientId, req.body, {
+      source: "CLIENT",
+      changedBy: req.user.clientId
+    });
+
+    await ActivityLog.create({
+      userName: req.user.name,
+      role: "CLIENT",
+      clientId: req.user.clientId,
+      action: "NOTIFICATION_PREFERENCES_UPDATED",
+      details: `Client changed notification preferences: ${describeChanges(req.body)}`,
+      dateTime: new Date()
+    });
+
+    logToConsole("INFO", "NOTIFICATION_PREFERENCES_UPDATED", {
+      clientId: req.user.clientId,
+      changes: describeChanges(req.body)
+    });
+
+    res.json({ success: true, ...preferences });
+  } catch (error) {
+    sendPreferenceError(res, error, "UPDATE_PREFERENCES_ERROR", { clientId: req.user.clientId });
+  }
+});
+
+/* ===============================
+   ADMIN: A CLIENT'S PREFERENCES
+================================ */
+router.get("/clients/:clientId", requirePermission("clients:read"), async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    if (!(await Client.exists({ clientId }))) {
+      return res.status(404).json({ success: false, message: "Client not found" });
+    }
+
+    const preferences = await getPreferences(clientId);
+    res.json({ success: true, channels: CHANNELS, categories: CATEGORIES, ...preferences });
+  } catch (error) {
+    sendPreferenceError(res, error, "ADMIN_GET_PREFERENCES_ERROR", { clientId: req.params.clientId });
+  }
+});
+
+router.put("/clients/:clientId", requirePermission("clients:update"), async (req, res) => {
+  try {
+    const { clientId } = req.params;
+    if (!(await Client.exists({ clientId }))) {
+      return res.status(404).json({ success: false, message: "Client not found" });
+    }
+
+    const preferences = await updatePreferences(clientId, req.body, {
+      source: "ADMIN",
+      changedBy: req.user.adminId
+    });
+
+    await ActivityLog.create({
+      userName: req.user.name,
+      role: "ADMIN",
+      adminId: req.user.adminId,
+      clientId,
+      action: "NOTIFICATION_PREFERENCES_UPDATED",
+      details: `Admin changed notification preferences of ${clientId}: ${describeChanges(req.body)}`,
+      dateTime: new Date()
+    });
+
+    res.json({ success: true, ...preferences });
+  } catch (error) {
+    sendPreferenceError(res, error, "ADMIN_UPDATE_PREFERENCES_ERROR", { clientId: req.params.clientId });
+  }
+});
+
+/* ===============================
+   UNSUBSCRIBE
+   The signed token is the only credential. GET is the link in the email
+   footer and only shows a confirmation page in the client's language, so
+   link scanners and previews that open it change nothing; its button
+   POSTs the token back. POST is also what mail clients send for the
+   List-Unsubscribe header (RFC 8058), and the only route that unsubscribes.
+================================ */
+const unsubscribeTokenOf = (req) => req.query.token || req.body?.token;
+
+const handleUnsubscribe = async (req) => {
+  const { clientId, category } = await unsubscribe(unsubscribeTokenOf(req));
+  const client = await Client.findOne({ clientId }).select("clientId name preferredLanguage").lean();
+
+  await ActivityLog.create({
+    userName: client?.name || clientId,
+    role: "CLIENT",
+    clientId,
+    action: "NOTIFICATION_UNSUBSCRIBED",
+    details: `Unsubscribed from ${category} emails with the link in an email`,
+    dateTime: new Date()
+  });
+
+  logToConsole("INFO", "NOTIFICATION_UNSUBSCRIBED", { clientId, category, method: req.method });
+  return { clientId, category, locale: client?.preferredLanguage };
+};
+
+const unsubscribePage = (t, title, message, confirmToken) => `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(title)}</title>
+      </head>
+      <body style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; padding: 0 20px; color: #333;">
+        <h1 style="color: #7cd64b; font-size: 22px;">${escapeHtml(t("brand"))}</h1>
+        <h2 style="color: #2c3e50;">${escapeHtml(title)}</h2>
+        <p>${escapeHtml(message)}</p>
+        ${confirmToken ? `<form method="POST" action="unsubscribe">
+          <input type="hidden" name="token" value="${escapeHtml(confirmToken)}">
+          <input type="hidden" name="confirm" value="page">
+          <button type="submit" style="background: #7cd64b; color: #fff; border: none; padding: 10px 20px; font-size: 16px; cursor: pointer;">${escapeHtml(t("unsubscribeConfirmButton"))}</button>
+        </form>` : ""}
+      </body>
+      </html>
+    `;
+
+const sendInvalidLinkPage = (res, status) => {
+  const t = commonTranslator();
+  res.status(status).type("html").send(unsubscribePage(t, t("unsubscribe"), t("unsubscribeInvalid")));
+};
+
+router.get("/unsubscribe", async (req, res) => {
+  try {
+    const { clientId, category } = verifyUnsubscribeToken(req.query.token);
+    const client = await Client.findOne({ clientId }).select("preferredLanguage").lean();
+    const t = commonTranslator(client?.preferredLanguage);
+
+    res.type("html").send(unsubscribePage(
+      t,
+      t("unsubscribe"),
+      t("unsubscribeConfirm", t("preferenceCategories")[category]),
+      req.query.token
+    ));
+  } catch (error) {
+    if (error instanceof PreferenceError) {
+      return sendInvalidLinkPage(res, error.status);
+    }
+    logToConsole("ERROR", "UNSUBSCRIBE_PAGE_ERROR", { error: error.message });
+    res.status(500).type("text").send("Error loading this page, please try again later");
+  }
+});
+
+// The confirmation page posts confirm=page and gets a page back; mail
+// clients (List-Unsubscribe=One-Click) get JSON
+router.post("/unsubscribe", async (req, res) => {
+  const fromPage = req.body?.confirm === "page";
+
+  try {
+    const { category, locale } = await handleUnsubscribe(req);
+
+    if (fromPage) {
+      const t = commonTranslator(locale);
+      return res.type("html").send(unsubscribePage(t, t("unsubscribedTitle"), t("unsubscribed", t("preferenceCategories")[category])));
+    }
+    res.json({ success: true, message: `Unsubscribed from ${category} emails` });
+  } catch (error) {
+    if (fromPage && error instanceof PreferenceError) {
+      return sendInvalidLinkPage(res, error.status);
+    }
+    if (fromPage) {
+      logToConsole("ERROR", "UNSUBSCRIBE_ERROR", { error: error.message });
+      return res.status(500).type("text").send("Error unsubscribing, please try again later");
+    }
+    sendPreferenceError(res, error, "UNSUBSCRIBE_ERROR", {});
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require("express");
+
+const { requireAdmin, requireEmployee, requireClient } = require("../middleware/permissionMiddleware");
+const {
+  NotificationError,
+  listNotifications,
+  unreadCountByType,
+  markRead,
+  markAllRead
+} = require("../utils/notifications");
+const { logToConsole } = require("../utils/logger");
+
+const GUARDS = {
+  ADMIN: requireAdmin,
+  EMPLOYEE: requireEmployee,
+  CLIENT: requireClient
+};
+
+const USER_ID_FIELDS = {
+  ADMIN: "adminId",
+  EMPLOYEE: "employeeId",
+  CLIENT: "clientId"
+};
+
+/**
+ * Notification center shared by the three user types. Mounted once per
+ * type in index.js; every user only sees their own notifications:
+ *
+ *   GET  /<type>/notifications                     newest first (?unread=true&type=&clientId=&limit=&before=)
+ *   GET  /<type>/notifications/unread-count        { unread, byType }
+ *   POST /<type>/notifications/read-all            mark all (or { type, clientId }) read
+ *   POST /<type>/notifications/:notificationId/read
+ */
+const createNotificationRoutes = (userType) => {
+  const router = express.Router();
+  const guard = GUARDS[userType];
+  const idField = USER_ID_FIELDS[userType];
+
+  const recipientOf = (req) => ({ type: userType, id: req.user[idField] });
+
+  const sendNotificationError = (res, error, operation, req) => {
+    if (error instanceof NotificationError) {
+      return res.status(error.status).json({
+        success: false,
+        code: error.code,
+        message: error.message
+      });
+    }
+
+    logToConsole("ERROR", operation, { userType, userId: req.user?.[idField], error: error.message });
+    res.status(500).json({
+      success: false,
+      message: "Error handling notifications",
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  };
+
+  /* ===============================
+     LIST
+  ================================ */
+  router.get("/notifications", guard, async (req, res) => {
+    try {
+      const { unread, type, clientId, limit, before } = req.query;
+      const page = await listNotifications(recipientOf(req), {
+        unreadOnly: unread === "true",
+        type,
+        // Clients only ever get notifications about themselves
+        clientId: userType === "CLIENT" ? undefined : clientId,
+        limit,
+        before
+      });
+
+      res.json({ success: true, ...page });
+    } catch (error) {
+      sendNotificationError(res, error, "LIST_NOTIFICATIONS_ERROR", req);
+    }
+  });
+
+  /* ===============================
+     UNREAD COUNT
+  ================================ */
+  router.get("/notifications/unread-count", guard, async (req, res) => {
+    try {
+      const counts = await unreadCountByType(recipientOf(req));
+      res.json({ success: true, ...counts });
+    } catch (error) {
+      sendNotificationError(res, error, "NOTIFICATION_UNREAD_COUNT_ERROR", req);
+    }
+  });
+
+  /* ===============================
+     MARK ALL READ
+  ================================ */
+  router.post("/notifications/read-all", guard, async (req, res) => {
+    try {
+      const { type, clientId } = req.body || {};
+      const markedCount = await markAllRead(recipientOf(req), {
+        type,
+        clientId: userType === "CLIENT" ? undefined : clientId
+      });
+
+      logToConsole("INFO", "NOTIFICATIONS_MARKED_READ", {
+        userType,
+        userId: req.user[idField],
+        type,
+        clientId,
+        markedCount
+      });
+
+      res.json({ success: true, markedCount });
+    } catch (error) {
+      sendNotificationError(res, error, "MARK_ALL_NOTIFICATIONS_READ_ERROR", req);
+    }
+  });
+
+  /* ===============================
+     MARK ONE READ
+  ================================ */
+  router.post("/notifications/:notificationId/read", guard, async (req, res) => {
+    try {
+      const notification = await markRead(recipientOf(req), req.params.notificationId);
+      res.json({ success: true, notification });
+    } catch (error) {
+      sendNotificationError(res, error, "MARK_NOTIFICATION_READ_ERROR", req);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNotificationRoutes;
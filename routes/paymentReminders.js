@@ -1,9 +1,15 @@
 const express = require("express");
-const cron = require("node-cron");
 const Client = require("../models/Client");
 const sendEmail = require("../utils/sendEmail");
-const paymentReminderTemplate = require("../utils/paymentReminderTemplate");
+const { sendTemplateEmail } = require("../emails");
 const ActivityLog = require("../models/ActivityLog");
+const PaymentReminder = require("../models/PaymentReminder");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const auditAccess = require("../middleware/auditAccess");
+const config = require("../config");
+const { defineJob, periodKey } = require("../utils/jobScheduler");
+const { outstandingMonthsByClient } = require("../utils/outstandingPayments");
+const { preferencesByClient, allows } = require("../utils/notificationPreferences");
 
 const router = express.Router();
 
@@ -88,13 +94,25 @@ const notifyAdminAboutFailedEmails = async (failedClients, errorReason) => {
 
 /* ===============================
    PAYMENT REMINDER FUNCTION
+   Only clients with unpaid months get an email, listing those months and
+   the amounts due. Each reminder (FIRST / FINAL) is recorded per client
+   and billing month and never sent twice. Clients who switched reminder
+   emails off in their notification preferences are skipped.
 ================================ */
-const sendPaymentReminders = async () => {
+const currentBillingMonth = () => {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1 };
+};
+
+const sendPaymentReminders = async ({ reminder = "FIRST", period = currentBillingMonth() } = {}) => {
     const startTime = Date.now();
-    const operationId = `PAYMENT_REMINDER_${new Date().toISOString().split('T')[0]}`;
+    const billingMonth = periodKey(period);
+    const operationId = `PAYMENT_REMINDER_${reminder}_${billingMonth}`;
 
     logToConsole("INFO", "PAYMENT_REMINDER_STARTED", {
         operationId,
+        reminder,
+        billingMonth,
         startTime: new Date(startTime).toLocaleString("en-IN", {
             timeZone: "Europe/Helsinki"  // Finland timezone
         })
@@ -119,37 +137,93 @@ const sendPaymentReminders = async () => {
             };
         }
 
-        // 2. SEND EMAILS TO EACH CLIENT
+        // 2. WORK OUT UNPAID MONTHS AND WHO ALREADY GOT THIS REMINDER
+        const outstanding = await outstandingMonthsByClient(activeClients, period);
+
+        const alreadySentIds = new Set(await PaymentReminder.distinct("clientId", {
+            reminder,
+            periodKey: billingMonth,
+            status: "SENT"
+        }));
+
+        const preferences = await preferencesByClient(activeClients.map(c => c.clientId));
+
+        // 3. SEND EMAILS TO CLIENTS WITH UNPAID MONTHS
         const results = {
             sent: [],
-            failed: []
+            failed: [],
+            paid: [],
+            alreadySent: [],
+            optedOut: []
         };
 
         for (const client of activeClients) {
+            const { months, totalAmount } = outstanding.get(client.clientId);
+
+            if (months.length === 0) {
+                results.paid.push(client.clientId);
+                continue;
+            }
+
+            if (alreadySentIds.has(client.clientId)) {
+                results.alreadySent.push(client.clientId);
+                continue;
+            }
+
+            if (!allows(preferences.get(client.clientId), "reminders")) {
+                results.optedOut.push(client.clientId);
+                continue;
+            }
+
+            const record = {
+                clientName: client.name,
+                email: client.email,
+                year: period.year,
+                month: period.month,
+                outstandingMonths: months,
+                totalAmount
+            };
+
             try {
-                const template = paymentReminderTemplate(client);
+                // The key makes a re-run (or a second instance) reuse the queued email
+                const queued = await sendTemplateEmail(client.email, "payment-reminder", {
+                    client,
+                    reminder,
+                    months,
+                    totalAmount
+                }, {
+                    locale: client.preferredLanguage,
+                    clientId: client.clientId,
+                    idempotencyKey: `payment-reminder:${reminder}:${billingMonth}:${client.clientId}`
+                });
 
-                await sendEmail(
-                    client.email,
-                    template.subject,
-                    template.html
+                await PaymentReminder.updateOne(
+                    { clientId: client.clientId, reminder, periodKey: billingMonth },
+                    {
+                        $set: { ...record, status: "SENT", sentAt: new Date(), outboxId: queued.outboxId },
+                        $unset: { error: "" },
+                        $inc: { attempts: 1 }
+                    },
+                    { upsert: true }
                 );
 
                 results.sent.push({
                     clientId: client.clientId,
                     name: client.name,
                     email: client.email,
-                    businessName: client.businessName
+                    businessName: client.businessName,
+                    unpaidMonths: months.map(m => `${m.year}-${String(m.month).padStart(2, "0")}`),
+                    totalAmount
                 });
 
                 logToConsole("INFO", "PAYMENT_REMINDER_SENT", {
                     clientId: client.clientId,
-                    email: client.email
+                    email: client.email,
+                    reminder,
+                    unpaidMonths: months.length,
+                    totalAmount
                 });
 
-                // Add small delay to avoid overwhelming email service
-                await new Promise(resolve => setTimeout(resolve, 100));
-
             } catch (error) {
                 results.failed.push({
                     clientId: client.clientId,
@@ -161,21 +235,38 @@ const sendPaymentReminders = async () => {
                 logToConsole("ERROR", "PAYMENT_REMINDER_FAILED", {
                     clientId: client.clientId,
                     email: client.email,
+                    reminder,
                     error: error.message
                 });
+
+                try {
+                    await PaymentReminder.updateOne(
+                        { clientId: client.clientId, reminder, periodKey: billingMonth, status: { $ne: "SENT" } },
+                        {
+                            $set: { ...record, status: "FAILED", error: error.message },
+                            $inc: { attempts: 1 }
+                        },
+                        { upsert: true }
+                    );
+                } catch (recordError) {
+                    logToConsole("ERROR", "PAYMENT_REMINDER_RECORD_FAILED", {
+                        clientId: client.clientId,
+                        error: recordError.message
+                    });
+                }
             }
         }
 
-        // 3. LOG ACTIVITY (dateTime line removed - let schema handle it)
+        // 4. LOG ACTIVITY (dateTime line removed - let schema handle it)
         await ActivityLog.create({
             userName: "SYSTEM",
             role: "SYSTEM",
             action: "PAYMENT_REMINDER_SENT",
-            details: `Payment reminders sent to ${results.sent.length} active clients. ${results.failed.length} failed.`
+            details: `${reminder} payment reminder for ${billingMonth} sent to ${results.sent.length} clients with unpaid months. ${results.failed.length} failed, ${results.paid.length} fully paid, ${results.alreadySent.length} already reminded, ${results.optedOut.length} opted out.`
             // dateTime line removed
         });
 
-        // 4. NOTIFY ADMIN IF ANY FAILURES
+        // 5. NOTIFY ADMIN IF ANY FAILURES
         if (results.failed.length > 0) {
             await notifyAdminAboutFailedEmails(results.failed, "Email delivery failed");
         }
@@ -188,6 +279,9 @@ const sendPaymentReminders = async () => {
             duration: `${duration} seconds`,
             sentCount: results.sent.length,
             failedCount: results.failed.length,
+            paidCount: results.paid.length,
+            alreadySentCount: results.alreadySent.length,
+            optedOutCount: results.optedOut.length,
             totalClients: activeClients.length
         });
 
@@ -195,9 +289,15 @@ const sendPaymentReminders = async () => {
             success: true,
             message: `Payment reminders sent successfully`,
             details: {
+                reminder,
+                billingMonth,
                 totalClients: activeClients.length,
                 sent: results.sent.length,
                 failed: results.failed.length,
+                paid: results.paid.length,
+                alreadySent: results.alreadySent.length,
+                optedOut: results.optedOut.length,
+                sentClients: results.sent,
                 failedClients: results.failed,
                 duration: `${duration} seconds`
             }
@@ -223,31 +323,31 @@ const sendPaymentReminders = async () => {
 
 /* ===============================
    SCHEDULED JOBS - UPDATED TO FINLAND TIME
+   Run through utils/jobScheduler.js, once per month each
 ================================ */
-// Schedule for 20th of each month at 12:00 PM Finland time
-cron.schedule('0 12 20 * *', async () => {
-    console.log("⏰ Running payment reminder (20th of month)...");
-    await sendPaymentReminders();
-}, {
-    scheduled: true,
-    timezone: "Europe/Helsinki"  // Finland timezone
+// First reminder (default: 20th of each month at 12:00 PM Finland time)
+defineJob({
+    name: "payment-reminder-first",
+    description: "First monthly payment reminder to clients with unpaid months",
+    schedule: config.cron.paymentReminderFirst,
+    handler: (period) => sendPaymentReminders({ reminder: "FIRST", period })
 });
 
-// Schedule for 25th of each month at 12:00 PM Finland time  
-cron.schedule('0 12 25 * *', async () => {
-    console.log("⏰ Running payment reminder (25th of month)...");
-    await sendPaymentReminders();
-}, {
-    scheduled: true,
-    timezone: "Europe/Helsinki"  // Finland timezone
+// Final reminder (default: 25th of each month at 12:00 PM Finland time)
+defineJob({
+    name: "payment-reminder-final",
+    description: "Final monthly payment reminder to clients still unpaid",
+    schedule: config.cron.paymentReminderFinal,
+    handler: (period) => sendPaymentReminders({ reminder: "FINAL", period })
 });
 
 /* ===============================
    MANUAL TRIGGER FOR TESTING
 ================================ */
-router.post("/send-test-reminder", async (req, res) => {
+router.post("/send-test-reminder", requirePermission("reminders:send"), auditAccess("PAYMENT_REMINDER_MANUAL_TRIGGER"), async (req, res) => {
     try {
-        const result = await sendPaymentReminders();
+        const reminder = req.body?.reminder === "FINAL" ? "FINAL" : "FIRST";
+        const result = await sendPaymentReminders({ reminder });
         res.json(result);
 
     } catch (error) {
@@ -263,7 +363,7 @@ router.post("/send-test-reminder", async (req, res) => {
 /* ===============================
    TEST ENDPOINT - Check system status
 ================================ */
-router.get("/test", async (req, res) => {
+router.get("/test", requirePermission("dashboard:read"), async (req, res) => {
     try {
         const activeClients = await Client.find({ isActive: true });
         const adminEmail = process.env.EMAIL_USER;
@@ -292,18 +392,18 @@ router.get("/test", async (req, res) => {
 /* ===============================
    STATUS CHECK ENDPOINT
 ================================ */
-router.get("/status", (req, res) => {
+router.get("/status", requirePermission("dashboard:read"), (req, res) => {
     res.json({
         success: true,
         message: "Payment Reminder System is active",
         schedules: [
             {
                 schedule: "20th of each month at 12:00 PM EET/EEST",  // Changed from IST
-                description: "Monthly payment reminder"
+                description: "First payment reminder, clients with unpaid months only"
             },
             {
                 schedule: "25th of each month at 12:00 PM EET/EEST",  // Changed from IST
-                description: "Monthly payment reminder"
+                description: "Final payment reminder, clients still unpaid only"
             }
         ],
         currentTime: new Date().toLocaleString("en-IN", {
@@ -0,0 +1,129 @@
+const express = require("express");
+
+const config = require("../config");
+const { requireAdmin, requireEmployee, requireClient } = require("../middleware/permissionMiddleware");
+const { isSessionActive } = require("../utils/sessionService");
+const { subscribe, eventsSince } = require("../utils/realtime");
+const { logToConsole } = require("../utils/logger");
+
+const GUARDS = {
+  ADMIN: requireAdmin,
+  EMPLOYEE: requireEmployee,
+  CLIENT: requireClient
+};
+
+const USER_ID_FIELDS = {
+  ADMIN: "adminId",
+  EMPLOYEE: "employeeId",
+  CLIENT: "clientId"
+};
+
+// Browser reconnect delay sent with the stream (EventSource "retry")
+const RECONNECT_MS = 5 * 1000;
+
+/**
+ * Server-Sent Events stream of the user's new notifications (notes, file
+ * uploads, locks, assignments). Mounted once per type in index.js:
+ *
+ *   GET /<type>/events          text/event-stream, authenticated by the login cookie
+ *
+ * Events:
+ *   notification      data = the notification as GET /<type>/notifications returns it
+ *   replay-truncated  more was missed than is replayed; reload the notification list
+ *   session-expired   the session was revoked or ran out; the stream is closed
+ *
+ * The stream outlives the access token it was opened with: the heartbeat
+ * only checks that the session is still active. A browser that reconnects
+ * after the token expired gets a 401 and has to refresh first.
+ *
+ * Every notification carries an id. EventSource sends the last one back
+ * in the Last-Event-ID header when it reconnects and the missed
+ * notifications are replayed first; ?lastEventId= does the same for a
+ * fresh EventSource (e.g. after a page reload).
+ */
+const createRealtimeRoutes = (userType) => {
+  const router = express.Router();
+  const guard = GUARDS[userType];
+  const idField = USER_ID_FIELDS[userType];
+
+  router.get("/events", guard, async (req, res) => {
+    const recipient = { type: userType, id: req.user[idField] };
+    const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId;
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      "Connection": "keep-alive",
+      "X-Accel-Buffering": "no"     // nginx: do not buffer the stream
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    let closed = false;
+    let heartbeat = null;
+    let unsubscribe = () => {};
+
+    const send = (event, data, id) => {
+      if (closed) return;
+      res.write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+      res.end();
+    };
+
+    req.on("close", close);
+
+    // Live events that arrive while the replay is read are held back so
+    // the browser gets everything once and in order
+    let pending = [];
+    const delivered = new Set();
+
+    try {
+      unsubscribe = subscribe(recipient, (event) => {
+        if (pending) pending.push(event);
+        else send(event.type, event.data, event.id);
+      });
+
+      const replay = await eventsSince(recipient, lastEventId);
+      replay.events.forEach(event => {
+        delivered.add(event.id);
+        send(event.type, event.data, event.id);
+      });
+      if (replay.truncated) send("replay-truncated", { lastEventId });
+    } catch (error) {
+      logToConsole("ERROR", "REALTIME_REPLAY_ERROR", { userType, userId: recipient.id, lastEventId, error: error.message });
+      // The stream still works, the browser only misses the replay
+      send("replay-truncated", { lastEventId });
+    } finally {
+      const held = pending;
+      pending = null;
+      held.filter(event => !delivered.has(event.id)).forEach(event => send(event.type, event.data, event.id));
+    }
+    if (closed) return;
+
+    // Keeps proxies from closing an idle stream, and ends it with the session
+    heartbeat = setInterval(async () => {
+      try {
+        if (!(await isSessionActive(req.user))) {
+          send("session-expired", { code: "SESSION_INACTIVE" });
+          close();
+          return;
+        }
+        if (!closed) res.write(": ping\n\n");
+      } catch (error) {
+        logToConsole("ERROR", "REALTIME_HEARTBEAT_ERROR", { userType, userId: recipient.id, error: error.message });
+      }
+    }, config.realtime.heartbeatSeconds * 1000);
+
+    logToConsole("INFO", "REALTIME_CONNECTED", { userType, userId: recipient.id, resumedFrom: lastEventId || null });
+  });
+
+  return router;
+};
+
+module.exports = createRealtimeRoutes;
@@ -5,6 +5,8 @@ const ActivityLog = require("../models/ActivityLog");
 const sendEmail = require("../utils/sendEmail");
 const router = express.Router();
 const ConnectRequest = require("../models/ConnectRequest"); // NEW
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const auditAccess = require("../middleware/auditAccess");
 
 
 // Submit schedule call request
@@ -168,7 +170,7 @@ router.post("/submit", async (req, res) => {
 });
 
 // Get all schedule calls (for admin)
-router.get("/all", async (req, res) => {
+router.get("/all", requirePermission("leads:read"), auditAccess("SCHEDULE_CALLS_VIEWED"), async (req, res) => {
     try {
         const calls = await ScheduleCall.find().sort({ submittedAt: -1 });
 
@@ -187,7 +189,7 @@ router.get("/all", async (req, res) => {
 });
 
 // Get single schedule call by ID
-router.get("/:scheduleId", async (req, res) => {
+router.get("/:scheduleId", requirePermission("leads:read"), auditAccess("SCHEDULE_CALL_VIEWED"), async (req, res) => {
     try {
         const call = await ScheduleCall.findOne({
             scheduleId: req.params.scheduleId
@@ -397,7 +399,7 @@ router.post("/connect-us/submit", async (req, res) => {
 // ==============================================
 // GET ALL CONNECT REQUESTS (FOR ADMIN)
 // ==============================================
-router.get("/connect-us/all", async (req, res) => {
+router.get("/connect-us/all", requirePermission("leads:read"), auditAccess("CONNECT_REQUESTS_VIEWED"), async (req, res) => {
     try {
         const requests = await ConnectRequest.find().sort({ submittedAt: -1 });
 
@@ -418,7 +420,7 @@ router.get("/connect-us/all", async (req, res) => {
 // ==============================================
 // GET SINGLE CONNECT REQUEST
 // ==============================================
-router.get("/connect-us/:requestId", async (req, res) => {
+router.get("/connect-us/:requestId", requirePermission("leads:read"), auditAccess("CONNECT_REQUEST_VIEWED"), async (req, res) => {
     try {
         const request = await ConnectRequest.findOne({
             requestId: req.params.requestId
@@ -0,0 +1,154 @@
+const express = require("express");
+
+const ActivityLog = require("../models/ActivityLog");
+const Session = require("../models/Session");
+const { requireAdmin, requireEmployee, requireClient } = require("../middleware/permissionMiddleware");
+const {
+  SessionError,
+  refreshSession,
+  revokeSession,
+  listActiveSessions
+} = require("../utils/sessionService");
+const { logToConsole } = require("../utils/logger");
+
+const GUARDS = {
+  ADMIN: requireAdmin,
+  EMPLOYEE: requireEmployee,
+  CLIENT: requireClient
+};
+
+const USER_ID_FIELDS = {
+  ADMIN: "adminId",
+  EMPLOYEE: "employeeId",
+  CLIENT: "clientId"
+};
+
+/**
+ * Session endpoints shared by the three user types. Mounted once per type
+ * in index.js, next to that type's login route:
+ *
+ *   POST   /<type>/refresh               rotate refresh token, new access token
+ *   GET    /<type>/sessions              my active sessions (devices)
+ *   DELETE /<type>/sessions/:sessionId   sign out one of my devices
+ */
+const createSessionRoutes = (userType) => {
+  const router = express.Router();
+  const guard = GUARDS[userType];
+  const idField = USER_ID_FIELDS[userType];
+
+  /* ===============================
+     REFRESH ACCESS TOKEN
+  ================================ */
+  router.post("/refresh", async (req, res) => {
+    try {
+      const { session, payload } = await refreshSession(req, res, userType);
+
+      logToConsole("INFO", "SESSION_REFRESHED", {
+        userType,
+        userId: session.userId,
+        sessionId: session.sessionId
+      });
+
+      res.json({
+        success: true,
+        user: payload
+      });
+
+    } catch (error) {
+      if (error instanceof SessionError) {
+        logToConsole("WARN", "SESSION_REFRESH_REJECTED", { userType, code: error.code, ip: req.ip });
+
+        if (error.code === "TOKEN_REUSE") {
+          try {
+            await ActivityLog.create({
+              role: userType,
+              action: "SESSION_TOKEN_REUSE",
+              details: `Rotated refresh token was presented again from ${req.ip}; session revoked`,
+              dateTime: new Date()
+            });
+          } catch (logError) {
+            logToConsole("ERROR", "ACTIVITY_LOG_FAILED", { error: logError.message });
+          }
+        }
+
+        return res.status(401).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logToConsole("ERROR", "SESSION_REFRESH_ERROR", { userType, error: error.message });
+      res.status(500).json({ success: false, message: "Error refreshing session" });
+    }
+  });
+
+  /* ===============================
+     MY ACTIVE SESSIONS
+  ================================ */
+  router.get("/sessions", guard, async (req, res) => {
+    try {
+      const sessions = await listActiveSessions(userType, req.user[idField]);
+
+      res.json({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map(s => ({
+          ...s,
+          current: s.sessionId === req.user.sessionId
+        }))
+      });
+
+    } catch (error) {
+      logToConsole("ERROR", "LIST_SESSIONS_ERROR", { userType, error: error.message });
+      res.status(500).json({ success: false, message: "Error fetching sessions" });
+    }
+  });
+
+  /* ===============================
+     SIGN OUT ONE OF MY SESSIONS
+  ================================ */
+  router.delete("/sessions/:sessionId", guard, async (req, res) => {
+    try {
+      const userId = req.user[idField];
+      const session = await Session.findOne({
+        sessionId: req.params.sessionId,
+        userType,
+        userId
+      });
+
+      if (!session) {
+        return res.status(404).json({ success: false, message: "Session not found" });
+      }
+
+      await revokeSession(session.sessionId, "REVOKED_BY_USER", userId);
+
+      try {
+        await ActivityLog.create({
+          userName: req.user.name,
+          role: userType,
+          [idField]: userId,
+          action: "SESSION_REVOKED",
+          details: `Signed out session ${session.sessionId} (${session.userAgent || "unknown device"})`,
+          dateTime: new Date()
+        });
+      } catch (logError) {
+        logToConsole("ERROR", "ACTIVITY_LOG_FAILED", { error: logError.message });
+      }
+
+      res.json({
+        success: true,
+        message: "Session signed out",
+        current: session.sessionId === req.user.sessionId
+      });
+
+    } catch (error) {
+      logToConsole("ERROR", "REVOKE_SESSION_ERROR", { userType, error: error.message });
+      res.status(500).json({ success: false, message: "Error revoking session" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createSessionRoutes;
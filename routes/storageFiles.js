@@ -0,0 +1,51 @@
+const express = require("express");
+const fs = require("fs");
+
+const storage = require("../utils/storage");
+const { logToConsole } = require("../utils/logger");
+
+// Files of the local storage driver (utils/storage.js). There is no
+// session check: like an S3 presigned link, the expiry and signature in
+// the query string are the authorization, and they come from routes that
+// checked the requester (utils/signedUrls.js). With an S3 driver nothing
+// is served here.
+
+const router = express.Router();
+
+/* ===============================
+   GET A STORED FILE
+================================ */
+router.get("/*key", async (req, res) => {
+  try {
+    if (storage.driverName !== "local") {
+      return res.status(404).json({ message: "Not found" });
+    }
+
+    const key = req.params.key.join("/");
+    const { expires, signature } = req.query;
+
+    if (!storage.verifyLocalLink(key, expires, signature)) {
+      logToConsole("WARN", "STORAGE_LINK_REJECTED", { key, ip: req.ip });
+      return res.status(403).json({ message: "This link is invalid or has expired" });
+    }
+
+    const filePath = storage.localPathOf(key);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.set("Cache-Control", "private, no-store");
+    res.sendFile(filePath);
+  } catch (err) {
+    if (err.name === "StorageError") {
+      return res.status(err.status).json({ message: err.message });
+    }
+    logToConsole("ERROR", "STORAGE_FILE_FAILED", { path: req.originalUrl, error: err.message });
+    res.status(500).json({
+      message: "Failed to read file",
+      error: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+});
+
+module.exports = router;
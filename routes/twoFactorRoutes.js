@@ -0,0 +1,457 @@
+const express = require("express");
+
+const Admin = require("../models/Admin");
+const Employee = require("../models/Employee");
+const ActivityLog = require("../models/ActivityLog");
+const { sendTemplateEmail } = require("../emails");
+const { requireAdmin, requireEmployee, markAuthGuard } = require("../middleware/permissionMiddleware");
+const { startSession, loadTokenPayload } = require("../utils/sessionService");
+const { issueOtp, verifyOtp, OTP_TTL_MS } = require("../utils/otpService");
+const bruteForceGuard = require("../middleware/bruteForceGuard");
+const {
+  encryptSecret,
+  decryptSecret,
+  matchTotpStep,
+  claimTotpStep,
+  generateBackupCodes,
+  verifySecondFactor,
+  startEnrollment,
+  createChallengeToken,
+  verifyChallengeToken
+} = require("../utils/twoFactor");
+const { logToConsole } = require("../utils/logger");
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes";
+
+const USER_TYPES = {
+  ADMIN: {
+    model: Admin,
+    idField: "adminId",
+    guard: requireAdmin,
+    // Same body the password-only /admin/login returns
+    loginResponse: (admin) => ({
+      message: "Login success",
+      admin: { name: admin.name, email: admin.email, adminId: admin.adminId }
+    })
+  },
+  EMPLOYEE: {
+    model: Employee,
+    idField: "employeeId",
+    guard: requireEmployee,
+    loginResponse: (employee) => ({
+      message: "Login successful",
+      employee: { name: employee.name, email: employee.email, employeeId: employee.employeeId }
+    })
+  }
+};
+
+/**
+ * Called by the admin and employee login routes once the password is
+ * correct. Returns null when no second step is needed, otherwise the JSON
+ * body to send instead of starting a session.
+ */
+const beginTwoFactorLogin = (userType, user) => {
+  const userId = user[USER_TYPES[userType].idField];
+
+  if (user.twoFactor?.enabled) {
+    return {
+      message: "Enter the code from your authenticator app",
+      twoFactorRequired: true,
+      challengeToken: createChallengeToken(userType, userId, "2FA_LOGIN")
+    };
+  }
+
+  if (user.twoFactor?.required) {
+    return {
+      message: "Two-factor authentication must be set up before signing in",
+      twoFactorSetupRequired: true,
+      challengeToken: createChallengeToken(userType, userId, "2FA_SETUP")
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 2FA endpoints for one user type, mounted next to its login route:
+ *
+ *   POST /<type>/login/2fa                 second login step (code or backup code)
+ *   GET  /<type>/2fa/status
+ *   POST /<type>/2fa/setup                 new secret + QR code
+ *   POST /<type>/2fa/enable                confirm first code, get backup codes
+ *   POST /<type>/2fa/disable
+ *   POST /<type>/2fa/backup-codes          regenerate backup codes
+ *   POST /<type>/2fa/recovery/request      email a recovery OTP
+ *   POST /<type>/2fa/recovery/verify       OTP resets 2FA and signs in
+ *
+ * setup/enable accept either a signed-in session or the "2FA_SETUP"
+ * challenge token handed out when an admin requires 2FA for a user who
+ * has not enrolled yet.
+ */
+const createTwoFactorRoutes = (userType) => {
+  const router = express.Router();
+  const { model: Model, idField, guard, loginResponse } = USER_TYPES[userType];
+
+  const findUser = (userId) => Model.findOne({ [idField]: userId }).select(SECRET_FIELDS);
+
+  const log = async (user, action, details) => {
+    try {
+      await ActivityLog.create({
+        userName: user.name,
+        role: userType,
+        [idField]: user[idField],
+        action,
+        details,
+        dateTime: new Date()
+      });
+    } catch (logError) {
+      logToConsole("ERROR", "ACTIVITY_LOG_FAILED", { error: logError.message, action });
+    }
+  };
+
+  const completeLogin = async (req, res, user, extra = {}) => {
+    const payload = await loadTokenPayload(userType, user[idField]);
+    if (!payload) {
+      return res.status(403).json({ message: "Account is not active" });
+    }
+
+    await startSession(req, res, userType, user[idField], payload);
+    res.json({ ...loginResponse(user), ...extra });
+  };
+
+  const challengeFrom = (req, purposes) => {
+    return verifyChallengeToken(req.body?.challengeToken, userType, purposes);
+  };
+
+  // Signed-in user, or the 2FA_SETUP challenge from login
+  const requireSessionOrSetupChallenge = markAuthGuard((req, res, next) => {
+    const challenge = challengeFrom(req, ["2FA_SETUP"]);
+    if (challenge) {
+      req.twoFactorUserId = challenge.userId;
+      req.viaSetupChallenge = true;
+      return next();
+    }
+
+    guard(req, res, () => {
+      req.twoFactorUserId = req.user[idField];
+      next();
+    });
+  });
+
+  /* ===============================
+     LOGIN STEP 2: VERIFY CODE
+  ================================ */
+  // Attempts are counted against the user named in the challenge token
+  const challengeAccount = (req) => challengeFrom(req, ["2FA_LOGIN"])?.userId;
+
+  router.post("/login/2fa", bruteForceGuard({
+    action: `${userType}_LOGIN_2FA`,
+    account: challengeAccount
+  }), async (req, res) => {
+    try {
+      const challenge = challengeFrom(req, ["2FA_LOGIN"]);
+      if (!challenge) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const user = await findUser(challenge.userId);
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const method = await verifySecondFactor(user, req.body);
+      if (!method) {
+        await log(user, "2FA_LOGIN_FAILED", `Invalid two-factor code from ${req.ip}`);
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+
+      await log(user, `${userType}_LOGIN`, `Logged in with two-factor authentication (${method === "TOTP" ? "authenticator app" : "backup code"})`);
+
+      logToConsole("SUCCESS", "2FA_LOGIN_SUCCESS", { userType, userId: user[idField], method });
+
+      await completeLogin(req, res, user, {
+        backupCodesRemaining: user.twoFactor.backupCodes.length
+      });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_LOGIN_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error during login" });
+    }
+  });
+
+  /* ===============================
+     2FA STATUS
+  ================================ */
+  router.get("/2fa/status", guard, async (req, res) => {
+    try {
+      const user = await findUser(req.user[idField]);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      res.json({
+        success: true,
+        enabled: !!user.twoFactor?.enabled,
+        required: !!user.twoFactor?.required,
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0
+      });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_STATUS_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error fetching two-factor status" });
+    }
+  });
+
+  /* ===============================
+     2FA SETUP: NEW SECRET + QR CODE
+  ================================ */
+  router.post("/2fa/setup", requireSessionOrSetupChallenge, async (req, res) => {
+    try {
+      const user = await findUser(req.twoFactorUserId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+      }
+
+      const enrollment = await startEnrollment(user.twoFactor, user.email);
+      await user.save();
+
+      logToConsole("INFO", "2FA_SETUP_STARTED", { userType, userId: user[idField] });
+
+      res.json({
+        success: true,
+        secret: enrollment.secret,
+        otpauthUrl: enrollment.otpauthUrl,
+        qrCodeDataUrl: enrollment.qrCodeDataUrl
+      });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_SETUP_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error starting two-factor setup" });
+    }
+  });
+
+  /* ===============================
+     2FA ENABLE: CONFIRM FIRST CODE
+  ================================ */
+  router.post("/2fa/enable", requireSessionOrSetupChallenge, async (req, res) => {
+    try {
+      const user = await findUser(req.twoFactorUserId);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+
+      if (!user.twoFactor?.pendingSecret) {
+        return res.status(400).json({ message: "Start two-factor setup first" });
+      }
+
+      const pendingSecret = decryptSecret(user.twoFactor.pendingSecret);
+      const step = matchTotpStep(pendingSecret, req.body.code);
+      if (step === null) {
+        return res.status(400).json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+
+      user.twoFactor.secret = encryptSecret(pendingSecret);
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.backupCodes = hashes;
+      user.twoFactor.enabled = true;
+      user.twoFactor.enabledAt = new Date();
+      // The code that confirmed enrollment cannot be used to sign in
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+
+      await log(user, "2FA_ENABLED", "Two-factor authentication enabled");
+
+      const body = {
+        success: true,
+        message: "Two-factor authentication enabled. Store these backup codes somewhere safe.",
+        backupCodes: codes
+      };
+
+      // Enrolling from the login challenge finishes the sign-in
+      if (req.viaSetupChallenge) {
+        return completeLogin(req, res, user, body);
+      }
+
+      res.json(body);
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_ENABLE_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error enabling two-factor authentication" });
+    }
+  });
+
+  /* ===============================
+     2FA DISABLE
+  ================================ */
+  router.post("/2fa/disable", guard, async (req, res) => {
+    try {
+      const user = await findUser(req.user[idField]);
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      if (user.twoFactor.required) {
+        return res.status(403).json({ message: "Two-factor authentication is required for your account" });
+      }
+
+      if (!(await verifySecondFactor(user, req.body))) {
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.backupCodes = [];
+      user.twoFactor.enabledAt = undefined;
+      await user.save();
+
+      await log(user, "2FA_DISABLED", "Two-factor authentication disabled");
+
+      res.json({ success: true, message: "Two-factor authentication disabled" });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_DISABLE_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error disabling two-factor authentication" });
+    }
+  });
+
+  /* ===============================
+     REGENERATE BACKUP CODES
+  ================================ */
+  router.post("/2fa/backup-codes", guard, async (req, res) => {
+    try {
+      const user = await findUser(req.user[idField]);
+      if (!user || !user.twoFactor?.enabled) {
+        return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+      }
+
+      const step = matchTotpStep(decryptSecret(user.twoFactor.secret), req.body.code);
+      if (step === null || !(await claimTotpStep(user, step))) {
+        return res.status(401).json({ message: "Invalid authentication code" });
+      }
+
+      const { codes, hashes } = generateBackupCodes();
+      user.twoFactor.backupCodes = hashes;
+      await user.save();
+
+      await log(user, "2FA_BACKUP_CODES_REGENERATED", "Backup codes regenerated");
+
+      res.json({ success: true, backupCodes: codes });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_BACKUP_CODES_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error regenerating backup codes" });
+    }
+  });
+
+  /* ===============================
+     RECOVERY STEP 1: EMAIL OTP
+  ================================ */
+  router.post("/2fa/recovery/request", bruteForceGuard({
+    action: `${userType}_2FA_RECOVERY_REQUEST`,
+    account: challengeAccount,
+    countAll: true
+  }), async (req, res) => {
+    try {
+      const challenge = challengeFrom(req, ["2FA_LOGIN"]);
+      if (!challenge) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const user = await findUser(challenge.userId);
+      if (!user) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const otp = await issueOtp({
+        email: user.email,
+        purpose: "2FA_RECOVERY",
+        userType,
+        userId: user[idField]
+      });
+
+      await sendTemplateEmail(user.email, "two-factor-recovery", {
+        name: user.name,
+        email: user.email,
+        otp,
+        validMinutes: OTP_TTL_MS / 60000
+      }, { locale: user.preferredLanguage });
+
+      await log(user, "2FA_RECOVERY_REQUESTED", `Two-factor recovery code requested from ${req.ip}`);
+
+      res.json({ success: true, message: "Recovery code sent to your email" });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_RECOVERY_REQUEST_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error sending recovery code" });
+    }
+  });
+
+  /* ===============================
+     RECOVERY STEP 2: VERIFY OTP
+  ================================ */
+  router.post("/2fa/recovery/verify", bruteForceGuard({
+    action: `${userType}_2FA_RECOVERY_VERIFY`,
+    account: challengeAccount,
+    failOn: [400]
+  }), async (req, res) => {
+    try {
+      const challenge = challengeFrom(req, ["2FA_LOGIN"]);
+      if (!challenge) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const user = await findUser(challenge.userId);
+      if (!user) {
+        return res.status(401).json({ message: "Login challenge expired. Please sign in again." });
+      }
+
+      const { status } = await verifyOtp({ email: user.email, otp: req.body.otp, purpose: "2FA_RECOVERY" });
+      if (status !== "VALID") {
+        return res.status(400).json({
+          message: status === "EXPIRED"
+            ? "Recovery code has expired. Please request a new one."
+            : status === "TOO_MANY_ATTEMPTS"
+              ? "Too many incorrect attempts. Please request a new recovery code."
+              : "Invalid recovery code"
+        });
+      }
+
+      user.twoFactor.enabled = false;
+      user.twoFactor.secret = undefined;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.backupCodes = [];
+      user.twoFactor.enabledAt = undefined;
+      await user.save();
+
+      await log(user, "2FA_RECOVERED", "Two-factor authentication reset through email recovery");
+
+      // Still required: go straight to enrollment instead of signing in
+      if (user.twoFactor.required) {
+        return res.json({
+          message: "Two-factor authentication was reset. Set it up again to sign in.",
+          twoFactorReset: true,
+          twoFactorSetupRequired: true,
+          challengeToken: createChallengeToken(userType, user[idField], "2FA_SETUP")
+        });
+      }
+
+      await completeLogin(req, res, user, { twoFactorReset: true });
+
+    } catch (error) {
+      logToConsole("ERROR", "2FA_RECOVERY_VERIFY_ERROR", { userType, error: error.message });
+      res.status(500).json({ message: "Error verifying recovery code" });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTwoFactorRoutes;
+module.exports.beginTwoFactorLogin = beginTwoFactorLogin;
@@ -0,0 +1,556 @@
+// scripts/auditDataIntegrity.js
+// Scans the whole database for invariant violations and writes a JSON and
+// an Excel report to reports/integrity/.
+//
+// Report only:  node scripts/auditDataIntegrity.js
+// Repair:       node scripts/auditDataIntegrity.js --fix
+//
+// Checks (* = repaired by --fix):
+//   LOCKED_MONTH_UNLOCKED_CATEGORY *  month isLocked but a category is not
+//                                     (ClientMonthlyData only; legacy months
+//                                     are reported)
+//   FILE_MISSING_REFERENCE            file entry without url or fileName, so
+//                                     its notes point at nothing
+//   DUPLICATE_MONTH                   same year/month twice for one client
+//   INVALID_PERIOD                    month outside 1-12 or no year
+//   MONTHLY_DATA_UNKNOWN_CLIENT       ClientMonthlyData without a Client
+//   AUDITED_FILE_MISSING *            EmployeeAuditedFile entry for a file
+//                                     that no longer exists (not listed, not
+//                                     an earlier version, not in the trash)
+//   VIEWED_FILE_MISSING *             same for EmployeeViewedFile
+//   DELETED_FILE_STILL_LISTED         DeletedFile record (in the trash, not
+//                                     restored) whose file is still listed in
+//                                     the month
+//   DELETED_FILE_UNKNOWN_CLIENT       DeletedFile for a client that is gone
+//   ASSIGNMENT_INACTIVE_CLIENT        open assignment for a deactivated client
+//                                     (months from the deactivation onwards)
+//   ASSIGNMENT_INACTIVE_MONTH         open assignment for a month marked
+//                                     inactive
+//   ASSIGNMENT_INACTIVE_EMPLOYEE      open assignment held by a deactivated
+//                                     employee
+//   ASSIGNMENT_UNKNOWN_CLIENT / ASSIGNMENT_UNKNOWN_EMPLOYEE
+//   EMPLOYEE_ASSIGNMENT_UNKNOWN_EMPLOYEE
+//                                     EmployeeAssignment for a missing employee
+//   CLIENT_DUPLICATE_EMAIL            several clients share a login email
+//   ACTIVITY_LOG_FUTURE_DATE          dateTime more than a day ahead
+//   ACTIVITY_LOG_MISSING_ACTION
+//
+// Drift between the assignment copies is covered by
+// scripts/checkAssignments.js, and legacy/new month parity by
+// scripts/migrateLegacyDocuments.js --verify.
+//
+// Exit code 1 while issues remain.
+
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+const ExcelJS = require("exceljs");
+
+const config = require("../config");
+const Client = require("../models/Client");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const Employee = require("../models/Employee");
+const EmployeeAssignment = require("../models/EmployeeAssignment");
+const EmployeeAuditedFile = require("../models/EmployeeAuditedFile");
+const EmployeeViewedFile = require("../models/EmployeeViewedFile");
+const Assignment = require("../models/Assignment");
+const DeletedFile = require("../models/DeletedFile");
+const ActivityLog = require("../models/ActivityLog");
+const { legacyReadsEnabled, categoriesOf, listLegacyMonths } = require("../utils/legacyDocuments");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const FIX = process.argv.includes("--fix");
+
+const timestamp = new Date().toISOString().replace(/:/g, "-").replace(/\.\d+Z$/, "");
+const REPORT_DIR = path.join(__dirname, "..", "reports", "integrity");
+
+const FIXABLE = ["LOCKED_MONTH_UNLOCKED_CATEGORY", "AUDITED_FILE_MISSING", "VIEWED_FILE_MISSING"];
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// STATE SHARED BETWEEN THE CHECKS
+// ===============================
+const issues = [];
+
+function addIssue(check, fields) {
+    const issue = { check, fixable: FIXABLE.includes(check), status: "OPEN", ...fields };
+    issues.push(issue);
+    return issue;
+}
+
+const clients = new Map();          // clientId -> { name, email, isActive, deactivatedAt }
+const employees = new Map();        // employeeId -> { name, isActive }
+const monthKeys = new Set();        // clientId|year|month present in the store readers use
+const inactiveMonths = new Set();   // clientId|year|month with monthActiveStatus "inactive"
+const fileUrls = new Set();
+const keptFileUrls = new Set();     // earlier versions and trashed files; their markers stay valid
+const fileNames = new Set();        // clientId|year|month|categoryType|categoryName|fileName
+
+const monthKey = (clientId, year, month) => `${clientId}|${year}|${month}`;
+const fileNameKey = (clientId, year, month, categoryType, categoryName, fileName) =>
+    `${clientId}|${year}|${month}|${categoryType}|${categoryType === "other" ? categoryName || "" : ""}|${fileName}`;
+
+// ===============================
+// 1. CLIENTS AND EMPLOYEES
+// ===============================
+async function loadPeople() {
+    const clientDocs = await Client.find({}).select("clientId name email isActive deactivatedAt").lean();
+    clientDocs.forEach(c => clients.set(c.clientId, {
+        name: c.name,
+        email: c.email,
+        isActive: c.isActive !== false,
+        deactivatedAt: c.deactivatedAt
+    }));
+
+    const employeeDocs = await Employee.find({}).select("employeeId name isActive").lean();
+    employeeDocs.forEach(e => employees.set(e.employeeId, { name: e.name, isActive: e.isActive !== false }));
+
+    log(`Loaded ${clients.size} clients and ${employees.size} employees`);
+
+    const duplicates = await Client.aggregate([
+        { $match: { email: { $type: "string", $ne: "" } } },
+        { $group: { _id: { $toLower: "$email" }, clientIds: { $push: "$clientId" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+    duplicates.forEach(d => addIssue("CLIENT_DUPLICATE_EMAIL", {
+        clientId: d.clientIds.join(", "),
+        details: `${d.count} clients use ${d._id}`
+    }));
+}
+
+// ===============================
+// 2. MONTH DATA
+// ===============================
+function checkMonth(clientId, month, source, seen) {
+    const { year } = month;
+    const where = { clientId, clientName: clients.get(clientId)?.name, year, month: month.month, source };
+
+    if (!year || !(month.month >= 1 && month.month <= 12)) {
+        addIssue("INVALID_PERIOD", { ...where, details: `year=${year} month=${month.month}` });
+    }
+
+    const key = monthKey(clientId, year, month.month);
+    if (seen.has(key)) {
+        addIssue("DUPLICATE_MONTH", { ...where, details: `${year}-${month.month} appears more than once` });
+    }
+    seen.add(key);
+    monthKeys.add(key);
+
+    if (month.monthActiveStatus === "inactive") {
+        inactiveMonths.add(key);
+    }
+
+    for (const [name, category] of Object.entries(categoriesOf(month))) {
+        const [categoryType, categoryName] = name.startsWith("other:") ? ["other", name.slice(6)] : [name, undefined];
+
+        if (month.isLocked === true && category.isLocked !== true) {
+            addIssue("LOCKED_MONTH_UNLOCKED_CATEGORY", {
+                ...where,
+                category: name,
+                fixable: source === "new",
+                details: `month is locked but ${name} is not`,
+                fix: { categoryType, categoryName }
+            });
+        }
+
+        for (const file of category.files || []) {
+            if (!file.url || !file.fileName) {
+                addIssue("FILE_MISSING_REFERENCE", {
+                    ...where,
+                    category: name,
+                    fileName: file.fileName,
+                    details: `file entry without ${!file.url ? "url" : "fileName"} (${(file.notes || []).length} notes)`
+                });
+            }
+
+            if (file.url) fileUrls.add(file.url);
+            if (file.fileName) fileNames.add(fileNameKey(clientId, year, month.month, categoryType, categoryName, file.fileName));
+            (file.previousVersions || []).forEach(version => version.url && keptFileUrls.add(version.url));
+        }
+    }
+}
+
+async function scanMonthData() {
+    let documents = 0;
+    const cursor = ClientMonthlyData.find({}).select("clientId months").lean().cursor();
+
+    for await (const doc of cursor) {
+        documents++;
+        if (!clients.has(doc.clientId)) {
+            addIssue("MONTHLY_DATA_UNKNOWN_CLIENT", { clientId: doc.clientId, details: `${(doc.months || []).length} months` });
+        }
+
+        const seen = new Set();
+        (doc.months || []).forEach(month => checkMonth(doc.clientId, month, "new", seen));
+    }
+    log(`Checked ${documents} ClientMonthlyData documents`);
+
+    // Legacy months the read paths still fall back to
+    if (!legacyReadsEnabled()) return;
+
+    let legacyMonths = 0;
+    const legacyCursor = Client.find({ documents: { $exists: true, $ne: {} } })
+        .select("clientId documents")
+        .lean()
+        .cursor();
+
+    for await (const client of legacyCursor) {
+        const seen = new Set();
+        for (const { year, month, data } of listLegacyMonths(client)) {
+            if (monthKeys.has(monthKey(client.clientId, year, month))) continue;
+            checkMonth(client.clientId, { ...data, year, month }, "legacy", seen);
+            legacyMonths++;
+        }
+    }
+    log(`Checked ${legacyMonths} legacy months`);
+}
+
+// ===============================
+// 3. EMPLOYEE FILE MARKERS
+// ===============================
+
+// Files in the trash can still be restored, with their versions
+async function loadTrashedFiles() {
+    let count = 0;
+    const cursor = DeletedFile.find({ restoredAt: null, purgedAt: null })
+        .select("clientId fileName fileUrl year month categoryType categoryName fileData.previousVersions")
+        .lean()
+        .cursor();
+
+    for await (const file of cursor) {
+        count++;
+        if (file.fileUrl) keptFileUrls.add(file.fileUrl);
+        if (file.fileName) fileNames.add(fileNameKey(file.clientId, file.year, file.month, file.categoryType, file.categoryName, file.fileName));
+        (file.fileData?.previousVersions || []).forEach(version => version.url && keptFileUrls.add(version.url));
+    }
+    log(`Loaded ${count} files in the trash`);
+}
+
+const fileExists = (entry) => {
+    if (entry.fileUrl && (fileUrls.has(entry.fileUrl) || keptFileUrls.has(entry.fileUrl))) return true;
+    return fileNames.has(fileNameKey(entry.clientId, entry.year, entry.month, entry.categoryType, entry.categoryName, entry.fileName));
+};
+
+async function scanFileMarkers(Model, arrayField, check) {
+    const docs = await Model.find({}).select(`employeeId employeeName ${arrayField}`).lean();
+    let entries = 0;
+
+    for (const doc of docs) {
+        for (const entry of doc[arrayField] || []) {
+            entries++;
+            if (fileExists(entry)) continue;
+
+            addIssue(check, {
+                clientId: entry.clientId,
+                clientName: clients.get(entry.clientId)?.name,
+                employeeId: doc.employeeId,
+                year: entry.year,
+                month: entry.month,
+                category: entry.categoryType === "other" ? `other:${entry.categoryName}` : entry.categoryType,
+                fileName: entry.fileName,
+                details: monthKeys.has(monthKey(entry.clientId, entry.year, entry.month))
+                    ? "file is no longer in the month"
+                    : "month no longer exists",
+                fix: {
+                    clientId: entry.clientId,
+                    year: entry.year,
+                    month: entry.month,
+                    categoryType: entry.categoryType,
+                    fileName: entry.fileName
+                }
+            });
+        }
+    }
+    log(`Checked ${entries} ${Model.modelName} entries`);
+}
+
+// ===============================
+// 4. DELETED FILES
+// ===============================
+async function scanDeletedFiles() {
+    let count = 0;
+    // Restored files are listed again on purpose
+    const cursor = DeletedFile.find({ restoredAt: null }).select("clientId fileName fileUrl year month categoryType categoryName deletedAt").lean().cursor();
+
+    for await (const file of cursor) {
+        count++;
+        const where = {
+            clientId: file.clientId,
+            clientName: clients.get(file.clientId)?.name,
+            year: file.year,
+            month: file.month,
+            category: file.categoryType === "other" ? `other:${file.categoryName}` : file.categoryType,
+            fileName: file.fileName
+        };
+
+        if (!clients.has(file.clientId)) {
+            addIssue("DELETED_FILE_UNKNOWN_CLIENT", { ...where, details: `deleted ${file.deletedAt?.toISOString?.() || ""}` });
+        }
+
+        if (file.fileUrl && fileUrls.has(file.fileUrl)) {
+            addIssue("DELETED_FILE_STILL_LISTED", { ...where, details: `deleted ${file.deletedAt?.toISOString?.() || ""} but still in the month` });
+        }
+    }
+    log(`Checked ${count} DeletedFile records`);
+}
+
+// ===============================
+// 5. ASSIGNMENTS
+// ===============================
+async function scanAssignments() {
+    const open = await Assignment.find({ isRemoved: false, accountingDone: { $ne: true } }).lean();
+
+    for (const a of open) {
+        const client = clients.get(a.clientId);
+        const employee = employees.get(a.employeeId);
+        const where = {
+            clientId: a.clientId,
+            clientName: a.clientName,
+            employeeId: a.employeeId,
+            year: a.year,
+            month: a.month,
+            details: `${a.task} (${a.assignmentId})`
+        };
+
+        if (!client) {
+            addIssue("ASSIGNMENT_UNKNOWN_CLIENT", where);
+        } else if (!client.isActive) {
+            const deactivated = client.deactivatedAt ? new Date(client.deactivatedAt) : null;
+            const fromDeactivation = !deactivated ||
+                a.year > deactivated.getFullYear() ||
+                (a.year === deactivated.getFullYear() && a.month >= deactivated.getMonth() + 1);
+            if (fromDeactivation) addIssue("ASSIGNMENT_INACTIVE_CLIENT", where);
+        }
+
+        if (inactiveMonths.has(monthKey(a.clientId, a.year, a.month))) {
+            addIssue("ASSIGNMENT_INACTIVE_MONTH", where);
+        }
+
+        if (!employee) {
+            addIssue("ASSIGNMENT_UNKNOWN_EMPLOYEE", where);
+        } else if (!employee.isActive) {
+            addIssue("ASSIGNMENT_INACTIVE_EMPLOYEE", where);
+        }
+    }
+
+    const copies = await EmployeeAssignment.find({}).select("employeeId employeeName assignedClients").lean();
+    copies.filter(doc => !employees.has(doc.employeeId)).forEach(doc => addIssue("EMPLOYEE_ASSIGNMENT_UNKNOWN_EMPLOYEE", {
+        employeeId: doc.employeeId,
+        details: `${doc.employeeName || "unknown"}: ${(doc.assignedClients || []).length} assignments`
+    }));
+
+    log(`Checked ${open.length} open assignments and ${copies.length} EmployeeAssignment documents`);
+}
+
+// ===============================
+// 6. ACTIVITY LOG
+// ===============================
+async function scanActivityLogs() {
+    const future = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const logs = await ActivityLog.find({
+        $or: [
+            { dateTime: { $gt: future } },
+            { action: { $in: [null, ""] } }
+        ]
+    }).select("action dateTime clientId employeeId userName").lean();
+
+    logs.forEach(entry => {
+        const where = {
+            clientId: entry.clientId,
+            employeeId: entry.employeeId,
+            details: `${entry._id} by ${entry.userName || "unknown"} at ${entry.dateTime?.toISOString?.() || "?"}`
+        };
+        if (!entry.action) addIssue("ACTIVITY_LOG_MISSING_ACTION", where);
+        if (entry.dateTime > future) addIssue("ACTIVITY_LOG_FUTURE_DATE", where);
+    });
+
+    log(`Found ${logs.length} suspicious activity log entries`);
+}
+
+// ===============================
+// FIX (safe categories only)
+// ===============================
+async function fixIssue(issue) {
+    if (issue.check === "LOCKED_MONTH_UNLOCKED_CATEGORY") {
+        const { categoryType, categoryName } = issue.fix;
+        const monthFilter = { "m.year": issue.year, "m.month": issue.month, "m.isLocked": true };
+
+        if (categoryType === "other") {
+            return ClientMonthlyData.updateOne(
+                { clientId: issue.clientId },
+                {
+                    $set: {
+                        "months.$[m].other.$[o].document.isLocked": true,
+                        "months.$[m].other.$[o].document.wasLockedOnce": true
+                    }
+                },
+                { arrayFilters: [monthFilter, { "o.categoryName": categoryName }] }
+            );
+        }
+
+        return ClientMonthlyData.updateOne(
+            { clientId: issue.clientId },
+            {
+                $set: {
+                    [`months.$[m].${categoryType}.isLocked`]: true,
+                    [`months.$[m].${categoryType}.wasLockedOnce`]: true
+                }
+            },
+            { arrayFilters: [monthFilter] }
+        );
+    }
+
+    const [Model, arrayField] = issue.check === "AUDITED_FILE_MISSING"
+        ? [EmployeeAuditedFile, "auditedFiles"]
+        : [EmployeeViewedFile, "viewedFiles"];
+
+    return Model.updateOne(
+        { employeeId: issue.employeeId },
+        { $pull: { [arrayField]: issue.fix } }
+    );
+}
+
+async function applyFixes() {
+    for (const issue of issues.filter(i => i.fixable)) {
+        try {
+            await fixIssue(issue);
+            issue.status = "FIXED";
+        } catch (error) {
+            log(`${issue.check} ${issue.clientId || issue.employeeId}: ${error.message}`, "ERROR");
+            issue.status = "FAILED";
+            issue.error = error.message;
+        }
+    }
+}
+
+// ===============================
+// REPORT
+// ===============================
+function summarize() {
+    const byCheck = {};
+    issues.forEach(issue => {
+        byCheck[issue.check] = byCheck[issue.check] || { count: 0, fixed: 0, fixable: issue.fixable };
+        byCheck[issue.check].count++;
+        if (issue.status === "FIXED") byCheck[issue.check].fixed++;
+    });
+    return byCheck;
+}
+
+async function writeReports(byCheck) {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    const baseName = `integrity_${FIX ? "fix" : "check"}_${timestamp}`;
+
+    const jsonPath = path.join(REPORT_DIR, `${baseName}.json`);
+    fs.writeFileSync(jsonPath, JSON.stringify({
+        mode: FIX ? "fix" : "report",
+        generatedAt: new Date(),
+        legacyReadsEnabled: legacyReadsEnabled(),
+        byCheck,
+        issues: issues.map(({ fix, ...issue }) => issue)
+    }, null, 2));
+
+    const workbook = new ExcelJS.Workbook();
+
+    const summarySheet = workbook.addWorksheet("Summary");
+    summarySheet.columns = [
+        { header: "Check", key: "check", width: 40 },
+        { header: "Issues", key: "count", width: 10 },
+        { header: "Fixable", key: "fixable", width: 10 },
+        { header: "Fixed", key: "fixed", width: 10 }
+    ];
+    Object.entries(byCheck).forEach(([check, row]) => summarySheet.addRow({
+        check,
+        count: row.count,
+        fixable: row.fixable ? "Yes" : "No",
+        fixed: row.fixed
+    }));
+    summarySheet.getRow(1).font = { bold: true };
+
+    const issueSheet = workbook.addWorksheet("Issues");
+    issueSheet.columns = [
+        { header: "Check", key: "check", width: 36 },
+        { header: "Status", key: "status", width: 10 },
+        { header: "Client ID", key: "clientId", width: 20 },
+        { header: "Client Name", key: "clientName", width: 25 },
+        { header: "Employee ID", key: "employeeId", width: 20 },
+        { header: "Year", key: "year", width: 8 },
+        { header: "Month", key: "month", width: 8 },
+        { header: "Source", key: "source", width: 10 },
+        { header: "Category", key: "category", width: 25 },
+        { header: "File Name", key: "fileName", width: 40 },
+        { header: "Details", key: "details", width: 60 }
+    ];
+    issues.forEach(issue => issueSheet.addRow(issue));
+    issueSheet.getRow(1).font = { bold: true };
+
+    const excelPath = path.join(REPORT_DIR, `${baseName}.xlsx`);
+    await workbook.xlsx.writeFile(excelPath);
+
+    return { jsonPath, excelPath };
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("DATA INTEGRITY AUDIT STARTED", "SUCCESS");
+    log(`Mode: ${FIX ? "REPAIR (safe categories)" : "REPORT ONLY"}`);
+    console.log("=".repeat(60) + "\n");
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    try {
+        await loadPeople();
+        await scanMonthData();
+        await loadTrashedFiles();
+        await scanFileMarkers(EmployeeAuditedFile, "auditedFiles", "AUDITED_FILE_MISSING");
+        await scanFileMarkers(EmployeeViewedFile, "viewedFiles", "VIEWED_FILE_MISSING");
+        await scanDeletedFiles();
+        await scanAssignments();
+        await scanActivityLogs();
+
+        if (FIX) {
+            await applyFixes();
+        }
+
+        const byCheck = summarize();
+        const { jsonPath, excelPath } = await writeReports(byCheck);
+        const open = issues.filter(issue => issue.status !== "FIXED").length;
+
+        console.log("\n" + "=".repeat(60));
+        log("DATA INTEGRITY AUDIT FINISHED", "SUCCESS");
+        log(`Issues found: ${issues.length}`);
+        Object.entries(byCheck).forEach(([check, row]) => {
+            log(`  ${check}: ${row.count}${FIX && row.fixable ? ` (fixed ${row.fixed})` : ""}`);
+        });
+        log(`JSON report: ${jsonPath}`);
+        log(`Excel report: ${excelPath}`);
+
+        if (open > 0) {
+            const fixableOpen = issues.filter(issue => issue.fixable && issue.status !== "FIXED").length;
+            log(`${open} issue(s) remain${!FIX && fixableOpen ? `, ${fixableOpen} can be repaired with --fix` : ""}`, "WARN");
+            process.exitCode = 1;
+        }
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
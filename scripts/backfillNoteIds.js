@@ -0,0 +1,176 @@
+// scripts/backfillNoteIds.js
+// Gives every stored note in ClientMonthlyData an _id (the noteId of the
+// note endpoints) and an author (authorType/authorId), so notes written
+// before notes had IDs can be replied to, edited, deleted and marked as
+// viewed by ID.
+//
+// Run:          node scripts/backfillNoteIds.js
+// Dry run:      node scripts/backfillNoteIds.js --dry-run
+// One client:   node scripts/backfillNoteIds.js --client <clientId>
+//
+// - Idempotent: notes that already have an _id are left as they are.
+// - Reads the raw documents: through the model, a note without a stored
+//   _id gets a new one on every read.
+// - A client document changed while it was processed is retried, so the
+//   script can run while the server is up.
+// - Reads ClientMonthlyData only; run scripts/migrateLegacyDocuments.js
+//   first for clients whose months are still in Client.documents.
+//
+// Authors of old notes: notes with an employeeId were written by that
+// employee, all others by the client.
+
+const mongoose = require("mongoose");
+
+const config = require("../config");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const DRY_RUN = args.includes("--dry-run");
+const ONLY_CLIENT = argValue("--client");
+
+const MAX_ATTEMPTS = 3;
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// NOTES OF ONE CLIENT
+// ===============================
+// Every note array of every month of a raw ClientMonthlyData document
+function noteArraysOf(record) {
+    const arrays = [];
+    (record.months || []).forEach(monthData => {
+        arrays.push(monthData.monthNotes);
+
+        const documents = ["sales", "purchase", "bank"].map(type => monthData[type]);
+        (monthData.other || []).forEach(other => documents.push(other.document));
+
+        documents.forEach(document => {
+            if (!document) return;
+            arrays.push(document.categoryNotes);
+            (document.files || []).forEach(file => {
+                arrays.push(file.notes);
+                (file.previousVersions || []).forEach(previous => arrays.push(previous.notes));
+            });
+        });
+    });
+    return arrays.filter(Array.isArray);
+}
+
+// Sets the missing fields in place; returns the number of notes changed
+function fillNotes(record) {
+    let changed = 0;
+    noteArraysOf(record).forEach(notes => notes.forEach(note => {
+        if (!note || typeof note !== "object") return;
+
+        let noteChanged = false;
+        if (!note._id) {
+            note._id = new mongoose.Types.ObjectId();
+            noteChanged = true;
+        }
+        if (!note.authorType) {
+            note.authorType = note.employeeId ? "employee" : "client";
+            note.authorId = note.employeeId || record.clientId;
+            noteChanged = true;
+        }
+        if (noteChanged) changed++;
+    }));
+    return changed;
+}
+
+// ===============================
+// ONE CLIENT
+// ===============================
+async function processClient(clientId, stats) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        const record = await ClientMonthlyData.collection.findOne({ clientId });
+        if (!record) return;
+
+        const changed = fillNotes(record);
+        if (changed === 0) return;
+
+        if (DRY_RUN) {
+            stats.notes += changed;
+            stats.clients++;
+            return;
+        }
+
+        // Only write if nobody saved the document in between
+        const result = await ClientMonthlyData.collection.updateOne(
+            { _id: record._id, updatedAt: record.updatedAt },
+            { $set: { months: record.months, updatedAt: new Date() } }
+        );
+        if (result.modifiedCount === 1) {
+            stats.notes += changed;
+            stats.clients++;
+            return;
+        }
+
+        log(`Client ${clientId} changed while processing, retrying (${attempt}/${MAX_ATTEMPTS})`, "WARN");
+    }
+
+    stats.failed.push(clientId);
+    log(`Client ${clientId} skipped after ${MAX_ATTEMPTS} attempts, run the script again`, "ERROR");
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("NOTE ID BACKFILL STARTED", "SUCCESS");
+    log(`Mode: ${DRY_RUN ? "DRY RUN" : "BACKFILL"}${ONLY_CLIENT ? ` (client ${ONLY_CLIENT})` : ""}`);
+    console.log("=".repeat(60) + "\n");
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    const stats = { scanned: 0, clients: 0, notes: 0, failed: [] };
+
+    try {
+        const clientIds = await ClientMonthlyData.distinct("clientId", ONLY_CLIENT ? { clientId: ONLY_CLIENT } : {});
+        log(`Clients to check: ${clientIds.length}`);
+
+        for (const clientId of clientIds.sort()) {
+            await processClient(clientId, stats);
+            stats.scanned++;
+
+            if (stats.scanned % 50 === 0) {
+                log(`Checked ${stats.scanned} clients (${stats.notes} notes updated)...`);
+            }
+        }
+
+        console.log("\n" + "=".repeat(60));
+        log("NOTE ID BACKFILL FINISHED", stats.failed.length ? "WARN" : "SUCCESS");
+        log(`Clients checked: ${stats.scanned}`);
+        log(`Clients ${DRY_RUN ? "that would be updated" : "updated"}: ${stats.clients}`);
+        log(`Notes ${DRY_RUN ? "that would get an ID or author" : "given an ID or author"}: ${stats.notes}`);
+        if (stats.failed.length) {
+            log(`Skipped (changed during every attempt): ${stats.failed.join(", ")}`, "WARN");
+            process.exitCode = 1;
+        }
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,195 @@
+// scripts/backfillNotifications.js
+// Creates NOTE_ADDED notifications for notes that are unread today, so the
+// unread note counters (now read from the Notification collection) keep
+// their numbers when this version is deployed.
+//
+// Run:          node scripts/backfillNotifications.js
+// Dry run:      node scripts/backfillNotifications.js --dry-run
+// One client:   node scripts/backfillNotifications.js --client <clientId>
+//
+// - Idempotent: every notification gets a dedupe key from the note's place
+//   and time, so running it again creates nothing twice.
+// - Reads ClientMonthlyData only; run scripts/migrateLegacyDocuments.js
+//   first for clients whose months are still in Client.documents.
+// - Notes older than the notification retention are skipped, the TTL
+//   index would delete them right away.
+//
+// Recipients follow the old counters:
+//   month and category notes   admins (isViewedByAdmin false) and the
+//                              employees assigned to that month
+//                              (isViewedByEmployee false)
+//   file notes                 the client (isViewedByClient false)
+
+const mongoose = require("mongoose");
+
+const config = require("../config");
+const Admin = require("../models/Admin");
+const Assignment = require("../models/Assignment");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { notify } = require("../utils/notifications");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const DRY_RUN = args.includes("--dry-run");
+const ONLY_CLIENT = argValue("--client");
+
+const RETENTION_DAYS = config.notifications.retentionDays;
+const OLDEST_NOTE = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// NOTES OF ONE MONTH
+// ===============================
+// Every note with where it sits: { note, categoryType, categoryName, fileName, place }
+function notesOfMonth(monthData) {
+    const notes = [];
+    const addAll = (list, context) => (list || []).forEach(note => {
+        if (note && note.note) notes.push({ note, ...context });
+    });
+
+    addAll(monthData.monthNotes, { level: "month", place: "month" });
+
+    const categories = ["sales", "purchase", "bank"].map(type => ({ categoryType: type, document: monthData[type] }));
+    (monthData.other || []).forEach(other => categories.push({
+        categoryType: "other",
+        categoryName: other.categoryName,
+        document: other.document
+    }));
+
+    categories.forEach(({ categoryType, categoryName, document }) => {
+        if (!document) return;
+        const categoryPlace = categoryName ? `other/${categoryName}` : categoryType;
+        addAll(document.categoryNotes, { level: "category", categoryType, categoryName, place: categoryPlace });
+        (document.files || []).forEach(file => addAll(file.notes, {
+            level: "file",
+            categoryType,
+            categoryName,
+            fileName: file.fileName,
+            place: `${categoryPlace}/${file.url || file.fileName}`
+        }));
+    });
+
+    return notes;
+}
+
+// ===============================
+// ONE CLIENT
+// ===============================
+async function processClient(record, admins, stats) {
+    const assignments = await Assignment.find({ clientId: record.clientId, isRemoved: false })
+        .select("employeeId year month")
+        .lean();
+    const employeesByMonth = new Map();
+    assignments.forEach(a => {
+        const key = `${a.year}-${a.month}`;
+        if (!employeesByMonth.has(key)) employeesByMonth.set(key, new Set());
+        employeesByMonth.get(key).add(a.employeeId);
+    });
+
+    for (const monthData of record.months || []) {
+        const { year, month } = monthData;
+        const employees = [...(employeesByMonth.get(`${year}-${month}`) || [])]
+            .map(employeeId => ({ type: "EMPLOYEE", id: employeeId }));
+
+        for (const { note, level, categoryType, categoryName, fileName, place } of notesOfMonth(monthData)) {
+            const addedAt = note.addedAt ? new Date(note.addedAt) : null;
+            if (!addedAt || addedAt < OLDEST_NOTE) {
+                stats.skippedOld++;
+                continue;
+            }
+
+            const recipients = level === "file"
+                ? (note.isViewedByClient ? [] : [{ type: "CLIENT", id: record.clientId }])
+                : [
+                    ...(note.isViewedByAdmin ? [] : admins),
+                    ...(note.isViewedByEmployee ? [] : employees)
+                ];
+            if (recipients.length === 0) continue;
+
+            stats.notes++;
+            if (DRY_RUN) {
+                stats.notifications += recipients.length;
+                continue;
+            }
+
+            stats.notifications += await notify(recipients, {
+                type: "NOTE_ADDED",
+                title: level === "file"
+                    ? `${note.addedBy || "Your accountant"} added a note to ${fileName}`
+                    : `${record.clientName || record.clientId} added a note (${month}/${year})`,
+                message: note.note,
+                clientId: record.clientId,
+                data: { year, month, categoryType, categoryName, fileName, backfilled: true },
+                createdAt: addedAt,
+                dedupeKey: `backfill:${year}-${month}:${place}:${addedAt.getTime()}`
+            });
+        }
+    }
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("NOTIFICATION BACKFILL STARTED", "SUCCESS");
+    log(`Mode: ${DRY_RUN ? "DRY RUN" : "BACKFILL"}${ONLY_CLIENT ? ` (client ${ONLY_CLIENT})` : ""}`);
+    log(`Notes added before ${OLDEST_NOTE.toISOString()} are skipped (${RETENTION_DAYS} day retention)`);
+    console.log("=".repeat(60) + "\n");
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    const stats = { clients: 0, notes: 0, notifications: 0, skippedOld: 0 };
+
+    try {
+        const admins = (await Admin.find({ isActive: { $ne: false } }).select("adminId").lean())
+            .map(admin => ({ type: "ADMIN", id: admin.adminId }));
+        log(`Active admins: ${admins.length}`);
+
+        const cursor = ClientMonthlyData.find(ONLY_CLIENT ? { clientId: ONLY_CLIENT } : {})
+            .sort({ clientId: 1 })
+            .lean()
+            .cursor();
+
+        for await (const record of cursor) {
+            await processClient(record, admins, stats);
+            stats.clients++;
+
+            if (stats.clients % 50 === 0) {
+                log(`Processed ${stats.clients} clients (${stats.notifications} notifications)...`);
+            }
+        }
+
+        console.log("\n" + "=".repeat(60));
+        log("NOTIFICATION BACKFILL FINISHED", "SUCCESS");
+        log(`Clients: ${stats.clients}`);
+        log(`Unread notes: ${stats.notes}`);
+        log(`Notifications ${DRY_RUN ? "that would be created (before dedupe)" : "created"}: ${stats.notifications}`);
+        log(`Skipped, older than retention: ${stats.skippedOld}`);
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,411 @@
+// scripts/checkAssignments.js
+// Reports (and optionally repairs) drift between the canonical Assignment
+// collection and the three copies the app used to write separately:
+// Client.employeeAssignments, EmployeeAssignment.assignedClients and the
+// legacy Employee.assignedClients.
+//
+// Report only:  node scripts/checkAssignments.js
+// Repair:       node scripts/checkAssignments.js --fix
+//
+// Assignments are grouped by client, employee, year, month and task.
+// Issues per group:
+//   MISSING_CANONICAL  entries in the copies that Assignment does not have
+//                      (everything assigned before the collection existed)
+//   CLIENT_DRIFT       Client.employeeAssignments disagrees with Assignment
+//   EMPLOYEE_ASSIGNMENT_DRIFT
+//                      EmployeeAssignment.assignedClients disagrees
+//   EMPLOYEE_DRIFT     legacy Employee.assignedClients disagrees (only
+//                      checked where the legacy copy has the assignment)
+//   TASK_CONFLICT      the same client month task is active for more than
+//                      one employee; needs a human decision, never repaired
+//
+// --fix backfills the missing canonical entries (copies that agree on
+// assignedAt are merged into one; if more than one would be active, an
+// active canonical entry, or else the newest, stays active) and then
+// rewrites every copy of the group from
+// Assignment, one transaction per group.
+//
+// The report is written to reports/assignments/. Exit code 1 while issues
+// remain.
+
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+
+const config = require("../config");
+const Assignment = require("../models/Assignment");
+const Client = require("../models/Client");
+const Employee = require("../models/Employee");
+const EmployeeAssignment = require("../models/EmployeeAssignment");
+const {
+    withTransaction,
+    assignmentKey,
+    toClientEntry,
+    toEmployeeEntry
+} = require("../utils/assignmentService");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const FIX = process.argv.includes("--fix");
+
+const timestamp = new Date().toISOString().replace(/:/g, "-").replace(/\.\d+Z$/, "");
+const REPORT_DIR = path.join(__dirname, "..", "reports", "assignments");
+
+const DUPLICATE_REASON = "Duplicate removed by assignment consistency check";
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// LOAD EVERY COPY, GROUPED BY ASSIGNMENT KEY
+// ===============================
+async function loadGroups() {
+    const groups = new Map();
+    const group = (entry) => {
+        const key = assignmentKey(entry);
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                clientId: entry.clientId,
+                employeeId: entry.employeeId,
+                year: entry.year,
+                month: entry.month,
+                task: entry.task,
+                canonical: [],
+                client: [],
+                employeeAssignment: [],
+                employee: []
+            });
+        }
+        return groups.get(key);
+    };
+
+    const names = { clients: new Map(), employees: new Map() };
+
+    for (const doc of await Assignment.find({}).lean()) {
+        group(doc).canonical.push(doc);
+    }
+
+    const clients = await Client.find({ "employeeAssignments.0": { $exists: true } })
+        .select("clientId name employeeAssignments")
+        .lean();
+    for (const client of clients) {
+        names.clients.set(client.clientId, client.name);
+        for (const entry of client.employeeAssignments) {
+            group({ ...entry, clientId: client.clientId }).client.push(entry);
+        }
+    }
+
+    for (const doc of await EmployeeAssignment.find({}).lean()) {
+        names.employees.set(doc.employeeId, { name: doc.employeeName, email: doc.employeeEmail });
+        for (const entry of doc.assignedClients || []) {
+            group({ ...entry, employeeId: doc.employeeId }).employeeAssignment.push(entry);
+        }
+    }
+
+    const employees = await Employee.find({ "assignedClients.0": { $exists: true } })
+        .select("employeeId name email assignedClients")
+        .lean();
+    for (const employee of employees) {
+        if (!names.employees.has(employee.employeeId)) {
+            names.employees.set(employee.employeeId, { name: employee.name, email: employee.email });
+        }
+        for (const entry of employee.assignedClients) {
+            group({ ...entry, employeeId: employee.employeeId }).employee.push(entry);
+        }
+    }
+
+    return { groups, names };
+}
+
+// ===============================
+// COMPARISON
+// ===============================
+const time = (value) => (value ? new Date(value).getTime() : null);
+
+// What a reader of one copy would conclude about the assignment
+function stateOf(entries) {
+    if (entries.length === 0) return null;
+
+    const active = entries.filter(e => e.isRemoved !== true);
+    const latest = [...entries].sort((a, b) => (time(b.assignedAt) || 0) - (time(a.assignedAt) || 0))[0];
+    const current = active[0] || latest;
+
+    return {
+        activeCount: active.length,
+        accountingDone: current.accountingDone === true
+    };
+}
+
+const sameState = (a, b) => {
+    return a && b && a.activeCount === b.activeCount && a.accountingDone === b.accountingDone;
+};
+
+/**
+ * Builds the canonical entries the copies have but Assignment lacks. Copies
+ * of the same assignment share assignedAt; a removal or the latest
+ * accountingDone change in any copy wins.
+ */
+function buildBackfill(group, names) {
+    const known = new Set(group.canonical.map(doc => time(doc.assignedAt)));
+    const byAssignedAt = new Map();
+
+    for (const entry of [...group.client, ...group.employeeAssignment, ...group.employee]) {
+        const at = time(entry.assignedAt);
+        if (known.has(at)) continue;
+        if (!byAssignedAt.has(at)) byAssignedAt.set(at, []);
+        byAssignedAt.get(at).push(entry);
+    }
+
+    const backfill = [];
+    for (const entries of byAssignedAt.values()) {
+        const removed = entries.find(e => e.isRemoved === true);
+        const done = [...entries].sort((a, b) => (time(b.accountingDoneAt) || 0) - (time(a.accountingDoneAt) || 0))[0];
+        const base = entries[0];
+
+        backfill.push({
+            clientId: group.clientId,
+            clientName: names.clients.get(group.clientId) || base.clientName,
+            employeeId: group.employeeId,
+            employeeName: base.employeeName || names.employees.get(group.employeeId)?.name,
+            year: group.year,
+            month: group.month,
+            task: group.task,
+            assignedAt: base.assignedAt,
+            assignedBy: base.assignedBy,
+            adminName: base.adminName,
+            accountingDone: done.accountingDone === true,
+            accountingDoneAt: done.accountingDoneAt,
+            accountingDoneBy: done.accountingDoneBy,
+            isRemoved: !!removed,
+            removedAt: removed?.removedAt,
+            removedBy: removed?.removedBy,
+            removalReason: removed?.removalReason
+        });
+    }
+
+    // At most one active entry per group: an active canonical entry stays,
+    // otherwise the newest backfilled one
+    const canonicalActive = group.canonical.some(doc => doc.isRemoved !== true);
+    backfill
+        .filter(entry => !entry.isRemoved)
+        .sort((a, b) => (time(b.assignedAt) || 0) - (time(a.assignedAt) || 0))
+        .slice(canonicalActive ? 0 : 1)
+        .forEach(entry => {
+            entry.isRemoved = true;
+            entry.removedAt = new Date();
+            entry.removedBy = "SYSTEM";
+            entry.removalReason = DUPLICATE_REASON;
+        });
+
+    return backfill;
+}
+
+function checkGroup(group, names) {
+    const issues = [];
+    const backfill = buildBackfill(group, names);
+    const expected = stateOf([...group.canonical, ...backfill]);
+
+    if (backfill.length) {
+        issues.push({ type: "MISSING_CANONICAL", entries: backfill.length });
+    }
+
+    const copies = [
+        ["CLIENT_DRIFT", group.client, true],
+        ["EMPLOYEE_ASSIGNMENT_DRIFT", group.employeeAssignment, true],
+        ["EMPLOYEE_DRIFT", group.employee, group.employee.length > 0]
+    ];
+
+    for (const [type, entries, checked] of copies) {
+        if (!checked) continue;
+        const actual = stateOf(entries);
+        if (!sameState(actual, expected)) {
+            issues.push({ type, expected, actual });
+        }
+    }
+
+    return { issues, backfill, expected };
+}
+
+// Client month tasks that end up active for more than one employee
+function findTaskConflicts(checked) {
+    const holders = new Map();
+    for (const { group, expected } of checked) {
+        if (!expected || expected.activeCount === 0) continue;
+        const taskKey = `${group.clientId}|${group.year}|${group.month}|${group.task}`;
+        if (!holders.has(taskKey)) holders.set(taskKey, []);
+        holders.get(taskKey).push(group);
+    }
+
+    const conflicts = new Map();
+    for (const [taskKey, groups] of holders) {
+        if (groups.length > 1) {
+            groups.forEach(group => conflicts.set(group.key, { taskKey, employeeIds: groups.map(g => g.employeeId) }));
+        }
+    }
+    return conflicts;
+}
+
+// ===============================
+// REPAIR ONE GROUP
+// ===============================
+async function repairGroup(group, backfill, names) {
+    const { clientId, employeeId, year, month } = group;
+    // Entries from before tasks existed have none; null matches those only
+    const task = group.task ?? null;
+
+    await withTransaction(async (session) => {
+        if (backfill.length) {
+            await Assignment.insertMany(backfill, { session });
+        }
+
+        const canonical = await Assignment.find({ clientId, employeeId, year, month, task })
+            .sort({ assignedAt: 1 })
+            .session(session)
+            .lean();
+
+        await Client.updateOne(
+            { clientId },
+            { $pull: { employeeAssignments: { employeeId, year, month, task } } },
+            { session }
+        );
+        await Client.updateOne(
+            { clientId },
+            { $push: { employeeAssignments: { $each: canonical.map(toClientEntry) } } },
+            { session }
+        );
+
+        const employee = names.employees.get(employeeId) || {};
+        await EmployeeAssignment.updateOne(
+            { employeeId },
+            { $pull: { assignedClients: { clientId, year, month, task } } },
+            { session }
+        );
+        await EmployeeAssignment.updateOne(
+            { employeeId },
+            {
+                $setOnInsert: { employeeName: employee.name, employeeEmail: employee.email },
+                $push: { assignedClients: { $each: canonical.map(toEmployeeEntry) } }
+            },
+            { upsert: true, session }
+        );
+
+        // The legacy copy is only kept in line where it still has the assignment
+        if (group.employee.length) {
+            await Employee.updateOne(
+                { employeeId },
+                { $pull: { assignedClients: { clientId, year, month, task } } },
+                { session }
+            );
+            await Employee.updateOne(
+                { employeeId },
+                { $push: { assignedClients: { $each: canonical.map(toEmployeeEntry) } } },
+                { session }
+            );
+        }
+    });
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("ASSIGNMENT CONSISTENCY CHECK STARTED", "SUCCESS");
+    log(`Mode: ${FIX ? "REPAIR" : "REPORT ONLY"}`);
+    console.log("=".repeat(60) + "\n");
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    try {
+        const { groups, names } = await loadGroups();
+        log(`Loaded ${groups.size} assignment groups`);
+
+        const checked = [...groups.values()].map(group => ({ group, ...checkGroup(group, names) }));
+        const conflicts = findTaskConflicts(checked);
+
+        const report = {
+            mode: FIX ? "fix" : "report",
+            generatedAt: new Date(),
+            groups: groups.size,
+            byIssue: {},
+            repaired: 0,
+            failed: 0,
+            issues: []
+        };
+
+        for (const { group, issues, backfill } of checked) {
+            const conflict = conflicts.get(group.key);
+            if (conflict) {
+                issues.push({ type: "TASK_CONFLICT", ...conflict });
+            }
+            if (issues.length === 0) continue;
+
+            issues.forEach(issue => {
+                report.byIssue[issue.type] = (report.byIssue[issue.type] || 0) + 1;
+            });
+
+            const entry = {
+                clientId: group.clientId,
+                employeeId: group.employeeId,
+                year: group.year,
+                month: group.month,
+                task: group.task,
+                issues,
+                status: "OPEN"
+            };
+
+            if (FIX && !conflict) {
+                try {
+                    await repairGroup(group, backfill, names);
+                    entry.status = "REPAIRED";
+                    report.repaired++;
+                } catch (error) {
+                    log(`${group.key}: ${error.message}`, "ERROR");
+                    entry.status = "FAILED";
+                    entry.error = error.message;
+                    report.failed++;
+                }
+            }
+
+            report.issues.push(entry);
+        }
+
+        fs.mkdirSync(REPORT_DIR, { recursive: true });
+        const reportFile = path.join(REPORT_DIR, `assignments_${FIX ? "fix" : "check"}_${timestamp}.json`);
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+
+        const open = report.issues.filter(entry => entry.status !== "REPAIRED").length;
+
+        console.log("\n" + "=".repeat(60));
+        log("ASSIGNMENT CONSISTENCY CHECK FINISHED", "SUCCESS");
+        log(`Groups with issues: ${report.issues.length}`);
+        Object.entries(report.byIssue).forEach(([type, count]) => log(`  ${type}: ${count}`));
+        if (FIX) {
+            log(`Repaired: ${report.repaired}, failed: ${report.failed}`);
+        }
+        log(`Report: ${reportFile}`);
+
+        if (open > 0) {
+            log(`${open} assignment group(s) still need attention${FIX ? "" : " (run with --fix to repair)"}`, "WARN");
+            process.exitCode = 1;
+        }
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,323 @@
+// scripts/migrateLegacyDocuments.js
+// Moves legacy month data from Client.documents into ClientMonthlyData.
+//
+// Run:          node scripts/migrateLegacyDocuments.js
+// Dry run:      node scripts/migrateLegacyDocuments.js --dry-run
+// Verify only:  node scripts/migrateLegacyDocuments.js --verify
+// One client:   node scripts/migrateLegacyDocuments.js --client <clientId>
+// Start over:   node scripts/migrateLegacyDocuments.js --restart
+//
+// - Resumable: progress is checkpointed per client in MigrationRun; an
+//   interrupted run continues after the last finished client.
+// - Idempotent: a month that already exists in ClientMonthlyData is never
+//   overwritten (the new collection already wins on every read path); it is
+//   only compared and reported.
+// - Client.documents is left untouched so the switch can be rolled back.
+//
+// Every month ends up in the diff report (reports/legacy-documents/) with
+// one of these statuses:
+//   MIGRATED          copied and verified in parity
+//   MIGRATED_MISMATCH copied but the re-read month differs (see diffs)
+//   ALREADY_PRESENT   already in ClientMonthlyData and in parity
+//   CONFLICT          already in ClientMonthlyData with different content;
+//                     reads already prefer the new copy, but the legacy
+//                     month may hold what the new one lost, so it blocks
+//                     switching off until reviewed
+//   WOULD_MIGRATE     --dry-run: would be copied
+//   MISSING           --verify: not in ClientMonthlyData yet
+//   FAILED            copy failed (see error)
+//
+// Once --verify exits with code 0, set LEGACY_DOCUMENTS_READ=false (or
+// "legacyDocuments": { "readEnabled": false } in the config file) to turn
+// off the dual-source read paths.
+
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+
+const config = require("../config");
+const Client = require("../models/Client");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const MigrationRun = require("../models/MigrationRun");
+const { compareMonthData, listLegacyMonths } = require("../utils/legacyDocuments");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const MIGRATION_NAME = "LEGACY_DOCUMENTS_TO_MONTHLY_DATA";
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+const DRY_RUN = args.includes("--dry-run");
+const VERIFY_ONLY = args.includes("--verify");
+const RESTART = args.includes("--restart");
+const ONLY_CLIENT = argValue("--client");
+
+// Read-only modes never write to the database, checkpoint included.
+// A single-client run migrates without touching the checkpoint.
+const READ_ONLY = DRY_RUN || VERIFY_ONLY;
+const CHECKPOINTED = !READ_ONLY && !ONLY_CLIENT;
+
+const timestamp = new Date().toISOString().replace(/:/g, "-").replace(/\.\d+Z$/, "");
+const REPORT_DIR = path.join(__dirname, "..", "reports", "legacy-documents");
+
+// Statuses that block switching off the legacy read paths
+const PROBLEM_STATUSES = ["MIGRATED_MISMATCH", "CONFLICT", "MISSING", "FAILED"];
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// REPORT (one JSON line per month, appended so resumed runs keep one file)
+// ===============================
+function openReport(reportFile) {
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    return (entry) => fs.appendFileSync(reportFile, JSON.stringify(entry) + "\n");
+}
+
+// A client interrupted half-way is processed again on resume, so the
+// latest entry per month wins
+function summarizeReport(reportFile) {
+    const summary = { months: 0, byStatus: {}, problems: [] };
+
+    if (!fs.existsSync(reportFile)) return summary;
+
+    const latest = new Map();
+    fs.readFileSync(reportFile, "utf8").split("\n").filter(Boolean).forEach(line => {
+        const entry = JSON.parse(line);
+        latest.set(`${entry.clientId}|${entry.year}|${entry.month}`, entry);
+    });
+
+    for (const entry of latest.values()) {
+        summary.months++;
+        summary.byStatus[entry.status] = (summary.byStatus[entry.status] || 0) + 1;
+        if (PROBLEM_STATUSES.includes(entry.status)) {
+            summary.problems.push(entry);
+        }
+    }
+
+    return summary;
+}
+
+// ===============================
+// CHECKPOINT
+// ===============================
+async function startOrResumeRun() {
+    if (!CHECKPOINTED) {
+        const prefix = VERIFY_ONLY ? "verify" : DRY_RUN ? "dry-run" : `client-${ONLY_CLIENT}`;
+        return { run: null, reportFile: path.join(REPORT_DIR, `${prefix}_${timestamp}.jsonl`) };
+    }
+
+    if (!RESTART) {
+        const unfinished = await MigrationRun.findOne({
+            name: MIGRATION_NAME,
+            status: { $in: ["RUNNING", "FAILED"] }
+        }).sort({ createdAt: -1 });
+
+        if (unfinished) {
+            log(`Resuming run ${unfinished.runId} after client ${unfinished.lastClientId || "(start)"}`);
+            unfinished.status = "RUNNING";
+            unfinished.error = undefined;
+            await unfinished.save();
+            return { run: unfinished, reportFile: unfinished.reportFile };
+        }
+    }
+
+    const reportFile = path.join(REPORT_DIR, `migration_${timestamp}.jsonl`);
+    const run = await MigrationRun.create({
+        name: MIGRATION_NAME,
+        reportFile,
+        stats: { clients: 0 }
+    });
+    log(`Started run ${run.runId}`);
+    return { run, reportFile };
+}
+
+// ===============================
+// MIGRATE ONE MONTH
+// ===============================
+async function copyMonth(client, year, month, data) {
+    // Make sure the client has a ClientMonthlyData document
+    await ClientMonthlyData.updateOne(
+        { clientId: client.clientId },
+        {
+            $setOnInsert: {
+                clientId: client.clientId,
+                clientName: client.name || "",
+                clientEmail: client.email || "",
+                months: []
+            }
+        },
+        { upsert: true }
+    );
+
+    // Only pushes if the month is still absent, so a second run (or a
+    // concurrent upload that created the month meanwhile) is never overwritten
+    const result = await ClientMonthlyData.updateOne(
+        {
+            clientId: client.clientId,
+            months: { $not: { $elemMatch: { year, month } } }
+        },
+        {
+            $push: {
+                months: {
+                    $each: [{ ...data, year, month }],
+                    $sort: { year: 1, month: 1 }
+                }
+            }
+        }
+    );
+
+    return result.modifiedCount === 1;
+}
+
+async function processClient(client, writeEntry) {
+    const legacyMonths = listLegacyMonths(client);
+    if (legacyMonths.length === 0) return 0;
+
+    const newDoc = await ClientMonthlyData.findOne({ clientId: client.clientId }).lean();
+    const findNewMonth = (doc, year, month) => (doc?.months || []).find(m => m.year === year && m.month === month);
+
+    for (const { year, month, data } of legacyMonths) {
+        const entry = { clientId: client.clientId, clientName: client.name, year, month };
+        const existing = findNewMonth(newDoc, year, month);
+
+        try {
+            if (existing) {
+                const diffs = compareMonthData(data, existing);
+                writeEntry({ ...entry, status: diffs.length ? "CONFLICT" : "ALREADY_PRESENT", diffs });
+                continue;
+            }
+
+            if (VERIFY_ONLY) {
+                writeEntry({ ...entry, status: "MISSING", diffs: [] });
+                continue;
+            }
+
+            if (DRY_RUN) {
+                writeEntry({ ...entry, status: "WOULD_MIGRATE", diffs: [] });
+                continue;
+            }
+
+            await copyMonth(client, year, month, data);
+
+            // Verify against what was actually stored
+            const stored = findNewMonth(await ClientMonthlyData.findOne({ clientId: client.clientId }).lean(), year, month);
+            const diffs = stored ? compareMonthData(data, stored) : ["month not found after copy"];
+            writeEntry({ ...entry, status: diffs.length ? "MIGRATED_MISMATCH" : "MIGRATED", diffs });
+
+        } catch (error) {
+            log(`Client ${client.clientId} ${year}-${month}: ${error.message}`, "ERROR");
+            writeEntry({ ...entry, status: "FAILED", diffs: [], error: error.message });
+        }
+    }
+
+    return legacyMonths.length;
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("LEGACY DOCUMENTS MIGRATION STARTED", "SUCCESS");
+    log(`Mode: ${VERIFY_ONLY ? "VERIFY ONLY" : DRY_RUN ? "DRY RUN" : "MIGRATE"}${ONLY_CLIENT ? ` (client ${ONLY_CLIENT})` : ""}`);
+    console.log("=".repeat(60) + "\n");
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    const { run, reportFile } = await startOrResumeRun();
+    const writeEntry = openReport(reportFile);
+
+    const filter = { documents: { $exists: true, $ne: {} } };
+    if (ONLY_CLIENT) {
+        filter.clientId = ONLY_CLIENT;
+    } else if (run?.lastClientId) {
+        filter.clientId = { $gt: run.lastClientId };
+    }
+
+    let clientsProcessed = 0;
+    let monthsProcessed = 0;
+
+    try {
+        const cursor = Client.find(filter)
+            .select("clientId name email documents")
+            .sort({ clientId: 1 })
+            .lean()
+            .cursor();
+
+        for await (const client of cursor) {
+            monthsProcessed += await processClient(client, writeEntry);
+            clientsProcessed++;
+
+            if (run) {
+                run.lastClientId = client.clientId;
+                run.stats = { ...run.stats, clients: (run.stats.clients || 0) + 1 };
+                run.markModified("stats");
+                await run.save();
+            }
+
+            if (clientsProcessed % 50 === 0) {
+                log(`Processed ${clientsProcessed} clients (${monthsProcessed} months)...`);
+            }
+        }
+
+        const summary = summarizeReport(reportFile);
+
+        if (run) {
+            run.status = "COMPLETED";
+            run.stats = { ...run.stats, ...summary.byStatus, months: summary.months };
+            run.markModified("stats");
+            run.finishedAt = new Date();
+            await run.save();
+        }
+
+        const summaryFile = reportFile.replace(/\.jsonl$/, "_summary.json");
+        fs.writeFileSync(summaryFile, JSON.stringify({
+            mode: VERIFY_ONLY ? "verify" : DRY_RUN ? "dry-run" : "migrate",
+            runId: run?.runId,
+            generatedAt: new Date(),
+            ...summary
+        }, null, 2));
+
+        console.log("\n" + "=".repeat(60));
+        log("LEGACY DOCUMENTS MIGRATION FINISHED", "SUCCESS");
+        log(`Clients this invocation: ${clientsProcessed}, months: ${monthsProcessed}`);
+        Object.entries(summary.byStatus).forEach(([status, count]) => log(`  ${status}: ${count}`));
+        log(`Report: ${reportFile}`);
+        log(`Summary: ${summaryFile}`);
+
+        if (summary.problems.length) {
+            log(`${summary.problems.length} month(s) need attention before legacy reads can be switched off`, "WARN");
+            process.exitCode = 1;
+        } else if (VERIFY_ONLY) {
+            log("All legacy months are in parity. Legacy reads can be switched off (LEGACY_DOCUMENTS_READ=false).", "SUCCESS");
+        }
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+
+        if (run) {
+            run.status = "FAILED";
+            run.error = error.message;
+            await run.save();
+        }
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,498 @@
+// scripts/restoreBackup.js
+// Restores data removed by scripts/backupAndDelete.js from one backup
+// version folder (backups/<year>/<timestamp>/).
+//
+// Latest backup of a year:  node scripts/restoreBackup.js --year 2024
+// Specific version:         node scripts/restoreBackup.js --backup backups/2024/2026-04-13T10-30-00
+// Some clients only:        ... --client CL001,CL002
+// Some data only:           ... --only monthly,employees,assignments,activity
+// Dry run:                  ... --dry-run
+//
+// - Every entry is validated against the current schemas first; invalid
+//   entries are reported and skipped.
+// - Nothing is overwritten: a month, employee entry, assignment or activity
+//   log that already exists in the database is left as it is and reported
+//   as SKIPPED_EXISTS. Running the restore twice is therefore harmless.
+// - Months backed up from the legacy Client.documents map are restored into
+//   ClientMonthlyData when the backup has no new-collection copy of them.
+// - Assignments are restored into the canonical Assignment collection; run
+//   scripts/checkAssignments.js --fix afterwards to rebuild the copies.
+//   Backups older than that collection are restored from the copies they
+//   hold (employee_assignments_<year>.json, Client.employeeAssignments,
+//   Employee.assignedClients); a backup with none of these fails.
+//
+// A report is written to reports/restore/.
+
+const mongoose = require("mongoose");
+const fs = require("fs");
+const path = require("path");
+
+const config = require("../config");
+const Client = require("../models/Client");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const Employee = require("../models/Employee");
+const Assignment = require("../models/Assignment");
+const ActivityLog = require("../models/ActivityLog");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+const argList = (name) => (argValue(name) || "").split(",").map(v => v.trim()).filter(Boolean);
+
+const DRY_RUN = args.includes("--dry-run");
+const BACKUP_ARG = argValue("--backup");
+const YEAR_ARG = argValue("--year");
+const CLIENTS = argList("--client");
+const TARGETS = ["monthly", "employees", "assignments", "activity"];
+const ONLY = argList("--only").length ? argList("--only") : TARGETS;
+
+const BACKUP_ROOT = path.join(__dirname, "..", "backups");
+const timestamp = new Date().toISOString().replace(/:/g, "-").replace(/\.\d+Z$/, "");
+const REPORT_DIR = path.join(__dirname, "..", "reports", "restore");
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// REPORT
+// ===============================
+const entries = [];
+const record = (target, status, fields) => entries.push({ target, status, ...fields });
+
+const RESTORED = DRY_RUN ? "WOULD_RESTORE" : "RESTORED";
+
+const selectedClient = (clientId) => CLIENTS.length === 0 || CLIENTS.includes(clientId);
+
+// ===============================
+// LOCATE AND READ THE BACKUP
+// ===============================
+function resolveBackupFolder() {
+    if (BACKUP_ARG) {
+        return path.resolve(BACKUP_ARG);
+    }
+
+    if (!YEAR_ARG) {
+        throw new Error("Pass --backup <version folder> or --year <year>");
+    }
+
+    const yearPath = path.join(BACKUP_ROOT, String(YEAR_ARG));
+    const versions = fs.existsSync(yearPath)
+        ? fs.readdirSync(yearPath).filter(name => fs.existsSync(path.join(yearPath, name, "backup_info.json"))).sort()
+        : [];
+
+    if (versions.length === 0) {
+        throw new Error(`No backup versions found in ${yearPath}`);
+    }
+
+    return path.join(yearPath, versions[versions.length - 1]);
+}
+
+function readBackup(folder) {
+    const infoPath = path.join(folder, "backup_info.json");
+    if (!fs.existsSync(infoPath)) {
+        throw new Error(`${folder} is not a backup version folder (backup_info.json missing)`);
+    }
+
+    const info = JSON.parse(fs.readFileSync(infoPath, "utf8"));
+    const year = info.targetYear;
+    if (YEAR_ARG && Number(YEAR_ARG) !== year) {
+        throw new Error(`Backup is for ${year}, not ${YEAR_ARG}`);
+    }
+
+    const jsonPath = path.join(folder, "json");
+    const readJsonIfPresent = (name) => {
+        const file = path.join(jsonPath, `${name}_${year}.json`);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    };
+    const readJson = (name) => {
+        const data = readJsonIfPresent(name);
+        if (!data) {
+            log(`${name}_${year}.json not in this backup`, "WARN");
+            return [];
+        }
+        return data;
+    };
+
+    const legacyClients = readJson("clients");
+    const employees = readJson("employees");
+
+    let assignments = readJsonIfPresent("assignments");
+    if (!assignments && ONLY.includes("assignments")) {
+        assignments = legacyAssignments({
+            employeeAssignments: readJsonIfPresent("employee_assignments"),
+            legacyClients,
+            employees
+        });
+        if (!assignments) {
+            throw new Error(
+                `Backup has no assignments: neither assignments_${year}.json nor the copies older backups ` +
+                `hold them in (employee_assignments_${year}.json, Client.employeeAssignments, Employee.assignedClients)`
+            );
+        }
+        log(`assignments_${year}.json not in this backup, restoring ${assignments.length} assignments from the legacy copies`, "WARN");
+    }
+
+    return {
+        info,
+        year,
+        legacyClients,
+        monthlyData: readJson("client_monthly_data"),
+        employees,
+        assignments: assignments || [],
+        activityLogs: readJson("activity_logs")
+    };
+}
+
+// Backups made before the Assignment collection existed only hold the
+// copies: EmployeeAssignment documents, entries embedded in the backed-up
+// clients (Client.employeeAssignments) and employees
+// (Employee.assignedClients). Returns the assignments they describe, one
+// per task, or null if the backup has none of them.
+function legacyAssignments({ employeeAssignments, legacyClients, employees }) {
+    const sources = [];
+    (employeeAssignments || []).forEach(doc => (doc.assignedClients || []).forEach(entry => {
+        sources.push({ ...entry, employeeId: doc.employeeId, employeeName: entry.employeeName || doc.employeeName });
+    }));
+    legacyClients.forEach(client => (client.employeeAssignments || []).forEach(entry => {
+        sources.push({ ...entry, clientId: client.clientId, clientName: entry.clientName || client.name });
+    }));
+    employees.forEach(employee => (employee.assignedClients || []).forEach(entry => {
+        sources.push({ ...entry, employeeId: employee.employeeId, employeeName: entry.employeeName || employee.name });
+    }));
+
+    const hasLegacyData = employeeAssignments
+        || legacyClients.some(client => client.employeeAssignments)
+        || employees.some(employee => employee.assignedClients);
+    if (!hasLegacyData) return null;
+
+    const byTask = new Map();
+    for (const entry of sources) {
+        const key = `${entry.clientId}|${entry.employeeId}|${entry.year}|${entry.month}|${entry.task}|${Boolean(entry.isRemoved)}`;
+        if (byTask.has(key)) continue;
+        byTask.set(key, {
+            clientId: entry.clientId,
+            clientName: entry.clientName,
+            employeeId: entry.employeeId,
+            employeeName: entry.employeeName,
+            year: entry.year,
+            month: entry.month,
+            task: entry.task,
+            assignedAt: entry.assignedAt,
+            assignedBy: entry.assignedBy,
+            adminName: entry.adminName,
+            accountingDone: entry.accountingDone,
+            accountingDoneAt: entry.accountingDoneAt,
+            accountingDoneBy: entry.accountingDoneBy,
+            isRemoved: Boolean(entry.isRemoved),
+            removedAt: entry.removedAt,
+            removedBy: entry.removedBy,
+            removalReason: entry.removalReason
+        });
+    }
+    return [...byTask.values()];
+}
+
+// ===============================
+// SCHEMA VALIDATION
+// ===============================
+const validationError = (doc, paths) => {
+    const error = doc.validateSync(paths);
+    return error ? Object.values(error.errors).map(e => e.message).join("; ") : null;
+};
+
+// ===============================
+// 1. CLIENT MONTHLY DATA
+// ===============================
+async function restoreMonthlyData(backup) {
+    // Month data per client: the new collection wins over the legacy copy
+    const months = new Map();
+    for (const legacy of backup.legacyClients) {
+        for (const { month, data } of legacy.months || []) {
+            months.set(`${legacy.clientId}|${month}`, { clientId: legacy.clientId, month: { ...data, year: backup.year, month }, source: "legacy" });
+        }
+    }
+    for (const doc of backup.monthlyData) {
+        for (const month of doc.months || []) {
+            months.set(`${doc.clientId}|${month.month}`, { clientId: doc.clientId, month, source: "new" });
+        }
+    }
+
+    for (const { clientId, month, source } of months.values()) {
+        if (!selectedClient(clientId)) continue;
+        const where = { clientId, year: backup.year, month: month.month, source };
+
+        const client = await Client.findOne({ clientId }).select("clientId name email").lean();
+        if (!client) {
+            record("monthly", "SKIPPED_NO_CLIENT", where);
+            continue;
+        }
+
+        const error = validationError(new ClientMonthlyData({ clientId, months: [month] }));
+        if (error) {
+            record("monthly", "INVALID", { ...where, error });
+            continue;
+        }
+
+        const exists = await ClientMonthlyData.exists({
+            clientId,
+            months: { $elemMatch: { year: backup.year, month: month.month } }
+        });
+        if (exists) {
+            record("monthly", "SKIPPED_EXISTS", where);
+            continue;
+        }
+
+        if (!DRY_RUN) {
+            await ClientMonthlyData.updateOne(
+                { clientId },
+                { $setOnInsert: { clientId, clientName: client.name || "", clientEmail: client.email || "", months: [] } },
+                { upsert: true }
+            );
+
+            // Only pushes while the month is still absent
+            const result = await ClientMonthlyData.updateOne(
+                { clientId, months: { $not: { $elemMatch: { year: backup.year, month: month.month } } } },
+                { $push: { months: { $each: [month], $sort: { year: 1, month: 1 } } } }
+            );
+            if (result.modifiedCount === 0) {
+                record("monthly", "SKIPPED_EXISTS", where);
+                continue;
+            }
+        }
+
+        record("monthly", RESTORED, where);
+    }
+}
+
+// ===============================
+// 2. EMPLOYEE ARRAYS
+// ===============================
+const EMPLOYEE_ARRAYS = {
+    assignedClients: (a) => `${a.clientId}|${a.year}|${a.month}|${a.task}|${new Date(a.assignedAt).getTime()}`,
+    viewedFiles: (f) => `${f.clientId}|${f.year}|${f.month}|${f.categoryType}|${f.categoryName || ""}|${f.fileName}`,
+    auditedFiles: (f) => `${f.clientId}|${f.year}|${f.month}|${f.categoryType}|${f.categoryName || ""}|${f.fileName}`
+};
+
+async function restoreEmployees(backup) {
+    for (const backedUp of backup.employees) {
+        const employee = await Employee.findOne({ employeeId: backedUp.employeeId })
+            .select(`employeeId ${Object.keys(EMPLOYEE_ARRAYS).join(" ")}`)
+            .lean();
+
+        for (const [field, keyOf] of Object.entries(EMPLOYEE_ARRAYS)) {
+            const existing = new Set((employee?.[field] || []).map(keyOf));
+            const toRestore = [];
+
+            for (const entry of backedUp[field] || []) {
+                if (!selectedClient(entry.clientId)) continue;
+                const where = { employeeId: backedUp.employeeId, clientId: entry.clientId, year: entry.year, month: entry.month, field };
+
+                if (!employee) {
+                    record("employees", "SKIPPED_NO_EMPLOYEE", where);
+                    continue;
+                }
+
+                const error = validationError(new Employee({ [field]: [entry] }), [field]);
+                if (error) {
+                    record("employees", "INVALID", { ...where, error });
+                    continue;
+                }
+
+                if (existing.has(keyOf(entry))) {
+                    record("employees", "SKIPPED_EXISTS", where);
+                    continue;
+                }
+
+                existing.add(keyOf(entry));
+                toRestore.push(entry);
+                record("employees", RESTORED, where);
+            }
+
+            if (!DRY_RUN && toRestore.length) {
+                await Employee.updateOne({ employeeId: backedUp.employeeId }, { $push: { [field]: { $each: toRestore } } });
+            }
+        }
+    }
+}
+
+// ===============================
+// 3. ASSIGNMENTS (canonical collection)
+// ===============================
+async function restoreAssignments(backup) {
+    for (const assignment of backup.assignments) {
+        if (!selectedClient(assignment.clientId)) continue;
+        const where = {
+            clientId: assignment.clientId,
+            employeeId: assignment.employeeId,
+            year: assignment.year,
+            month: assignment.month,
+            task: assignment.task
+        };
+
+        const error = validationError(new Assignment(assignment));
+        if (error) {
+            record("assignments", "INVALID", { ...where, error });
+            continue;
+        }
+
+        // Assignments rebuilt from legacy copies have no assignmentId yet
+        const existing = assignment.assignmentId
+            ? { assignmentId: assignment.assignmentId }
+            : { ...where, isRemoved: assignment.isRemoved };
+        if (await Assignment.exists(existing)) {
+            record("assignments", "SKIPPED_EXISTS", where);
+            continue;
+        }
+
+        if (!DRY_RUN) {
+            try {
+                await Assignment.create(assignment);
+            } catch (createError) {
+                // The task has been assigned again since the backup
+                if (createError.code === 11000) {
+                    record("assignments", "SKIPPED_CONFLICT", { ...where, error: "task is held by an active assignment" });
+                    continue;
+                }
+                throw createError;
+            }
+        }
+
+        record("assignments", RESTORED, where);
+    }
+}
+
+// ===============================
+// 4. ACTIVITY LOGS
+// ===============================
+async function restoreActivityLogs(backup) {
+    for (const entry of backup.activityLogs) {
+        if (CLIENTS.length && !CLIENTS.includes(entry.clientId)) continue;
+        const where = { clientId: entry.clientId, employeeId: entry.employeeId, logId: entry._id, action: entry.action };
+
+        const error = validationError(new ActivityLog(entry));
+        if (error) {
+            record("activity", "INVALID", { ...where, error });
+            continue;
+        }
+
+        // Restored with its original _id, so a second run finds it
+        if (await ActivityLog.exists({ _id: entry._id })) {
+            record("activity", "SKIPPED_EXISTS", where);
+            continue;
+        }
+
+        if (!DRY_RUN) {
+            await ActivityLog.create(entry);
+        }
+        record("activity", RESTORED, where);
+    }
+}
+
+// ===============================
+// MAIN FUNCTION
+// ===============================
+async function main() {
+    console.log("\n" + "=".repeat(60));
+    log("BACKUP RESTORE STARTED", "SUCCESS");
+    log(`Dry Run Mode: ${DRY_RUN ? "YES (No changes)" : "NO (Will insert data)"}`);
+    console.log("=".repeat(60) + "\n");
+
+    const unknownTargets = ONLY.filter(target => !TARGETS.includes(target));
+    if (unknownTargets.length) {
+        log(`Unknown --only target(s): ${unknownTargets.join(", ")}. Use ${TARGETS.join(", ")}`, "ERROR");
+        process.exitCode = 1;
+        return;
+    }
+
+    let backup;
+    let folder;
+    try {
+        folder = resolveBackupFolder();
+        backup = readBackup(folder);
+    } catch (error) {
+        log(error.message, "ERROR");
+        process.exitCode = 1;
+        return;
+    }
+
+    log(`Backup: ${folder}`);
+    log(`Year: ${backup.year} (backed up ${backup.info.backupDate})`);
+    log(`Clients: ${CLIENTS.length ? CLIENTS.join(", ") : "all"}`);
+    log(`Restoring: ${ONLY.join(", ")}`);
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    try {
+        if (ONLY.includes("monthly")) await restoreMonthlyData(backup);
+        if (ONLY.includes("employees")) await restoreEmployees(backup);
+        if (ONLY.includes("assignments")) await restoreAssignments(backup);
+        if (ONLY.includes("activity")) await restoreActivityLogs(backup);
+
+        const summary = {};
+        entries.forEach(entry => {
+            summary[entry.target] = summary[entry.target] || {};
+            summary[entry.target][entry.status] = (summary[entry.target][entry.status] || 0) + 1;
+        });
+
+        fs.mkdirSync(REPORT_DIR, { recursive: true });
+        const reportFile = path.join(REPORT_DIR, `restore_${backup.year}${DRY_RUN ? "_dry-run" : ""}_${timestamp}.json`);
+        fs.writeFileSync(reportFile, JSON.stringify({
+            backup: folder,
+            year: backup.year,
+            clients: CLIENTS.length ? CLIENTS : "all",
+            targets: ONLY,
+            dryRun: DRY_RUN,
+            generatedAt: new Date(),
+            summary,
+            entries
+        }, null, 2));
+
+        const restored = entries.filter(entry => entry.status === "RESTORED").length;
+        if (!DRY_RUN && restored > 0) {
+            await ActivityLog.create({
+                userName: "System",
+                role: "SYSTEM",
+                action: "BACKUP_RESTORED",
+                details: `Restored ${restored} records for ${backup.year} from ${path.basename(folder)}${CLIENTS.length ? ` (clients: ${CLIENTS.join(", ")})` : ""}`,
+                dateTime: new Date()
+            });
+        }
+
+        console.log("\n" + "=".repeat(60));
+        log("BACKUP RESTORE FINISHED", "SUCCESS");
+        Object.entries(summary).forEach(([target, counts]) => {
+            log(`  ${target}: ${Object.entries(counts).map(([status, count]) => `${status} ${count}`).join(", ")}`);
+        });
+        log(`Report: ${reportFile}`);
+
+        const invalid = entries.filter(entry => entry.status === "INVALID").length;
+        if (invalid > 0) {
+            log(`${invalid} backed-up entries failed validation against the current schemas (see report)`, "WARN");
+            process.exitCode = 1;
+        }
+        if (!DRY_RUN && ONLY.includes("assignments") && summary.assignments?.RESTORED) {
+            log("Run scripts/checkAssignments.js --fix to rebuild the assignment copies", "WARN");
+        }
+        console.log("=".repeat(60) + "\n");
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
@@ -0,0 +1,73 @@
+// scripts/sendTestEmail.js
+// Queues one email in the EmailOutbox and sends it right away with the
+// configured SMTP settings, to check the outbox end to end. Locally, run
+// an SMTP stand-in such as MailHog (SMTP on localhost:1025, web UI on
+// localhost:8025) and point SMTP_HOST / SMTP_PORT at it.
+//
+// Usage:  node scripts/sendTestEmail.js <to> [subject]
+//
+// Exit code 1 unless the email ends up SENT. A failed attempt stays queued
+// for retry like any other email; the running server's worker picks it up.
+
+const mongoose = require("mongoose");
+
+const config = require("../config");
+const EmailOutbox = require("../models/EmailOutbox");
+const { enqueueEmail, processOutbox } = require("../utils/emailOutbox");
+
+// ===============================
+// CONFIGURATION
+// ===============================
+const [to, subject = "Accounting Portal test email"] = process.argv.slice(2);
+
+// ===============================
+// LOGGING
+// ===============================
+function log(message, type = "INFO") {
+    const timestampNow = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestampNow}] [${type}] ${message}`);
+}
+
+// ===============================
+// MAIN
+// ===============================
+async function main() {
+    if (!to) {
+        console.log("Usage: node scripts/sendTestEmail.js <to> [subject]");
+        process.exitCode = 1;
+        return;
+    }
+
+    await mongoose.connect(config.mongodb.uri);
+    log("MongoDB connected successfully");
+
+    try {
+        const entry = await enqueueEmail({
+            to,
+            subject,
+            html: `<p>Test email from the Accounting Portal outbox, queued at ${new Date().toISOString()}.</p>`,
+            text: `Test email from the Accounting Portal outbox, queued at ${new Date().toISOString()}.`,
+            category: "TEST"
+        });
+        log(`Queued ${entry.outboxId} for ${to} (SMTP ${config.email.smtp.host}:${config.email.smtp.port})`);
+
+        await processOutbox();
+
+        const result = await EmailOutbox.findOne({ outboxId: entry.outboxId }).lean();
+        if (result.status === "SENT") {
+            log(`Sent, message id ${result.messageId}`, "SUCCESS");
+        } else {
+            log(`Status ${result.status} after ${result.attempts} attempt(s): ${result.lastError || "not picked up yet"}`, "WARN");
+            process.exitCode = 1;
+        }
+
+    } catch (error) {
+        log(`ERROR: ${error.message}`, "ERROR");
+        console.error(error.stack);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+main();
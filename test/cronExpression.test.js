@@ -0,0 +1,125 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/credence-test";
+process.env.STORAGE_DRIVER = "local";
+
+const config = require("../config");
+const { parseExpression, nodeCronPattern, localParts, matchesAt, occurrencesBetween } = require("../utils/cronExpression");
+
+const values = (set) => [...set].sort((a, b) => a - b);
+const between = (expression, since, until) =>
+  occurrencesBetween(expression, { since: new Date(since), until: new Date(until), timezone: config.timezone })
+    .map(date => date.toISOString());
+
+describe("cronExpression", () => {
+  describe("fields", () => {
+    it("expands ranges", () => {
+      const parsed = parseExpression("0 9-12 1-3 * mon-wed");
+      assert.deepEqual(values(parsed.hour), [9, 10, 11, 12]);
+      assert.deepEqual(values(parsed.day), [1, 2, 3]);
+      assert.deepEqual(values(parsed.weekday), [1, 2, 3]);
+    });
+
+    it("expands steps over the whole field, a range or from a start value", () => {
+      const parsed = parseExpression("*/15 0-10/5 5/10 * *");
+      assert.deepEqual(values(parsed.minute), [0, 15, 30, 45]);
+      assert.deepEqual(values(parsed.hour), [0, 5, 10]);
+      assert.deepEqual(values(parsed.day), [5, 15, 25]);
+    });
+
+    it("expands lists of values, ranges and names", () => {
+      const parsed = parseExpression("0,30 8,12-13 * jan,jul-aug sun");
+      assert.deepEqual(values(parsed.minute), [0, 30]);
+      assert.deepEqual(values(parsed.hour), [8, 12, 13]);
+      assert.deepEqual(values(parsed.month), [1, 7, 8]);
+      assert.deepEqual(values(parsed.weekday), [0]);
+    });
+
+    it("accepts 7 for Sunday and ignores a seconds field", () => {
+      const parsed = parseExpression("30 0 2 * * 7");
+      assert.deepEqual(values(parsed.minute), [0]);
+      assert.deepEqual(values(parsed.hour), [2]);
+      assert.ok(parsed.weekday.has(0));
+    });
+
+    for (const expression of ["60 * * * *", "* 24 * * *", "* * 0 * *", "* * * 13 *", "*/0 * * * *", "* * * *", "x * * * *"]) {
+      it(`rejects ${JSON.stringify(expression)}`, () => {
+        assert.throws(() => parseExpression(expression));
+      });
+    }
+  });
+
+  describe("day-of-month and day-of-week", () => {
+    it("matches either day field when both are restricted", () => {
+      // The 13th of November 2026 is a Friday
+      assert.deepEqual(between("0 9 13 * mon", "2026-11-01T00:00:00Z", "2026-11-20T00:00:00Z"), [
+        "2026-11-16T07:00:00.000Z",
+        "2026-11-13T07:00:00.000Z",
+        "2026-11-09T07:00:00.000Z",
+        "2026-11-02T07:00:00.000Z"
+      ]);
+    });
+
+    it("matches only day-of-month when day-of-week is *", () => {
+      assert.deepEqual(between("0 9 13 * *", "2026-11-01T00:00:00Z", "2026-11-20T00:00:00Z"), ["2026-11-13T07:00:00.000Z"]);
+    });
+
+    it("matches only day-of-week when day-of-month is ?", () => {
+      assert.deepEqual(between("0 9 ? * mon", "2026-11-01T00:00:00Z", "2026-11-10T00:00:00Z"), [
+        "2026-11-09T07:00:00.000Z",
+        "2026-11-02T07:00:00.000Z"
+      ]);
+    });
+
+    it("gives node-cron every day when both are restricted", () => {
+      assert.equal(nodeCronPattern("0 9 13 * mon"), "0 9 * * *");
+      assert.equal(nodeCronPattern("0 0 9 13 * mon"), "0 0 9 * * *");
+      assert.equal(nodeCronPattern("0 9 13 * *"), "0 9 13 * *");
+      assert.equal(nodeCronPattern("0 9 * * mon"), "0 9 * * mon");
+    });
+
+    it("picks the days node-cron fires on with matchesAt", () => {
+      assert.equal(matchesAt("0 9 13 * mon", new Date("2026-11-13T07:00:00Z"), config.timezone), true);
+      assert.equal(matchesAt("0 9 13 * mon", new Date("2026-11-16T07:00:00Z"), config.timezone), true);
+      assert.equal(matchesAt("0 9 13 * mon", new Date("2026-11-17T07:00:00Z"), config.timezone), false);
+      assert.equal(matchesAt("0 9 13 * mon", new Date("2026-11-16T07:01:00Z"), config.timezone), false);
+    });
+  });
+
+  describe(`daylight saving time in ${config.timezone}`, () => {
+    it("reads wall-clock time on both sides of a change", () => {
+      assert.deepEqual(localParts(new Date("2026-03-29T00:30:00Z"), config.timezone),
+        { year: 2026, month: 3, day: 29, hour: 2, minute: 30, weekday: 0 });
+      assert.deepEqual(localParts(new Date("2026-03-29T01:30:00Z"), config.timezone),
+        { year: 2026, month: 3, day: 29, hour: 4, minute: 30, weekday: 0 });
+    });
+
+    it("keeps a daily job at the same local hour across a change", () => {
+      assert.deepEqual(between("0 9 * * *", "2026-03-28T00:00:00Z", "2026-03-30T00:00:00Z"), [
+        "2026-03-29T06:00:00.000Z",
+        "2026-03-28T07:00:00.000Z"
+      ]);
+    });
+
+    it("has no occurrence in the hour skipped in spring", () => {
+      assert.deepEqual(between("30 3 * * *", "2026-03-29T00:00:00Z", "2026-03-30T00:00:00Z"), []);
+    });
+
+    it("has two occurrences in the hour repeated in autumn", () => {
+      assert.deepEqual(between("30 3 * * *", "2026-10-24T12:00:00Z", "2026-10-25T12:00:00Z"), [
+        "2026-10-25T01:30:00.000Z",
+        "2026-10-25T00:30:00.000Z"
+      ]);
+    });
+  });
+
+  describe("occurrencesBetween", () => {
+    it("excludes since, includes until and lists the newest first", () => {
+      assert.deepEqual(between("0 * * * *", "2026-10-19T10:00:00Z", "2026-10-19T12:00:00Z"), [
+        "2026-10-19T12:00:00.000Z",
+        "2026-10-19T11:00:00.000Z"
+      ]);
+    });
+  });
+});
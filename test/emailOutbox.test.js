@@ -0,0 +1,287 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/credence-test";
+process.env.STORAGE_DRIVER = "local";
+
+const mongoose = require("mongoose");
+const nodemailer = require("nodemailer");
+
+/* ===============================
+   IN-MEMORY EmailOutbox
+   Just the queries utils/emailOutbox.js runs, on plain objects.
+================================ */
+const docs = [];
+
+const sameValue = (a, b) => (a instanceof Date || b instanceof Date
+  ? new Date(a).getTime() === new Date(b).getTime()
+  : a === b);
+
+const OPERATORS = {
+  $lt: (value, arg) => value != null && value < arg,
+  $lte: (value, arg) => value != null && value <= arg,
+  $gt: (value, arg) => value != null && value > arg,
+  $gte: (value, arg) => value != null && value >= arg
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === "$or") return condition.some(sub => matches(doc, sub));
+  if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([op, arg]) => OPERATORS[op](doc[field], arg));
+  }
+  return sameValue(doc[field], condition);
+});
+
+const applyUpdate = (doc, { $set = {}, $unset = {}, $push = {} }) => {
+  Object.assign(doc, $set);
+  Object.keys($unset).forEach(field => delete doc[field]);
+  Object.entries($push).forEach(([field, value]) => {
+    doc[field] = [...(doc[field] || []), value];
+  });
+};
+
+const copy = (doc) => (doc ? structuredClone(doc) : null);
+
+const FakeOutbox = {
+  findOne: async (filter) => copy(docs.find(doc => matches(doc, filter))),
+
+  create: async (fields) => {
+    if (fields.idempotencyKey && docs.some(doc => doc.idempotencyKey === fields.idempotencyKey)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    const doc = {
+      outboxId: `outbox-${docs.length + 1}`,
+      status: "QUEUED",
+      attempts: 0,
+      nextAttemptAt: new Date(),
+      ...fields
+    };
+    docs.push(doc);
+    return copy(doc);
+  },
+
+  findOneAndUpdate: async (filter, update, { sort } = {}) => {
+    const candidates = docs.filter(doc => matches(doc, filter));
+    if (sort?.nextAttemptAt) candidates.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+    if (!candidates[0]) return null;
+    applyUpdate(candidates[0], update);
+    return copy(candidates[0]);
+  },
+
+  updateOne: async (filter, update) => {
+    const doc = docs.find(d => matches(d, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  },
+
+  countDocuments: async (filter) => docs.filter(doc => matches(doc, filter)).length
+};
+
+require.cache[require.resolve(path.join(__dirname, "..", "models", "EmailOutbox"))] = {
+  id: "EmailOutbox",
+  loaded: true,
+  exports: FakeOutbox
+};
+
+// The SMTP server: each test decides what sendMail does
+let sendMail;
+nodemailer.createTransport = () => ({ sendMail: (message) => sendMail(message) });
+
+const config = require("../config");
+const { enqueueEmail, resendEmail, processOutbox } = require("../utils/emailOutbox");
+
+const SECOND_MS = 1000;
+const stored = (outboxId) => docs.find(doc => doc.outboxId === outboxId);
+const queue = (fields = {}) => enqueueEmail({ to: "client@example.com", subject: "Reminder", html: "<p>Hi</p>", ...fields });
+const makeDue = (outboxId) => { stored(outboxId).nextAttemptAt = new Date(Date.now() - SECOND_MS); };
+
+// Silence the module's console logging
+console.log = () => {};
+
+describe("emailOutbox", () => {
+  beforeEach(() => {
+    docs.length = 0;
+    mongoose.connection.readyState = 1;
+    sendMail = async () => ({ messageId: "<id@test>", response: "250 OK" });
+  });
+
+  describe("idempotency", () => {
+    it("queues an email only once per idempotency key", async () => {
+      const first = await queue({ idempotencyKey: "reminder:C1:2026-10" });
+      const second = await queue({ idempotencyKey: "reminder:C1:2026-10" });
+
+      assert.equal(second.outboxId, first.outboxId);
+      assert.equal(docs.length, 1);
+    });
+
+    it("returns the entry queued by a parallel call with the same key", async () => {
+      const first = await queue({ idempotencyKey: "welcome:C2" });
+
+      // The other call inserted between our lookup and our insert
+      const findOne = FakeOutbox.findOne;
+      FakeOutbox.findOne = async () => {
+        FakeOutbox.findOne = findOne;
+        return null;
+      };
+
+      const second = await queue({ idempotencyKey: "welcome:C2" });
+      assert.equal(second.outboxId, first.outboxId);
+      assert.equal(docs.length, 1);
+    });
+
+    it("queues emails without a key every time", async () => {
+      await queue();
+      await queue();
+      assert.equal(docs.length, 2);
+    });
+
+    it("sends a queued email once however often the worker runs", async () => {
+      let sent = 0;
+      sendMail = async () => {
+        sent++;
+        return { messageId: "<id@test>", response: "250 OK" };
+      };
+      const entry = await queue();
+
+      assert.equal(await processOutbox(), 1);
+      assert.equal(await processOutbox(), 0);
+
+      assert.equal(sent, 1);
+      assert.equal(stored(entry.outboxId).status, "SENT");
+      assert.equal(stored(entry.outboxId).attempts, 1);
+      assert.equal(stored(entry.outboxId).lockedBy, undefined);
+    });
+
+    it("queues a resend as a new entry linked to the original", async () => {
+      const original = await queue({ idempotencyKey: "invoice:C3" });
+      const resent = await resendEmail(original.outboxId, "admin-1");
+
+      assert.notEqual(resent.outboxId, original.outboxId);
+      assert.equal(resent.resendOf, original.outboxId);
+      assert.equal(stored(original.outboxId).log.at(-1).event, "RESENT");
+    });
+  });
+
+  describe("retries", () => {
+    it("schedules a failed attempt again with exponential backoff", async () => {
+      sendMail = async () => { throw new Error("421 try again later"); };
+      const entry = await queue();
+
+      const before = Date.now();
+      await processOutbox();
+      let doc = stored(entry.outboxId);
+      assert.equal(doc.status, "QUEUED");
+      assert.equal(doc.attempts, 1);
+      assert.equal(doc.lastError, "421 try again later");
+      assert.ok(doc.nextAttemptAt - before >= 30 * SECOND_MS && doc.nextAttemptAt - before < 31 * SECOND_MS);
+      assert.equal(doc.log.at(-1).event, "RETRY");
+
+      // Not due yet
+      assert.equal(await processOutbox(), 0);
+
+      makeDue(entry.outboxId);
+      const second = Date.now();
+      await processOutbox();
+      doc = stored(entry.outboxId);
+      assert.equal(doc.attempts, 2);
+      assert.ok(doc.nextAttemptAt - second >= 60 * SECOND_MS && doc.nextAttemptAt - second < 61 * SECOND_MS);
+    });
+
+    it("caps the backoff at one hour", async () => {
+      sendMail = async () => { throw new Error("connection refused"); };
+      const entry = await queue();
+      Object.assign(stored(entry.outboxId), { attempts: 10, maxAttempts: 20 });
+
+      const before = Date.now();
+      await processOutbox();
+      const delay = stored(entry.outboxId).nextAttemptAt - before;
+      assert.ok(delay >= 60 * 60 * SECOND_MS && delay < 60 * 60 * SECOND_MS + SECOND_MS);
+    });
+
+    it("gives up after maxAttempts", async () => {
+      sendMail = async () => { throw new Error("550 mailbox unavailable"); };
+      const entry = await queue();
+      assert.equal(stored(entry.outboxId).maxAttempts, config.email.maxAttempts);
+
+      for (let attempt = 1; attempt <= config.email.maxAttempts; attempt++) {
+        makeDue(entry.outboxId);
+        await processOutbox();
+      }
+
+      const doc = stored(entry.outboxId);
+      assert.equal(doc.status, "FAILED");
+      assert.equal(doc.attempts, config.email.maxAttempts);
+      assert.equal(doc.log.at(-1).event, "FAILED");
+
+      makeDue(entry.outboxId);
+      assert.equal(await processOutbox(), 0);
+    });
+
+    it("sends after an earlier failure", async () => {
+      let calls = 0;
+      sendMail = async () => {
+        if (++calls === 1) throw new Error("timeout");
+        return { messageId: "<id@test>", response: "250 OK" };
+      };
+      const entry = await queue();
+
+      await processOutbox();
+      makeDue(entry.outboxId);
+      await processOutbox();
+
+      const doc = stored(entry.outboxId);
+      assert.equal(doc.status, "SENT");
+      assert.equal(doc.attempts, 2);
+      assert.deepEqual(doc.log.map(l => l.event), ["QUEUED", "RETRY", "SENT"]);
+    });
+  });
+
+  describe("locks", () => {
+    it("takes over an email whose worker stopped holding the lock", async () => {
+      const entry = await queue();
+      Object.assign(stored(entry.outboxId), {
+        status: "SENDING",
+        lockedBy: "other-host:1",
+        lockedUntil: new Date(Date.now() - SECOND_MS)
+      });
+
+      assert.equal(await processOutbox(), 1);
+      assert.equal(stored(entry.outboxId).status, "SENT");
+    });
+
+    it("leaves an email locked by another worker alone", async () => {
+      const entry = await queue();
+      Object.assign(stored(entry.outboxId), {
+        status: "SENDING",
+        lockedBy: "other-host:1",
+        lockedUntil: new Date(Date.now() + 60 * SECOND_MS)
+      });
+
+      assert.equal(await processOutbox(), 0);
+      assert.equal(stored(entry.outboxId).status, "SENDING");
+    });
+
+    it("does not mark an email sent once another worker has taken it over", async () => {
+      const entry = await queue();
+      sendMail = async () => {
+        // Our lock expired mid-send and another worker claimed the email
+        Object.assign(stored(entry.outboxId), { lockedBy: "other-host:1", lockedUntil: new Date(Date.now() + 60 * SECOND_MS) });
+        return { messageId: "<id@test>", response: "250 OK" };
+      };
+
+      await processOutbox();
+
+      const doc = stored(entry.outboxId);
+      assert.equal(doc.status, "SENDING");
+      assert.equal(doc.lockedBy, "other-host:1");
+      assert.equal(doc.sentAt, undefined);
+    });
+
+    it("does not send while the database is unreachable", async () => {
+      await queue();
+      mongoose.connection.readyState = 0;
+      assert.equal(await processOutbox(), 0);
+    });
+  });
+});
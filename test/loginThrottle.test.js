@@ -0,0 +1,162 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/credence-test";
+process.env.STORAGE_DRIVER = "local";
+
+/* ===============================
+   IN-MEMORY LoginAttempt
+   Just the queries utils/loginThrottle.js runs, on plain objects.
+================================ */
+const docs = [];
+const lockouts = [];
+
+const OPERATORS = {
+  $lt: (value, arg) => value != null && value < arg,
+  $lte: (value, arg) => value != null && value <= arg,
+  $gt: (value, arg) => value != null && value > arg,
+  $gte: (value, arg) => value != null && value >= arg
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === "$or") return condition.some(sub => matches(doc, sub));
+  if (field === "$and") return condition.every(sub => matches(doc, sub));
+  if (condition === null) return doc[field] == null;
+  if (typeof condition === "object" && !(condition instanceof Date)) {
+    return Object.entries(condition).every(([op, arg]) => OPERATORS[op](doc[field], arg));
+  }
+  return doc[field] === condition;
+});
+
+const applyUpdate = (doc, { $set = {}, $inc = {}, $max = {} }) => {
+  Object.assign(doc, $set);
+  Object.entries($inc).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+  Object.entries($max).forEach(([field, value]) => {
+    if (doc[field] == null || doc[field] < value) doc[field] = value;
+  });
+};
+
+const FakeLoginAttempt = {
+  updateOne: async (filter, update) => {
+    const doc = docs.find(d => matches(d, filter));
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  },
+
+  findOneAndUpdate: async (filter, update, { upsert } = {}) => {
+    let doc = docs.find(d => matches(d, filter));
+    if (!doc && !upsert) return null;
+    if (!doc) {
+      doc = { key: filter.key, failures: 0, lockCount: 0, lockedUntil: null, ...update.$setOnInsert };
+      docs.push(doc);
+    }
+    applyUpdate(doc, update);
+    return { ...doc };
+  }
+};
+
+const fake = (model, exports) => {
+  require.cache[require.resolve(path.join(__dirname, "..", "models", model))] = { id: model, loaded: true, exports };
+};
+fake("LoginAttempt", FakeLoginAttempt);
+fake("ActivityLog", { create: async (entry) => { lockouts.push(entry); } });
+
+const { POLICIES, reserveAttempt, settleAttempt } = require("../utils/loginThrottle");
+
+const MINUTE_MS = 60 * 1000;
+const ACTION = "CLIENT_LOGIN";
+const req = { ip: "203.0.113.7" };
+const identifiers = { account: "Client@Example.com", ip: req.ip };
+const maxFailures = POLICIES.ACCOUNT.maxFailures;
+
+const account = () => docs.find(d => d.key === `ACCOUNT:${ACTION}:client@example.com`);
+
+const fail = async () => {
+  const reservation = await reserveAttempt(ACTION, identifiers);
+  assert.equal(reservation.allowed, true);
+  await settleAttempt(reservation.reserved, "FAILURE", req);
+};
+
+// Ends the current lock as if its time had run out
+const expireLock = () => { account().lockedUntil = new Date(Date.now() - 1000); };
+
+const lockLength = () => account().lockedUntil - Date.now();
+
+describe("loginThrottle", () => {
+  beforeEach(() => {
+    docs.length = 0;
+    lockouts.length = 0;
+  });
+
+  describe("reservations", () => {
+    it("turns away requests beyond the budget while earlier ones are still answered", async () => {
+      const reservations = await Promise.all(
+        Array.from({ length: maxFailures + 3 }, () => reserveAttempt(ACTION, identifiers)));
+
+      assert.equal(reservations.filter(r => r.allowed).length, maxFailures);
+      const refused = reservations.filter(r => !r.allowed);
+      assert.ok(refused.every(r => r.scope === "ACCOUNT" && r.retryAfterMs === 10 * 1000 && r.reserved.length === 0));
+
+      // A refused request does not stay counted
+      assert.equal(account().failures, maxFailures);
+    });
+
+    it("takes a reservation back when the request neither failed nor succeeded", async () => {
+      const reservation = await reserveAttempt(ACTION, identifiers);
+      await settleAttempt(reservation.reserved, "NONE", req);
+      assert.equal(account().failures, 0);
+    });
+
+    it("clears the account's failures on success", async () => {
+      await fail();
+      await fail();
+      const reservation = await reserveAttempt(ACTION, identifiers);
+      await settleAttempt(reservation.reserved, "SUCCESS", req);
+
+      assert.equal(account().failures, 0);
+      assert.equal(docs.find(d => d.scope === "IP").failures, 2);
+    });
+
+    it("holds requests back progressively after repeated failures", async () => {
+      for (let i = 0; i < 3; i++) await fail();
+      assert.equal((await reserveAttempt(ACTION, identifiers)).delayMs, 1000);
+    });
+  });
+
+  describe("lockouts", () => {
+    it("locks the account at its limit", async () => {
+      for (let i = 0; i < maxFailures; i++) await fail();
+
+      const lengthMs = lockLength();
+      assert.ok(lengthMs > 14 * MINUTE_MS && lengthMs <= 15 * MINUTE_MS);
+      assert.equal(account().lockCount, 1);
+      assert.equal(lockouts.length, 1);
+      assert.equal(lockouts[0].action, "ACCOUNT_LOCKED");
+
+      const refused = await reserveAttempt(ACTION, identifiers);
+      assert.equal(refused.allowed, false);
+      assert.ok(refused.retryAfterMs > 14 * MINUTE_MS);
+    });
+
+    it("doubles each repeated lock", async () => {
+      for (let i = 0; i < maxFailures; i++) await fail();
+      expireLock();
+      for (let i = 0; i < maxFailures; i++) await fail();
+
+      const lengthMs = lockLength();
+      assert.ok(lengthMs > 29 * MINUTE_MS && lengthMs <= 30 * MINUTE_MS);
+      assert.equal(account().lockCount, 2);
+    });
+
+    it("caps a repeated lock at a day", async () => {
+      for (let i = 0; i < maxFailures; i++) await fail();
+      expireLock();
+      account().lockCount = 10;
+      for (let i = 0; i < maxFailures; i++) await fail();
+
+      const lengthMs = lockLength();
+      assert.ok(lengthMs > 24 * 60 * MINUTE_MS - MINUTE_MS && lengthMs <= 24 * 60 * MINUTE_MS);
+    });
+  });
+});
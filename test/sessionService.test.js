@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/credence-test";
+process.env.STORAGE_DRIVER = "local";
+process.env.JWT_SECRET = "session-test-secret";
+
+/* ===============================
+   IN-MEMORY Session AND Client
+   Just the queries a client refresh runs, on plain objects.
+================================ */
+const sessions = [];
+
+const FakeSession = {
+  create: async (fields) => {
+    const session = { sessionId: `session-${sessions.length + 1}`, revokedAt: null, ...fields };
+    sessions.push(session);
+    return { ...session };
+  },
+
+  findOne: async ({ sessionId, userType }) => {
+    const session = sessions.find(s => s.sessionId === sessionId && s.userType === userType);
+    if (!session) return null;
+    return { ...session, save: async function () { Object.assign(session, this); } };
+  },
+
+  updateOne: async ({ sessionId }, { $set }) => {
+    const session = sessions.find(s => s.sessionId === sessionId && s.revokedAt === null);
+    if (session) Object.assign(session, $set);
+    return { modifiedCount: session ? 1 : 0 };
+  }
+};
+
+const FakeClient = {
+  findOne: ({ clientId }) => ({
+    select: async () => ({ clientId, name: "Virtanen Consulting", email: "client@example.com" })
+  })
+};
+
+const fake = (model, exports) => {
+  require.cache[require.resolve(path.join(__dirname, "..", "models", model))] = { id: model, loaded: true, exports };
+};
+fake("Session", FakeSession);
+fake("Client", FakeClient);
+
+const { startSession, refreshSession } = require("../utils/sessionService");
+
+const GRACE_MS = 30 * 1000;
+
+// Just what the session service reads from the request and sets on the response
+const request = (refreshCookie) => ({
+  cookies: { clientRefreshToken: refreshCookie },
+  ip: "203.0.113.7",
+  get: () => "test-agent"
+});
+
+const response = () => {
+  const cookies = {};
+  return {
+    cookies,
+    cookie: (name, value) => { cookies[name] = value; },
+    clearCookie: (name) => { cookies[name] = null; }
+  };
+};
+
+const login = async () => {
+  const res = response();
+  const session = await startSession(request(), res, "CLIENT", "C1", { clientId: "C1", role: "CLIENT" });
+  return { session, refreshCookie: res.cookies.clientRefreshToken };
+};
+
+const refresh = async (refreshCookie) => {
+  const res = response();
+  await refreshSession(request(refreshCookie), res, "CLIENT");
+  return res.cookies.clientRefreshToken;
+};
+
+const stored = (sessionId) => sessions.find(s => s.sessionId === sessionId);
+
+describe("sessionService refresh", () => {
+  beforeEach(() => {
+    sessions.length = 0;
+  });
+
+  it("rotates the refresh secret", async () => {
+    const { session, refreshCookie } = await login();
+    const rotated = await refresh(refreshCookie);
+
+    assert.notEqual(rotated, refreshCookie);
+    assert.ok(rotated.startsWith(`${session.sessionId}.`));
+    assert.notEqual(await refresh(rotated), rotated);
+  });
+
+  it("answers the secret it just replaced with the same pair during the grace window", async () => {
+    const { session, refreshCookie } = await login();
+    const rotated = await refresh(refreshCookie);
+    const hashAfterRotation = stored(session.sessionId).refreshTokenHash;
+
+    // A second tab refreshed with the same cookie
+    assert.equal(await refresh(refreshCookie), rotated);
+    assert.equal(stored(session.sessionId).refreshTokenHash, hashAfterRotation);
+    assert.equal(stored(session.sessionId).revokedAt, null);
+
+    // Both tabs go on with the rotated secret
+    await refresh(rotated);
+    assert.equal(stored(session.sessionId).revokedAt, null);
+  });
+
+  it("revokes the session when the replaced secret comes back after the grace window", async () => {
+    const { session, refreshCookie } = await login();
+    await refresh(refreshCookie);
+    stored(session.sessionId).rotatedAt = new Date(Date.now() - GRACE_MS - 1000);
+
+    await assert.rejects(refresh(refreshCookie), { code: "TOKEN_REUSE" });
+    assert.equal(stored(session.sessionId).revokedReason, "TOKEN_REUSE");
+    await assert.rejects(refresh(refreshCookie), { code: "SESSION_INACTIVE" });
+  });
+
+  it("revokes the session for a secret older than the one just replaced", async () => {
+    const { session, refreshCookie } = await login();
+    const second = await refresh(refreshCookie);
+    await refresh(second);
+
+    await assert.rejects(refresh(refreshCookie), { code: "TOKEN_REUSE" });
+    assert.notEqual(stored(session.sessionId).revokedAt, null);
+  });
+
+  it("revokes the session for a secret it never issued", async () => {
+    const { session } = await login();
+
+    await assert.rejects(refresh(`${session.sessionId}.guessed`), { code: "TOKEN_REUSE" });
+    assert.notEqual(stored(session.sessionId).revokedAt, null);
+  });
+});
@@ -0,0 +1,147 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.MONGODB_URI = process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/credence-test";
+process.env.STORAGE_DRIVER = "local";
+process.env.JWT_SECRET = "storage-test-secret";
+
+const { createLocalDriver, StorageError } = require("../utils/storage");
+
+const BASE_URL = "http://localhost:3043/files";
+
+describe("local storage driver", () => {
+  let dir;
+  let driver;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "credence-storage-"));
+    driver = createLocalDriver({ dir, baseUrl: `${BASE_URL}/` });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("objects", () => {
+    it("stores, reads and deletes an object under its key", async () => {
+      const key = "clients/C1/2026/10/invoice.pdf";
+      await driver.putObject(key, Buffer.from("%PDF-1.4"), "application/pdf");
+
+      assert.equal(fs.readFileSync(path.join(dir, key), "utf8"), "%PDF-1.4");
+      assert.equal((await driver.getObject(key)).toString(), "%PDF-1.4");
+
+      await driver.deleteObject(key);
+      assert.equal(fs.existsSync(path.join(dir, key)), false);
+    });
+
+    it("overwrites an object stored under the same key", async () => {
+      await driver.putObject("notes/a.txt", Buffer.from("first"));
+      await driver.putObject("notes/a.txt", Buffer.from("second"));
+      assert.equal((await driver.getObject("notes/a.txt")).toString(), "second");
+    });
+
+    it("reports a missing object as NOT_FOUND", async () => {
+      await assert.rejects(driver.getObject("clients/C1/missing.pdf"), (error) => {
+        assert.ok(error instanceof StorageError);
+        assert.equal(error.code, "NOT_FOUND");
+        assert.equal(error.status, 404);
+        return true;
+      });
+    });
+
+    it("deletes a missing object without an error", async () => {
+      await driver.deleteObject("clients/C1/never-stored.pdf");
+    });
+  });
+
+  describe("urls", () => {
+    it("turns a key into a url and back", () => {
+      const url = driver.urlOf("clients/C1/2026/10/a b.pdf");
+      assert.equal(url, `${BASE_URL}/clients/C1/2026/10/a b.pdf`);
+      assert.equal(driver.keyOf(url), "clients/C1/2026/10/a b.pdf");
+    });
+
+    it("finds the key of a signed or encoded url", () => {
+      assert.equal(driver.keyOf(`${BASE_URL}/clients/C1/a%20b.pdf?expires=1&signature=x`), "clients/C1/a b.pdf");
+    });
+
+    it("does not claim urls of another storage", () => {
+      assert.equal(driver.keyOf("https://bucket.s3.eu-north-1.amazonaws.com/clients/C1/a.pdf"), null);
+      assert.equal(driver.keyOf(`${BASE_URL}/`), null);
+      assert.equal(driver.keyOf(undefined), null);
+    });
+  });
+
+  describe("signed links", () => {
+    const linkParams = (url) => {
+      const { searchParams } = new URL(url);
+      return { expires: searchParams.get("expires"), signature: searchParams.get("signature") };
+    };
+
+    it("accepts its own link until it expires", async () => {
+      const { expires, signature } = linkParams(await driver.signedUrlOf("clients/C1/a.pdf", 60));
+      assert.equal(driver.verifyLink("clients/C1/a.pdf", expires, signature), true);
+    });
+
+    it("rejects a link for another key", async () => {
+      const { expires, signature } = linkParams(await driver.signedUrlOf("clients/C1/a.pdf", 60));
+      assert.equal(driver.verifyLink("clients/C2/a.pdf", expires, signature), false);
+    });
+
+    it("rejects a link whose expiry was changed", async () => {
+      const { expires, signature } = linkParams(await driver.signedUrlOf("clients/C1/a.pdf", 60));
+      assert.equal(driver.verifyLink("clients/C1/a.pdf", String(Number(expires) + 3600), signature), false);
+    });
+
+    it("rejects an expired link", async () => {
+      const { expires, signature } = linkParams(await driver.signedUrlOf("clients/C1/a.pdf", -1));
+      assert.equal(driver.verifyLink("clients/C1/a.pdf", expires, signature), false);
+    });
+
+    it("rejects a link without a signature", () => {
+      assert.equal(driver.verifyLink("clients/C1/a.pdf", String(Math.floor(Date.now() / 1000) + 60), undefined), false);
+    });
+  });
+
+  describe("pathOf", () => {
+    it("resolves keys inside the storage directory", () => {
+      assert.equal(driver.pathOf("clients/C1/a.pdf"), path.join(dir, "clients", "C1", "a.pdf"));
+      assert.equal(driver.pathOf("clients/../notes/a.pdf"), path.join(dir, "notes", "a.pdf"));
+    });
+
+    for (const key of ["../outside.txt", "clients/../../outside.txt", "/etc/passwd", "..", "", ".", `../${path.basename(os.tmpdir())}/x`]) {
+      it(`rejects ${JSON.stringify(key)}`, () => {
+        assert.throws(() => driver.pathOf(key), (error) => {
+          assert.ok(error instanceof StorageError);
+          assert.equal(error.code, "INVALID_KEY");
+          assert.equal(error.status, 400);
+          return true;
+        });
+      });
+    }
+
+    it("rejects a sibling directory that shares the root's name as a prefix", () => {
+      assert.throws(() => driver.pathOf(`../${path.basename(dir)}-other/a.txt`), { code: "INVALID_KEY" });
+    });
+
+    it("never writes, reads or deletes outside the storage directory", async () => {
+      const outside = path.join(path.dirname(dir), `${path.basename(dir)}-outside.txt`);
+      const key = `../${path.basename(outside)}`;
+
+      await assert.rejects(driver.putObject(key, Buffer.from("x")), { code: "INVALID_KEY" });
+      assert.equal(fs.existsSync(outside), false);
+
+      fs.writeFileSync(outside, "keep");
+      try {
+        await assert.rejects(driver.getObject(key), { code: "INVALID_KEY" });
+        await assert.rejects(driver.deleteObject(key), { code: "INVALID_KEY" });
+        assert.equal(fs.readFileSync(outside, "utf8"), "keep");
+      } finally {
+        fs.rmSync(outside, { force: true });
+      }
+    });
+  });
+});
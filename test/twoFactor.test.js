@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = "two-factor-test-secret";
+
+const {
+  generateTotp,
+  matchTotpStep,
+  claimTotpStep,
+  encryptSecret,
+  generateBackupCodes,
+  verifySecondFactor
+} = require("../utils/twoFactor");
+
+/* ===============================
+   IN-MEMORY USER MODEL
+   The conditional updates twoFactor.js runs, applied to a stored copy
+   of the user as MongoDB would.
+================================ */
+const SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"; // RFC 6238 test key
+const STEP_MS = 30 * 1000;
+
+class FakeUser {
+  constructor(twoFactor) {
+    this._id = "user-1";
+    this.twoFactor = twoFactor;
+  }
+
+  static async updateOne(filter, update) {
+    const stored = FakeUser.stored.twoFactor;
+    let matched;
+    if (filter["twoFactor.lastUsedStep"]) {
+      const step = filter["twoFactor.lastUsedStep"].$not.$gte;
+      matched = stored.lastUsedStep == null || stored.lastUsedStep < step;
+      if (matched) stored.lastUsedStep = update.$set["twoFactor.lastUsedStep"];
+    } else {
+      const hash = filter["twoFactor.backupCodes"];
+      matched = stored.backupCodes.includes(hash);
+      if (matched) stored.backupCodes = stored.backupCodes.filter(code => code !== update.$pull["twoFactor.backupCodes"]);
+    }
+    // Let a parallel request run between the lookup and the write it races
+    await new Promise(resolve => setImmediate(resolve));
+    return { matchedCount: matched ? 1 : 0, modifiedCount: matched ? 1 : 0 };
+  }
+}
+
+// The same user as loaded by two parallel requests
+const loadUser = () => new FakeUser(structuredClone(FakeUser.stored.twoFactor));
+
+describe("twoFactor", () => {
+  let backupCodes;
+
+  beforeEach(() => {
+    const { codes, hashes } = generateBackupCodes();
+    backupCodes = codes;
+    FakeUser.stored = { twoFactor: { secret: encryptSecret(SECRET), backupCodes: hashes, lastUsedStep: null } };
+  });
+
+  describe("TOTP codes", () => {
+    it("generates the RFC 6238 test vector", () => {
+      assert.equal(generateTotp(SECRET, 59 * 1000), "287082");
+      assert.equal(generateTotp(SECRET, 1111111109 * 1000), "081804");
+    });
+
+    it("accepts one step of clock drift either side", () => {
+      const now = Date.now();
+      const step = Math.floor(now / STEP_MS);
+      assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, now - STEP_MS), now), step - 1);
+      assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, now + STEP_MS), now), step + 1);
+      assert.equal(matchTotpStep(SECRET, generateTotp(SECRET, now - 2 * STEP_MS), now), null);
+    });
+  });
+
+  describe("claimTotpStep", () => {
+    it("claims a step once", async () => {
+      assert.equal(await claimTotpStep(loadUser(), 100), true);
+      assert.equal(await claimTotpStep(loadUser(), 100), false);
+      assert.equal(FakeUser.stored.twoFactor.lastUsedStep, 100);
+    });
+
+    it("refuses a step before the last one used", async () => {
+      await claimTotpStep(loadUser(), 100);
+      assert.equal(await claimTotpStep(loadUser(), 99), false);
+      assert.equal(await claimTotpStep(loadUser(), 101), true);
+    });
+
+    it("lets only one of two parallel requests use a code", async () => {
+      const code = generateTotp(SECRET);
+      const results = await Promise.all([
+        verifySecondFactor(loadUser(), { code }),
+        verifySecondFactor(loadUser(), { code })
+      ]);
+      assert.deepEqual(results.sort(), ["TOTP", null]);
+    });
+  });
+
+  describe("backup codes", () => {
+    it("accepts a backup code once, in any format", async () => {
+      const user = loadUser();
+      const code = backupCodes[0].toLowerCase().replace("-", " ");
+
+      assert.equal(await verifySecondFactor(user, { backupCode: code }), "BACKUP_CODE");
+      assert.equal(user.twoFactor.backupCodes.length, backupCodes.length - 1);
+      assert.equal(FakeUser.stored.twoFactor.backupCodes.length, backupCodes.length - 1);
+      assert.equal(await verifySecondFactor(loadUser(), { backupCode: backupCodes[0] }), null);
+    });
+
+    it("lets only one of two parallel requests use a backup code", async () => {
+      const results = await Promise.all([
+        verifySecondFactor(loadUser(), { backupCode: backupCodes[1] }),
+        verifySecondFactor(loadUser(), { backupCode: backupCodes[1] })
+      ]);
+      assert.deepEqual(results.sort(), ["BACKUP_CODE", null]);
+    });
+
+    it("rejects a code that was never issued", async () => {
+      assert.equal(await verifySecondFactor(loadUser(), { backupCode: "AAAAA-BBBBB" }), null);
+    });
+  });
+});
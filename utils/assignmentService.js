@@ -0,0 +1,364 @@
+const mongoose = require("mongoose");
+
+const Assignment = require("../models/Assignment");
+const Client = require("../models/Client");
+const Employee = require("../models/Employee");
+const EmployeeAssignment = require("../models/EmployeeAssignment");
+const RemovedAssignment = require("../models/RemovedAssignment");
+
+// Assignment is the source of truth. Client.employeeAssignments,
+// EmployeeAssignment.assignedClients and the legacy Employee.assignedClients
+// are derived copies for the existing read paths, updated here in the same
+// transaction as the canonical document so they can no longer drift apart
+// half-way through a request.
+
+class AssignmentError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = "AssignmentError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Runs work(session) inside a MongoDB transaction (requires a replica set,
+ * as on Atlas). The driver may call work more than once on transient
+ * errors, so it must do all of its reads through the session.
+ */
+const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+const assignmentKey = ({ clientId, employeeId, year, month, task }) => `${clientId}|${employeeId}|${year}|${month}|${task}`;
+
+/* ===============================
+   DERIVED COPY SHAPES
+================================ */
+const STATE_FIELDS = [
+  "assignedAt", "assignedBy", "adminName", "task",
+  "accountingDone", "accountingDoneAt", "accountingDoneBy",
+  "isRemoved", "removedAt", "removedBy", "removalReason"
+];
+
+const pick = (assignment, fields) => {
+  const result = {};
+  fields.forEach(field => {
+    if (assignment[field] !== undefined) result[field] = assignment[field];
+  });
+  return result;
+};
+
+// Client.employeeAssignments entry
+const toClientEntry = (assignment) => ({
+  year: assignment.year,
+  month: assignment.month,
+  employeeId: assignment.employeeId,
+  employeeName: assignment.employeeName,
+  ...pick(assignment, STATE_FIELDS)
+});
+
+// EmployeeAssignment.assignedClients / Employee.assignedClients entry
+const toEmployeeEntry = (assignment) => ({
+  clientId: assignment.clientId,
+  clientName: assignment.clientName,
+  year: assignment.year,
+  month: assignment.month,
+  ...pick(assignment, STATE_FIELDS)
+});
+
+const addToCopies = async (assignment, employee, session) => {
+  await Client.updateOne(
+    { clientId: assignment.clientId },
+    { $push: { employeeAssignments: toClientEntry(assignment) } },
+    { session }
+  );
+
+  // New assignments are not added to the legacy Employee.assignedClients
+  await EmployeeAssignment.updateOne(
+    { employeeId: assignment.employeeId },
+    {
+      $set: { employeeName: employee.name, employeeEmail: employee.email },
+      $push: { assignedClients: toEmployeeEntry(assignment) }
+    },
+    { upsert: true, session }
+  );
+};
+
+/**
+ * Applies fields to the active entry for this assignment in every derived
+ * copy that has one.
+ */
+const updateCopies = async (assignment, fields, session) => {
+  const { clientId, employeeId, year, month, task } = assignment;
+  const active = { "a.year": year, "a.month": month, "a.task": task, "a.isRemoved": { $ne: true } };
+
+  const setOn = (arrayPath) => {
+    const update = {};
+    Object.entries(fields).forEach(([field, value]) => {
+      update[`${arrayPath}.$[a].${field}`] = value;
+    });
+    return update;
+  };
+
+  await Client.updateOne(
+    { clientId },
+    { $set: setOn("employeeAssignments") },
+    { arrayFilters: [{ ...active, "a.employeeId": employeeId }], session }
+  );
+
+  for (const Model of [EmployeeAssignment, Employee]) {
+    await Model.updateOne(
+      { employeeId },
+      { $set: setOn("assignedClients") },
+      { arrayFilters: [{ ...active, "a.clientId": clientId }], session }
+    );
+  }
+};
+
+/* ===============================
+   ADOPTING PRE-EXISTING ASSIGNMENTS
+   Assignments made before the canonical collection existed only live in
+   the copies. Until scripts/checkAssignments.js --fix has backfilled them,
+   an active Client.employeeAssignments entry is adopted on first touch.
+================================ */
+const matchesEntry = (entry, match) => {
+  return entry.isRemoved !== true &&
+    entry.year === match.year &&
+    entry.month === match.month &&
+    (match.employeeId === undefined || entry.employeeId === match.employeeId) &&
+    (match.task === undefined || entry.task === match.task);
+};
+
+const adoptFromClientCopies = async (match, session) => {
+  const elemMatch = { year: match.year, month: match.month, isRemoved: { $ne: true } };
+  if (match.employeeId !== undefined) elemMatch.employeeId = match.employeeId;
+  if (match.task !== undefined) elemMatch.task = match.task;
+
+  const filter = { employeeAssignments: { $elemMatch: elemMatch } };
+  if (match.clientId !== undefined) filter.clientId = match.clientId;
+
+  const clients = await Client.find(filter)
+    .select("clientId name employeeAssignments")
+    .session(session)
+    .lean();
+
+  for (const client of clients) {
+    for (const entry of client.employeeAssignments.filter(e => matchesEntry(e, match))) {
+      const taken = await Assignment.exists({
+        clientId: client.clientId,
+        year: entry.year,
+        month: entry.month,
+        task: entry.task,
+        isRemoved: false
+      }).session(session);
+
+      if (taken) continue;
+
+      await Assignment.create([{
+        clientId: client.clientId,
+        clientName: client.name,
+        ...toClientEntry(entry),
+        isRemoved: false
+      }], { session });
+    }
+  }
+};
+
+const findActive = async (match, session) => {
+  await adoptFromClientCopies(match, session);
+  return Assignment.find({ ...match, isRemoved: false }).session(session);
+};
+
+/* ===============================
+   READS
+================================ */
+
+/**
+ * Whether an employee holds any active task for a client month. Only the
+ * canonical Assignment collection counts; drift in the copies is repaired
+ * by scripts/checkAssignments.js --fix.
+ */
+const isAssigned = async ({ clientId, employeeId, year, month }) => {
+  return Boolean(await Assignment.exists({ clientId, employeeId, year, month, isRemoved: false }));
+};
+
+/* ===============================
+   WRITES
+================================ */
+
+/**
+ * Assigns tasks for one client month to an employee. Tasks already held by
+ * anyone for that client and month are skipped.
+ *
+ * @returns {{ assigned: object[], skipped: string[] }}
+ */
+const assignTasks = async ({ client, employee, year, month, tasks, admin }) => {
+  const assignedAt = new Date();
+
+  try {
+    return await withTransaction(async (session) => {
+      const assigned = [];
+      const skipped = [];
+
+      for (const task of tasks) {
+        const [taken] = await findActive({ clientId: client.clientId, year, month, task }, session);
+        if (taken) {
+          skipped.push(task);
+          continue;
+        }
+
+        const [assignment] = await Assignment.create([{
+          clientId: client.clientId,
+          clientName: client.name,
+          employeeId: employee.employeeId,
+          employeeName: employee.name,
+          year,
+          month,
+          task,
+          assignedAt,
+          assignedBy: admin.adminId,
+          adminName: admin.name
+        }], { session });
+
+        await addToCopies(assignment, employee, session);
+        assigned.push(assignment);
+      }
+
+      return { assigned, skipped };
+    });
+  } catch (error) {
+    // Another request assigned the same task in the meantime
+    if (error.code === 11000) {
+      throw new AssignmentError("One of the selected tasks was assigned by someone else meanwhile", "ALREADY_ASSIGNED", 409);
+    }
+    throw error;
+  }
+};
+
+const markRemoved = async (assignment, removal, session) => {
+  const fields = {
+    isRemoved: true,
+    removedAt: new Date(),
+    removedBy: removal.removedBy,
+    removalReason: removal.reason
+  };
+
+  // Copies are matched on their active entry, so update them first
+  await updateCopies(assignment, fields, session);
+
+  assignment.set(fields);
+  await assignment.save({ session });
+
+  await RemovedAssignment.create([{
+    clientId: assignment.clientId,
+    clientName: assignment.clientName,
+    employeeId: assignment.employeeId,
+    employeeName: assignment.employeeName,
+    year: assignment.year,
+    month: assignment.month,
+    task: assignment.task,
+    originallyAssignedAt: assignment.assignedAt,
+    originallyAssignedBy: assignment.assignedBy,
+    adminName: assignment.adminName,
+    removedAt: fields.removedAt,
+    removedBy: removal.removedBy,
+    removerName: removal.removerName,
+    removalReason: removal.reason,
+    wasAccountingDone: assignment.accountingDone === true,
+    durationDays: assignment.assignedAt
+      ? Math.floor((fields.removedAt - assignment.assignedAt) / (24 * 60 * 60 * 1000))
+      : undefined,
+    notes: removal.notes
+  }], { session });
+};
+
+/**
+ * Removes one task assignment. Tasks already marked done cannot be removed.
+ *
+ * @param {{ clientId, employeeId, year, month, task }} match
+ * @param {{ removedBy, removerName, reason, notes }} removal
+ */
+const removeAssignment = async (match, removal) => {
+  return withTransaction(async (session) => {
+    const [assignment] = await findActive(match, session);
+
+    if (!assignment) {
+      throw new AssignmentError(`Task "${match.task}" assignment not found for specified employee`, "NOT_FOUND", 404);
+    }
+
+    if (assignment.accountingDone) {
+      throw new AssignmentError(`Cannot remove "${match.task}" assignment because it's already marked as DONE`, "ALREADY_DONE", 400);
+    }
+
+    await markRemoved(assignment, removal, session);
+    return assignment;
+  });
+};
+
+/**
+ * Removes every active assignment an employee holds for one month, done or
+ * not (used when the employee is deactivated).
+ */
+const removeEmployeeAssignments = async (employeeId, { year, month }, removal) => {
+  return withTransaction(async (session) => {
+    const assignments = await findActive({ employeeId, year, month }, session);
+
+    for (const assignment of assignments) {
+      await markRemoved(assignment, removal, session);
+    }
+
+    return assignments;
+  });
+};
+
+/**
+ * Marks an employee's task as done or pending.
+ */
+const setAccountingDone = async (match, accountingDone, doneBy) => {
+  return withTransaction(async (session) => {
+    const [assignment] = await findActive(match, session);
+
+    if (!assignment) {
+      throw new AssignmentError(
+        `Assignment not found for client ${match.clientId}, ${match.month}/${match.year}, task: ${match.task}`,
+        "NOT_FOUND",
+        404
+      );
+    }
+
+    const fields = {
+      accountingDone,
+      accountingDoneAt: new Date(),
+      accountingDoneBy: doneBy
+    };
+
+    await updateCopies(assignment, fields, session);
+
+    assignment.set(fields);
+    await assignment.save({ session });
+    return assignment;
+  });
+};
+
+module.exports = {
+  AssignmentError,
+  withTransaction,
+  assignmentKey,
+  toClientEntry,
+  toEmployeeEntry,
+  isAssigned,
+  assignTasks,
+  removeAssignment,
+  removeEmployeeAssignments,
+  setAccountingDone
+};
@@ -1,85 +1,100 @@
 // utils/backupCron.js
-const cron = require('node-cron');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 
 // Email function (reuse your existing sendEmail utility)
 const sendEmail = require('./sendEmail');
+const config = require('../config');
+const { defineJob } = require('./jobScheduler');
 
-// Schedule job to run on January 1st at 00:00 (midnight) Finland time
-function scheduleBackupJob() {
-    console.log("📅 Scheduling Annual Backup Cron Job...");
-    console.log("⏰ Will run on: January 1st at 00:00 Finland time");
-    console.log("📧 Email notifications: ONLY on FAILURE");
+// Runs scripts/backupAndDelete.js, which always archives and deletes the
+// year before last. Resolves with { success } instead of throwing so the
+// job run records the outcome.
+async function runAnnualBackup() {
+    const startTime = new Date();
+    console.log("=".repeat(60));
+    console.log(`🎉 ANNUAL BACKUP CRON JOB STARTED at: ${startTime.toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
+    console.log("=".repeat(60));
     
-    // Run on Jan 1st at midnight
-    cron.schedule('0 0 1 1 *', async () => {
-        const startTime = new Date();
-        console.log("=".repeat(60));
-        console.log(`🎉 ANNUAL BACKUP CRON JOB STARTED at: ${startTime.toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
-        console.log("=".repeat(60));
+    const scriptPath = path.join(__dirname, "..", "scripts", "backupAndDelete.js");
+    
+    // Check if script exists
+    if (!fs.existsSync(scriptPath)) {
+        const errorMsg = `Backup script not found at: ${scriptPath}`;
+        console.error(`❌ ${errorMsg}`);
         
-        const scriptPath = path.join(__dirname, "..", "scripts", "backupAndDelete.js");
+        // Send failure email
+        await sendFailureEmail({
+            error: errorMsg,
+            startTime: startTime,
+            stage: "Script Not Found"
+        });
+        return { success: false, error: errorMsg };
+    }
+    
+    // Execute the backup script
+    return new Promise((resolve) => exec(`node ${scriptPath}`, { timeout: 3600000 }, async (error, stdout, stderr) => {
+        const endTime = new Date();
         
-        // Check if script exists
-        if (!fs.existsSync(scriptPath)) {
-            const errorMsg = `Backup script not found at: ${scriptPath}`;
-            console.error(`❌ ${errorMsg}`);
+        if (error) {
+            // FAILURE - Send email
+            console.error(`❌ Backup Cron Error: ${error.message}`);
+            console.error(`Stderr: ${stderr}`);
             
-            // Send failure email
             await sendFailureEmail({
-                error: errorMsg,
+                error: error.message,
+                stderr: stderr,
+                stdout: stdout,
                 startTime: startTime,
-                stage: "Script Not Found"
+                endTime: endTime,
+                stage: "Script Execution Failed"
             });
-            return;
-        }
-        
-        // Execute the backup script
-        exec(`node ${scriptPath}`, { timeout: 3600000 }, async (error, stdout, stderr) => {
-            const endTime = new Date();
+            resolve({ success: false, error: error.message, stderr: stderr.slice(-2000) });
+        } else if (stderr && stderr.includes("ERROR")) {
+            // Partial failure - Send email
+            console.error(`⚠️ Backup Cron had warnings/errors: ${stderr}`);
             
-            if (error) {
-                // FAILURE - Send email
-                console.error(`❌ Backup Cron Error: ${error.message}`);
-                console.error(`Stderr: ${stderr}`);
-                
-                await sendFailureEmail({
-                    error: error.message,
-                    stderr: stderr,
-                    stdout: stdout,
-                    startTime: startTime,
-                    endTime: endTime,
-                    stage: "Script Execution Failed"
-                });
-            } else if (stderr && stderr.includes("ERROR")) {
-                // Partial failure - Send email
-                console.error(`⚠️ Backup Cron had warnings/errors: ${stderr}`);
-                
-                await sendFailureEmail({
-                    error: "Script completed with errors/warnings",
-                    stderr: stderr,
-                    stdout: stdout,
-                    startTime: startTime,
-                    endTime: endTime,
-                    stage: "Partial Failure"
-                });
-            } else {
-                // SUCCESS - No email (as requested)
-                console.log(`✅ Backup Cron Output: ${stdout}`);
-                console.log(`🎉 ANNUAL BACKUP COMPLETED SUCCESSFULLY at: ${endTime.toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
-                console.log("=".repeat(60));
-            }
-        });
-    }, {
-        timezone: "Europe/Helsinki"
-    });
-    
-    console.log("✅ Annual Backup Cron Job Scheduled Successfully!");
-    console.log("📧 Failure notifications will be sent to admin email");
+            await sendFailureEmail({
+                error: "Script completed with errors/warnings",
+                stderr: stderr,
+                stdout: stdout,
+                startTime: startTime,
+                endTime: endTime,
+                stage: "Partial Failure"
+            });
+            resolve({ success: false, error: "Script completed with errors/warnings", stderr: stderr.slice(-2000) });
+        } else {
+            // SUCCESS - No email (as requested)
+            console.log(`✅ Backup Cron Output: ${stdout}`);
+            console.log(`🎉 ANNUAL BACKUP COMPLETED SUCCESSFULLY at: ${endTime.toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
+            console.log("=".repeat(60));
+            resolve({ success: true, output: stdout.slice(-2000) });
+        }
+    }));
 }
 
+// Scheduled from config.cron.annualBackup (default: January 1st at 00:00
+// Finland time) through utils/jobScheduler.js. One run per archived year.
+// Email notifications: ONLY on FAILURE
+defineJob({
+    name: "annual-backup",
+    description: "Back up and delete data from the year before last",
+    schedule: config.cron.annualBackup,
+    period: "year",
+    periodFor: (occurrence) => ({ year: occurrence.year - 2 }),
+    validatePeriod: ({ year }) => {
+        const targetYear = new Date().getFullYear() - 2;
+        return year === targetYear
+            ? null
+            : `The backup script always archives the year before last (${targetYear})`;
+    },
+    catchUpDays: 7,
+    // exec timeout is one hour
+    lockMinutes: 90,
+    handler: () => runAnnualBackup()
+});
+
 // Function to send failure email
 async function sendFailureEmail(data) {
     try {
@@ -176,4 +191,4 @@ async function sendFailureEmail(data) {
     }
 }
 
-module.exports = { scheduleBackupJob };
\ No newline at end of file
+module.exports = { runAnnualBackup };
\ No newline at end of file
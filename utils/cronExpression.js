@@ -0,0 +1,186 @@
+// Minimal cron expression matching for the job scheduler's catch-up on
+// boot. node-cron only ever looks forward (getNextRun), so finding the
+// occurrences a stopped server missed needs its own matcher. Supports the
+// syntax node-cron accepts: optional seconds field (ignored), *, ?, lists,
+// ranges, steps and month/weekday names. As in standard cron, a day
+// matches when day-of-month OR day-of-week does if both are restricted
+// (neither is * or ?); node-cron requires both, so the scheduler hands it
+// nodeCronPattern() and filters with matchesAt().
+
+const MINUTE_MS = 60 * 1000;
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const WEEKDAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: "weekday", min: 0, max: 7, names: WEEKDAY_NAMES, nameOffset: 0 }
+];
+
+const parseValue = (raw, field) => {
+  const lower = raw.toLowerCase();
+  if (field.names) {
+    const index = field.names.findIndex(name => lower.startsWith(name));
+    if (index !== -1) return index + field.nameOffset;
+  }
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} value "${raw}"`);
+  }
+  return value;
+};
+
+const parseField = (raw, field) => {
+  const values = new Set();
+
+  raw.split(",").forEach(part => {
+    const [range, stepRaw] = part.split("/");
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*" && range !== "?") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, field);
+      // "5/10" means every 10th starting at 5
+      to = end !== undefined ? parseValue(end, field) : (stepRaw === undefined ? from : field.max);
+    }
+
+    for (let value = from; value <= to; value += step) values.add(value);
+  });
+
+  // Sunday can be written as 0 or 7
+  if (field.name === "weekday" && values.has(7)) values.add(0);
+  return values;
+};
+
+const isWildcard = (raw) => raw === "*" || raw === "?";
+
+/**
+ * Parses a cron expression into one Set of allowed values per field, and
+ * whether either day field may match (eitherDay).
+ */
+const parseExpression = (expression) => {
+  let parts = String(expression).trim().split(/\s+/);
+  if (parts.length === 6) parts = parts.slice(1);
+  if (parts.length !== 5) throw new Error(`Unsupported cron expression "${expression}"`);
+
+  const parsed = {};
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  parsed.eitherDay = !isWildcard(parts[2]) && !isWildcard(parts[4]);
+  return parsed;
+};
+
+/**
+ * The expression to give node-cron: with both day fields restricted they
+ * become *, so node-cron fires every day and matchesAt() picks the days.
+ */
+const nodeCronPattern = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  const offset = parts.length === 6 ? 1 : 0;
+  if (isWildcard(parts[offset + 2]) || isWildcard(parts[offset + 4])) return expression;
+
+  parts[offset + 2] = "*";
+  parts[offset + 4] = "*";
+  return parts.join(" ");
+};
+
+const formatters = new Map();
+
+/**
+ * Wall-clock date parts of an instant in the given time zone.
+ */
+const localParts = (date, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short"
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase())
+  };
+};
+
+const matchesDay = (parsed, local) => {
+  const day = parsed.day.has(local.day);
+  const weekday = parsed.weekday.has(local.weekday);
+  return parsed.eitherDay ? day || weekday : day && weekday;
+};
+
+const matchesHour = (parsed, local) => {
+  return parsed.hour.has(local.hour) &&
+    parsed.month.has(local.month) &&
+    matchesDay(parsed, local);
+};
+
+/**
+ * Whether the expression fires at the minute of `date` in the time zone.
+ */
+const matchesAt = (expression, date, timezone) => {
+  const parsed = parseExpression(expression);
+  const local = localParts(date, timezone);
+  return matchesHour(parsed, local) && parsed.minute.has(local.minute);
+};
+
+/**
+ * Occurrences of a cron expression between `since` (exclusive) and `until`
+ * (inclusive), newest first.
+ *
+ * @param {string} expression
+ * @param {{ since: Date, until?: Date, timezone: string }} options
+ * @returns {Date[]}
+ */
+const occurrencesBetween = (expression, { since, until = new Date(), timezone }) => {
+  const parsed = parseExpression(expression);
+  const occurrences = [];
+
+  let time = Math.floor(until.getTime() / MINUTE_MS) * MINUTE_MS;
+  while (time > since.getTime()) {
+    const date = new Date(time);
+    const local = localParts(date, timezone);
+
+    if (!matchesHour(parsed, local)) {
+      // Nothing in this hour can match, continue from its previous minute
+      time -= (local.minute + 1) * MINUTE_MS;
+      continue;
+    }
+
+    if (parsed.minute.has(local.minute)) occurrences.push(date);
+    time -= MINUTE_MS;
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  parseExpression,
+  nodeCronPattern,
+  localParts,
+  matchesAt,
+  occurrencesBetween
+};
@@ -0,0 +1,86 @@
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { legacyDocumentsOf, categoriesOf } = require("./legacyDocuments");
+
+// What a client still has to do for a month's documents: every category
+// must have files and be locked (submitted). sales, purchase and bank are
+// always required; "other" categories are required once they exist on the
+// month. A locked month is complete, an inactive month needs nothing.
+
+const REQUIRED_CATEGORIES = ["sales", "purchase", "bank"];
+
+const CATEGORY_LABELS = {
+  sales: "Sales",
+  purchase: "Purchase",
+  bank: "Bank"
+};
+
+const labelOf = (category) => {
+  return category.startsWith("other:") ? category.slice("other:".length) : CATEGORY_LABELS[category] || category;
+};
+
+const hasFiles = (category) => (category?.files || []).some(file => file.url && file.fileName);
+
+/**
+ * Categories of one month that are empty or uploaded but not locked yet.
+ *
+ * @returns {{ category: string, label: string, status: "EMPTY"|"UNLOCKED" }[]}
+ */
+const missingCategoriesOf = (monthData) => {
+  const present = categoriesOf(monthData);
+  const categories = {};
+  REQUIRED_CATEGORIES.forEach(name => {
+    categories[name] = present[name] || {};
+  });
+  Object.assign(categories, present);
+
+  const missing = [];
+  Object.entries(categories).forEach(([category, data]) => {
+    if (!hasFiles(data)) {
+      missing.push({ category, label: labelOf(category), status: "EMPTY" });
+    } else if (data.isLocked !== true) {
+      missing.push({ category, label: labelOf(category), status: "UNLOCKED" });
+    }
+  });
+
+  return missing;
+};
+
+/**
+ * Document status of one month for each client, from ClientMonthlyData
+ * with the legacy Client.documents month as fallback.
+ *
+ * @param {object[]} clients  Client documents (with documents loaded for the legacy fallback)
+ * @param {{ year: number, month: number }} period
+ * @returns {Promise<Map<string, { inactive: boolean, complete: boolean, missing: object[] }>>} keyed by clientId
+ */
+const documentStatusByClient = async (clients, { year, month }) => {
+  const records = await ClientMonthlyData.find(
+    { clientId: { $in: clients.map(c => c.clientId) } },
+    { clientId: 1, months: { $elemMatch: { year, month } } }
+  ).lean();
+  const monthByClient = new Map(records.map(record => [record.clientId, record.months?.[0]]));
+
+  const result = new Map();
+
+  for (const client of clients) {
+    const monthData = monthByClient.get(client.clientId) ||
+      legacyDocumentsOf(client)[String(year)]?.[String(month)] ||
+      null;
+
+    if (monthData?.monthActiveStatus === "inactive") {
+      result.set(client.clientId, { inactive: true, complete: false, missing: [] });
+      continue;
+    }
+
+    const missing = monthData?.isLocked === true ? [] : missingCategoriesOf(monthData);
+    result.set(client.clientId, { inactive: false, complete: missing.length === 0, missing });
+  }
+
+  return result;
+};
+
+module.exports = {
+  REQUIRED_CATEGORIES,
+  missingCategoriesOf,
+  documentStatusByClient
+};
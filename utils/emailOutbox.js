@@ -0,0 +1,287 @@
+const os = require("os");
+const mongoose = require("mongoose");
+const nodemailer = require("nodemailer");
+
+const EmailOutbox = require("../models/EmailOutbox");
+const config = require("../config");
+const { logToConsole } = require("./logger");
+
+// Durable outgoing mail. enqueueEmail() stores the email in EmailOutbox and
+// the worker started by index.js (startEmailWorker) sends it. Failed
+// attempts are retried with exponential backoff; sending is rate-limited
+// across all instances by counting what was sent in the last minute.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const MINUTE_MS = 60 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * MINUTE_MS;
+// A worker that claimed an email and died releases it after this long.
+// While a send is in progress the lock is extended every
+// SEND_LOCK_HEARTBEAT_MS, however long the SMTP server takes.
+const SEND_LOCK_MS = 2 * MINUTE_MS;
+const SEND_LOCK_HEARTBEAT_MS = 30 * 1000;
+const POLL_MS = 5 * 1000;
+
+let transporter;
+const getTransporter = () => {
+  if (!transporter) {
+    const { host, port, secure, user, pass } = config.email.smtp;
+    transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      // Local SMTP stand-ins (MailHog, smtp4dev) take mail without auth
+      auth: user ? { user, pass } : undefined
+    });
+  }
+  return transporter;
+};
+
+const defaultFrom = () => config.email.from || `"Accounting Portal" <${config.email.smtp.user}>`;
+
+// 30s, 1m, 2m, 4m ... capped at one hour
+const backoffMs = (attempt) => Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+
+/* ===============================
+   QUEUEING
+================================ */
+let workerStarted = false;
+
+const kickWorker = () => {
+  if (workerStarted) setImmediate(() => processOutbox());
+};
+
+/**
+ * Queues an email. With an idempotencyKey the email is queued only once:
+ * later calls with the same key return the existing entry.
+ *
+ * @returns {Promise<object>} the EmailOutbox entry
+ */
+const enqueueEmail = async ({ to, subject, html, text, attachments = [], from, category, unsubscribeUrl, idempotencyKey, resendOf, requestedBy }) => {
+  if (!to) throw new Error("Email recipient is required");
+
+  if (idempotencyKey) {
+    const existing = await EmailOutbox.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  let entry;
+  try {
+    entry = await EmailOutbox.create({
+      to: Array.isArray(to) ? to.join(", ") : to,
+      from: from || defaultFrom(),
+      subject,
+      html,
+      text,
+      attachments,
+      category,
+      unsubscribeUrl,
+      idempotencyKey,
+      resendOf,
+      requestedBy,
+      maxAttempts: config.email.maxAttempts,
+      log: [{ event: resendOf ? "RESENT" : "QUEUED", instanceId: INSTANCE_ID }]
+    });
+  } catch (error) {
+    // Queued by someone else at the same moment
+    if (error.code === 11000 && idempotencyKey) {
+      return EmailOutbox.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+
+  kickWorker();
+  return entry;
+};
+
+/**
+ * Queues a copy of an earlier email (any status) as a new outbox entry.
+ */
+const resendEmail = async (outboxId, requestedBy) => {
+  const original = await EmailOutbox.findOne({ outboxId });
+  if (!original) return null;
+
+  const copy = await enqueueEmail({
+    to: original.to,
+    from: original.from,
+    subject: original.subject,
+    html: original.html,
+    text: original.text,
+    attachments: original.attachments,
+    category: original.category,
+    unsubscribeUrl: original.unsubscribeUrl,
+    resendOf: original.outboxId,
+    requestedBy
+  });
+
+  await EmailOutbox.updateOne(
+    { outboxId },
+    { $push: { log: { event: "RESENT", instanceId: INSTANCE_ID, message: `Resent as ${copy.outboxId}` } } }
+  );
+
+  return copy;
+};
+
+/* ===============================
+   WORKER
+================================ */
+const claimNext = () => {
+  const now = new Date();
+  return EmailOutbox.findOneAndUpdate(
+    {
+      $or: [
+        { status: "QUEUED", nextAttemptAt: { $lte: now } },
+        { status: "SENDING", lockedUntil: { $lt: now } }
+      ]
+    },
+    { $set: { status: "SENDING", lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + SEND_LOCK_MS) } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+// Only the worker holding the claim may extend or settle it
+const heldByUs = (entry) => ({ outboxId: entry.outboxId, status: "SENDING", lockedBy: INSTANCE_ID });
+
+const extendLock = (entry) => EmailOutbox.updateOne(
+  heldByUs(entry),
+  { $set: { lockedUntil: new Date(Date.now() + SEND_LOCK_MS) } }
+).catch(error => {
+  logToConsole("WARN", "EMAIL_LOCK_EXTEND_FAILED", { outboxId: entry.outboxId, error: error.message });
+});
+
+const deliver = async (entry) => {
+  const attempt = entry.attempts + 1;
+  const heartbeat = setInterval(() => extendLock(entry), SEND_LOCK_HEARTBEAT_MS);
+
+  let info;
+  let sendError;
+  try {
+    info = await getTransporter().sendMail({
+      from: entry.from,
+      to: entry.to,
+      subject: entry.subject,
+      html: entry.html,
+      text: entry.text,
+      attachments: entry.attachments.map(a => ({ filename: a.filename, content: a.content, contentType: a.contentType })),
+      // RFC 8058 one-click unsubscribe for mail clients that offer it
+      headers: entry.unsubscribeUrl
+        ? { "List-Unsubscribe": `<${entry.unsubscribeUrl}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" }
+        : undefined
+    });
+  } catch (error) {
+    sendError = error;
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  if (!sendError) {
+    const result = await EmailOutbox.updateOne(
+      heldByUs(entry),
+      {
+        $set: { status: "SENT", attempts: attempt, sentAt: new Date(), messageId: info.messageId },
+        $unset: { lockedBy: "", lockedUntil: "" },
+        $push: { log: { event: "SENT", attempt, instanceId: INSTANCE_ID, message: info.response } }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      // The lock ran out (e.g. the database was unreachable for the
+      // heartbeat) and another worker owns the email now
+      logToConsole("WARN", "EMAIL_SENT_AFTER_LOCK_LOST", { outboxId: entry.outboxId, to: entry.to, attempt });
+      return;
+    }
+
+    logToConsole("INFO", "EMAIL_SENT", { outboxId: entry.outboxId, to: entry.to, subject: entry.subject, attempt });
+    return;
+  }
+
+  const giveUp = attempt >= entry.maxAttempts;
+
+  const result = await EmailOutbox.updateOne(
+    heldByUs(entry),
+    {
+      $set: {
+        status: giveUp ? "FAILED" : "QUEUED",
+        attempts: attempt,
+        lastError: sendError.message,
+        nextAttemptAt: new Date(Date.now() + backoffMs(attempt))
+      },
+      $unset: { lockedBy: "", lockedUntil: "" },
+      $push: { log: { event: giveUp ? "FAILED" : "RETRY", attempt, instanceId: INSTANCE_ID, message: sendError.message } }
+    }
+  );
+  if (result.modifiedCount === 0) return;
+
+  logToConsole(giveUp ? "ERROR" : "WARN", giveUp ? "EMAIL_FAILED" : "EMAIL_RETRY_SCHEDULED", {
+    outboxId: entry.outboxId,
+    to: entry.to,
+    attempt,
+    maxAttempts: entry.maxAttempts,
+    error: sendError.message
+  });
+};
+
+let processing = false;
+
+/**
+ * Sends due emails until the outbox is empty or the per-minute limit is
+ * reached. Only one pass runs at a time per process.
+ *
+ * @returns {Promise<number>} emails attempted
+ */
+const processOutbox = async () => {
+  // Emails stay queued while the database is unreachable
+  if (processing || mongoose.connection.readyState !== 1) return 0;
+  processing = true;
+
+  let attempted = 0;
+  try {
+    while (true) {
+      const sentLastMinute = await EmailOutbox.countDocuments({ sentAt: { $gt: new Date(Date.now() - MINUTE_MS) } });
+      if (sentLastMinute >= config.email.ratePerMinute) break;
+
+      const entry = await claimNext();
+      if (!entry) break;
+
+      await deliver(entry);
+      attempted++;
+    }
+  } catch (error) {
+    logToConsole("ERROR", "EMAIL_OUTBOX_PASS_FAILED", { error: error.message });
+  } finally {
+    processing = false;
+  }
+
+  return attempted;
+};
+
+/**
+ * Polls the outbox every few seconds and right after each enqueueEmail().
+ *
+ * @returns {Function} stops the worker
+ */
+const startEmailWorker = () => {
+  workerStarted = true;
+  const timer = setInterval(() => processOutbox(), POLL_MS);
+
+  logToConsole("INFO", "EMAIL_WORKER_STARTED", {
+    smtp: `${config.email.smtp.host}:${config.email.smtp.port}`,
+    ratePerMinute: config.email.ratePerMinute,
+    maxAttempts: config.email.maxAttempts
+  });
+
+  kickWorker();
+
+  return () => {
+    clearInterval(timer);
+    workerStarted = false;
+  };
+};
+
+module.exports = {
+  enqueueEmail,
+  resendEmail,
+  processOutbox,
+  startEmailWorker
+};
@@ -0,0 +1,109 @@
+const crypto = require("crypto");
+
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+
+// SHA-256 content hashes of uploaded files (file.fileHash). Uploads use
+// them to spot a receipt the client already uploaded, in any month or
+// category (the new file gets duplicateOf, the client a warning), and the
+// employee viewed/audited marks store the hash they were made on, so a
+// mark on content that has since changed can be told apart.
+//
+// Files uploaded before hashes existed have none and never match.
+
+const MAIN_CATEGORIES = ["sales", "purchase", "bank"];
+
+const hashOf = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// Every category of a month with where it sits
+const categoriesOf = (monthData) => {
+  const categories = MAIN_CATEGORIES.map(categoryType => ({ categoryType, document: monthData?.[categoryType] }));
+  (monthData?.other || []).forEach(other => categories.push({
+    categoryType: "other",
+    categoryName: other.categoryName,
+    document: other.document
+  }));
+  return categories.filter(category => category.document);
+};
+
+/**
+ * For each upload, the file with the same content the client already has,
+ * or null. Looks at the current version of every file in every month, and
+ * at the uploads before it in the same batch.
+ *
+ * @param {Array<{ fileName, fileHash }>} uploads
+ * @param {{ year, month, monthData, excludeUrl }} target - monthData is the
+ *   month being uploaded to as loaded by the route (it may not be saved
+ *   yet); excludeUrl is a file the upload replaces, which never matches
+ * @returns {Promise<Array<{ year, month, categoryType, categoryName, fileName, url } | null>>}
+ */
+const findDuplicates = async (clientId, uploads, { year, month, monthData, excludeUrl }) => {
+  const doc = await ClientMonthlyData.findOne({ clientId }).lean();
+  const months = (doc?.months || []).filter(m => !(m.year === parseInt(year) && m.month === parseInt(month)));
+  months.push({ ...(monthData.toObject ? monthData.toObject() : monthData), year: parseInt(year), month: parseInt(month) });
+
+  const known = new Map();
+  months.forEach(m => categoriesOf(m).forEach(({ categoryType, categoryName, document }) => {
+    (document.files || []).forEach(file => {
+      if (file.fileHash && file.url !== excludeUrl && !known.has(file.fileHash)) {
+        known.set(file.fileHash, { year: m.year, month: m.month, categoryType, categoryName, fileName: file.fileName, url: file.url });
+      }
+    });
+  }));
+
+  return uploads.map(upload => {
+    const duplicate = known.get(upload.fileHash) || null;
+    if (!duplicate) {
+      known.set(upload.fileHash, {
+        year: parseInt(year), month: parseInt(month), categoryType: upload.categoryType, categoryName: upload.categoryName,
+        fileName: upload.fileName, url: upload.url
+      });
+    }
+    return duplicate;
+  });
+};
+
+/**
+ * A file of a month by the url of its current version, or null (also for
+ * months only in the legacy Client.documents).
+ */
+const findMonthFile = async (clientId, { year, month, categoryType, categoryName, fileUrl }) => {
+  const doc = await ClientMonthlyData.findOne({ clientId }).lean();
+  const monthData = doc?.months.find(m => m.year === parseInt(year) && m.month === parseInt(month));
+  const category = categoriesOf(monthData).find(c =>
+    c.categoryType === categoryType && (categoryType !== "other" || c.categoryName === categoryName));
+  return category?.document.files?.find(f => f.url === fileUrl) || null;
+};
+
+/**
+ * Whether a viewed/audited mark was made on other content than the file
+ * has now: the mark on this url has another hash, or only an earlier
+ * version of the file was marked.
+ *
+ * @param {object[]} records - the employee's viewed or audited file entries
+ * @param {object|null} file - the file, from findMonthFile
+ * @returns {{ contentChanged: boolean, markedVersion: number|null, markedRecord: object|null }}
+ */
+const contentChangeOf = (records, file, { clientId, fileUrl }) => {
+  const ofClient = records.filter(r => r.clientId === clientId);
+  const current = ofClient.find(r => r.fileUrl === fileUrl);
+  if (current) {
+    const changed = Boolean(current.fileHash && file?.fileHash && current.fileHash !== file.fileHash);
+    return { contentChanged: changed, markedVersion: file ? file.version || 1 : null, markedRecord: current };
+  }
+
+  // Newest earlier version that was marked
+  const previous = [...(file?.previousVersions || [])].reverse()
+    .map(version => ({ version, record: ofClient.find(r => r.fileUrl === version.url) }))
+    .find(entry => entry.record);
+  if (!previous) return { contentChanged: false, markedVersion: null, markedRecord: null };
+
+  const sameContent = Boolean(previous.version.fileHash && previous.version.fileHash === file.fileHash);
+  return { contentChanged: !sameContent, markedVersion: previous.version.version, markedRecord: previous.record };
+};
+
+module.exports = {
+  hashOf,
+  findDuplicates,
+  findMonthFile,
+  contentChangeOf
+};
@@ -0,0 +1,332 @@
+const mongoose = require("mongoose");
+
+const ActivityLog = require("../models/ActivityLog");
+const Client = require("../models/Client");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const DeletedFile = require("../models/DeletedFile");
+const config = require("../config");
+const { defineJob } = require("./jobScheduler");
+const { localParts } = require("./cronExpression");
+const { legacyDocumentsOf } = require("./legacyDocuments");
+const { notifyClient, notifyStaffAboutClient } = require("./notifications");
+const storage = require("./storage");
+const { logToConsole } = require("./logger");
+
+// Trash for deleted client files. Deleting a file (routes/clientUpload.js)
+// writes a DeletedFile record and leaves the stored objects in place; for
+// config.trash.retentionDays the file can be restored into its month and
+// category by an admin, or by the client while the month is unlocked.
+// After that the "trash-purge" job deletes its stored objects (every version)
+// and marks the record purged. Restores and purges are logged in
+// ActivityLog.
+//
+// Restores write to ClientMonthlyData only; a month still in the legacy
+// Client.documents has to be migrated first.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "TrashError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/* ===============================
+   HELPERS
+================================ */
+
+// actor: { type: "client"|"admin", id, name }
+const ACTOR_ROLES = { client: "CLIENT", admin: "ADMIN" };
+
+const retentionCutoff = (now = new Date()) => new Date(now.getTime() - config.trash.retentionDays * DAY_MS);
+
+const purgeDateOf = (deletedFile) => new Date(new Date(deletedFile.deletedAt).getTime() + config.trash.retentionDays * DAY_MS);
+
+/**
+ * What DeletedFile.fileData stores: the file as it was listed, with its
+ * notes and earlier versions.
+ */
+const snapshotOf = (file) => (file && typeof file.toObject === "function" ? file.toObject() : { ...file });
+
+// Every stored url of a trashed file: the file and its earlier versions
+const urlsOf = (deletedFile) => {
+  const urls = [deletedFile.fileUrl, ...(deletedFile.fileData?.previousVersions || []).map(v => v.url)];
+  return [...new Set(urls.filter(Boolean))];
+};
+
+// Every url still listed in a month, current and earlier versions
+const listedUrlsOf = (monthData) => {
+  const urls = new Set();
+  const documents = ["sales", "purchase", "bank"].map(type => monthData?.[type]);
+  (monthData?.other || []).forEach(other => documents.push(other.document));
+  documents.forEach(document => (document?.files || []).forEach(file => {
+    urls.add(file.url);
+    (file.previousVersions || []).forEach(previous => urls.add(previous.url));
+  }));
+  return urls;
+};
+
+const presentDeletedFile = (deletedFile) => ({
+  deletedFileId: String(deletedFile._id),
+  fileName: deletedFile.fileName,
+  fileUrl: deletedFile.fileUrl,
+  fileSize: deletedFile.fileSize,
+  fileType: deletedFile.fileType,
+  year: deletedFile.year,
+  month: deletedFile.month,
+  categoryType: deletedFile.categoryType,
+  categoryName: deletedFile.categoryName,
+  uploadedBy: deletedFile.uploadedBy,
+  uploadedAt: deletedFile.uploadedAt,
+  deletedBy: deletedFile.deletedBy,
+  deletedAt: deletedFile.deletedAt,
+  deleteNote: deletedFile.deleteNote,
+  wasReplaced: deletedFile.wasReplaced,
+  replacedByFile: deletedFile.replacedByFile,
+  versions: (deletedFile.fileData?.previousVersions?.length || 0) + 1,
+  purgesAt: purgeDateOf(deletedFile)
+});
+
+// The category of a month to restore into, created if it no longer exists
+const categoryFor = (monthData, categoryType, categoryName) => {
+  if (categoryType === "other") {
+    let other = (monthData.other || []).find(x => x.categoryName === categoryName);
+    if (!other) {
+      monthData.other.push({
+        categoryName,
+        document: { files: [], categoryNotes: [], isLocked: false, wasLockedOnce: false }
+      });
+      other = monthData.other[monthData.other.length - 1];
+    }
+    return other.document;
+  }
+  if (!["sales", "purchase", "bank"].includes(categoryType)) {
+    throw new TrashError("INVALID_CATEGORY", `Unknown category '${categoryType}'`, 422);
+  }
+  if (!monthData[categoryType]) {
+    monthData[categoryType] = { files: [], categoryNotes: [], isLocked: false, wasLockedOnce: false };
+  }
+  return monthData[categoryType];
+};
+
+const loadMonth = async (deletedFile) => {
+  const doc = await ClientMonthlyData.findOne({ clientId: deletedFile.clientId });
+  const monthData = doc?.months.find(m => m.year === deletedFile.year && m.month === deletedFile.month);
+  if (monthData) return { doc, monthData };
+
+  const client = await Client.findOne({ clientId: deletedFile.clientId });
+  if (legacyDocumentsOf(client)[String(deletedFile.year)]?.[String(deletedFile.month)]) {
+    throw new TrashError("MONTH_NOT_MIGRATED", `${deletedFile.month}/${deletedFile.year} has not been migrated yet (scripts/migrateLegacyDocuments.js)`, 409);
+  }
+  throw new TrashError("MONTH_NOT_FOUND", `No data found for ${deletedFile.month}/${deletedFile.year}`, 404);
+};
+
+/* ===============================
+   OPERATIONS
+================================ */
+
+/**
+ * Files of a client that are in the trash (not restored or purged yet),
+ * newest first.
+ */
+const listTrash = async (clientId, { year, month } = {}) => {
+  const query = { clientId, restoredAt: null, purgedAt: null };
+  if (year) query.year = parseInt(year);
+  if (month) query.month = parseInt(month);
+
+  const deletedFiles = await DeletedFile.find(query).sort({ deletedAt: -1 }).limit(50);
+  return deletedFiles.map(presentDeletedFile);
+};
+
+/**
+ * Puts a deleted file back into its year/month/category, with the notes
+ * and versions it had.
+ *
+ * @param {{ type: "client"|"admin", id: string, name: string }} actor
+ * @param {string} [clientId] - for admins: the client the file must belong to
+ */
+const restoreDeletedFile = async (deletedFileId, actor, clientId) => {
+  const ownerId = actor.type === "client" ? actor.id : clientId;
+  if (!mongoose.isValidObjectId(deletedFileId)) {
+    throw new TrashError("NOT_FOUND", "Deleted file not found", 404);
+  }
+
+  const deletedFile = await DeletedFile.findOne({ _id: deletedFileId, clientId: ownerId });
+  if (!deletedFile) {
+    throw new TrashError("NOT_FOUND", "Deleted file not found", 404);
+  }
+  if (deletedFile.restoredAt) {
+    throw new TrashError("ALREADY_RESTORED", `${deletedFile.fileName} was already restored`, 409);
+  }
+  if (deletedFile.purgedAt) {
+    throw new TrashError("PURGED", `${deletedFile.fileName} was purged from the trash`, 410);
+  }
+
+  const { doc, monthData } = await loadMonth(deletedFile);
+  const { categoryType, categoryName, fileName } = deletedFile;
+
+  if (actor.type === "client") {
+    if (monthData.monthActiveStatus === "inactive") {
+      throw new TrashError("MONTH_INACTIVE", `Month ${deletedFile.month}/${deletedFile.year} was inactive`, 403);
+    }
+    const current = categoryType === "other"
+      ? monthData.other?.find(x => x.categoryName === categoryName)?.document
+      : monthData[categoryType];
+    if (monthData.isLocked || current?.isLocked) {
+      throw new TrashError("MONTH_LOCKED", "Month or category is locked", 403);
+    }
+  }
+
+  const category = categoryFor(monthData, categoryType, categoryName);
+  if ((category.files || []).some(f => f.fileName === fileName)) {
+    throw new TrashError("FILE_NAME_TAKEN", `The category already has a file named ${fileName}`, 409);
+  }
+
+  // Claim the record first, so two restores cannot both put the file back
+  const restoredAt = new Date();
+  const claimed = await DeletedFile.findOneAndUpdate(
+    { _id: deletedFile._id, restoredAt: null, purgedAt: null },
+    { $set: { restoredAt, restoredBy: actor.id, restoredByType: actor.type } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new TrashError("ALREADY_RESTORED", `${fileName} was restored or purged meanwhile`, 409);
+  }
+
+  const file = deletedFile.fileData || {
+    url: deletedFile.fileUrl,
+    uploadedAt: deletedFile.uploadedAt,
+    uploadedBy: deletedFile.uploadedBy,
+    fileName,
+    fileSize: deletedFile.fileSize,
+    fileType: deletedFile.fileType,
+    notes: []
+  };
+  category.files.push(file);
+  category.categoryNotes.push({
+    note: `File restored: ${fileName}`,
+    addedBy: actor.id,
+    authorType: actor.type,
+    authorId: actor.id,
+    addedAt: restoredAt
+  });
+
+  try {
+    await doc.save();
+  } catch (error) {
+    await DeletedFile.updateOne({ _id: deletedFile._id }, { $unset: { restoredAt: "", restoredBy: "", restoredByType: "" } });
+    throw error;
+  }
+
+  const place = `${categoryName || categoryType} (${deletedFile.month}/${deletedFile.year})`;
+  try {
+    await ActivityLog.create({
+      userName: actor.name || actor.id,
+      role: ACTOR_ROLES[actor.type],
+      adminId: actor.type === "admin" ? actor.id : undefined,
+      clientId: deletedFile.clientId,
+      action: "FILE_RESTORED",
+      details: `Restored ${fileName} to ${place} from the trash`,
+      dateTime: restoredAt
+    });
+  } catch (error) {
+    logToConsole("ERROR", "FILE_RESTORE_ACTIVITY_LOG_FAILED", { deletedFileId, error: error.message });
+  }
+
+  const notification = {
+    type: "FILE_UPLOADED",
+    title: `${actor.name || actor.id} restored ${fileName} to ${place}`,
+    data: { year: deletedFile.year, month: deletedFile.month, categoryType, categoryName, fileName },
+    actor: { type: ACTOR_ROLES[actor.type], id: actor.id, name: actor.name }
+  };
+  if (actor.type === "client") {
+    await notifyStaffAboutClient({ clientId: deletedFile.clientId, year: deletedFile.year, month: deletedFile.month }, notification);
+  } else {
+    await notifyClient(deletedFile.clientId, notification);
+  }
+
+  logToConsole("SUCCESS", "FILE_RESTORED", { deletedFileId, clientId: deletedFile.clientId, fileName, by: `${actor.type}:${actor.id}` });
+  return { deletedFile: presentDeletedFile(claimed), monthData };
+};
+
+/**
+ * Deletes the stored objects of every trashed file older than the retention
+ * period and marks its record purged. Objects that are listed in the month
+ * again (e.g. the same url restored as a version) are kept. A record whose
+ * objects could not be deleted stays in the trash for the next run.
+ */
+const purgeExpiredFiles = async (now = new Date()) => {
+  const stats = { purged: 0, objectsDeleted: 0, objectsKept: 0, failed: 0 };
+  const cursor = DeletedFile.find({ deletedAt: { $lte: retentionCutoff(now) }, restoredAt: null, purgedAt: null }).cursor();
+
+  for await (const deletedFile of cursor) {
+    const claimed = await DeletedFile.findOneAndUpdate(
+      { _id: deletedFile._id, restoredAt: null, purgedAt: null },
+      { $set: { purgedAt: new Date() } }
+    );
+    if (!claimed) continue;
+
+    try {
+      const doc = await ClientMonthlyData.findOne({ clientId: deletedFile.clientId }).lean();
+      const monthData = doc?.months.find(m => m.year === deletedFile.year && m.month === deletedFile.month);
+      const listed = listedUrlsOf(monthData);
+
+      for (const url of urlsOf(deletedFile)) {
+        const key = storage.keyOf(url);
+        if (!key || listed.has(url)) {
+          stats.objectsKept++;
+          continue;
+        }
+        await storage.deleteObject(key);
+        stats.objectsDeleted++;
+      }
+    } catch (error) {
+      stats.failed++;
+      await DeletedFile.updateOne({ _id: deletedFile._id }, { $unset: { purgedAt: "" } });
+      logToConsole("ERROR", "TRASH_PURGE_FILE_FAILED", { deletedFileId: String(deletedFile._id), clientId: deletedFile.clientId, error: error.message });
+      continue;
+    }
+
+    stats.purged++;
+    await ActivityLog.create({
+      userName: "SYSTEM",
+      role: "SYSTEM",
+      clientId: deletedFile.clientId,
+      action: "FILE_PURGED",
+      details: `Purged ${deletedFile.fileName} (${deletedFile.categoryName || deletedFile.categoryType}, ${deletedFile.month}/${deletedFile.year}) from the trash, deleted ${deletedFile.deletedAt.toISOString()}`,
+      dateTime: new Date()
+    }).catch(error => logToConsole("ERROR", "TRASH_PURGE_ACTIVITY_LOG_FAILED", { deletedFileId: String(deletedFile._id), error: error.message }));
+  }
+
+  logToConsole(stats.failed ? "WARN" : "INFO", "TRASH_PURGE_FINISHED", { retentionDays: config.trash.retentionDays, ...stats });
+  return { success: stats.failed === 0, ...stats, error: stats.failed ? `${stats.failed} file(s) could not be purged` : undefined };
+};
+
+/* ===============================
+   JOB
+================================ */
+defineJob({
+  name: "trash-purge",
+  description: "Delete files from storage that have been in the trash longer than the retention period",
+  schedule: config.cron.trashPurge,
+  // Purges whatever has expired when it runs, so only the current month makes sense
+  validatePeriod: ({ year, month }) => {
+    const now = localParts(new Date(), config.timezone);
+    return year === now.year && month === now.month
+      ? null
+      : "The trash purge can only run for the current month";
+  },
+  catchUpDays: 7,
+  handler: () => purgeExpiredFiles()
+});
+
+module.exports = {
+  TrashError,
+  snapshotOf,
+  listTrash,
+  restoreDeletedFile,
+  purgeExpiredFiles
+};
@@ -0,0 +1,176 @@
+// Versions of an uploaded file. Replacing a file does not delete it: the
+// new upload becomes the current version (the file entry in the category)
+// and the one it replaces moves to file.previousVersions, together with
+// the notes written on it. Earlier versions stay in storage, so they can be
+// compared and restored. Used by routes/clientUpload.js.
+
+const VERSION_FIELDS = ["url", "uploadedAt", "uploadedBy", "fileName", "fileSize", "fileType", "fileHash"];
+
+class FileVersionError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "FileVersionError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/* ===============================
+   HELPERS
+================================ */
+
+const plain = (value) => (value && typeof value.toObject === "function" ? value.toObject() : value);
+
+const versionOf = (entry) => entry.version || 1;
+
+const timeOf = (value) => (value ? new Date(value).getTime() : null);
+
+const describeVersion = (entry, isCurrent) => ({
+  version: versionOf(entry),
+  isCurrent,
+  fileName: entry.fileName,
+  fileSize: entry.fileSize,
+  fileType: entry.fileType,
+  fileHash: entry.fileHash || null,
+  url: entry.url,
+  uploadedAt: entry.uploadedAt,
+  uploadedBy: entry.uploadedBy,
+  restoredFromVersion: entry.restoredFromVersion || null,
+  notesCount: (entry.notes || []).filter(note => !note.isDeleted).length,
+  replacedAt: entry.replacedAt || null,
+  replacedBy: entry.replacedBy || null,
+  replaceNote: entry.replaceNote || null
+});
+
+/**
+ * The category document of a month: sales, purchase, bank or the "other"
+ * category called categoryName.
+ */
+const categoryOf = (monthData, type, categoryName) =>
+  type === "other" ? monthData.other?.find(x => x.categoryName === categoryName)?.document : monthData[type];
+
+/**
+ * A file of a category by the name of its current version.
+ */
+const findFile = (monthData, type, categoryName, fileName) => {
+  const file = categoryOf(monthData, type, categoryName)?.files?.find(f => f.fileName === fileName);
+  if (!file) {
+    throw new FileVersionError("FILE_NOT_FOUND", `File '${fileName}' not found`, 404);
+  }
+  return file;
+};
+
+/**
+ * One version of a file: the file itself for the current version, else
+ * the entry in previousVersions.
+ */
+const getVersion = (file, version) => {
+  const number = parseInt(version);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new FileVersionError("INVALID_VERSION", "version must be a positive number");
+  }
+  if (number === versionOf(file)) return file;
+
+  const previous = (file.previousVersions || []).find(v => v.version === number);
+  if (!previous) {
+    throw new FileVersionError("VERSION_NOT_FOUND", `Version ${number} of '${file.fileName}' not found`, 404);
+  }
+  return previous;
+};
+
+/* ===============================
+   OPERATIONS
+================================ */
+
+/**
+ * Makes upload the new current version of file, in place. The current
+ * version and its notes move to previousVersions; the new version starts
+ * without notes.
+ *
+ * @param {{ url, uploadedAt, uploadedBy, fileName, fileSize, fileType, fileHash?, duplicateOf?, restoredFromVersion? }} upload
+ * @param {{ replacedBy: string, replaceNote?: string }} replacement
+ */
+const addVersion = (file, upload, { replacedBy, replaceNote } = {}) => {
+  const current = plain(file);
+  const previous = {
+    version: versionOf(current),
+    restoredFromVersion: current.restoredFromVersion,
+    notes: current.notes || [],
+    replacedAt: new Date(),
+    replacedBy,
+    replaceNote
+  };
+  VERSION_FIELDS.forEach(field => { previous[field] = current[field]; });
+
+  file.previousVersions = [...(current.previousVersions || []), previous];
+  VERSION_FIELDS.forEach(field => { file[field] = upload[field]; });
+  file.version = previous.version + 1;
+  file.restoredFromVersion = upload.restoredFromVersion;
+  file.duplicateOf = upload.duplicateOf;
+  file.notes = [];
+  return file;
+};
+
+/**
+ * All versions of a file, newest first.
+ */
+const listVersions = (file) => [
+  describeVersion(file, true),
+  ...[...(file.previousVersions || [])].reverse().map(previous => describeVersion(previous, false))
+];
+
+/**
+ * The metadata that differs between two versions of a file.
+ *
+ * @returns {{ from, to, changes: Array<{ field, from, to }> }}
+ */
+const diffVersions = (file, fromVersion, toVersion) => {
+  const from = getVersion(file, fromVersion);
+  const to = getVersion(file, toVersion);
+
+  const changes = VERSION_FIELDS
+    .filter(field => (field === "uploadedAt" ? timeOf(from[field]) !== timeOf(to[field]) : from[field] !== to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+  return {
+    from: describeVersion(from, from === file),
+    to: describeVersion(to, to === file),
+    changes
+  };
+};
+
+/**
+ * Makes an earlier version current again, as a new version: history is
+ * never rewritten, and the notes of the restored version stay with it.
+ *
+ * @returns {number} the version number the restored file now has
+ */
+const restoreVersion = (file, version, { restoredBy, note } = {}) => {
+  const target = getVersion(file, version);
+  if (target === file) {
+    throw new FileVersionError("VERSION_IS_CURRENT", `Version ${versionOf(file)} is already the current version`, 409);
+  }
+
+  const restored = plain(target);
+  addVersion(file, {
+    url: restored.url,
+    fileName: restored.fileName,
+    fileSize: restored.fileSize,
+    fileType: restored.fileType,
+    fileHash: restored.fileHash,
+    uploadedAt: new Date(),
+    uploadedBy: restoredBy,
+    restoredFromVersion: restored.version
+  }, { replacedBy: restoredBy, replaceNote: note || `Restored version ${restored.version}` });
+  return file.version;
+};
+
+module.exports = {
+  FileVersionError,
+  categoryOf,
+  findFile,
+  addVersion,
+  listVersions,
+  diffVersions,
+  restoreVersion
+};
@@ -0,0 +1,358 @@
+const os = require("os");
+const cron = require("node-cron");
+const mongoose = require("mongoose");
+
+const JobRun = require("../models/JobRun");
+const config = require("../config");
+const { localParts, matchesAt, nodeCronPattern, occurrencesBetween } = require("./cronExpression");
+const { logToConsole } = require("./logger");
+
+// Scheduled jobs (reminders, month lock, plan changes, annual backup) are
+// defined here by the modules that own them and run through runJob(), which
+// records every run in the JobRun collection. A run first claims its
+// job + period there, so with several server instances only one of them
+// does the work, and a period that was missed while the server was down is
+// picked up on the next boot (see catchUpMissedRuns). A job without any
+// JobRun yet (first boot, or a job new in this release) starts with the
+// next occurrence instead.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+class JobError extends Error {
+  constructor(message, code, status) {
+    super(message);
+    this.name = "JobError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const jobs = new Map();
+
+/* ===============================
+   PERIODS
+   Monthly jobs run once per { year, month }, yearly jobs once per { year }.
+================================ */
+const periodKey = ({ year, month }) => {
+  return month ? `${year}-${String(month).padStart(2, "0")}` : String(year);
+};
+
+const previousMonthOf = ({ year, month }) => {
+  return month === 1 ? { year: year - 1, month: 12 } : { year, month: month - 1 };
+};
+
+const sameMonthOf = ({ year, month }) => ({ year, month });
+
+/**
+ * Validates a period given by an admin for a manual run.
+ */
+const parsePeriod = (job, input = {}) => {
+  const year = Number(input.year);
+  const month = input.month === undefined || input.month === null || input.month === "" ? undefined : Number(input.month);
+
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) {
+    throw new JobError("A valid year is required", "INVALID_PERIOD", 400);
+  }
+
+  if (job.period === "year") {
+    if (month !== undefined) {
+      throw new JobError(`${job.name} runs once per year, do not give a month`, "INVALID_PERIOD", 400);
+    }
+    return { year };
+  }
+
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new JobError("A valid month (1-12) is required", "INVALID_PERIOD", 400);
+  }
+  return { year, month };
+};
+
+/* ===============================
+   JOB DEFINITIONS
+================================ */
+
+/**
+ * Registers a scheduled job.
+ *
+ * @param {object} definition
+ * @param {string} definition.name             e.g. "month-lock"
+ * @param {string} definition.description
+ * @param {string} definition.schedule         cron expression, from config.cron
+ * @param {"month"|"year"} [definition.period] what one run covers (default "month")
+ * @param {Function} [definition.periodFor]    local time parts of a cron occurrence -> period
+ *                                             it runs for, or null for nothing (default: same month)
+ * @param {Function} [definition.validatePeriod] period -> error message for periods
+ *                                             the job cannot run for
+ * @param {number} [definition.catchUpDays]    how late a missed run may still be caught up on boot
+ * @param {number} [definition.lockMinutes]    how long a run may go without a heartbeat
+ * @param {Function} definition.handler        async (period) -> result; a result with
+ *                                             success: false fails the run
+ */
+const defineJob = (definition) => {
+  if (jobs.has(definition.name)) {
+    throw new Error(`Job "${definition.name}" is already defined`);
+  }
+
+  jobs.set(definition.name, {
+    period: "month",
+    periodFor: sameMonthOf,
+    validatePeriod: () => null,
+    catchUpDays: 3,
+    lockMinutes: 30,
+    ...definition
+  });
+};
+
+const getJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new JobError(`Unknown job "${name}"`, "UNKNOWN_JOB", 404);
+  return job;
+};
+
+const listJobs = () => [...jobs.values()];
+
+/* ===============================
+   CLAIMING A PERIOD
+================================ */
+const claimKeyOf = (job, period) => `${job.name}|${periodKey(period)}`;
+
+// A RUNNING run whose instance stopped sending heartbeats (crash, restart)
+// is failed so the period can be claimed again.
+const releaseExpiredClaim = async (claimKey) => {
+  const now = new Date();
+  await JobRun.updateMany(
+    { claimKey, status: "RUNNING", lockExpiresAt: { $lt: now } },
+    {
+      $set: { status: "FAILED", error: "Lock expired; the instance running this job stopped responding", finishedAt: now },
+      $unset: { claimKey: "" }
+    }
+  );
+};
+
+/**
+ * Creates a RUNNING JobRun holding the claim on job + period, or returns
+ * null when another run holds it (running now, or already completed unless
+ * force is set).
+ */
+const claimRun = async (job, period, options) => {
+  const claimKey = claimKeyOf(job, period);
+  await releaseExpiredClaim(claimKey);
+
+  if (options.force) {
+    await JobRun.updateOne({ claimKey, status: "COMPLETED" }, { $unset: { claimKey: "" } });
+  }
+
+  try {
+    return await JobRun.create({
+      jobName: job.name,
+      periodKey: periodKey(period),
+      year: period.year,
+      month: period.month,
+      claimKey,
+      status: "RUNNING",
+      trigger: options.trigger,
+      triggeredBy: options.triggeredBy,
+      triggeredByName: options.triggeredByName,
+      scheduledFor: options.scheduledFor,
+      instanceId: INSTANCE_ID,
+      lockExpiresAt: new Date(Date.now() + job.lockMinutes * MINUTE_MS)
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/* ===============================
+   RUNNING
+================================ */
+const execute = async (job, period, run) => {
+  // Keep the claim alive while the handler works
+  const heartbeat = setInterval(() => {
+    JobRun.updateOne(
+      { runId: run.runId, status: "RUNNING" },
+      { $set: { lockExpiresAt: new Date(Date.now() + job.lockMinutes * MINUTE_MS) } }
+    ).catch(error => logToConsole("ERROR", "JOB_HEARTBEAT_FAILED", { job: job.name, runId: run.runId, error: error.message }));
+  }, job.lockMinutes * MINUTE_MS / 3);
+  heartbeat.unref();
+
+  let result;
+  let failure;
+  try {
+    result = await job.handler(period);
+    if (result && result.success === false) {
+      failure = result.error || result.message || "Job reported failure";
+    }
+  } catch (error) {
+    failure = error.message;
+    logToConsole("ERROR", "JOB_HANDLER_THREW", { job: job.name, period: run.periodKey, error: error.message, stack: error.stack });
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  const finishedAt = new Date();
+  const update = {
+    $set: {
+      status: failure ? "FAILED" : "COMPLETED",
+      result: result ?? {},
+      finishedAt,
+      durationMs: finishedAt - run.startedAt
+    }
+  };
+  if (failure) {
+    update.$set.error = failure;
+    // Give the period up so it can be retried
+    update.$unset = { claimKey: "" };
+  }
+
+  const finished = await JobRun.findOneAndUpdate({ runId: run.runId }, update, { new: true });
+
+  logToConsole(failure ? "ERROR" : "INFO", failure ? "JOB_RUN_FAILED" : "JOB_RUN_COMPLETED", {
+    job: job.name,
+    period: run.periodKey,
+    runId: run.runId,
+    trigger: run.trigger,
+    durationMs: finishedAt - run.startedAt,
+    error: failure
+  });
+
+  return finished;
+};
+
+/**
+ * Claims and starts a run of a job for one period.
+ *
+ * @param {string} name
+ * @param {{ year: number, month?: number }} period
+ * @param {{ trigger: "SCHEDULE"|"CATCH_UP"|"MANUAL", triggeredBy?, triggeredByName?, scheduledFor?, force? }} options
+ * @returns {Promise<{ run: object, finished: Promise<object> } | null>} null when the period is
+ *          already claimed; finished resolves to the final JobRun and never rejects
+ */
+const runJob = async (name, period, options) => {
+  const job = getJob(name);
+
+  const invalid = job.validatePeriod(period);
+  if (invalid) throw new JobError(invalid, "INVALID_PERIOD", 400);
+
+  const run = await claimRun(job, period, options);
+  if (!run) {
+    logToConsole("INFO", "JOB_RUN_SKIPPED_CLAIMED", { job: job.name, period: periodKey(period), trigger: options.trigger });
+    return null;
+  }
+
+  logToConsole("INFO", "JOB_RUN_STARTED", {
+    job: job.name,
+    period: run.periodKey,
+    runId: run.runId,
+    trigger: run.trigger,
+    instance: INSTANCE_ID
+  });
+
+  const finished = execute(job, period, run).catch(error => {
+    logToConsole("ERROR", "JOB_RUN_RECORD_FAILED", { job: job.name, runId: run.runId, error: error.message });
+    return run;
+  });
+
+  return { run, finished };
+};
+
+/* ===============================
+   CRON TRIGGERS AND CATCH-UP
+================================ */
+const runScheduled = async (job, occurrence, trigger) => {
+  const period = job.periodFor(localParts(occurrence, config.timezone));
+  if (!period) return;
+
+  try {
+    const started = await runJob(job.name, period, { trigger, scheduledFor: occurrence });
+    if (started) await started.finished;
+  } catch (error) {
+    logToConsole("ERROR", "JOB_TRIGGER_FAILED", { job: job.name, trigger, error: error.message });
+  }
+};
+
+/**
+ * For every job, runs the newest period whose cron occurrence fell within
+ * its catch-up window and that has not been claimed yet (i.e. the server
+ * was down at the time). Jobs that have never run are skipped: nothing was
+ * missed, the scheduler simply was not there yet.
+ */
+const catchUpMissedRuns = async () => {
+  const now = new Date();
+
+  for (const job of jobs.values()) {
+    const hasHistory = await JobRun.exists({ jobName: job.name });
+    if (!hasHistory) {
+      logToConsole("INFO", "JOB_CATCH_UP_SKIPPED_NO_HISTORY", { job: job.name });
+      continue;
+    }
+
+    const occurrences = occurrencesBetween(job.schedule, {
+      since: new Date(now - job.catchUpDays * DAY_MS),
+      until: now,
+      timezone: config.timezone
+    });
+
+    const occurrence = occurrences.find(date => job.periodFor(localParts(date, config.timezone)));
+    if (!occurrence) continue;
+
+    const period = job.periodFor(localParts(occurrence, config.timezone));
+    const claimed = await JobRun.exists({ claimKey: claimKeyOf(job, period) });
+    if (claimed) continue;
+
+    logToConsole("WARN", "JOB_MISSED_RUN_CATCH_UP", {
+      job: job.name,
+      period: periodKey(period),
+      scheduledFor: occurrence.toISOString()
+    });
+    await runScheduled(job, occurrence, "CATCH_UP");
+  }
+};
+
+/**
+ * Schedules every defined job with node-cron and, once MongoDB is
+ * connected, catches up on runs missed while the server was down.
+ */
+const startJobScheduler = () => {
+  for (const job of jobs.values()) {
+    cron.schedule(nodeCronPattern(job.schedule), () => {
+      const occurrence = new Date(Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS);
+      if (!matchesAt(job.schedule, occurrence, config.timezone)) return;
+      return runScheduled(job, occurrence, "SCHEDULE");
+    }, {
+      name: job.name,
+      timezone: config.timezone
+    });
+
+    logToConsole("INFO", "JOB_SCHEDULED", { job: job.name, schedule: job.schedule, timezone: config.timezone });
+  }
+
+  const catchUp = () => {
+    catchUpMissedRuns().catch(error => {
+      logToConsole("ERROR", "JOB_CATCH_UP_FAILED", { error: error.message, stack: error.stack });
+    });
+  };
+
+  if (mongoose.connection.readyState === 1) {
+    catchUp();
+  } else {
+    mongoose.connection.once("connected", catchUp);
+  }
+};
+
+module.exports = {
+  JobError,
+  INSTANCE_ID,
+  periodKey,
+  previousMonthOf,
+  parsePeriod,
+  defineJob,
+  getJob,
+  listJobs,
+  runJob,
+  catchUpMissedRuns,
+  startJobScheduler
+};
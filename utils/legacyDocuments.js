@@ -0,0 +1,138 @@
+const config = require("../config");
+
+/**
+ * Month data used to live in the Client.documents Map (year -> month ->
+ * data) before it moved to ClientMonthlyData. Read paths still fall back
+ * to it until scripts/migrateLegacyDocuments.js has copied everything
+ * across and config.legacyDocuments.readEnabled is switched off.
+ */
+const legacyReadsEnabled = () => config.legacyDocuments.readEnabled;
+
+/**
+ * Plain { "<year>": { "<month>": data } } view of Client.documents for the
+ * routes that scan every legacy month; empty when legacy reads are off.
+ */
+const legacyDocumentsOf = (client) => {
+  if (!legacyReadsEnabled() || !client?.documents) return {};
+
+  const documents = client.documents;
+  if (!(documents instanceof Map)) return documents;
+
+  const plain = {};
+  for (const [yearKey, yearData] of documents.entries()) {
+    plain[yearKey] = yearData instanceof Map ? Object.fromEntries(yearData.entries()) : yearData;
+  }
+  return plain;
+};
+
+/* ===============================
+   PARITY BETWEEN A LEGACY AND A NEW MONTH
+================================ */
+const MAIN_CATEGORIES = ["sales", "purchase", "bank"];
+
+// Every category of a month keyed by name: sales, purchase, bank, other:<name>
+const categoriesOf = (monthData) => {
+  const categories = {};
+  MAIN_CATEGORIES.forEach(name => {
+    if (monthData?.[name]) categories[name] = monthData[name];
+  });
+  (monthData?.other || []).forEach(other => {
+    if (other?.categoryName) categories[`other:${other.categoryName}`] = other.document || {};
+  });
+  return categories;
+};
+
+const fileKey = (file) => file?.url || file?.fileName || "";
+
+const noteCount = (notes) => (Array.isArray(notes) ? notes.length : 0);
+
+/**
+ * Compares what users can see of one month in both stores: files (by URL),
+ * note counts at month, category and file level, lock flags, and the
+ * accounting/payment flags.
+ *
+ * @returns {string[]} human-readable differences, empty when in parity
+ */
+const compareMonthData = (legacy, current) => {
+  const diffs = [];
+  const flag = (value) => value === true;
+
+  // Payment changes are only made in ClientMonthlyData now, so a payment
+  // status changed there after the legacy month was last paid is no diff
+  const paymentChangedSince = current?.paymentUpdatedAt
+    && (!legacy?.paymentUpdatedAt || new Date(current.paymentUpdatedAt) > new Date(legacy.paymentUpdatedAt));
+  const flagFields = ["isLocked", "wasLockedOnce", "accountingDone", ...(paymentChangedSince ? [] : ["paymentStatus"])];
+
+  flagFields.forEach(field => {
+    if (flag(legacy?.[field]) !== flag(current?.[field])) {
+      diffs.push(`${field}: legacy=${flag(legacy?.[field])} new=${flag(current?.[field])}`);
+    }
+  });
+
+  if (noteCount(legacy?.monthNotes) !== noteCount(current?.monthNotes)) {
+    diffs.push(`monthNotes: legacy=${noteCount(legacy?.monthNotes)} new=${noteCount(current?.monthNotes)}`);
+  }
+
+  const legacyCategories = categoriesOf(legacy);
+  const currentCategories = categoriesOf(current);
+  const names = new Set([...Object.keys(legacyCategories), ...Object.keys(currentCategories)]);
+
+  for (const name of names) {
+    const oldCategory = legacyCategories[name] || {};
+    const newCategory = currentCategories[name] || {};
+
+    if (flag(oldCategory.isLocked) !== flag(newCategory.isLocked)) {
+      diffs.push(`${name}.isLocked: legacy=${flag(oldCategory.isLocked)} new=${flag(newCategory.isLocked)}`);
+    }
+
+    if (noteCount(oldCategory.categoryNotes) !== noteCount(newCategory.categoryNotes)) {
+      diffs.push(`${name}.categoryNotes: legacy=${noteCount(oldCategory.categoryNotes)} new=${noteCount(newCategory.categoryNotes)}`);
+    }
+
+    const oldFiles = new Map((oldCategory.files || []).map(file => [fileKey(file), file]));
+    const newFiles = new Map((newCategory.files || []).map(file => [fileKey(file), file]));
+
+    const missing = [...oldFiles.keys()].filter(key => !newFiles.has(key));
+    const extra = [...newFiles.keys()].filter(key => !oldFiles.has(key));
+    if (missing.length) diffs.push(`${name}.files missing in new: ${missing.join(", ")}`);
+    if (extra.length) diffs.push(`${name}.files only in new: ${extra.join(", ")}`);
+
+    for (const [key, oldFile] of oldFiles) {
+      const newFile = newFiles.get(key);
+      if (newFile && noteCount(oldFile.notes) !== noteCount(newFile.notes)) {
+        diffs.push(`${name}.files[${key}].notes: legacy=${noteCount(oldFile.notes)} new=${noteCount(newFile.notes)}`);
+      }
+    }
+  }
+
+  return diffs;
+};
+
+/**
+ * Every legacy month of a lean client as { year, month, data }.
+ * Reads Client.documents regardless of the read flag (used by the
+ * migration and audit scripts).
+ */
+const listLegacyMonths = (client) => {
+  const months = [];
+  const documents = client?.documents || {};
+
+  for (const [yearKey, yearData] of Object.entries(documents)) {
+    if (isNaN(Number(yearKey)) || !yearData || typeof yearData !== "object") continue;
+
+    for (const [monthKey, data] of Object.entries(yearData)) {
+      if (isNaN(Number(monthKey)) || !data || typeof data !== "object") continue;
+      months.push({ year: Number(yearKey), month: Number(monthKey), data });
+    }
+  }
+
+  return months.sort((a, b) => (a.year - b.year) || (a.month - b.month));
+};
+
+module.exports = {
+  legacyReadsEnabled,
+  legacyDocumentsOf,
+  categoriesOf,
+  compareMonthData,
+  listLegacyMonths
+};
@@ -1,18 +1,10 @@
-const cron = require('node-cron');
 const Client = require('../models/Client');
 const ClientMonthlyData = require('../models/ClientMonthlyData');
-const nodemailer = require('nodemailer');
-
-// ===============================
-// EMAIL CONFIGURATION
-// ===============================
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
-});
+const { sendTemplateEmail } = require('../emails');
+const config = require('../config');
+const { legacyReadsEnabled } = require('./legacyDocuments');
+const { defineJob, previousMonthOf } = require('./jobScheduler');
+const { notifyClient } = require('./notifications');
 
 // ===============================
 // SEND EMAIL TO ADMIN
@@ -20,147 +12,21 @@ const transporter = nodemailer.createTransport({
 const sendAdminEmail = async (stats, startTime, errors, clientLists) => {
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     const { year, month, name } = stats.month;
-
-    // Create email HTML
-    const html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 800px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #2196f3; color: white; padding: 20px; text-align: center; border-radius: 5px; }
-                .summary { background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px; }
-                .stats-grid { display: grid; grid-template-columns: repeat(2, 1fr); gap: 15px; margin: 20px 0; }
-                .stat-card { background: white; padding: 15px; border-radius: 5px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
-                .stat-label { font-size: 12px; color: #666; text-transform: uppercase; }
-                .stat-value { font-size: 24px; font-weight: bold; color: #2196f3; }
-                .success { color: #4caf50; }
-                .warning { color: #ff9800; }
-                .error { color: #f44336; }
-                .info { color: #2196f3; }
-                .client-list { background: white; padding: 15px; border-radius: 5px; margin: 20px 0; border: 1px solid #ddd; max-height: 300px; overflow-y: auto; }
-                .client-item { padding: 8px; border-bottom: 1px solid #eee; display: flex; justify-content: space-between; }
-                .client-item:last-child { border-bottom: none; }
-                .client-name { font-weight: bold; }
-                .client-id { color: #666; font-size: 12px; }
-                .badge { display: inline-block; padding: 3px 8px; border-radius: 3px; font-size: 11px; font-weight: bold; }
-                .badge-success { background: #e8f5e9; color: #2e7d32; }
-                .badge-warning { background: #fff3e0; color: #ef6c00; }
-                .badge-info { background: #e3f2fd; color: #0d47a1; }
-                .badge-error { background: #ffebee; color: #c62828; }
-                .errors-section { background: #ffebee; padding: 15px; border-radius: 5px; margin-top: 20px; }
-                .error-item { padding: 10px; border-bottom: 1px solid #ffcdd2; }
-                .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>🔒 Auto-Lock CRON Job Report</h1>
-                    <p>Month: ${name} ${year}</p>
-                </div>
-                
-                <div class="summary">
-                    <h3>📊 Operation Summary</h3>
-                    <p><strong>Execution Time:</strong> ${new Date().toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })} (Finland Time)</p>
-                    <p><strong>Duration:</strong> ${duration} seconds</p>
-                    <p><strong>Month Processed:</strong> ${name} ${year}</p>
-                </div>
-                
-                <h3>📈 Statistics</h3>
-                <div class="stats-grid">
-                    <div class="stat-card">
-                        <div class="stat-label">Total Clients</div>
-                        <div class="stat-value">${stats.total}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-label">Newly Locked</div>
-                        <div class="stat-value success">${stats.locked}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-label">Already Locked</div>
-                        <div class="stat-value warning">${stats.alreadyLocked}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-label">Inactive Months</div>
-                        <div class="stat-value info">${stats.inactiveMonths}</div>
-                    </div>
-                    <div class="stat-card">
-                        <div class="stat-label">Failed</div>
-                        <div class="stat-value error">${stats.failed}</div>
-                    </div>
-                </div>
-
-                <!-- NEWLY LOCKED CLIENTS LIST -->
-                ${clientLists.lockedClients.length > 0 ? `
-                <div class="client-list">
-                    <h4>✅ Newly Locked Clients (${clientLists.lockedClients.length})</h4>
-                    ${clientLists.lockedClients.map(client => `
-                        <div class="client-item">
-                            <span>
-                                <span class="client-name">${client.name}</span>
-                                <span class="client-id"> (${client.clientId})</span>
-                            </span>
-                            <span class="badge badge-success">Locked</span>
-                            <span class="badge badge-info">${client.source}</span>
-                        </div>
-                    `).join('')}
-                </div>
-                ` : ''}
-
-                <!-- ALREADY LOCKED CLIENTS LIST -->
-                ${clientLists.alreadyLockedClients.length > 0 ? `
-                <div class="client-list">
-                    <h4>⏭️ Already Locked Clients (${clientLists.alreadyLockedClients.length})</h4>
-                    ${clientLists.alreadyLockedClients.map(client => `
-                        <div class="client-item">
-                            <span>
-                                <span class="client-name">${client.name}</span>
-                                <span class="client-id"> (${client.clientId})</span>
-                            </span>
-                            <span class="badge badge-warning">Already Locked</span>
-                            <span class="badge badge-info">${client.source}</span>
-                        </div>
-                    `).join('')}
-                </div>
-                ` : ''}
-
-                ${errors && errors.length > 0 ? `
-                <div class="errors-section">
-                    <h4>⚠️ Errors (${errors.length})</h4>
-                    ${errors.slice(0, 10).map(err => `
-                        <div class="error-item">
-                            <strong>Client ID:</strong> ${err.clientId}<br>
-                            <strong>Client Name:</strong> ${err.clientName}<br>
-                            <strong>Error:</strong> ${err.error}
-                        </div>
-                    `).join('')}
-                    ${errors.length > 10 ? `<p>... and ${errors.length - 10} more errors</p>` : ''}
-                </div>
-                ` : ''}
-                
-                <div class="footer">
-                    <p>This is an automated notification from Credence Enterprise Accounting Services</p>
-                    <p>CRON Job: Auto-Lock Previous Month (26th of each month at 12:00 AM Finland time)</p>
-                    <p>Timestamp: ${new Date().toISOString()}</p>
-                </div>
-            </div>
-        </body>
-        </html>
-    `;
-
-    const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: process.env.EMAIL_USER,
-        subject: `🔒 Auto-Lock CRON Report: ${name} ${year} - ${stats.locked} clients locked`,
-        html: html
-    };
+    const adminEmail = process.env.EMAIL_USER;
 
     try {
-        await transporter.sendMail(mailOptions);
-        logToConsole("SUCCESS", "ADMIN_EMAIL_SENT", {
-            to: process.env.EMAIL_USER,
+        await sendTemplateEmail(adminEmail, 'month-lock-report', {
+            month: { year, month },
+            stats,
+            durationSeconds: duration,
+            executedAt: new Date(),
+            lockedClients: clientLists.lockedClients,
+            alreadyLockedClients: clientLists.alreadyLockedClients,
+            errors,
+            adminEmail
+        });
+        logToConsole("SUCCESS", "ADMIN_EMAIL_QUEUED", {
+            to: adminEmail,
             subject: `Auto-Lock Report: ${name} ${year}`
         });
     } catch (emailError) {
@@ -214,10 +80,11 @@ const getOrCreateMonthDataInBoth = async (client, year, month) => {
     const targetMonth = parseInt(month);
     let monthData = null;
     let source = null;
+    let newDoc = null;
 
     // ===== 1. FIRST: Check NEW ClientMonthlyData collection =====
     try {
-        const newDoc = await ClientMonthlyData.findOne({ clientId: client.clientId });
+        newDoc = await ClientMonthlyData.findOne({ clientId: client.clientId });
         if (newDoc && newDoc.months) {
             const foundMonthIndex = newDoc.months.findIndex(m => m.year === targetYear && m.month === targetMonth);
             if (foundMonthIndex !== -1) {
@@ -230,7 +97,36 @@ const getOrCreateMonthDataInBoth = async (client, year, month) => {
         logToConsole("WARN", "ERROR_CHECKING_NEW_COLLECTION_FOR_LOCK", { error: err.message, clientId: client.clientId });
     }
 
-    // ===== 2. SECOND: Check OLD client.documents =====
+    // ===== 2. Legacy documents retired: create the month in the NEW collection =====
+    if (!legacyReadsEnabled()) {
+        if (!newDoc) {
+            newDoc = new ClientMonthlyData({
+                clientId: client.clientId,
+                clientName: client.name || '',
+                clientEmail: client.email || '',
+                months: []
+            });
+        }
+
+        newDoc.months.push({
+            year: targetYear,
+            month: targetMonth,
+            sales: { files: [], categoryNotes: [], isLocked: false, wasLockedOnce: false },
+            purchase: { files: [], categoryNotes: [], isLocked: false, wasLockedOnce: false },
+            bank: { files: [], categoryNotes: [], isLocked: false, wasLockedOnce: false },
+            other: [],
+            isLocked: false,
+            wasLockedOnce: false,
+            monthNotes: [],
+            accountingDone: false,
+            monthActiveStatus: calculateMonthActiveStatus(client, targetYear, targetMonth)
+        });
+
+        const monthIndex = newDoc.months.length - 1;
+        return { monthData: newDoc.months[monthIndex], source: 'new', newDoc, monthIndex };
+    }
+
+    // ===== 3. Otherwise check OLD client.documents =====
     const y = String(targetYear);
     const m = String(targetMonth);
 
@@ -398,9 +294,11 @@ const logToConsole = (type, operation, data) => {
 // ===============================
 // UPDATED: MAIN LOCK FUNCTION (WORKS WITH BOTH COLLECTIONS)
 // ===============================
-const lockPreviousMonthForAllClients = async () => {
+// period { year, month } defaults to the previous month
+const lockPreviousMonthForAllClients = async (period = getPreviousMonth()) => {
     const startTime = Date.now();
-    const { year, month, monthName } = getPreviousMonth();
+    const { year, month } = period;
+    const monthName = new Date(year, month - 1, 1).toLocaleString('default', { month: 'long' });
 
     logToConsole("INFO", "AUTO_LOCK_CRON_STARTED", {
         lockingMonth: `${monthName} ${year}`,
@@ -470,6 +368,16 @@ const lockPreviousMonthForAllClients = async () => {
                         source: lockResult.source
                     });
 
+                    // One notification per client-month, also when a rerun of the job locks it again
+                    await notifyClient(client.clientId, {
+                        type: "MONTH_LOCKED",
+                        title: `Month ${month}/${year} has been locked`,
+                        message: `${monthName} ${year} was locked automatically. Files can no longer be changed.`,
+                        data: { year, month, automatic: true },
+                        actor: { type: "SYSTEM", name: "Auto-lock" },
+                        dedupeKey: `auto-lock:${year}-${month}`
+                    });
+
                     logToConsole("SUCCESS", "AUTO_LOCK_SUCCESS", {
                         clientId: client.clientId,
                         clientName: client.name,
@@ -552,7 +460,7 @@ const lockPreviousMonthForAllClients = async () => {
                 alreadyLocked: 0,
                 inactiveMonths: 0,
                 failed: 1,
-                month: getPreviousMonth()
+                month: { year, month, name: monthName }
             }, startTime, [{ clientId: 'SYSTEM', clientName: 'SYSTEM', error: error.message }], {
                 lockedClients: [],
                 alreadyLockedClients: []
@@ -571,30 +479,20 @@ const lockPreviousMonthForAllClients = async () => {
 };
 
 // ===============================
-// SCHEDULE THE CRON JOB
+// SCHEDULED JOB
 // ===============================
-const scheduleLockJob = () => {
-    // '0 0 26 * *' = At 00:00 on day-of-month 26
-    const job = cron.schedule('0 0 26 * *', async () => {
-        console.log('=================================');
-        console.log('🔒 AUTO-LOCK CRON JOB TRIGGERED');
-        console.log('=================================');
-        console.log(`Time: ${new Date().toLocaleString("en-IN", { timeZone: "Europe/Helsinki" })}`);
-
-        await lockPreviousMonthForAllClients();
-
-        console.log('=================================');
-        console.log('✅ AUTO-LOCK CRON JOB COMPLETED');
-        console.log('=================================');
-    }, {
-        scheduled: true,
-        timezone: "Europe/Helsinki"
-    });
-
-    console.log('📅 Auto-lock CRON job scheduled: Runs on 26th of each month at 12:00 AM Finland time');
-    console.log('📧 Email notifications will be sent to:', process.env.EMAIL_USER);
-    return job;
-};
+// Default '0 0 26 * *' = At 00:00 on day-of-month 26, locks the month before.
+// Run through utils/jobScheduler.js, so a lock missed while the server was
+// down is caught up on the next boot.
+defineJob({
+    name: 'month-lock',
+    description: 'Lock the previous month for all clients',
+    schedule: config.cron.monthLock,
+    periodFor: previousMonthOf,
+    catchUpDays: 7,
+    lockMinutes: 60,
+    handler: (period) => lockPreviousMonthForAllClients(period)
+});
 
 if (require.main === module) {
     console.log('🔧 Running lockPreviousMonthForAllClients() manually for testing...');
@@ -610,4 +508,3 @@ if (require.main === module) {
 }
 
 module.exports = lockPreviousMonthForAllClients;
-module.exports.scheduleLockJob = scheduleLockJob;
\ No newline at end of file
@@ -1,5 +1,7 @@
 const winston = require("winston");
 
+const config = require("../config");
+
 const logger = winston.createLogger({
     level: "info",
     format: winston.format.combine(
@@ -15,4 +17,18 @@ const logger = winston.createLogger({
     ]
 });
 
-module.exports = logger;
\ No newline at end of file
+/**
+ * Console line in the format every route and util logs with, timestamped
+ * in the configured timezone:
+ *
+ *   logToConsole("INFO", "EMAIL_SENT", { outboxId, to });
+ */
+const logToConsole = (type, operation, data) => {
+    const timestamp = new Date().toLocaleString("en-IN", { timeZone: config.timezone });
+    console.log(`[${timestamp}] ${type}: ${operation}`, data);
+};
+
+module.exports = {
+    logger,
+    logToConsole
+};
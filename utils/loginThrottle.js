@@ -0,0 +1,230 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const ActivityLog = require("../models/ActivityLog");
+const { logToConsole } = require("./logger");
+
+// Counters are kept per action (CLIENT_LOGIN, ADMIN_LOGIN, ...) for the
+// account being tried and for the caller's IP. An IP gets a much larger
+// budget than one account, since offices share addresses.
+const POLICIES = {
+  ACCOUNT: {
+    maxFailures: 5,
+    windowMs: 15 * 60 * 1000,
+    lockMs: 15 * 60 * 1000
+  },
+  IP: {
+    maxFailures: 30,
+    windowMs: 15 * 60 * 1000,
+    lockMs: 15 * 60 * 1000
+  }
+};
+
+// Each repeated lock of the same key doubles in length, up to this cap
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+// Counters (and the lock history that drives the doubling) are forgotten
+// a day after the last failure or lock
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Progressive delay: nothing for the first failures, then 1s, 2s, 4s, 8s
+const DELAY_AFTER_FAILURES = 3;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 8000;
+
+const attemptKey = (scope, action, identifier) => `${scope}:${action}:${identifier}`;
+
+const normalizeIdentifier = (identifier) => String(identifier).trim().toLowerCase();
+
+/**
+ * The keys a request is counted against. The account part is left out
+ * when the request does not name an account (e.g. missing email).
+ */
+const keysFor = (action, { account, ip }) => {
+  const keys = [];
+  if (account) keys.push({ scope: "ACCOUNT", identifier: normalizeIdentifier(account) });
+  if (ip) keys.push({ scope: "IP", identifier: ip });
+  return keys.map(k => ({ ...k, action, key: attemptKey(k.scope, action, k.identifier) }));
+};
+
+const delayFor = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(BASE_DELAY_MS * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+};
+
+// A request beyond the budget while earlier ones are still being answered
+// is turned away for this long; if those fail, the key is locked anyway
+const PENDING_RETRY_MS = 10 * 1000;
+
+const logLockout = async (attempt, req) => {
+  try {
+    await ActivityLog.create({
+      userName: attempt.scope === "ACCOUNT" ? attempt.identifier : "SYSTEM",
+      role: "SYSTEM",
+      action: attempt.scope === "ACCOUNT" ? "ACCOUNT_LOCKED" : "IP_LOCKED",
+      details: `${attempt.action}: ${attempt.scope === "ACCOUNT" ? "account" : "IP"} ${attempt.identifier} locked until ${attempt.lockedUntil.toISOString()} after repeated failures (last from ${req.ip}, lock #${attempt.lockCount})`,
+      dateTime: new Date()
+    });
+  } catch (logError) {
+    logToConsole("ERROR", "LOCKOUT_LOG_FAILED", { action: attempt.action, scope: attempt.scope, error: logError.message });
+  }
+};
+
+const notLocked = (now) => ({ $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] });
+
+// Takes back a reservation that did not turn out to be a failure
+const releaseKey = ({ key }) => LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+
+const reserveKey = async ({ key, scope, action, identifier }, now) => {
+  const policy = POLICIES[scope];
+
+  // Start a fresh window if there are no failures since the last success,
+  // lock or unlock (firstFailureAt null), or they are too old to count
+  await LoginAttempt.updateOne(
+    {
+      key,
+      $and: [
+        { $or: [{ firstFailureAt: null }, { firstFailureAt: { $lt: new Date(now - policy.windowMs) } }] },
+        notLocked(now)
+      ]
+    },
+    { $set: { failures: 0, firstFailureAt: now } }
+  );
+
+  return LoginAttempt.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $max: { expiresAt: new Date(now.getTime() + RETENTION_MS) },
+      $setOnInsert: { scope, action, identifier, firstFailureAt: now }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Reserves an attempt before the request is handled: it is counted as a
+ * failure up front, atomically, so parallel guesses cannot all pass the
+ * check before any of them is recorded. settleAttempt then keeps or takes
+ * back the reservation.
+ *
+ * @returns {Promise<{ allowed: boolean, reserved: object[], delayMs: number, scope: string|null, retryAfterMs: number }>}
+ *   when not allowed nothing stays reserved; delayMs is how long to hold
+ *   the request back based on the failures before it
+ */
+const reserveAttempt = async (action, identifiers) => {
+  const now = new Date();
+  const reserved = [];
+  let delayMs = 0;
+
+  for (const key of keysFor(action, identifiers)) {
+    const attempt = await reserveKey(key, now);
+    reserved.push(key);
+
+    const locked = attempt.lockedUntil && attempt.lockedUntil > now;
+    if (locked || attempt.failures > POLICIES[key.scope].maxFailures) {
+      await Promise.all(reserved.map(releaseKey));
+      return {
+        allowed: false,
+        reserved: [],
+        delayMs: 0,
+        scope: key.scope,
+        retryAfterMs: locked ? attempt.lockedUntil - now : PENDING_RETRY_MS
+      };
+    }
+
+    delayMs = Math.max(delayMs, delayFor(attempt.failures - 1));
+  }
+
+  return { allowed: true, reserved, delayMs, scope: null, retryAfterMs: 0 };
+};
+
+// Keeps the reservation as a failure and locks the key at its limit
+const confirmFailure = async ({ key, scope }, req) => {
+  const now = new Date();
+  const policy = POLICIES[scope];
+
+  const attempt = await LoginAttempt.findOneAndUpdate({ key }, { $set: { lastFailureAt: now } }, { new: true });
+  if (!attempt || attempt.failures < policy.maxFailures) return;
+
+  const lockMs = Math.min(policy.lockMs * 2 ** attempt.lockCount, MAX_LOCK_MS);
+  const lockedUntil = new Date(now.getTime() + lockMs);
+
+  // Only one of several failures finishing at once takes the lock
+  const locked = await LoginAttempt.findOneAndUpdate(
+    { key, failures: { $gte: policy.maxFailures }, ...notLocked(now) },
+    {
+      $set: {
+        lockedUntil,
+        failures: 0,
+        firstFailureAt: null,
+        expiresAt: new Date(lockedUntil.getTime() + RETENTION_MS)
+      },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (locked) await logLockout(locked, req);
+};
+
+/**
+ * Settles a reservation once the request has been answered:
+ *   FAILURE  counts it, locking any key that reached its limit
+ *   SUCCESS  clears the account's failures; the IP reservation is taken
+ *            back, but earlier IP failures stay so one valid login cannot
+ *            hide a spray across accounts
+ *   NONE     takes it back (e.g. a validation error or a server error)
+ */
+const settleAttempt = async (reserved, outcome, req) => {
+  for (const key of reserved) {
+    if (outcome === "FAILURE") {
+      await confirmFailure(key, req);
+    } else if (outcome === "SUCCESS" && key.scope === "ACCOUNT") {
+      await LoginAttempt.updateOne({ key: key.key }, { $set: { failures: 0, firstFailureAt: null } });
+    } else {
+      await releaseKey(key);
+    }
+  }
+};
+
+const listLockouts = async ({ includeCounters = false } = {}) => {
+  const filter = includeCounters
+    ? { $or: [{ lockedUntil: { $gt: new Date() } }, { failures: { $gt: 0 } }] }
+    : { lockedUntil: { $gt: new Date() } };
+
+  return LoginAttempt.find(filter)
+    .select("key scope action identifier failures lastFailureAt lockedUntil lockCount")
+    .sort({ lockedUntil: -1, lastFailureAt: -1 })
+    .lean();
+};
+
+/**
+ * Lifts locks and clears counters, either for one key or for every key of
+ * an identifier (an email/userId or an IP). Returns the number cleared.
+ */
+const unlock = async ({ key, identifier }, unlockedBy) => {
+  // Accounts are stored lowercased, IPs as-is
+  const filter = key
+    ? { key }
+    : { identifier: { $in: [...new Set([identifier, normalizeIdentifier(identifier)])] } };
+
+  const result = await LoginAttempt.updateMany(filter, {
+    $set: {
+      lockedUntil: null,
+      failures: 0,
+      firstFailureAt: null,
+      lockCount: 0,
+      unlockedBy,
+      unlockedAt: new Date()
+    }
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  POLICIES,
+  reserveAttempt,
+  settleAttempt,
+  listLockouts,
+  unlock
+};
@@ -0,0 +1,106 @@
+const multer = require("multer");
+const { v4: uuidv4 } = require("uuid");
+
+const config = require("../config");
+const storage = require("./storage");
+const { logToConsole } = require("./logger");
+
+// Small files attached to notes (a marked-up receipt, a screenshot). They
+// are stored next to the month's documents (utils/storage.js), under
+// clients/<clientId>/<year>/<month>/notes/, and listed on the note.
+
+// Receipts and screenshots: PDF and images only
+const allowedExtensions = ['pdf', 'jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'heif'];
+const allowedMimeTypes = [
+  "application/pdf", "application/x-pdf",
+  "image/jpeg", "image/jpg", "image/pjpeg", "image/heic", "image/heif",
+  "image/png", "image/x-png", "image/gif", "image/webp"
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: config.notes.attachmentMaxMb * 1024 * 1024,
+    files: config.notes.maxAttachments
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = file.originalname.split('.').pop().toLowerCase();
+    if (allowedExtensions.includes(ext) && allowedMimeTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type"), false);
+    }
+  }
+});
+
+/**
+ * Middleware: reads up to config.notes.maxAttachments files from the
+ * multipart field "attachments" into req.files. JSON requests pass
+ * through unchanged.
+ */
+const receiveNoteAttachments = (req, res, next) => {
+  upload.array("attachments", config.notes.maxAttachments)(req, res, (err) => {
+    if (!err) return next();
+
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return res.status(400).json({ success: false, code: "ATTACHMENT_TOO_LARGE", message: `Attachments can be at most ${config.notes.attachmentMaxMb}MB` });
+    }
+    if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+      return res.status(400).json({ success: false, code: "TOO_MANY_ATTACHMENTS", message: `At most ${config.notes.maxAttachments} attachments per note, in the field "attachments"` });
+    }
+    if (err.message === "Invalid file type") {
+      return res.status(400).json({ success: false, code: "INVALID_ATTACHMENT_TYPE", message: "Attachments must be PDF or image files" });
+    }
+    next(err);
+  });
+};
+
+/**
+ * Uploads the received files and returns them as note attachments. If
+ * one upload fails, the ones already stored are removed again.
+ */
+const storeNoteAttachments = async (files, { clientId, year, month, uploadedBy }) => {
+  const attachments = [];
+  try {
+    for (const file of files || []) {
+      const fileExt = file.originalname.split(".").pop();
+      const attachmentId = uuidv4();
+      const key = `clients/${clientId}/${year}/${month}/notes/${attachmentId}.${fileExt}`;
+      const url = await storage.putObject(key, file.buffer, file.mimetype);
+      attachments.push({
+        attachmentId,
+        fileName: file.originalname,
+        fileSize: file.size,
+        fileType: file.mimetype,
+        url,
+        key,
+        uploadedAt: new Date(),
+        uploadedBy
+      });
+    }
+  } catch (error) {
+    await removeNoteAttachments(attachments);
+    throw error;
+  }
+  return attachments;
+};
+
+/**
+ * Deletes stored attachments, e.g. when the note they were uploaded for
+ * could not be saved. Failures are logged, not thrown.
+ */
+const removeNoteAttachments = async (attachments) => {
+  for (const attachment of attachments || []) {
+    try {
+      await storage.deleteObject(attachment.key);
+    } catch (error) {
+      logToConsole("ERROR", "NOTE_ATTACHMENT_DELETE_FAILED", { key: attachment.key, error: error.message });
+    }
+  }
+};
+
+module.exports = {
+  receiveNoteAttachments,
+  storeNoteAttachments,
+  removeNoteAttachments
+};
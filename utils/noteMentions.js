@@ -0,0 +1,90 @@
+const Admin = require("../models/Admin");
+const Assignment = require("../models/Assignment");
+const Employee = require("../models/Employee");
+const { notify } = require("./notifications");
+
+// @mentions in note text. A mention is "@" followed by the full name of an
+// active employee or admin ("@Anna Virtanen") or the name without spaces
+// ("@AnnaVirtanen"); case does not matter. Mentioned users get a
+// NOTE_MENTION notification with the note text, so employees can only be
+// mentioned on months they are assigned to (as utils/noteThreads.js
+// assertAccess requires for reading the notes).
+
+const RECIPIENT_TYPES = { employee: "EMPLOYEE", admin: "ADMIN" };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * The employees and admins mentioned in a note text, as stored on the
+ * note: [{ userId, userType: "employee"|"admin", name }]. Only employees
+ * assigned to the client month of the note count.
+ *
+ * @param {{ clientId: string, year: number|string, month: number|string }} period
+ */
+const findMentions = async (text, { clientId, year, month }) => {
+  if (!text || !text.includes("@")) return [];
+
+  const assignedEmployeeIds = await Assignment.distinct("employeeId", {
+    clientId,
+    year: parseInt(year),
+    month: parseInt(month),
+    isRemoved: false
+  });
+
+  const [employees, admins] = await Promise.all([
+    Employee.find({ isActive: true, employeeId: { $in: assignedEmployeeIds } }).select("employeeId name").lean(),
+    Admin.find({ isActive: { $ne: false } }).select("adminId name").lean()
+  ]);
+
+  // Longest names first, so "@Anna Virtanen" is not also taken for an "Anna"
+  const candidates = [
+    ...employees.map(e => ({ userId: e.employeeId, userType: "employee", name: e.name })),
+    ...admins.map(a => ({ userId: a.adminId, userType: "admin", name: a.name }))
+  ]
+    .filter(candidate => candidate.name && candidate.name.trim())
+    .sort((a, b) => b.name.length - a.name.length);
+
+  let remaining = text;
+  const mentions = [];
+  candidates.forEach(candidate => {
+    const name = candidate.name.trim();
+    const forms = [...new Set([name, name.replace(/\s+/g, "")])].map(escapeRegExp).join("|");
+    // The name must end at a word boundary: "@Anna" does not match "@Annabel"
+    const pattern = new RegExp(`@(?:${forms})(?![\\p{L}\\p{N}_])`, "giu");
+    if (pattern.test(remaining)) {
+      mentions.push(candidate);
+      remaining = remaining.replace(pattern, " ");
+    }
+  });
+
+  return mentions;
+};
+
+/**
+ * Sends NOTE_MENTION notifications. The author is never notified about
+ * mentioning themselves.
+ *
+ * @param {Array<{ userId, userType }>} mentions
+ * @param {{ type: string, id: string }} author - lower-case user type, as on notes
+ */
+const notifyMentions = async (mentions, author, notification) => {
+  const recipients = (mentions || [])
+    .filter(m => !(m.userType === author.type && m.userId === author.id))
+    .map(m => ({ type: RECIPIENT_TYPES[m.userType], id: m.userId }));
+  return notify(recipients, { ...notification, type: "NOTE_MENTION" });
+};
+
+/**
+ * The mentions that were not in previousMentions yet; after an edit only
+ * people newly mentioned are notified.
+ */
+const newMentions = (mentions, previousMentions) => {
+  const seen = new Set((previousMentions || []).map(m => `${m.userType}|${m.userId}`));
+  return mentions.filter(m => !seen.has(`${m.userType}|${m.userId}`));
+};
+
+module.exports = {
+  findMentions,
+  notifyMentions,
+  newMentions
+};
@@ -0,0 +1,489 @@
+const mongoose = require("mongoose");
+
+const ActivityLog = require("../models/ActivityLog");
+const Assignment = require("../models/Assignment");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { notify, notifyClient, notifyStaffAboutClient } = require("./notifications");
+const { findMentions, notifyMentions, newMentions } = require("./noteMentions");
+const { storeNoteAttachments, removeNoteAttachments } = require("./noteAttachments");
+const { logToConsole } = require("./logger");
+
+// Note operations by noteId: add, reply, edit (keeping the previous text
+// as a revision), soft delete and thread reads, for notes at month,
+// category and file level. Used by the note endpoints of employees
+// (routes/employeeNotes.js), admins (routes/adminNotes.js) and clients
+// (routes/clientDashboardRoutes.js); the routes authenticate, this module
+// checks what the user may do with the note. New notes and replies can
+// carry @mentions (utils/noteMentions.js) and attachments
+// (utils/noteAttachments.js).
+//
+// Works on ClientMonthlyData only. Notes written before notes had an _id
+// get one from scripts/backfillNoteIds.js; until then they are not found.
+
+const NOTE_LEVELS = ["month", "category", "file"];
+const MAIN_CATEGORIES = ["sales", "purchase", "bank"];
+const MAX_NOTE_LENGTH = 5000;
+
+class NoteError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "NoteError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/* ===============================
+   HELPERS
+================================ */
+
+// actor: { type: "client"|"employee"|"admin", id, name }, as in noteViewSchema
+const ACTOR_ROLES = { client: "CLIENT", employee: "EMPLOYEE", admin: "ADMIN" };
+
+/**
+ * Who wrote a note. Notes from before authorType existed: employee notes
+ * carry employeeId, all others were written by the client.
+ */
+const authorOf = (note, clientId) => {
+  if (note.authorType) return { type: note.authorType, id: note.authorId };
+  if (note.employeeId) return { type: "employee", id: note.employeeId };
+  return { type: "client", id: clientId };
+};
+
+const isAuthor = (note, clientId, actor) => {
+  const author = authorOf(note, clientId);
+  return author.type === actor.type && author.id === actor.id;
+};
+
+const cleanText = (text) => {
+  const trimmed = typeof text === "string" ? text.trim() : "";
+  if (!trimmed) {
+    throw new NoteError("INVALID_NOTE", "note is required");
+  }
+  if (trimmed.length > MAX_NOTE_LENGTH) {
+    throw new NoteError("INVALID_NOTE", `note can be at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+// Every note array of a month with where it sits
+const noteArraysOfMonth = (monthData) => {
+  const arrays = [{ notes: monthData.monthNotes, context: { noteLevel: "month" } }];
+
+  const categories = MAIN_CATEGORIES.map(categoryType => ({ categoryType, document: monthData[categoryType] }));
+  (monthData.other || []).forEach(other => categories.push({
+    categoryType: "other",
+    categoryName: other.categoryName,
+    document: other.document
+  }));
+
+  categories.forEach(({ categoryType, categoryName, document }) => {
+    if (!document) return;
+    arrays.push({ notes: document.categoryNotes, context: { noteLevel: "category", categoryType, categoryName } });
+    (document.files || []).forEach(file => {
+      arrays.push({
+        notes: file.notes,
+        context: { noteLevel: "file", categoryType, categoryName, fileName: file.fileName, fileUrl: file.url, fileVersion: file.version || 1 }
+      });
+      // Notes on earlier versions stay with the version they were written on
+      (file.previousVersions || []).forEach(previous => arrays.push({
+        notes: previous.notes,
+        context: { noteLevel: "file", categoryType, categoryName, fileName: previous.fileName, fileUrl: previous.url, fileVersion: previous.version }
+      }));
+    });
+  });
+
+  return arrays.filter(entry => Array.isArray(entry.notes));
+};
+
+const loadClientData = async (clientId) => {
+  const doc = await ClientMonthlyData.findOne({ clientId });
+  if (!doc) {
+    throw new NoteError("CLIENT_NOT_FOUND", "No document data found for this client", 404);
+  }
+  return doc;
+};
+
+/**
+ * Finds a note of a client by noteId.
+ *
+ * @returns {{ doc, monthData, notes, note, context }} notes is the array the note sits in
+ */
+const findNote = (doc, noteId) => {
+  if (!mongoose.isValidObjectId(noteId)) {
+    throw new NoteError("NOTE_NOT_FOUND", "Note not found", 404);
+  }
+
+  for (const monthData of doc.months || []) {
+    for (const { notes, context } of noteArraysOfMonth(monthData)) {
+      const note = notes.find(n => n._id && String(n._id) === String(noteId));
+      if (note) {
+        return { doc, monthData, notes, note, context: { ...context, year: monthData.year, month: monthData.month } };
+      }
+    }
+  }
+  throw new NoteError("NOTE_NOT_FOUND", "Note not found", 404);
+};
+
+// The note array for a new top-level note
+const resolveLocation = (doc, { year, month, level, categoryType, categoryName, fileUrl, fileVersion }) => {
+  if (!NOTE_LEVELS.includes(level)) {
+    throw new NoteError("INVALID_LEVEL", `level must be one of ${NOTE_LEVELS.join(", ")}`);
+  }
+
+  const monthData = (doc.months || []).find(m => m.year === parseInt(year) && m.month === parseInt(month));
+  if (!monthData) {
+    throw new NoteError("MONTH_NOT_FOUND", `No data found for ${month}/${year}`, 404);
+  }
+  const base = { year: monthData.year, month: monthData.month };
+
+  if (level === "month") {
+    return { monthData, notes: monthData.monthNotes, context: { ...base, noteLevel: "month" } };
+  }
+
+  let document = null;
+  if (MAIN_CATEGORIES.includes(categoryType)) {
+    document = monthData[categoryType];
+  } else if (categoryType === "other") {
+    document = (monthData.other || []).find(other => other.categoryName === categoryName)?.document;
+  } else {
+    throw new NoteError("INVALID_CATEGORY", `categoryType must be one of ${[...MAIN_CATEGORIES, "other"].join(", ")}`);
+  }
+  if (!document) {
+    throw new NoteError("CATEGORY_NOT_FOUND", `Category '${categoryName || categoryType}' not found`, 404);
+  }
+
+  const categoryContext = { ...base, categoryType, categoryName: categoryType === "other" ? categoryName : undefined };
+  if (level === "category") {
+    return { monthData, notes: document.categoryNotes, context: { ...categoryContext, noteLevel: "category" } };
+  }
+
+  const file = (document.files || []).find(f => f.url === fileUrl);
+  if (!file) {
+    throw new NoteError("FILE_NOT_FOUND", `File with url '${fileUrl}' not found`, 404);
+  }
+
+  // Without fileVersion the note goes on the current version
+  const currentVersion = file.version || 1;
+  const version = fileVersion === undefined || fileVersion === null || fileVersion === "" ? currentVersion : parseInt(fileVersion);
+  const target = version === currentVersion ? file : (file.previousVersions || []).find(v => v.version === version);
+  if (!target) {
+    throw new NoteError("VERSION_NOT_FOUND", `Version ${fileVersion} of '${file.fileName}' not found`, 404);
+  }
+  return {
+    monthData,
+    notes: target.notes,
+    context: { ...categoryContext, noteLevel: "file", fileName: target.fileName, fileUrl: target.url, fileVersion: version }
+  };
+};
+
+/**
+ * Clients only reach their own notes, employees the months they are
+ * assigned to; admins are checked by the route's permission.
+ */
+const assertAccess = async (actor, clientId, year, month) => {
+  if (actor.type === "client" && actor.id !== clientId) {
+    throw new NoteError("FORBIDDEN", "You can only access your own notes", 403);
+  }
+  if (actor.type === "employee") {
+    const assigned = await Assignment.exists({
+      clientId,
+      employeeId: actor.id,
+      year: parseInt(year),
+      month: parseInt(month),
+      isRemoved: false
+    });
+    if (!assigned) {
+      throw new NoteError("FORBIDDEN", "You are not assigned to this client for this month", 403);
+    }
+  }
+};
+
+const presentAttachment = (attachment) => ({
+  attachmentId: attachment.attachmentId,
+  fileName: attachment.fileName,
+  fileSize: attachment.fileSize,
+  fileType: attachment.fileType,
+  url: attachment.url,
+  uploadedAt: attachment.uploadedAt,
+  uploadedBy: attachment.uploadedBy
+});
+
+// A note as the note endpoints return it. Deleted notes keep their place
+// in a thread but not their text.
+const presentNote = (note, clientId, context) => {
+  const author = authorOf(note, clientId);
+  return {
+    noteId: String(note._id),
+    parentNoteId: note.parentNoteId ? String(note.parentNoteId) : null,
+    note: note.isDeleted ? null : note.note,
+    addedBy: note.addedBy,
+    addedAt: note.addedAt,
+    authorType: author.type,
+    authorId: author.id,
+    employeeId: note.employeeId,
+    editedAt: note.editedAt || null,
+    editedBy: note.editedBy || null,
+    revisions: note.isDeleted ? [] : (note.revisions || []).map(r => ({ note: r.note, editedAt: r.editedAt, editedBy: r.editedBy })),
+    attachments: note.isDeleted ? [] : (note.attachments || []).map(presentAttachment),
+    mentions: (note.mentions || []).map(m => ({ userId: m.userId, userType: m.userType, name: m.name })),
+    isDeleted: !!note.isDeleted,
+    deletedAt: note.deletedAt || null,
+    isViewedByClient: !!note.isViewedByClient,
+    isViewedByEmployee: !!note.isViewedByEmployee,
+    isViewedByAdmin: !!note.isViewedByAdmin,
+    ...(context || {})
+  };
+};
+
+const recordActivity = async (actor, clientId, action, details) => {
+  try {
+    await ActivityLog.create({
+      userName: actor.name || actor.id,
+      role: ACTOR_ROLES[actor.type],
+      adminId: actor.type === "admin" ? actor.id : undefined,
+      employeeId: actor.type === "employee" ? actor.id : undefined,
+      clientId,
+      action,
+      details,
+      dateTime: new Date()
+    });
+  } catch (logError) {
+    logToConsole("ERROR", "NOTE_ACTIVITY_LOG_FAILED", { clientId, action, error: logError.message });
+  }
+};
+
+const placeOf = (context) => {
+  const period = `${context.month}/${context.year}`;
+  if (context.noteLevel === "month") return period;
+  const category = context.categoryName || context.categoryType;
+  return context.noteLevel === "file" ? `${context.fileName} (${category}, ${period})` : `${category} (${period})`;
+};
+
+// Client notes go to the staff of the month, staff notes to the client;
+// a reply also reaches the staff member who started the thread.
+const notifyAboutNote = async (clientId, note, context, actor, root) => {
+  const notification = {
+    type: "NOTE_ADDED",
+    title: `${actor.name || actor.id} ${root ? "replied to a note on" : "added a note to"} ${placeOf(context)}`,
+    message: note.note,
+    data: {
+      year: context.year,
+      month: context.month,
+      categoryType: context.categoryType,
+      categoryName: context.categoryName,
+      fileName: context.fileName,
+      noteId: String(note._id),
+      parentNoteId: root ? String(root._id) : undefined
+    },
+    actor: { type: ACTOR_ROLES[actor.type], id: actor.id, name: actor.name }
+  };
+
+  if (actor.type === "client") {
+    await notifyStaffAboutClient({ clientId, year: context.year, month: context.month }, notification);
+    return;
+  }
+
+  await notifyClient(clientId, notification);
+  const rootAuthor = root ? authorOf(root, clientId) : null;
+  if (rootAuthor && rootAuthor.type !== "client" && !(rootAuthor.type === actor.type && rootAuthor.id === actor.id)) {
+    await notify([{ type: ACTOR_ROLES[rootAuthor.type], id: rootAuthor.id }], { ...notification, clientId });
+  }
+};
+
+const notifyMentioned = (clientId, note, context, actor, mentions) =>
+  notifyMentions(mentions, actor, {
+    title: `${actor.name || actor.id} mentioned you in a note on ${placeOf(context)}`,
+    message: note.note,
+    clientId,
+    data: {
+      year: context.year,
+      month: context.month,
+      categoryType: context.categoryType,
+      categoryName: context.categoryName,
+      fileName: context.fileName,
+      noteId: String(note._id),
+      parentNoteId: note.parentNoteId ? String(note.parentNoteId) : undefined
+    },
+    actor: { type: ACTOR_ROLES[actor.type], id: actor.id, name: actor.name }
+  });
+
+// Pushes a note, uploading its attachments first; removes them again if
+// the note cannot be saved
+const saveNewNote = async (doc, notes, fields, files, context, clientId, actor) => {
+  const attachments = await storeNoteAttachments(files, {
+    clientId,
+    year: context.year,
+    month: context.month,
+    uploadedBy: actor.name || actor.id
+  });
+
+  notes.push({ ...fields, attachments });
+  try {
+    await doc.save();
+  } catch (error) {
+    await removeNoteAttachments(attachments);
+    throw error;
+  }
+  return notes[notes.length - 1];
+};
+
+const newNote = (text, actor, mentions, parentNoteId = null) => ({
+  note: text,
+  // Kept as before: the clientId for client notes, the name for staff notes
+  addedBy: actor.type === "client" ? actor.id : actor.name,
+  addedAt: new Date(),
+  employeeId: actor.type === "employee" ? actor.id : undefined,
+  authorType: actor.type,
+  authorId: actor.id,
+  parentNoteId,
+  mentions,
+  // The author has seen their own note
+  isViewedByClient: actor.type === "client",
+  isViewedByEmployee: actor.type === "employee",
+  isViewedByAdmin: actor.type === "admin",
+  viewedBy: [{ userId: actor.id, userType: actor.type, viewedAt: new Date() }]
+});
+
+/* ===============================
+   OPERATIONS
+================================ */
+
+/**
+ * Adds a top-level note.
+ *
+ * @param {{ year, month, level: "month"|"category"|"file", categoryType?, categoryName?, fileUrl?, fileVersion? }} location
+ *   fileUrl is the url of the file's current version; fileVersion (default: current) picks an earlier one
+ * @param {object[]} [files] - attachments as received by receiveNoteAttachments
+ */
+const addNote = async (clientId, location, text, actor, files = []) => {
+  const note = cleanText(text);
+  await assertAccess(actor, clientId, location.year, location.month);
+
+  const doc = await loadClientData(clientId);
+  const { notes, context } = resolveLocation(doc, location);
+  const mentions = await findMentions(note, { clientId, year: context.year, month: context.month });
+
+  const saved = await saveNewNote(doc, notes, newNote(note, actor, mentions), files, context, clientId, actor);
+
+  await notifyAboutNote(clientId, saved, context, actor, null);
+  await notifyMentioned(clientId, saved, context, actor, mentions);
+  logToConsole("SUCCESS", "NOTE_ADDED", { clientId, noteId: String(saved._id), noteLevel: context.noteLevel, actor: actor.type });
+  return presentNote(saved, clientId, context);
+};
+
+/**
+ * Replies to a note. Threads are one level deep: a reply to a reply is
+ * attached to the note that started the thread.
+ */
+const replyToNote = async (clientId, noteId, text, actor, files = []) => {
+  const note = cleanText(text);
+  const doc = await loadClientData(clientId);
+  const { notes, note: parent, context } = findNote(doc, noteId);
+  await assertAccess(actor, clientId, context.year, context.month);
+
+  const root = parent.parentNoteId ? findNote(doc, parent.parentNoteId).note : parent;
+  if (root.isDeleted) {
+    throw new NoteError("NOTE_DELETED", "Cannot reply to a deleted note", 409);
+  }
+
+  const mentions = await findMentions(note, { clientId, year: context.year, month: context.month });
+  const saved = await saveNewNote(doc, notes, newNote(note, actor, mentions, root._id), files, context, clientId, actor);
+
+  await notifyAboutNote(clientId, saved, context, actor, root);
+  await notifyMentioned(clientId, saved, context, actor, mentions);
+  logToConsole("SUCCESS", "NOTE_REPLY_ADDED", { clientId, noteId: String(saved._id), parentNoteId: String(root._id), actor: actor.type });
+  return presentNote(saved, clientId, context);
+};
+
+/**
+ * Changes the text of a note; only its author may. The previous text is
+ * kept in revisions; people mentioned for the first time are notified.
+ */
+const editNote = async (clientId, noteId, text, actor) => {
+  const updatedText = cleanText(text);
+  const doc = await loadClientData(clientId);
+  const { note, context } = findNote(doc, noteId);
+  await assertAccess(actor, clientId, context.year, context.month);
+
+  if (!isAuthor(note, clientId, actor)) {
+    throw new NoteError("FORBIDDEN", "Only the author can edit a note", 403);
+  }
+  if (note.isDeleted) {
+    throw new NoteError("NOTE_DELETED", "Cannot edit a deleted note", 409);
+  }
+  if (note.note === updatedText) {
+    return presentNote(note, clientId, context);
+  }
+
+  const mentions = await findMentions(updatedText, { clientId, year: context.year, month: context.month });
+  const addedMentions = newMentions(mentions, note.mentions);
+
+  note.revisions.push({ note: note.note, editedAt: new Date(), editedBy: actor.name || actor.id });
+  note.note = updatedText;
+  note.mentions = mentions;
+  note.editedAt = new Date();
+  note.editedBy = actor.name || actor.id;
+  await doc.save();
+
+  await notifyMentioned(clientId, note, context, actor, addedMentions);
+
+  await recordActivity(actor, clientId, "NOTE_EDITED", `Edited note ${noteId} on ${placeOf(context)} (revision ${note.revisions.length})`);
+  return presentNote(note, clientId, context);
+};
+
+/**
+ * Soft-deletes a note: it stays in the document (and in its thread) as
+ * deleted. Authors delete their own notes, admins any note.
+ */
+const deleteNote = async (clientId, noteId, actor) => {
+  const doc = await loadClientData(clientId);
+  const { note, context } = findNote(doc, noteId);
+  await assertAccess(actor, clientId, context.year, context.month);
+
+  if (actor.type !== "admin" && !isAuthor(note, clientId, actor)) {
+    throw new NoteError("FORBIDDEN", "Only the author or an admin can delete a note", 403);
+  }
+  if (note.isDeleted) {
+    return presentNote(note, clientId, context);
+  }
+
+  note.isDeleted = true;
+  note.deletedAt = new Date();
+  note.deletedBy = actor.name || actor.id;
+  await doc.save();
+
+  await recordActivity(actor, clientId, "NOTE_DELETED", `Deleted note ${noteId} on ${placeOf(context)}`);
+  return presentNote(note, clientId, context);
+};
+
+/**
+ * A note with its thread: the note that started it and all replies,
+ * oldest first.
+ *
+ * @returns {{ note: object, replies: object[] }}
+ */
+const getThread = async (clientId, noteId, actor) => {
+  const doc = await loadClientData(clientId);
+  const { notes, note, context } = findNote(doc, noteId);
+  await assertAccess(actor, clientId, context.year, context.month);
+
+  const root = note.parentNoteId ? findNote(doc, note.parentNoteId).note : note;
+  const replies = notes
+    .filter(n => n.parentNoteId && String(n.parentNoteId) === String(root._id))
+    .sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt));
+
+  return {
+    note: presentNote(root, clientId, context),
+    replies: replies.map(reply => presentNote(reply, clientId))
+  };
+};
+
+module.exports = {
+  NoteError,
+  addNote,
+  replyToNote,
+  editNote,
+  deleteNote,
+  getThread
+};
@@ -0,0 +1,169 @@
+const crypto = require("crypto");
+
+const config = require("../config");
+const NotificationPreference = require("../models/NotificationPreference");
+
+const CHANNELS = ["email"];
+const CATEGORIES = ["reminders", "noteAlerts", "marketing"];
+
+// What a client without a NotificationPreference document gets
+const DEFAULTS = {
+  email: { reminders: true, noteAlerts: true, marketing: false }
+};
+
+class PreferenceError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "PreferenceError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Stored switches merged over the defaults, one object per channel
+const withDefaults = (doc) => Object.fromEntries(CHANNELS.map(channel => [
+  channel,
+  Object.fromEntries(CATEGORIES.map(category => {
+    const stored = doc?.channels?.[channel]?.[category];
+    return [category, typeof stored === "boolean" ? stored : DEFAULTS[channel][category]];
+  }))
+]));
+
+/**
+ * A client's preferences as { channels: { email: { reminders, noteAlerts, marketing } }, updatedAt }.
+ */
+const getPreferences = async (clientId) => {
+  const doc = await NotificationPreference.findOne({ clientId }).lean();
+  return { clientId, channels: withDefaults(doc), updatedAt: doc?.updatedAt || null };
+};
+
+/**
+ * Preferences of many clients in one query, for the reminder jobs.
+ *
+ * @returns {Promise<Map<string, object>>} clientId -> channels
+ */
+const preferencesByClient = async (clientIds) => {
+  const docs = await NotificationPreference.find({ clientId: { $in: clientIds } }).lean();
+  const byClient = new Map(docs.map(doc => [doc.clientId, withDefaults(doc)]));
+  clientIds.forEach(clientId => {
+    if (!byClient.has(clientId)) byClient.set(clientId, withDefaults(null));
+  });
+  return byClient;
+};
+
+const allows = (channels, category, channel = "email") => channels?.[channel]?.[category] !== false;
+
+/**
+ * Whether a client wants notifications of a category on a channel.
+ */
+const isAllowed = async (clientId, category, channel = "email") => {
+  const { channels } = await getPreferences(clientId);
+  return allows(channels, category, channel);
+};
+
+/**
+ * Applies { email: { reminders: false, ... } } to a client's preferences and
+ * records each switch that actually changed in the history.
+ *
+ * @param {"CLIENT"|"UNSUBSCRIBE_LINK"|"ADMIN"} source
+ */
+const updatePreferences = async (clientId, changes, { source, changedBy } = {}) => {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    throw new PreferenceError("INVALID_PREFERENCES", "Preferences must be an object keyed by channel");
+  }
+
+  const updates = [];
+  for (const [channel, switches] of Object.entries(changes)) {
+    if (!CHANNELS.includes(channel)) {
+      throw new PreferenceError("UNKNOWN_CHANNEL", `Unknown channel "${channel}"; use one of ${CHANNELS.join(", ")}`);
+    }
+    for (const [category, enabled] of Object.entries(switches || {})) {
+      if (!CATEGORIES.includes(category)) {
+        throw new PreferenceError("UNKNOWN_CATEGORY", `Unknown category "${category}"; use one of ${CATEGORIES.join(", ")}`);
+      }
+      if (typeof enabled !== "boolean") {
+        throw new PreferenceError("INVALID_VALUE", `${channel}.${category} must be true or false`);
+      }
+      updates.push({ channel, category, enabled });
+    }
+  }
+
+  const current = await getPreferences(clientId);
+  const changed = updates.filter(u => current.channels[u.channel][u.category] !== u.enabled);
+  if (changed.length === 0) return current;
+
+  await NotificationPreference.updateOne(
+    { clientId },
+    {
+      $set: Object.fromEntries(changed.map(u => [`channels.${u.channel}.${u.category}`, u.enabled])),
+      $push: { history: { $each: changed.map(u => ({ ...u, source, changedBy, at: new Date() })) } }
+    },
+    { upsert: true }
+  );
+
+  return getPreferences(clientId);
+};
+
+/* ===============================
+   UNSUBSCRIBE LINKS
+   The token names the client and category and is signed with an HMAC,
+   so the link works without a login and cannot be altered to switch off
+   another client's emails. It does not expire, like the emails it is in.
+================================ */
+const sign = (payload) => crypto.createHmac("sha256", process.env.JWT_SECRET || "")
+  .update(`unsubscribe:${payload}`)
+  .digest("base64url");
+
+const unsubscribeToken = (clientId, category) => {
+  const payload = Buffer.from(JSON.stringify({ c: clientId, k: category })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * @returns {{ clientId: string, category: string }}
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [payload, signature] = String(token || "").split(".");
+  const given = Buffer.from(signature || "");
+  const expected = Buffer.from(payload ? sign(payload) : "");
+
+  const valid = given.length > 0
+    && given.length === expected.length
+    && crypto.timingSafeEqual(given, expected);
+  if (!valid) {
+    throw new PreferenceError("INVALID_TOKEN", "This unsubscribe link is invalid");
+  }
+
+  const { c: clientId, k: category } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  if (!clientId || !CATEGORIES.includes(category)) {
+    throw new PreferenceError("INVALID_TOKEN", "This unsubscribe link is invalid");
+  }
+  return { clientId, category };
+};
+
+const unsubscribeUrl = (clientId, category) =>
+  `${config.publicUrl.replace(/\/+$/, "")}/notification-preferences/unsubscribe?token=${unsubscribeToken(clientId, category)}`;
+
+/**
+ * Switches off the email category named in an unsubscribe token.
+ */
+const unsubscribe = async (token) => {
+  const { clientId, category } = verifyUnsubscribeToken(token);
+  await updatePreferences(clientId, { email: { [category]: false } }, { source: "UNSUBSCRIBE_LINK", changedBy: clientId });
+  return { clientId, category };
+};
+
+module.exports = {
+  CHANNELS,
+  CATEGORIES,
+  PreferenceError,
+  getPreferences,
+  preferencesByClient,
+  allows,
+  isAllowed,
+  updatePreferences,
+  unsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  unsubscribe
+};
@@ -0,0 +1,266 @@
+const Admin = require("../models/Admin");
+const Assignment = require("../models/Assignment");
+const Notification = require("../models/Notification");
+const { publishCreated } = require("./realtime");
+const { logToConsole } = require("./logger");
+
+// In-app notifications. Routes call the notify* helpers right after the
+// change they describe has been saved; list/read/unread queries back the
+// notification center (routes/notificationRoutes.js) and the unread note
+// counters, which used to rescan every note of every client on each call.
+// New notifications are also pushed live over SSE (utils/realtime.js).
+
+const NOTIFICATION_TYPES = Notification.schema.path("type").enumValues;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class NotificationError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "NotificationError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/* ===============================
+   CREATE
+================================ */
+
+/**
+ * Creates one notification per recipient. Never throws: a notification
+ * that cannot be stored is logged and skipped, it must not fail the
+ * request that caused it.
+ *
+ * @param {Array<{ type: "ADMIN"|"EMPLOYEE"|"CLIENT", id: string }>} recipients
+ * @param {{ type: string, title: string, message?: string, clientId?: string,
+ *           data?: object, actor?: { type, id, name }, dedupeKey?: string }} notification
+ * @returns {Promise<number>} notifications created
+ */
+const notify = async (recipients, notification) => {
+  const unique = new Map();
+  (recipients || []).forEach(recipient => {
+    if (recipient?.id) unique.set(`${recipient.type}|${recipient.id}`, recipient);
+  });
+  if (unique.size === 0) return 0;
+
+  const docs = [...unique.values()].map(recipient => ({
+    ...notification,
+    recipientType: recipient.type,
+    recipientId: recipient.id
+  }));
+
+  try {
+    const created = await Notification.insertMany(docs, { ordered: false });
+    publishCreated(created);
+    return created.length;
+  } catch (error) {
+    publishCreated(error.insertedDocs || []);
+
+    // Duplicate dedupeKeys are expected on retries, the rest were inserted
+    const writeErrors = error.writeErrors || [error];
+    if (!writeErrors.every(e => (e.code ?? e.err?.code) === 11000)) {
+      logToConsole("ERROR", "NOTIFICATION_CREATE_FAILED", {
+        type: notification.type,
+        clientId: notification.clientId,
+        recipients: docs.length,
+        error: error.message
+      });
+    }
+    return error.insertedDocs?.length || 0;
+  }
+};
+
+/* ===============================
+   RECIPIENTS
+================================ */
+const adminRecipients = async () => {
+  const admins = await Admin.find({ isActive: { $ne: false } }).select("adminId").lean();
+  return admins.map(admin => ({ type: "ADMIN", id: admin.adminId }));
+};
+
+const assignedEmployeeRecipients = async (clientId, year, month) => {
+  const employeeIds = await Assignment.distinct("employeeId", {
+    clientId,
+    year: parseInt(year),
+    month: parseInt(month),
+    isRemoved: false
+  });
+  return employeeIds.map(employeeId => ({ type: "EMPLOYEE", id: employeeId }));
+};
+
+/**
+ * Notifies all active admins and the employees assigned to the client
+ * for { year, month }.
+ */
+const notifyStaffAboutClient = async ({ clientId, year, month }, notification) => {
+  try {
+    const [admins, employees] = await Promise.all([
+      adminRecipients(),
+      year && month ? assignedEmployeeRecipients(clientId, year, month) : []
+    ]);
+    return notify([...admins, ...employees], { ...notification, clientId });
+  } catch (error) {
+    logToConsole("ERROR", "NOTIFICATION_RECIPIENTS_FAILED", { clientId, type: notification.type, error: error.message });
+    return 0;
+  }
+};
+
+const notifyAdmins = async (notification) => {
+  try {
+    return notify(await adminRecipients(), notification);
+  } catch (error) {
+    logToConsole("ERROR", "NOTIFICATION_RECIPIENTS_FAILED", { type: notification.type, error: error.message });
+    return 0;
+  }
+};
+
+const notifyClient = (clientId, notification) =>
+  notify([{ type: "CLIENT", id: clientId }], { ...notification, clientId });
+
+const notifyEmployee = (employeeId, notification) =>
+  notify([{ type: "EMPLOYEE", id: employeeId }], notification);
+
+/* ===============================
+   READ
+================================ */
+
+// Optional filters shared by the list and mark-all queries
+const buildFilter = (recipient, { type, clientId, year, month, categoryType, noteIds } = {}) => {
+  if (type && !NOTIFICATION_TYPES.includes(type)) {
+    throw new NotificationError("UNKNOWN_TYPE", `Unknown notification type "${type}"; use one of ${NOTIFICATION_TYPES.join(", ")}`);
+  }
+
+  const filter = { recipientType: recipient.type, recipientId: recipient.id };
+  if (type) filter.type = type;
+  if (clientId) filter.clientId = clientId;
+  if (year) filter["data.year"] = parseInt(year);
+  if (month) filter["data.month"] = parseInt(month);
+  if (categoryType) filter["data.categoryType"] = categoryType;
+  if (noteIds) filter["data.noteId"] = { $in: noteIds.map(String) };
+  return filter;
+};
+
+/**
+ * A recipient's notifications, newest first. Page with `before` (the
+ * createdAt of the last item of the previous page, as returned in
+ * nextBefore).
+ */
+const listNotifications = async (recipient, { unreadOnly = false, limit, before, ...filters } = {}) => {
+  const filter = buildFilter(recipient, filters);
+  if (unreadOnly) filter.readAt = null;
+  if (before) {
+    const beforeDate = new Date(before);
+    if (isNaN(beforeDate.getTime())) {
+      throw new NotificationError("INVALID_CURSOR", "before must be a date");
+    }
+    filter.createdAt = { $lt: beforeDate };
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const notifications = await Notification.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(pageSize + 1)
+    .select("-_id -__v -recipientType -recipientId -dedupeKey")
+    .lean();
+
+  const hasMore = notifications.length > pageSize;
+  const page = hasMore ? notifications.slice(0, pageSize) : notifications;
+  return {
+    notifications: page,
+    hasMore,
+    nextBefore: hasMore ? page[page.length - 1].createdAt : null
+  };
+};
+
+const unreadCount = (recipient, filters = {}) =>
+  Notification.countDocuments({ ...buildFilter(recipient, filters), readAt: null });
+
+/**
+ * Unread counts of a recipient grouped by type.
+ *
+ * @returns {Promise<{ unread: number, byType: object }>}
+ */
+const unreadCountByType = async (recipient) => {
+  const groups = await Notification.aggregate([
+    { $match: { ...buildFilter(recipient), readAt: null } },
+    { $group: { _id: "$type", count: { $sum: 1 } } }
+  ]);
+  return {
+    unread: groups.reduce((sum, group) => sum + group.count, 0),
+    byType: Object.fromEntries(groups.map(group => [group._id, group.count]))
+  };
+};
+
+/**
+ * Unread counts of a recipient grouped by clientId, for one type.
+ *
+ * @returns {Promise<Map<string, number>>}
+ */
+const unreadCountByClient = async (recipient, type) => {
+  const groups = await Notification.aggregate([
+    { $match: { ...buildFilter(recipient, { type }), readAt: null, clientId: { $ne: null } } },
+    { $group: { _id: "$clientId", count: { $sum: 1 } } }
+  ]);
+  return new Map(groups.map(group => [group._id, group.count]));
+};
+
+/* ===============================
+   MARK READ
+================================ */
+const markRead = async (recipient, notificationId) => {
+  const filter = { notificationId, recipientType: recipient.type, recipientId: recipient.id };
+  await Notification.updateOne({ ...filter, readAt: null }, { $set: { readAt: new Date() } });
+
+  const notification = await Notification.findOne(filter)
+    .select("-_id -__v -recipientType -recipientId -dedupeKey")
+    .lean();
+  if (!notification) {
+    throw new NotificationError("NOT_FOUND", "Notification not found", 404);
+  }
+  return notification;
+};
+
+/**
+ * Marks a recipient's unread notifications read, optionally only those
+ * matching { type, clientId, year, month, categoryType, noteIds }.
+ *
+ * @returns {Promise<number>} notifications marked
+ */
+const markAllRead = async (recipient, filters = {}) => {
+  const result = await Notification.updateMany(
+    { ...buildFilter(recipient, filters), readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Note "viewed" flags on ClientMonthlyData are shared by all admins, so
+ * when one admin views a client's notes the note notifications of every
+ * admin follow.
+ */
+const markReadForAllAdmins = async (filters = {}) => {
+  const filter = buildFilter({ type: "ADMIN" }, filters);
+  delete filter.recipientId;
+  const result = await Notification.updateMany({ ...filter, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NotificationError,
+  notify,
+  notifyStaffAboutClient,
+  notifyAdmins,
+  notifyClient,
+  notifyEmployee,
+  listNotifications,
+  unreadCount,
+  unreadCountByType,
+  unreadCountByClient,
+  markRead,
+  markAllRead,
+  markReadForAllAdmins
+};
@@ -0,0 +1,90 @@
+const crypto = require("crypto");
+const Otp = require("../models/Otp");
+
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+
+// 4-digit numeric code, as shown in the existing OTP emails
+const generateOtp = () => crypto.randomInt(1000, 10000).toString();
+
+// Codes are stored hashed together with the email and purpose, so a leaked
+// Otp collection does not reveal usable codes
+const hashOtp = (email, purpose, otp) => {
+  return crypto.createHmac("sha256", process.env.JWT_SECRET || "")
+    .update(`${purpose}:${email}:${String(otp).trim()}`)
+    .digest("hex");
+};
+
+const hashesMatch = (a, b) => {
+  const left = Buffer.from(a, "hex");
+  const right = Buffer.from(b, "hex");
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Creates a fresh OTP for an email + purpose, replacing any earlier one.
+ * Returns the plain code so the caller can email it.
+ *
+ * @param {object} params
+ * @param {string} params.email
+ * @param {"PASSWORD_RESET"|"2FA_RECOVERY"} params.purpose
+ * @param {"CLIENT"|"EMPLOYEE"|"ADMIN"} params.userType
+ * @param {string} params.userId - clientId, employeeId or adminId
+ */
+const issueOtp = async ({ email, purpose, userType, userId }) => {
+  const otp = generateOtp();
+
+  await Otp.deleteMany({ email, purpose });
+  await Otp.create({
+    email,
+    otp: hashOtp(email, purpose, otp),
+    purpose,
+    userType,
+    userId,
+    clientId: userType === "CLIENT" ? userId : undefined,
+    expiresAt: new Date(Date.now() + OTP_TTL_MS)
+  });
+
+  return otp;
+};
+
+/**
+ * Checks a submitted OTP against the latest one issued for the email and
+ * purpose. A valid or expired OTP is deleted so it cannot be used twice;
+ * a wrong code counts as an attempt and the OTP is deleted once
+ * MAX_OTP_ATTEMPTS is reached, so a new one has to be requested.
+ *
+ * @returns {Promise<{ status: "VALID"|"INVALID"|"EXPIRED"|"TOO_MANY_ATTEMPTS", record: object|null }>}
+ */
+const verifyOtp = async ({ email, otp, purpose }) => {
+  const record = await Otp.findOne({ email, purpose }).sort({ createdAt: -1 });
+
+  if (!record) {
+    return { status: "INVALID", record: null };
+  }
+
+  if (new Date() > record.expiresAt) {
+    await Otp.findByIdAndDelete(record._id);
+    return { status: "EXPIRED", record };
+  }
+
+  if (!hashesMatch(record.otp, hashOtp(email, purpose, otp))) {
+    const updated = await Otp.findByIdAndUpdate(
+      record._id,
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!updated || updated.attempts >= MAX_OTP_ATTEMPTS) {
+      await Otp.findByIdAndDelete(record._id);
+      return { status: "TOO_MANY_ATTEMPTS", record };
+    }
+
+    return { status: "INVALID", record: null };
+  }
+
+  await Otp.findByIdAndDelete(record._id);
+  return { status: "VALID", record };
+};
+
+module.exports = { issueOtp, verifyOtp, OTP_TTL_MS, MAX_OTP_ATTEMPTS };
@@ -0,0 +1,95 @@
+const config = require("../config");
+const ClientMonthlyData = require("../models/ClientMonthlyData");
+const { monthlyFeeOf } = require("../config/plans");
+const { legacyDocumentsOf } = require("./legacyDocuments");
+
+// Which months a client still has to pay for, from the per-month
+// paymentStatus flags in ClientMonthlyData (falling back to the legacy
+// Client.documents months). Only months that exist with paymentStatus
+// false are billed, unless config.payments.billMissingMonths also bills
+// months without any month data; months marked inactive never are.
+
+// How far back unpaid months are still listed in reminders
+const LOOKBACK_MONTHS = 12;
+
+const monthIndex = ({ year, month }) => year * 12 + (month - 1);
+const fromMonthIndex = (index) => ({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+
+/**
+ * Plan in effect for a month: the latest planChangeHistory entry that took
+ * effect by the end of that month, otherwise the plan before the first
+ * recorded change, otherwise the client's current plan.
+ */
+const planForMonth = (client, { year, month }) => {
+  const monthEnd = new Date(year, month, 1);
+  const history = [...(client.planChangeHistory || [])]
+    .filter(change => change.effectiveFrom || change.changeDate)
+    .sort((a, b) => new Date(a.effectiveFrom || a.changeDate) - new Date(b.effectiveFrom || b.changeDate));
+
+  const effective = history.filter(change => new Date(change.effectiveFrom || change.changeDate) < monthEnd);
+  if (effective.length > 0) return effective[effective.length - 1].toPlan;
+  if (history.length > 0 && history[0].fromPlan) return history[0].fromPlan;
+  return client.currentPlan || client.planSelected || "";
+};
+
+// First billed month: the enrollment month, but no more than LOOKBACK_MONTHS back
+const firstBilledMonth = (client, upTo) => {
+  const lookbackStart = monthIndex(upTo) - (LOOKBACK_MONTHS - 1);
+  const startDate = client.enrollmentDate || client.createdAt;
+  if (!startDate) return lookbackStart;
+
+  const start = new Date(startDate);
+  return Math.max(lookbackStart, monthIndex({ year: start.getFullYear(), month: start.getMonth() + 1 }));
+};
+
+/**
+ * Unpaid months up to and including `upTo` for each client.
+ *
+ * @param {object[]} clients  Client documents (with documents loaded for the legacy fallback)
+ * @param {{ year: number, month: number }} upTo
+ * @returns {Promise<Map<string, { months: object[], totalAmount: number }>>} keyed by clientId;
+ *          months are { year, month, plan, amount } and amount is null for plans without a fixed fee
+ */
+const outstandingMonthsByClient = async (clients, upTo) => {
+  const records = await ClientMonthlyData.find({ clientId: { $in: clients.map(c => c.clientId) } })
+    .select("clientId months.year months.month months.paymentStatus months.monthActiveStatus")
+    .lean();
+  const recordsByClient = new Map(records.map(record => [record.clientId, record]));
+
+  const result = new Map();
+
+  for (const client of clients) {
+    const monthData = new Map();
+    (recordsByClient.get(client.clientId)?.months || []).forEach(m => {
+      monthData.set(`${m.year}-${m.month}`, m);
+    });
+
+    const legacy = legacyDocumentsOf(client);
+    const months = [];
+
+    for (let index = firstBilledMonth(client, upTo); index <= monthIndex(upTo); index++) {
+      const { year, month } = fromMonthIndex(index);
+      const data = monthData.get(`${year}-${month}`) || legacy[String(year)]?.[String(month)];
+
+      if (!data && !config.payments.billMissingMonths) continue;
+      if (data?.monthActiveStatus === "inactive") continue;
+      if (data?.paymentStatus === true) continue;
+
+      const plan = planForMonth(client, { year, month });
+      months.push({ year, month, plan, amount: monthlyFeeOf(plan) });
+    }
+
+    result.set(client.clientId, {
+      months,
+      totalAmount: months.reduce((sum, m) => sum + (m.amount || 0), 0)
+    });
+  }
+
+  return result;
+};
+
+module.exports = {
+  LOOKBACK_MONTHS,
+  planForMonth,
+  outstandingMonthsByClient
+};
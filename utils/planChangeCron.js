@@ -1,7 +1,9 @@
-const cron = require('node-cron');
 const Client = require('../models/Client');
 const ActivityLog = require('../models/ActivityLog');
-const sendEmail = require('../utils/sendEmail');
+const { sendTemplateEmail } = require('../emails');
+const config = require('../config');
+const { defineJob } = require('./jobScheduler');
+const { localParts } = require('./cronExpression');
 
 // Console logging helper
 const logToConsole = (type, operation, data) => {
@@ -11,18 +13,14 @@ const logToConsole = (type, operation, data) => {
   console.log(`[${timestamp}] ${type}: ${operation}`, data);
 };
 
-const processScheduledPlanChanges = async () => {
+// Applies every pending nextMonthPlan. Runs as the "plan-change" job for
+// the month that is starting; see the job definition below.
+const applyScheduledPlanChanges = async () => {
   try {
     const today = new Date();
-    const currentDate = today.getDate();
     const currentMonth = today.getMonth();
     const currentYear = today.getFullYear();
 
-    // Only run on 1st of month 
-    if (currentDate !== 1) {
-      return;
-    }
-
     logToConsole("INFO", "CRON_PLAN_CHANGE_START", {
       date: today.toLocaleDateString('en-IN'),
       month: currentMonth + 1,
@@ -84,89 +82,14 @@ const processScheduledPlanChanges = async () => {
 
         // Send email to client
         try {
-          const emailSubject = `✅ Plan Change Applied - ${client.businessName || client.name}`;
-          const emailHtml = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-              <meta charset="UTF-8">
-              <meta name="viewport" content="width=device-width, initial-scale=1.0">
-              <title>Plan Change Applied</title>
-              <style>
-                body { font-family: 'Arial', sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; }
-                .header { background: #111111; color: #ffffff; padding: 30px 20px; text-align: center; }
-                .header h1 { margin: 0; font-size: 24px; color: #7cd64b; }
-                .content { padding: 30px; background: #ffffff; }
-                .success-box { background: #e8f5e9; border-left: 4px solid #4caf50; padding: 20px; margin: 25px 0; border-radius: 0 8px 8px 0; }
-                .plan-details { background: #f8f9fa; border: 1px solid #e9ecef; padding: 20px; margin: 25px 0; border-radius: 8px; }
-                .footer { background: #111111; color: #ffffff; padding: 20px; text-align: center; }
-                .dev-info { margin-top: 15px; padding-top: 15px; border-top: 1px solid rgba(255,255,255,0.2); font-size: 12px; opacity: 0.8; }
-                table { width: 100%; border-collapse: collapse; margin: 15px 0; }
-                th, td { padding: 10px 12px; text-align: left; border-bottom: 1px solid #dee2e6; font-size: 14px; }
-                th { background: #f8f9fa; font-weight: 600; width: 40%; }
-              </style>
-            </head>
-            <body>
-              <div class="header">
-                <h1>Credence Enterprise Accounting Services</h1>
-                <p style="margin-top: 5px; opacity: 0.9;">Professional Accounting & VAT Compliance</p>
-              </div>
-              
-              <div class="content">
-                <h2 style="color: #2c3e50; margin-top: 0;">Dear ${client.firstName} ${client.lastName},</h2>
-                
-                <div class="success-box">
-                  <h3 style="margin-top: 0; color: #4caf50;">✅ SCHEDULED PLAN CHANGE APPLIED</h3>
-                  <p>Your scheduled plan change has been automatically applied as of today (1st of the month).</p>
-                  <p><strong>Applied On:</strong> ${today.toLocaleDateString('en-IN')}</p>
-                </div>
-                
-                <div class="plan-details">
-                  <h3 style="color: #2c3e50; border-bottom: 2px solid #7cd64b; padding-bottom: 8px;">📋 Plan Change Details</h3>
-                  <table>
-                    <tr>
-                      <th>Previous Plan</th>
-                      <td>${oldPlan}</td>
-                    </tr>
-                    <tr>
-                      <th>New Active Plan</th>
-                      <td><strong>${newPlan}</strong></td>
-                    </tr>
-                    <tr>
-                      <th>Effective Date</th>
-                      <td><strong>${today.toLocaleDateString('en-IN')}</strong> (1st of month)</td>
-                    </tr>
-                    <tr>
-                      <th>Billing Month</th>
-                      <td>${today.toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })}</td>
-                    </tr>
-                  </table>
-                </div>
-                
-                <p>If you have any questions regarding your plan change, please contact our support team.</p>
-                
-                <p style="margin-top: 25px; font-size: 14px; color: #666;">
-                  Your account has been updated with the new plan. All future billing will be based on the ${newPlan} plan.
-                </p>
-              </div>
-              
-              <div class="footer">
-                <p><strong>Credence Enterprise Accounting Services</strong></p>
-                <p>Professional Accounting | VAT Compliance | Business Advisory</p>
-                <div class="dev-info">
-                  Developed by Vapautus Media Private Limited
-                </div>
-                <p style="font-size: 12px; margin-top: 10px;">
-                  This is an automated notification email.<br>
-                  Please do not reply to this email. For queries, contact support@jladgroup.fi<br>
-                  Email sent to: ${client.email}
-                </p>
-              </div>
-            </body>
-            </html>
-          `;
-
-          await sendEmail(client.email, emailSubject, emailHtml);
+          const { year, month } = localParts(today, config.timezone);
+          await sendTemplateEmail(client.email, "plan-change-applied", {
+            client,
+            fromPlan: oldPlan,
+            toPlan: newPlan,
+            appliedAt: today,
+            billingMonth: { year, month }
+          }, { locale: client.preferredLanguage });
           logToConsole("INFO", "CRON_PLAN_CHANGE_EMAIL_SENT", {
             clientId: client.clientId,
             email: client.email
@@ -201,28 +124,55 @@ const processScheduledPlanChanges = async () => {
       failed: failedCount
     });
 
+    return {
+      success: true,
+      total: clientsWithPendingChanges.length,
+      processed: processedCount,
+      failed: failedCount
+    };
+
   } catch (error) {
     logToConsole("ERROR", "CRON_PLAN_CHANGE_FAILED", {
       error: error.message,
       stack: error.stack
     });
+
+    return {
+      success: false,
+      error: error.message
+    };
   }
 };
 
-// Schedule to run daily at 2:00 AM
-const schedulePlanChangeCron = () => {
-  // Run every day at 2:00 AM
-  cron.schedule('0 2 * * *', processScheduledPlanChanges, {
-    timezone: "Europe/Helsinki"
-  });
-
-  logToConsole("INFO", "CRON_PLAN_CHANGE_SCHEDULED", {
-    schedule: "Daily at 2:00 AM",
-    timezone: "System timezone"
-  });
+// Manual trigger kept for POST /admin/trigger-plan-change: only applies
+// changes on the 1st of the month, like the original daily cron.
+const processScheduledPlanChanges = async () => {
+  if (new Date().getDate() !== 1) {
+    return;
+  }
+  return applyScheduledPlanChanges();
 };
 
+// Scheduled from config.cron.planChange (default: daily at 2:00 AM) but only
+// occurrences on the 1st of a month run, once for that month. If the server
+// was down on the 1st, the run is caught up on boot during the next days.
+defineJob({
+  name: "plan-change",
+  description: "Apply scheduled plan changes at the start of the month",
+  schedule: config.cron.planChange,
+  periodFor: (occurrence) => (occurrence.day === 1 ? { year: occurrence.year, month: occurrence.month } : null),
+  // Only the month that is starting can be applied: nextMonthPlan always means "from now on"
+  validatePeriod: ({ year, month }) => {
+    const now = localParts(new Date(), config.timezone);
+    return year === now.year && month === now.month
+      ? null
+      : "Plan changes can only be applied for the current month";
+  },
+  catchUpDays: 3,
+  handler: () => applyScheduledPlanChanges()
+});
+
 module.exports = {
-  processScheduledPlanChanges,
-  schedulePlanChangeCron
-};
\ No newline at end of file
+  applyScheduledPlanChanges,
+  processScheduledPlanChanges
+};
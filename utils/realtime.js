@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+
+const Notification = require("../models/Notification");
+const config = require("../config");
+const { logToConsole } = require("./logger");
+
+// Live delivery of new notifications to connected browsers. Every
+// Notification document is one event for its recipient; the SSE routes
+// (routes/realtimeRoutes.js) subscribe per user here.
+//
+// Fan-out: with change streams (config.realtime.changeStreams, needs a
+// replica set) every instance watches Notification inserts, so a note
+// saved on one instance reaches a browser connected to another. Without
+// them utils/notifications.js hands new notifications to publishCreated()
+// and only users on the same instance get them live; the others receive
+// them on their next reconnect through the Last-Event-ID replay.
+
+const RESTART_DELAY_MS = 5 * 1000;
+// Most events replayed on reconnect; with more the client should reload its list
+const REPLAY_LIMIT = 100;
+
+// Change stream errors that mean "not available here", not "try again"
+const UNSUPPORTED_CODES = [
+  40573,  // $changeStream only supported on replica sets
+  20      // IllegalOperation (standalone server)
+];
+
+/* ===============================
+   SUBSCRIBERS (this instance only)
+================================ */
+const subscribers = new Map();   // "TYPE|id" -> Set<listener>
+
+const keyOf = (recipientType, recipientId) => `${recipientType}|${recipientId}`;
+
+/**
+ * Calls listener(event) for every new notification of the recipient until
+ * the returned function is called.
+ *
+ * @param {{ type: "ADMIN"|"EMPLOYEE"|"CLIENT", id: string }} recipient
+ * @returns {() => void} unsubscribe
+ */
+const subscribe = (recipient, listener) => {
+  const key = keyOf(recipient.type, recipient.id);
+  if (!subscribers.has(key)) subscribers.set(key, new Set());
+  subscribers.get(key).add(listener);
+
+  return () => {
+    const listeners = subscribers.get(key);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) subscribers.delete(key);
+  };
+};
+
+/**
+ * The event sent to the browser: the notification as the list endpoint
+ * returns it, with the document _id as the SSE event id.
+ */
+const toEvent = (doc) => {
+  const { _id, __v, recipientType, recipientId, dedupeKey, ...notification } = doc;
+  return { id: String(_id), type: "notification", data: notification };
+};
+
+const dispatch = (doc) => {
+  const listeners = subscribers.get(keyOf(doc.recipientType, doc.recipientId));
+  if (!listeners) return;
+
+  const event = toEvent(doc);
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      logToConsole("ERROR", "REALTIME_LISTENER_FAILED", { recipientId: doc.recipientId, error: error.message });
+    }
+  });
+};
+
+/* ===============================
+   FAN-OUT
+================================ */
+let mode = "in-process";
+let changeStream = null;
+let resumeToken = null;
+let restartTimer = null;
+let stopped = false;
+
+/**
+ * Called by utils/notifications.js with the documents it just inserted.
+ * With a change stream running the stream delivers them instead.
+ */
+const publishCreated = (docs) => {
+  if (mode === "change-stream") return;
+  docs.forEach(doc => dispatch(typeof doc.toObject === "function" ? doc.toObject() : doc));
+};
+
+const fallBackToInProcess = (reason) => {
+  mode = "in-process";
+  changeStream = null;
+  logToConsole("WARN", "REALTIME_CHANGE_STREAM_UNAVAILABLE", {
+    reason,
+    fallback: "in-process delivery; other instances catch up on reconnect"
+  });
+};
+
+const openChangeStream = () => {
+  restartTimer = null;
+  if (stopped) return;
+
+  const stream = Notification.watch(
+    [{ $match: { operationType: "insert" } }],
+    resumeToken ? { resumeAfter: resumeToken } : {}
+  );
+  changeStream = stream;
+
+  // publishCreated keeps delivering until the server answers the stream:
+  // on a standalone server watch() only fails once the aggregate is rejected
+  const confirm = () => {
+    if (changeStream !== stream || mode === "change-stream") return;
+    mode = "change-stream";
+    logToConsole("INFO", "REALTIME_CHANGE_STREAM_READY", { resumed: !!resumeToken });
+  };
+
+  stream.on("resumeTokenChanged", confirm);
+
+  stream.on("change", (change) => {
+    confirm();
+    resumeToken = change._id;
+    dispatch(change.fullDocument);
+  });
+
+  stream.on("error", (error) => {
+    if (changeStream !== stream) return;
+    stream.close().catch(() => {});
+
+    if (UNSUPPORTED_CODES.includes(error.code) || /replica set/i.test(error.message)) {
+      fallBackToInProcess(error.message);
+      return;
+    }
+
+    // Deliver in-process while the stream is down, then resume where it stopped
+    mode = "in-process";
+    changeStream = null;
+    logToConsole("ERROR", "REALTIME_CHANGE_STREAM_ERROR", { error: error.message, retryInMs: RESTART_DELAY_MS });
+    if (!stopped) restartTimer = setTimeout(openChangeStream, RESTART_DELAY_MS);
+  });
+};
+
+/**
+ * Starts the cross-instance fan-out. Called once by index.js.
+ *
+ * @returns {() => Promise<void>} stop
+ */
+const startRealtime = () => {
+  stopped = false;
+
+  if (!config.realtime.changeStreams) {
+    logToConsole("INFO", "REALTIME_STARTED", { mode: "in-process (realtime.changeStreams = false)" });
+  } else {
+    // watch() needs the connection; wait for it like the models do
+    const start = () => {
+      openChangeStream();
+      logToConsole("INFO", "REALTIME_STARTED", { mode: "change-stream (in-process until the stream answers)" });
+    };
+    if (mongoose.connection.readyState === 1) start();
+    else mongoose.connection.once("open", start);
+  }
+
+  return async () => {
+    stopped = true;
+    if (restartTimer) clearTimeout(restartTimer);
+    if (changeStream) await changeStream.close().catch(() => {});
+    changeStream = null;
+    mode = "in-process";
+  };
+};
+
+/* ===============================
+   REPLAY
+================================ */
+
+/**
+ * Notifications of a recipient created after the event id the browser
+ * saw last (Last-Event-ID), oldest first.
+ *
+ * @returns {Promise<{ events: object[], truncated: boolean }>}
+ */
+const eventsSince = async (recipient, lastEventId) => {
+  if (!lastEventId || !mongoose.isValidObjectId(lastEventId)) {
+    return { events: [], truncated: false };
+  }
+
+  const docs = await Notification.find({
+    recipientType: recipient.type,
+    recipientId: recipient.id,
+    _id: { $gt: new mongoose.Types.ObjectId(String(lastEventId)) }
+  })
+    .sort({ _id: 1 })
+    .limit(REPLAY_LIMIT + 1)
+    .lean();
+
+  return {
+    events: docs.slice(0, REPLAY_LIMIT).map(toEvent),
+    truncated: docs.length > REPLAY_LIMIT
+  };
+};
+
+module.exports = {
+  subscribe,
+  publishCreated,
+  startRealtime,
+  eventsSince
+};
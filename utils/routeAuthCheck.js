@@ -0,0 +1,75 @@
+const PUBLIC_ROUTES = require("../config/publicRoutes");
+
+const joinPaths = (base, routePath) => {
+  const joined = `${base}/${routePath}`.replace(/\/+/g, "/");
+  return joined.length > 1 ? joined.replace(/\/$/, "") : joined;
+};
+
+/**
+ * Lists every route of one router with whether an auth guard runs before
+ * its handler. A guard either sits in the route's own middleware chain or
+ * is mounted with router.use() ahead of the route.
+ */
+const collectRoutes = (basePath, router) => {
+  const routes = [];
+  let routerGuarded = false;
+
+  for (const layer of router.stack || []) {
+    if (!layer.route) {
+      if (layer.handle?.isAuthGuard) {
+        routerGuarded = true;
+      }
+      continue;
+    }
+
+    const guarded = routerGuarded || layer.route.stack.some(l => l.handle?.isAuthGuard);
+    const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+    const methods = Object.keys(layer.route.methods)
+      .filter(m => layer.route.methods[m])
+      .map(m => m.toUpperCase());
+
+    for (const routePath of paths) {
+      for (const method of methods) {
+        routes.push({ method, path: joinPaths(basePath, String(routePath)), guarded });
+      }
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Startup self-check: walks every mounted router and returns the routes
+ * that have no auth guard and are not listed in config/publicRoutes.js.
+ *
+ * @param {Express.Application} app
+ * @param {Array<[string, Express.Router]>} mounts - [mountPath, router] pairs
+ */
+const findUnguardedRoutes = (app, mounts) => {
+  const publicRoutes = new Set(PUBLIC_ROUTES);
+  const routes = [
+    ...collectRoutes("/", app.router),
+    ...mounts.flatMap(([mountPath, router]) => collectRoutes(mountPath, router))
+  ];
+
+  return routes.filter(r => !r.guarded && !publicRoutes.has(`${r.method} ${r.path}`));
+};
+
+/**
+ * Throws if any non-public route is mounted without an auth guard.
+ */
+const assertRoutesGuarded = (app, mounts) => {
+  const unguarded = findUnguardedRoutes(app, mounts);
+
+  if (unguarded.length > 0) {
+    const list = unguarded.map(r => `  ${r.method} ${r.path}`).join("\n");
+    throw new Error(
+      `Route auth self-check failed: ${unguarded.length} route(s) have no auth guard ` +
+      `and are not listed in config/publicRoutes.js:\n${list}`
+    );
+  }
+
+  return true;
+};
+
+module.exports = { findUnguardedRoutes, assertRoutesGuarded };
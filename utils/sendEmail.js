@@ -1,21 +1,15 @@
-const nodemailer = require("nodemailer");
+const { enqueueEmail } = require("./emailOutbox");
 
-const transporter = nodemailer.createTransport({
-  host: "smtp.gmail.com",
-  port: 587,
-  secure: false,
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-module.exports = async (to, subject, html, attachments = []) => {
-  await transporter.sendMail({
-    from: `"Accounting Portal" <${process.env.EMAIL_USER}>`,
+// Queues the email in the durable outbox (utils/emailOutbox.js); the outbox
+// worker sends it and retries on failure. Resolves once the email is queued.
+//
+// options: { text, category, unsubscribeUrl, idempotencyKey, from }
+module.exports = async (to, subject, html, attachments = [], options = {}) => {
+  return enqueueEmail({
     to,
     subject,
     html,
-    attachments // nodemailer accepts: [{ filename, content, contentType }]
+    attachments, // [{ filename, content, contentType }]
+    ...options
   });
-};
\ No newline at end of file
+};
@@ -0,0 +1,283 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+
+const Session = require("../models/Session");
+const Admin = require("../models/Admin");
+const Employee = require("../models/Employee");
+const Client = require("../models/Client");
+
+const ACCESS_TOKEN_TTL = "15m";
+const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000;
+const REFRESH_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+// A refresh secret that was just rotated is still honoured this long, for
+// parallel refreshes (several tabs) that sent the same cookie
+const REFRESH_GRACE_MS = 30 * 1000;
+
+// Cookie names and options per user type. Admin and employee cookies are
+// always cross-site; client cookies relax to "lax" outside production.
+const USER_TYPES = {
+  ADMIN: {
+    accessCookie: "accessToken",
+    refreshCookie: "adminRefreshToken",
+    cookieOptions: () => ({ httpOnly: true, secure: true, sameSite: "none", path: "/" })
+  },
+  EMPLOYEE: {
+    accessCookie: "employeeToken",
+    refreshCookie: "employeeRefreshToken",
+    cookieOptions: () => ({ httpOnly: true, secure: true, sameSite: "none", path: "/" })
+  },
+  CLIENT: {
+    accessCookie: "clientToken",
+    refreshCookie: "clientRefreshToken",
+    cookieOptions: () => ({
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+      path: "/"
+    })
+  }
+};
+
+class SessionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(48).toString("base64url");
+
+// The secret a refresh rotates to is derived from the one it replaces, so a
+// request that comes in with the previous secret during the grace window
+// gets the same pair as the request that rotated it
+const nextSecretOf = (sessionId, secret) => crypto.createHmac("sha256", process.env.JWT_SECRET || "")
+  .update(`refresh:${sessionId}:${secret}`)
+  .digest("base64url");
+
+/**
+ * Query for the admin an access token or session names. Admins created
+ * before adminId existed are issued tokens with their _id instead (see the
+ * admin login), so an id that is a valid ObjectId also matches _id.
+ */
+const adminFilterOf = (adminId) => (mongoose.isObjectIdOrHexString(adminId)
+  ? { $or: [{ adminId }, { _id: adminId }] }
+  : { adminId });
+
+/**
+ * Loads the user behind a session and builds the access token payload,
+ * the same shape each login route used to sign. Returns null when the
+ * user no longer exists, or for admins/employees, has been deactivated.
+ * Client logins do not depend on isActive, so neither does their refresh.
+ */
+const loadTokenPayload = async (userType, userId) => {
+  if (userType === "ADMIN") {
+    const admin = await Admin.findOne(adminFilterOf(userId)).select("adminId name email isActive");
+    if (!admin || admin.isActive === false) return null;
+    return { adminId: admin.adminId || admin._id.toString(), name: admin.name, role: "ADMIN", email: admin.email };
+  }
+
+  if (userType === "EMPLOYEE") {
+    const employee = await Employee.findOne({ employeeId: userId }).select("employeeId name isActive");
+    if (!employee || employee.isActive === false) return null;
+    return { employeeId: employee.employeeId, role: "EMPLOYEE", name: employee.name };
+  }
+
+  const client = await Client.findOne({ clientId: userId }).select("clientId name email");
+  if (!client) return null;
+  return { clientId: client.clientId, role: "CLIENT", name: client.name, email: client.email };
+};
+
+const setSessionCookies = (res, userType, session, secret, payload) => {
+  const { accessCookie, refreshCookie, cookieOptions } = USER_TYPES[userType];
+
+  const accessToken = jwt.sign(
+    { ...payload, sessionId: session.sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  res.cookie(accessCookie, accessToken, { ...cookieOptions(), maxAge: ACCESS_TOKEN_MAX_AGE });
+  res.cookie(refreshCookie, `${session.sessionId}.${secret}`, { ...cookieOptions(), maxAge: REFRESH_TOKEN_MAX_AGE });
+};
+
+const clearSessionCookies = (res, userType) => {
+  const { accessCookie, refreshCookie, cookieOptions } = USER_TYPES[userType];
+  res.clearCookie(accessCookie, cookieOptions());
+  res.clearCookie(refreshCookie, cookieOptions());
+};
+
+/**
+ * Creates a session for a successful login and sets the short-lived access
+ * cookie plus the rotating refresh cookie.
+ *
+ * @param {"ADMIN"|"EMPLOYEE"|"CLIENT"} userType
+ * @param {string} userId - adminId, employeeId or clientId
+ * @param {object} payload - access token claims (without sessionId)
+ */
+const startSession = async (req, res, userType, userId, payload) => {
+  const secret = newSecret();
+
+  const session = await Session.create({
+    userType,
+    userId,
+    refreshTokenHash: hashSecret(secret),
+    userAgent: req.get("User-Agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_MAX_AGE)
+  });
+
+  setSessionCookies(res, userType, session, secret, payload);
+  return session;
+};
+
+/**
+ * Exchanges the refresh cookie for a new access token and a new refresh
+ * secret. The secret it replaced is answered with the same pair for
+ * REFRESH_GRACE_MS; any other secret, or that one later, revokes the
+ * session, since it means the refresh token was copied.
+ */
+const refreshSession = async (req, res, userType) => {
+  const raw = req.cookies?.[USER_TYPES[userType].refreshCookie];
+  const [sessionId, secret] = (raw || "").split(".");
+
+  if (!sessionId || !secret) {
+    throw new SessionError("No refresh token", "NO_REFRESH_TOKEN");
+  }
+
+  const session = await Session.findOne({ sessionId, userType });
+
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    clearSessionCookies(res, userType);
+    throw new SessionError("Session expired or revoked", "SESSION_INACTIVE");
+  }
+
+  const presentedHash = hashSecret(secret);
+  const isCurrent = session.refreshTokenHash === presentedHash;
+  const isJustRotated = !isCurrent
+    && session.previousRefreshTokenHash === presentedHash
+    && session.rotatedAt > new Date(Date.now() - REFRESH_GRACE_MS);
+
+  if (!isCurrent && !isJustRotated) {
+    await revokeSession(session.sessionId, "TOKEN_REUSE", "SYSTEM");
+    clearSessionCookies(res, userType);
+    throw new SessionError("Refresh token reuse detected", "TOKEN_REUSE");
+  }
+
+  const payload = await loadTokenPayload(userType, session.userId);
+  if (!payload) {
+    await revokeSession(session.sessionId, "ACCOUNT_DEACTIVATED", "SYSTEM");
+    clearSessionCookies(res, userType);
+    throw new SessionError("Account is not active", "ACCOUNT_INACTIVE");
+  }
+
+  const nextSecret = nextSecretOf(session.sessionId, secret);
+
+  if (isCurrent) {
+    session.previousRefreshTokenHash = presentedHash;
+    session.refreshTokenHash = hashSecret(nextSecret);
+    session.rotatedAt = new Date();
+  }
+  session.lastUsedAt = new Date();
+  session.ip = req.ip;
+  session.userAgent = req.get("User-Agent");
+  await session.save();
+
+  setSessionCookies(res, userType, session, nextSecret, payload);
+  return { session, payload };
+};
+
+/**
+ * Revokes the session the request belongs to (from the access token, even
+ * if expired, or else the refresh cookie) and clears the cookies.
+ */
+const endSession = async (req, res, userType) => {
+  const { accessCookie, refreshCookie } = USER_TYPES[userType];
+  let sessionId = null;
+
+  const accessToken = req.cookies?.[accessCookie];
+  if (accessToken) {
+    try {
+      sessionId = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true }).sessionId;
+    } catch {
+      sessionId = null;
+    }
+  }
+
+  if (!sessionId && req.cookies?.[refreshCookie]) {
+    const [refreshSessionId, secret] = req.cookies[refreshCookie].split(".");
+    const owned = await Session.exists({ sessionId: refreshSessionId, refreshTokenHash: hashSecret(secret || "") });
+    sessionId = owned ? refreshSessionId : null;
+  }
+
+  if (sessionId) {
+    await revokeSession(sessionId, "LOGOUT");
+  }
+
+  clearSessionCookies(res, userType);
+};
+
+const revokeSession = async (sessionId, reason, revokedBy) => {
+  return Session.updateOne(
+    { sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+};
+
+/**
+ * Revokes every active session of one user, e.g. when an admin
+ * deactivates an employee or client. Returns the number revoked.
+ */
+const revokeAllSessions = async (userType, userId, reason, revokedBy) => {
+  const result = await Session.updateMany(
+    { userType, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return result.modifiedCount;
+};
+
+const listActiveSessions = async (userType, userId) => {
+  return Session.find({
+    userType,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select("sessionId userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+};
+
+/**
+ * Used by the auth guards: an access token is only valid while the
+ * session it was issued for is neither revoked nor expired.
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded?.sessionId) return false;
+
+  const session = await Session.exists({
+    sessionId: decoded.sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return !!session;
+};
+
+module.exports = {
+  SessionError,
+  adminFilterOf,
+  loadTokenPayload,
+  startSession,
+  refreshSession,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  isSessionActive,
+  clearSessionCookies
+};
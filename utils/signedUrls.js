@@ -0,0 +1,151 @@
+const storage = require("./storage");
+const { isAssigned } = require("./assignmentService");
+const { logToConsole } = require("./logger");
+
+// Stored objects are private (utils/storage.js; on S3 uploads set no ACL
+// and the bucket blocks public access): the stored url/fileUrl of a file
+// is its identifier, not a working link, and never leaves the server. In
+// responses it is replaced with a short-lived signed link, valid for
+// config.storage.signedUrlSeconds, for objects the requester may see, and
+// removed for the others. Client documents sit under
+// clients/<clientId>/<year>/<month>/, so the access check is per client
+// month.
+
+const URL_FIELDS = ["url", "fileUrl"];
+
+/* ===============================
+   OBJECTS
+================================ */
+
+/**
+ * The client month an object key belongs to, null for other objects
+ * (e.g. agreement PDFs).
+ */
+const clientMonthOf = (key) => {
+  const match = /^clients\/([^/]+)\/(\d{4})\/(\d{1,2})\//.exec(key || "");
+  return match ? { clientId: match[1], year: Number(match[2]), month: Number(match[3]) } : null;
+};
+
+/**
+ * A signed link for a stored url. Urls of another storage are returned
+ * as they are.
+ */
+const signUrl = async (url) => {
+  const key = storage.keyOf(url);
+  return key ? storage.signedUrlOf(key) : url;
+};
+
+/* ===============================
+   ACCESS POLICIES
+   (req) -> (clientMonth | null) -> boolean | Promise<boolean>, run when
+   the response is sent, i.e. after the route's own guard.
+================================ */
+
+// Clients: their own months only
+const clientAccess = (req) => (place) => Boolean(place && req.user?.clientId && place.clientId === req.user.clientId);
+
+// Employees: months of clients they are assigned to
+const employeeAccess = (req) => async (place) => {
+  if (!place || !req.user?.employeeId) return false;
+  return isAssigned({ ...place, employeeId: req.user.employeeId });
+};
+
+// Admins: everything, the route's requirePermission already decided
+// (public routes under /admin have no req.user and get no links)
+const adminAccess = (req) => () => Boolean(req.user?.adminId);
+
+// Routers any signed-in user reaches (routes/clientUpload.js): by token role
+const userAccess = (req) => {
+  const policy = { CLIENT: clientAccess, EMPLOYEE: employeeAccess, ADMIN: adminAccess }[req.user?.role];
+  return policy ? policy(req) : () => false;
+};
+
+/* ===============================
+   RESPONSES
+================================ */
+
+/**
+ * A copy of a response body in which every stored url/fileUrl is a signed
+ * link, or is left out where the requester may not see it.
+ *
+ * @param {*} body - anything res.json accepts
+ * @param {Function} canSee - (clientMonth | null) -> boolean | Promise<boolean>
+ */
+const withSignedUrls = async (body, canSee) => {
+  const plain = JSON.parse(JSON.stringify(body));
+
+  const targets = [];
+  const collect = (value) => {
+    if (Array.isArray(value)) return value.forEach(collect);
+    if (!value || typeof value !== "object") return;
+    Object.entries(value).forEach(([field, child]) => {
+      if (URL_FIELDS.includes(field) && storage.keyOf(child)) {
+        targets.push({ holder: value, field, key: storage.keyOf(child) });
+      } else {
+        collect(child);
+      }
+    });
+  };
+  collect(plain);
+
+  // One access check per client month
+  const decisions = new Map();
+  const allowed = (key) => {
+    const place = clientMonthOf(key);
+    const cacheKey = place ? `${place.clientId}|${place.year}|${place.month}` : "";
+    if (!decisions.has(cacheKey)) decisions.set(cacheKey, Promise.resolve(canSee(place)));
+    return decisions.get(cacheKey);
+  };
+
+  await Promise.all(targets.map(async ({ holder, field, key }) => {
+    if (await allowed(key)) {
+      holder[field] = await storage.signedUrlOf(key);
+    } else {
+      delete holder[field];
+    }
+  }));
+
+  return plain;
+};
+
+/**
+ * Router middleware: successful JSON responses get signed links, checked
+ * with policy (clientAccess, employeeAccess, adminAccess or userAccess). Several
+ * routers share a mount path; the first one a request enters signs. A
+ * route that signs its links itself (signUrl) sets res.locals.fileUrlsSigned.
+ *
+ *   router.use(signFileUrls(employeeAccess));
+ */
+const signFileUrls = (policy) => (req, res, next) => {
+  if (res.locals.signsFileUrls) return next();
+  res.locals.signsFileUrls = true;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 || body === null || typeof body !== "object" || res.locals.fileUrlsSigned) {
+      return json(body);
+    }
+
+    withSignedUrls(body, policy(req))
+      .then(signed => json(signed))
+      .catch(error => {
+        logToConsole("ERROR", "SIGN_FILE_URLS_FAILED", { path: req.originalUrl, error: error.message });
+        res.status(500);
+        json({ message: "Failed to prepare file links" });
+      });
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  clientMonthOf,
+  signUrl,
+  withSignedUrls,
+  signFileUrls,
+  clientAccess,
+  employeeAccess,
+  adminAccess,
+  userAccess
+};
@@ -0,0 +1,242 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+const config = require("../config");
+
+// Storage for uploaded files, behind one interface whatever the driver
+// (config.storage.driver):
+//
+//   s3             AWS S3, objects at https://<bucket>.s3.<region>.amazonaws.com/<key>
+//   s3-compatible  MinIO etc., objects at <endpoint>/<bucket>/<key>
+//   local          files under config.storage.localDir, served by
+//                  routes/storageFiles.js at <publicUrl>/files/<key>
+//
+// Callers choose the key (e.g. clients/<clientId>/<year>/<month>/<uuid>.pdf)
+// and store the url putObject returns; keyOf turns it back into a key.
+// Objects are private: links for browsers come from signedUrlOf.
+//
+//   const url = await storage.putObject(key, file.buffer, file.mimetype);
+//   const buffer = await storage.readUrl(pdf.fileUrl);
+
+class StorageError extends Error {
+  constructor(code, message, status = 500) {
+    super(message);
+    this.name = "StorageError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const trimSlashes = (value) => String(value).replace(/\/+$/, "");
+
+// Keys are stored in urls as they are; decode whatever a url encodes
+const keyAfter = (url, prefix) => {
+  if (typeof url !== "string" || !url.startsWith(prefix)) return null;
+  const key = decodeURIComponent(url.slice(prefix.length).split("?")[0]);
+  return key || null;
+};
+
+/* ===============================
+   S3 AND S3-COMPATIBLE
+================================ */
+
+/**
+ * @param {{ bucket, region?, endpoint?, accessKeyId?, secretAccessKey? }} options -
+ *   with endpoint, requests and urls are path-style against that server
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey }) => {
+  const client = new S3Client({
+    region: region || "us-east-1",
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+
+  const urlOf = (key) => (endpoint
+    ? `${trimSlashes(endpoint)}/${bucket}/${key}`
+    : `https://${bucket}.s3.${region}.amazonaws.com/${key}`);
+
+  const keyOf = (url) => {
+    if (endpoint) return keyAfter(url, `${trimSlashes(endpoint)}/${bucket}/`);
+    try {
+      const parsed = new URL(url);
+      if (!parsed.hostname.startsWith(`${bucket}.`)) return null;
+      return decodeURIComponent(parsed.pathname.replace(/^\//, "")) || null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  return {
+    urlOf,
+    keyOf,
+
+    putObject: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    getObject: async (key) => {
+      try {
+        const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+      } catch (error) {
+        if (error.name === "NoSuchKey") {
+          throw new StorageError("NOT_FOUND", `Stored file ${key} not found`, 404);
+        }
+        throw error;
+      }
+    },
+
+    deleteObject: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    signedUrlOf: (key, expiresIn) =>
+      getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn })
+  };
+};
+
+/* ===============================
+   LOCAL DISK
+   Signed links carry an expiry and an HMAC of key and expiry, like the
+   unsubscribe links, and are checked by routes/storageFiles.js.
+================================ */
+
+const linkSignature = (key, expires) => crypto.createHmac("sha256", process.env.JWT_SECRET || "")
+  .update(`storage:${key}:${expires}`)
+  .digest("base64url");
+
+/**
+ * @param {{ dir: string, baseUrl: string }} options - baseUrl is where
+ *   routes/storageFiles.js is reachable, e.g. http://localhost:3043/files
+ */
+const createLocalDriver = ({ dir, baseUrl }) => {
+  const root = path.resolve(dir);
+
+  // Absolute path of a key, never outside root
+  const pathOf = (key) => {
+    const filePath = path.resolve(root, String(key || ""));
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new StorageError("INVALID_KEY", `Invalid storage key "${key}"`, 400);
+    }
+    return filePath;
+  };
+
+  const urlOf = (key) => `${trimSlashes(baseUrl)}/${key}`;
+
+  return {
+    urlOf,
+    keyOf: (url) => keyAfter(url, `${trimSlashes(baseUrl)}/`),
+    pathOf,
+
+    putObject: async (key, body) => {
+      const filePath = pathOf(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    getObject: async (key) => {
+      try {
+        return await fs.promises.readFile(pathOf(key));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          throw new StorageError("NOT_FOUND", `Stored file ${key} not found`, 404);
+        }
+        throw error;
+      }
+    },
+
+    // Deleting a missing file is not an error, as on S3
+    deleteObject: async (key) => {
+      await fs.promises.rm(pathOf(key), { force: true });
+    },
+
+    signedUrlOf: async (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${urlOf(key)}?expires=${expires}&signature=${linkSignature(key, expires)}`;
+    },
+
+    /**
+     * Whether a link's expires/signature are valid for key right now.
+     */
+    verifyLink: (key, expires, signature) => {
+      const given = Buffer.from(String(signature || ""));
+      const expected = Buffer.from(linkSignature(key, expires));
+      return given.length === expected.length
+        && crypto.timingSafeEqual(given, expected)
+        && Number(expires) * 1000 > Date.now();
+    }
+  };
+};
+
+/* ===============================
+   CONFIGURED DRIVER
+================================ */
+
+const createDriver = (settings) => {
+  switch (settings.driver) {
+    case "local":
+      return createLocalDriver({
+        dir: path.join(__dirname, "..", settings.localDir),
+        baseUrl: `${trimSlashes(config.publicUrl)}/files`
+      });
+    case "s3-compatible":
+      return createS3Driver(settings);
+    default:
+      return createS3Driver({ ...settings, endpoint: undefined });
+  }
+};
+
+const driver = createDriver(config.storage);
+
+/**
+ * Stores body under key and returns the url to save with the file.
+ */
+const putObject = async (key, body, contentType) => {
+  await driver.putObject(key, body, contentType);
+  return driver.urlOf(key);
+};
+
+/**
+ * The contents of a stored url, for files the server itself sends on
+ * (downloads, email attachments).
+ *
+ * @returns {Promise<Buffer>}
+ * @throws {StorageError} NOT_STORED for urls of another storage, NOT_FOUND
+ */
+const readUrl = async (url) => {
+  const key = driver.keyOf(url);
+  if (!key) {
+    throw new StorageError("NOT_STORED", `${url} is not in the configured storage`, 404);
+  }
+  return driver.getObject(key);
+};
+
+/**
+ * A link a browser can open for a while, for a key of this storage.
+ */
+const signedUrlOf = (key, expiresIn = config.storage.signedUrlSeconds) => driver.signedUrlOf(key, expiresIn);
+
+module.exports = {
+  StorageError,
+  createS3Driver,
+  createLocalDriver,
+  driverName: config.storage.driver,
+  putObject,
+  readUrl,
+  getObject: (key) => driver.getObject(key),
+  deleteObject: (key) => driver.deleteObject(key),
+  keyOf: (url) => driver.keyOf(url),
+  urlOf: (key) => driver.urlOf(key),
+  signedUrlOf,
+  // Local driver only (routes/storageFiles.js)
+  localPathOf: (key) => driver.pathOf(key),
+  verifyLocalLink: (key, expires, signature) => Boolean(driver.verifyLink?.(key, expires, signature))
+};
@@ -0,0 +1,255 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const QRCode = require("qrcode");
+
+const ISSUER = "Credence";
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_TTL = "10m";
+
+/* ===============================
+   BASE32 (RFC 4648) FOR AUTHENTICATOR APPS
+================================ */
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/* ===============================
+   TOTP (RFC 6238, HMAC-SHA1, 6 digits, 30s)
+================================ */
+const hotp = (secretBuffer, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", secretBuffer).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return code.toString().padStart(TOTP_DIGITS, "0");
+};
+
+const generateTotp = (base32Secret, timestamp = Date.now()) => {
+  return hotp(base32Decode(base32Secret), Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS));
+};
+
+/**
+ * The time step a code belongs to, or null. Accepts the current code and
+ * one step either side to allow for clock drift between the server and
+ * the authenticator app.
+ */
+const matchTotpStep = (base32Secret, code, timestamp = Date.now()) => {
+  if (!/^\d{6}$/.test(String(code || ""))) return null;
+
+  const secretBuffer = base32Decode(base32Secret);
+  const counter = Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+  const drift = [-1, 0, 1].find(offset => {
+    const expected = Buffer.from(hotp(secretBuffer, counter + offset));
+    return crypto.timingSafeEqual(expected, Buffer.from(String(code)));
+  });
+  return drift === undefined ? null : counter + drift;
+};
+
+const verifyTotp = (base32Secret, code, timestamp = Date.now()) => matchTotpStep(base32Secret, code, timestamp) !== null;
+
+/**
+ * Records step as the user's last accepted TOTP step, unless that step or
+ * a later one was already used. The update is conditional, so of two
+ * requests with the same code only one gets true.
+ */
+const claimTotpStep = async (user, step) => {
+  const result = await user.constructor.updateOne(
+    { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/* ===============================
+   SECRET ENCRYPTION AT REST (AES-256-GCM)
+================================ */
+const encryptionKey = () => {
+  return crypto.createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+};
+
+const encryptSecret = (plain) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString("base64")).join(".");
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(".").map(part => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/* ===============================
+   BACKUP CODES (stored as SHA-256 hashes)
+================================ */
+const hashBackupCode = (code) => {
+  return crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toUpperCase()).digest("hex");
+};
+
+/**
+ * @returns {{ codes: string[], hashes: string[] }} plain codes to show once
+ *   and hashes to store on the user
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex").toUpperCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Removes a matching backup code from the user. Like claimTotpStep the
+ * update is conditional, so a code is accepted by one request only.
+ * @returns {Promise<boolean>} true if the code was consumed
+ */
+const consumeBackupCode = async (user, code) => {
+  const hash = hashBackupCode(code);
+  const result = await user.constructor.updateOne(
+    { _id: user._id, "twoFactor.backupCodes": hash },
+    { $pull: { "twoFactor.backupCodes": hash } }
+  );
+  if (result.modifiedCount !== 1) return false;
+
+  user.twoFactor.backupCodes = (user.twoFactor.backupCodes || []).filter(stored => stored !== hash);
+  return true;
+};
+
+/**
+ * Verifies either a TOTP code or, failing that, a backup code. Both are
+ * accepted once (claimTotpStep, consumeBackupCode).
+ * @returns {Promise<"TOTP"|"BACKUP_CODE"|null>}
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  const twoFactor = user.twoFactor;
+  if (code && twoFactor.secret) {
+    const step = matchTotpStep(decryptSecret(twoFactor.secret), code);
+    if (step !== null && await claimTotpStep(user, step)) {
+      return "TOTP";
+    }
+  }
+
+  if (backupCode && await consumeBackupCode(user, backupCode)) {
+    return "BACKUP_CODE";
+  }
+
+  return null;
+};
+
+/* ===============================
+   ENROLLMENT
+================================ */
+const buildOtpauthUrl = (base32Secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${base32Secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+};
+
+/**
+ * Starts enrollment: stores an encrypted pending secret on the user's
+ * twoFactor settings and returns what the authenticator app needs.
+ */
+const startEnrollment = async (twoFactor, accountName) => {
+  const secret = generateSecret();
+  const otpauthUrl = buildOtpauthUrl(secret, accountName);
+
+  twoFactor.pendingSecret = encryptSecret(secret);
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCodeDataUrl: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/* ===============================
+   LOGIN CHALLENGE TOKENS
+   Issued after a correct password when the second step is still
+   outstanding. purpose: "2FA_LOGIN" (code needed) or "2FA_SETUP"
+   (2FA is required but not yet enrolled).
+================================ */
+const createChallengeToken = (userType, userId, purpose) => {
+  return jwt.sign(
+    { userType, userId, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+const verifyChallengeToken = (token, userType, purposes) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.userType !== userType || !purposes.includes(decoded.purpose)) return null;
+    return decoded;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  generateTotp,
+  verifyTotp,
+  matchTotpStep,
+  claimTotpStep,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  verifySecondFactor,
+  startEnrollment,
+  createChallengeToken,
+  verifyChallengeToken
+};